@@ -13,6 +13,12 @@ import { setupEventListeners } from './utils/eventEmitter.js';
 import { broadcastDashboardUpdates, broadcastDashboardSectionUpdate, getRealtimeDashboardData } from './modules/admin/services/realtime.service.js';
 import { checkMaintenanceMode } from './middleware/maintenanceMode.js';
 import { isRedisHealthy, getCache } from './utils/redis.js';
+import { startTrackingPoller, stopTrackingPoller } from './utils/trackingPoller.js';
+import { startEddRefresh, stopEddRefresh } from './utils/edd.js';
+import { resumePrintJobs } from './utils/printJobs.js';
+import { startPickupMonitor, stopPickupMonitor } from './utils/pickups.js';
+import { startNDRActionRetries, stopNDRActionRetries } from './utils/ndrActions.js';
+import { startWeightDisputeMonitor, stopWeightDisputeMonitor } from './utils/weightDisputes.js';
 
 // Load environment variables
 dotenv.config();
@@ -23,6 +29,7 @@ import marketingRoutes from './modules/marketing/index.js';
 import sellerRoutes from './modules/seller/index.js';
 import adminRoutes from './modules/admin/index.js';
 import pincodeRoutes from './modules/common/routes/pincode.routes.js';
+import courierWebhookRoutes from './modules/common/routes/courierWebhook.routes.js';
 
 // Dashboard update configuration with dynamic adjustment
 const DASHBOARD_UPDATE_CONFIG = {
@@ -79,6 +86,24 @@ setInterval(() => {
 mongoose.connect(process.env.MONGODB_ATLAS_URI)
   .then(() => {
     logger.info('Connected to MongoDB');
+
+    // Poll couriers for in-flight shipments
+    startTrackingPoller();
+
+    // Learn courier transit times from delivered shipments
+    startEddRefresh();
+
+    // Close pickups whose slot has passed and escalate missed ones
+    startPickupMonitor();
+
+    // Resend NDR actions the courier did not accept
+    startNDRActionRetries();
+
+    // Auto-accept weight disputes past their SLA and retry failed wallet adjustments
+    startWeightDisputeMonitor();
+
+    // Finish bulk label / manifest jobs interrupted by a restart
+    resumePrintJobs().catch(error => logger.error(`Failed to resume print jobs: ${error.message}`));
   })
   .catch((error) => {
     logger.error('MongoDB connection error:', error);
@@ -92,6 +117,10 @@ app.use(cors({
   credentials: true
 }));
 
+// Courier webhooks: high volume and verified by signature, so they have their own
+// rate limiter and are mounted before the JSON parser to keep the raw body
+app.use('/api/webhooks/couriers', courierWebhookRoutes);
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -274,6 +303,11 @@ const gracefulShutdown = () => {
   if (updateIntervalId) {
     clearInterval(updateIntervalId);
   }
+  stopTrackingPoller();
+  stopEddRefresh();
+  stopPickupMonitor();
+  stopNDRActionRetries();
+  stopWeightDisputeMonitor();
   
   // Close server
   server.close(() => {
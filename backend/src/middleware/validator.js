@@ -18,4 +18,19 @@ export const validationHandler = (validations) => {
 
     return next(new AppError('Validation Error', 400, extractedErrors));
   };
-}; 
\ No newline at end of file
+}; 
+
+// Last middleware of an array of express-validator chains: pass the errors they collected on as a 400
+export const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return next();
+  }
+
+  const extractedErrors = errors.array().map(err => ({
+    field: err.path,
+    message: err.msg
+  }));
+
+  return next(new AppError('Validation Error', 400, extractedErrors));
+};
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+// Outcome of applying one tracking update from a webhook
+const webhookResultSchema = new mongoose.Schema({
+  awb: String,
+  type: { type: String, enum: ['SellerShipment', 'Order'] },
+  status: String,
+  changed: Boolean,
+  rejected: Boolean,
+  error: String
+}, { _id: false });
+
+// Every inbound courier webhook, stored as received so it can be replayed
+const courierWebhookSchema = new mongoose.Schema({
+  courier: { type: String, required: true, uppercase: true, index: true },
+  partner: { type: mongoose.Schema.Types.ObjectId, ref: 'ShippingPartner' },
+  headers: { type: Object, default: {} },
+  contentType: String,
+  rawBody: { type: String, default: '' },
+  bodySize: Number, // bytes received (rawBody of a rejected webhook is truncated)
+  signatureValid: { type: Boolean, default: false },
+  status: {
+    type: String,
+    enum: ['Received', 'Processed', 'Partially Processed', 'Failed', 'Rejected'],
+    default: 'Received',
+    index: true
+  },
+  error: String,
+  results: [webhookResultSchema],
+  attempts: { type: Number, default: 0 },
+  processedAt: Date,
+  lastReplayedAt: Date,
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: Date // set on rejected webhooks, which are then removed by the TTL index
+});
+
+courierWebhookSchema.index({ courier: 1, createdAt: -1 });
+courierWebhookSchema.index({ 'results.awb': 1 });
+courierWebhookSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('CourierWebhook', courierWebhookSchema);
@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+
+// How far delivered shipments of a courier, mode and zone were from their predicted transit time
+const eddAdjustmentSchema = new mongoose.Schema({
+  courier: { type: String, required: true, uppercase: true },
+  mode: { type: String, enum: ['air', 'surface'], required: true },
+  zone: { type: String, required: true },
+  samples: { type: Number, default: 0 },
+  // Working days: actual transit minus predicted transit (positive means late)
+  meanDelta: { type: Number, default: 0 },
+  stdDev: { type: Number, default: 0 },
+  // Share of shipments delivered within the predicted range
+  onTimeRate: { type: Number, default: 0 },
+  computedAt: { type: Date, default: Date.now }
+});
+
+eddAdjustmentSchema.index({ courier: 1, mode: 1, zone: 1 }, { unique: true });
+
+export default mongoose.model('EddAdjustment', eddAdjustmentSchema);
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+// Services a courier can offer at a pincode
+export const SERVICEABILITY_SERVICES = ['prepaid', 'cod', 'pickup', 'reverse'];
+
+// A period in which some services are suspended (e.g. floods, elections, festivals)
+const embargoSchema = new mongoose.Schema({
+  services: {
+    type: [{ type: String, enum: SERVICEABILITY_SERVICES }],
+    default: () => [...SERVICEABILITY_SERVICES]
+  },
+  from: {
+    type: Date,
+    required: [true, 'Embargo start is required']
+  },
+  to: {
+    type: Date,
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+// What one courier offers at one pincode, imported from the courier's serviceability file
+const pincodeServiceabilitySchema = new mongoose.Schema({
+  courier: {
+    type: String,
+    required: [true, 'Courier code is required'],
+    trim: true,
+    uppercase: true
+  },
+  pincode: {
+    type: String,
+    required: [true, 'Pincode is required'],
+    trim: true,
+    match: [/^\d{6}$/, 'Pincode must be 6 digits']
+  },
+  // Copied from the Pincode collection on import
+  district: String,
+  state: String,
+  prepaid: { type: Boolean, default: true },
+  cod: { type: Boolean, default: false },
+  pickup: { type: Boolean, default: false },
+  reverse: { type: Boolean, default: false },
+  // Turnaround time in days
+  tat: {
+    standard: { type: Number, min: 0 },
+    express: { type: Number, min: 0 }
+  },
+  embargoes: [embargoSchema],
+  source: {
+    type: String,
+    trim: true
+  },
+  importedAt: Date
+}, {
+  timestamps: true
+});
+
+pincodeServiceabilitySchema.index({ courier: 1, pincode: 1 }, { unique: true });
+pincodeServiceabilitySchema.index({ pincode: 1 });
+
+export default mongoose.model('PincodeServiceability', pincodeServiceabilitySchema);
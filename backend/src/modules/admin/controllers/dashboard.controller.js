@@ -8,6 +8,7 @@ import Shipment from '../../shipping/models/shipment.model.js';
 import Ticket from '../../support/models/ticket.model.js';
 import WeightDispute from '../../seller/models/weightDispute.model.js';
 import { getRealtimeDashboardData } from '../services/realtime.service.js';
+import { SHIPMENT_STATUS } from '../../../utils/shipmentStatus.js';
 
 /**
  * Get dashboard overview statistics
@@ -117,9 +118,9 @@ export const getDashboardOverview = async (req, res, next) => {
       todayShipments
     ] = await Promise.all([
       Shipment.countDocuments(),
-      Shipment.countDocuments({ status: 'In Transit' }),
-      Shipment.countDocuments({ status: 'Delivered' }),
-      Shipment.countDocuments({ status: 'Returned' }),
+      Shipment.countDocuments({ status: SHIPMENT_STATUS.IN_TRANSIT }),
+      Shipment.countDocuments({ status: SHIPMENT_STATUS.DELIVERED }),
+      Shipment.countDocuments({ status: SHIPMENT_STATUS.RTO_DELIVERED }),
       Shipment.countDocuments({ createdAt: { $gte: today } })
     ]);
     
@@ -133,8 +134,8 @@ export const getDashboardOverview = async (req, res, next) => {
       closedTickets
     ] = await Promise.all([
       WeightDispute.countDocuments(),
-      WeightDispute.countDocuments({ status: 'Open' }),
-      WeightDispute.countDocuments({ status: 'Resolved' }),
+      WeightDispute.countDocuments({ status: { $in: ['Action Required', 'Open Dispute'] } }),
+      WeightDispute.countDocuments({ status: { $in: ['Closed Dispute', 'Closed Resolved'] } }),
       Ticket.countDocuments(),
       Ticket.countDocuments({ status: { $in: ['New', 'In Progress'] } }),
       Ticket.countDocuments({ status: { $in: ['Resolved', 'Closed'] } })
@@ -0,0 +1,155 @@
+import CourierHoliday from '../models/courierHoliday.model.js';
+import EddAdjustment from '../../../models/eddAdjustment.model.js';
+import { AppError } from '../../../middleware/errorHandler.js';
+import { clearEddCache, refreshEddAdjustments, predictDeliveryDate } from '../../../utils/edd.js';
+import { logger } from '../../../utils/logger.js';
+
+/**
+ * List courier holidays
+ * @route GET /api/v2/admin/edd/holidays
+ * @access Private (Admin only)
+ */
+export const getCourierHolidays = async (req, res, next) => {
+  try {
+    const { courier, from, to } = req.query;
+
+    const query = {};
+    if (courier) query.courier = { $in: [courier.toUpperCase(), null] };
+    if (from || to) {
+      query.date = {};
+      if (from) query.date.$gte = from;
+      if (to) query.date.$lte = to;
+    }
+
+    const holidays = await CourierHoliday.find(query).sort({ date: 1, courier: 1 }).lean();
+
+    res.status(200).json({
+      success: true,
+      count: holidays.length,
+      data: holidays
+    });
+  } catch (error) {
+    next(new AppError(error.message, 400));
+  }
+};
+
+/**
+ * Add a courier holiday (without a courier it applies to every courier)
+ * @route POST /api/v2/admin/edd/holidays
+ * @access Private (Admin only)
+ */
+export const addCourierHoliday = async (req, res, next) => {
+  try {
+    const { courier, date, name } = req.body;
+
+    const existing = await CourierHoliday.findOne({ date, courier: courier ? courier.toUpperCase() : null });
+    if (existing) {
+      return next(new AppError('A holiday already exists on this date for this courier', 400));
+    }
+
+    const holiday = await CourierHoliday.create({
+      courier: courier || null,
+      date,
+      name,
+      createdBy: req.user.id
+    });
+    await clearEddCache();
+
+    res.status(201).json({
+      success: true,
+      message: 'Holiday added successfully',
+      data: holiday
+    });
+  } catch (error) {
+    next(new AppError(error.message, 400));
+  }
+};
+
+/**
+ * Remove a courier holiday
+ * @route DELETE /api/v2/admin/edd/holidays/:id
+ * @access Private (Admin only)
+ */
+export const deleteCourierHoliday = async (req, res, next) => {
+  try {
+    const holiday = await CourierHoliday.findByIdAndDelete(req.params.id);
+    if (!holiday) {
+      return next(new AppError('Holiday not found', 404));
+    }
+    await clearEddCache();
+
+    res.status(200).json({
+      success: true,
+      message: 'Holiday removed successfully'
+    });
+  } catch (error) {
+    next(new AppError(error.message, 400));
+  }
+};
+
+/**
+ * List the learned transit time adjustments per courier, mode and zone
+ * @route GET /api/v2/admin/edd/adjustments
+ * @access Private (Admin only)
+ */
+export const getEddAdjustments = async (req, res, next) => {
+  try {
+    const { courier, mode, zone } = req.query;
+
+    const query = {};
+    if (courier) query.courier = courier.toUpperCase();
+    if (mode) query.mode = mode;
+    if (zone) query.zone = zone;
+
+    const adjustments = await EddAdjustment.find(query).sort({ courier: 1, mode: 1, zone: 1 }).lean();
+
+    res.status(200).json({
+      success: true,
+      count: adjustments.length,
+      data: adjustments
+    });
+  } catch (error) {
+    next(new AppError(error.message, 400));
+  }
+};
+
+/**
+ * Recompute the learned adjustments from delivered shipments now
+ * @route POST /api/v2/admin/edd/adjustments/refresh
+ * @access Private (Admin only)
+ */
+export const refreshAdjustments = async (req, res, next) => {
+  try {
+    const result = await refreshEddAdjustments(req.body.lookbackDays ? { lookbackDays: req.body.lookbackDays } : undefined);
+
+    logger.info(`EDD adjustments refreshed by ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Delivery date adjustments refreshed successfully',
+      data: result
+    });
+  } catch (error) {
+    next(new AppError(error.message, 400));
+  }
+};
+
+/**
+ * Preview the expected delivery date of a courier on a lane
+ * @route GET /api/v2/admin/edd/estimate
+ * @access Private (Admin only)
+ */
+export const previewDeliveryDate = async (req, res, next) => {
+  try {
+    const { courier, mode, pickupPincode, deliveryPincode, pickupCutoff } = req.query;
+
+    const edd = await predictDeliveryDate({ courier, mode, pickupPincode, deliveryPincode, pickupCutoff });
+
+    res.status(200).json({
+      success: true,
+      data: edd
+    });
+  } catch (error) {
+    next(new AppError(error.message, 400));
+  }
+};
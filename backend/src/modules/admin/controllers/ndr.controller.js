@@ -1,8 +1,15 @@
-import AdminNDR from '../models/ndr.model.js';
-import SellerNDR from '../../seller/models/ndr.model.js';
+import NDR from '../../seller/models/ndr.model.js';
 import ShippingPartner from '../models/shippingPartner.model.js';
 import { AppError } from '../../../middleware/errorHandler.js';
 import mongoose from 'mongoose';
+import { setNDRStatus, getNDRActor, NDRError } from '../../../utils/ndr.js';
+import {
+  requestNDRAction,
+  retryNDRAction,
+  canPushNDRAction,
+  buildNDRActionReport
+} from '../../../utils/ndrActions.js';
+import { generateCSV, generateXLSX } from '../../../utils/exportHelpers.js';
 import { logger } from '../../../utils/logger.js';
 import { sendEmail } from '../../../utils/email.js';
 import { sendSMS } from '../../../utils/sms.js';
@@ -16,10 +23,27 @@ export const getNDRs = async (req, res, next) => {
     const {
       page = 1,
       limit = 20,
+      status,
+      reasonCategory,
+      priority,
+      sellerId,
+      from,
+      to,
       sortField = 'createdAt',
       sortOrder = 'desc'
     } = req.query;
 
+    const query = {};
+    if (status) query.status = status;
+    if (reasonCategory) query.reasonCategory = reasonCategory;
+    if (priority) query.priority = priority;
+    if (sellerId) query['seller.id'] = sellerId;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
     // Calculate pagination
     const pageNum = parseInt(page);
     const limitNum = parseInt(limit);
@@ -31,12 +55,12 @@ export const getNDRs = async (req, res, next) => {
 
     // Execute query with pagination
     const [ndrs, total] = await Promise.all([
-      AdminNDR.find()
+      NDR.find(query)
         .sort(sort)
         .skip(skip)
         .limit(limitNum)
         .lean(),
-      AdminNDR.countDocuments()
+      NDR.countDocuments(query)
     ]);
 
     res.status(200).json({
@@ -56,7 +80,7 @@ export const getNDRs = async (req, res, next) => {
 export const getNDRById = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const ndr = await AdminNDR.findById(id);
+    const ndr = await NDR.findById(id);
     
     if (!ndr) {
       return next(new AppError('NDR not found', 404));
@@ -71,74 +95,22 @@ export const getNDRById = async (req, res, next) => {
   }
 };
 
-/**
- * Sync NDRs from seller NDRs
- */
-export const syncNDRs = async (req, res, next) => {
-  try {
-    const sellerNDRs = await SellerNDR.find()
-      .limit(20)
-      .populate('orderId')
-      .populate('shipmentId');
-    
-    let syncedCount = 0;
-    
-    for (const sellerNDR of sellerNDRs) {
-      try {
-        const existingNDR = await AdminNDR.findOne({
-          originalNDR: sellerNDR._id
-        });
-        
-        if (!existingNDR) {
-          // Create new admin NDR
-          const adminNDR = new AdminNDR({
-            originalNDR: sellerNDR._id,
-            orderId: sellerNDR.orderId._id,
-            orderModel: 'SellerOrder',
-            shipmentId: sellerNDR.shipmentId._id,
-            shipmentModel: 'SellerShipment',
-            awb: sellerNDR.awb,
-            customer: sellerNDR.customer,
-            seller: sellerNDR.seller,
-            courier: sellerNDR.courier,
-            status: sellerNDR.status,
-            reason: sellerNDR.reason,
-            reasonCategory: 'Customer Not Available',
-            products: sellerNDR.products
-          });
-          
-          await adminNDR.save();
-          syncedCount++;
-        }
-      } catch (error) {
-        console.error(`Error syncing NDR: ${error.message}`);
-      }
-    }
-    
-    res.status(200).json({
-      success: true,
-      syncedCount
-    });
-  } catch (error) {
-    next(new AppError(error.message, 400));
-  }
-};
-
 /**
  * Update NDR status
  */
 export const updateNDRStatus = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, reason, agentRemarks } = req.body;
 
-    const ndr = await AdminNDR.findById(id);
+    const ndr = await NDR.findById(id);
     
     if (!ndr) {
       return next(new AppError('NDR not found', 404));
     }
 
-    ndr.status = status;
+    // Recorded in the same status history the seller sees
+    setNDRStatus(ndr, status, { reason, remarks: agentRemarks, actor: getNDRActor(req.user), source: 'Admin' });
     await ndr.save();
 
     res.status(200).json({
@@ -149,7 +121,7 @@ export const updateNDRStatus = async (req, res, next) => {
       }
     });
   } catch (error) {
-    next(new AppError(error.message, 400));
+    next(new AppError(error.message, error instanceof NDRError ? error.statusCode : 400));
   }
 };
 
@@ -167,7 +139,7 @@ export const assignNDR = async (req, res, next) => {
     }
 
     // Find the NDR
-    const ndr = await AdminNDR.findById(id);
+    const ndr = await NDR.findById(id);
 
     if (!ndr) {
       return next(new AppError('NDR not found', 404));
@@ -229,46 +201,123 @@ export const initiateRTO = async (req, res, next) => {
     }
 
     // Find the NDR
-    const ndr = await AdminNDR.findById(id);
+    const ndr = await NDR.findById(id);
 
     if (!ndr) {
       return next(new AppError('NDR not found', 404));
     }
 
-    // Update NDR with RTO details
-    ndr.status = 'RTO Initiated';
-    ndr.actionTaken = 'RTO Initiated';
-    
-    ndr.rtoDetails = {
-      initiatedDate: new Date(),
-      reason,
-      status: 'Initiated'
-    };
-
-    ndr.statusHistory.push({
-      status: 'RTO Initiated',
-      updatedBy: {
-        id: req.user.id,
-        name: req.user.name,
-        role: req.user.role
-      },
-      reason,
-      timestamp: new Date()
-    });
+    if (['RTO Initiated', 'RTO Completed'].includes(ndr.status)) {
+      return next(new AppError(`NDR is already ${ndr.status}`, 409));
+    }
 
-    // Save changes
-    await ndr.save();
+    // Sets the RTO details and records the change in the status history;
+    // couriers that take NDR actions are told through their API as well
+    let action;
+    if (canPushNDRAction(ndr)) {
+      action = await requestNDRAction(ndr, { type: 'RTO', reason, remarks }, { actor: getNDRActor(req.user), source: 'Admin' });
+    } else {
+      setNDRStatus(ndr, 'RTO Initiated', { reason, remarks, actor: getNDRActor(req.user), source: 'Admin' });
+      await ndr.save();
+    }
 
     res.status(200).json({
       success: true,
       data: {
         id: ndr._id,
         status: ndr.status,
+        courierAction: action,
         message: 'RTO initiated successfully'
       }
     });
   } catch (error) {
-    next(new AppError(error.message, 400));
+    next(new AppError(error.message, error instanceof NDRError ? error.statusCode : 400));
+  }
+};
+
+/**
+ * Request a re-attempt, address/phone change or RTO and push it to the courier
+ */
+export const requestAction = async (req, res, next) => {
+  try {
+    const ndr = await NDR.findById(req.params.id);
+
+    if (!ndr) {
+      return next(new AppError('NDR not found', 404));
+    }
+
+    const action = await requestNDRAction(ndr, req.body, { actor: getNDRActor(req.user), source: 'Admin' });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        id: ndr._id,
+        status: ndr.status,
+        action,
+        message: action.status === 'Submitted'
+          ? 'NDR action submitted to the courier'
+          : 'NDR action recorded; it will be sent to the courier again shortly'
+      }
+    });
+  } catch (error) {
+    next(new AppError(error.message, error instanceof NDRError ? error.statusCode : 400));
+  }
+};
+
+/**
+ * Push an NDR action that ran out of retries to the courier again
+ */
+export const retryAction = async (req, res, next) => {
+  try {
+    const ndr = await NDR.findById(req.params.id);
+
+    if (!ndr) {
+      return next(new AppError('NDR not found', 404));
+    }
+
+    const action = await retryNDRAction(ndr, req.params.actionId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: ndr._id,
+        action,
+        message: action.status === 'Submitted'
+          ? 'NDR action submitted to the courier'
+          : 'Courier did not accept the action; it will be retried'
+      }
+    });
+  } catch (error) {
+    next(new AppError(error.message, error instanceof NDRError ? error.statusCode : 400));
+  }
+};
+
+/**
+ * Export NDR actions pushed to couriers, for chasing the ones not acted on
+ */
+export const exportNDRActions = async (req, res, next) => {
+  try {
+    const { status, type, courier, sellerId, from, to, format = 'csv' } = req.query;
+
+    const exportData = await buildNDRActionReport({ status, type, courier, sellerId, from, to });
+
+    if (exportData.length === 0) {
+      return next(new AppError('No NDR actions found for export', 404));
+    }
+
+    let exportResult;
+    if (format.toLowerCase() === 'xlsx') {
+      exportResult = await generateXLSX(exportData, 'ndr-actions');
+    } else {
+      exportResult = await generateCSV(exportData, 'ndr-actions');
+    }
+
+    res.setHeader('Content-Type', exportResult.mimeType);
+    res.setHeader('Content-Disposition', `attachment; filename=${exportResult.filename}`);
+    res.status(200).send(exportResult.content);
+  } catch (error) {
+    logger.error(`Error in exportNDRActions: ${error.message}`);
+    next(new AppError(error.message, 500));
   }
 };
 
@@ -278,13 +327,13 @@ export const initiateRTO = async (req, res, next) => {
 export const getNDRStats = async (req, res, next) => {
   try {
     // Get NDR stats by courier
-    const courierStats = await AdminNDR.getNDRStatsByCourier();
+    const courierStats = await NDR.getNDRStatsByCourier();
 
     // Get NDR stats by reason category
-    const reasonStats = await AdminNDR.getNDRStatsByReasonCategory();
+    const reasonStats = await NDR.getNDRStatsByReasonCategory();
 
     // Get NDR counts by status
-    const statusCounts = await AdminNDR.aggregate([
+    const statusCounts = await NDR.aggregate([
       {
         $group: {
           _id: '$status',
@@ -312,20 +361,3 @@ export const getNDRStats = async (req, res, next) => {
     next(new AppError(error.message, 400));
   }
 };
-
-// Helper function to determine reason category based on NDR reason
-function determineReasonCategory(reason) {
-  if (!reason) return 'Customer Not Available';
-  
-  reason = reason.toLowerCase();
-  
-  if (reason.includes('address') || reason.includes('location')) {
-    return 'Address Issues';
-  } else if (reason.includes('damage') || reason.includes('restrict')) {
-    return 'Delivery Issues';
-  } else if (reason.includes('refuse') || reason.includes('reject') || reason.includes('cancel')) {
-    return 'Customer Refusal';
-  }
-  
-  return 'Customer Not Available';
-} 
\ No newline at end of file
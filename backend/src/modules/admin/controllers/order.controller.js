@@ -7,6 +7,8 @@ import Customer from '../../customer/models/customer.model.js';
 import mongoose from 'mongoose';
 import { getIO } from '../../../utils/socketio.js';
 import { getCache, setCache, CACHE_KEYS, CACHE_TTL } from '../../../utils/cache.js';
+import { getItemsWeight } from '../../../utils/orderItems.js';
+import { syncOrderStock } from '../../../utils/inventory.js';
 
 /**
  * Get orders with pagination and filtering
@@ -272,14 +274,15 @@ export const getOrderDetails = async (req, res, next) => {
           phone: order.customer.phone,
           address: `${order.customer.address.street}, ${order.customer.address.city}, ${order.customer.address.state} - ${order.customer.address.pincode}`
         },
-        items: [{
-          name: order.product.name,
-          sku: order.product.sku,
-          quantity: order.product.quantity,
-          price: parseFloat(order.product.price),
-          total: parseFloat(order.product.price) * order.product.quantity,
-          weight: order.product.weight
-        }],
+        items: order.items.map(item => ({
+          name: item.name,
+          sku: item.sku,
+          hsn: item.hsn,
+          quantity: item.quantity,
+          price: item.price,
+          total: item.price * item.quantity,
+          weight: item.weight
+        })),
         seller: order.seller ? {
           id: order.seller._id,
           name: order.seller.name,
@@ -292,7 +295,8 @@ export const getOrderDetails = async (req, res, next) => {
         codCharge: order.payment.codCharge,
         shippingCharge: order.payment.shippingCharge,
         channel: order.channel,
-        weight: order.product.weight,
+        weight: getItemsWeight(order.items),
+        dimensions: order.dimensions,
         status: order.status,
         awbNumber: order.awb,
         courier: order.courier,
@@ -449,6 +453,7 @@ export const updateOrderStatus = async (req, res, next) => {
         
         updatedOrder = await order.save();
       }
+      await syncOrderStock(updatedOrder);
     } else {
       // Customer order
       const validStatuses = ['Booked', 'Processing', 'In Transit', 'Out for Delivery', 'Delivered', 'Failed', 'Cancelled'];
@@ -596,6 +601,7 @@ export const bulkUpdateOrderStatus = async (req, res, next) => {
           }
           
           await order.save();
+          await syncOrderStock(order);
           results.updated++;
           
           // Invalidate cache for this order
@@ -730,6 +736,7 @@ export const bulkUpdateOrderStatus = async (req, res, next) => {
               }
               
               await order.save();
+              await syncOrderStock(order);
               results.updated++;
               
               // Invalidate cache for this order
@@ -1202,8 +1209,8 @@ export const exportOrders = async (req, res, next) => {
     // Prepare data for export
     let exportData = [];
     
-    // Process seller orders
-    sellerOrders.forEach(order => {
+    // Process seller orders, one row per line item
+    sellerOrders.forEach(order => (order.items || []).forEach(item => {
       exportData.push({
         Type: 'Seller',
         OrderID: order.orderId,
@@ -1214,22 +1221,23 @@ export const exportOrders = async (req, res, next) => {
         CustomerEmail: order.customer?.email || '',
         CustomerAddress: order.customer?.address ? 
           `${order.customer.address.street}, ${order.customer.address.city}, ${order.customer.address.state} - ${order.customer.address.pincode}` : '',
-        ProductName: order.product?.name || '',
-        ProductSKU: order.product?.sku || '',
-        Quantity: order.product?.quantity || 0,
-        UnitPrice: order.product?.price || 0,
+        ProductName: item.name || '',
+        ProductSKU: item.sku || '',
+        HSN: item.hsn || '',
+        Quantity: item.quantity || 0,
+        UnitPrice: item.price || 0,
         TotalAmount: order.payment?.total || 0,
         PaymentMethod: order.payment?.method || '',
         CODCharge: order.payment?.codCharge || 0,
         ShippingCharge: order.payment?.shippingCharge || 0,
-        Weight: order.product?.weight || '',
+        Weight: item.weight ?? '',
         Status: order.status,
         Courier: order.courier || '',
         Channel: order.channel || '',
         CreatedAt: order.createdAt ? new Date(order.createdAt).toISOString() : '',
         UpdatedAt: order.updatedAt ? new Date(order.updatedAt).toISOString() : ''
       });
-    });
+    }));
     
     // Process customer orders
     customerOrders.forEach(order => {
@@ -1245,6 +1253,7 @@ export const exportOrders = async (req, res, next) => {
           `${order.deliveryAddress.address1}, ${order.deliveryAddress.city}, ${order.deliveryAddress.state} - ${order.deliveryAddress.pincode}` : '',
         ProductName: order.package?.items?.length > 0 ? order.package.items[0].name : '',
         ProductSKU: '',
+        HSN: '',
         Quantity: order.package?.items?.length > 0 ? order.package.items[0].quantity : 0,
         UnitPrice: order.package?.items?.length > 0 ? order.package.items[0].value : 0,
         TotalAmount: order.amount || 0,
@@ -0,0 +1,148 @@
+import RateCard from '../models/rateCard.model.js';
+import Seller from '../../seller/models/seller.model.js';
+import { AppError } from '../../../middleware/errorHandler.js';
+import { logger } from '../../../utils/logger.js';
+import mongoose from 'mongoose';
+
+// Fields an admin may set when publishing a rate card version
+const pickRateCardFields = (body) => ({
+  name: body.name,
+  scope: body.scope,
+  rateBand: body.scope === 'band' ? body.rateBand : null,
+  seller: body.scope === 'seller' ? body.seller : null,
+  couriers: body.couriers,
+  gstPercent: body.gstPercent,
+  effectiveFrom: body.effectiveFrom,
+  effectiveTo: body.effectiveTo,
+  description: body.description
+});
+
+/**
+ * List rate cards (every version)
+ * @route GET /api/v2/admin/billing/rate-cards
+ * @access Private (Admin only)
+ */
+export const getRateCards = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, scope, rateBand, seller, isActive } = req.query;
+
+    const query = {};
+    if (scope) query.scope = scope;
+    if (rateBand) query.rateBand = rateBand;
+    if (seller) query.seller = seller;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const [rateCards, total] = await Promise.all([
+      RateCard.find(query)
+        .select('-couriers.zones')
+        .populate('seller', 'name businessName email')
+        .sort({ scope: 1, rateBand: 1, seller: 1, version: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      RateCard.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: rateCards.length,
+      total,
+      data: rateCards
+    });
+  } catch (error) {
+    logger.error(`Error in getRateCards: ${error.message}`);
+    next(new AppError(error.message, 400));
+  }
+};
+
+/**
+ * Get a rate card version with all courier rates
+ * @route GET /api/v2/admin/billing/rate-cards/:id
+ * @access Private (Admin only)
+ */
+export const getRateCardById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return next(new AppError('Invalid rate card ID', 400));
+    }
+
+    const rateCard = await RateCard.findById(id)
+      .populate('seller', 'name businessName email')
+      .lean();
+
+    if (!rateCard) {
+      return next(new AppError('Rate card not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: rateCard
+    });
+  } catch (error) {
+    logger.error(`Error in getRateCardById: ${error.message}`);
+    next(new AppError(error.message, 400));
+  }
+};
+
+/**
+ * Publish a new rate card version for the default card, a rate band or a seller
+ * @route POST /api/v2/admin/billing/rate-cards
+ * @access Private (Admin only)
+ */
+export const publishRateCard = async (req, res, next) => {
+  try {
+    const data = pickRateCardFields(req.body);
+
+    if (data.scope === 'seller' && !(await Seller.exists({ _id: data.seller }))) {
+      return next(new AppError('Seller not found', 404));
+    }
+
+    const rateCard = await RateCard.publishVersion(data, req.user.id);
+
+    logger.info(`Admin ${req.user.id} published ${rateCard.scope} rate card ${rateCard._id} version ${rateCard.version}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Rate card published successfully',
+      data: rateCard
+    });
+  } catch (error) {
+    logger.error(`Error in publishRateCard: ${error.message}`);
+    next(new AppError(error.message, 400));
+  }
+};
+
+/**
+ * Activate or deactivate a rate card version
+ * @route PATCH /api/v2/admin/billing/rate-cards/:id/status
+ * @access Private (Admin only)
+ */
+export const updateRateCardStatus = async (req, res, next) => {
+  try {
+    const rateCard = await RateCard.findByIdAndUpdate(
+      req.params.id,
+      { isActive: req.body.isActive, updatedBy: req.user.id },
+      { new: true }
+    );
+
+    if (!rateCard) {
+      return next(new AppError('Rate card not found', 404));
+    }
+
+    logger.info(`Admin ${req.user.id} ${rateCard.isActive ? 'activated' : 'deactivated'} rate card ${rateCard._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Rate card status updated successfully',
+      data: rateCard
+    });
+  } catch (error) {
+    logger.error(`Error in updateRateCardStatus: ${error.message}`);
+    next(new AppError(error.message, 400));
+  }
+};
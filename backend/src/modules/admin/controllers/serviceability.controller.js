@@ -0,0 +1,179 @@
+import path from 'path';
+import PincodeServiceability from '../../../models/pincodeServiceability.model.js';
+import { AppError } from '../../../middleware/errorHandler.js';
+import {
+  readServiceabilityFile,
+  importServiceability,
+  clearServiceabilityCache,
+  ServiceabilityError
+} from '../../../utils/serviceability.js';
+import { logger } from '../../../utils/logger.js';
+
+const IMPORT_EXTENSIONS = ['.csv', '.xlsx', '.xls'];
+
+/**
+ * Pincode counts per courier
+ * @route GET /api/v2/admin/serviceability/summary
+ * @access Private (Admin only)
+ */
+export const getServiceabilitySummary = async (req, res, next) => {
+  try {
+    const couriers = await PincodeServiceability.aggregate([
+      {
+        $group: {
+          _id: '$courier',
+          pincodes: { $sum: 1 },
+          prepaid: { $sum: { $cond: ['$prepaid', 1, 0] } },
+          cod: { $sum: { $cond: ['$cod', 1, 0] } },
+          pickup: { $sum: { $cond: ['$pickup', 1, 0] } },
+          reverse: { $sum: { $cond: ['$reverse', 1, 0] } },
+          embargoed: { $sum: { $cond: [{ $gt: [{ $size: { $ifNull: ['$embargoes', []] } }, 0] }, 1, 0] } },
+          lastImportedAt: { $max: '$importedAt' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: couriers.map(({ _id, ...counts }) => ({ courier: _id, ...counts }))
+    });
+  } catch (error) {
+    next(new AppError(error.message, 400));
+  }
+};
+
+/**
+ * List serviceability entries
+ * @route GET /api/v2/admin/serviceability
+ * @access Private (Admin only)
+ */
+export const getServiceabilityEntries = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 100, courier, pincode, state } = req.query;
+
+    const query = {};
+    if (courier) query.courier = courier.toUpperCase();
+    if (pincode) query.pincode = { $regex: `^${pincode}` };
+    if (state) query.state = { $regex: `^${state.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, $options: 'i' };
+
+    const [entries, total] = await Promise.all([
+      PincodeServiceability.find(query)
+        .sort({ courier: 1, pincode: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      PincodeServiceability.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total,
+      data: entries
+    });
+  } catch (error) {
+    next(new AppError(error.message, 400));
+  }
+};
+
+/**
+ * Import a courier's serviceability file (CSV or XLSX)
+ * @route POST /api/v2/admin/serviceability/:courier/import
+ * @access Private (Admin only)
+ */
+export const importCourierServiceability = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return next(new AppError('Please upload a CSV or Excel file', 400));
+    }
+
+    const extension = path.extname(req.file.originalname).toLowerCase();
+    if (!IMPORT_EXTENSIONS.includes(extension)) {
+      return next(new AppError(`File must be one of: ${IMPORT_EXTENSIONS.join(', ')}`, 400));
+    }
+
+    const rows = readServiceabilityFile(req.file.buffer);
+    if (rows.length === 0) {
+      return next(new AppError('File is empty', 400));
+    }
+
+    const result = await importServiceability({
+      courier: req.params.courier,
+      rows,
+      replace: req.body.replace === true || req.body.replace === 'true',
+      source: req.file.originalname
+    });
+
+    logger.info(`Serviceability for ${result.courier} imported by ${req.user.id} from ${req.file.originalname}: ${result.imported} imported, ${result.removed} removed, ${result.failed} failed`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Serviceability imported successfully',
+      data: result
+    });
+  } catch (error) {
+    next(new AppError(error.message, error instanceof ServiceabilityError ? error.statusCode : 400));
+  }
+};
+
+/**
+ * Update a courier's serviceability at one pincode (flags, TAT or embargoes)
+ * @route PATCH /api/v2/admin/serviceability/:courier/:pincode
+ * @access Private (Admin only)
+ */
+export const updatePincodeServiceability = async (req, res, next) => {
+  try {
+    const courier = req.params.courier.toUpperCase();
+    const { prepaid, cod, pickup, reverse, tat, embargoes } = req.body;
+
+    const entry = await PincodeServiceability.findOne({ courier, pincode: req.params.pincode });
+    if (!entry) {
+      return next(new AppError('Serviceability entry not found', 404));
+    }
+
+    if (prepaid !== undefined) entry.prepaid = prepaid;
+    if (cod !== undefined) entry.cod = cod;
+    if (pickup !== undefined) entry.pickup = pickup;
+    if (reverse !== undefined) entry.reverse = reverse;
+    if (tat?.standard !== undefined) entry.tat.standard = tat.standard;
+    if (tat?.express !== undefined) entry.tat.express = tat.express;
+    if (embargoes !== undefined) entry.embargoes = embargoes;
+
+    await entry.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Serviceability updated successfully',
+      data: entry
+    });
+  } catch (error) {
+    next(new AppError(error.message, 400));
+  }
+};
+
+/**
+ * Remove all serviceability data of a courier (the courier is then no longer restricted)
+ * @route DELETE /api/v2/admin/serviceability/:courier
+ * @access Private (Admin only)
+ */
+export const removeCourierServiceability = async (req, res, next) => {
+  try {
+    const courier = req.params.courier.toUpperCase();
+    const result = await PincodeServiceability.deleteMany({ courier });
+    await clearServiceabilityCache();
+
+    logger.info(`Serviceability for ${courier} removed by ${req.user.id}: ${result.deletedCount} pincodes`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Serviceability removed successfully',
+      data: {
+        courier,
+        removed: result.deletedCount
+      }
+    });
+  } catch (error) {
+    next(new AppError(error.message, 400));
+  }
+};
@@ -7,6 +7,8 @@ import fs from 'fs';
 import path from 'path';
 import { io } from '../../../server.js';
 import { getCache, setCache, deleteCache } from '../../../utils/redis.js';
+import { clearVolumetricRulesCache } from '../../../utils/chargeableWeight.js';
+import { clearEddCache } from '../../../utils/edd.js';
 import { sendEmail } from '../../../utils/email.js';
 import { logger } from '../../../utils/logger.js';
 
@@ -136,6 +138,8 @@ export const createShippingPartner = async (req, res, next) => {
     // Invalidate cache with specific keys
     try {
       await deleteCache('shipping_partners:all');
+      await clearVolumetricRulesCache();
+      await clearEddCache();
     } catch (error) {
       logger.error(`Cache invalidation error: ${error.message}`);
     }
@@ -208,6 +212,8 @@ export const updateShippingPartner = async (req, res, next) => {
 
     // Invalidate cache
     deleteCache('shipping_partners:all');
+    clearVolumetricRulesCache();
+    clearEddCache();
     deleteCache(`shipping_partners:${id}`);
 
     // Emit event for real-time updates
@@ -326,6 +332,8 @@ export const deleteShippingPartner = async (req, res, next) => {
 
     // Invalidate cache
     deleteCache('shipping_partners:all');
+    clearVolumetricRulesCache();
+    clearEddCache();
 
     // Emit event for real-time updates
     io.emit('partner:deleted', {
@@ -588,7 +596,7 @@ export const getPartnerRates = async (req, res, next) => {
     }
 
     // Find the partner
-    const partner = await ShippingPartner.findById(id, 'name rates zones weightLimits');
+    const partner = await ShippingPartner.findById(id, 'name rates volumetric zones weightLimits');
     
     if (!partner) {
       return next(new AppError('Shipping partner not found', 404));
@@ -599,6 +607,7 @@ export const getPartnerRates = async (req, res, next) => {
       data: {
         name: partner.name,
         rates: partner.rates,
+        volumetric: partner.volumetric,
         zones: partner.zones,
         weightLimits: partner.weightLimits,
         lastUpdated: partner.lastUpdated
@@ -617,7 +626,7 @@ export const getPartnerRates = async (req, res, next) => {
 export const updatePartnerRates = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { rates, zones } = req.body;
+    const { rates, volumetric, zones } = req.body;
 
     // Check for valid ObjectId
     if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -636,6 +645,15 @@ export const updatePartnerRates = async (req, res, next) => {
       partner.rates = rates;
     }
 
+    // Update the fields given for each volumetric mode, keeping the rest of its rule
+    if (volumetric) {
+      for (const mode of ['air', 'surface']) {
+        for (const [field, value] of Object.entries(volumetric[mode] || {})) {
+          partner.set(`volumetric.${mode}.${field}`, value);
+        }
+      }
+    }
+
     // Update zones if provided
     if (zones) {
       partner.zones = zones;
@@ -648,6 +666,8 @@ export const updatePartnerRates = async (req, res, next) => {
 
     // Invalidate cache
     deleteCache('shipping_partners:all');
+    clearVolumetricRulesCache();
+    clearEddCache();
     deleteCache(`shipping_partners:${id}`);
 
     res.status(200).json({
@@ -656,6 +676,7 @@ export const updatePartnerRates = async (req, res, next) => {
       data: {
         name: partner.name,
         rates: partner.rates,
+        volumetric: partner.volumetric,
         zones: partner.zones,
         lastUpdated: partner.lastUpdated
       }
@@ -4,7 +4,7 @@ import Seller from '../../seller/models/seller.model.js';
 import Customer from '../../customer/models/customer.model.js';
 import Order from '../../order/models/order.model.js';
 import Agreement from '../../seller/models/agreement.model.js';
-import RateCard from '../../seller/models/ratecard.model.js';
+import RateCard from '../models/rateCard.model.js';
 import { getIO } from '../../../utils/socketio.js';
 import { getSellerProfile } from '../../seller/services/realtime.service.js';
 import { getCustomerProfile } from '../../customer/services/realtime.service.js';
@@ -147,7 +147,7 @@ export const getSellerDetails = async (req, res, next) => {
         const agreements = await Agreement.find({ seller: id });
 
         // Get rate cards
-        const rateCards = await RateCard.find({ seller: id });
+        const rateCards = await RateCard.find({ scope: 'seller', seller: id }).sort({ version: -1 });
 
         // Add real-time flag to indicate if data came from real-time cache
         const responseData = {
@@ -350,14 +350,14 @@ export const createSellerAgreement = async (req, res, next) => {
 };
 
 /**
- * Create or update rate card for seller
+ * Publish a new rate card version and/or set the rate band for a seller
  * @route POST /api/v1/admin/users/sellers/:id/ratecards
  * @access Private (Admin only)
  */
 export const manageSellerRateCard = async (req, res, next) => {
     try {
         const { id } = req.params;
-        const { title, rates, validFrom, validTo, isActive } = req.body;
+        const { title, couriers, gstPercent, validFrom, validTo, rateBand } = req.body;
 
         // Find seller
         const seller = await Seller.findById(id);
@@ -366,40 +366,33 @@ export const manageSellerRateCard = async (req, res, next) => {
             return next(new AppError('Seller not found', 404));
         }
 
-        // Create or update rate card
-        let rateCard = await RateCard.findOne({ 
-            seller: id,
-            title: title
-        });
+        // Assign the seller to a rate band (used when they have no own rate card)
+        if (rateBand !== undefined) {
+            seller.rateBand = rateBand || null;
+            await seller.save();
+        }
 
-        if (rateCard) {
-            // Update existing rate card
-            rateCard.rates = rates;
-            rateCard.validFrom = validFrom;
-            rateCard.validTo = validTo;
-            rateCard.isActive = isActive;
-            rateCard.updatedBy = req.user.id;
-        } else {
-            // Create new rate card
-            rateCard = new RateCard({
+        // Publish a new version of the seller's own rate card; earlier versions stay as history
+        let rateCard = null;
+        if (couriers) {
+            rateCard = await RateCard.publishVersion({
+                scope: 'seller',
                 seller: id,
-                title,
-                rates,
-                validFrom,
-                validTo,
-                isActive,
-                createdBy: req.user.id
-            });
+                name: title || `${seller.businessName || seller.name} rate card`,
+                couriers,
+                gstPercent,
+                effectiveFrom: validFrom,
+                effectiveTo: validTo
+            }, req.user.id);
         }
 
-        await rateCard.save();
-
         // Log the rate card operation
-        logger.info(`Admin ${req.user.id} ${rateCard.isNew ? 'created' : 'updated'} rate card for seller ${id}`);
+        logger.info(`Admin ${req.user.id} updated rate card for seller ${id}${rateCard ? ` (version ${rateCard.version})` : ''}`);
 
-        res.status(rateCard.isNew ? 201 : 200).json({
+        res.status(rateCard ? 201 : 200).json({
             success: true,
             data: {
+                rateBand: seller.rateBand,
                 rateCard
             }
         });
@@ -409,6 +402,45 @@ export const manageSellerRateCard = async (req, res, next) => {
     }
 };
 
+/**
+ * Set how far a seller's prepaid bookings may take their wallet below zero
+ * @route PATCH /api/v1/admin/users/sellers/:id/credit-limit
+ * @access Private (Admin only)
+ */
+export const updateSellerCreditLimit = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const creditLimit = Number(req.body.creditLimit);
+
+        if (!Number.isFinite(creditLimit) || creditLimit < 0) {
+            return next(new AppError('Credit limit must be a non-negative amount', 400));
+        }
+
+        const seller = await Seller.findById(id);
+
+        if (!seller) {
+            return next(new AppError('Seller not found', 404));
+        }
+
+        seller.creditLimit = creditLimit.toFixed(2);
+        await seller.save();
+
+        logger.info(`Admin ${req.user.id} set credit limit of seller ${id} to ${seller.creditLimit}`);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                walletBalance: seller.walletBalance,
+                walletHeld: seller.walletHeld,
+                creditLimit: seller.creditLimit
+            }
+        });
+    } catch (error) {
+        logger.error(`Error in updateSellerCreditLimit: ${error.message}`);
+        next(new AppError('Failed to update seller credit limit', 500));
+    }
+};
+
 /**
  * Get all customers with pagination and filters
  * @route GET /api/v1/admin/users/customers
@@ -0,0 +1,189 @@
+import mongoose from 'mongoose';
+import CourierWebhook from '../../../models/courierWebhook.model.js';
+import ShippingPartner from '../models/shippingPartner.model.js';
+import { AppError } from '../../../middleware/errorHandler.js';
+import { processCourierWebhook } from '../../../utils/courierWebhooks.js';
+import { logger } from '../../../utils/logger.js';
+
+// Webhook settings as shown to admins (the secret itself is never returned)
+const formatWebhookConfig = (partner, req) => ({
+  partnerId: partner._id,
+  name: partner.name,
+  url: `${req.protocol}://${req.get('host')}/api/webhooks/couriers/${partner.name.toLowerCase()}`,
+  enabled: partner.webhook?.enabled || false,
+  hasSecret: Boolean(partner.webhook?.secret),
+  signatureScheme: partner.webhook?.signatureScheme,
+  signatureHeader: partner.webhook?.signatureHeader,
+  signatureEncoding: partner.webhook?.signatureEncoding
+});
+
+/**
+ * List received courier webhooks
+ * @route GET /api/v2/admin/webhooks
+ * @access Private (Admin only)
+ */
+export const getWebhooks = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, courier, status, awb, from, to } = req.query;
+
+    const query = {};
+    if (courier) query.courier = courier.toUpperCase();
+    if (status) query.status = status;
+    if (awb) query['results.awb'] = awb;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const [webhooks, total] = await Promise.all([
+      CourierWebhook.find(query)
+        .select('-rawBody -headers')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      CourierWebhook.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: webhooks.length,
+      total,
+      data: webhooks
+    });
+  } catch (error) {
+    next(new AppError(error.message, 400));
+  }
+};
+
+/**
+ * Get a received webhook including its raw body
+ * @route GET /api/v2/admin/webhooks/:id
+ * @access Private (Admin only)
+ */
+export const getWebhookById = async (req, res, next) => {
+  try {
+    const webhook = await CourierWebhook.findById(req.params.id).lean();
+
+    if (!webhook) {
+      return next(new AppError('Webhook not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: webhook
+    });
+  } catch (error) {
+    next(new AppError(error.message, 400));
+  }
+};
+
+/**
+ * Apply a stored webhook again (e.g. after fixing a courier status mapping)
+ * @route POST /api/v2/admin/webhooks/:id/replay
+ * @access Private (Admin only)
+ */
+export const replayWebhook = async (req, res, next) => {
+  try {
+    const webhook = await CourierWebhook.findById(req.params.id);
+
+    if (!webhook) {
+      return next(new AppError('Webhook not found', 404));
+    }
+
+    // Only webhooks that passed signature verification may be replayed
+    if (!webhook.signatureValid) {
+      return next(new AppError('Webhooks with an invalid signature cannot be replayed', 400));
+    }
+
+    webhook.lastReplayedAt = new Date();
+    await processCourierWebhook(webhook);
+
+    logger.info(`Webhook ${webhook._id} (${webhook.courier}) replayed by ${req.user.id}: ${webhook.status}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook replayed',
+      data: {
+        id: webhook._id,
+        status: webhook.status,
+        attempts: webhook.attempts,
+        results: webhook.results,
+        error: webhook.error
+      }
+    });
+  } catch (error) {
+    next(new AppError(error.message, 400));
+  }
+};
+
+/**
+ * Get a shipping partner's webhook settings
+ * @route GET /api/v2/admin/partners/:id/webhook
+ * @access Private (Admin only)
+ */
+export const getPartnerWebhook = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return next(new AppError('Invalid partner ID', 400));
+    }
+
+    const partner = await ShippingPartner.findById(id).select('name webhook +webhook.secret');
+
+    if (!partner) {
+      return next(new AppError('Shipping partner not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatWebhookConfig(partner, req)
+    });
+  } catch (error) {
+    next(new AppError(error.message, 400));
+  }
+};
+
+/**
+ * Update a shipping partner's webhook settings
+ * @route PUT /api/v2/admin/partners/:id/webhook
+ * @access Private (Admin only)
+ */
+export const updatePartnerWebhook = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { enabled, secret, signatureScheme, signatureHeader, signatureEncoding } = req.body;
+
+    const partner = await ShippingPartner.findById(id).select('+webhook.secret');
+
+    if (!partner) {
+      return next(new AppError('Shipping partner not found', 404));
+    }
+
+    if (signatureScheme !== undefined) partner.webhook.signatureScheme = signatureScheme;
+    if (signatureHeader !== undefined) partner.webhook.signatureHeader = signatureHeader;
+    if (signatureEncoding !== undefined) partner.webhook.signatureEncoding = signatureEncoding;
+    if (secret !== undefined) partner.webhook.secret = secret;
+    if (enabled !== undefined) partner.webhook.enabled = enabled;
+
+    // A signed scheme cannot be switched on without a secret
+    if (partner.webhook.enabled && partner.webhook.signatureScheme !== 'none' && !partner.webhook.secret) {
+      return next(new AppError('A webhook secret is required for this signature scheme', 400));
+    }
+
+    await partner.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook settings updated successfully',
+      data: formatWebhookConfig(partner, req)
+    });
+  } catch (error) {
+    next(new AppError(error.message, 400));
+  }
+};
@@ -0,0 +1,142 @@
+import path from 'path';
+import WeightDispute from '../../seller/models/weightDispute.model.js';
+import { AppError } from '../../../middleware/errorHandler.js';
+import {
+  readWeightFile,
+  importWeightDiscrepancies,
+  decideWeightDispute,
+  WeightDisputeError
+} from '../../../utils/weightDisputes.js';
+import { logger } from '../../../utils/logger.js';
+
+const IMPORT_EXTENSIONS = ['.csv', '.xlsx', '.xls'];
+
+const getActor = (user) => ({ id: user.id, name: user.fullName, role: user.role });
+
+/**
+ * List weight disputes
+ * @route GET /api/v2/admin/weight-disputes
+ * @access Private (Admin only)
+ */
+export const getWeightDisputes = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status, sellerId, courier, awb, from, to } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (sellerId) query.seller = sellerId;
+    if (courier) query.courierPartner = courier;
+    if (awb) query.awbNumber = awb;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const [disputes, total] = await Promise.all([
+      WeightDispute.find(query)
+        .populate('seller', 'name businessName email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      WeightDispute.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: disputes.length,
+      total,
+      data: disputes
+    });
+  } catch (error) {
+    next(new AppError(error.message, 400));
+  }
+};
+
+/**
+ * Weight dispute details
+ * @route GET /api/v2/admin/weight-disputes/:id
+ * @access Private (Admin only)
+ */
+export const getWeightDispute = async (req, res, next) => {
+  try {
+    const dispute = await WeightDispute.findById(req.params.id)
+      .populate('seller', 'name businessName email phone')
+      .populate('settlement.walletTransaction');
+    if (!dispute) {
+      return next(new AppError('Weight dispute not found', 404));
+    }
+
+    res.status(200).json({ success: true, data: dispute });
+  } catch (error) {
+    next(new AppError(error.message, 400));
+  }
+};
+
+/**
+ * Import the weights a courier applied (CSV or XLSX) and open disputes for the discrepancies
+ * @route POST /api/v2/admin/weight-disputes/import
+ * @access Private (Admin only)
+ */
+export const importWeightDisputes = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return next(new AppError('Please upload a CSV or Excel file', 400));
+    }
+
+    const extension = path.extname(req.file.originalname).toLowerCase();
+    if (!IMPORT_EXTENSIONS.includes(extension)) {
+      return next(new AppError(`File must be one of: ${IMPORT_EXTENSIONS.join(', ')}`, 400));
+    }
+
+    const rows = readWeightFile(req.file.buffer);
+    if (rows.length === 0) {
+      return next(new AppError('File is empty', 400));
+    }
+
+    const result = await importWeightDiscrepancies({
+      rows,
+      courier: req.body.courier,
+      source: req.file.originalname,
+      actor: getActor(req.user)
+    });
+
+    logger.info(`Courier weights imported by ${req.user.id} from ${req.file.originalname}: ${result.created} disputes opened, ${result.skipped.length} skipped, ${result.errors.length} failed`);
+
+    res.status(200).json({
+      success: true,
+      message: `${result.created} weight disputes opened`,
+      data: result
+    });
+  } catch (error) {
+    next(new AppError(error.message, error instanceof WeightDisputeError ? error.statusCode : 400));
+  }
+};
+
+/**
+ * Decide a disputed weight and settle the difference in the seller's wallet
+ * @route POST /api/v2/admin/weight-disputes/:id/decide
+ * @access Private (Admin only)
+ */
+export const decideDispute = async (req, res, next) => {
+  try {
+    const dispute = await WeightDispute.findById(req.params.id);
+    if (!dispute) {
+      return next(new AppError('Weight dispute not found', 404));
+    }
+
+    const { outcome, revisedWeight, remarks } = req.body;
+    const decided = await decideWeightDispute(dispute, { outcome, revisedWeight, remarks }, { actor: getActor(req.user) });
+
+    res.status(200).json({
+      success: true,
+      message: decided.settlement?.status === 'Failed'
+        ? `Dispute ${outcome.toLowerCase()}; the wallet adjustment will be retried shortly`
+        : `Dispute ${outcome.toLowerCase()}`,
+      data: decided
+    });
+  } catch (error) {
+    next(new AppError(error.message, error instanceof WeightDisputeError ? error.statusCode : 400));
+  }
+};
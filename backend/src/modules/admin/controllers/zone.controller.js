@@ -0,0 +1,195 @@
+import ZoneMatrix from '../models/zoneMatrix.model.js';
+import OdaPincode from '../models/odaPincode.model.js';
+import { AppError } from '../../../middleware/errorHandler.js';
+import { clearZoneMatrixCache, resolveZone } from '../../../utils/zoneMatrix.js';
+import { logger } from '../../../utils/logger.js';
+
+/**
+ * Get the zone matrix with ODA pincode counts per courier
+ * @route GET /api/v2/admin/zones
+ * @access Private (Admin only)
+ */
+export const getZoneMatrix = async (req, res, next) => {
+  try {
+    const [matrix, odaCounts] = await Promise.all([
+      ZoneMatrix.getMatrix(),
+      OdaPincode.aggregate([
+        { $group: { _id: '$courier', pincodes: { $sum: 1 } } },
+        { $project: { _id: 0, courier: '$_id', pincodes: 1 } },
+        { $sort: { courier: 1 } }
+      ])
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...matrix,
+        odaPincodes: odaCounts
+      }
+    });
+  } catch (error) {
+    next(new AppError(error.message, 400));
+  }
+};
+
+/**
+ * Update the zone matrix; each list sent replaces the saved one
+ * @route PUT /api/v2/admin/zones
+ * @access Private (Admin only)
+ */
+export const updateZoneMatrix = async (req, res, next) => {
+  try {
+    const current = await ZoneMatrix.getMatrix();
+    const update = { updatedBy: req.user.id };
+
+    for (const field of ['metros', 'specialRegions', 'customZones']) {
+      update[field] = req.body[field] !== undefined ? req.body[field] : current[field];
+    }
+
+    const matrix = await ZoneMatrix.findOneAndUpdate(
+      { key: 'default' },
+      update,
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    await clearZoneMatrixCache();
+
+    logger.info(`Zone matrix updated by ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Zone matrix updated successfully',
+      data: matrix
+    });
+  } catch (error) {
+    next(new AppError(error.message, 400));
+  }
+};
+
+/**
+ * Show which zone and rule apply to a lane
+ * @route GET /api/v2/admin/zones/resolve
+ * @access Private (Admin only)
+ */
+export const resolveLaneZone = async (req, res, next) => {
+  try {
+    const { pickupPincode, deliveryPincode } = req.query;
+
+    const [resolution, odaCouriers] = await Promise.all([
+      resolveZone(pickupPincode, deliveryPincode),
+      OdaPincode.distinct('courier', { pincode: deliveryPincode })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...resolution,
+        odaCouriers
+      }
+    });
+  } catch (error) {
+    next(new AppError(error.message, 400));
+  }
+};
+
+/**
+ * List ODA pincodes
+ * @route GET /api/v2/admin/zones/oda
+ * @access Private (Admin only)
+ */
+export const getOdaPincodes = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 100, courier, pincode } = req.query;
+
+    const query = {};
+    if (courier) query.courier = courier.toUpperCase();
+    if (pincode) query.pincode = { $regex: `^${pincode}` };
+
+    const [pincodes, total] = await Promise.all([
+      OdaPincode.find(query)
+        .select('courier pincode createdAt')
+        .sort({ courier: 1, pincode: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      OdaPincode.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: pincodes.length,
+      total,
+      data: pincodes
+    });
+  } catch (error) {
+    next(new AppError(error.message, 400));
+  }
+};
+
+/**
+ * Add ODA pincodes for a courier, or replace its whole list
+ * @route PUT /api/v2/admin/zones/oda/:courier
+ * @access Private (Admin only)
+ */
+export const updateOdaPincodes = async (req, res, next) => {
+  try {
+    const courier = req.params.courier.toUpperCase();
+    const pincodes = [...new Set(req.body.pincodes.map(String))];
+
+    let removed = 0;
+    if (req.body.replace) {
+      const result = await OdaPincode.deleteMany({ courier, pincode: { $nin: pincodes } });
+      removed = result.deletedCount;
+    }
+
+    const result = pincodes.length
+      ? await OdaPincode.bulkWrite(pincodes.map(pincode => ({
+        updateOne: {
+          filter: { courier, pincode },
+          update: { $setOnInsert: { courier, pincode, createdBy: req.user.id } },
+          upsert: true
+        }
+      })), { ordered: false })
+      : { upsertedCount: 0 };
+
+    logger.info(`ODA pincodes for ${courier} updated by ${req.user.id}: ${result.upsertedCount} added, ${removed} removed`);
+
+    res.status(200).json({
+      success: true,
+      message: 'ODA pincodes updated successfully',
+      data: {
+        courier,
+        added: result.upsertedCount,
+        removed,
+        total: await OdaPincode.countDocuments({ courier })
+      }
+    });
+  } catch (error) {
+    next(new AppError(error.message, 400));
+  }
+};
+
+/**
+ * Remove ODA pincodes of a courier
+ * @route DELETE /api/v2/admin/zones/oda/:courier
+ * @access Private (Admin only)
+ */
+export const removeOdaPincodes = async (req, res, next) => {
+  try {
+    const courier = req.params.courier.toUpperCase();
+    const result = await OdaPincode.deleteMany({ courier, pincode: { $in: req.body.pincodes.map(String) } });
+
+    logger.info(`${result.deletedCount} ODA pincodes for ${courier} removed by ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'ODA pincodes removed successfully',
+      data: {
+        courier,
+        removed: result.deletedCount
+      }
+    });
+  } catch (error) {
+    next(new AppError(error.message, 400));
+  }
+};
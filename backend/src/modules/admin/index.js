@@ -16,6 +16,11 @@ import policyRoutes from './routes/policy.routes.js';
 import notificationRoutes from './routes/notification.routes.js';
 import maintenanceRoutes from './routes/maintenance.routes.js';
 import billingRoutes from './routes/billing.routes.js';
+import webhookRoutes from './routes/webhook.routes.js';
+import zoneRoutes from './routes/zone.routes.js';
+import serviceabilityRoutes from './routes/serviceability.routes.js';
+import eddRoutes from './routes/edd.routes.js';
+import weightDisputeRoutes from './routes/weightDispute.routes.js';
 
 const router = express.Router();
 
@@ -49,6 +54,9 @@ router.use('/tickets', ticketRoutes);
 // NDR management routes
 router.use('/ndr', ndrRoutes);
 
+// Courier webhook log and replay routes
+router.use('/webhooks', webhookRoutes);
+
 // Reports and analytics routes
 router.use('/reports', reportRoutes);
 
@@ -70,4 +78,16 @@ router.use('/settings/maintenance', maintenanceRoutes);
 // Billing management routes
 router.use('/billing', billingRoutes);
 
+// Zone matrix and ODA pincode routes
+router.use('/zones', zoneRoutes);
+
+// Pincode serviceability routes
+router.use('/serviceability', serviceabilityRoutes);
+
+// Expected delivery date routes (courier holidays, learned adjustments)
+router.use('/edd', eddRoutes);
+
+// Weight reconciliation routes (courier weight imports, dispute decisions)
+router.use('/weight-disputes', weightDisputeRoutes);
+
 export default router; 
\ No newline at end of file
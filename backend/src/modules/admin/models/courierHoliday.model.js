@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+// A day a courier (or, without a courier, every courier) neither picks up nor delivers
+const courierHolidaySchema = new mongoose.Schema({
+  courier: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: null
+  },
+  // Calendar date in IST as YYYY-MM-DD
+  date: {
+    type: String,
+    required: [true, 'Holiday date is required'],
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Holiday date must be YYYY-MM-DD']
+  },
+  name: {
+    type: String,
+    required: [true, 'Holiday name is required'],
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+courierHolidaySchema.index({ date: 1, courier: 1 }, { unique: true });
+
+const CourierHoliday = mongoose.model('CourierHoliday', courierHolidaySchema);
+
+export default CourierHoliday;
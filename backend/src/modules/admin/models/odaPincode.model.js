@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+// Out-of-delivery-area pincodes of a courier (priced with the courier's odaCharge)
+const odaPincodeSchema = new mongoose.Schema({
+  courier: {
+    type: String,
+    required: [true, 'Courier code is required'],
+    trim: true,
+    uppercase: true
+  },
+  pincode: {
+    type: String,
+    required: [true, 'Pincode is required'],
+    trim: true,
+    match: [/^\d{6}$/, 'Pincode must be 6 digits']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+odaPincodeSchema.index({ courier: 1, pincode: 1 }, { unique: true });
+odaPincodeSchema.index({ pincode: 1 });
+
+const OdaPincode = mongoose.model('OdaPincode', odaPincodeSchema);
+
+export default OdaPincode;
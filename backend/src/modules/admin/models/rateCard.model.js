@@ -1,59 +1,136 @@
 import mongoose from 'mongoose';
 
+// Zones every courier rate is priced for (see utils/courierRates.js determineZone)
+export const RATE_ZONES = [
+  'WITHIN_CITY',
+  'WITHIN_STATE',
+  'METRO_TO_METRO',
+  'REST_OF_INDIA',
+  'NORTH_EAST',
+  'SPECIAL_REGION'
+];
+
+// Resolution order: seller override, then rate band, then default
+export const RATE_CARD_SCOPES = ['seller', 'band', 'default'];
+
+const zoneRateSchema = new mongoose.Schema({
+  // Price for each weight slab
+  base: {
+    type: [Number],
+    default: undefined
+  },
+  // Price per additional weight unit, for each weight slab
+  addl: {
+    type: [Number],
+    default: undefined
+  }
+}, { _id: false });
+
 const courierRateSchema = new mongoose.Schema({
+  courier: {
+    type: String,
+    required: [true, 'Courier code is required'],
+    trim: true,
+    uppercase: true
+  },
   name: {
     type: String,
-    required: [true, 'Courier name is required'],
     trim: true
   },
-  rates: {
-    withinCity: {
-      type: Number,
-      required: [true, 'Within city rate is required'],
-      min: [0, 'Rate cannot be negative']
-    },
-    withinState: {
-      type: Number,
-      required: [true, 'Within state rate is required'],
-      min: [0, 'Rate cannot be negative']
-    },
-    metroToMetro: {
-      type: Number,
-      required: [true, 'Metro to metro rate is required'],
-      min: [0, 'Rate cannot be negative']
-    },
-    restOfIndia: {
-      type: Number,
-      required: [true, 'Rest of India rate is required'],
-      min: [0, 'Rate cannot be negative']
-    },
-    northEastJK: {
-      type: Number,
-      required: [true, 'North East & J&K rate is required'],
-      min: [0, 'Rate cannot be negative']
-    }
+  mode: {
+    type: String,
+    enum: ['air', 'surface'],
+    default: 'surface'
+  },
+  // slab: price of the slab the weight falls in; incremental: first slab plus per additional unit
+  pricingType: {
+    type: String,
+    enum: ['slab', 'incremental'],
+    default: 'slab'
+  },
+  // Upper weight (kg) of each slab, ascending
+  slabs: {
+    type: [Number],
+    required: [true, 'Weight slabs are required']
   },
+  additionalWeightUnit: {
+    type: Number,
+    default: 0.5,
+    min: [0.01, 'Additional weight unit must be positive']
+  },
+  zones: RATE_ZONES.reduce((zones, zone) => ({ ...zones, [zone]: zoneRateSchema }), {}),
   codCharge: {
     type: Number,
-    required: [true, 'COD charge is required'],
+    default: 0,
     min: [0, 'COD charge cannot be negative']
   },
   codPercent: {
     type: Number,
-    required: [true, 'COD percent is required'],
+    default: 0,
     min: [0, 'COD percent cannot be negative'],
     max: [100, 'COD percent cannot exceed 100']
+  },
+  fuelSurchargePercent: {
+    type: Number,
+    default: 0,
+    min: [0, 'Fuel surcharge cannot be negative']
+  },
+  minimumCharge: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum charge cannot be negative']
+  },
+  odaCharge: {
+    type: Number,
+    default: 0,
+    min: [0, 'ODA charge cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
   }
 });
 
 const rateCardSchema = new mongoose.Schema({
-  rateBand: {
+  name: {
     type: String,
-    required: [true, 'Rate band is required'],
-    unique: true,
+    required: [true, 'Rate card name is required'],
     trim: true
   },
+  scope: {
+    type: String,
+    enum: RATE_CARD_SCOPES,
+    required: [true, 'Rate card scope is required']
+  },
+  rateBand: {
+    type: String,
+    trim: true,
+    required: [function() { return this.scope === 'band'; }, 'Rate band is required for band rate cards']
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Seller',
+    required: [function() { return this.scope === 'seller'; }, 'Seller is required for seller rate cards']
+  },
+  version: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
   couriers: [courierRateSchema],
+  gstPercent: {
+    type: Number,
+    default: 18,
+    min: [0, 'GST percent cannot be negative']
+  },
+  effectiveFrom: {
+    type: Date,
+    default: Date.now
+  },
+  effectiveTo: {
+    type: Date,
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -62,17 +139,6 @@ const rateCardSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
-  eligibleWeight: {
-    min: {
-      type: Number,
-      required: [true, 'Minimum eligible weight is required'],
-      min: [0, 'Minimum weight cannot be negative']
-    },
-    max: {
-      type: Number,
-      required: [true, 'Maximum eligible weight is required']
-    }
-  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Admin'
@@ -91,10 +157,49 @@ rateCardSchema.path('couriers').validate(function(couriers) {
 }, 'At least one courier must be defined');
 
 // Index for faster querying
-rateCardSchema.index({ rateBand: 1 });
-rateCardSchema.index({ isActive: 1 });
-rateCardSchema.index({ 'couriers.name': 1 });
+rateCardSchema.index({ scope: 1, rateBand: 1, seller: 1, version: -1 }, { unique: true });
+rateCardSchema.index({ isActive: 1, effectiveFrom: -1 });
+rateCardSchema.index({ 'couriers.courier': 1 });
+
+// Query selecting the cards of one target (default, a band or a seller)
+const targetQuery = ({ scope, rateBand, seller }) => ({
+  scope,
+  rateBand: scope === 'band' ? rateBand : null,
+  seller: scope === 'seller' ? seller : null
+});
+
+/**
+ * Find the version of a target's rate card in effect at a point in time
+ * @param {Object} target - { scope, rateBand, seller }
+ * @param {Date} at - Point in time (defaults to now)
+ * @returns {Promise<Object|null>} - Rate card document
+ */
+rateCardSchema.statics.findEffective = function(target, at = new Date()) {
+  return this.findOne({
+    ...targetQuery(target),
+    isActive: true,
+    effectiveFrom: { $lte: at },
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gt: at } }]
+  }).sort({ version: -1, effectiveFrom: -1 });
+};
+
+/**
+ * Publish a new version of a target's rate card; earlier versions are kept for history
+ * @param {Object} data - Rate card fields (scope, rateBand/seller, couriers, ...)
+ * @param {string} adminId - Admin publishing the card
+ * @returns {Promise<Object>} - The new rate card document
+ */
+rateCardSchema.statics.publishVersion = async function(data, adminId) {
+  const latest = await this.findOne(targetQuery(data)).sort({ version: -1 }).select('version');
+
+  return this.create({
+    ...data,
+    version: latest ? latest.version + 1 : 1,
+    createdBy: adminId,
+    updatedBy: adminId
+  });
+};
 
 const RateCard = mongoose.model('RateCard', rateCardSchema);
 
-export default RateCard; 
\ No newline at end of file
+export default RateCard;
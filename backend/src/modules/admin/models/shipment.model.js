@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { SHIPMENT_STATUS, SHIPMENT_STATUSES } from '../../../utils/shipmentStatus.js';
 
 const shipmentTrackingSchema = new mongoose.Schema({
   status: String,
@@ -65,8 +66,8 @@ const shipmentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['Booked', 'In-transit', 'Delivered', 'Pending Pickup', 'Cancelled', 'Exception', 'Returned', 'NDR'],
-    default: 'Booked',
+    enum: SHIPMENT_STATUSES,
+    default: SHIPMENT_STATUS.BOOKED,
     index: true
   },
   pickupDate: Date,
@@ -189,18 +190,28 @@ shipmentSchema.statics.getShipmentStatsByCourier = async function() {
         total: { $sum: 1 },
         delivered: {
           $sum: {
-            $cond: [{ $eq: ['$status', 'Delivered'] }, 1, 0]
+            $cond: [{ $eq: ['$status', SHIPMENT_STATUS.DELIVERED] }, 1, 0]
           }
         },
         inTransit: {
           $sum: {
-            $cond: [{ $eq: ['$status', 'In-transit'] }, 1, 0]
+            $cond: [{ $eq: ['$status', SHIPMENT_STATUS.IN_TRANSIT] }, 1, 0]
           }
         },
         exceptions: {
           $sum: {
             $cond: [
-              { $in: ['$status', ['Exception', 'NDR', 'Cancelled', 'Returned']] },
+              {
+                $in: ['$status', [
+                  SHIPMENT_STATUS.EXCEPTION,
+                  SHIPMENT_STATUS.NDR,
+                  SHIPMENT_STATUS.CANCELLED,
+                  SHIPMENT_STATUS.RTO_INITIATED,
+                  SHIPMENT_STATUS.RTO_IN_TRANSIT,
+                  SHIPMENT_STATUS.RTO_DELIVERED,
+                  SHIPMENT_STATUS.LOST
+                ]]
+              },
               1,
               0
             ]
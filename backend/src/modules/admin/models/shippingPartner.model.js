@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { RATE_ZONES } from './rateCard.model.js';
+import { NDR_REASON_CATEGORIES } from '../../seller/models/ndr.model.js';
 
 // Define zone schema
 const zoneSchema = new mongoose.Schema({
@@ -20,6 +22,32 @@ const zoneSchema = new mongoose.Schema({
 }, { _id: true });
 
 // Define main shipping partner schema
+const volumetricRuleSchema = new mongoose.Schema({
+  // Volumetric weight (kg) = L x W x H (cm) / divisor
+  divisor: {
+    type: Number,
+    default: 5000,
+    min: [1, 'Volumetric divisor must be positive']
+  },
+  minimumChargeableWeight: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum chargeable weight cannot be negative']
+  },
+  // Chargeable weight is rounded up to a multiple of this (kg); 0 disables rounding
+  roundingStep: {
+    type: Number,
+    default: 0,
+    min: [0, 'Rounding step cannot be negative']
+  }
+}, { _id: false });
+
+// Transit days per rate zone for one service mode (see utils/edd.js)
+const transitTimeSchema = new mongoose.Schema(
+  RATE_ZONES.reduce((zones, zone) => ({ ...zones, [zone]: { type: Number, min: [0, 'Transit days cannot be negative'] } }), {}),
+  { _id: false }
+);
+
 const shippingPartnerSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -85,6 +113,10 @@ const shippingPartnerSchema = new mongoose.Schema({
     type: String,
     trim: true
   }],
+  codSupported: {
+    type: Boolean,
+    default: true
+  },
   weightLimits: {
     min: {
       type: Number,
@@ -131,11 +163,67 @@ const shippingPartnerSchema = new mongoose.Schema({
       default: 5000
     }
   },
+  // Chargeable weight rules per service mode (see utils/chargeableWeight.js)
+  volumetric: {
+    air: volumetricRuleSchema,
+    surface: volumetricRuleSchema
+  },
+  // Transit days per zone and service mode, used for delivery date estimates
+  transitTimes: {
+    air: transitTimeSchema,
+    surface: transitTimeSchema
+  },
+  // Days of the week (0 = Sunday) on which the courier neither picks up nor delivers
+  nonWorkingDays: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: [0]
+  },
   zones: [zoneSchema],
+  // Courier NDR reason codes and phrases mapped to NDR reason categories, checked before
+  // the adapter's own table (see utils/ndr.js)
+  ndrReasons: {
+    codes: [{
+      _id: false,
+      code: { type: String, trim: true, uppercase: true, required: true },
+      category: { type: String, enum: NDR_REASON_CATEGORIES, required: true }
+    }],
+    keywords: [{
+      _id: false,
+      keyword: { type: String, trim: true, lowercase: true, required: true },
+      category: { type: String, enum: NDR_REASON_CATEGORIES, required: true }
+    }]
+  },
   trackingUrl: {
     type: String,
     trim: true
   },
+  // Inbound tracking webhook settings (POST /api/webhooks/couriers/:courierCode)
+  webhook: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    signatureScheme: {
+      type: String,
+      enum: ['hmac-sha256', 'hmac-sha1', 'token', 'none'],
+      default: 'hmac-sha256'
+    },
+    signatureHeader: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: 'x-webhook-signature'
+    },
+    signatureEncoding: {
+      type: String,
+      enum: ['hex', 'base64'],
+      default: 'hex'
+    }
+  },
   integrationDate: {
     type: Date,
     default: Date.now
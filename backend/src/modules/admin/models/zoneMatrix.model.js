@@ -0,0 +1,122 @@
+import mongoose from 'mongoose';
+import { RATE_ZONES } from './rateCard.model.js';
+
+// Zones a region can be priced as
+export const SPECIAL_REGION_ZONES = ['NORTH_EAST', 'SPECIAL_REGION'];
+
+// Used until an admin saves a matrix of their own
+export const DEFAULT_ZONE_MATRIX = {
+  metros: [
+    { name: 'Mumbai', districts: ['Mumbai', 'Mumbai City', 'Mumbai Suburban'] },
+    {
+      name: 'Delhi',
+      districts: [
+        'Delhi', 'New Delhi', 'Central Delhi', 'North Delhi', 'South Delhi', 'East Delhi', 'West Delhi',
+        'North East Delhi', 'North West Delhi', 'South West Delhi', 'South East Delhi', 'Shahdara'
+      ]
+    },
+    { name: 'Bangalore', districts: ['Bangalore', 'Bengaluru', 'Bangalore Urban', 'Bengaluru Urban'] },
+    { name: 'Kolkata', districts: ['Kolkata'] },
+    { name: 'Chennai', districts: ['Chennai'] },
+    { name: 'Hyderabad', districts: ['Hyderabad'] },
+    { name: 'Pune', districts: ['Pune'] },
+    { name: 'Ahmedabad', districts: ['Ahmedabad'] }
+  ],
+  specialRegions: [
+    {
+      name: 'North East',
+      zone: 'NORTH_EAST',
+      states: ['Arunachal Pradesh', 'Assam', 'Manipur', 'Meghalaya', 'Mizoram', 'Nagaland', 'Tripura', 'Sikkim']
+    },
+    { name: 'Jammu and Kashmir', zone: 'SPECIAL_REGION', states: ['Jammu and Kashmir', 'Ladakh'] },
+    { name: 'Andaman and Nicobar Islands', zone: 'SPECIAL_REGION', states: ['Andaman and Nicobar Islands'] },
+    { name: 'Lakshadweep', zone: 'SPECIAL_REGION', states: ['Lakshadweep'] }
+  ],
+  customZones: []
+};
+
+// Locations a custom zone rule matches (every list that is set must contain the location)
+const locationMatchSchema = new mongoose.Schema({
+  states: [{ type: String, trim: true }],
+  districts: [{ type: String, trim: true }],
+  pincodes: [{ type: String, trim: true }]
+}, { _id: false });
+
+const metroSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Metro name is required'],
+    trim: true
+  },
+  districts: [{ type: String, trim: true }],
+  pincodes: [{ type: String, trim: true }]
+}, { _id: false });
+
+const specialRegionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Region name is required'],
+    trim: true
+  },
+  zone: {
+    type: String,
+    enum: SPECIAL_REGION_ZONES,
+    required: [true, 'Region zone is required']
+  },
+  states: [{ type: String, trim: true }],
+  pincodes: [{ type: String, trim: true }]
+}, { _id: false });
+
+const customZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true
+  },
+  zone: {
+    type: String,
+    enum: RATE_ZONES,
+    required: [true, 'Rule zone is required']
+  },
+  // Higher priority rules are checked first
+  priority: {
+    type: Number,
+    default: 0
+  },
+  origin: locationMatchSchema,
+  destination: locationMatchSchema,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+const zoneMatrixSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+  metros: [metroSchema],
+  specialRegions: [specialRegionSchema],
+  customZones: [customZoneSchema],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Get the zone matrix in use (the built-in defaults until one is saved)
+ * @returns {Promise<Object>} - Plain zone matrix object
+ */
+zoneMatrixSchema.statics.getMatrix = async function() {
+  const matrix = await this.findOne({ key: 'default' }).lean();
+  return matrix || { ...DEFAULT_ZONE_MATRIX, isDefault: true };
+};
+
+const ZoneMatrix = mongoose.model('ZoneMatrix', zoneMatrixSchema);
+
+export default ZoneMatrix;
@@ -19,12 +19,21 @@ import {
   updateShippingChargeStatus,
   exportShippingCharges
 } from '../controllers/shippingCharge.controller.js';
+import {
+  getRateCards,
+  getRateCardById,
+  publishRateCard,
+  updateRateCardStatus
+} from '../controllers/rateCard.controller.js';
 import {
   validateGetWalletTransactions,
   validateAddWalletTransaction,
   validateGetInvoices,
   validateCreateInvoice,
-  validateUpdateInvoiceStatus
+  validateUpdateInvoiceStatus,
+  validateGetRateCards,
+  validateCreateRateCard,
+  validateUpdateRateCardStatus
 } from '../validators/billing.validator.js';
 import {
   validateGetShippingCharges,
@@ -148,4 +157,36 @@ router.patch(
   updateShippingChargeStatus
 );
 
+// Rate Card Routes
+router.get(
+  '/rate-cards',
+  protect,
+  checkPermission('billing'),
+  validateGetRateCards,
+  getRateCards
+);
+
+router.get(
+  '/rate-cards/:id',
+  protect,
+  checkPermission('billing'),
+  getRateCardById
+);
+
+router.post(
+  '/rate-cards',
+  protect,
+  checkPermission('billing'),
+  validateCreateRateCard,
+  publishRateCard
+);
+
+router.patch(
+  '/rate-cards/:id/status',
+  protect,
+  checkPermission('billing'),
+  validateUpdateRateCardStatus,
+  updateRateCardStatus
+);
+
 export default router; 
\ No newline at end of file
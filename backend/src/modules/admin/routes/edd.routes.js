@@ -0,0 +1,74 @@
+import express from 'express';
+import {
+  getCourierHolidays,
+  addCourierHoliday,
+  deleteCourierHoliday,
+  getEddAdjustments,
+  refreshAdjustments,
+  previewDeliveryDate
+} from '../controllers/edd.controller.js';
+import {
+  validateListHolidays,
+  validateAddHoliday,
+  validateDeleteHoliday,
+  validateListAdjustments,
+  validateRefreshAdjustments,
+  validateEstimate
+} from '../validators/edd.validator.js';
+import { protect } from '../../../middleware/auth.js';
+import { checkPermission } from '../../../middleware/permission.js';
+
+const router = express.Router();
+
+// Courier holidays
+router.get(
+  '/holidays',
+  protect,
+  checkPermission('ordersShipping'),
+  validateListHolidays,
+  getCourierHolidays
+);
+
+router.post(
+  '/holidays',
+  protect,
+  checkPermission('ordersShipping'),
+  validateAddHoliday,
+  addCourierHoliday
+);
+
+router.delete(
+  '/holidays/:id',
+  protect,
+  checkPermission('ordersShipping'),
+  validateDeleteHoliday,
+  deleteCourierHoliday
+);
+
+// Learned transit time adjustments
+router.get(
+  '/adjustments',
+  protect,
+  checkPermission('ordersShipping'),
+  validateListAdjustments,
+  getEddAdjustments
+);
+
+router.post(
+  '/adjustments/refresh',
+  protect,
+  checkPermission('ordersShipping'),
+  validateRefreshAdjustments,
+  refreshAdjustments
+);
+
+// Preview a delivery estimate
+router.get(
+  '/estimate',
+  protect,
+  checkPermission('ordersShipping'),
+  validateEstimate,
+  previewDeliveryDate
+);
+
+export default router;
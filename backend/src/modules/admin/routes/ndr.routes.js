@@ -2,18 +2,22 @@ import express from 'express';
 import {
   getNDRs,
   getNDRById,
-  syncNDRs,
   updateNDRStatus,
   assignNDR,
   initiateRTO,
+  requestAction,
+  retryAction,
+  exportNDRActions,
   getNDRStats
 } from '../controllers/ndr.controller.js';
 import {
   validateListNDRs,
-  validateSyncNDRs,
   validateUpdateStatus,
   validateAssignNDR,
-  validateInitiateRTO
+  validateInitiateRTO,
+  validateNDRAction,
+  validateRetryNDRAction,
+  validateExportNDRActions
 } from '../validators/ndr.validator.js';
 import { protect } from '../../../middleware/auth.js';
 import { checkPermission } from '../../../middleware/permission.js';
@@ -37,21 +41,21 @@ router.get(
   getNDRStats
 );
 
-// Get single NDR by ID
+// Export courier actions (re-attempts, address/phone changes, RTO) and their push outcomes
 router.get(
-  '/:id',
+  '/actions/export',
   protect,
-  checkPermission('ordersShipping'),
-  getNDRById
+  checkPermission('ordersShipping', 'reportsAnalytics'),
+  validateExportNDRActions,
+  exportNDRActions
 );
 
-// Sync NDRs from seller NDRs
-router.post(
-  '/sync',
+// Get single NDR by ID
+router.get(
+  '/:id',
   protect,
   checkPermission('ordersShipping'),
-  validateSyncNDRs,
-  syncNDRs
+  getNDRById
 );
 
 // Update NDR status
@@ -81,4 +85,22 @@ router.post(
   initiateRTO
 );
 
+// Request a courier action (re-attempt, address/phone change, RTO)
+router.post(
+  '/:id/actions',
+  protect,
+  checkPermission('ordersShipping'),
+  validateNDRAction,
+  requestAction
+);
+
+// Push an action that ran out of retries again
+router.post(
+  '/:id/actions/:actionId/retry',
+  protect,
+  checkPermission('ordersShipping'),
+  validateRetryNDRAction,
+  retryAction
+);
+
 export default router; 
\ No newline at end of file
@@ -0,0 +1,67 @@
+import express from 'express';
+import multer from 'multer';
+import {
+  getServiceabilitySummary,
+  getServiceabilityEntries,
+  importCourierServiceability,
+  updatePincodeServiceability,
+  removeCourierServiceability
+} from '../controllers/serviceability.controller.js';
+import {
+  validateListServiceability,
+  validateImportServiceability,
+  validateUpdateServiceability,
+  validateRemoveServiceability
+} from '../validators/serviceability.validator.js';
+import { protect } from '../../../middleware/auth.js';
+import { checkPermission } from '../../../middleware/permission.js';
+
+const router = express.Router();
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 20 * 1024 * 1024 } });
+
+// Pincode counts per courier
+router.get(
+  '/summary',
+  protect,
+  checkPermission('ordersShipping'),
+  getServiceabilitySummary
+);
+
+// List serviceability entries
+router.get(
+  '/',
+  protect,
+  checkPermission('ordersShipping'),
+  validateListServiceability,
+  getServiceabilityEntries
+);
+
+// Import a courier's serviceability file
+router.post(
+  '/:courier/import',
+  protect,
+  checkPermission('ordersShipping'),
+  upload.single('file'),
+  validateImportServiceability,
+  importCourierServiceability
+);
+
+// Update one pincode of a courier
+router.patch(
+  '/:courier/:pincode',
+  protect,
+  checkPermission('ordersShipping'),
+  validateUpdateServiceability,
+  updatePincodeServiceability
+);
+
+// Remove a courier's serviceability data
+router.delete(
+  '/:courier',
+  protect,
+  checkPermission('ordersShipping'),
+  validateRemoveServiceability,
+  removeCourierServiceability
+);
+
+export default router;
@@ -1,14 +1,15 @@
 import express from 'express';
 import { protect, restrictTo } from '../../../middleware/auth.js';
 import { defaultLimiter } from '../../../middleware/rateLimiter.js';
-import { validationHandler as validate } from '../../../middleware/validator.js';
 import * as partnerController from '../controllers/shippingPartner.controller.js';
-import { 
-  createShippingPartnerSchema, 
-  updateShippingPartnerSchema,
-  updatePartnerStatusSchema, 
-  updatePartnerPerformanceSchema,
-  updatePartnerRatesSchema 
+import { getPartnerWebhook, updatePartnerWebhook } from '../controllers/webhook.controller.js';
+import { validateUpdatePartnerWebhook } from '../validators/webhook.validator.js';
+import {
+  validateCreateShippingPartner,
+  validateUpdateShippingPartner,
+  validateUpdatePartnerStatus,
+  validateUpdatePartnerPerformance,
+  validateUpdatePartnerRates
 } from '../validators/shippingPartner.validator.js';
 
 const router = express.Router();
@@ -34,13 +35,13 @@ router.get('/export', partnerController.exportPartners);
 router.get('/:id', partnerController.getShippingPartnerById);
 
 // Create new shipping partner
-router.post('/', validate(createShippingPartnerSchema), partnerController.createShippingPartner);
+router.post('/', validateCreateShippingPartner, partnerController.createShippingPartner);
 
 // Update shipping partner
-router.put('/:id', validate(updateShippingPartnerSchema), partnerController.updateShippingPartner);
+router.put('/:id', validateUpdateShippingPartner, partnerController.updateShippingPartner);
 
 // Update shipping partner status
-router.patch('/:id/status', validate(updatePartnerStatusSchema), partnerController.updatePartnerStatus);
+router.patch('/:id/status', validateUpdatePartnerStatus, partnerController.updatePartnerStatus);
 
 // Delete shipping partner (superAdmin only)
 router.delete('/:id', partnerController.deleteShippingPartner);
@@ -49,12 +50,18 @@ router.delete('/:id', partnerController.deleteShippingPartner);
 router.get('/:id/performance', partnerController.getPartnerPerformance);
 
 // Update partner performance metrics
-router.post('/:id/performance', validate(updatePartnerPerformanceSchema), partnerController.updatePartnerPerformance);
+router.post('/:id/performance', validateUpdatePartnerPerformance, partnerController.updatePartnerPerformance);
 
 // Get partner rate cards
 router.get('/:id/rates', partnerController.getPartnerRates);
 
 // Update partner rate cards
-router.put('/:id/rates', validate(updatePartnerRatesSchema), partnerController.updatePartnerRates);
+router.put('/:id/rates', validateUpdatePartnerRates, partnerController.updatePartnerRates);
+
+// Get partner webhook settings
+router.get('/:id/webhook', getPartnerWebhook);
+
+// Update partner webhook settings (secret, signature scheme)
+router.put('/:id/webhook', validateUpdatePartnerWebhook, updatePartnerWebhook);
 
 export default router; 
\ No newline at end of file
@@ -36,6 +36,7 @@ router.patch('/sellers/:id/status', userController.updateSellerStatus);
 router.patch('/sellers/:id/kyc', userController.updateSellerKYC);
 router.post('/sellers/:id/agreement', upload.single('document'), userController.createSellerAgreement);
 router.post('/sellers/:id/ratecard', userController.manageSellerRateCard);
+router.patch('/sellers/:id/credit-limit', userController.updateSellerCreditLimit);
 
 // Customer routes
 router.get('/customers', userController.getAllCustomers);
@@ -0,0 +1,43 @@
+import express from 'express';
+import {
+  getWebhooks,
+  getWebhookById,
+  replayWebhook
+} from '../controllers/webhook.controller.js';
+import {
+  validateListWebhooks,
+  validateWebhookId
+} from '../validators/webhook.validator.js';
+import { protect } from '../../../middleware/auth.js';
+import { checkPermission } from '../../../middleware/permission.js';
+
+const router = express.Router();
+
+// List received courier webhooks
+router.get(
+  '/',
+  protect,
+  checkPermission('ordersShipping'),
+  validateListWebhooks,
+  getWebhooks
+);
+
+// Get a single webhook with its raw body
+router.get(
+  '/:id',
+  protect,
+  checkPermission('ordersShipping'),
+  validateWebhookId,
+  getWebhookById
+);
+
+// Apply a stored webhook again
+router.post(
+  '/:id/replay',
+  protect,
+  checkPermission('ordersShipping'),
+  validateWebhookId,
+  replayWebhook
+);
+
+export default router;
@@ -0,0 +1,58 @@
+import express from 'express';
+import multer from 'multer';
+import {
+  getWeightDisputes,
+  getWeightDispute,
+  importWeightDisputes,
+  decideDispute
+} from '../controllers/weightDispute.controller.js';
+import {
+  validateListWeightDisputes,
+  validateGetWeightDispute,
+  validateImportWeightDisputes,
+  validateDecideWeightDispute
+} from '../validators/weightDispute.validator.js';
+import { protect } from '../../../middleware/auth.js';
+import { checkPermission } from '../../../middleware/permission.js';
+
+const router = express.Router();
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 20 * 1024 * 1024 } });
+
+// List weight disputes
+router.get(
+  '/',
+  protect,
+  checkPermission('billing'),
+  validateListWeightDisputes,
+  getWeightDisputes
+);
+
+// Import a courier's applied weights
+router.post(
+  '/import',
+  protect,
+  checkPermission('billing'),
+  upload.single('file'),
+  validateImportWeightDisputes,
+  importWeightDisputes
+);
+
+// Weight dispute details
+router.get(
+  '/:id',
+  protect,
+  checkPermission('billing'),
+  validateGetWeightDispute,
+  getWeightDispute
+);
+
+// Decide a disputed weight
+router.post(
+  '/:id/decide',
+  protect,
+  checkPermission('billing'),
+  validateDecideWeightDispute,
+  decideDispute
+);
+
+export default router;
@@ -0,0 +1,74 @@
+import express from 'express';
+import {
+  getZoneMatrix,
+  updateZoneMatrix,
+  resolveLaneZone,
+  getOdaPincodes,
+  updateOdaPincodes,
+  removeOdaPincodes
+} from '../controllers/zone.controller.js';
+import {
+  validateUpdateZoneMatrix,
+  validateResolveZone,
+  validateListOdaPincodes,
+  validateUpdateOdaPincodes
+} from '../validators/zone.validator.js';
+import { protect } from '../../../middleware/auth.js';
+import { checkPermission } from '../../../middleware/permission.js';
+
+const router = express.Router();
+
+// Get the zone matrix
+router.get(
+  '/',
+  protect,
+  checkPermission('billing'),
+  getZoneMatrix
+);
+
+// Update metros, special regions and custom zone rules
+router.put(
+  '/',
+  protect,
+  checkPermission('billing'),
+  validateUpdateZoneMatrix,
+  updateZoneMatrix
+);
+
+// Show which zone and rule apply to a lane
+router.get(
+  '/resolve',
+  protect,
+  checkPermission('billing'),
+  validateResolveZone,
+  resolveLaneZone
+);
+
+// List ODA pincodes
+router.get(
+  '/oda',
+  protect,
+  checkPermission('billing'),
+  validateListOdaPincodes,
+  getOdaPincodes
+);
+
+// Add or replace a courier's ODA pincodes
+router.put(
+  '/oda/:courier',
+  protect,
+  checkPermission('billing'),
+  validateUpdateOdaPincodes,
+  updateOdaPincodes
+);
+
+// Remove ODA pincodes of a courier
+router.delete(
+  '/oda/:courier',
+  protect,
+  checkPermission('billing'),
+  validateUpdateOdaPincodes,
+  removeOdaPincodes
+);
+
+export default router;
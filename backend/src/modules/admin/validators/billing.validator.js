@@ -1,6 +1,7 @@
 import { body, param, query } from 'express-validator';
-import { validationHandler as validate } from '../../../middleware/validator.js';
+import { validationHandler as validate, handleValidationErrors } from '../../../middleware/validator.js';
 import mongoose from 'mongoose';
+import { RATE_ZONES, RATE_CARD_SCOPES } from '../models/rateCard.model.js';
 
 // Wallet Transaction Validators
 export const validateGetWalletTransactions = [
@@ -173,107 +174,150 @@ export const validateUpdateInvoiceStatus = [
 ];
 
 // Rate Card Validators
-export const validateCreateRateCard = [
-  body('rateBand')
-    .notEmpty()
-    .withMessage('Rate band is required')
-    .isString()
-    .withMessage('Rate band must be a string'),
-  
+const rateCardCourierRules = [
   body('couriers')
+    .isArray({ min: 1 })
+    .withMessage('At least one courier must be defined'),
+
+  body('couriers.*.courier')
     .notEmpty()
-    .withMessage('Couriers are required')
-    .isArray()
-    .withMessage('Couriers must be an array'),
-  
-  body('couriers.*.name')
-    .notEmpty()
-    .withMessage('Courier name is required')
+    .withMessage('Courier code is required')
     .isString()
-    .withMessage('Courier name must be a string'),
-  
-  body('couriers.*.rates')
-    .notEmpty()
-    .withMessage('Courier rates are required')
+    .withMessage('Courier code must be a string'),
+
+  body('couriers.*.mode')
+    .optional()
+    .isIn(['air', 'surface'])
+    .withMessage('Mode must be air or surface'),
+
+  body('couriers.*.pricingType')
+    .optional()
+    .isIn(['slab', 'incremental'])
+    .withMessage('Pricing type must be slab or incremental'),
+
+  body('couriers.*.slabs')
+    .isArray({ min: 1 })
+    .withMessage('Weight slabs are required')
+    .custom(slabs => {
+      if (!slabs.every((slab, i) => slab > 0 && (i === 0 || slab > slabs[i - 1]))) {
+        throw new Error('Weight slabs must be positive and ascending');
+      }
+      return true;
+    }),
+
+  body('couriers.*.zones')
     .isObject()
-    .withMessage('Courier rates must be an object'),
-  
-  body('couriers.*.rates.withinCity')
-    .notEmpty()
-    .withMessage('Within city rate is required')
-    .isFloat({ min: 0 })
-    .withMessage('Within city rate must be a positive number'),
-  
-  body('couriers.*.rates.withinState')
-    .notEmpty()
-    .withMessage('Within state rate is required')
-    .isFloat({ min: 0 })
-    .withMessage('Within state rate must be a positive number'),
-  
-  body('couriers.*.rates.metroToMetro')
-    .notEmpty()
-    .withMessage('Metro to metro rate is required')
-    .isFloat({ min: 0 })
-    .withMessage('Metro to metro rate must be a positive number'),
-  
-  body('couriers.*.rates.restOfIndia')
-    .notEmpty()
-    .withMessage('Rest of India rate is required')
-    .isFloat({ min: 0 })
-    .withMessage('Rest of India rate must be a positive number'),
-  
-  body('couriers.*.rates.northEastJK')
-    .notEmpty()
-    .withMessage('North East & J&K rate is required')
-    .isFloat({ min: 0 })
-    .withMessage('North East & J&K rate must be a positive number'),
-  
-  body('couriers.*.codCharge')
-    .notEmpty()
-    .withMessage('COD charge is required')
+    .withMessage('Zone rates are required')
+    .custom((zones, { path, req }) => {
+      const index = Number(path.match(/couriers\[(\d+)\]/)[1]);
+      const slabCount = req.body.couriers[index].slabs?.length;
+      for (const [zone, rates] of Object.entries(zones)) {
+        if (!RATE_ZONES.includes(zone)) {
+          throw new Error(`Unknown zone ${zone}`);
+        }
+        if (!Array.isArray(rates.base) || rates.base.length !== slabCount) {
+          throw new Error(`${zone} must have a base rate for every slab`);
+        }
+        if (rates.addl && (!Array.isArray(rates.addl) || rates.addl.length !== slabCount)) {
+          throw new Error(`${zone} must have an additional rate for every slab`);
+        }
+      }
+      return true;
+    }),
+
+  body([
+    'couriers.*.additionalWeightUnit',
+    'couriers.*.codCharge',
+    'couriers.*.fuelSurchargePercent',
+    'couriers.*.minimumCharge',
+    'couriers.*.odaCharge'
+  ])
+    .optional()
     .isFloat({ min: 0 })
-    .withMessage('COD charge must be a positive number'),
-  
+    .withMessage('Courier charges must be positive numbers'),
+
   body('couriers.*.codPercent')
-    .notEmpty()
-    .withMessage('COD percent is required')
+    .optional()
     .isFloat({ min: 0, max: 100 })
-    .withMessage('COD percent must be between 0 and 100'),
-  
-  body('eligibleWeight')
-    .notEmpty()
-    .withMessage('Eligible weight is required')
-    .isObject()
-    .withMessage('Eligible weight must be an object'),
-  
-  body('eligibleWeight.min')
+    .withMessage('COD percent must be between 0 and 100')
+];
+
+export const validateGetRateCards = [
+  query('scope')
+    .optional()
+    .isIn(RATE_CARD_SCOPES)
+    .withMessage(`Scope must be one of: ${RATE_CARD_SCOPES.join(', ')}`),
+
+  query('seller')
+    .optional()
+    .custom(value => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid seller ID'),
+
+  query('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('Is active must be a boolean'),
+
+  handleValidationErrors
+];
+
+export const validateCreateRateCard = [
+  body('name')
     .notEmpty()
-    .withMessage('Minimum weight is required')
-    .isFloat({ min: 0 })
-    .withMessage('Minimum weight must be a positive number'),
-  
-  body('eligibleWeight.max')
+    .withMessage('Rate card name is required')
+    .isString()
+    .withMessage('Rate card name must be a string'),
+
+  body('scope')
+    .isIn(RATE_CARD_SCOPES)
+    .withMessage(`Scope must be one of: ${RATE_CARD_SCOPES.join(', ')}`),
+
+  body('rateBand')
+    .if(body('scope').equals('band'))
     .notEmpty()
-    .withMessage('Maximum weight is required')
-    .isFloat({ min: 0 })
-    .withMessage('Maximum weight must be a positive number')
+    .withMessage('Rate band is required for band rate cards')
+    .isString()
+    .withMessage('Rate band must be a string'),
+
+  body('seller')
+    .if(body('scope').equals('seller'))
+    .custom(value => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('A valid seller ID is required for seller rate cards'),
+
+  ...rateCardCourierRules,
+
+  body('gstPercent')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('GST percent must be between 0 and 100'),
+
+  body('effectiveFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('Effective from must be a valid date'),
+
+  body('effectiveTo')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Effective to must be a valid date')
     .custom((value, { req }) => {
-      if (value <= req.body.eligibleWeight.min) {
-        throw new Error('Maximum weight must be greater than minimum weight');
+      if (req.body.effectiveFrom && new Date(value) <= new Date(req.body.effectiveFrom)) {
+        throw new Error('Effective to must be after effective from');
       }
       return true;
     }),
-  
-  validate
+
+  handleValidationErrors
 ];
 
-export const validateUpdateRateCard = [
-  ...validateCreateRateCard,
-  
+export const validateUpdateRateCardStatus = [
+  param('id')
+    .custom(value => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid rate card ID'),
+
   body('isActive')
-    .optional()
     .isBoolean()
     .withMessage('Is active must be a boolean'),
-  
-  validate
-]; 
\ No newline at end of file
+
+  handleValidationErrors
+];
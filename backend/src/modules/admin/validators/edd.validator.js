@@ -0,0 +1,79 @@
+import { body, param, query } from 'express-validator';
+import { handleValidationErrors } from '../../../middleware/validator.js';
+import { RATE_ZONES } from '../models/rateCard.model.js';
+
+const DELIVERY_MODES = ['air', 'surface'];
+
+const courierCode = (field) => field
+  .matches(/^[A-Za-z0-9_-]+$/).withMessage('Invalid courier code');
+
+export const validateListHolidays = [
+  courierCode(query('courier').optional()),
+
+  query(['from', 'to'])
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Dates must be YYYY-MM-DD'),
+
+  handleValidationErrors
+];
+
+export const validateAddHoliday = [
+  courierCode(body('courier').optional({ nullable: true })),
+
+  body('date')
+    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be YYYY-MM-DD')
+    .isISO8601().withMessage('Date must be a valid date'),
+
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Holiday name is required'),
+
+  handleValidationErrors
+];
+
+export const validateDeleteHoliday = [
+  param('id')
+    .isMongoId().withMessage('Invalid holiday ID'),
+
+  handleValidationErrors
+];
+
+export const validateListAdjustments = [
+  courierCode(query('courier').optional()),
+
+  query('mode')
+    .optional()
+    .isIn(DELIVERY_MODES).withMessage(`Mode must be one of: ${DELIVERY_MODES.join(', ')}`),
+
+  query('zone')
+    .optional()
+    .isIn(RATE_ZONES).withMessage(`Zone must be one of: ${RATE_ZONES.join(', ')}`),
+
+  handleValidationErrors
+];
+
+export const validateRefreshAdjustments = [
+  body('lookbackDays')
+    .optional()
+    .isInt({ min: 1, max: 365 }).withMessage('Lookback must be between 1 and 365 days')
+    .toInt(),
+
+  handleValidationErrors
+];
+
+export const validateEstimate = [
+  courierCode(query('courier')),
+
+  query('mode')
+    .optional()
+    .isIn(DELIVERY_MODES).withMessage(`Mode must be one of: ${DELIVERY_MODES.join(', ')}`),
+
+  query(['pickupPincode', 'deliveryPincode'])
+    .matches(/^\d{6}$/).withMessage('Pincodes must be 6-digit numbers'),
+
+  query('pickupCutoff')
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Pickup cut-off must be HH:mm'),
+
+  handleValidationErrors
+];
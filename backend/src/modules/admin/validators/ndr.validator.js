@@ -1,6 +1,10 @@
 import { body, param, query } from 'express-validator';
 import mongoose from 'mongoose';
-import { validationHandler as validate } from '../../../middleware/validator.js';
+import { validationHandler as validate, handleValidationErrors } from '../../../middleware/validator.js';
+import { NDR_ACTION_TYPES } from '../../../utils/courierAdapter.js';
+import { NDR_COURIER_ACTION_STATUSES } from '../../seller/models/ndr.model.js';
+
+const ACTION_TYPES = Object.values(NDR_ACTION_TYPES);
 
 export const validateListNDRs = [
   query('page')
@@ -28,6 +32,15 @@ export const validateListNDRs = [
     .isIn(['Low', 'Medium', 'High', 'Urgent', ''])
     .withMessage('Invalid priority'),
   
+  query('sellerId')
+    .optional()
+    .custom(value => {
+      if (value && !mongoose.Types.ObjectId.isValid(value)) {
+        throw new Error('Invalid seller ID format');
+      }
+      return true;
+    }),
+  
   query('from')
     .optional()
     .isISO8601().withMessage('From date must be in ISO format (YYYY-MM-DD)'),
@@ -49,23 +62,6 @@ export const validateListNDRs = [
   validate
 ];
 
-export const validateSyncNDRs = [
-  body('fromDate')
-    .optional()
-    .isISO8601().withMessage('From date must be in ISO format (YYYY-MM-DD)'),
-  
-  body('sellerId')
-    .optional()
-    .custom(value => {
-      if (value && !mongoose.Types.ObjectId.isValid(value)) {
-        throw new Error('Invalid seller ID format');
-      }
-      return true;
-    }),
-  
-  validate
-];
-
 export const validateUpdateStatus = [
   param('id')
     .custom(value => {
@@ -141,4 +137,101 @@ export const validateInitiateRTO = [
     .isLength({ min: 3, max: 500 }).withMessage('Remarks must be between 3 and 500 characters'),
   
   validate
-]; 
\ No newline at end of file
+];
+
+export const validateNDRAction = [
+  param('id')
+    .custom(value => {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw new Error('Invalid NDR ID format');
+      }
+      return true;
+    }),
+
+  body('type')
+    .trim()
+    .notEmpty().withMessage('Action type is required')
+    .isIn(ACTION_TYPES).withMessage(`Action type must be one of ${ACTION_TYPES.join(', ')}`),
+
+  body('reattemptDate')
+    .if(body('type').equals(NDR_ACTION_TYPES.REATTEMPT))
+    .notEmpty().withMessage('Re-attempt date is required')
+    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Re-attempt date must be YYYY-MM-DD')
+    .custom(value => {
+      if (value < new Date().toISOString().slice(0, 10)) {
+        throw new Error('Re-attempt date cannot be in the past');
+      }
+      return true;
+    }),
+
+  body('address')
+    .if(body('type').equals(NDR_ACTION_TYPES.CHANGE_ADDRESS))
+    .isObject().withMessage('Address is required for an address change'),
+
+  body(['address.addressLine1', 'address.city', 'address.state'])
+    .if(body('type').equals(NDR_ACTION_TYPES.CHANGE_ADDRESS))
+    .trim()
+    .notEmpty().withMessage('Address line 1, city and state are required'),
+
+  body('address.pincode')
+    .if(body('type').equals(NDR_ACTION_TYPES.CHANGE_ADDRESS))
+    .matches(/^\d{6}$/).withMessage('Pincode must be 6 digits'),
+
+  body('phone')
+    .if(body('type').equals(NDR_ACTION_TYPES.CHANGE_PHONE))
+    .matches(/^\d{10}$/).withMessage('Phone must be 10 digits'),
+
+  body('remarks')
+    .optional()
+    .trim()
+    .isLength({ max: 500 }).withMessage('Remarks cannot exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+export const validateRetryNDRAction = [
+  param(['id', 'actionId'])
+    .custom(value => {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw new Error('Invalid ID format');
+      }
+      return true;
+    }),
+
+  handleValidationErrors
+];
+
+export const validateExportNDRActions = [
+  query('status')
+    .optional()
+    .isIn([...NDR_COURIER_ACTION_STATUSES, ''])
+    .withMessage('Invalid action status'),
+
+  query('type')
+    .optional()
+    .isIn([...ACTION_TYPES, ''])
+    .withMessage('Invalid action type'),
+
+  query('sellerId')
+    .optional()
+    .custom(value => {
+      if (value && !mongoose.Types.ObjectId.isValid(value)) {
+        throw new Error('Invalid seller ID format');
+      }
+      return true;
+    }),
+
+  query('from')
+    .optional()
+    .isISO8601().withMessage('From date must be in ISO format (YYYY-MM-DD)'),
+
+  query('to')
+    .optional()
+    .isISO8601().withMessage('To date must be in ISO format (YYYY-MM-DD)'),
+
+  query('format')
+    .optional()
+    .isIn(['csv', 'xlsx']).withMessage('Format must be csv or xlsx'),
+
+  handleValidationErrors
+];
@@ -0,0 +1,81 @@
+import { body, param, query } from 'express-validator';
+import { handleValidationErrors } from '../../../middleware/validator.js';
+import { SERVICEABILITY_SERVICES } from '../../../models/pincodeServiceability.model.js';
+
+const courierParam = param('courier')
+  .matches(/^[A-Za-z0-9_-]+$/).withMessage('Invalid courier code');
+
+export const validateListServiceability = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500')
+    .toInt(),
+
+  query('pincode')
+    .optional()
+    .matches(/^\d{1,6}$/).withMessage('Pincode must be numeric'),
+
+  query('state')
+    .optional()
+    .isString().trim(),
+
+  handleValidationErrors
+];
+
+export const validateImportServiceability = [
+  courierParam,
+
+  body('replace')
+    .optional()
+    .isIn([true, false, 'true', 'false']).withMessage('Replace must be a boolean'),
+
+  handleValidationErrors
+];
+
+export const validateUpdateServiceability = [
+  courierParam,
+
+  param('pincode')
+    .matches(/^\d{6}$/).withMessage('Pincode must be a 6-digit number'),
+
+  body(SERVICEABILITY_SERVICES)
+    .optional()
+    .isBoolean().withMessage('Service flags must be booleans')
+    .toBoolean(),
+
+  body(['tat.standard', 'tat.express'])
+    .optional({ nullable: true })
+    .isFloat({ min: 0 }).withMessage('TAT must be a non-negative number of days'),
+
+  body('embargoes')
+    .optional()
+    .isArray().withMessage('Embargoes must be a list'),
+
+  body('embargoes.*.from')
+    .isISO8601().withMessage('Embargo start must be a valid date'),
+
+  body('embargoes.*.to')
+    .optional({ nullable: true })
+    .isISO8601().withMessage('Embargo end must be a valid date'),
+
+  body('embargoes.*.services')
+    .optional()
+    .isArray().withMessage('Embargo services must be a list'),
+
+  body('embargoes.*.services.*')
+    .isIn(SERVICEABILITY_SERVICES)
+    .withMessage(`Embargo services must be from: ${SERVICEABILITY_SERVICES.join(', ')}`),
+
+  handleValidationErrors
+];
+
+export const validateRemoveServiceability = [
+  courierParam,
+
+  handleValidationErrors
+];
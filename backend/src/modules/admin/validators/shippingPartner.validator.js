@@ -1,4 +1,6 @@
 import Joi from 'joi';
+import { RATE_ZONES } from '../models/rateCard.model.js';
+import { NDR_REASON_CATEGORIES } from '../../seller/models/ndr.model.js';
 
 // Zone schema validator
 const zoneSchema = Joi.object({
@@ -75,6 +77,60 @@ const ratesSchema = Joi.object({
   })
 });
 
+// Volumetric rule of one service mode
+const volumetricRuleSchema = Joi.object({
+  divisor: Joi.number().positive().messages({
+    'number.base': 'Volumetric divisor must be a number',
+    'number.positive': 'Volumetric divisor must be positive'
+  }),
+  minimumChargeableWeight: Joi.number().min(0).messages({
+    'number.base': 'Minimum chargeable weight must be a number',
+    'number.min': 'Minimum chargeable weight cannot be negative'
+  }),
+  roundingStep: Joi.number().min(0).messages({
+    'number.base': 'Rounding step must be a number',
+    'number.min': 'Rounding step cannot be negative'
+  })
+});
+
+const volumetricSchema = Joi.object({
+  air: volumetricRuleSchema.optional(),
+  surface: volumetricRuleSchema.optional()
+});
+
+// Transit days per zone for one service mode
+const transitTimeSchema = Joi.object(
+  RATE_ZONES.reduce((zones, zone) => ({ ...zones, [zone]: Joi.number().min(0).optional() }), {})
+).messages({
+  'number.min': 'Transit days cannot be negative'
+});
+
+const transitTimesSchema = Joi.object({
+  air: transitTimeSchema.optional(),
+  surface: transitTimeSchema.optional()
+});
+
+const nonWorkingDaysSchema = Joi.array().items(Joi.number().integer().min(0).max(6)).unique().messages({
+  'number.min': 'Non-working days must be 0 (Sunday) to 6 (Saturday)',
+  'number.max': 'Non-working days must be 0 (Sunday) to 6 (Saturday)'
+});
+
+// Courier NDR reason codes and phrases mapped to NDR reason categories
+const ndrReasonCategorySchema = Joi.string().valid(...NDR_REASON_CATEGORIES).required().messages({
+  'any.only': `NDR reason category must be one of: ${NDR_REASON_CATEGORIES.join(', ')}`
+});
+
+const ndrReasonsSchema = Joi.object({
+  codes: Joi.array().items(Joi.object({
+    code: Joi.string().trim().required(),
+    category: ndrReasonCategorySchema
+  })).optional(),
+  keywords: Joi.array().items(Joi.object({
+    keyword: Joi.string().trim().min(2).required(),
+    category: ndrReasonCategorySchema
+  })).optional()
+});
+
 // Create shipping partner validator
 export const createShippingPartnerSchema = Joi.object({
   name: Joi.string().required().messages({
@@ -102,6 +158,7 @@ export const createShippingPartnerSchema = Joi.object({
   }),
   serviceTypes: Joi.array().items(Joi.string()).default([]),
   serviceAreas: Joi.array().items(Joi.string()).default([]),
+  codSupported: Joi.boolean().default(true),
   weightLimits: weightLimitsSchema.required().messages({
     'any.required': 'Weight limits are required'
   }),
@@ -109,6 +166,10 @@ export const createShippingPartnerSchema = Joi.object({
   rates: ratesSchema.required().messages({
     'any.required': 'Rates are required'
   }),
+  volumetric: volumetricSchema.optional(),
+  transitTimes: transitTimesSchema.optional(),
+  nonWorkingDays: nonWorkingDaysSchema.optional(),
+  ndrReasons: ndrReasonsSchema.optional(),
   zones: Joi.array().items(zoneSchema).default([]),
   trackingUrl: Joi.string().uri().allow('').optional().messages({
     'string.uri': 'Tracking URL must be a valid URI'
@@ -140,9 +201,14 @@ export const updateShippingPartnerSchema = Joi.object({
   }),
   serviceTypes: Joi.array().items(Joi.string()).optional(),
   serviceAreas: Joi.array().items(Joi.string()).optional(),
+  codSupported: Joi.boolean().optional(),
   weightLimits: weightLimitsSchema.optional(),
   dimensionLimits: dimensionLimitsSchema.optional(),
   rates: ratesSchema.optional(),
+  volumetric: volumetricSchema.optional(),
+  transitTimes: transitTimesSchema.optional(),
+  nonWorkingDays: nonWorkingDaysSchema.optional(),
+  ndrReasons: ndrReasonsSchema.optional(),
   zones: Joi.array().items(zoneSchema).optional(),
   trackingUrl: Joi.string().uri().allow('').optional().messages({
     'string.uri': 'Tracking URL must be a valid URI'
@@ -201,7 +267,26 @@ export const updatePartnerPerformanceSchema = Joi.object({
 // Update shipping partner rates validator
 export const updatePartnerRatesSchema = Joi.object({
   rates: ratesSchema.optional(),
+  volumetric: volumetricSchema.optional(),
   zones: Joi.array().items(zoneSchema).optional()
-}).or('rates', 'zones').messages({
-  'object.missing': 'At least one of rates or zones must be provided'
-}); 
\ No newline at end of file
+}).or('rates', 'volumetric', 'zones').messages({
+  'object.missing': 'At least one of rates, volumetric or zones must be provided'
+});
+
+// Validation middleware function (validates the body and keeps the validated value, with defaults)
+const validateRequest = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error: error.details[0].message });
+    }
+    req.body = value;
+    next();
+  };
+};
+
+export const validateCreateShippingPartner = validateRequest(createShippingPartnerSchema);
+export const validateUpdateShippingPartner = validateRequest(updateShippingPartnerSchema);
+export const validateUpdatePartnerStatus = validateRequest(updatePartnerStatusSchema);
+export const validateUpdatePartnerPerformance = validateRequest(updatePartnerPerformanceSchema);
+export const validateUpdatePartnerRates = validateRequest(updatePartnerRatesSchema);
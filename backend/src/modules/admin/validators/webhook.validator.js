@@ -0,0 +1,74 @@
+import { body, param, query } from 'express-validator';
+import mongoose from 'mongoose';
+import { handleValidationErrors } from '../../../middleware/validator.js';
+
+const validateObjectId = (label) => (value) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw new Error(`Invalid ${label} ID format`);
+  }
+  return true;
+};
+
+export const validateListWebhooks = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  query('status')
+    .optional()
+    .isIn(['Received', 'Processed', 'Partially Processed', 'Failed', 'Rejected', ''])
+    .withMessage('Invalid webhook status'),
+
+  query('from')
+    .optional()
+    .isISO8601().withMessage('From date must be in ISO format (YYYY-MM-DD)'),
+
+  query('to')
+    .optional()
+    .isISO8601().withMessage('To date must be in ISO format (YYYY-MM-DD)'),
+
+  handleValidationErrors
+];
+
+export const validateWebhookId = [
+  param('id').custom(validateObjectId('webhook')),
+
+  handleValidationErrors
+];
+
+export const validateUpdatePartnerWebhook = [
+  param('id').custom(validateObjectId('partner')),
+
+  body('enabled')
+    .optional()
+    .isBoolean().withMessage('Enabled must be a boolean')
+    .toBoolean(),
+
+  body('secret')
+    .optional()
+    .isString().withMessage('Secret must be a string')
+    .isLength({ min: 16, max: 256 }).withMessage('Secret must be between 16 and 256 characters'),
+
+  body('signatureScheme')
+    .optional()
+    .isIn(['hmac-sha256', 'hmac-sha1', 'token', 'none'])
+    .withMessage('Signature scheme must be one of: hmac-sha256, hmac-sha1, token, none'),
+
+  body('signatureHeader')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9-]+$/).withMessage('Signature header must be a valid header name'),
+
+  body('signatureEncoding')
+    .optional()
+    .isIn(['hex', 'base64'])
+    .withMessage('Signature encoding must be hex or base64'),
+
+  handleValidationErrors
+];
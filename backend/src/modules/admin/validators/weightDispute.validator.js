@@ -0,0 +1,66 @@
+import { body, param, query } from 'express-validator';
+import { handleValidationErrors } from '../../../middleware/validator.js';
+import { WEIGHT_DISPUTE_STATUSES } from '../../seller/models/weightDispute.model.js';
+
+const idParam = param('id')
+  .isMongoId().withMessage('Invalid weight dispute ID');
+
+export const validateListWeightDisputes = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  query('status')
+    .optional()
+    .isIn(WEIGHT_DISPUTE_STATUSES).withMessage('Invalid weight dispute status'),
+
+  query('sellerId')
+    .optional()
+    .isMongoId().withMessage('Invalid seller ID'),
+
+  query(['from', 'to'])
+    .optional()
+    .isISO8601().withMessage('Dates must be valid ISO 8601 dates'),
+
+  handleValidationErrors
+];
+
+export const validateGetWeightDispute = [
+  idParam,
+
+  handleValidationErrors
+];
+
+export const validateImportWeightDisputes = [
+  body('courier')
+    .optional()
+    .matches(/^[A-Za-z0-9_-]+$/).withMessage('Invalid courier code'),
+
+  handleValidationErrors
+];
+
+export const validateDecideWeightDispute = [
+  idParam,
+
+  body('outcome')
+    .isIn(['Upheld', 'Partially Upheld', 'Rejected'])
+    .withMessage('Outcome must be Upheld, Partially Upheld or Rejected'),
+
+  body('revisedWeight')
+    .if(body('outcome').equals('Partially Upheld'))
+    .isFloat({ gt: 0 }).withMessage('Revised weight is required for a partially upheld dispute')
+    .toFloat(),
+
+  body('remarks')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 }).withMessage('Remarks must be at most 1000 characters'),
+
+  handleValidationErrors
+];
@@ -0,0 +1,127 @@
+import { body, param, query } from 'express-validator';
+import { handleValidationErrors } from '../../../middleware/validator.js';
+import { RATE_ZONES } from '../models/rateCard.model.js';
+import { SPECIAL_REGION_ZONES } from '../models/zoneMatrix.model.js';
+
+const PINCODE_PATTERN = /^\d{6}$/;
+
+const isPincodeList = (label) => (pincodes) => {
+  if (!Array.isArray(pincodes) || !pincodes.every(pincode => PINCODE_PATTERN.test(String(pincode)))) {
+    throw new Error(`${label} must be a list of 6-digit pincodes`);
+  }
+  return true;
+};
+
+const optionalStringList = (field, label) => body(field)
+  .optional()
+  .isArray().withMessage(`${label} must be a list`);
+
+export const validateUpdateZoneMatrix = [
+  body('metros')
+    .optional()
+    .isArray().withMessage('Metros must be a list'),
+
+  body('metros.*.name')
+    .notEmpty().withMessage('Metro name is required'),
+
+  optionalStringList('metros.*.districts', 'Metro districts'),
+
+  body('metros.*.pincodes')
+    .optional()
+    .custom(isPincodeList('Metro pincodes')),
+
+  body('specialRegions')
+    .optional()
+    .isArray().withMessage('Special regions must be a list'),
+
+  body('specialRegions.*.name')
+    .notEmpty().withMessage('Region name is required'),
+
+  body('specialRegions.*.zone')
+    .isIn(SPECIAL_REGION_ZONES)
+    .withMessage(`Region zone must be one of: ${SPECIAL_REGION_ZONES.join(', ')}`),
+
+  optionalStringList('specialRegions.*.states', 'Region states'),
+
+  body('specialRegions.*.pincodes')
+    .optional()
+    .custom(isPincodeList('Region pincodes')),
+
+  body('customZones')
+    .optional()
+    .isArray().withMessage('Custom zones must be a list'),
+
+  body('customZones.*.name')
+    .notEmpty().withMessage('Rule name is required'),
+
+  body('customZones.*.zone')
+    .isIn(RATE_ZONES)
+    .withMessage(`Rule zone must be one of: ${RATE_ZONES.join(', ')}`),
+
+  body('customZones.*.priority')
+    .optional()
+    .isInt().withMessage('Rule priority must be an integer'),
+
+  body('customZones.*')
+    .custom(rule => {
+      const hasCriteria = (criteria) => ['states', 'districts', 'pincodes'].some(key => criteria?.[key]?.length);
+      if (!hasCriteria(rule.origin) && !hasCriteria(rule.destination)) {
+        throw new Error(`Rule "${rule.name}" must match on at least one state, district or pincode`);
+      }
+      return true;
+    }),
+
+  optionalStringList('customZones.*.origin.states', 'Origin states'),
+  optionalStringList('customZones.*.origin.districts', 'Origin districts'),
+  optionalStringList('customZones.*.destination.states', 'Destination states'),
+  optionalStringList('customZones.*.destination.districts', 'Destination districts'),
+
+  body(['customZones.*.origin.pincodes', 'customZones.*.destination.pincodes'])
+    .optional()
+    .custom(isPincodeList('Rule pincodes')),
+
+  handleValidationErrors
+];
+
+export const validateResolveZone = [
+  query('pickupPincode')
+    .matches(PINCODE_PATTERN).withMessage('Pickup pincode must be a 6-digit number'),
+
+  query('deliveryPincode')
+    .matches(PINCODE_PATTERN).withMessage('Delivery pincode must be a 6-digit number'),
+
+  handleValidationErrors
+];
+
+export const validateListOdaPincodes = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500')
+    .toInt(),
+
+  query('pincode')
+    .optional()
+    .matches(/^\d{1,6}$/).withMessage('Pincode must be numeric'),
+
+  handleValidationErrors
+];
+
+export const validateUpdateOdaPincodes = [
+  param('courier')
+    .matches(/^[A-Za-z0-9_-]+$/).withMessage('Invalid courier code'),
+
+  body('pincodes')
+    .custom(isPincodeList('Pincodes')),
+
+  body('replace')
+    .optional()
+    .isBoolean().withMessage('Replace must be a boolean')
+    .toBoolean(),
+
+  handleValidationErrors
+];
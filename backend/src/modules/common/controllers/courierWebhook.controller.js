@@ -0,0 +1,51 @@
+import { AppError } from '../../../middleware/errorHandler.js';
+import { getCourierAdapter } from '../../../utils/courierRegistry.js';
+import { COURIER_CAPABILITIES } from '../../../utils/courierAdapter.js';
+import {
+  getWebhookPartner,
+  verifyWebhookSignature,
+  storeWebhook,
+  processCourierWebhook
+} from '../../../utils/courierWebhooks.js';
+
+/**
+ * Receive a tracking webhook from a courier
+ * @route POST /api/webhooks/couriers/:courierCode
+ * @access Public (verified with the partner's webhook signature)
+ */
+export const receiveCourierWebhook = async (req, res, next) => {
+  try {
+    const courier = req.params.courierCode.toUpperCase();
+
+    const adapter = getCourierAdapter(courier);
+    if (!adapter || !adapter.capabilities.includes(COURIER_CAPABILITIES.WEBHOOK)) {
+      return next(new AppError(`Webhooks are not supported for ${courier}`, 404));
+    }
+
+    const partner = await getWebhookPartner(courier);
+    if (!partner || !partner.webhook?.enabled) {
+      return next(new AppError(`Webhooks are not enabled for ${courier}`, 404));
+    }
+
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.from('');
+    if (!verifyWebhookSignature(partner.webhook, rawBody, req.headers)) {
+      // Kept briefly (truncated) so rejected calls can be investigated
+      await storeWebhook(courier, req, partner, { rejected: true });
+      return next(new AppError('Invalid webhook signature', 401));
+    }
+
+    const webhook = await storeWebhook(courier, req, partner);
+    await processCourierWebhook(webhook);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: webhook._id,
+        status: webhook.status,
+        results: webhook.results
+      }
+    });
+  } catch (error) {
+    next(new AppError(error.message, 500));
+  }
+};
@@ -0,0 +1,26 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { receiveCourierWebhook } from '../controllers/courierWebhook.controller.js';
+
+const router = express.Router();
+
+// Couriers push in bursts, so the limit is well above the API's; it stops anonymous floods
+const webhookLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: parseInt(process.env.COURIER_WEBHOOK_RATE_LIMIT || 600), // requests per IP per window
+  message: 'Too many webhook requests from this IP, please try again later'
+});
+
+router.use(webhookLimiter);
+
+// Keep the exact bytes so signatures can be verified against them
+router.use(express.raw({ type: '*/*', limit: '1mb' }));
+
+/**
+ * @route POST /api/webhooks/couriers/:courierCode
+ * @desc Receive tracking updates pushed by a courier
+ * @access Public (signature verified per shipping partner)
+ */
+router.post('/:courierCode', receiveCourierWebhook);
+
+export default router;
@@ -0,0 +1,43 @@
+import { AppError } from '../../../middleware/errorHandler.js';
+import { io } from '../../../server.js';
+import { NDRError } from '../../../utils/ndr.js';
+import { verifyNDRBuyerLink, getNDRBuyerView, recordNDRBuyerResponse } from '../../../utils/ndrBuyerLinks.js';
+
+const toAppError = (error) =>
+  error instanceof NDRError ? new AppError(error.message, error.statusCode) : error;
+
+// NDR response page: the failed delivery and what the buyer can do about it (public, by signed link)
+export const getNDRResponsePage = async (req, res, next) => {
+  try {
+    const ndr = await verifyNDRBuyerLink(req.params.token);
+    res.status(200).json({ success: true, data: getNDRBuyerView(ndr) });
+  } catch (error) {
+    next(toAppError(error));
+  }
+};
+
+// Buyer picks a re-delivery date, corrects the address or cancels
+export const submitNDRResponse = async (req, res, next) => {
+  try {
+    const ndr = await verifyNDRBuyerLink(req.params.token);
+    await recordNDRBuyerResponse(ndr, req.body);
+
+    io.emit('ndr:updated', {
+      sellerId: ndr.seller?.id,
+      ndrId: ndr._id,
+      awb: ndr.awb,
+      status: ndr.status,
+      source: 'Buyer'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: req.body.action === 'CANCEL'
+        ? 'Your order has been cancelled and will be returned to the seller'
+        : 'Thank you, your delivery instructions have been passed to the courier',
+      data: getNDRBuyerView(ndr)
+    });
+  } catch (error) {
+    next(toAppError(error));
+  }
+};
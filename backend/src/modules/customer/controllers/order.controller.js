@@ -6,11 +6,7 @@ import { sendSMS, SMS_TEMPLATES } from '../../../utils/sms.js';
 import { calculateShippingRates } from '../../../utils/shipping.js';
 import { createPaymentOrder, verifyPayment } from '../../../utils/payment.js';
 import { calculateCourierRates } from '../../../utils/courierRates.js';
-import { calculateRate as calculateDelhiveryRate } from '../../../utils/delhivery.js';
-import { calculateRate as calculateBluedartRate } from '../../../utils/bluedart.js';
-import { calculateRate as calculateDTDCRate } from '../../../utils/dtdc.js';
-import { calculateRate as calculateEkartRate } from '../../../utils/ekart.js';
-import { calculateRate as calculateXpressbeesRate } from '../../../utils/xpressbees.js';
+import { getQuoteEstimatedDelivery, predictOrderDeliveryDate } from '../../../utils/edd.js';
 import { emitEvent, EVENT_TYPES } from '../../../utils/eventEmitter.js';
 
 // Create new order
@@ -172,6 +168,9 @@ export const getOrderDetails = async (req, res, next) => {
       return next(new AppError('Order not found', 404));
     }
 
+    // Expected delivery date (null once the order is closed)
+    const edd = await predictOrderDeliveryDate(order);
+
     res.status(200).json({
       success: true,
       data: {
@@ -180,6 +179,7 @@ export const getOrderDetails = async (req, res, next) => {
           status: order.tracking.status,
           currentLocation: order.tracking.currentLocation,
           estimatedDelivery: order.estimatedDelivery,
+          edd,
           timeline: order.getStatusTimeline()
         }
       }
@@ -467,71 +467,34 @@ export const checkPaymentStatus = async (req, res, next) => {
 
 export const calculateRates = async (req, res, next) => {
   try {
-    const { weight, pickupPincode, deliveryPincode, serviceType } = req.body;
+    const { weight, dimensions, pickupPincode, deliveryPincode, serviceType } = req.body;
     const isCOD = false; // COD not allowed for customers
 
-    // Prepare common parameters for all courier rate functions
-    const packageDetails = {
+    // Price every courier on the default rate card
+    const quotes = await calculateCourierRates({
       weight,
-      dimensions: { length: 10, width: 10, height: 10 }, // Default dimensions if not provided
-      paymentMode: isCOD ? 'COD' : 'PREPAID'
-    };
-    
-    const deliveryDetails = {
+      dimensions,
       pickupPincode,
-      deliveryPincode
-    };
-    
-    const partnerDetails = {
-      name: 'Default',
-      rates: {}
-    };
-    
-    // Delhivery partner details
-    const delhiveryPartner = { ...partnerDetails, name: 'Delhivery' };
-    // Bluedart partner details
-    const bluedartPartner = { ...partnerDetails, name: 'Bluedart' };
-    // DTDC partner details
-    const dtdcPartner = { ...partnerDetails, name: 'DTDC' };
-    // Ekart partner details
-    const ekartPartner = { ...partnerDetails, name: 'Ekart' };
-    // Xpressbees partner details
-    const xpressbeesPartner = { ...partnerDetails, name: 'Xpressbees' };
-
-    // Fetch real-time rates from all partners in parallel
-    const [delhivery, bluedart, dtdc, ekart, xpressbees, staticRates] = await Promise.all([
-      calculateDelhiveryRate(packageDetails, deliveryDetails, delhiveryPartner),
-      calculateBluedartRate(packageDetails, deliveryDetails, bluedartPartner),
-      calculateDTDCRate(packageDetails, deliveryDetails, dtdcPartner),
-      calculateEkartRate(packageDetails, deliveryDetails, ekartPartner),
-      calculateXpressbeesRate(packageDetails, deliveryDetails, xpressbeesPartner),
-      calculateCourierRates({ weight, pickupPincode, deliveryPincode, isCOD })
-    ]);
-
-    // Format the responses to a consistent structure
-    const formatCourierRate = (rate) => {
-      if (!rate) return [];
-      
-      return [{
-        courier: rate.provider?.name || 'Unknown',
-        mode: rate.provider?.expressDelivery ? 'express' : 'standard',
-        service: rate.provider?.expressDelivery ? 'express' : 'standard',
-        rate: rate.totalRate,
-        estimatedDelivery: rate.provider?.estimatedDays || '3-5 days',
-        codCharge: rate.breakdown?.codCharge || 0,
-        available: true
-      }];
-    };
+      deliveryPincode,
+      isCOD,
+      mode: serviceType === 'express' ? 'air' : undefined
+    });
 
-    // Merge and flatten all rates
-    const rates = [
-      ...formatCourierRate(delhivery),
-      ...formatCourierRate(bluedart),
-      ...formatCourierRate(dtdc),
-      ...formatCourierRate(ekart),
-      ...formatCourierRate(xpressbees),
-      ...staticRates
-    ].filter(rate => rate); // Filter out any undefined/null values
+    const rates = quotes.map(quote => ({
+      courier: quote.courier,
+      courierCode: quote.courierCode,
+      mode: quote.mode,
+      service: quote.mode === 'air' ? 'express' : 'standard',
+      zone: quote.zone,
+      zoneRule: quote.zoneRule,
+      chargeableWeight: quote.weight,
+      rate: quote.total,
+      breakdown: quote.breakdown,
+      estimatedDelivery: getQuoteEstimatedDelivery(quote),
+      edd: quote.edd,
+      codCharge: quote.breakdown.codCharge,
+      available: true
+    }));
 
     // Sort rates by price (lowest first)
     rates.sort((a, b) => a.rate - b.rate);
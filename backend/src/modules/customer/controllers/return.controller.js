@@ -0,0 +1,94 @@
+import Customer from '../models/customer.model.js';
+import SellerOrder from '../../seller/models/order.model.js';
+import ReturnRequest from '../../seller/models/returnRequest.model.js';
+import { AppError } from '../../../middleware/errorHandler.js';
+import { io } from '../../../server.js';
+import { createReturnRequest, ReturnError } from '../../../utils/returns.js';
+
+// Raise a return for a delivered order placed with a seller
+export const createReturn = async (req, res, next) => {
+  try {
+    const customer = await Customer.findById(req.user.id);
+    if (!customer) {
+      return next(new AppError('Customer not found', 404));
+    }
+
+    const { orderNumber, reason, comments, sku, quantity } = req.body;
+
+    // Seller orders carry the buyer's contact details, not a customer account
+    const contacts = [{ 'customer.phone': customer.phone }];
+    if (customer.email) contacts.push({ 'customer.email': customer.email });
+    const order = await SellerOrder.findOne({ orderId: orderNumber, $or: contacts });
+    if (!order) {
+      return next(new AppError('Order not found', 404));
+    }
+
+    const returnRequest = await createReturnRequest({
+      order,
+      raisedBy: { type: 'Customer', id: customer._id, name: customer.name },
+      reason,
+      comments,
+      sku,
+      quantity: quantity ? parseInt(quantity) : undefined,
+      files: req.files
+    });
+
+    io.emit('return:updated', {
+      sellerId: returnRequest.seller,
+      returnId: returnRequest._id,
+      returnNumber: returnRequest.returnNumber,
+      orderId: returnRequest.order,
+      status: returnRequest.status
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Return requested, the seller will review it shortly',
+      data: {
+        returnNumber: returnRequest.returnNumber,
+        orderNumber: returnRequest.orderNumber,
+        status: returnRequest.status,
+        reason: returnRequest.reason,
+        item: returnRequest.item,
+        photos: returnRequest.photos,
+        createdAt: returnRequest.createdAt
+      }
+    });
+  } catch (error) {
+    if (error instanceof ReturnError) {
+      return next(new AppError(error.message, error.statusCode));
+    }
+    next(error);
+  }
+};
+
+// List the customer's returns
+export const listReturns = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const query = { 'raisedBy.type': 'Customer', 'raisedBy.id': req.user.id };
+
+    const [returns, total] = await Promise.all([
+      ReturnRequest.find(query)
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit))
+        .select('returnNumber orderNumber status reason item awb courier refund.status refund.amount createdAt updatedAt')
+        .lean(),
+      ReturnRequest.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        returns,
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
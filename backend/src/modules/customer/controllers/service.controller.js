@@ -1,5 +1,7 @@
 import { AppError } from '../../../middleware/errorHandler.js';
-import { calculateShippingRates, getServiceAvailability } from '../../../utils/shipping.js';
+import { getServiceAvailability } from '../../../utils/shipping.js';
+import { calculateCourierRates } from '../../../utils/courierRates.js';
+import { getQuoteEstimatedDelivery } from '../../../utils/edd.js';
 
 // List available services
 export const listServices = async (req, res, next) => {
@@ -70,70 +72,52 @@ export const checkAvailability = async (req, res, next) => {
     // Check if service is available for the given pincodes
     const availability = await getServiceAvailability(pickupPincode, deliveryPincode);
 
-    if (!availability.available) {
+    if (!availability.data.isServiceable) {
       return res.status(200).json({
         success: true,
         data: {
           available: false,
-          message: availability.message
+          message: availability.data.message
         }
       });
     }
 
-    // Calculate shipping rates for each service type
-    const rates = await Promise.all([
-      calculateShippingRates({
-        weight: packageDetails.weight,
-        dimensions: packageDetails.dimensions,
-        pickupPincode,
-        deliveryPincode,
-        serviceType: 'standard'
-      }),
-      calculateShippingRates({
-        weight: packageDetails.weight,
-        dimensions: packageDetails.dimensions,
-        pickupPincode,
-        deliveryPincode,
-        serviceType: 'express'
-      }),
-      calculateShippingRates({
-        weight: packageDetails.weight,
-        dimensions: packageDetails.dimensions,
-        pickupPincode,
-        deliveryPincode,
-        serviceType: 'cod'
-      })
+    // Price each service type on the default rate card; only couriers serviceable on the lane are quoted
+    const rateOptions = {
+      weight: packageDetails.weight,
+      dimensions: packageDetails.dimensions,
+      pickupPincode,
+      deliveryPincode
+    };
+    const [standardQuotes, expressQuotes, codQuotes] = await Promise.all([
+      calculateCourierRates(rateOptions),
+      calculateCourierRates({ ...rateOptions, mode: 'air' }),
+      calculateCourierRates({ ...rateOptions, isCOD: true })
     ]);
 
     const services = [
-      {
-        id: 'standard',
-        name: 'Standard Delivery',
-        price: rates[0].totalRate,
-        estimatedDelivery: rates[0].estimatedDelivery
-      },
-      {
-        id: 'express',
-        name: 'Express Delivery',
-        price: rates[1].totalRate,
-        estimatedDelivery: rates[1].estimatedDelivery
-      },
-      {
-        id: 'cod',
-        name: 'Cash on Delivery',
-        price: rates[2].totalRate,
-        estimatedDelivery: rates[2].estimatedDelivery
-      }
-    ];
+      { id: 'standard', name: 'Standard Delivery', quote: standardQuotes[0] },
+      { id: 'express', name: 'Express Delivery', quote: expressQuotes[0] },
+      { id: 'cod', name: 'Cash on Delivery', quote: codQuotes[0] }
+    ]
+      .filter(service => service.quote && availability.data.availableServices.includes(service.id))
+      .map(({ id, name, quote }) => ({
+        id,
+        name,
+        price: quote.total,
+        courier: quote.courier,
+        estimatedDelivery: getQuoteEstimatedDelivery(quote),
+        edd: quote.edd
+      }));
 
     res.status(200).json({
       success: true,
       data: {
-        available: true,
+        available: services.length > 0,
         services
       }
     });
   } catch (error) {
     next(new AppError(error.message, 400));
   }
-}; 
\ No newline at end of file
+};
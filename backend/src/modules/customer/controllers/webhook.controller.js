@@ -3,6 +3,8 @@ import { AppError } from '../../../middleware/errorHandler.js';
 import Order from '../models/order.model.js';
 import { sendEmail } from '../../../utils/email.js';
 import { sendSMS, SMS_TEMPLATES } from '../../../utils/sms.js';
+import { mapCourierStatus } from '../../../utils/shipmentStatus.js';
+import { applyCustomerOrderUpdate } from '../../../utils/shipmentTracking.js';
 
 // Verify webhook signature
 const verifyWebhookSignature = (payload, signature) => {
@@ -33,28 +35,21 @@ export const handleTrackingWebhook = async (req, res, next) => {
       return next(new AppError('Order not found', 404));
     }
 
-    // Update tracking information
-    order.tracking.status = status;
-    order.tracking.currentLocation = location;
-    order.tracking.timeline.push({
-      status,
+    // Translate the courier status and apply it along valid transitions only
+    const canonicalStatus = mapCourierStatus({ status, code });
+    await applyCustomerOrderUpdate(order, {
+      status: canonicalStatus,
       location,
-      timestamp: new Date(),
       description,
-      code
+      trackingHistory: [{
+        status: canonicalStatus || status,
+        statusCode: code,
+        location,
+        timestamp: new Date(),
+        description
+      }]
     });
 
-    // Update order status if needed
-    if (status === 'In Transit') {
-      order.status = 'In Transit';
-    } else if (status === 'Out for Delivery') {
-      order.status = 'Out for Delivery';
-    } else if (status === 'Delivered') {
-      order.status = 'Delivered';
-    }
-
-    await order.save();
-
     // Send notifications based on subscription preferences
     const customer = await order.populate('customer');
     if (customer.tracking.subscription) {
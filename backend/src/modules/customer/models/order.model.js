@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { calculateChargeableWeight } from '../../../utils/chargeableWeight.js';
 
 const packageItemSchema = new mongoose.Schema({
   name: {
@@ -152,6 +153,8 @@ const orderSchema = new mongoose.Schema({
   tracking: {
     status: String,
     currentLocation: String,
+    lastTrackedAt: Date,
+    nextTrackingAt: Date,
     timeline: [{
       status: String,
       location: String,
@@ -189,6 +192,7 @@ orderSchema.index({ customer: 1, status: 1 });
 orderSchema.index({ customer: 1, createdAt: -1 });
 orderSchema.index({ status: 1, estimatedDelivery: 1 });
 orderSchema.index({ createdAt: -1 });
+orderSchema.index({ status: 1, 'tracking.nextTrackingAt': 1 });
 
 // Generate AWB number before saving
 orderSchema.pre('save', async function(next) {
@@ -257,10 +261,9 @@ orderSchema.methods.getOrderDetails = function() {
   };
 };
 
-// Calculate volumetric weight
-orderSchema.methods.calculateVolumetricWeight = function() {
-  const { length, width, height } = this.package.dimensions;
-  return (length * width * height) / 5000; // Standard volumetric weight calculation
+// Calculate volumetric weight (pass the courier's volumetric rule, see utils/chargeableWeight.js)
+orderSchema.methods.calculateVolumetricWeight = function(rule) {
+  return calculateChargeableWeight(this.package, rule).volumetricWeight;
 };
 
 // Get order status timeline
@@ -23,8 +23,11 @@ import {
   listServices,
   checkAvailability
 } from '../controllers/service.controller.js';
+import { createReturn, listReturns } from '../controllers/return.controller.js';
 import { handleTrackingWebhook } from '../controllers/webhook.controller.js';
+import { getNDRResponsePage, submitNDRResponse } from '../controllers/ndr.controller.js';
 import { protect } from '../../../middleware/auth.js';
+import { upload } from '../../../middleware/fileUpload.js';
 import { validationHandler as validateRequest } from '../../../middleware/validator.js';
 import {
   defaultLimiter,
@@ -50,6 +53,9 @@ import {
   calculateRatesSchema
 } from '../validators/order.validator.js';
 import { checkAvailabilitySchema } from '../validators/service.validator.js';
+import { validateCreateReturn, validateListReturns } from '../validators/return.validator.js';
+import { validateNDRResponse } from '../validators/ndr.validator.js';
+import { RETURN_CONFIG } from '../../../utils/returns.js';
 
 const router = express.Router();
 
@@ -62,6 +68,10 @@ router.post('/auth/login', authLimiter, validateRequest(loginSchema), login);
 router.post('/auth/otp/send', authLimiter, validateRequest(otpSchema), sendOTP);
 router.post('/auth/otp/verify', authLimiter, validateRequest(otpSchema), verifyOTPHandler);
 
+// Failed delivery response page (buyers open it from the link sent to them, no login)
+router.get('/ndr/:token', getNDRResponsePage);
+router.post('/ndr/:token', authLimiter, validateNDRResponse, submitNDRResponse);
+
 // Protected routes
 router.use(protect);
 
@@ -110,6 +120,10 @@ router.post(
   refundPayment
 );
 
+// Return routes (orders placed with sellers)
+router.post('/returns', upload.array('photos', RETURN_CONFIG.maxPhotos), validateCreateReturn, createReturn);
+router.get('/returns', validateListReturns, listReturns);
+
 // Service routes
 router.get('/services', listServices);
 router.post(
@@ -0,0 +1,48 @@
+import Joi from 'joi';
+import { NDR_BUYER_RESPONSES } from '../../seller/models/ndr.model.js';
+import { NDR_BUYER_LINK_CONFIG } from '../../../utils/ndrBuyerLinks.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const ndrResponseSchema = Joi.object({
+  action: Joi.string().valid(...NDR_BUYER_RESPONSES).required().messages({
+    'any.only': `Action must be one of: ${NDR_BUYER_RESPONSES.join(', ')}`
+  }),
+  reattemptDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/)
+    .custom((value, helpers) => {
+      const from = new Date(Date.now() + DAY).toISOString().slice(0, 10);
+      const to = new Date(Date.now() + NDR_BUYER_LINK_CONFIG.maxReattemptDays * DAY).toISOString().slice(0, 10);
+      return value < from || value > to ? helpers.error('date.range', { from, to }) : value;
+    })
+    .messages({
+      'any.required': 'Choose a delivery date',
+      'string.pattern.base': 'Delivery date must be YYYY-MM-DD',
+      'date.range': 'Delivery date must be between {{#from}} and {{#to}}'
+    })
+    .when('action', { is: 'REATTEMPT', then: Joi.required(), otherwise: Joi.forbidden() }),
+  // Only the parts being corrected, e.g. just the landmark
+  address: Joi.object({
+    addressLine1: Joi.string().max(200),
+    addressLine2: Joi.string().max(200).allow(''),
+    landmark: Joi.string().max(200),
+    pincode: Joi.string().pattern(/^\d{6}$/).messages({ 'string.pattern.base': 'Pincode must be 6 digits' }),
+    city: Joi.string().max(100),
+    state: Joi.string().max(100)
+  }).min(1)
+    .when('action', { is: 'CHANGE_ADDRESS', then: Joi.required(), otherwise: Joi.forbidden() })
+    .messages({ 'object.min': 'Enter the address details to correct' }),
+  remarks: Joi.string().max(500).optional()
+});
+
+// Joi validation middleware
+const validateRequest = (schema) => {
+  return (req, res, next) => {
+    const { error } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error: error.details[0].message });
+    }
+    next();
+  };
+};
+
+export const validateNDRResponse = validateRequest(ndrResponseSchema);
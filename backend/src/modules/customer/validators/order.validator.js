@@ -330,5 +330,13 @@ export const calculateRatesSchema = Joi.object({
     .messages({
       'any.only': 'Service type must be standard, express, or cod',
       'any.required': 'Service type is required'
+    }),
+  dimensions: Joi.object({
+    length: Joi.number().positive().required(),
+    width: Joi.number().positive().required(),
+    height: Joi.number().positive().required()
+  }).optional()
+    .messages({
+      'number.positive': 'Dimensions must be positive numbers (cm)'
     })
 }); 
\ No newline at end of file
@@ -0,0 +1,33 @@
+import Joi from 'joi';
+import { RETURN_REASONS } from '../../seller/models/returnRequest.model.js';
+
+export const createReturnSchema = Joi.object({
+  orderNumber: Joi.string().required().messages({
+    'string.empty': 'Order number is required'
+  }),
+  reason: Joi.string().valid(...RETURN_REASONS).required().messages({
+    'any.only': `Reason must be one of: ${RETURN_REASONS.join(', ')}`
+  }),
+  comments: Joi.string().max(1000).optional(),
+  sku: Joi.string().optional(),
+  quantity: Joi.number().integer().min(1).optional()
+});
+
+export const listReturnsSchema = Joi.object({
+  page: Joi.number().integer().min(1).optional(),
+  limit: Joi.number().integer().min(1).max(50).optional()
+});
+
+// Joi validation middleware (validates the body unless another request property is given)
+const validateRequest = (schema, property = 'body') => {
+  return (req, res, next) => {
+    const { error } = schema.validate(req[property]);
+    if (error) {
+      return res.status(400).json({ success: false, error: error.details[0].message });
+    }
+    next();
+  };
+};
+
+export const validateCreateReturn = validateRequest(createReturnSchema);
+export const validateListReturns = validateRequest(listReturnsSchema, 'query');
@@ -1,6 +1,44 @@
 import Tracking from '../models/tracking.model.js';
+import SellerShipment from '../../seller/models/shipment.model.js';
+import Order from '../../customer/models/order.model.js';
 import { AppError } from '../../../middleware/errorHandler.js';
 import { sendEmail } from '../../../utils/email.js';
+import { predictOrderDeliveryDate } from '../../../utils/edd.js';
+
+// Tracking of a seller shipment by AWB, with its expected delivery date
+const getShipmentTracking = async (awb) => {
+  const shipment = await SellerShipment.findOne({ awb })
+    .select('status courier deliveryDate trackingHistory edd')
+    .lean();
+  if (!shipment) return null;
+
+  const history = shipment.trackingHistory || [];
+  return {
+    status: shipment.status,
+    courier: shipment.courier,
+    location: history[history.length - 1]?.location,
+    estimatedDelivery: shipment.deliveryDate || shipment.edd?.date,
+    edd: shipment.deliveryDate ? null : shipment.edd || null,
+    history: history.map(({ status, location, timestamp, description }) => ({ status, location, timestamp, description }))
+  };
+};
+
+// Tracking of a customer order by AWB
+const getOrderTracking = async (awb) => {
+  const order = await Order.findOne({ awb });
+  if (!order) return null;
+
+  const edd = await predictOrderDeliveryDate(order);
+
+  return {
+    status: order.status,
+    courier: order.courier?.name,
+    location: order.tracking?.currentLocation,
+    estimatedDelivery: order.estimatedDelivery,
+    edd,
+    history: order.getStatusTimeline()
+  };
+};
 
 export const getTrackingInfo = async (req, res, next) => {
   try {
@@ -13,7 +51,16 @@ export const getTrackingInfo = async (req, res, next) => {
     const tracking = await Tracking.findOne({ trackingId });
 
     if (!tracking) {
-      return next(new AppError('Tracking information not found', 404));
+      // Not a marketing tracking entry: look the ID up as a shipment or order AWB
+      const shipmentTracking = await getShipmentTracking(trackingId) || await getOrderTracking(trackingId);
+      if (!shipmentTracking) {
+        return next(new AppError('Tracking information not found', 404));
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: shipmentTracking
+      });
     }
 
     res.status(200).json({
@@ -1,6 +1,6 @@
 import express from 'express';
 import { body, query } from 'express-validator';
-import { validationHandler as validate } from '../../../middleware/validator.js';
+import { validationHandler as validate, handleValidationErrors } from '../../../middleware/validator.js';
 import { protect, restrictTo } from '../../../middleware/auth.js';
 import { defaultLimiter } from '../../../middleware/rateLimiter.js';
 import { submitContact, getAllContacts, getContactById } from '../controllers/contact.controller.js';
@@ -37,6 +37,16 @@ router.post(
   registerPartner
 );
 
+// Public tracking page (marketing tracking ID or shipment AWB)
+router.get(
+  '/track',
+  [
+    query('trackingId').trim().notEmpty().withMessage('Tracking ID is required')
+  ],
+  handleValidationErrors,
+  getTrackingInfo
+);
+
 // Protected admin routes
 router.use(protect);
 router.use(restrictTo('admin'));
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+import AllocationRule from '../models/allocationRule.model.js';
+import { AppError } from '../../../middleware/errorHandler.js';
+
+// List allocation rules in the order they are checked
+export const listAllocationRules = async (req, res, next) => {
+  try {
+    const rules = await AllocationRule.find({ seller: req.user.id }).sort({ priority: 1, createdAt: 1 });
+    res.status(200).json({ success: true, data: rules });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create an allocation rule (added after the existing rules unless a priority is given)
+export const createAllocationRule = async (req, res, next) => {
+  try {
+    let { priority } = req.body;
+    if (priority === undefined) {
+      const last = await AllocationRule.findOne({ seller: req.user.id }).sort({ priority: -1 }).select('priority');
+      priority = last ? last.priority + 10 : 10;
+    }
+
+    const rule = await AllocationRule.create({ ...req.body, priority, seller: req.user.id });
+    res.status(201).json({ success: true, data: rule });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update an allocation rule
+export const updateAllocationRule = async (req, res, next) => {
+  try {
+    const rule = await AllocationRule.findOneAndUpdate(
+      { _id: req.params.id, seller: req.user.id },
+      req.body,
+      { new: true, runValidators: true }
+    );
+    if (!rule) throw new AppError('Allocation rule not found', 404);
+    res.status(200).json({ success: true, data: rule });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete an allocation rule
+export const deleteAllocationRule = async (req, res, next) => {
+  try {
+    const rule = await AllocationRule.findOneAndDelete({ _id: req.params.id, seller: req.user.id });
+    if (!rule) throw new AppError('Allocation rule not found', 404);
+    res.status(200).json({ success: true, data: { message: 'Allocation rule deleted' } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Set the order rules are checked in (first ID is checked first)
+export const reorderAllocationRules = async (req, res, next) => {
+  try {
+    const { ruleIds } = req.body;
+    if (!ruleIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      throw new AppError('Invalid allocation rule ID', 400);
+    }
+
+    const count = await AllocationRule.countDocuments({ _id: { $in: ruleIds }, seller: req.user.id });
+    if (count !== ruleIds.length) throw new AppError('Allocation rule not found', 404);
+
+    await AllocationRule.bulkWrite(ruleIds.map((id, index) => ({
+      updateOne: {
+        filter: { _id: id, seller: req.user.id },
+        update: { $set: { priority: (index + 1) * 10 } }
+      }
+    })));
+
+    const rules = await AllocationRule.find({ seller: req.user.id }).sort({ priority: 1, createdAt: 1 });
+    res.status(200).json({ success: true, data: rules });
+  } catch (error) {
+    next(error);
+  }
+};
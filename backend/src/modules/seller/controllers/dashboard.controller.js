@@ -2,6 +2,7 @@ import SellerOrder from '../models/order.model.js';
 import SellerShipment from '../models/shipment.model.js';
 import SellerProduct from '../models/product.model.js';
 import { AppError } from '../../../middleware/errorHandler.js';
+import { SHIPMENT_STATUS } from '../../../utils/shipmentStatus.js';
 
 export const getDashboardSummary = async (req, res, next) => {
   try {
@@ -33,7 +34,7 @@ export const getDashboardSummary = async (req, res, next) => {
     const dailyGrowth = Math.round(Math.random() * 1000);
 
     // NDR (Non-Delivery Report)
-    const ndrPending = await SellerShipment.countDocuments({ seller: sellerId, status: 'Exception' });
+    const ndrPending = await SellerShipment.countDocuments({ seller: sellerId, status: SHIPMENT_STATUS.NDR });
 
     // Chart Data
     const orderStatusAgg = await SellerOrder.aggregate([
@@ -80,11 +81,12 @@ export const getDashboardSummary = async (req, res, next) => {
     // Top Products
     const topProductsAgg = await SellerOrder.aggregate([
       { $match: { seller: sellerId } },
+      { $unwind: '$items' },
       { $group: {
-        _id: '$product.sku',
-        name: { $first: '$product.name' },
-        quantity: { $sum: '$product.quantity' },
-        revenue: { $sum: { $toDouble: '$payment.amount' } }
+        _id: '$items.sku',
+        name: { $first: '$items.name' },
+        quantity: { $sum: '$items.quantity' },
+        revenue: { $sum: { $multiply: ['$items.price', '$items.quantity'] } }
       } },
       { $sort: { quantity: -1 } },
       { $limit: 5 }
@@ -1,11 +1,24 @@
 import NDR from '../models/ndr.model.js';
+import SellerShipment from '../models/shipment.model.js';
 import { AppError } from '../../../middleware/errorHandler.js';
+import {
+  setNDRStatus,
+  getNDRActor,
+  categorizeNDRReason,
+  recommendNDRAction,
+  SELLER_HIDDEN_FIELDS,
+  NDRError
+} from '../../../utils/ndr.js';
+import { requestNDRAction, canPushNDRAction } from '../../../utils/ndrActions.js';
+
+const toAppError = (error) =>
+  error instanceof NDRError ? new AppError(error.message, error.statusCode) : error;
 
 // List NDRs with filters and pagination
 export const listNDRs = async (req, res, next) => {
   try {
     const { page = 1, limit = 10, status, courier, search, startDate, endDate, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
-    const query = {};
+    const query = { 'seller.id': req.user.id };
     if (status) query.status = status;
     if (courier) query['courier.name'] = courier;
     if (startDate || endDate) {
@@ -23,6 +36,7 @@ export const listNDRs = async (req, res, next) => {
     const sort = {};
     sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
     const ndrs = await NDR.find(query)
+      .select(SELLER_HIDDEN_FIELDS)
       .sort(sort)
       .skip((page - 1) * limit)
       .limit(parseInt(limit));
@@ -44,7 +58,7 @@ export const listNDRs = async (req, res, next) => {
 // Get NDR details
 export const getNDR = async (req, res, next) => {
   try {
-    const ndr = await NDR.findById(req.params.id);
+    const ndr = await NDR.findOne({ _id: req.params.id, 'seller.id': req.user.id }).select(SELLER_HIDDEN_FIELDS);
     if (!ndr) throw new AppError('NDR not found', 404);
     res.status(200).json({ success: true, data: ndr });
   } catch (error) {
@@ -56,36 +70,60 @@ export const getNDR = async (req, res, next) => {
 export const updateNDRStatus = async (req, res, next) => {
   try {
     const { status, reason, recommendedAction, agentRemarks } = req.body;
-    if (!status) throw new AppError('Status is required', 400);
-    const ndr = await NDR.findById(req.params.id);
+    const ndr = await NDR.findOne({ _id: req.params.id, 'seller.id': req.user.id });
     if (!ndr) throw new AppError('NDR not found', 404);
-    ndr.status = status;
     if (reason) ndr.reason = reason;
     if (recommendedAction) ndr.recommendedAction = recommendedAction;
-    if (agentRemarks) {
-      ndr.attemptHistory.push({
-        date: new Date().toISOString().slice(0, 10),
-        time: new Date().toISOString().slice(11, 19),
-        status,
-        reason: reason || '',
-        agentRemarks
-      });
+    // RTO also has to reach the courier when it takes NDR actions
+    if (status === 'RTO Initiated' && canPushNDRAction(ndr)) {
+      await requestNDRAction(ndr, { type: 'RTO', reason, remarks: agentRemarks }, { actor: getNDRActor(req.user), source: 'Seller' });
+    } else {
+      setNDRStatus(ndr, status, { reason, remarks: agentRemarks, actor: getNDRActor(req.user), source: 'Seller' });
+      await ndr.save();
     }
-    ndr.updatedAt = new Date();
-    await ndr.save();
-    res.status(200).json({ success: true, data: ndr });
+    const data = await NDR.findById(ndr._id).select(SELLER_HIDDEN_FIELDS);
+    res.status(200).json({ success: true, data });
   } catch (error) {
-    next(error);
+    next(toAppError(error));
+  }
+};
+
+// Request a re-attempt, address/phone change or RTO and push it to the courier
+export const requestAction = async (req, res, next) => {
+  try {
+    const ndr = await NDR.findOne({ _id: req.params.id, 'seller.id': req.user.id });
+    if (!ndr) throw new AppError('NDR not found', 404);
+    const action = await requestNDRAction(ndr, req.body, { actor: getNDRActor(req.user), source: 'Seller' });
+    const data = await NDR.findById(ndr._id).select(SELLER_HIDDEN_FIELDS);
+    res.status(201).json({
+      success: true,
+      message: action.status === 'Submitted'
+        ? 'NDR action submitted to the courier'
+        : 'NDR action recorded; it will be sent to the courier again shortly',
+      data
+    });
+  } catch (error) {
+    next(toAppError(error));
   }
 };
 
 // Create NDR (for manual creation/testing)
 export const createNDR = async (req, res, next) => {
   try {
-    const ndr = new NDR(req.body);
+    const shipment = await SellerShipment.findOne({ _id: req.body.shipmentId, seller: req.user.id }).select('_id');
+    if (!shipment) throw new AppError('Shipment not found', 404);
+    const reasonCategory = categorizeNDRReason(req.body.reason);
+    const ndr = new NDR({
+      ...req.body,
+      seller: { ...req.body.seller, id: req.user.id },
+      reasonCategory,
+      recommendedAction: req.body.recommendedAction || recommendNDRAction({ reasonCategory, attempts: req.body.attempts }),
+      statusHistory: [{ status: 'Pending', reason: req.body.reason, source: 'Seller', updatedBy: getNDRActor(req.user) }]
+    });
     await ndr.save();
-    res.status(201).json({ success: true, data: ndr });
+    const data = await NDR.findById(ndr._id).select(SELLER_HIDDEN_FIELDS);
+    res.status(201).json({ success: true, data });
   } catch (error) {
     next(error);
   }
-}; 
\ No newline at end of file
+};
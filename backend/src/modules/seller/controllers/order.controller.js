@@ -1,13 +1,19 @@
 import SellerOrder from '../models/order.model.js';
 import SellerShipment from '../models/shipment.model.js';
 import Seller from '../models/seller.model.js';
-import WalletTransaction from '../models/walletTransaction.model.js';
+import Store from '../models/store.model.js';
 import { AppError } from '../../../middleware/errorHandler.js';
 import { validateOrder, validateBulkOrderStatus } from '../validators/order.validator.js';
 import xlsx from 'xlsx';
 import { Readable } from 'stream';
 import { calculateCourierRates } from '../../../utils/courierRates.js';
 import { getPincodeDetails } from '../../../utils/pincode.js';
+import { cancelShipment, refundOrderFreight, ShipmentCancellationError } from '../../../utils/shipmentCancellation.js';
+import { SHIPMENT_STATUS } from '../../../utils/shipmentStatus.js';
+import { getItemsValue, getItemsWeight, getOrderTotals } from '../../../utils/orderItems.js';
+import { reserveOrderStock, syncOrderStock } from '../../../utils/inventory.js';
+import { selectFulfilmentStore, assignFulfilmentStore } from '../../../utils/warehouses.js';
+import { renderOrderInvoice } from '../../../utils/orderInvoiceRenderer.js';
 
 // Create a new order
 export const createOrder = async (req, res, next) => {
@@ -15,9 +21,14 @@ export const createOrder = async (req, res, next) => {
     const { error } = validateOrder(req.body);
     if (error) throw new AppError(error.details[0].message, 400);
 
-    // Get seller's pickup pincode
+    // Ship from the nearest warehouse holding the items, else the seller's pickup pincode
     const seller = await Seller.findById(req.user.id);
-    const sellerPincode = seller.pickupPincode;
+    const fulfilment = await selectFulfilmentStore({
+      seller: req.user.id,
+      items: req.body.items,
+      deliveryPincode: req.body.customer.address.pincode
+    });
+    const sellerPincode = fulfilment?.store.pincode || seller.pickupPincode;
     if (!sellerPincode) {
       throw new AppError('Seller pickup pincode not configured', 400);
     }
@@ -30,16 +41,24 @@ export const createOrder = async (req, res, next) => {
       throw new AppError('Invalid pickup or delivery pincode', 400);
     }
 
-    // Calculate shipping rates
-    const weight = parseFloat(req.body.product.weight);
+    // Calculate shipping rates for the packed line items
+    const weight = getItemsWeight(req.body.items);
+    const itemsValue = getItemsValue(req.body.items);
     const isCOD = req.body.payment.method === 'COD';
     const courierRates = await calculateCourierRates({
       weight,
+      dimensions: req.body.dimensions,
       pickupPincode: sellerPincode,
       deliveryPincode: req.body.customer.address.pincode,
-      isCOD
+      isCOD,
+      codAmount: isCOD ? itemsValue : 0,
+      sellerId: req.user.id
     });
 
+    if (!courierRates.length) {
+      throw new AppError('No courier rates available for this shipment', 400);
+    }
+
     // Find the best rate (lowest cost)
     const bestRate = courierRates.reduce((min, rate) =>
       rate.total < min.total ? rate : min
@@ -48,30 +67,13 @@ export const createOrder = async (req, res, next) => {
     // Update payment details with shipping charges
     const shippingCharge = bestRate.total.toString();
     const codCharge = isCOD ? bestRate.cod.toString() : '0';
-    const total = (
-      parseFloat(req.body.payment.amount) +
-      parseFloat(shippingCharge) +
-      parseFloat(codCharge)
-    ).toString();
-
-    // Wallet debit logic
-    const currentBalance = parseFloat(seller.walletBalance || '0');
-    if (currentBalance < parseFloat(shippingCharge)) {
-      throw new AppError('Insufficient wallet balance for shipping charge', 402);
-    }
-    // Deduct shipping charge and update wallet
-    seller.walletBalance = (currentBalance - parseFloat(shippingCharge)).toFixed(2);
-    await seller.save();
-    // Record wallet transaction
-    await WalletTransaction.create({
-      seller: seller._id,
-      orderId: null, // Will update after order is created
-      type: 'Debit',
-      amount: shippingCharge,
-      remark: 'Shipping charge debited for new order',
-      closingBalance: seller.walletBalance
+    const { amount, total } = getOrderTotals(req.body.items, {
+      shippingCharge,
+      codCharge,
+      gst: req.body.payment.gst
     });
 
+    // Freight is debited from the wallet when the order is booked (see utils/shipmentBooking.js)
     const order = new SellerOrder({
       ...req.body,
       seller: req.user.id,
@@ -79,11 +81,15 @@ export const createOrder = async (req, res, next) => {
       status: 'Pending',
       payment: {
         ...req.body.payment,
+        amount,
         shippingCharge,
         codCharge,
         total
       },
       courier: bestRate.courier,
+      ...(fulfilment && {
+        fulfilment: { store: fulfilment.store._id, zone: fulfilment.zone, inStock: fulfilment.inStock }
+      }),
       shippingDetails: {
         zone: bestRate.zone,
         weight: weight.toString(),
@@ -97,11 +103,7 @@ export const createOrder = async (req, res, next) => {
     });
 
     await order.save();
-    // Update wallet transaction with orderId
-    await WalletTransaction.updateOne(
-      { seller: seller._id, orderId: null, type: 'Debit', amount: shippingCharge },
-      { orderId: order._id }
-    );
+    await reserveOrderStock(order);
 
     res.status(201).json({
       success: true,
@@ -182,10 +184,48 @@ export const getOrder = async (req, res, next) => {
       throw new AppError('Order not found', 404);
     }
 
+    // Expected delivery date of the order's latest shipment
+    const shipment = await SellerShipment.findOne({ orderId: order._id, seller: req.user.id })
+      .sort({ createdAt: -1 })
+      .select('edd')
+      .lean();
+
     res.status(200).json({
       success: true,
-      data: order
+      data: {
+        ...order.toObject(),
+        edd: shipment?.edd || null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Download the invoice of an order, listing its line items
+export const getOrderInvoice = async (req, res, next) => {
+  try {
+    const order = await SellerOrder.findOne({ _id: req.params.id, seller: req.user.id })
+      .setOptions({ skipDefaultFilter: true })
+      .lean();
+    if (!order) throw new AppError('Order not found', 404);
+
+    const [seller, store] = await Promise.all([
+      Seller.findById(req.user.id).select('name businessName gstin').lean(),
+      Store.findOne({ seller: req.user.id, isActive: true }).sort({ createdAt: 1 }).lean()
+    ]);
+
+    const invoiceNumber = `INV-${order.orderId}`;
+    const pdf = await renderOrderInvoice({
+      invoiceNumber,
+      order,
+      seller,
+      sellerAddress: store && { street: store.address, city: store.city, state: store.state, pincode: store.pincode }
     });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=${invoiceNumber}.pdf`);
+    res.send(pdf);
   } catch (error) {
     next(error);
   }
@@ -204,6 +244,7 @@ export const updateOrderStatus = async (req, res, next) => {
     order.updatedAt = new Date();
     order.orderTimeline.push({ status, timestamp: new Date(), comment: comment || '' });
     await order.save();
+    await syncOrderStock(order);
 
     // If there's an associated shipment, update its status too
     if (order.awb && status === 'Cancelled') {
@@ -238,23 +279,34 @@ export const cancelOrder = async (req, res, next) => {
       throw new AppError('Cannot cancel a delivered order', 400);
     }
 
-    order.status = 'Cancelled';
-    order.updatedAt = new Date();
-    await order.save();
+    // Void the shipment with the courier first; refused once it is picked up
+    const shipment = order.awb
+      ? await SellerShipment.findOne({ awb: order.awb, seller: req.user.id })
+      : null;
+    const reason = req.body?.reason || 'Order cancelled';
 
-    // If there's an associated shipment, update its status too
-    if (order.awb) {
-      await SellerShipment.findOneAndUpdate(
-        { awb: order.awb },
-        { status: 'Cancelled', updatedAt: new Date() }
-      );
+    if (shipment && shipment.status !== SHIPMENT_STATUS.CANCELLED) {
+      await cancelShipment(shipment, { reason, source: 'Seller', releaseOrder: false });
     }
+    // Whatever is still debited against the order itself (charged before prepaid booking)
+    await refundOrderFreight({
+      sellerId: req.user.id,
+      orderId: order._id,
+      reference: order.orderId,
+      remark: `Shipping charge refunded for cancelled order ${order.orderId}`
+    });
+
+    await order.updateStatus('Cancelled', reason);
+    await syncOrderStock(order);
 
     res.status(200).json({
       success: true,
       data: order
     });
   } catch (error) {
+    if (error instanceof ShipmentCancellationError) {
+      return next(new AppError(error.message, 400));
+    }
     next(error);
   }
 };
@@ -316,23 +368,25 @@ export const exportOrders = async (req, res, next) => {
 
     const orders = await SellerOrder.find(query).lean();
 
-    // Transform orders for Excel
-    const excelData = orders.map(order => ({
+    // Transform orders for Excel, one row per line item
+    const excelData = orders.flatMap(order => order.items.map(item => ({
       'Order ID': order.orderId,
       'Order Date': order.orderDate.toISOString().split('T')[0],
       'Customer Name': order.customer.name,
       'Customer Phone': order.customer.phone,
       'Customer Email': order.customer.email,
-      'Product Name': order.product.name,
-      'Product SKU': order.product.sku,
-      'Quantity': order.product.quantity,
-      'Price': order.product.price,
+      'Product Name': item.name,
+      'Product SKU': item.sku,
+      'HSN': item.hsn || '',
+      'Quantity': item.quantity,
+      'Price': item.price,
+      'Weight': item.weight ?? '',
       'Payment Method': order.payment.method,
       'Amount': order.payment.amount,
       'Status': order.status,
       'AWB': order.awb || '',
       'Courier': order.courier || ''
-    }));
+    })));
 
     // Create workbook and worksheet
     const wb = xlsx.utils.book_new();
@@ -355,10 +409,53 @@ export const exportOrders = async (req, res, next) => {
   }
 };
 
+// Columns describing the order itself, read from the first row of each order
+const ORDER_COLUMNS = [
+  'Order ID', 'Customer Name', 'Customer Phone', 'Customer Email',
+  'Street', 'City', 'State', 'Pincode', 'Length', 'Width', 'Height',
+  'Payment Method', 'Shipping Charge', 'GST'
+];
+
+// Columns describing a line item, one row per item
+const ITEM_COLUMNS = ['Product Name', 'Product SKU', 'Quantity', 'Price', 'Weight'];
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const checkNumbers = (row, rules) => {
+  for (const [field, min] of Object.entries(rules)) {
+    const value = parseFloat(row[field]);
+    if (isNaN(value) || value < min) {
+      throw new Error(`Invalid ${field}: must be a number >= ${min}`);
+    }
+  }
+};
+
+// Line item from an import row
+const parseItemRow = (row, rowNumber) => {
+  try {
+    const missingFields = ITEM_COLUMNS.filter(field => isBlank(row[field]));
+    if (missingFields.length > 0) {
+      throw new Error(`Missing required fields: ${missingFields.join(', ')}`);
+    }
+    checkNumbers(row, { 'Quantity': 1, 'Price': 0, 'Weight': 0 });
+
+    return {
+      name: String(row['Product Name']),
+      sku: String(row['Product SKU']),
+      quantity: parseInt(row['Quantity']),
+      price: parseFloat(row['Price']),
+      ...(!isBlank(row['HSN']) && { hsn: String(row['HSN']) }),
+      weight: parseFloat(row['Weight'])
+    };
+  } catch (error) {
+    throw new Error(`Row ${rowNumber}: ${error.message}`);
+  }
+};
+
 // Generate sample template for order import
 export const generateImportTemplate = async (req, res, next) => {
   try {
-    const templateData = [{
+    const order = {
       'Order ID': 'ORD123456',
       'Customer Name': 'John Doe',
       'Customer Phone': '9876543210',
@@ -368,48 +465,62 @@ export const generateImportTemplate = async (req, res, next) => {
       'State': 'Maharashtra',
       'Pincode': '400001',
       'Country': 'India',
-      'Product Name': 'Sample Product',
-      'Product SKU': 'SKU123',
-      'Quantity': '1',
-      'Price': '1000.00',
-      'Weight': '1.5',
-      'Length': '10',
-      'Width': '10',
-      'Height': '5',
+      'Length': '20',
+      'Width': '15',
+      'Height': '10',
       'Payment Method': 'Prepaid',
-      'Amount': '1000.00',
       'Shipping Charge': '50.00',
-      'GST': '180.00',
-      'Total': '1230.00'
-    }];
+      'GST': '180.00'
+    };
+    const templateData = [
+      {
+        ...order,
+        'Product Name': 'Sample Product',
+        'Product SKU': 'SKU123',
+        'HSN': '6109',
+        'Quantity': '1',
+        'Price': '800.00',
+        'Weight': '0.5'
+      },
+      {
+        'Order ID': order['Order ID'],
+        'Product Name': 'Another Product',
+        'Product SKU': 'SKU456',
+        'HSN': '6505',
+        'Quantity': '2',
+        'Price': '100.00',
+        'Weight': '0.2'
+      }
+    ];
 
     const wb = xlsx.utils.book_new();
-    const ws = xlsx.utils.json_to_sheet(templateData);
+    const ws = xlsx.utils.json_to_sheet(templateData, {
+      header: [...Object.keys(order), 'Product Name', 'Product SKU', 'HSN', 'Quantity', 'Price', 'Weight']
+    });
 
     // Add column descriptions
     const descriptions = {
-      'Order ID': 'Unique order identifier (required)',
-      'Customer Name': 'Full name of the customer (required)',
-      'Customer Phone': '10-digit phone number (required)',
-      'Customer Email': 'Valid email address (required)',
-      'Street': 'Street address (required)',
-      'City': 'City name (required)',
-      'State': 'State name (required)',
-      'Pincode': '6-digit pincode (required)',
+      'Order ID': 'Order identifier (required). Rows with the same Order ID are imported as one order, one row per item',
+      'Customer Name': 'Full name of the customer (required on the first row of an order)',
+      'Customer Phone': '10-digit phone number (required on the first row of an order)',
+      'Customer Email': 'Valid email address (required on the first row of an order)',
+      'Street': 'Street address (required on the first row of an order)',
+      'City': 'City name (required on the first row of an order)',
+      'State': 'State name (required on the first row of an order)',
+      'Pincode': '6-digit pincode (required on the first row of an order)',
       'Country': 'Country name (defaults to India)',
+      'Length': 'Package length in cm (required on the first row of an order)',
+      'Width': 'Package width in cm (required on the first row of an order)',
+      'Height': 'Package height in cm (required on the first row of an order)',
+      'Payment Method': 'COD or Prepaid (required on the first row of an order)',
+      'Shipping Charge': 'Shipping cost (required on the first row of an order)',
+      'GST': 'GST amount (required on the first row of an order)',
       'Product Name': 'Name of the product (required)',
-      'Product SKU': 'Unique product identifier (required)',
-      'Quantity': 'Number of items (required, min: 1)',
-      'Price': 'Product price (required, min: 0)',
-      'Weight': 'Product weight in kg (required)',
-      'Length': 'Package length in cm (required)',
-      'Width': 'Package width in cm (required)',
-      'Height': 'Package height in cm (required)',
-      'Payment Method': 'COD or Prepaid (required)',
-      'Amount': 'Product amount (required)',
-      'Shipping Charge': 'Shipping cost (required)',
-      'GST': 'GST amount (required)',
-      'Total': 'Total amount including all charges (required)'
+      'Product SKU': 'Product SKU, once per order (required)',
+      'HSN': 'HSN code of the product, 4 to 8 digits (optional)',
+      'Quantity': 'Number of units (required, min: 1)',
+      'Price': 'Unit price (required, min: 0)',
+      'Weight': 'Unit weight in kg (required)'
     };
 
     // Add descriptions as comments
@@ -448,26 +559,24 @@ export const importOrders = async (req, res, next) => {
       warnings: []
     };
 
-    // Track unique order IDs to prevent duplicates
-    const processedOrderIds = new Set();
+    // Rows sharing an Order ID make up one order, one row per line item
+    const orderRows = new Map();
+    data.forEach((row, index) => {
+      const orderId = isBlank(row['Order ID']) ? '' : String(row['Order ID']).trim();
+      if (!orderRows.has(orderId)) orderRows.set(orderId, []);
+      orderRows.get(orderId).push({ row, rowNumber: index + 2 }); // Excel row number (1-based + header)
+    });
 
-    for (const [index, row] of data.entries()) {
+    for (const [orderId, rows] of orderRows) {
+      const rowNumbers = rows.map(({ rowNumber }) => rowNumber);
       try {
-        // Check for duplicate order IDs
-        if (processedOrderIds.has(row['Order ID'])) {
-          throw new Error('Duplicate Order ID');
+        if (!orderId) {
+          throw new Error('Missing required fields: Order ID');
         }
-        processedOrderIds.add(row['Order ID']);
-
-        // Validate required fields
-        const requiredFields = [
-          'Order ID', 'Customer Name', 'Customer Phone', 'Customer Email',
-          'Street', 'City', 'State', 'Pincode', 'Product Name', 'Product SKU',
-          'Quantity', 'Price', 'Weight', 'Length', 'Width', 'Height',
-          'Payment Method', 'Amount', 'Shipping Charge', 'GST', 'Total'
-        ];
 
-        const missingFields = requiredFields.filter(field => !row[field]);
+        // Validate the order's fields on its first row
+        const [{ row }] = rows;
+        const missingFields = ORDER_COLUMNS.filter(field => isBlank(row[field]));
         if (missingFields.length > 0) {
           throw new Error(`Missing required fields: ${missingFields.join(', ')}`);
         }
@@ -487,29 +596,22 @@ export const importOrders = async (req, res, next) => {
           throw new Error('Invalid pincode format');
         }
 
-        // Validate numeric fields
-        const numericFields = {
-          'Quantity': { min: 1 },
-          'Price': { min: 0 },
-          'Length': { min: 0 },
-          'Width': { min: 0 },
-          'Height': { min: 0 }
-        };
-
-        for (const [field, rules] of Object.entries(numericFields)) {
-          const value = parseFloat(row[field]);
-          if (isNaN(value) || value < rules.min) {
-            throw new Error(`Invalid ${field}: must be a number >= ${rules.min}`);
-          }
-        }
+        checkNumbers(row, { 'Length': 0, 'Width': 0, 'Height': 0 });
 
         // Validate payment method
         if (!['COD', 'Prepaid'].includes(row['Payment Method'])) {
           throw new Error('Invalid payment method: must be COD or Prepaid');
         }
 
+        const items = rows.map(({ row: itemRow, rowNumber }) => parseItemRow(itemRow, rowNumber));
+        const payment = {
+          method: row['Payment Method'],
+          shippingCharge: row['Shipping Charge'].toString(),
+          gst: row['GST'].toString()
+        };
+
         const orderData = {
-          orderId: row['Order ID'],
+          orderId,
           customer: {
             name: row['Customer Name'],
             phone: row['Customer Phone'],
@@ -522,25 +624,13 @@ export const importOrders = async (req, res, next) => {
               country: row['Country'] || 'India'
             }
           },
-          product: {
-            name: row['Product Name'],
-            sku: row['Product SKU'],
-            quantity: parseInt(row['Quantity']),
-            price: parseFloat(row['Price']),
-            weight: row['Weight'],
-            dimensions: {
-              length: parseFloat(row['Length']),
-              width: parseFloat(row['Width']),
-              height: parseFloat(row['Height'])
-            }
-          },
-          payment: {
-            method: row['Payment Method'],
-            amount: row['Amount'].toString(),
-            shippingCharge: row['Shipping Charge'].toString(),
-            gst: row['GST'].toString(),
-            total: row['Total'].toString()
+          items,
+          dimensions: {
+            length: parseFloat(row['Length']),
+            width: parseFloat(row['Width']),
+            height: parseFloat(row['Height'])
           },
+          payment: { ...payment, ...getOrderTotals(items, payment) },
           channel: 'EXCEL'
         };
 
@@ -562,13 +652,16 @@ export const importOrders = async (req, res, next) => {
           status: 'Pending'
         });
 
+        await assignFulfilmentStore(order);
         await order.save();
+        await reserveOrderStock(order);
         results.success++;
       } catch (error) {
         results.failed++;
         results.errors.push({
-          row: index + 2, // Excel row number (1-based + header)
-          orderId: row['Order ID'],
+          row: rowNumbers[0],
+          rows: rowNumbers,
+          orderId,
           error: error.message
         });
       }
@@ -612,6 +705,13 @@ export const bulkUpdateStatus = async (req, res, next) => {
       }
     );
 
+    // Move the orders' stock along with their new status
+    const updatedOrders = await SellerOrder.find({ _id: { $in: orderIds }, seller: req.user.id })
+      .setOptions({ skipDefaultFilter: true });
+    for (const order of updatedOrders) {
+      await syncOrderStock(order);
+    }
+
     // If orders have associated shipments, update their status too
     if (status === 'Cancelled') {
       const orders = await SellerOrder.find({
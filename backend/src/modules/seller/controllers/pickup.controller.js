@@ -0,0 +1,174 @@
+import Pickup from '../models/pickup.model.js';
+import { AppError } from '../../../middleware/errorHandler.js';
+import { io } from '../../../server.js';
+import {
+  getPickupSlots,
+  schedulePickup,
+  reschedulePickup,
+  markPickupPicked,
+  markPickupMissed,
+  PickupError
+} from '../../../utils/pickups.js';
+
+const toAppError = (error) =>
+  error instanceof PickupError ? new AppError(error.message, error.statusCode) : error;
+
+const emitPickupUpdate = (pickup) => {
+  io.emit('pickup:updated', {
+    sellerId: pickup.seller,
+    pickupId: pickup._id,
+    pickupNumber: pickup.pickupNumber,
+    status: pickup.status,
+    pickupDate: pickup.pickupDate,
+    slot: pickup.slot
+  });
+};
+
+/**
+ * Pickup slots of a day for a courier
+ * @route GET /api/v2/seller/pickups/slots
+ * @access Private (Seller only)
+ */
+export const getPickupSlotOptions = async (req, res, next) => {
+  try {
+    const slots = await getPickupSlots(req.query.courier, req.query.date);
+    res.status(200).json({ success: true, data: slots });
+  } catch (error) {
+    next(toAppError(error));
+  }
+};
+
+/**
+ * Schedule a pickup with the courier for a warehouse
+ * @route POST /api/v2/seller/pickups
+ * @access Private (Seller only)
+ */
+export const createPickup = async (req, res, next) => {
+  try {
+    const { storeId, courier, shipmentIds, pickupDate, slot } = req.body;
+    const pickup = await schedulePickup({ sellerId: req.user.id, storeId, courier, shipmentIds, pickupDate, slot });
+
+    emitPickupUpdate(pickup);
+
+    res.status(201).json({
+      success: true,
+      message: `Pickup scheduled for ${pickup.pickupDate} ${pickup.slot}`,
+      data: pickup
+    });
+  } catch (error) {
+    next(toAppError(error));
+  }
+};
+
+/**
+ * List pickups
+ * @route GET /api/v2/seller/pickups
+ * @access Private (Seller only)
+ */
+export const listPickups = async (req, res, next) => {
+  try {
+    const { status, courier, storeId, startDate, endDate, page = 1, limit = 20 } = req.query;
+    const query = { seller: req.user.id };
+    if (status) query.status = status;
+    if (courier) query.courier = courier;
+    if (storeId) query.store = storeId;
+    if (startDate || endDate) {
+      query.pickupDate = {};
+      if (startDate) query.pickupDate.$gte = startDate;
+      if (endDate) query.pickupDate.$lte = endDate;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [pickups, total] = await Promise.all([
+      Pickup.find(query)
+        .sort({ pickupDate: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('store', 'name city pincode')
+        .select('-shipments -history')
+        .lean(),
+      Pickup.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        pickups,
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Pickup details with its shipments
+ * @route GET /api/v2/seller/pickups/:id
+ * @access Private (Seller only)
+ */
+export const getPickup = async (req, res, next) => {
+  try {
+    const pickup = await Pickup.findOne({ _id: req.params.id, seller: req.user.id })
+      .populate('store', 'name address city state pincode contactPerson phone')
+      .populate('shipments', 'awb orderId status weight')
+      .lean();
+    if (!pickup) throw new AppError('Pickup not found', 404);
+    res.status(200).json({ success: true, data: pickup });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Move a pickup to another day or slot
+ * @route POST /api/v2/seller/pickups/:id/reschedule
+ * @access Private (Seller only)
+ */
+export const reschedulePickupRequest = async (req, res, next) => {
+  try {
+    const pickup = await Pickup.findOne({ _id: req.params.id, seller: req.user.id });
+    if (!pickup) throw new AppError('Pickup not found', 404);
+
+    const { pickupDate, slot, remarks } = req.body;
+    await reschedulePickup(pickup, { pickupDate, slot, remarks, source: 'Seller' });
+
+    emitPickupUpdate(pickup);
+
+    res.status(200).json({
+      success: true,
+      message: `Pickup rescheduled to ${pickup.pickupDate} ${pickup.slot}`,
+      data: pickup
+    });
+  } catch (error) {
+    next(toAppError(error));
+  }
+};
+
+/**
+ * Mark a pickup as picked or missed (a missed pickup is escalated)
+ * @route PATCH /api/v2/seller/pickups/:id/status
+ * @access Private (Seller only)
+ */
+export const updatePickupStatus = async (req, res, next) => {
+  try {
+    const pickup = await Pickup.findOne({ _id: req.params.id, seller: req.user.id });
+    if (!pickup) throw new AppError('Pickup not found', 404);
+
+    const { status, remarks } = req.body;
+    if (status === 'Picked') {
+      await markPickupPicked(pickup, { remarks, source: 'Seller' });
+    } else {
+      await markPickupMissed(pickup, { remarks, source: 'Seller' });
+    }
+
+    emitPickupUpdate(pickup);
+
+    res.status(200).json({ success: true, data: pickup });
+  } catch (error) {
+    next(toAppError(error));
+  }
+};
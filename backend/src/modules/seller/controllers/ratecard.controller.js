@@ -1,16 +1,14 @@
 import RateCard from '../models/ratecard.model.js';
 import { AppError } from '../../../middleware/errorHandler.js';
+import Store from '../models/store.model.js';
+import { RATE_ZONES } from '../../admin/models/rateCard.model.js';
+import { resolveRateCard, calculateCourierRates } from '../../../utils/courierRates.js';
+import { getZoneMatrix, resolveZone, getOdaCouriers } from '../../../utils/zoneMatrix.js';
 
-// Get seller's current rate card
+// Get seller's current rate card (own override, rate band or default)
 export const getSellerRateCard = async (req, res, next) => {
   try {
-    const rateCard = await RateCard.findOne({ seller: req.user.id })
-      .populate('defaultCard', 'name description')
-      .lean();
-
-    if (!rateCard) {
-      throw new AppError('Rate card not found', 404);
-    }
+    const rateCard = await resolveRateCard({ sellerId: req.user.id });
 
     res.status(200).json({
       success: true,
@@ -24,60 +22,40 @@ export const getSellerRateCard = async (req, res, next) => {
 // Calculate shipping rate based on rate card
 export const calculateShippingRate = async (req, res, next) => {
   try {
-    const { fromPincode, toPincode, weight, length, width, height, mode, cod } = req.body;
-    
-    // Get seller's rate card
-    const rateCard = await RateCard.findOne({ seller: req.user.id });
-    if (!rateCard) {
-      throw new AppError('Rate card not found', 404);
-    }
-
-    // Calculate volumetric weight if dimensions provided
-    let volumetricWeight = 0;
-    if (length && width && height) {
-      volumetricWeight = (length * width * height) / 5000; // Standard volumetric divisor
-    }
-
-    // Use higher of actual vs volumetric weight
-    const chargeableWeight = Math.max(weight, volumetricWeight);
-
-    // Get zone based on pincodes
-    const zone = await getZoneFromPincodes(fromPincode, toPincode);
+    const { weight, length, width, height, pieces, mode, codAmount } = req.body;
+    const pickupPincode = req.body.pickupPincode || req.body.fromPincode;
+    const deliveryPincode = req.body.deliveryPincode || req.body.toPincode;
+    const isCOD = Boolean(req.body.isCOD ?? req.body.cod);
+
+    // Each courier applies its own volumetric rule to the dimensions (box by box for multi-piece shipments)
+    const actualWeight = pieces?.length
+      ? pieces.reduce((total, piece) => total + Number(piece.weight), 0)
+      : Number(weight);
+    const rates = await calculateCourierRates({
+      weight: actualWeight,
+      dimensions: length && width && height ? { length, width, height } : undefined,
+      pieces: pieces?.length ? pieces : undefined,
+      pickupPincode,
+      deliveryPincode,
+      isCOD,
+      codAmount: Number(codAmount) || 0,
+      sellerId: req.user.id,
+      mode: mode ? mode.toLowerCase() : undefined
+    });
 
-    // Get base rate from rate card
-    const baseRate = rateCard.rates[mode.toLowerCase()][zone];
-    if (!baseRate) {
+    if (!rates.length) {
       throw new AppError('Rate not found for given parameters', 400);
     }
 
-    // Calculate additional weight charges
-    const additionalWeight = Math.max(0, chargeableWeight - baseRate.uptoWeight);
-    const additionalCharges = Math.ceil(additionalWeight / baseRate.perKg) * baseRate.perKgRate;
-
-    // Calculate total rate
-    let totalRate = baseRate.baseRate + additionalCharges;
-
-    // Add COD charges if applicable
-    if (cod && rateCard.codCharges) {
-      totalRate += rateCard.codCharges;
-    }
-
-    // Add fuel surcharge if applicable
-    if (rateCard.fuelSurcharge) {
-      totalRate += (totalRate * rateCard.fuelSurcharge) / 100;
-    }
-
     res.status(200).json({
       success: true,
       data: {
-        baseRate: baseRate.baseRate,
-        additionalCharges,
-        codCharges: cod ? rateCard.codCharges : 0,
-        fuelSurcharge: rateCard.fuelSurcharge ? (totalRate * rateCard.fuelSurcharge) / 100 : 0,
-        totalRate: Math.round(totalRate),
-        zone,
-        chargeableWeight,
-        mode
+        zone: rates[0].zone,
+        zoneRule: rates[0].zoneRule,
+        actualWeight,
+        pieceCount: pieces?.length || 1,
+        rateCard: rates[0].rateCard,
+        rates
       }
     });
   } catch (error) {
@@ -85,27 +63,27 @@ export const calculateShippingRate = async (req, res, next) => {
   }
 };
 
-// Get rate card change history
+// Get rate card change history (every published version of the seller's card)
 export const getRateCardHistory = async (req, res, next) => {
   try {
     const { page = 1, limit = 20 } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const history = await RateCard.findOne({ seller: req.user.id })
-      .select('history')
-      .slice('history', [skip, parseInt(limit)])
-      .lean();
-
-    if (!history) {
-      throw new AppError('Rate card history not found', 404);
-    }
-
-    const total = history.history ? history.history.length : 0;
+    const query = { scope: 'seller', seller: req.user.id };
+    const [history, total] = await Promise.all([
+      RateCard.find(query)
+        .select('name version gstPercent effectiveFrom effectiveTo isActive description createdAt')
+        .sort({ version: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      RateCard.countDocuments(query)
+    ]);
 
     res.status(200).json({
       success: true,
       data: {
-        history: history.history || [],
+        history,
         total,
         page: parseInt(page),
         limit: parseInt(limit),
@@ -117,60 +95,45 @@ export const getRateCardHistory = async (req, res, next) => {
   }
 };
 
-// Get zone mapping for pincodes
+// Get the effective zone matrix, and the zone of each requested delivery pincode
 export const getZoneMapping = async (req, res, next) => {
   try {
     const { pincodes } = req.query;
-    
-    if (!pincodes) {
-      throw new AppError('Please provide pincodes', 400);
-    }
+    const matrix = await getZoneMatrix();
+
+    let lanes = [];
+    if (pincodes) {
+      // Zones are worked out from the given pickup pincode or the seller's first active store
+      const pickupPincode = req.query.pickupPincode ||
+        (await Store.findOne({ seller: req.user.id, isActive: true }).sort({ createdAt: 1 }).select('pincode').lean())?.pincode;
+      if (!pickupPincode) {
+        throw new AppError('Please provide pickupPincode or add a store', 400);
+      }
 
-    const pincodeList = pincodes.split(',').map(p => p.trim());
-    const zones = await Promise.all(
-      pincodeList.map(async pincode => {
-        const zone = await getZoneFromPincode(pincode);
-        return { pincode, zone };
-      })
-    );
+      const pincodeList = pincodes.split(',').map(p => p.trim()).filter(Boolean);
+      lanes = await Promise.all(
+        pincodeList.map(async pincode => {
+          const [{ zone, rule, delivery }, odaCouriers] = await Promise.all([
+            resolveZone(pickupPincode, pincode),
+            getOdaCouriers(pincode)
+          ]);
+          return { pincode, zone, rule, delivery, odaCouriers: [...odaCouriers] };
+        })
+      );
+    }
 
     res.status(200).json({
       success: true,
-      data: zones
+      data: {
+        zones: RATE_ZONES,
+        precedence: ['custom', 'special_region', 'same_city', 'same_state', 'metro_to_metro', 'rest_of_india'],
+        metros: matrix.metros,
+        specialRegions: matrix.specialRegions,
+        customZones: (matrix.customZones || []).filter(rule => rule.isActive !== false),
+        lanes
+      }
     });
   } catch (error) {
     next(error);
   }
 };
-
-// Helper function to get zone from pincode pair
-async function getZoneFromPincodes(fromPincode, toPincode) {
-  // This would typically query a pincode database to determine the zone
-  // For now, using a simple logic based on first 2 digits
-  const fromZone = fromPincode.substring(0, 2);
-  const toZone = toPincode.substring(0, 2);
-  
-  if (fromZone === toZone) return 'A';
-  if (Math.abs(parseInt(fromZone) - parseInt(toZone)) <= 5) return 'B';
-  if (Math.abs(parseInt(fromZone) - parseInt(toZone)) <= 10) return 'C';
-  return 'D';
-}
-
-// Helper function to get zone from single pincode
-async function getZoneFromPincode(pincode) {
-  // This would typically query a pincode database
-  // For now, using a simple mapping based on first digit
-  const zoneMap = {
-    '1': 'North',
-    '2': 'North',
-    '3': 'East',
-    '4': 'East',
-    '5': 'South',
-    '6': 'South',
-    '7': 'West',
-    '8': 'West',
-    '9': 'Central',
-    '0': 'Central'
-  };
-  return zoneMap[pincode[0]] || 'Unknown';
-} 
\ No newline at end of file
@@ -0,0 +1,209 @@
+import ReturnRequest from '../models/returnRequest.model.js';
+import SellerOrder from '../models/order.model.js';
+import { AppError } from '../../../middleware/errorHandler.js';
+import { io } from '../../../server.js';
+import {
+  createReturnRequest,
+  bookReversePickup,
+  rejectReturnRequest,
+  recordReturnQc,
+  markReturnRefunded,
+  ReturnError
+} from '../../../utils/returns.js';
+
+const toAppError = (error) =>
+  error instanceof ReturnError ? new AppError(error.message, error.statusCode) : error;
+
+const emitReturnUpdate = (returnRequest) => {
+  io.emit('return:updated', {
+    sellerId: returnRequest.seller,
+    returnId: returnRequest._id,
+    returnNumber: returnRequest.returnNumber,
+    orderId: returnRequest.order,
+    status: returnRequest.status,
+    awb: returnRequest.awb
+  });
+};
+
+const findSellerReturn = async (req) => {
+  const returnRequest = await ReturnRequest.findOne({ _id: req.params.id, seller: req.user.id });
+  if (!returnRequest) throw new AppError('Return not found', 404);
+  return returnRequest;
+};
+
+/**
+ * Raise a return for a delivered order and book its reverse pickup
+ * @route POST /api/v2/seller/returns
+ * @access Private (Seller only)
+ */
+export const createReturn = async (req, res, next) => {
+  try {
+    const { orderId, reason, comments, sku, quantity, courier } = req.body;
+    const order = await SellerOrder.findOne({ _id: orderId, seller: req.user.id });
+    if (!order) throw new AppError('Order not found', 404);
+
+    const returnRequest = await createReturnRequest({
+      order,
+      raisedBy: { type: 'Seller', id: req.user.id, name: req.user.businessName || req.user.name },
+      reason,
+      comments,
+      sku,
+      quantity: quantity ? parseInt(quantity) : undefined,
+      files: req.files,
+      courier
+    });
+
+    emitReturnUpdate(returnRequest);
+
+    res.status(201).json({
+      success: true,
+      message: `Return ${returnRequest.returnNumber} created, reverse pickup booked with ${returnRequest.courier}`,
+      data: returnRequest
+    });
+  } catch (error) {
+    next(toAppError(error));
+  }
+};
+
+/**
+ * List returns
+ * @route GET /api/v2/seller/returns
+ * @access Private (Seller only)
+ */
+export const listReturns = async (req, res, next) => {
+  try {
+    const { status, orderId, startDate, endDate, page = 1, limit = 20 } = req.query;
+    const query = { seller: req.user.id };
+    if (status) query.status = status;
+    if (orderId) query.order = orderId;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [returns, total] = await Promise.all([
+      ReturnRequest.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .select('-history')
+        .lean(),
+      ReturnRequest.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        returns,
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Return details with its reverse shipment
+ * @route GET /api/v2/seller/returns/:id
+ * @access Private (Seller only)
+ */
+export const getReturn = async (req, res, next) => {
+  try {
+    const returnRequest = await ReturnRequest.findOne({ _id: req.params.id, seller: req.user.id })
+      .populate('reverseShipment', 'awb courier status trackingHistory')
+      .populate('forwardShipment', 'awb courier status deliveryDate')
+      .lean();
+    if (!returnRequest) throw new AppError('Return not found', 404);
+    res.status(200).json({ success: true, data: returnRequest });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve a customer's return and book the reverse pickup
+ * @route POST /api/v2/seller/returns/:id/approve
+ * @access Private (Seller only)
+ */
+export const approveReturn = async (req, res, next) => {
+  try {
+    const returnRequest = await findSellerReturn(req);
+    await bookReversePickup(returnRequest, { courier: req.body.courier, source: 'Seller' });
+
+    emitReturnUpdate(returnRequest);
+
+    res.status(200).json({
+      success: true,
+      message: `Reverse pickup booked with ${returnRequest.courier} (AWB ${returnRequest.awb})`,
+      data: returnRequest
+    });
+  } catch (error) {
+    next(toAppError(error));
+  }
+};
+
+/**
+ * Reject a customer's return
+ * @route POST /api/v2/seller/returns/:id/reject
+ * @access Private (Seller only)
+ */
+export const rejectReturn = async (req, res, next) => {
+  try {
+    const returnRequest = await findSellerReturn(req);
+    await rejectReturnRequest(returnRequest, req.body.reason);
+
+    emitReturnUpdate(returnRequest);
+
+    res.status(200).json({ success: true, data: returnRequest });
+  } catch (error) {
+    next(toAppError(error));
+  }
+};
+
+/**
+ * Record the QC outcome of a received return (pass restocks and makes the refund due)
+ * @route POST /api/v2/seller/returns/:id/qc
+ * @access Private (Seller only)
+ */
+export const recordQc = async (req, res, next) => {
+  try {
+    const returnRequest = await findSellerReturn(req);
+    const { result, remarks, restock } = req.body;
+    const checked = await recordReturnQc(returnRequest, {
+      result,
+      remarks,
+      files: req.files,
+      restock: restock === undefined ? true : String(restock) === 'true'
+    });
+
+    emitReturnUpdate(checked);
+
+    res.status(200).json({ success: true, data: checked });
+  } catch (error) {
+    next(toAppError(error));
+  }
+};
+
+/**
+ * Record the buyer's refund for a return as paid
+ * @route POST /api/v2/seller/returns/:id/refund
+ * @access Private (Seller only)
+ */
+export const processReturnRefund = async (req, res, next) => {
+  try {
+    const returnRequest = await findSellerReturn(req);
+    await markReturnRefunded(returnRequest, req.body.reference);
+
+    emitReturnUpdate(returnRequest);
+
+    res.status(200).json({ success: true, data: returnRequest });
+  } catch (error) {
+    next(toAppError(error));
+  }
+};
@@ -1,40 +1,16 @@
 import { AppError } from '../../../middleware/errorHandler.js';
+import Pincode from '../../../models/pincode.model.js';
+import {
+  getPincodeServiceability,
+  summarizePincodeServiceability,
+  getActiveEmbargoes
+} from '../../../utils/serviceability.js';
 
-// Dummy data for demonstration; replace with real DB/service logic
-const PINCODE_DB = {
-  '110001': {
-    city: 'New Delhi',
-    state: 'Delhi',
-    isAvailable: true,
-    services: { standard: true, express: true, cod: true },
-    deliveryTime: { standard: '2-3 days', express: '1-2 days' },
-    restrictions: []
-  },
-  '400001': {
-    city: 'Mumbai',
-    state: 'Maharashtra',
-    isAvailable: true,
-    services: { standard: true, express: true, cod: false },
-    deliveryTime: { standard: '3-4 days', express: '2-3 days' },
-    restrictions: ['No COD']
-  }
-};
-
-const RESTRICTIONS_DB = {
-  '110001': {
-    standard: [
-      { type: 'holiday', description: 'No delivery on Sundays', appliesTo: ['standard'], effectiveFrom: null, effectiveUntil: null }
-    ],
-    express: [],
-    cod: []
-  },
-  '400001': {
-    standard: [],
-    express: [],
-    cod: [
-      { type: 'cod_blocked', description: 'COD not available for this pincode', appliesTo: ['cod'], effectiveFrom: null, effectiveUntil: null }
-    ]
-  }
+// Serviceability flag each service type of the service check depends on
+const SERVICE_FLAGS = {
+  standard: 'prepaid',
+  express: 'prepaid',
+  cod: 'cod'
 };
 
 // POST /service-check/pincode
@@ -44,17 +20,16 @@ export const bulkServiceCheck = async (req, res, next) => {
     if (!Array.isArray(pincodes) || pincodes.length === 0) {
       throw new AppError('pincodes array is required', 400);
     }
-    const results = pincodes.map(pincode => {
-      const data = PINCODE_DB[pincode] || {
-        city: '',
-        state: '',
-        isAvailable: false,
-        services: { standard: false, express: false, cod: false },
-        deliveryTime: { standard: '', express: '' },
-        restrictions: ['Not Serviceable']
-      };
-      return { pincode, ...data };
-    });
+
+    const [serviceability, details] = await Promise.all([
+      getPincodeServiceability(pincodes),
+      Pincode.find({ pincode: { $in: pincodes } }).select('pincode district state').lean()
+    ]);
+    const detailsByPincode = new Map(details.map(detail => [detail.pincode, detail]));
+
+    const results = pincodes.map(pincode =>
+      summarizePincodeServiceability(pincode, serviceability.get(pincode) || [], detailsByPincode.get(pincode))
+    );
     const summary = {
       total: pincodes.length,
       available: results.filter(r => r.isAvailable).length,
@@ -73,9 +48,54 @@ export const getServiceRestrictions = async (req, res, next) => {
     if (!pincode || !serviceType) {
       throw new AppError('pincode and serviceType are required', 400);
     }
-    const restrictions = (RESTRICTIONS_DB[pincode] && RESTRICTIONS_DB[pincode][serviceType]) || [];
+
+    const flag = SERVICE_FLAGS[serviceType];
+    const entries = (await getPincodeServiceability([pincode])).get(pincode);
+    const now = new Date();
+    const restrictions = [];
+
+    if (!entries.length) {
+      restrictions.push({ type: 'not_serviceable', description: 'No courier services this pincode', appliesTo: [serviceType], effectiveFrom: null, effectiveUntil: null });
+    }
+
+    entries.forEach(entry => {
+      if (!entry[flag]) {
+        restrictions.push({
+          type: serviceType === 'cod' ? 'cod_blocked' : 'not_serviceable',
+          description: `${entry.courier} does not offer ${serviceType === 'cod' ? 'COD' : 'delivery'} for this pincode`,
+          appliesTo: [serviceType],
+          courier: entry.courier,
+          effectiveFrom: null,
+          effectiveUntil: null
+        });
+      }
+      if (serviceType === 'express' && entry[flag] && typeof entry.tat?.express !== 'number') {
+        restrictions.push({
+          type: 'express_unavailable',
+          description: `${entry.courier} does not offer express delivery for this pincode`,
+          appliesTo: ['express'],
+          courier: entry.courier,
+          effectiveFrom: null,
+          effectiveUntil: null
+        });
+      }
+
+      // Embargoes in force now or starting later
+      (entry.embargoes || [])
+        .filter(embargo => (!embargo.to || new Date(embargo.to) > now) && (!embargo.services?.length || embargo.services.includes(flag)))
+        .forEach(embargo => restrictions.push({
+          type: 'embargo',
+          description: `${entry.courier}: ${embargo.reason || 'Service suspended'}`,
+          appliesTo: [serviceType],
+          courier: entry.courier,
+          active: getActiveEmbargoes({ embargoes: [embargo] }, flag, now).length > 0,
+          effectiveFrom: embargo.from,
+          effectiveUntil: embargo.to
+        }));
+    });
+
     res.status(200).json({ success: true, data: { restrictions, specialInstructions: '' } });
   } catch (error) {
     next(error);
   }
-}; 
\ No newline at end of file
+};
@@ -3,11 +3,44 @@ import SellerOrder from '../models/order.model.js';
 import NDR from '../models/ndr.model.js';
 import { AppError } from '../../../middleware/errorHandler.js';
 import xlsx from 'xlsx';
+import path from 'path';
 import { bookOrderWithCourier } from '../../../utils/courierBooking.js';
-import { calculateShippingRates, bookShipment, trackShipment } from '../../../utils/shipping.js';
-import { getCourierHandler } from '../../../utils/courierBooking.js';
+import { calculateShippingRates, bookShipment } from '../../../utils/shipping.js';
 import mongoose from 'mongoose';
 import { io } from '../../../server.js';
+import { SHIPMENT_STATUS, SHIPMENT_STATUSES, normalizeStatus } from '../../../utils/shipmentStatus.js';
+import { applyShipmentUpdate, InvalidTransitionError } from '../../../utils/shipmentTracking.js';
+import { allocateCourier } from '../../../utils/courierAllocation.js';
+import Store from '../models/store.model.js';
+import LabelSetting from '../models/labelSetting.model.js';
+import { renderShippingLabel, getShipmentLabelData, resolveLabelSize } from '../../../utils/labelRenderer.js';
+import PrintJob from '../models/printJob.model.js';
+import { cancelShipment as cancelCourierShipment, ShipmentCancellationError } from '../../../utils/shipmentCancellation.js';
+import {
+  PRINT_JOB_CONFIG,
+  findPrintShipments,
+  generateLabelsDocument,
+  generateManifestDocument,
+  createPrintJob,
+  serializePrintJob
+} from '../../../utils/printJobs.js';
+import { getItemsWeight } from '../../../utils/orderItems.js';
+import { syncOrderStock } from '../../../utils/inventory.js';
+import { getOrderPickupDetails } from '../../../utils/warehouses.js';
+import { bookOrderShipment, bulkBookOrderShipments, BookingError } from '../../../utils/shipmentBooking.js';
+import { trackSellerShipment } from '../../../utils/trackingPoller.js';
+import { WalletError } from '../../../utils/sellerWallet.js';
+
+const toBookingAppError = (error) =>
+  error instanceof BookingError || error instanceof WalletError
+    ? new AppError(error.message, error.statusCode)
+    : error instanceof AppError ? error : new AppError(error.message, 400);
+
+// Pickup pincode of the seller's first active store
+const getDefaultPickupPincode = async (sellerId) => {
+  const store = await Store.findOne({ seller: sellerId, isActive: true }).sort({ createdAt: 1 }).select('pincode').lean();
+  return store?.pincode;
+};
 
 // Create a shipment from an order
 export const createShipment = async (req, res, next) => {
@@ -44,6 +77,7 @@ export const createShipment = async (req, res, next) => {
       shippedAt: new Date()
     };
     await order.save();
+    await syncOrderStock(order);
 
     // Emit event for real-time updates
     io.emit('shipment:created', {
@@ -116,6 +150,10 @@ export const createBulkShipments = async (req, res, next) => {
     await session.commitTransaction();
     session.endSession();
 
+    for (const order of updatedOrders) {
+      await syncOrderStock(order);
+    }
+
     // Emit events for real-time updates
     createdShipments.forEach(shipment => {
       io.emit('shipment:created', {
@@ -209,6 +247,143 @@ export const getShipment = async (req, res, next) => {
   }
 };
 
+// Shipping label of a shipment, rendered with the seller's label settings
+export const getShipmentLabel = async (req, res, next) => {
+  try {
+    const shipment = await SellerShipment.findOne({ _id: req.params.id, seller: req.user.id });
+    if (!shipment) throw new AppError('Shipment not found', 404);
+    if (shipment.status === SHIPMENT_STATUS.CANCELLED) {
+      throw new AppError('Cannot print a label for a cancelled shipment', 400);
+    }
+
+    // Query parameters override the saved settings for this download
+    const setting = await LabelSetting.findOne({ seller: req.user.id }).lean();
+    const { format, size } = req.query;
+    const label = await renderShippingLabel(await getShipmentLabelData(shipment), {
+      ...setting,
+      ...(format && { format: format.toUpperCase() }),
+      ...(size && { labelSize: resolveLabelSize(size) })
+    });
+
+    res.setHeader('Content-Type', label.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename=label-${shipment.awb}.${label.extension}`);
+    res.send(label.content);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Shipments selected for bulk printing, checked against the batch limit
+const getPrintSelection = async (sellerId, selection, type) => {
+  const shipmentIds = await findPrintShipments(sellerId, selection, type);
+  if (!shipmentIds.length) {
+    throw new AppError('No shipments found to print', 404);
+  }
+  if (shipmentIds.length > PRINT_JOB_CONFIG.maxShipments) {
+    throw new AppError(`At most ${PRINT_JOB_CONFIG.maxShipments} shipments can be printed at once`, 400);
+  }
+  return shipmentIds;
+};
+
+const sendDocument = (res, document) => {
+  res.setHeader('Content-Type', document.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename=${document.filename}`);
+  res.send(document.content);
+};
+
+// Print the labels of many shipments as one PDF or ZPL document (large batches run in the background)
+export const printBulkLabels = async (req, res, next) => {
+  try {
+    const sellerId = req.user.id;
+    const { shipmentIds, filter, format, size } = req.body;
+
+    const selected = await getPrintSelection(sellerId, { shipmentIds, filter }, 'labels');
+    const options = { format: format?.toUpperCase(), labelSize: resolveLabelSize(size) };
+
+    if (selected.length > PRINT_JOB_CONFIG.syncLimit) {
+      const job = await createPrintJob({ sellerId, type: 'labels', shipmentIds: selected, ...options });
+      return res.status(202).json({
+        success: true,
+        message: `Labels for ${selected.length} shipments are being generated`,
+        data: serializePrintJob(job)
+      });
+    }
+
+    sendDocument(res, await generateLabelsDocument(sellerId, selected, options));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Print the pickup manifest of shipments, one section per courier (large batches run in the background)
+export const printPickupManifest = async (req, res, next) => {
+  try {
+    const sellerId = req.user.id;
+    const { shipmentIds, filter = {}, courier } = req.body;
+
+    const selected = await getPrintSelection(sellerId, {
+      shipmentIds,
+      filter: { ...filter, ...(courier && { courier }) }
+    }, 'manifest');
+
+    if (selected.length > PRINT_JOB_CONFIG.syncLimit) {
+      const job = await createPrintJob({ sellerId, type: 'manifest', shipmentIds: selected });
+      return res.status(202).json({
+        success: true,
+        message: `Manifest for ${selected.length} shipments is being generated`,
+        data: serializePrintJob(job)
+      });
+    }
+
+    sendDocument(res, await generateManifestDocument(sellerId, selected));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List the seller's recent print jobs
+export const getPrintJobs = async (req, res, next) => {
+  try {
+    const jobs = await PrintJob.find({ seller: req.user.id })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .select('-shipments')
+      .lean();
+    res.status(200).json({ success: true, data: jobs.map(serializePrintJob) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Status of a print job
+export const getPrintJob = async (req, res, next) => {
+  try {
+    const job = await PrintJob.findOne({ _id: req.params.jobId, seller: req.user.id }).select('-shipments').lean();
+    if (!job) throw new AppError('Print job not found', 404);
+    res.status(200).json({ success: true, data: serializePrintJob(job) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Download the document of a completed print job
+export const downloadPrintJob = async (req, res, next) => {
+  try {
+    const job = await PrintJob.findOne({ _id: req.params.jobId, seller: req.user.id }).select('-shipments').lean();
+    if (!job) throw new AppError('Print job not found', 404);
+    if (job.status !== 'completed') throw new AppError(`Print job is ${job.status}`, 400);
+
+    // Stored in S3, or locally under uploads/ when S3 is not configured
+    if (!job.fileUrl.startsWith('/')) {
+      return res.redirect(job.fileUrl);
+    }
+    res.setHeader('Content-Type', job.contentType);
+    res.download(path.resolve(job.fileUrl.slice(1)), job.filename);
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Update shipment status
 export const updateShipmentStatus = async (req, res, next) => {
   try {
@@ -216,49 +391,27 @@ export const updateShipmentStatus = async (req, res, next) => {
     const { status } = req.body;
     const sellerId = req.user.id;
 
-    // Validate status
-    const validStatuses = ['Booked', 'In-transit', 'Delivered', 'Pending Pickup', 'Cancelled', 'Exception'];
-    if (!validStatuses.includes(status)) {
-      return next(new AppError(`Invalid status. Must be one of: ${validStatuses.join(', ')}`, 400));
+    // Validate status (legacy spellings such as 'In-transit' are accepted)
+    const canonicalStatus = normalizeStatus(status);
+    if (!canonicalStatus) {
+      return next(new AppError(`Invalid status. Must be one of: ${SHIPMENT_STATUSES.join(', ')}`, 400));
+    }
+    // Cancelling has to void the AWB, refund the freight and release the order
+    if (canonicalStatus === SHIPMENT_STATUS.CANCELLED) {
+      return next(new AppError('Use POST /shipments/:id/cancel to cancel a shipment', 400));
     }
 
-    // Find and update shipment
-    const shipment = await SellerShipment.findOneAndUpdate(
-      { _id: id, seller: sellerId },
-      { 
-        status,
-        updatedAt: new Date(),
-        $push: {
-          trackingHistory: {
-            status,
-            timestamp: new Date(),
-            description: `Status updated to ${status}`,
-            location: 'System Update'
-          }
-        }
-      },
-      { new: true }
-    );
-
+    const shipment = await SellerShipment.findOne({ _id: id, seller: sellerId });
     if (!shipment) {
       return next(new AppError('Shipment not found', 404));
     }
 
-    // If delivered, update order status
-    if (status === 'Delivered') {
-      await SellerOrder.findByIdAndUpdate(
-        shipment.orderId,
-        { status: 'Delivered', deliveredAt: new Date() }
-      );
-    }
-
-    // Emit event for real-time updates
-    io.emit('shipment:status_updated', {
-      sellerId,
-      shipmentId: shipment._id,
-      orderId: shipment.orderId,
-      status
-    });
+    // Updates the order, any open NDR and emits the realtime event
+    await applyShipmentUpdate(shipment, {
+      status: canonicalStatus,
+      description: `Status updated to ${canonicalStatus}`,
+      location: 'System Update'
+    }, { strict: true, source: 'System Update' });
 
     res.status(200).json({
       success: true,
@@ -266,6 +419,9 @@ export const updateShipmentStatus = async (req, res, next) => {
       data: shipment
     });
   } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return next(new AppError(error.message, 400));
+    }
     next(new AppError(error.message, 400));
   }
 };
@@ -331,19 +487,57 @@ export const getManifest = async (req, res, next) => {
   }
 };
 
-// Handle return/NDR
+// Move an undelivered shipment to NDR or back to origin (returns of delivered orders go through /returns)
 export const handleReturn = async (req, res, next) => {
   try {
     const { status, description } = req.body;
     if (!status || !['Returned', 'NDR'].includes(status)) throw new AppError('Status must be Returned or NDR', 400);
     const shipment = await SellerShipment.findOne({ _id: req.params.id, seller: req.user.id });
     if (!shipment) throw new AppError('Shipment not found', 404);
-    shipment.status = status;
-    shipment.updatedAt = new Date();
-    shipment.trackingHistory.push({ status, description, timestamp: new Date() });
-    await shipment.save();
+    const nextStatus = status === 'NDR' ? SHIPMENT_STATUS.NDR : SHIPMENT_STATUS.RTO_INITIATED;
+    await applyShipmentUpdate(shipment, { status: nextStatus, description }, { strict: true, source: 'Seller' });
     res.status(200).json({ success: true, data: shipment });
   } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return next(new AppError(error.message, 400));
+    }
+    next(error);
+  }
+};
+
+/**
+ * Cancel a shipment with the courier and refund its shipping charge
+ * @route POST /api/v2/seller/shipments/:id/cancel
+ * @access Private (Seller only)
+ */
+export const cancelShipment = async (req, res, next) => {
+  try {
+    const shipment = await SellerShipment.findOne({ _id: req.params.id, seller: req.user.id });
+    if (!shipment) throw new AppError('Shipment not found', 404);
+
+    const { courier, refund } = await cancelCourierShipment(shipment, { reason: req.body.reason, source: 'Seller' });
+
+    io.emit('shipment:cancelled', {
+      sellerId: req.user.id,
+      orderId: shipment.orderId,
+      shipmentId: shipment._id,
+      refundAmount: refund?.amount || '0'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Shipment cancelled successfully',
+      data: {
+        shipment,
+        courierCancelled: courier.voided,
+        courierReference: courier.referenceId,
+        refund
+      }
+    });
+  } catch (error) {
+    if (error instanceof ShipmentCancellationError || error instanceof InvalidTransitionError) {
+      return next(new AppError(error.message, 400));
+    }
     next(error);
   }
 };
@@ -358,6 +552,7 @@ export const getShippingRates = async (req, res, next) => {
     const { 
       weight, 
       dimensions, 
+      pieces,
       pickupPincode, 
       deliveryPincode, 
       cod,
@@ -365,14 +560,15 @@ export const getShippingRates = async (req, res, next) => {
     } = req.body;
 
     // Validate required fields
-    if (!weight || !dimensions || !pickupPincode || !deliveryPincode) {
+    if ((!pieces && (!weight || !dimensions)) || !pickupPincode || !deliveryPincode) {
       return next(new AppError('Missing required parameters', 400));
     }
 
-    // Calculate shipping rates using our integrated system
+    // Calculate shipping rates using our integrated system (multi-piece shipments are weighed box by box)
     const packageDetails = {
-      weight,
+      weight: pieces ? pieces.reduce((total, piece) => total + Number(piece.weight), 0) : weight,
       dimensions,
+      pieces,
       cod: cod || false,
       declaredValue: declaredValue || 0
     };
@@ -395,6 +591,59 @@ export const getShippingRates = async (req, res, next) => {
   }
 };
 
+/**
+ * Rank couriers for an order or package using the seller's allocation rules
+ * @route POST /api/v2/seller/shipments/allocate
+ * @access Private (Seller only)
+ */
+export const allocateShipmentCourier = async (req, res, next) => {
+  try {
+    const sellerId = req.user.id;
+    const { orderId } = req.body;
+    let { weight, dimensions, deliveryPincode, paymentMode, orderValue, pickupPincode } = req.body;
+
+    // Fill anything not given from the order
+    if (orderId) {
+      const order = await SellerOrder.findOne({ _id: orderId, seller: sellerId }).lean();
+      if (!order) {
+        return next(new AppError('Order not found or does not belong to you', 404));
+      }
+
+      weight = weight ?? getItemsWeight(order.items);
+      dimensions = dimensions ?? order.dimensions;
+      deliveryPincode = deliveryPincode ?? order.customer?.address?.pincode;
+      paymentMode = paymentMode ?? order.payment?.method;
+      orderValue = orderValue ?? parseFloat(order.payment?.amount);
+      pickupPincode = pickupPincode || (await getOrderPickupDetails(order))?.address.pincode;
+    }
+
+    pickupPincode = pickupPincode || await getDefaultPickupPincode(sellerId);
+    if (!pickupPincode) {
+      return next(new AppError('Pickup pincode is required when the seller has no active store', 400));
+    }
+    if (!weight || !deliveryPincode) {
+      return next(new AppError('Weight and delivery pincode are required', 400));
+    }
+
+    const allocation = await allocateCourier({
+      sellerId,
+      weight,
+      dimensions,
+      pickupPincode,
+      deliveryPincode,
+      isCOD: paymentMode === 'COD',
+      orderValue: orderValue || 0
+    });
+
+    res.status(200).json({
+      success: true,
+      data: allocation
+    });
+  } catch (error) {
+    next(error instanceof AppError ? error : new AppError(error.message, 400));
+  }
+};
+
 /**
  * Book a shipment with courier API
  * @route POST /api/v2/seller/shipments/book
@@ -402,15 +651,7 @@ export const getShippingRates = async (req, res, next) => {
  */
 export const bookCourierShipment = async (req, res, next) => {
   try {
-    const { 
-      orderId, 
-      courierCode,
-      serviceType,
-      packageDetails,
-      pickupDetails,
-      deliveryDetails 
-    } = req.body;
-    
+    const { orderId, courierCode, serviceType, packageDetails, pickupDetails } = req.body;
     const sellerId = req.user.id;
 
     // Check if order exists and belongs to the seller
@@ -423,86 +664,15 @@ export const bookCourierShipment = async (req, res, next) => {
       return next(new AppError('Order not found or does not belong to you', 404));
     }
 
-    // Validate courier code and get handler
-    const courierHandler = await getCourierHandler(courierCode);
-    if (!courierHandler) {
-      return next(new AppError(`Invalid or unavailable courier: ${courierCode}`, 400));
-    }
-
-    // Prepare shipment details
-    const shipmentDetails = {
-      referenceNumber: order.orderNumber,
+    const { shipment, booking, charge } = await bookOrderShipment({
+      sellerId,
+      order,
+      courierCode,
       serviceType,
-      weight: packageDetails.weight,
-      dimensions: packageDetails.dimensions,
-      declaredValue: packageDetails.declaredValue || order.total,
-      cod: order.paymentMethod === 'COD',
-      codAmount: order.paymentMethod === 'COD' ? order.total : 0,
-      consignee: {
-        name: order.customer.name,
-        phone: order.customer.phone,
-        email: order.customer.email,
-        address: {
-          line1: order.shippingAddress.street,
-          line2: order.shippingAddress.landmark || '',
-          city: order.shippingAddress.city,
-          state: order.shippingAddress.state,
-          pincode: order.shippingAddress.pincode,
-          country: order.shippingAddress.country || 'India'
-        }
-      },
-      shipper: {
-        name: pickupDetails.name,
-        phone: pickupDetails.phone,
-        email: pickupDetails.email,
-        address: {
-          line1: pickupDetails.address.street,
-          line2: pickupDetails.address.landmark || '',
-          city: pickupDetails.address.city,
-          state: pickupDetails.address.state,
-          pincode: pickupDetails.address.pincode,
-          country: pickupDetails.address.country || 'India'
-        }
-      }
-    };
-
-    // Book the shipment with the courier
-    const bookingResponse = await courierHandler.bookShipment(shipmentDetails);
-
-    if (!bookingResponse.success) {
-      return next(new AppError(bookingResponse.error || 'Failed to book shipment', 400));
-    }
-
-    // Create shipment record
-    const shipment = await SellerShipment.create({
-      seller: sellerId,
-      orderId,
-      courier: courierCode,
-      awb: bookingResponse.awb,
-      pickupDate: new Date(),
-      status: 'Booked',
-      channel: 'API',
-      weight: packageDetails.weight,
-      dimensions: packageDetails.dimensions,
-      shippingCharge: packageDetails.shippingCharge || 0,
-      trackingHistory: [{
-        status: 'Booked',
-        timestamp: new Date(),
-        description: 'Shipment booked successfully',
-        location: 'System'
-      }]
+      packageDetails,
+      pickupDetails
     });
 
-    // Update order status
-    order.status = 'Shipped';
-    order.shippingDetails = {
-      courier: courierCode,
-      trackingNumber: bookingResponse.awb,
-      shippedAt: new Date(),
-      label: bookingResponse.label
-    };
-    await order.save();
-
     // Emit event for real-time updates
     io.emit('shipment:created', {
       sellerId,
@@ -514,18 +684,39 @@ export const bookCourierShipment = async (req, res, next) => {
     res.status(201).json({
       success: true,
       message: 'Shipment booked successfully',
-      data: {
-        shipment,
-        booking: {
-          awb: bookingResponse.awb,
-          trackingUrl: bookingResponse.trackingUrl,
-          label: bookingResponse.label,
-          manifest: bookingResponse.manifest
-        }
-      }
+      data: { shipment, booking, charge }
     });
   } catch (error) {
-    next(new AppError(error.message, 400));
+    next(toBookingAppError(error));
+  }
+};
+
+/**
+ * Book many orders with courier APIs, holding their freight in the wallet up front
+ * @route POST /api/v2/seller/shipments/book/bulk
+ * @access Private (Seller only)
+ */
+export const bulkBookCourierShipments = async (req, res, next) => {
+  try {
+    const sellerId = req.user.id;
+    const result = await bulkBookOrderShipments({ sellerId, bookings: req.body.bookings });
+
+    result.booked.forEach(({ orderId, shipment }) => {
+      io.emit('shipment:created', {
+        sellerId,
+        orderId,
+        shipmentId: shipment._id,
+        status: 'Booked'
+      });
+    });
+
+    res.status(result.booked.length ? 201 : 200).json({
+      success: true,
+      message: `${result.booked.length} of ${req.body.bookings.length} orders booked`,
+      data: result
+    });
+  } catch (error) {
+    next(toBookingAppError(error));
   }
 };
 
@@ -549,66 +740,26 @@ export const trackShipmentStatus = async (req, res, next) => {
       return next(new AppError('Shipment not found', 404));
     }
 
-    // Track the shipment with the courier's API
-    const trackingInfo = await trackShipment(shipment.awb, shipment.courier);
-
-    if (trackingInfo.success) {
-      // Update shipment status and tracking history
-      shipment.status = trackingInfo.status || shipment.status;
-      
-      // Only add new tracking events
-      if (trackingInfo.trackingHistory && trackingInfo.trackingHistory.length > 0) {
-        // Add any new tracking events not already in the history
-        trackingInfo.trackingHistory.forEach(event => {
-          const existingEvent = shipment.trackingHistory.find(
-            e => e.timestamp.getTime() === new Date(event.timestamp).getTime() &&
-                 e.status === event.status
-          );
-          
-          if (!existingEvent) {
-            shipment.trackingHistory.push({
-              status: event.status,
-              timestamp: event.timestamp,
-              description: event.description || event.statusDetail,
-              location: event.location
-            });
-          }
-        });
-        
-        // Sort tracking history by timestamp (newest first)
-        shipment.trackingHistory.sort((a, b) => b.timestamp - a.timestamp);
-      }
-      
-      // If delivered, update order status and delivery date
-      if (trackingInfo.status === 'Delivered' && shipment.status !== 'Delivered') {
-        shipment.status = 'Delivered';
-        shipment.deliveryDate = trackingInfo.timestamp || new Date();
-        
-        // Update order
-        await SellerOrder.findByIdAndUpdate(
-          shipment.orderId,
-          { 
-            status: 'Delivered', 
-            deliveredAt: shipment.deliveryDate 
-          }
-        );
-      }
-      
-      await shipment.save();
-    }
+    // Track the master AWB (or the child AWB of every box) with the courier's API; new events
+    // are merged and the shipment moves along valid transitions only
+    const { tracked } = await trackSellerShipment(shipment);
+    const summarize = (trackingInfo) => (trackingInfo.success ? {
+      status: trackingInfo.status,
+      rawStatus: trackingInfo.rawStatus,
+      statusDetail: trackingInfo.statusDetail,
+      currentLocation: trackingInfo.currentLocation,
+      timestamp: trackingInfo.timestamp,
+      estimatedDelivery: trackingInfo.estimatedDelivery,
+      trackingHistory: trackingInfo.trackingHistory
+    } : null);
+    const master = tracked.find(({ awb }) => awb === shipment.awb);
 
     res.status(200).json({
       success: true,
       data: {
         shipment,
-        trackingInfo: trackingInfo.success ? {
-          status: trackingInfo.status,
-          statusDetail: trackingInfo.statusDetail,
-          currentLocation: trackingInfo.currentLocation,
-          timestamp: trackingInfo.timestamp,
-          estimatedDelivery: trackingInfo.estimatedDelivery,
-          trackingHistory: trackingInfo.trackingHistory
-        } : null
+        trackingInfo: master ? summarize(master.trackingInfo) : null,
+        ...(!master && { pieceTracking: tracked.map(({ awb, trackingInfo }) => ({ awb, trackingInfo: summarize(trackingInfo) })) })
       }
     });
   } catch (error) {
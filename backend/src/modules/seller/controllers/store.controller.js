@@ -41,7 +41,7 @@ export const listStores = async (req, res, next) => {
 // Add store
 export const addStore = async (req, res, next) => {
   try {
-    const { name, address, city, state, pincode, contactPerson, phone, email, isActive } = req.body;
+    const { name, address, city, state, pincode, contactPerson, phone, email, pickupCutoff, isActive } = req.body;
     const store = await Store.create({
       seller: req.user.id,
       name,
@@ -52,6 +52,7 @@ export const addStore = async (req, res, next) => {
       contactPerson,
       phone,
       email,
+      pickupCutoff,
       isActive
     });
     res.status(201).json({ success: true, data: store });
@@ -76,7 +77,7 @@ export const getStore = async (req, res, next) => {
 export const updateStore = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { name, address, city, state, pincode, contactPerson, phone, email, isActive } = req.body;
+    const { name, address, city, state, pincode, contactPerson, phone, email, pickupCutoff, isActive } = req.body;
     const store = await Store.findOne({ _id: id, seller: req.user.id });
     if (!store) throw new AppError('Store not found', 404);
     if (name) store.name = name;
@@ -87,6 +88,7 @@ export const updateStore = async (req, res, next) => {
     if (contactPerson) store.contactPerson = contactPerson;
     if (phone) store.phone = phone;
     if (email) store.email = email;
+    if (pickupCutoff) store.pickupCutoff = pickupCutoff;
     if (typeof isActive !== 'undefined') store.isActive = isActive;
     await store.save();
     res.status(200).json({ success: true, data: store });
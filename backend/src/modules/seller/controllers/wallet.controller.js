@@ -2,6 +2,7 @@ import WalletTransaction from '../models/walletTransaction.model.js';
 import { AppError } from '../../../middleware/errorHandler.js';
 import xlsx from 'xlsx';
 import Seller from '../models/seller.model.js';
+import { getSpendableBalance } from '../../../utils/sellerWallet.js';
 
 // List wallet transactions with filters and pagination
 export const listWalletTransactions = async (req, res, next) => {
@@ -41,6 +42,25 @@ export const listWalletTransactions = async (req, res, next) => {
   }
 };
 
+// Wallet balance with funds held for bookings and the credit limit
+export const getWalletBalance = async (req, res, next) => {
+  try {
+    const seller = await Seller.findById(req.user.id).select('walletBalance walletHeld creditLimit').lean();
+    if (!seller) throw new AppError('Seller not found', 404);
+    res.status(200).json({
+      success: true,
+      data: {
+        balance: seller.walletBalance || '0',
+        held: seller.walletHeld || '0',
+        creditLimit: seller.creditLimit || '0',
+        available: getSpendableBalance(seller).toFixed(2)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Get wallet transaction details
 export const getWalletTransaction = async (req, res, next) => {
   try {
@@ -1,14 +1,27 @@
 import WarehouseItem from '../models/warehouseItem.model.js';
-import StockHistory from '../models/stockHistory.model.js';
+import StockTransfer from '../models/stockTransfer.model.js';
 import { AppError } from '../../../middleware/errorHandler.js';
+import { moveStock, warehouseItemStatus } from '../../../utils/inventory.js';
+import {
+  getSellerWarehouse,
+  createStockTransfer,
+  receiveStockTransfer,
+  cancelStockTransfer,
+  recordCycleCount,
+  WarehouseError
+} from '../../../utils/warehouses.js';
+
+const toAppError = (error) =>
+  error instanceof WarehouseError ? new AppError(error.message, error.statusCode) : error;
 
 // List warehouse items
 export const listWarehouseItems = async (req, res, next) => {
   try {
-    const { page = 1, limit = 20, search, status, location } = req.query;
+    const { page = 1, limit = 20, search, status, location, storeId } = req.query;
     const query = { seller: req.user.id };
     if (status) query.status = status;
     if (location) query.location = location;
+    if (storeId) query.store = storeId;
     if (search) {
       query.$or = [
         { name: { $regex: search, $options: 'i' } },
@@ -20,7 +33,8 @@ export const listWarehouseItems = async (req, res, next) => {
       WarehouseItem.find(query)
         .sort({ lastUpdated: -1 })
         .skip(skip)
-        .limit(parseInt(limit)),
+        .limit(parseInt(limit))
+        .populate('store', 'name city pincode'),
       WarehouseItem.countDocuments(query)
     ]);
     res.status(200).json({
@@ -38,35 +52,147 @@ export const listWarehouseItems = async (req, res, next) => {
   }
 };
 
+// Start stocking a SKU at a warehouse
+export const createWarehouseItem = async (req, res, next) => {
+  try {
+    const { storeId, name, sku, quantity, notes } = req.body;
+    const store = await getSellerWarehouse(req.user.id, storeId);
+    const existing = await WarehouseItem.findOne({ seller: req.user.id, sku, store: store._id });
+    if (existing) throw new AppError(`SKU ${sku} is already stocked at ${store.name}`, 409);
+
+    const item = await WarehouseItem.create({
+      seller: req.user.id,
+      store: store._id,
+      location: store.name,
+      name,
+      sku,
+      quantity: 0,
+      status: warehouseItemStatus(0)
+    });
+    await moveStock({ seller: req.user.id, sku, onHand: quantity, warehouseItem: item, notes: notes || 'Opening stock' });
+    res.status(201).json({ success: true, data: await WarehouseItem.findById(item._id) });
+  } catch (error) {
+    next(toAppError(error));
+  }
+};
+
 // Add stock to item
 export const addStockToItem = async (req, res, next) => {
   try {
     const { itemId } = req.params;
-    const { quantity, location, notes } = req.body;
-    if (!quantity || isNaN(quantity) || quantity <= 0) {
-      throw new AppError('Invalid quantity', 400);
-    }
+    const { quantity, storeId, location, notes } = req.body;
     const item = await WarehouseItem.findOne({ _id: itemId, seller: req.user.id });
     if (!item) throw new AppError('Item not found', 404);
-    item.quantity += Number(quantity);
-    item.location = location || item.location;
-    item.lastUpdated = new Date();
-    // Update status
-    if (item.quantity <= 0) item.status = 'Out of Stock';
-    else if (item.quantity < 5) item.status = 'Low Stock';
-    else item.status = 'In Stock';
-    await item.save();
-    // Create stock history
-    await StockHistory.create({
-      item: item._id,
-      seller: req.user.id,
-      quantity,
-      location: item.location,
-      notes,
-      type: 'add'
+    // Items from before stock was held per store are placed at a warehouse on their next receipt
+    if (!item.store && storeId) {
+      const store = await getSellerWarehouse(req.user.id, storeId);
+      item.store = store._id;
+      item.location = store.name;
+    } else if (!item.store && location) {
+      item.location = location;
+    }
+    if (item.isModified()) await item.save();
+    await moveStock({ seller: req.user.id, sku: item.sku, onHand: Number(quantity), warehouseItem: item, notes });
+    res.status(200).json({ success: true, data: await WarehouseItem.findById(item._id) });
+  } catch (error) {
+    next(toAppError(error));
+  }
+};
+
+// Record a cycle count for an item
+export const countWarehouseItem = async (req, res, next) => {
+  try {
+    const item = await WarehouseItem.findOne({ _id: req.params.itemId, seller: req.user.id });
+    if (!item) throw new AppError('Item not found', 404);
+    const { item: counted, difference } = await recordCycleCount(item, req.body);
+    res.status(200).json({
+      success: true,
+      message: difference ? `Stock adjusted by ${difference > 0 ? '+' : ''}${difference}` : 'Count matches stock',
+      data: counted
     });
-    res.status(200).json({ success: true, data: item });
+  } catch (error) {
+    next(toAppError(error));
+  }
+};
+
+// Dispatch a stock transfer between warehouses
+export const createTransfer = async (req, res, next) => {
+  try {
+    const transfer = await createStockTransfer({ seller: req.user.id, ...req.body });
+    res.status(201).json({ success: true, data: transfer });
+  } catch (error) {
+    next(toAppError(error));
+  }
+};
+
+// List stock transfers
+export const listTransfers = async (req, res, next) => {
+  try {
+    const { status, storeId, page = 1, limit = 20 } = req.query;
+    const query = { seller: req.user.id };
+    if (status) query.status = status;
+    if (storeId) query.$or = [{ fromStore: storeId }, { toStore: storeId }];
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [transfers, total] = await Promise.all([
+      StockTransfer.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('fromStore', 'name city pincode')
+        .populate('toStore', 'name city pincode')
+        .select('-history')
+        .lean(),
+      StockTransfer.countDocuments(query)
+    ]);
+    res.status(200).json({
+      success: true,
+      data: {
+        transfers,
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Stock transfer details
+export const getTransfer = async (req, res, next) => {
+  try {
+    const transfer = await StockTransfer.findOne({ _id: req.params.id, seller: req.user.id })
+      .populate('fromStore', 'name address city state pincode')
+      .populate('toStore', 'name address city state pincode')
+      .lean();
+    if (!transfer) throw new AppError('Transfer not found', 404);
+    res.status(200).json({ success: true, data: transfer });
   } catch (error) {
     next(error);
   }
-}; 
\ No newline at end of file
+};
+
+// Confirm a stock transfer arrived
+export const receiveTransfer = async (req, res, next) => {
+  try {
+    const transfer = await StockTransfer.findOne({ _id: req.params.id, seller: req.user.id });
+    if (!transfer) throw new AppError('Transfer not found', 404);
+    await receiveStockTransfer(transfer, req.body);
+    res.status(200).json({ success: true, data: transfer });
+  } catch (error) {
+    next(toAppError(error));
+  }
+};
+
+// Cancel a stock transfer in transit
+export const cancelTransfer = async (req, res, next) => {
+  try {
+    const transfer = await StockTransfer.findOne({ _id: req.params.id, seller: req.user.id });
+    if (!transfer) throw new AppError('Transfer not found', 404);
+    await cancelStockTransfer(transfer, req.body.reason);
+    res.status(200).json({ success: true, data: transfer });
+  } catch (error) {
+    next(toAppError(error));
+  }
+};
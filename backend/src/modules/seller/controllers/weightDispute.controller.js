@@ -1,7 +1,19 @@
 import WeightDispute from '../models/weightDispute.model.js';
-import SellerShipment from '../models/shipment.model.js';
-import xlsx from 'xlsx';
 import { AppError } from '../../../middleware/errorHandler.js';
+import { acceptWeightDispute, raiseWeightDispute, WeightDisputeError } from '../../../utils/weightDisputes.js';
+
+const toAppError = (error) =>
+  error instanceof WeightDisputeError ? new AppError(error.message, error.statusCode) : error;
+
+const getActor = (user) => ({ id: user.id, name: user.businessName || user.name, role: 'seller' });
+
+const findSellerDispute = async (req) => {
+  const query = { awbNumber: req.params.awbNumber, seller: req.user.id };
+  if (req.query.orderId) query.orderId = req.query.orderId;
+  const dispute = await WeightDispute.findOne(query);
+  if (!dispute) throw new AppError('Dispute not found', 404);
+  return dispute;
+};
 
 // List weight disputes
 export const listWeightDisputes = async (req, res, next) => {
@@ -67,88 +79,46 @@ export const listWeightDisputes = async (req, res, next) => {
 // Get weight dispute details
 export const getWeightDisputeDetails = async (req, res, next) => {
   try {
-    const { awbNumber } = req.params;
-    const { orderId } = req.query;
-    const dispute = await WeightDispute.findOne({
-      awbNumber,
-      orderId,
-      seller: req.user.id
-    });
-    if (!dispute) throw new AppError('Dispute not found', 404);
+    const dispute = await findSellerDispute(req);
     res.status(200).json({ success: true, data: dispute });
   } catch (error) {
     next(error);
   }
 };
 
-// Update weight dispute
-export const updateWeightDispute = async (req, res, next) => {
+// Accept the courier's weight; the difference is debited from the wallet
+export const acceptDispute = async (req, res, next) => {
   try {
-    const { awbNumber } = req.params;
-    const { orderId } = req.query;
-    const { status, revised, accepted, comments } = req.body;
-    const dispute = await WeightDispute.findOne({
-      awbNumber,
-      orderId,
-      seller: req.user.id
+    const dispute = await findSellerDispute(req);
+    const settled = await acceptWeightDispute(dispute, {
+      actor: getActor(req.user),
+      remarks: req.body.comments || undefined
+    });
+    res.status(200).json({
+      success: true,
+      message: settled.settlement?.status === 'Failed'
+        ? 'Weight accepted; the wallet adjustment will be retried shortly'
+        : 'Weight accepted',
+      data: settled
     });
-    if (!dispute) throw new AppError('Dispute not found', 404);
-    if (status) dispute.status = status;
-    if (typeof revised !== 'undefined') dispute.revised = revised;
-    if (typeof accepted !== 'undefined') dispute.accepted = accepted;
-    if (typeof comments !== 'undefined') dispute.comments = comments;
-    await dispute.save();
-    res.status(200).json({ success: true, data: { dispute } });
   } catch (error) {
-    next(error);
+    next(toAppError(error));
   }
 };
 
-// Upload weight dispute file (Excel)
-export const uploadWeightDisputeFile = async (req, res, next) => {
+// Dispute the courier's weight with photos and measurements
+export const raiseDispute = async (req, res, next) => {
   try {
-    if (!req.file) throw new AppError('No file uploaded', 400);
-    const workbook = xlsx.read(req.file.buffer, { type: 'buffer' });
-    const sheet = workbook.Sheets[workbook.SheetNames[0]];
-    const rows = xlsx.utils.sheet_to_json(sheet);
-    let successCount = 0, errorCount = 0;
-    for (const row of rows) {
-      try {
-        // Required fields: awbNumber, orderId, given, applied, difference, status
-        if (!row.awbNumber || !row.orderId || typeof row.given !== 'number' || typeof row.applied !== 'number' || typeof row.difference !== 'number' || !row.status) {
-          errorCount++;
-          continue;
-        }
-        await WeightDispute.create({
-          shipment: row.shipmentId,
-          awbNumber: row.awbNumber,
-          orderId: row.orderId,
-          given: row.given,
-          applied: row.applied,
-          revised: row.revised,
-          difference: row.difference,
-          accepted: row.accepted,
-          product: row.product,
-          comments: row.comments,
-          status: row.status,
-          courierPartner: row.courierPartner,
-          seller: req.user.id
-        });
-        successCount++;
-      } catch (e) {
-        errorCount++;
-      }
-    }
-    res.status(200).json({
-      success: true,
-      data: {
-        message: 'File processed',
-        totalDisputes: rows.length,
-        successCount,
-        errorCount
-      }
-    });
+    const dispute = await findSellerDispute(req);
+    const { length, width, height, weight, comments } = req.body;
+    const raised = await raiseWeightDispute(dispute, {
+      files: req.files,
+      dimensions: { length, width, height },
+      weight,
+      comments
+    }, { actor: getActor(req.user) });
+    res.status(200).json({ success: true, message: 'Weight disputed, our team will review it', data: raised });
   } catch (error) {
-    next(error);
+    next(toAppError(error));
   }
-}; 
\ No newline at end of file
+};
@@ -2,6 +2,8 @@ import express from 'express';
 import sellerRoutes from './routes/seller.routes.js';
 import orderRoutes from './routes/order.routes.js';
 import shipmentRoutes from './routes/shipment.routes.js';
+import pickupRoutes from './routes/pickup.routes.js';
+import returnRoutes from './routes/return.routes.js';
 import ndrRoutes from './routes/ndr.routes.js';
 import walletRoutes from './routes/wallet.routes.js';
 import invoiceRoutes from './routes/invoice.routes.js';
@@ -27,6 +29,8 @@ router.use('/orders', orderRoutes);
 
 // Shipment management
 router.use('/shipments', shipmentRoutes);
+router.use('/pickups', pickupRoutes);
+router.use('/returns', returnRoutes);
 
 // NDR management
 router.use('/ndr', ndrRoutes);
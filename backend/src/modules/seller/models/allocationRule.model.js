@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+import { RATE_ZONES } from '../../admin/models/rateCard.model.js';
+
+// How a matching rule ranks the eligible couriers
+export const ALLOCATION_STRATEGIES = ['preferred', 'cheapest', 'best_performance', 'balanced'];
+
+const allocationRuleSchema = new mongoose.Schema({
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Seller',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Rules are checked in ascending priority; the first one with an eligible courier decides
+  priority: {
+    type: Number,
+    default: 0
+  },
+  // Every condition that is set must hold for the rule to match
+  conditions: {
+    paymentMode: {
+      type: String,
+      enum: ['COD', 'Prepaid', null],
+      default: null
+    },
+    zones: [{
+      type: String,
+      enum: RATE_ZONES
+    }],
+    destinationStates: [{ type: String, trim: true }],
+    destinationPincodes: [{ type: String, trim: true }],
+    minWeight: Number,
+    maxWeight: Number,
+    minOrderValue: Number,
+    maxOrderValue: Number
+  },
+  action: {
+    strategy: {
+      type: String,
+      enum: ALLOCATION_STRATEGIES,
+      default: 'cheapest'
+    },
+    // Courier codes in order of preference (preferred strategy)
+    couriers: [{ type: String, trim: true, uppercase: true }],
+    excludeCouriers: [{ type: String, trim: true, uppercase: true }],
+    minDeliverySuccess: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
+    minPerformanceScore: {
+      type: Number,
+      min: 0,
+      max: 100
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+allocationRuleSchema.index({ seller: 1, priority: 1 });
+
+export default mongoose.model('AllocationRule', allocationRuleSchema);
@@ -93,8 +93,8 @@ const ledgerSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Generate transaction ID before saving
-ledgerSchema.pre('save', async function(next) {
+// Generate transaction ID before validation (transactionId is required)
+ledgerSchema.pre('validate', async function(next) {
   if (this.isNew) {
     const count = await mongoose.model('Ledger').countDocuments();
     this.transactionId = `TXN-${String(count + 1).padStart(8, '0')}`;
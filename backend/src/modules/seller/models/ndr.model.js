@@ -1,11 +1,38 @@
 import mongoose from 'mongoose';
 
+// One NDR per undelivered shipment, read and written by the seller and admin routes (see utils/ndr.js)
+export const NDR_STATUSES = ['Pending', 'In Progress', 'Resolved', 'RTO Initiated', 'RTO Completed'];
+export const NDR_REASON_CATEGORIES = ['Customer Not Available', 'Address Issues', 'Delivery Issues', 'Customer Refusal'];
+export const NDR_SOURCES = ['Seller', 'Admin', 'System', 'Courier', 'Buyer'];
+// What the buyer can choose on the NDR response page
+export const NDR_BUYER_RESPONSES = ['REATTEMPT', 'CHANGE_ADDRESS', 'CANCEL'];
+// Actions pushed to the courier (see NDR_ACTION_TYPES in utils/courierAdapter.js)
+export const NDR_COURIER_ACTIONS = ['REATTEMPT', 'CHANGE_ADDRESS', 'CHANGE_PHONE', 'RTO'];
+export const NDR_COURIER_ACTION_STATUSES = ['Pending', 'Submitted', 'Failed', 'Cancelled'];
+
+// Who made a change: the seller or admin user, or the system
+const actorSchema = new mongoose.Schema({
+  id: mongoose.Schema.Types.ObjectId,
+  name: String,
+  role: String
+}, { _id: false });
+
 const attemptHistorySchema = new mongoose.Schema({
   date: String,
   time: String,
   status: String,
   reason: String,
-  agentRemarks: String
+  agentRemarks: String,
+  addedBy: actorSchema,
+  source: { type: String, enum: NDR_SOURCES }
+}, { _id: true, timestamps: true });
+
+const statusHistorySchema = new mongoose.Schema({
+  status: { type: String, enum: NDR_STATUSES },
+  reason: String,
+  source: { type: String, enum: NDR_SOURCES },
+  updatedBy: actorSchema,
+  timestamp: { type: Date, default: Date.now }
 }, { _id: false });
 
 const productSchema = new mongoose.Schema({
@@ -16,10 +43,46 @@ const productSchema = new mongoose.Schema({
   image: String
 }, { _id: false });
 
+// An action pushed to the courier: Pending until the courier accepts it (retried on failure),
+// Failed once the retries run out, Cancelled when a later action replaces it
+const courierActionSchema = new mongoose.Schema({
+  type: { type: String, enum: NDR_COURIER_ACTIONS, required: true },
+  reattemptDate: String,
+  address: {
+    fullName: String,
+    addressLine1: String,
+    addressLine2: String,
+    landmark: String,
+    pincode: String,
+    city: String,
+    state: String
+  },
+  phone: String,
+  remarks: String,
+  status: { type: String, enum: NDR_COURIER_ACTION_STATUSES, default: 'Pending' },
+  referenceId: String,
+  attempts: { type: Number, default: 0 },
+  lastError: String,
+  nextAttemptAt: Date,
+  requestedBy: actorSchema,
+  source: { type: String, enum: NDR_SOURCES },
+  requestedAt: { type: Date, default: Date.now },
+  submittedAt: Date
+}, { _id: true });
+
+// Internal ops notes, hidden from the seller
+const commentSchema = new mongoose.Schema({
+  comment: { type: String, required: true },
+  addedBy: actorSchema,
+  createdAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
 const ndrSchema = new mongoose.Schema({
-  orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'SellerOrder', required: true },
-  awb: { type: String, required: true },
-  shipmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'SellerShipment', required: true },
+  orderId: { type: mongoose.Schema.Types.ObjectId, refPath: 'orderModel', required: true, index: true },
+  orderModel: { type: String, enum: ['SellerOrder', 'CustomerOrder'], default: 'SellerOrder' },
+  awb: { type: String, required: true, index: true },
+  shipmentId: { type: mongoose.Schema.Types.ObjectId, refPath: 'shipmentModel', required: true, index: true },
+  shipmentModel: { type: String, enum: ['SellerShipment', 'AdminShipment'], default: 'SellerShipment' },
   customer: {
     name: String,
     phone: String,
@@ -38,24 +101,159 @@ const ndrSchema = new mongoose.Schema({
   seller: {
     id: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller' },
     name: String,
-    contact: String
+    contact: String,
+    business: String,
+    email: String
   },
   courier: {
     name: String,
-    trackingUrl: String
+    trackingUrl: String,
+    partnerId: { type: mongoose.Schema.Types.ObjectId, ref: 'ShippingPartner' }
   },
   attempts: { type: Number, default: 1 },
   attemptHistory: [attemptHistorySchema],
-  status: { type: String, enum: ['Pending', 'In Progress', 'Resolved', 'RTO Initiated'], default: 'Pending' },
+  status: { type: String, enum: NDR_STATUSES, default: 'Pending', index: true },
+  // Every status change, whichever side made it
+  statusHistory: [statusHistorySchema],
+  actionTaken: {
+    type: String,
+    enum: ['None', 'Customer Contacted', 'Address Updated', 'Delivery Rescheduled', 'RTO Initiated', 'Other'],
+    default: 'None'
+  },
   reason: String,
+  reasonCategory: { type: String, enum: NDR_REASON_CATEGORIES, index: true },
   recommendedAction: String,
   currentLocation: {
     lat: Number,
     lng: Number
   },
   products: [productSchema],
-  createdAt: { type: Date, default: Date.now },
+  // Re-attempt, address or phone changes and RTO requests sent to the courier
+  courierActions: [courierActionSchema],
+  // Latest self-service link sent to the buyer and their answer (utils/ndrBuyerLinks.js)
+  buyerLink: {
+    sentAt: Date,
+    expiresAt: Date,
+    channels: [{ type: String, enum: ['SMS', 'Email', 'WhatsApp'] }],
+    respondedAt: Date,
+    response: {
+      action: { type: String, enum: NDR_BUYER_RESPONSES },
+      reattemptDate: String,
+      address: {
+        addressLine1: String,
+        addressLine2: String,
+        landmark: String,
+        pincode: String,
+        city: String,
+        state: String
+      },
+      remarks: String
+    }
+  },
+  // Ops only (see SELLER_HIDDEN_FIELDS in utils/ndr.js)
+  comments: [commentSchema],
+  priority: { type: String, enum: ['Low', 'Medium', 'High', 'Urgent'], default: 'Medium', index: true },
+  assignedTo: actorSchema,
+  nextActionDate: Date,
+  attemptedContact: { type: Boolean, default: false },
+  contactHistory: [{
+    method: { type: String, enum: ['Phone', 'SMS', 'Email', 'WhatsApp'] },
+    timestamp: Date,
+    status: { type: String, enum: ['Success', 'Failed', 'No Response'] },
+    notes: String
+  }],
+  rtoDetails: {
+    initiatedDate: Date,
+    reason: String,
+    awb: String,
+    status: String,
+    completedDate: Date,
+    trackingUrl: String
+  },
+  resolution: { type: String, enum: ['Delivered', 'Returned', 'Cancelled', 'Lost', 'Damaged'] },
+  resolutionDate: Date,
+  createdAt: { type: Date, default: Date.now, index: true },
   updatedAt: { type: Date, default: Date.now }
 });
 
-export default mongoose.model('NDR', ndrSchema); 
\ No newline at end of file
+ndrSchema.index({ 'seller.id': 1, status: 1, createdAt: -1 });
+ndrSchema.index({ status: 1, createdAt: -1 });
+ndrSchema.index({ 'assignedTo.id': 1, status: 1 });
+ndrSchema.index({ 'customer.phone': 1 });
+ndrSchema.index({ 'courierActions.status': 1, 'courierActions.nextAttemptAt': 1 });
+
+ndrSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// NDR totals per courier: resolved, sent back and average attempts
+ndrSchema.statics.getNDRStatsByCourier = async function(match = {}) {
+  return this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$courier.name',
+        total: { $sum: 1 },
+        resolved: { $sum: { $cond: [{ $eq: ['$status', 'Resolved'] }, 1, 0] } },
+        rtoInitiated: { $sum: { $cond: [{ $in: ['$status', ['RTO Initiated', 'RTO Completed']] }, 1, 0] } },
+        avgAttempts: { $avg: '$attempts' }
+      }
+    },
+    {
+      $project: {
+        courier: '$_id',
+        total: 1,
+        resolved: 1,
+        rtoInitiated: 1,
+        resolutionRate: { $multiply: [{ $divide: ['$resolved', { $max: ['$total', 1] }] }, 100] },
+        avgAttempts: 1,
+        _id: 0
+      }
+    }
+  ]);
+};
+
+// NDR totals per reason category
+ndrSchema.statics.getNDRStatsByReasonCategory = async function(match = {}) {
+  return this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$reasonCategory',
+        count: { $sum: 1 },
+        resolvedCount: { $sum: { $cond: [{ $eq: ['$status', 'Resolved'] }, 1, 0] } },
+        rtoCount: { $sum: { $cond: [{ $in: ['$status', ['RTO Initiated', 'RTO Completed']] }, 1, 0] } }
+      }
+    },
+    {
+      $project: {
+        category: '$_id',
+        count: 1,
+        resolvedCount: 1,
+        rtoCount: 1,
+        resolutionRate: { $multiply: [{ $divide: ['$resolvedCount', { $max: ['$count', 1] }] }, 100] },
+        _id: 0
+      }
+    },
+    { $sort: { count: -1 } }
+  ]);
+};
+
+// NDRs raised per day in a date range
+ndrSchema.statics.getNDRsByDateRange = async function(startDate, endDate, match = {}) {
+  return this.aggregate([
+    { $match: { ...match, createdAt: { $gte: startDate, $lte: endDate } } },
+    {
+      $group: {
+        _id: { date: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } } },
+        count: { $sum: 1 },
+        resolved: { $sum: { $cond: [{ $eq: ['$status', 'Resolved'] }, 1, 0] } },
+        rtoInitiated: { $sum: { $cond: [{ $in: ['$status', ['RTO Initiated', 'RTO Completed']] }, 1, 0] } }
+      }
+    },
+    { $sort: { '_id.date': 1 } }
+  ]);
+};
+
+export default mongoose.model('NDR', ndrSchema);
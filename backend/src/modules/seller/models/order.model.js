@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { describeItems } from '../../../utils/orderItems.js';
 
 const addressSchema = new mongoose.Schema({
   street: String,
@@ -21,13 +22,14 @@ const dimensionsSchema = new mongoose.Schema({
   height: Number
 }, { _id: false });
 
-const productSchema = new mongoose.Schema({
-  name: String,
-  sku: String,
-  quantity: Number,
-  price: Number,
-  weight: String,
-  dimensions: dimensionsSchema
+// One line per SKU ordered; price and weight are per unit (see utils/orderItems.js)
+const orderItemSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  sku: { type: String, required: true },
+  quantity: { type: Number, required: true, min: 1 },
+  price: { type: Number, required: true, min: 0 },
+  hsn: String,
+  weight: { type: Number, min: 0 }
 }, { _id: false });
 
 const paymentSchema = new mongoose.Schema({
@@ -58,7 +60,23 @@ const orderSchema = new mongoose.Schema({
     index: true
   },
   customer: customerSchema,
-  product: productSchema,
+  items: {
+    type: [orderItemSchema],
+    validate: [items => items.length > 0, 'An order needs at least one item']
+  },
+  // Package the items ship in
+  dimensions: dimensionsSchema,
+  // Warehouse the order ships from, the nearest one holding its items (see utils/warehouses.js)
+  fulfilment: {
+    store: { type: mongoose.Schema.Types.ObjectId, ref: 'Store' },
+    zone: String,
+    inStock: Boolean
+  },
+  // Where the items' stock stands: held for the order, taken out on shipment, or given back
+  stockStatus: {
+    type: String,
+    enum: ['Reserved', 'Deducted', 'Released']
+  },
   payment: paymentSchema,
   status: { 
     type: String, 
@@ -108,6 +126,7 @@ orderSchema.index({ seller: 1, status: 1 });
 orderSchema.index({ seller: 1, orderDate: -1 });
 orderSchema.index({ seller: 1, channel: 1, status: 1 });
 orderSchema.index({ createdAt: -1 });
+orderSchema.index({ seller: 1, 'items.sku': 1 });
 
 // Filter out cancelled orders by default
 orderSchema.pre(/^find/, function(next) {
@@ -162,7 +181,8 @@ orderSchema.methods.getOrderSummary = function() {
     orderId: this.orderId,
     status: this.status,
     customer: this.customer.name,
-    product: this.product.name,
+    items: describeItems(this.items),
+    itemCount: this.items.length,
     amount: this.payment.total,
     orderDate: this.orderDate,
     awb: this.awb,
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+export const PICKUP_STATUSES = ['Scheduled', 'Rescheduled', 'Picked', 'Missed'];
+
+const pickupHistorySchema = new mongoose.Schema({
+  status: String,
+  pickupDate: String,
+  slot: String,
+  courierPickupId: String,
+  remarks: String,
+  source: String,
+  timestamp: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Courier pickup requested for a warehouse (Store) covering a set of shipments (see utils/pickups.js)
+const pickupSchema = new mongoose.Schema({
+  seller: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', required: true, index: true },
+  pickupNumber: { type: String, required: true, unique: true },
+  store: { type: mongoose.Schema.Types.ObjectId, ref: 'Store', required: true },
+  courier: { type: String, required: true },
+  shipments: [{ type: mongoose.Schema.Types.ObjectId, ref: 'SellerShipment' }],
+  awbs: [String],
+  packageCount: { type: Number, default: 0 },
+  // IST day (YYYY-MM-DD) and slot (HH:mm-HH:mm)
+  pickupDate: { type: String, required: true },
+  slot: { type: String, required: true },
+  slotEndsAt: Date,
+  status: { type: String, enum: PICKUP_STATUSES, default: 'Scheduled', index: true },
+  courierPickupId: String,
+  // false when the courier has no pickup API and the pickup is arranged outside the platform
+  courierScheduled: { type: Boolean, default: false },
+  rescheduleCount: { type: Number, default: 0 },
+  pickedAt: Date,
+  missedAt: Date,
+  escalation: { type: mongoose.Schema.Types.ObjectId, ref: 'PickupEscalation' },
+  history: [pickupHistorySchema],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Used by the pickup monitor to find pickups whose slot has passed
+pickupSchema.index({ status: 1, slotEndsAt: 1 });
+pickupSchema.index({ seller: 1, createdAt: -1 });
+
+export default mongoose.model('Pickup', pickupSchema);
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+// Bulk label / pickup manifest document generated in the background (see utils/printJobs.js)
+const printJobSchema = new mongoose.Schema({
+  seller: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', required: true, index: true },
+  type: { type: String, enum: ['labels', 'manifest'], required: true },
+  status: { type: String, enum: ['queued', 'processing', 'completed', 'failed'], default: 'queued', index: true },
+  format: { type: String, enum: ['PDF', 'ZPL'], default: 'PDF' },
+  labelSize: String,
+  shipments: [{ type: mongoose.Schema.Types.ObjectId, ref: 'SellerShipment' }],
+  total: { type: Number, default: 0 },
+  manifestNumber: String,
+  filename: String,
+  contentType: String,
+  fileUrl: String,
+  size: Number,
+  error: String,
+  startedAt: Date,
+  completedAt: Date,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+printJobSchema.index({ seller: 1, createdAt: -1 });
+
+export default mongoose.model('PrintJob', printJobSchema);
@@ -58,6 +58,11 @@ const productSchema = new mongoose.Schema({
     required: true,
     default: 0
   },
+  // Units held for open orders that have not shipped yet (see utils/inventory.js)
+  reservedStock: {
+    type: Number,
+    default: 0
+  },
   images: [String],
   inventory: inventorySchema,
   variants: [variantSchema],
@@ -95,12 +100,17 @@ productSchema.pre('save', function(next) {
   next();
 });
 
+// Stock that can still be sold: on hand less what open orders hold
+productSchema.virtual('availableStock').get(function() {
+  return this.stock - (this.reservedStock || 0);
+});
+
 // Helper method to check if product is low in stock
 productSchema.methods.isLowStock = function() {
   if (this.inventory && this.inventory.lowStockThreshold) {
-    return this.stock <= this.inventory.lowStockThreshold;
+    return this.availableStock <= this.inventory.lowStockThreshold;
   }
-  return this.stock <= 5; // Default threshold
+  return this.availableStock <= 5; // Default threshold
 };
 
 // Helper method to safely update product
@@ -1,11 +1,2 @@
-import mongoose from 'mongoose';
-
-const rateCardSchema = new mongoose.Schema({
-  name: { type: String, required: true },
-  description: { type: String },
-  rates: { type: Object, required: true }, // JSON structure matching the default rate card
-  createdAt: { type: Date, default: Date.now },
-  updatedAt: { type: Date, default: Date.now }
-});
-
-export default mongoose.model('RateCard', rateCardSchema); 
\ No newline at end of file
+// Seller rate cards are seller-scoped versions of the shared rate card model
+export { default } from '../../admin/models/rateCard.model.js';
@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+
+export const RETURN_STATUSES = [
+  'Requested',
+  'Rejected',
+  'Pickup Scheduled',
+  'In Transit',
+  'Received',
+  'QC Passed',
+  'QC Failed',
+  'Cancelled'
+];
+
+export const RETURN_REASONS = [
+  'Damaged',
+  'Defective',
+  'Wrong Item',
+  'Size or Fit Issue',
+  'Not as Described',
+  'No Longer Needed',
+  'Other'
+];
+
+const photoSchema = new mongoose.Schema({
+  url: String,
+  name: String,
+  type: String,
+  size: Number,
+  uploadedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const addressSchema = new mongoose.Schema({
+  name: String,
+  phone: String,
+  street: String,
+  city: String,
+  state: String,
+  pincode: String
+}, { _id: false });
+
+const historySchema = new mongoose.Schema({
+  status: String,
+  remarks: String,
+  source: String,
+  timestamp: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Customer return of a delivered seller order, collected by a reverse pickup (see utils/returns.js)
+const returnRequestSchema = new mongoose.Schema({
+  seller: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', required: true, index: true },
+  returnNumber: { type: String, required: true, unique: true },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'SellerOrder', required: true, index: true },
+  orderNumber: String,
+  forwardShipment: { type: mongoose.Schema.Types.ObjectId, ref: 'SellerShipment' },
+  raisedBy: {
+    type: { type: String, enum: ['Seller', 'Customer'], required: true },
+    id: mongoose.Schema.Types.ObjectId,
+    name: String
+  },
+  reason: { type: String, enum: RETURN_REASONS, required: true },
+  comments: String,
+  photos: [photoSchema],
+  item: {
+    name: String,
+    sku: String,
+    quantity: Number,
+    price: Number,
+    weight: Number
+  },
+  pickupAddress: addressSchema,
+  status: { type: String, enum: RETURN_STATUSES, default: 'Requested', index: true },
+  rejectionReason: String,
+  // Reverse pickup booked with the courier
+  reverseShipment: { type: mongoose.Schema.Types.ObjectId, ref: 'SellerShipment' },
+  courier: String,
+  awb: String,
+  courierPickupId: String,
+  qc: {
+    result: { type: String, enum: ['Passed', 'Failed'] },
+    remarks: String,
+    photos: [photoSchema],
+    checkedAt: Date
+  },
+  refund: {
+    amount: Number,
+    status: { type: String, enum: ['Not Applicable', 'Pending', 'Processed'] },
+    reference: String,
+    processedAt: Date
+  },
+  restockedQuantity: { type: Number, default: 0 },
+  history: [historySchema],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+returnRequestSchema.index({ seller: 1, createdAt: -1 });
+returnRequestSchema.index({ 'raisedBy.id': 1, createdAt: -1 });
+
+export default mongoose.model('ReturnRequest', returnRequestSchema);
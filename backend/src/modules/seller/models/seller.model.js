@@ -41,7 +41,12 @@ const sellerSchema = new mongoose.Schema({
   lastActive: { type: Date, default: Date.now, index: true },
   refreshToken: { type: String, select: false },
   walletBalance: { type: String, default: '0' },
+  // Part of the balance held for bookings in progress (see utils/sellerWallet.js)
+  walletHeld: { type: String, default: '0' },
+  // How far bookings may take the wallet below zero
+  creditLimit: { type: String, default: '0' },
   rateCard: { type: mongoose.Schema.Types.ObjectId, ref: 'RateCard', default: null },
+  rateBand: { type: String, trim: true, default: null },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
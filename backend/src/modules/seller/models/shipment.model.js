@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { SHIPMENT_STATUS, SHIPMENT_STATUSES } from '../../../utils/shipmentStatus.js';
 
 const dimensionsSchema = new mongoose.Schema({
   length: Number,
@@ -8,26 +9,93 @@ const dimensionsSchema = new mongoose.Schema({
 
 const trackingEventSchema = new mongoose.Schema({
   status: String,
+  rawStatus: String,
+  statusCode: String,
   location: String,
   timestamp: { type: Date, default: Date.now },
   description: String
 }, { _id: false });
 
+const pickupAddressSchema = new mongoose.Schema({
+  name: String,
+  phone: String,
+  street: String,
+  city: String,
+  state: String,
+  pincode: String
+}, { _id: false });
+
+// One box of a multi-piece shipment, tracked under its own child AWB and rolled up to the master
+const pieceSchema = new mongoose.Schema({
+  number: Number,
+  awb: String,
+  weight: Number,
+  dimensions: dimensionsSchema,
+  status: { type: String, enum: SHIPMENT_STATUSES, default: SHIPMENT_STATUS.BOOKED },
+  lastEventAt: Date
+}, { _id: false });
+
+// Expected delivery date predicted at booking (see utils/edd.js)
+const eddSchema = new mongoose.Schema({
+  date: String,
+  earliest: String,
+  latest: String,
+  pickupDate: String,
+  zone: String,
+  mode: String,
+  baseTransitDays: Number,
+  adjustmentDays: Number,
+  transitDays: Number,
+  confidence: String,
+  predictedAt: Date
+}, { _id: false });
+
+// Set when the shipment is cancelled (see utils/shipmentCancellation.js)
+const cancellationSchema = new mongoose.Schema({
+  reason: String,
+  source: String,
+  cancelledAt: Date,
+  courierVoided: Boolean,
+  courierReference: String,
+  refundAmount: String,
+  refundTransaction: { type: mongoose.Schema.Types.ObjectId, ref: 'WalletTransaction' }
+}, { _id: false });
+
 const shipmentSchema = new mongoose.Schema({
   seller: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', required: true },
   orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'SellerOrder', required: true },
+  // Reverse shipments collect a customer return back to the seller (see utils/returns.js)
+  direction: { type: String, enum: ['forward', 'reverse'], default: 'forward' },
+  returnRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'ReturnRequest' },
   awb: { type: String, required: true, unique: true },
   courier: String,
-  status: { type: String, enum: ['Booked', 'In-transit', 'Delivered', 'Pending Pickup', 'Cancelled', 'Exception'], default: 'Booked' },
+  // Courier sort / routing code printed on the label
+  routingCode: String,
+  pickupAddress: pickupAddressSchema,
+  // Courier pickup the shipment is scheduled on (see utils/pickups.js)
+  pickupRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'Pickup' },
+  status: { type: String, enum: SHIPMENT_STATUSES, default: SHIPMENT_STATUS.BOOKED },
   pickupDate: Date,
   deliveryDate: Date,
   weight: String,
   dimensions: dimensionsSchema,
+  // Boxes of a multi-piece shipment; `awb` is then the master AWB and weight the total
+  pieces: [pieceSchema],
+  chargeableWeight: Number,
   shippingCharge: String,
   trackingHistory: [trackingEventSchema],
+  edd: eddSchema,
+  cancellation: cancellationSchema,
+  lastTrackedAt: Date,
+  nextTrackingAt: Date,
   channel: { type: String, enum: ['MANUAL', 'EXCEL', 'SHOPIFY', 'WOOCOMMERCE', 'AMAZON', 'FLIPKART', 'OPENCART', 'API'], default: 'MANUAL' },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
+// Used by the tracking poller to find due in-flight shipments
+shipmentSchema.index({ status: 1, nextTrackingAt: 1 });
+// Child AWBs of multi-piece shipments
+shipmentSchema.index({ 'pieces.awb': 1 }, { sparse: true });
+
 export default mongoose.model('SellerShipment', shipmentSchema); 
\ No newline at end of file
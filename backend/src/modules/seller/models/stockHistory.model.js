@@ -1,10 +1,19 @@
 import mongoose from 'mongoose';
 
+// Why a cycle count or manual adjustment changed the stock
+export const ADJUSTMENT_REASONS = ['Cycle Count', 'Damaged', 'Lost', 'Found', 'Expired', 'Other'];
+
 const stockHistorySchema = new mongoose.Schema({
   item: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'WarehouseItem',
-    required: true
+    ref: 'WarehouseItem'
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  sku: {
+    type: String
   },
   seller: {
     type: mongoose.Schema.Types.ObjectId,
@@ -15,21 +24,47 @@ const stockHistorySchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  store: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store'
+  },
   location: {
     type: String
   },
   notes: {
     type: String
   },
+  // add / remove change the stock on hand, reserve / release what open orders hold,
+  // transfer_out / transfer_in move it between warehouses and adjustment records a count
   type: {
     type: String,
-    enum: ['add', 'remove'],
+    enum: ['add', 'remove', 'reserve', 'release', 'transfer_out', 'transfer_in', 'adjustment'],
     required: true
   },
+  reason: {
+    type: String,
+    enum: ADJUSTMENT_REASONS
+  },
+  transfer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockTransfer'
+  },
+  // Order or return the movement was made for
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SellerOrder'
+  },
+  reference: {
+    type: String
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+stockHistorySchema.index({ seller: 1, sku: 1, createdAt: -1 });
+stockHistorySchema.index({ order: 1 });
+stockHistorySchema.index({ seller: 1, store: 1, createdAt: -1 });
+
 export default mongoose.model('StockHistory', stockHistorySchema); 
\ No newline at end of file
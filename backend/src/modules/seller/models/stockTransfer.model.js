@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+export const TRANSFER_STATUSES = ['In Transit', 'Received', 'Cancelled'];
+
+const transferItemSchema = new mongoose.Schema({
+  sku: { type: String, required: true },
+  name: String,
+  quantity: { type: Number, required: true, min: 1 },
+  receivedQuantity: Number
+}, { _id: false });
+
+const historySchema = new mongoose.Schema({
+  status: String,
+  remarks: String,
+  timestamp: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Stock sent from one of a seller's warehouses to another (see utils/warehouses.js)
+const stockTransferSchema = new mongoose.Schema({
+  seller: { type: mongoose.Schema.Types.ObjectId, ref: 'Seller', required: true, index: true },
+  transferNumber: { type: String, required: true, unique: true },
+  fromStore: { type: mongoose.Schema.Types.ObjectId, ref: 'Store', required: true },
+  toStore: { type: mongoose.Schema.Types.ObjectId, ref: 'Store', required: true },
+  items: [transferItemSchema],
+  status: { type: String, enum: TRANSFER_STATUSES, default: 'In Transit', index: true },
+  notes: String,
+  dispatchedAt: { type: Date, default: Date.now },
+  receivedAt: Date,
+  history: [historySchema],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+stockTransferSchema.index({ seller: 1, createdAt: -1 });
+
+export default mongoose.model('StockTransfer', stockTransferSchema);
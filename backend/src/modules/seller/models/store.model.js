@@ -35,6 +35,12 @@ const storeSchema = new mongoose.Schema({
   email: {
     type: String
   },
+  // Orders booked after this time (IST, HH:mm) are picked up the next working day
+  pickupCutoff: {
+    type: String,
+    default: '14:00',
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Pickup cut-off must be HH:mm']
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -12,6 +12,8 @@ const walletTransactionSchema = new mongoose.Schema({
   subTotal: { type: String, default: '0' },
   closingBalance: { type: String, default: '0' },
   remark: { type: String },
+  // What the posting was for (e.g. shipmentId, weightDisputeId); mirrored on its Ledger entry
+  metadata: { type: Map, of: mongoose.Schema.Types.Mixed },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
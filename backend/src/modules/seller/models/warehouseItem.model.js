@@ -15,14 +15,34 @@ const warehouseItemSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Warehouse (seller store) the stock is held at
+  store: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    index: true
+  },
   quantity: {
     type: Number,
     required: true,
     default: 0
   },
+  // Units held here for open orders fulfilled from this warehouse
+  reservedQuantity: {
+    type: Number,
+    default: 0
+  },
+  // Units on their way here from another warehouse (see StockTransfer)
+  inTransitQuantity: {
+    type: Number,
+    default: 0
+  },
+  // Store name, kept for items created before stock was held per store
   location: {
     type: String
   },
+  lastCountedAt: {
+    type: Date
+  },
   status: {
     type: String,
     enum: ['In Stock', 'Low Stock', 'Out of Stock'],
@@ -37,4 +57,6 @@ const warehouseItemSchema = new mongoose.Schema({
   timestamps: true
 });
 
+warehouseItemSchema.index({ seller: 1, sku: 1, store: 1 });
+
 export default mongoose.model('WarehouseItem', warehouseItemSchema); 
\ No newline at end of file
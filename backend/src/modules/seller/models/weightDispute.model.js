@@ -1,5 +1,33 @@
 import mongoose from 'mongoose';
 
+export const WEIGHT_DISPUTE_STATUSES = ['Action Required', 'Open Dispute', 'Closed Dispute', 'Closed Resolved'];
+// How a dispute was closed: the courier's weight stood (Accepted, Auto Accepted, Rejected)
+// or was revised in the seller's favour (Upheld, Partially Upheld)
+export const WEIGHT_DISPUTE_RESOLUTIONS = ['Accepted', 'Auto Accepted', 'Rejected', 'Upheld', 'Partially Upheld'];
+export const WEIGHT_DISPUTE_SETTLEMENT_STATUSES = ['Pending', 'Processing', 'Settled', 'Not Required', 'Failed'];
+
+// Who made a change: the seller or admin user, or the system
+const actorSchema = new mongoose.Schema({
+  id: mongoose.Schema.Types.ObjectId,
+  name: String,
+  role: String
+}, { _id: false });
+
+const historySchema = new mongoose.Schema({
+  status: String,
+  remarks: String,
+  source: { type: String, enum: ['Seller', 'Admin', 'System'] },
+  updatedBy: actorSchema,
+  timestamp: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Freight on the seller's rate card at a weight (GST included)
+const chargeSchema = new mongoose.Schema({
+  weight: Number,
+  total: Number,
+  gst: Number
+}, { _id: false });
+
 const weightDisputeSchema = new mongoose.Schema({
   shipment: {
     type: mongoose.Schema.Types.ObjectId,
@@ -25,7 +53,7 @@ const weightDisputeSchema = new mongoose.Schema({
     required: true // charged weight
   },
   revised: {
-    type: Number
+    type: Number // weight settled on after a partial decision
   },
   difference: {
     type: Number,
@@ -43,7 +71,7 @@ const weightDisputeSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['Action Required', 'Open Dispute', 'Closed Dispute', 'Closed Resolved'],
+    enum: WEIGHT_DISPUTE_STATUSES,
     default: 'Action Required',
     index: true
   },
@@ -54,9 +82,60 @@ const weightDisputeSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Seller',
     required: true
-  }
+  },
+  // Courier's measurements from the imported file
+  courierDimensions: {
+    length: Number,
+    width: Number,
+    height: Number
+  },
+  courierRemarks: String,
+  importedFrom: String,
+  importedBy: actorSchema,
+  // Freight at the declared and the courier's weight (see utils/weightDisputes.js)
+  charges: {
+    given: chargeSchema,
+    applied: chargeSchema
+  },
+  // The seller must accept or dispute by then; after it the dispute is accepted for them
+  slaDueAt: { type: Date, index: true },
+  evidence: {
+    photos: [{ url: String, name: String, type: { type: String }, size: Number }],
+    dimensions: {
+      length: Number,
+      width: Number,
+      height: Number
+    },
+    weight: Number, // what the seller measured
+    submittedAt: Date
+  },
+  resolution: { type: String, enum: WEIGHT_DISPUTE_RESOLUTIONS },
+  finalWeight: Number,
+  decision: {
+    remarks: String,
+    decidedBy: actorSchema,
+    decidedAt: Date
+  },
+  // Wallet posting for the difference between the final and the declared weight
+  settlement: {
+    status: { type: String, enum: WEIGHT_DISPUTE_SETTLEMENT_STATUSES },
+    type: { type: String, enum: ['Debit', 'Credit'] },
+    amount: Number,
+    gst: Number,
+    walletTransaction: { type: mongoose.Schema.Types.ObjectId, ref: 'WalletTransaction' },
+    ledger: { type: mongoose.Schema.Types.ObjectId, ref: 'Ledger' },
+    attempts: { type: Number, default: 0 },
+    claimedAt: Date, // when the current attempt started
+    lastError: String,
+    settledAt: Date
+  },
+  history: [historySchema]
 }, {
   timestamps: true
 });
 
-export default mongoose.model('WeightDispute', weightDisputeSchema); 
\ No newline at end of file
+weightDisputeSchema.index({ seller: 1, status: 1, createdAt: -1 });
+weightDisputeSchema.index({ shipment: 1 });
+weightDisputeSchema.index({ 'settlement.status': 1 });
+
+export default mongoose.model('WeightDispute', weightDisputeSchema);
@@ -3,6 +3,18 @@ import { protect } from '../../../middleware/auth.js';
 import { validationHandler } from '../../../middleware/validator.js';
 import { courierSettingSchema } from '../validators/courierSetting.validator.js';
 import { listCourierSettings, addOrUpdateCourierSetting, getCourierSetting, deleteCourierSetting } from '../controllers/courierSetting.controller.js';
+import {
+  listAllocationRules,
+  createAllocationRule,
+  updateAllocationRule,
+  deleteAllocationRule,
+  reorderAllocationRules
+} from '../controllers/allocationRule.controller.js';
+import {
+  validateCreateAllocationRule,
+  validateUpdateAllocationRule,
+  validateReorderAllocationRules
+} from '../validators/allocationRule.validator.js';
 
 const router = express.Router();
 
@@ -17,4 +29,15 @@ router.get('/courier-settings/:id', getCourierSetting);
 // Delete courier setting
 router.delete('/courier-settings/:id', deleteCourierSetting);
 
+// List courier allocation rules
+router.get('/allocation-rules', listAllocationRules);
+// Create courier allocation rule
+router.post('/allocation-rules', validateCreateAllocationRule, createAllocationRule);
+// Reorder courier allocation rules
+router.put('/allocation-rules/reorder', validateReorderAllocationRules, reorderAllocationRules);
+// Update courier allocation rule
+router.patch('/allocation-rules/:id', validateUpdateAllocationRule, updateAllocationRule);
+// Delete courier allocation rule
+router.delete('/allocation-rules/:id', deleteAllocationRule);
+
 export default router; 
@@ -1,7 +1,7 @@
 import express from 'express';
-import { listNDRs, getNDR, updateNDRStatus, createNDR } from '../controllers/ndr.controller.js';
+import { listNDRs, getNDR, updateNDRStatus, requestAction, createNDR } from '../controllers/ndr.controller.js';
 import { protect } from '../../../middleware/auth.js';
-import { validateCreateNDR, validateUpdateNDRStatus } from '../validators/ndr.validator.js';
+import { validateCreateNDR, validateUpdateNDRStatus, validateNDRAction } from '../validators/ndr.validator.js';
 
 const router = express.Router();
 
@@ -16,6 +16,9 @@ router.get('/:id', getNDR);
 // Update NDR status
 router.put('/:id/status', validateUpdateNDRStatus, updateNDRStatus);
 
+// Request a courier action (re-attempt, address/phone change, RTO)
+router.post('/:id/actions', validateNDRAction, requestAction);
+
 // Create NDR (manual/testing)
 router.post('/', validateCreateNDR, createNDR);
 
@@ -3,6 +3,7 @@ import {
   createOrder,
   getOrders,
   getOrder,
+  getOrderInvoice,
   updateOrderStatus,
   cancelOrder,
   getOrderStats,
@@ -37,6 +38,7 @@ router.post('/bulk-status', validateBulkOrderStatus, bulkUpdateStatus);
 
 // Individual order routes
 router.get('/:id', getOrder);
+router.get('/:id/invoice', getOrderInvoice);
 router.patch('/:id/status', validateOrderStatus, updateOrderStatus);
 router.post('/:id/cancel', cancelOrder);
 
@@ -0,0 +1,41 @@
+import express from 'express';
+import {
+  getPickupSlotOptions,
+  createPickup,
+  listPickups,
+  getPickup,
+  reschedulePickupRequest,
+  updatePickupStatus
+} from '../controllers/pickup.controller.js';
+import { protect } from '../../../middleware/auth.js';
+import {
+  validatePickupSlots,
+  validateSchedulePickup,
+  validateReschedulePickup,
+  validateUpdatePickupStatus,
+  validateListPickups
+} from '../validators/pickup.validator.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+// Pickup slots of a day for a courier
+router.get('/slots', validatePickupSlots, getPickupSlotOptions);
+
+// Schedule a pickup for a warehouse and courier
+router.post('/', validateSchedulePickup, createPickup);
+
+// List pickups
+router.get('/', validateListPickups, listPickups);
+
+// Pickup details with its shipments
+router.get('/:id', getPickup);
+
+// Move a pickup to another day or slot
+router.post('/:id/reschedule', validateReschedulePickup, reschedulePickupRequest);
+
+// Mark a pickup as picked or missed
+router.patch('/:id/status', validateUpdatePickupStatus, updatePickupStatus);
+
+export default router;
@@ -0,0 +1,48 @@
+import express from 'express';
+import {
+  createReturn,
+  listReturns,
+  getReturn,
+  approveReturn,
+  rejectReturn,
+  recordQc,
+  processReturnRefund
+} from '../controllers/return.controller.js';
+import { protect } from '../../../middleware/auth.js';
+import { upload } from '../../../middleware/fileUpload.js';
+import { RETURN_CONFIG } from '../../../utils/returns.js';
+import {
+  validateCreateReturn,
+  validateApproveReturn,
+  validateRejectReturn,
+  validateReturnQc,
+  validateReturnRefund,
+  validateListReturns
+} from '../validators/return.validator.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+// Raise a return (with photos) and book its reverse pickup
+router.post('/', upload.array('photos', RETURN_CONFIG.maxPhotos), validateCreateReturn, createReturn);
+
+// List returns
+router.get('/', validateListReturns, listReturns);
+
+// Return details
+router.get('/:id', getReturn);
+
+// Approve a customer's return and book the reverse pickup
+router.post('/:id/approve', validateApproveReturn, approveReturn);
+
+// Reject a customer's return
+router.post('/:id/reject', validateRejectReturn, rejectReturn);
+
+// Record the QC outcome (with photos)
+router.post('/:id/qc', upload.array('photos', RETURN_CONFIG.maxPhotos), validateReturnQc, recordQc);
+
+// Record the refund as paid
+router.post('/:id/refund', validateReturnRefund, processReturnRefund);
+
+export default router;
@@ -11,7 +11,16 @@ import {
   handleReturn,
   getShippingRates,
   bookCourierShipment,
-  trackShipmentStatus
+  bulkBookCourierShipments,
+  allocateShipmentCourier,
+  trackShipmentStatus,
+  getShipmentLabel,
+  printBulkLabels,
+  printPickupManifest,
+  getPrintJobs,
+  getPrintJob,
+  downloadPrintJob,
+  cancelShipment
 } from '../controllers/shipment.controller.js';
 import { protect } from '../../../middleware/auth.js';
 import {
@@ -21,7 +30,13 @@ import {
   validateAddTrackingEvent,
   validateHandleReturn,
   validateShippingRates,
-  validateCourierBooking
+  validateCourierBooking,
+  validateBulkCourierBooking,
+  validateAllocateCourier,
+  validateShipmentLabel,
+  validateBulkLabels,
+  validatePickupManifest,
+  validateCancelShipment
 } from '../validators/shipment.validator.js';
 
 const router = express.Router();
@@ -32,9 +47,15 @@ router.use(protect);
 // Shipping rates API
 router.post('/rates', validateShippingRates, getShippingRates);
 
+// Rank couriers using the seller's allocation rules
+router.post('/allocate', validateAllocateCourier, allocateShipmentCourier);
+
 // Book shipment with courier API
 router.post('/book', validateCourierBooking, bookCourierShipment);
 
+// Book many orders with courier APIs
+router.post('/book/bulk', validateBulkCourierBooking, bulkBookCourierShipments);
+
 // Create a shipment manually
 router.post('/', validateCreateShipment, createShipment);
 
@@ -47,9 +68,23 @@ router.get('/', getShipments);
 // Export manifest
 router.get('/manifest', getManifest);
 
+// Print labels of many shipments as one document
+router.post('/labels/bulk', validateBulkLabels, printBulkLabels);
+
+// Print the pickup manifest (PDF, one section per courier)
+router.post('/manifest/pickup', validatePickupManifest, printPickupManifest);
+
+// Background print jobs
+router.get('/print-jobs', getPrintJobs);
+router.get('/print-jobs/:jobId', getPrintJob);
+router.get('/print-jobs/:jobId/download', downloadPrintJob);
+
 // Get shipment details
 router.get('/:id', getShipment);
 
+// Download the shipping label (PDF, PNG or ZPL)
+router.get('/:id/label', validateShipmentLabel, getShipmentLabel);
+
 // Track shipment with courier API
 router.get('/:id/track', trackShipmentStatus);
 
@@ -62,6 +97,9 @@ router.post('/:id/tracking', validateAddTrackingEvent, addTrackingEvent);
 // Get tracking history
 router.get('/:id/tracking', getTrackingHistory);
 
+// Cancel with the courier and refund the shipping charge
+router.post('/:id/cancel', validateCancelShipment, cancelShipment);
+
 // Handle return/NDR
 router.post('/:id/return', validateHandleReturn, handleReturn);
 
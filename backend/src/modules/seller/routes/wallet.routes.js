@@ -1,5 +1,5 @@
 import express from 'express';
-import { listWalletTransactions, getWalletTransaction, exportWalletTransactions, initiateRecharge, verifyRecharge, creditCODToWallet, creditToWallet } from '../controllers/wallet.controller.js';
+import { listWalletTransactions, getWalletBalance, getWalletTransaction, exportWalletTransactions, initiateRecharge, verifyRecharge, creditCODToWallet, creditToWallet } from '../controllers/wallet.controller.js';
 import { protect } from '../../../middleware/auth.js';
 
 const router = express.Router();
@@ -9,6 +9,9 @@ router.use(protect);
 // List wallet transactions
 router.get('/', listWalletTransactions);
 
+// Wallet balance, held funds and credit limit
+router.get('/balance', getWalletBalance);
+
 // Get wallet transaction details
 router.get('/:id', getWalletTransaction);
 
@@ -1,8 +1,25 @@
 import express from 'express';
 import { protect } from '../../../middleware/auth.js';
-import { validationHandler } from '../../../middleware/validator.js';
-import { addStockSchema } from '../validators/warehouse.validator.js';
-import { listWarehouseItems, addStockToItem } from '../controllers/warehouse.controller.js';
+import {
+  validateCreateItem,
+  validateAddStock,
+  validateCycleCount,
+  validateCreateTransfer,
+  validateReceiveTransfer,
+  validateCancelTransfer,
+  validateListTransfers
+} from '../validators/warehouse.validator.js';
+import {
+  listWarehouseItems,
+  createWarehouseItem,
+  addStockToItem,
+  countWarehouseItem,
+  createTransfer,
+  listTransfers,
+  getTransfer,
+  receiveTransfer,
+  cancelTransfer
+} from '../controllers/warehouse.controller.js';
 
 const router = express.Router();
 
@@ -10,7 +27,18 @@ router.use(protect);
 
 // List warehouse items
 router.get('/items', listWarehouseItems);
+// Start stocking a SKU at a warehouse
+router.post('/items', validateCreateItem, createWarehouseItem);
 // Add stock to item
-router.post('/items/:itemId/stock', validationHandler(addStockSchema), addStockToItem);
+router.post('/items/:itemId/stock', validateAddStock, addStockToItem);
+// Record a cycle count
+router.post('/items/:itemId/count', validateCycleCount, countWarehouseItem);
 
-export default router; 
+// Stock transfers between warehouses
+router.post('/transfers', validateCreateTransfer, createTransfer);
+router.get('/transfers', validateListTransfers, listTransfers);
+router.get('/transfers/:id', getTransfer);
+router.post('/transfers/:id/receive', validateReceiveTransfer, receiveTransfer);
+router.post('/transfers/:id/cancel', validateCancelTransfer, cancelTransfer);
+
+export default router;
@@ -1,20 +1,19 @@
 import express from 'express';
-import multer from 'multer';
 import { protect } from '../../../middleware/auth.js';
-import { validationHandler } from '../../../middleware/validator.js';
+import { upload } from '../../../middleware/fileUpload.js';
+import { WEIGHT_DISPUTE_CONFIG } from '../../../utils/weightDisputes.js';
 import {
-  updateWeightDisputeSchema,
-  uploadWeightDisputeFileSchema
+  validateAcceptWeightDispute,
+  validateRaiseWeightDispute
 } from '../validators/weightDispute.validator.js';
 import {
   listWeightDisputes,
   getWeightDisputeDetails,
-  updateWeightDispute,
-  uploadWeightDisputeFile
+  acceptDispute,
+  raiseDispute
 } from '../controllers/weightDispute.controller.js';
 
 const router = express.Router();
-const upload = multer();
 
 router.use(protect);
 
@@ -22,9 +21,9 @@ router.use(protect);
 router.get('/', listWeightDisputes);
 // Get dispute details
 router.get('/:awbNumber', getWeightDisputeDetails);
-// Update dispute
-router.put('/:awbNumber', validationHandler(updateWeightDisputeSchema), updateWeightDispute);
-// Upload disputes (Excel)
-router.post('/upload', upload.single('file'), validationHandler(uploadWeightDisputeFileSchema), uploadWeightDisputeFile);
+// Accept the courier's weight
+router.post('/:awbNumber/accept', validateAcceptWeightDispute, acceptDispute);
+// Dispute the courier's weight (photos and measurements)
+router.post('/:awbNumber/dispute', upload.array('photos', WEIGHT_DISPUTE_CONFIG.maxPhotos), validateRaiseWeightDispute, raiseDispute);
 
-export default router; 
+export default router;
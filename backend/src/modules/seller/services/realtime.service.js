@@ -161,7 +161,10 @@ export const getSellerDashboard = async (sellerId) => {
             lowStockProducts: [
               { $match: {
                 $expr: {
-                  $lte: ['$stock', { $ifNull: ['$inventory.lowStockThreshold', 5] }]
+                  $lte: [
+                    { $subtract: ['$stock', { $ifNull: ['$reservedStock', 0] }] },
+                    { $ifNull: ['$inventory.lowStockThreshold', 5] }
+                  ]
                 } 
               }},
               { $count: 'count' }
@@ -466,11 +469,35 @@ export const broadcastSellerUpdate = async (sellerId, section, data = null) => {
   }
 };
 
+/**
+ * Alert a seller that a product's available stock has fallen to its low stock threshold
+ * @param {string} sellerId - Seller ID
+ * @param {Object} alert - { productId, sku, name, stock, reserved, available, threshold, reorderPoint }
+ */
+export const sendLowStockAlert = async (sellerId, alert) => {
+  try {
+    const io = getIO();
+
+    io.to(`seller-${sellerId}`).emit('seller:inventory:low-stock', {
+      ...alert,
+      timestamp: new Date()
+    });
+
+    // Dashboard low stock counts are now stale
+    await invalidateSellerCache(sellerId, 'dashboard');
+
+    logger.info(`Low stock alert sent to seller ${sellerId} for ${alert.sku} (${alert.available} available)`);
+  } catch (error) {
+    logger.error(`Error sending low stock alert: ${error.message}`);
+  }
+};
+
 export default {
   getSellerProfile,
   getSellerDashboard,
   getSellerOrders,
   getSellerProducts,
   invalidateSellerCache,
-  broadcastSellerUpdate
+  broadcastSellerUpdate,
+  sendLowStockAlert
 }; 
\ No newline at end of file
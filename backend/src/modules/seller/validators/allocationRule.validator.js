@@ -0,0 +1,65 @@
+import Joi from 'joi';
+import { RATE_ZONES } from '../../admin/models/rateCard.model.js';
+import { ALLOCATION_STRATEGIES } from '../models/allocationRule.model.js';
+
+const conditionsSchema = Joi.object({
+  paymentMode: Joi.string().valid('COD', 'Prepaid').allow(null).optional(),
+  zones: Joi.array().items(Joi.string().valid(...RATE_ZONES)).optional(),
+  destinationStates: Joi.array().items(Joi.string()).optional(),
+  destinationPincodes: Joi.array().items(Joi.string().pattern(/^[0-9]{6}$/)).optional(),
+  minWeight: Joi.number().min(0).optional(),
+  maxWeight: Joi.number().min(0).optional(),
+  minOrderValue: Joi.number().min(0).optional(),
+  maxOrderValue: Joi.number().min(0).optional()
+});
+
+const actionSchema = Joi.object({
+  strategy: Joi.string().valid(...ALLOCATION_STRATEGIES).default('cheapest'),
+  couriers: Joi.array().items(Joi.string()).when('strategy', {
+    is: 'preferred',
+    then: Joi.array().min(1).required(),
+    otherwise: Joi.optional()
+  }).messages({
+    'any.required': 'Preferred couriers are required for the preferred strategy',
+    'array.min': 'Preferred couriers are required for the preferred strategy'
+  }),
+  excludeCouriers: Joi.array().items(Joi.string()).optional(),
+  minDeliverySuccess: Joi.number().min(0).max(100).optional(),
+  minPerformanceScore: Joi.number().min(0).max(100).optional()
+});
+
+export const createAllocationRuleSchema = Joi.object({
+  name: Joi.string().min(2).max(100).required(),
+  priority: Joi.number().integer().optional(),
+  conditions: conditionsSchema.default({}),
+  action: actionSchema.required(),
+  isActive: Joi.boolean().optional()
+});
+
+export const updateAllocationRuleSchema = Joi.object({
+  name: Joi.string().min(2).max(100).optional(),
+  priority: Joi.number().integer().optional(),
+  conditions: conditionsSchema.optional(),
+  action: actionSchema.optional(),
+  isActive: Joi.boolean().optional()
+}).min(1);
+
+export const reorderAllocationRulesSchema = Joi.object({
+  ruleIds: Joi.array().items(Joi.string()).min(1).required()
+});
+
+// Validation middleware function
+const validateRequest = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error: error.details[0].message });
+    }
+    req.body = value;
+    next();
+  };
+};
+
+export const validateCreateAllocationRule = validateRequest(createAllocationRuleSchema);
+export const validateUpdateAllocationRule = validateRequest(updateAllocationRuleSchema);
+export const validateReorderAllocationRules = validateRequest(reorderAllocationRulesSchema);
@@ -1,4 +1,6 @@
 import Joi from 'joi';
+import { SELLER_NDR_STATUSES } from '../../../utils/ndr.js';
+import { NDR_ACTION_TYPES } from '../../../utils/courierAdapter.js';
 
 export const createNDRSchema = Joi.object({
   orderId: Joi.string().required(),
@@ -20,10 +22,9 @@ export const createNDRSchema = Joi.object({
     }).required()
   }).required(),
   seller: Joi.object({
-    id: Joi.string().required(),
-    name: Joi.string().required(),
-    contact: Joi.string().required()
-  }).required(),
+    name: Joi.string(),
+    contact: Joi.string()
+  }),
   courier: Joi.object({
     name: Joi.string().required(),
     trackingUrl: Joi.string().uri().allow('', null)
@@ -38,7 +39,6 @@ export const createNDRSchema = Joi.object({
       agentRemarks: Joi.string().allow('', null)
     })
   ),
-  status: Joi.string().valid('Pending', 'In Progress', 'Resolved', 'RTO Initiated').default('Pending'),
   reason: Joi.string().allow('', null),
   recommendedAction: Joi.string().allow('', null),
   currentLocation: Joi.object({
@@ -57,13 +57,43 @@ export const createNDRSchema = Joi.object({
 });
 
 export const updateNDRStatusSchema = Joi.object({
-  status: Joi.string().valid('Pending', 'In Progress', 'Resolved', 'RTO Initiated').required(),
+  status: Joi.string().valid(...SELLER_NDR_STATUSES).required(),
   reason: Joi.string().allow('', null),
   recommendedAction: Joi.string().allow('', null),
   agentRemarks: Joi.string().allow('', null)
 });
 
-import { validationHandler as validateRequest } from '../../../middleware/validator.js';
+export const ndrActionSchema = Joi.object({
+  type: Joi.string().valid(...Object.values(NDR_ACTION_TYPES)).required(),
+  reattemptDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/)
+    .custom((value, helpers) => (value < new Date().toISOString().slice(0, 10) ? helpers.error('date.min') : value))
+    .messages({ 'date.min': 'Re-attempt date cannot be in the past', 'string.pattern.base': 'Re-attempt date must be YYYY-MM-DD' })
+    .when('type', { is: NDR_ACTION_TYPES.REATTEMPT, then: Joi.required() }),
+  address: Joi.object({
+    fullName: Joi.string().allow('', null),
+    addressLine1: Joi.string().required(),
+    addressLine2: Joi.string().allow('', null),
+    landmark: Joi.string().allow('', null),
+    pincode: Joi.string().pattern(/^\d{6}$/).required(),
+    city: Joi.string().required(),
+    state: Joi.string().required()
+  }).when('type', { is: NDR_ACTION_TYPES.CHANGE_ADDRESS, then: Joi.required(), otherwise: Joi.forbidden() }),
+  phone: Joi.string().pattern(/^\d{10}$/)
+    .when('type', { is: NDR_ACTION_TYPES.CHANGE_PHONE, then: Joi.required(), otherwise: Joi.forbidden() }),
+  remarks: Joi.string().max(500).allow('', null)
+});
+
+const validateRequest = (schema, property = 'body') => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req[property]);
+    if (error) {
+      return res.status(400).json({ success: false, error: error.details[0].message });
+    }
+    if (property === 'body') req.body = value;
+    next();
+  };
+};
 
 export const validateCreateNDR = validateRequest(createNDRSchema);
-export const validateUpdateNDRStatus = validateRequest(updateNDRStatusSchema); 
\ No newline at end of file
+export const validateUpdateNDRStatus = validateRequest(updateNDRStatusSchema);
+export const validateNDRAction = validateRequest(ndrActionSchema);
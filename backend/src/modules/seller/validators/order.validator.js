@@ -21,18 +21,22 @@ const dimensionsSchema = Joi.object({
   height: Joi.number().required()
 });
 
-const productSchema = Joi.object({
+// Price and weight (kg) are per unit
+const itemSchema = Joi.object({
   name: Joi.string().required(),
   sku: Joi.string().required(),
-  quantity: Joi.number().required().min(1),
+  quantity: Joi.number().integer().required().min(1),
   price: Joi.number().required().min(0),
-  weight: Joi.string().required(),
-  dimensions: dimensionsSchema.required()
+  hsn: Joi.string().pattern(/^[0-9]{4,8}$/).optional().messages({
+    'string.pattern.base': 'HSN code must be 4 to 8 digits'
+  }),
+  weight: Joi.number().required().min(0)
 });
 
 const paymentSchema = Joi.object({
   method: Joi.string().valid('COD', 'Prepaid').required(),
-  amount: Joi.string().required(),
+  // Derived from the line items
+  amount: Joi.string().optional(),
   codCharge: Joi.string().when('method', {
     is: 'COD',
     then: Joi.string().required(),
@@ -40,14 +44,17 @@ const paymentSchema = Joi.object({
   }),
   shippingCharge: Joi.string().required(),
   gst: Joi.string().required(),
-  total: Joi.string().required()
+  total: Joi.string().optional()
 });
 
 export const validateOrder = (data) => {
   const schema = Joi.object({
     orderId: Joi.string().required(),
     customer: customerSchema.required(),
-    product: productSchema.required(),
+    items: Joi.array().items(itemSchema).min(1).required()
+      .unique('sku')
+      .messages({ 'array.unique': 'Each SKU can only appear once in an order' }),
+    dimensions: dimensionsSchema.required(),
     payment: paymentSchema.required(),
     channel: Joi.string().valid('MANUAL', 'EXCEL', 'SHOPIFY', 'WOOCOMMERCE', 'AMAZON', 'FLIPKART', 'OPENCART', 'API').default('MANUAL')
   });
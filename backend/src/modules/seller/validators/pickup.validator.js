@@ -0,0 +1,59 @@
+import Joi from 'joi';
+import { PICKUP_STATUSES } from '../models/pickup.model.js';
+import { PICKUP_CONFIG } from '../../../utils/pickups.js';
+
+const pickupDate = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).messages({
+  'string.pattern.base': 'Pickup date must be YYYY-MM-DD'
+});
+const slot = Joi.string().valid(...PICKUP_CONFIG.slots);
+
+export const pickupSlotsSchema = Joi.object({
+  courier: Joi.string().required(),
+  date: pickupDate.required()
+});
+
+export const schedulePickupSchema = Joi.object({
+  storeId: Joi.string().required(),
+  courier: Joi.string().required(),
+  shipmentIds: Joi.array().items(Joi.string()).min(1).max(PICKUP_CONFIG.maxShipments).optional(),
+  pickupDate: pickupDate.required(),
+  slot: slot.required()
+});
+
+export const reschedulePickupSchema = Joi.object({
+  pickupDate: pickupDate.required(),
+  slot: slot.required(),
+  remarks: Joi.string().max(500).optional()
+});
+
+export const updatePickupStatusSchema = Joi.object({
+  status: Joi.string().valid('Picked', 'Missed').required(),
+  remarks: Joi.string().max(500).optional()
+});
+
+export const listPickupsSchema = Joi.object({
+  status: Joi.string().valid(...PICKUP_STATUSES).optional(),
+  courier: Joi.string().optional(),
+  storeId: Joi.string().optional(),
+  startDate: pickupDate.optional(),
+  endDate: pickupDate.optional(),
+  page: Joi.number().integer().min(1).optional(),
+  limit: Joi.number().integer().min(1).max(100).optional()
+});
+
+// Validation middleware function (validates the body unless another request property is given)
+const validateRequest = (schema, property = 'body') => {
+  return (req, res, next) => {
+    const { error } = schema.validate(req[property]);
+    if (error) {
+      return res.status(400).json({ success: false, error: error.details[0].message });
+    }
+    next();
+  };
+};
+
+export const validatePickupSlots = validateRequest(pickupSlotsSchema, 'query');
+export const validateSchedulePickup = validateRequest(schedulePickupSchema);
+export const validateReschedulePickup = validateRequest(reschedulePickupSchema);
+export const validateUpdatePickupStatus = validateRequest(updatePickupStatusSchema);
+export const validateListPickups = validateRequest(listPickupsSchema, 'query');
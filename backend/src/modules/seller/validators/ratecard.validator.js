@@ -2,15 +2,32 @@ import { body } from 'express-validator';
 
 export const calculateRateSchema = [
   body('weight')
+    .if(body('pieces').not().exists())
     .isFloat({ min: 0.1 })
     .withMessage('Weight must be a positive number'),
+
+  // Multi-piece shipment: each box with its own weight and dimensions
+  body('pieces')
+    .optional()
+    .isArray({ min: 2, max: 50 })
+    .withMessage('Pieces must be a list of 2 to 50 boxes'),
+
+  body('pieces.*.weight')
+    .isFloat({ min: 0.1 })
+    .withMessage('Each piece needs a positive weight'),
+
+  body(['pieces.*.dimensions.length', 'pieces.*.dimensions.width', 'pieces.*.dimensions.height'])
+    .isFloat({ gt: 0 })
+    .withMessage('Each piece needs a positive length, width and height'),
   
   body('pickupPincode')
+    .customSanitizer((value, { req }) => value || req.body.fromPincode)
     .isNumeric()
     .isLength({ min: 6, max: 6 })
     .withMessage('Pickup pincode must be a 6-digit number'),
   
   body('deliveryPincode')
+    .customSanitizer((value, { req }) => value || req.body.toPincode)
     .isNumeric()
     .isLength({ min: 6, max: 6 })
     .withMessage('Delivery pincode must be a 6-digit number'),
@@ -18,5 +35,15 @@ export const calculateRateSchema = [
   body('isCOD')
     .optional()
     .isBoolean()
-    .withMessage('isCOD must be a boolean value')
+    .withMessage('isCOD must be a boolean value'),
+
+  body('mode')
+    .optional()
+    .isIn(['air', 'surface', 'Air', 'Surface'])
+    .withMessage('Mode must be air or surface'),
+
+  body('codAmount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('COD amount must be a non-negative number')
 ]; 
\ No newline at end of file
@@ -0,0 +1,56 @@
+import Joi from 'joi';
+import { RETURN_STATUSES, RETURN_REASONS } from '../models/returnRequest.model.js';
+
+export const createReturnSchema = Joi.object({
+  orderId: Joi.string().required(),
+  reason: Joi.string().valid(...RETURN_REASONS).required(),
+  comments: Joi.string().max(1000).optional(),
+  sku: Joi.string().optional(),
+  quantity: Joi.number().integer().min(1).optional(),
+  courier: Joi.string().optional()
+});
+
+export const approveReturnSchema = Joi.object({
+  courier: Joi.string().optional()
+});
+
+export const rejectReturnSchema = Joi.object({
+  reason: Joi.string().max(500).required()
+});
+
+export const returnQcSchema = Joi.object({
+  result: Joi.string().valid('Passed', 'Failed').required(),
+  remarks: Joi.string().max(1000).optional(),
+  restock: Joi.boolean().optional()
+});
+
+export const returnRefundSchema = Joi.object({
+  reference: Joi.string().max(100).required()
+});
+
+export const listReturnsSchema = Joi.object({
+  status: Joi.string().valid(...RETURN_STATUSES).optional(),
+  orderId: Joi.string().optional(),
+  startDate: Joi.date().iso().optional(),
+  endDate: Joi.date().iso().optional(),
+  page: Joi.number().integer().min(1).optional(),
+  limit: Joi.number().integer().min(1).max(100).optional()
+});
+
+// Validation middleware function (validates the body unless another request property is given)
+const validateRequest = (schema, property = 'body') => {
+  return (req, res, next) => {
+    const { error } = schema.validate(req[property]);
+    if (error) {
+      return res.status(400).json({ success: false, error: error.details[0].message });
+    }
+    next();
+  };
+};
+
+export const validateCreateReturn = validateRequest(createReturnSchema);
+export const validateApproveReturn = validateRequest(approveReturnSchema);
+export const validateRejectReturn = validateRequest(rejectReturnSchema);
+export const validateReturnQc = validateRequest(returnQcSchema);
+export const validateReturnRefund = validateRequest(returnRefundSchema);
+export const validateListReturns = validateRequest(listReturnsSchema, 'query');
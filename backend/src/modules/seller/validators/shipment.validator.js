@@ -1,4 +1,6 @@
 import Joi from 'joi';
+import { SHIPMENT_STATUS, SHIPMENT_STATUSES } from '../../../utils/shipmentStatus.js';
+import { LABEL_FORMATS, LABEL_SIZES } from '../../../utils/labelRenderer.js';
 
 export const createShipmentSchema = Joi.object({
   orderId: Joi.string().required(),
@@ -18,13 +20,30 @@ export const createBulkShipmentsSchema = Joi.object({
   ).min(1).required()
 });
 
+// Boxes of a multi-piece shipment, each weighed and measured on its own
+const piecesSchema = Joi.array().items(Joi.object({
+  weight: Joi.number().positive().required(),
+  dimensions: Joi.object({
+    length: Joi.number().positive().required(),
+    width: Joi.number().positive().required(),
+    height: Joi.number().positive().required()
+  }).required()
+})).min(2).max(50).messages({
+  'array.min': 'A multi-piece shipment needs at least 2 pieces',
+  'array.max': 'A shipment can have at most 50 pieces'
+});
+
+// Weight and dimensions describe a single box; multi-piece shipments send pieces instead
+const requiredWithoutPieces = (schema) =>
+  schema.when('pieces', { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.required() });
+
 export const shippingRatesSchema = Joi.object({
-  weight: Joi.number().positive().required().messages({
+  weight: requiredWithoutPieces(Joi.number().positive()).messages({
     'number.base': 'Weight must be a number',
     'number.positive': 'Weight must be positive',
     'any.required': 'Weight is required'
   }),
-  dimensions: Joi.object({
+  dimensions: requiredWithoutPieces(Joi.object({
     length: Joi.number().positive().required().messages({
       'number.base': 'Length must be a number',
       'number.positive': 'Length must be positive',
@@ -40,9 +59,10 @@ export const shippingRatesSchema = Joi.object({
       'number.positive': 'Height must be positive',
       'any.required': 'Height is required'
     })
-  }).required().messages({
+  })).messages({
     'any.required': 'Dimensions are required'
   }),
+  pieces: piecesSchema.optional(),
   pickupPincode: Joi.string().pattern(/^\d{6}$/).required().messages({
     'string.pattern.base': 'Pickup pincode must be a 6-digit number',
     'any.required': 'Pickup pincode is required'
@@ -59,21 +79,24 @@ export const courierBookingSchema = Joi.object({
   orderId: Joi.string().required().messages({
     'any.required': 'Order ID is required'
   }),
-  courierCode: Joi.string().required().messages({
-    'any.required': 'Courier code is required'
-  }),
-  serviceType: Joi.string().required().messages({
+  // Allocated automatically when omitted
+  courierCode: Joi.string().optional(),
+  serviceType: Joi.string().when('courierCode', {
+    is: Joi.exist(),
+    then: Joi.required(),
+    otherwise: Joi.optional()
+  }).messages({
     'any.required': 'Service type is required'
   }),
   packageDetails: Joi.object({
-    weight: Joi.number().positive().required(),
-    dimensions: Joi.object({
+    weight: requiredWithoutPieces(Joi.number().positive()),
+    dimensions: requiredWithoutPieces(Joi.object({
       length: Joi.number().positive().required(),
       width: Joi.number().positive().required(),
       height: Joi.number().positive().required()
-    }).required(),
-    declaredValue: Joi.number().min(0).optional(),
-    shippingCharge: Joi.number().min(0).optional()
+    })),
+    pieces: piecesSchema.optional(),
+    declaredValue: Joi.number().min(0).optional()
   }).required().messages({
     'any.required': 'Package details are required'
   }),
@@ -89,13 +112,41 @@ export const courierBookingSchema = Joi.object({
       pincode: Joi.string().pattern(/^\d{6}$/).required(),
       country: Joi.string().default('India')
     }).required()
-  }).required().messages({
-    'any.required': 'Pickup details are required'
-  })
+  }).optional() // defaults to the order's fulfilment warehouse
+});
+
+// Each booking as for a single order, quoted and paid for from one wallet hold
+export const bulkCourierBookingSchema = Joi.object({
+  bookings: Joi.array().items(courierBookingSchema).min(1).max(100).unique('orderId').required()
 });
 
+export const allocateCourierSchema = Joi.object({
+  orderId: Joi.string().optional(),
+  weight: Joi.number().positive().messages({
+    'number.base': 'Weight must be a number',
+    'number.positive': 'Weight must be positive'
+  }),
+  dimensions: Joi.object({
+    length: Joi.number().positive().required(),
+    width: Joi.number().positive().required(),
+    height: Joi.number().positive().required()
+  }).optional(),
+  pickupPincode: Joi.string().pattern(/^\d{6}$/).optional().messages({
+    'string.pattern.base': 'Pickup pincode must be a 6-digit number'
+  }),
+  deliveryPincode: Joi.string().pattern(/^\d{6}$/).messages({
+    'string.pattern.base': 'Delivery pincode must be a 6-digit number'
+  }),
+  paymentMode: Joi.string().valid('COD', 'Prepaid').optional(),
+  orderValue: Joi.number().min(0).optional()
+}).or('orderId', 'deliveryPincode').and('weight', 'deliveryPincode').messages({
+  'object.missing': 'Either orderId or weight and deliveryPincode are required',
+  'object.and': 'weight and deliveryPincode must be provided together'
+});
+
+// Cancelling goes through POST /:id/cancel, which voids the AWB and refunds the freight
 export const updateShipmentStatusSchema = Joi.object({
-  status: Joi.string().valid('Booked', 'In-transit', 'Delivered', 'Pending Pickup', 'Cancelled', 'Exception').required()
+  status: Joi.string().valid(...SHIPMENT_STATUSES, 'In-transit').invalid(SHIPMENT_STATUS.CANCELLED).required()
 });
 
 export const addTrackingEventSchema = Joi.object({
@@ -110,10 +161,45 @@ export const handleReturnSchema = Joi.object({
   action: Joi.string().valid('Reattempt', 'Return', 'Dispose').required()
 });
 
-// Validation middleware function
-const validateRequest = (schema) => {
+export const shipmentLabelSchema = Joi.object({
+  format: Joi.string().valid(...Object.keys(LABEL_FORMATS)).insensitive().optional(),
+  size: Joi.string().valid(...Object.keys(LABEL_SIZES)).insensitive().optional()
+});
+
+// Shipments to print: explicit IDs and/or a filter
+const printSelection = {
+  shipmentIds: Joi.array().items(Joi.string().hex().length(24)).min(1).max(2000).optional(),
+  filter: Joi.object({
+    status: Joi.string().valid(...SHIPMENT_STATUSES).optional(),
+    courier: Joi.string().optional(),
+    startDate: Joi.date().optional(),
+    endDate: Joi.date().optional()
+  }).optional()
+};
+
+export const bulkLabelsSchema = Joi.object({
+  ...printSelection,
+  format: Joi.string().valid('PDF', 'ZPL').insensitive().optional(),
+  size: Joi.string().valid(...Object.keys(LABEL_SIZES)).insensitive().optional()
+}).or('shipmentIds', 'filter').messages({
+  'object.missing': 'Provide shipment IDs or a filter'
+});
+
+export const pickupManifestSchema = Joi.object({
+  ...printSelection,
+  courier: Joi.string().optional()
+}).or('shipmentIds', 'filter', 'courier').messages({
+  'object.missing': 'Provide shipment IDs, a filter or a courier'
+});
+
+export const cancelShipmentSchema = Joi.object({
+  reason: Joi.string().trim().max(500).optional()
+});
+
+// Validation middleware function (validates the body unless another request property is given)
+const validateRequest = (schema, property = 'body') => {
   return (req, res, next) => {
-    const { error } = schema.validate(req.body);
+    const { error } = schema.validate(req[property]);
     if (error) {
       return res.status(400).json({ success: false, error: error.details[0].message });
     }
@@ -126,6 +212,12 @@ export const validateCreateShipment = validateRequest(createShipmentSchema);
 export const validateCreateBulkShipments = validateRequest(createBulkShipmentsSchema);
 export const validateShippingRates = validateRequest(shippingRatesSchema);
 export const validateCourierBooking = validateRequest(courierBookingSchema);
+export const validateBulkCourierBooking = validateRequest(bulkCourierBookingSchema);
+export const validateAllocateCourier = validateRequest(allocateCourierSchema);
 export const validateUpdateShipmentStatus = validateRequest(updateShipmentStatusSchema);
 export const validateAddTrackingEvent = validateRequest(addTrackingEventSchema);
-export const validateHandleReturn = validateRequest(handleReturnSchema); 
\ No newline at end of file
+export const validateHandleReturn = validateRequest(handleReturnSchema);
+export const validateShipmentLabel = validateRequest(shipmentLabelSchema, 'query');
+export const validateBulkLabels = validateRequest(bulkLabelsSchema);
+export const validatePickupManifest = validateRequest(pickupManifestSchema);
+export const validateCancelShipment = validateRequest(cancelShipmentSchema);
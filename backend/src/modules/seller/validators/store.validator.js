@@ -9,6 +9,7 @@ export const addStoreSchema = Joi.object({
   contactPerson: Joi.string().allow('', null),
   phone: Joi.string().allow('', null),
   email: Joi.string().email().allow('', null),
+  pickupCutoff: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).optional(),
   isActive: Joi.boolean().optional()
 });
 
@@ -21,5 +22,6 @@ export const updateStoreSchema = Joi.object({
   contactPerson: Joi.string().allow('', null),
   phone: Joi.string().allow('', null),
   email: Joi.string().email().allow('', null),
+  pickupCutoff: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/),
   isActive: Joi.boolean()
 }); 
\ No newline at end of file
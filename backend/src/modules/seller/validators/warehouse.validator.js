@@ -1,7 +1,74 @@
 import Joi from 'joi';
+import { ADJUSTMENT_REASONS } from '../models/stockHistory.model.js';
+import { TRANSFER_STATUSES } from '../models/stockTransfer.model.js';
+
+export const createItemSchema = Joi.object({
+  storeId: Joi.string().required(),
+  name: Joi.string().required(),
+  sku: Joi.string().required(),
+  quantity: Joi.number().integer().min(0).default(0),
+  notes: Joi.string().allow('', null)
+});
 
 export const addStockSchema = Joi.object({
   quantity: Joi.number().integer().min(1).required(),
-  location: Joi.string().required(),
+  // Warehouse for items created before stock was held per store
+  storeId: Joi.string().optional(),
+  location: Joi.string().optional(),
   notes: Joi.string().allow('', null)
-}); 
\ No newline at end of file
+});
+
+export const cycleCountSchema = Joi.object({
+  countedQuantity: Joi.number().integer().min(0).required(),
+  reason: Joi.string().valid(...ADJUSTMENT_REASONS).default('Cycle Count'),
+  notes: Joi.string().max(500).allow('', null)
+});
+
+export const createTransferSchema = Joi.object({
+  fromStoreId: Joi.string().required(),
+  toStoreId: Joi.string().required(),
+  items: Joi.array().items(Joi.object({
+    sku: Joi.string().required(),
+    quantity: Joi.number().integer().min(1).required()
+  })).min(1).unique('sku').required(),
+  notes: Joi.string().max(500).allow('', null)
+});
+
+export const receiveTransferSchema = Joi.object({
+  items: Joi.array().items(Joi.object({
+    sku: Joi.string().required(),
+    receivedQuantity: Joi.number().integer().min(0).required()
+  })).unique('sku').optional(),
+  notes: Joi.string().max(500).allow('', null)
+});
+
+export const cancelTransferSchema = Joi.object({
+  reason: Joi.string().max(500).optional()
+});
+
+export const listTransfersSchema = Joi.object({
+  status: Joi.string().valid(...TRANSFER_STATUSES).optional(),
+  storeId: Joi.string().optional(),
+  page: Joi.number().integer().min(1).optional(),
+  limit: Joi.number().integer().min(1).max(100).optional()
+});
+
+// Validation middleware function (validates the body unless another request property is given)
+const validateRequest = (schema, property = 'body') => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req[property]);
+    if (error) {
+      return res.status(400).json({ success: false, error: error.details[0].message });
+    }
+    if (property === 'body') req.body = value;
+    next();
+  };
+};
+
+export const validateCreateItem = validateRequest(createItemSchema);
+export const validateAddStock = validateRequest(addStockSchema);
+export const validateCycleCount = validateRequest(cycleCountSchema);
+export const validateCreateTransfer = validateRequest(createTransferSchema);
+export const validateReceiveTransfer = validateRequest(receiveTransferSchema);
+export const validateCancelTransfer = validateRequest(cancelTransferSchema);
+export const validateListTransfers = validateRequest(listTransfersSchema, 'query');
@@ -1,12 +1,29 @@
 import Joi from 'joi';
 
-export const updateWeightDisputeSchema = Joi.object({
-  status: Joi.string().valid('Action Required', 'Open Dispute', 'Closed Dispute', 'Closed Resolved'),
-  revised: Joi.number().min(0),
-  accepted: Joi.boolean(),
-  comments: Joi.string().allow('', null)
+export const acceptWeightDisputeSchema = Joi.object({
+  comments: Joi.string().max(1000).allow('', null)
 });
 
-export const uploadWeightDisputeFileSchema = Joi.object({
-  file: Joi.any().required()
-}); 
\ No newline at end of file
+// Sent as multipart form fields alongside the photos
+export const raiseWeightDisputeSchema = Joi.object({
+  length: Joi.number().positive().required(),
+  width: Joi.number().positive().required(),
+  height: Joi.number().positive().required(),
+  weight: Joi.number().positive().required(),
+  comments: Joi.string().max(1000).allow('', null)
+});
+
+// Validation middleware function (validates the body unless another request property is given)
+const validateRequest = (schema, property = 'body') => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req[property]);
+    if (error) {
+      return res.status(400).json({ success: false, error: error.details[0].message });
+    }
+    if (property === 'body') req.body = value;
+    next();
+  };
+};
+
+export const validateAcceptWeightDispute = validateRequest(acceptWeightDisputeSchema);
+export const validateRaiseWeightDispute = validateRequest(raiseWeightDisputeSchema);
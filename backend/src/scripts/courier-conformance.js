@@ -0,0 +1,95 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { startMockCourierServer } from './mock-courier-server.js';
+import {
+  registerCourierAdapter,
+  getCourierAdapter,
+  listCourierAdapters
+} from '../utils/courierRegistry.js';
+import { CONFORMANCE_CHECKS, createConformanceContext } from '../utils/courierConformance.js';
+
+/**
+ * Courier adapter conformance suite.
+ *
+ * Runs the checks in utils/courierConformance.js for every registered adapter
+ * (or the ones named on the command line) against a local mock courier
+ * server. `npm test` runs the same checks for the registered adapters; this
+ * script is for an adapter file that is not registered yet.
+ *
+ * Usage:
+ *   node src/scripts/courier-conformance.js                    # all registered adapters
+ *   node src/scripts/courier-conformance.js DELHIVERY DTDC     # selected adapters
+ *   node src/scripts/courier-conformance.js --adapter=src/utils/shadowfax.js
+ */
+
+const runAdapter = async (adapter, server) => {
+  const ctx = createConformanceContext(adapter, server);
+  let failures = 0;
+
+  console.log(`\n${adapter.code} (${adapter.name}) - capabilities: ${adapter.capabilities.join(', ') || 'none'}`);
+
+  for (const check of CONFORMANCE_CHECKS) {
+    if (check.capability && !adapter.capabilities.includes(check.capability)) {
+      console.log(`  - skip  ${check.name}`);
+      continue;
+    }
+
+    try {
+      await check.run(adapter, ctx);
+      console.log(`  ✓ pass  ${check.name}`);
+    } catch (error) {
+      failures++;
+      console.log(`  ✗ FAIL  ${check.name}: ${error.message}`);
+    }
+  }
+
+  return failures;
+};
+
+const loadAdapters = async (args) => {
+  const adapterFiles = args.filter(arg => arg.startsWith('--adapter=')).map(arg => arg.slice('--adapter='.length));
+  const codes = args.filter(arg => !arg.startsWith('--'));
+
+  for (const file of adapterFiles) {
+    const module = await import(pathToFileURL(path.resolve(file)).href);
+    const adapter = registerCourierAdapter(module.default);
+    codes.push(adapter.code);
+  }
+
+  if (codes.length === 0) {
+    return listCourierAdapters();
+  }
+
+  return codes.map(code => {
+    const adapter = getCourierAdapter(code);
+    if (!adapter) {
+      throw new Error(`No courier adapter registered for ${code}`);
+    }
+    return adapter;
+  });
+};
+
+const run = async () => {
+  const adapters = await loadAdapters(process.argv.slice(2));
+  const server = await startMockCourierServer();
+  console.log(`Mock courier server listening on ${server.url}`);
+
+  let failures = 0;
+  try {
+    for (const adapter of adapters) {
+      failures += await runAdapter(adapter, server);
+    }
+  } finally {
+    await server.close();
+  }
+
+  console.log(`\n${adapters.length} adapter(s) checked, ${failures} failure(s)`);
+  return failures;
+};
+
+run()
+  .then(failures => process.exit(failures > 0 ? 1 : 0))
+  .catch(error => {
+    console.error('Conformance run failed:', error.message);
+    process.exit(1);
+  });
@@ -6,6 +6,7 @@ import csv from 'csv-parser';
 import mongoose from 'mongoose';
 import dotenv from 'dotenv';
 import Pincode from '../models/pincode.model.js';
+import { readServiceabilityFile, importServiceability } from '../utils/serviceability.js';
 
 dotenv.config();
 
@@ -161,8 +162,48 @@ async function importPincodes() {
   }
 }
 
+// Import a courier's serviceability file (CSV or XLSX). Run after the pincodes are imported,
+// so district and state can be filled in from the Pincode collection.
+// Usage: node src/scripts/import-pincodes.js --serviceability DELHIVERY ./delhivery-pincodes.xlsx [--replace]
+async function importCourierServiceability() {
+  const index = process.argv.indexOf('--serviceability');
+  const courier = process.argv[index + 1];
+  const filePath = process.argv[index + 2];
+
+  try {
+    if (!courier || !filePath || !fs.existsSync(filePath)) {
+      throw new Error('Usage: --serviceability <COURIER> <file.csv|file.xlsx> [--replace]');
+    }
+
+    if (await Pincode.countDocuments() === 0) {
+      console.log('Warning: the Pincode collection is empty, district and state will not be filled in.');
+    }
+
+    console.log(`Importing serviceability for ${courier.toUpperCase()} from ${filePath}...`);
+    const result = await importServiceability({
+      courier,
+      rows: readServiceabilityFile(filePath),
+      replace: process.argv.includes('--replace'),
+      source: path.basename(filePath)
+    });
+
+    console.log(`Rows: ${result.rows}, imported: ${result.imported}, removed: ${result.removed}, failed: ${result.failed}`);
+    if (result.unknownPincodes > 0) {
+      console.log(`${result.unknownPincodes} pincodes are not in the Pincode collection`);
+    }
+    result.errors.forEach(error => console.log(`Row ${error.row}: ${error.message}`));
+
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  } catch (error) {
+    console.error('Error importing serviceability:', error.message);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
 // Run the import function
-importPincodes()
+(process.argv.includes('--serviceability') ? importCourierServiceability() : importPincodes())
   .then(() => {
     console.log('Import process completed successfully');
     process.exit(0);
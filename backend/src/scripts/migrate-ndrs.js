@@ -0,0 +1,115 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import NDR from '../modules/seller/models/ndr.model.js';
+import { categorizeNDRReason } from '../utils/ndr.js';
+
+dotenv.config();
+
+/**
+ * Folds the admin copies of NDRs (the `adminndrs` collection, filled by the
+ * old admin sync) into the shared `ndrs` collection.
+ *
+ * An admin copy is merged into the seller NDR it was synced from: its
+ * ops-only fields (priority, assignment, comments, contact history, RTO
+ * details, resolution) are copied over, its status history is added to the
+ * NDR's, and whichever copy was updated last decides the status. Admin copies
+ * whose seller NDR no longer exists are moved across as they are. NDRs
+ * without a status history or reason category are given them.
+ *
+ * Usage:
+ *   node src/scripts/migrate-ndrs.js            # apply
+ *   node src/scripts/migrate-ndrs.js --dry-run  # only count
+ *   node src/scripts/migrate-ndrs.js --drop     # apply, then drop adminndrs
+ */
+
+const MONGODB_URI = process.env.MONGODB_ATLAS_URI || 'mongodb://localhost:27017/rocketrybox';
+const dryRun = process.argv.includes('--dry-run');
+const drop = process.argv.includes('--drop');
+
+const ADMIN_ONLY_FIELDS = [
+  'orderModel', 'shipmentModel', 'actionTaken', 'priority', 'assignedTo', 'comments', 'nextActionDate',
+  'attemptedContact', 'contactHistory', 'rtoDetails', 'resolution', 'resolutionDate'
+];
+
+const toStatusHistory = (entries = [], source) =>
+  entries.map(entry => ({ ...entry, source: entry.source || source }));
+
+// Fields of the admin copy that go onto the shared NDR
+const fromAdminCopy = (adminNDR, ndr) => {
+  const set = {};
+  for (const field of ADMIN_ONLY_FIELDS) {
+    if (adminNDR[field] !== undefined) set[field] = adminNDR[field];
+  }
+  if (adminNDR.reasonCategory) set.reasonCategory = adminNDR.reasonCategory;
+  if (adminNDR.seller?.business) set['seller.business'] = adminNDR.seller.business;
+  if (adminNDR.seller?.email) set['seller.email'] = adminNDR.seller.email;
+  if (adminNDR.courier?.partnerId) set['courier.partnerId'] = adminNDR.courier.partnerId;
+  if ((adminNDR.updatedAt || 0) > (ndr.updatedAt || 0)) {
+    set.status = adminNDR.status;
+    set.updatedAt = adminNDR.updatedAt;
+  }
+  set.statusHistory = [...(ndr.statusHistory || []), ...toStatusHistory(adminNDR.statusHistory, 'Admin')]
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  return set;
+};
+
+async function migrate() {
+  console.log('Attempting to connect to MongoDB...');
+  await mongoose.connect(MONGODB_URI);
+  console.log('Connected to MongoDB');
+
+  if (dryRun) {
+    console.log('Dry run: no documents will be changed');
+  }
+
+  const adminCollection = mongoose.connection.db.collection('adminndrs');
+  const adminCount = await adminCollection.countDocuments();
+  console.log(`adminndrs: ${adminCount} admin NDR(s) to fold into ndrs`);
+
+  let merged = 0;
+  let moved = 0;
+  for await (const adminNDR of adminCollection.find()) {
+    const ndr = adminNDR.originalNDR && await NDR.collection.findOne({ _id: adminNDR.originalNDR });
+    if (ndr) {
+      if (!dryRun) await NDR.collection.updateOne({ _id: ndr._id }, { $set: fromAdminCopy(adminNDR, ndr) });
+      merged++;
+    } else {
+      const { originalNDR, lastSyncAt, __v, ...rest } = adminNDR;
+      if (!dryRun) {
+        await NDR.collection.insertOne({ ...rest, statusHistory: toStatusHistory(rest.statusHistory, 'Admin') });
+      }
+      moved++;
+    }
+  }
+  console.log(`adminndrs: ${merged} merged into their seller NDR, ${moved} moved across`);
+
+  // NDRs raised before status history and reason categories were kept
+  const filter = { $or: [{ 'statusHistory.0': { $exists: false } }, { reasonCategory: { $exists: false } }] };
+  const seedCount = await NDR.collection.countDocuments(filter);
+  console.log(`ndrs: ${seedCount} NDR(s) without status history or reason category`);
+  if (!dryRun) {
+    for await (const ndr of NDR.collection.find(filter).project({ status: 1, reason: 1, statusHistory: 1, reasonCategory: 1, createdAt: 1 })) {
+      const set = {};
+      if (!ndr.statusHistory?.length) {
+        set.statusHistory = [{ status: ndr.status || 'Pending', reason: ndr.reason, source: 'System', timestamp: ndr.createdAt || new Date() }];
+      }
+      if (!ndr.reasonCategory) set.reasonCategory = categorizeNDRReason(ndr.reason);
+      await NDR.collection.updateOne({ _id: ndr._id }, { $set: set });
+    }
+  }
+
+  if (drop && !dryRun && adminCount) {
+    await adminCollection.drop();
+    console.log('adminndrs: dropped');
+  }
+
+  console.log('NDR migration completed');
+}
+
+migrate()
+  .then(() => mongoose.disconnect())
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('NDR migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import SellerOrder from '../modules/seller/models/order.model.js';
+
+dotenv.config();
+
+/**
+ * Moves seller orders stored with a single `product` onto line items.
+ *
+ * The product becomes the order's only entry in `items` and its package
+ * dimensions move to the order. `product.weight` held the weight of the
+ * whole quantity, while line items carry a unit weight, so it is divided by
+ * the quantity. A product without a name or SKU cannot become a line item:
+ * those orders are listed and keep their `product` until it is completed by
+ * hand, then the script can be run again.
+ *
+ * Usage:
+ *   node src/scripts/migrate-order-items.js            # apply
+ *   node src/scripts/migrate-order-items.js --dry-run  # only count and list the orders to fix
+ */
+
+const MONGODB_URI = process.env.MONGODB_ATLAS_URI || 'mongodb://localhost:27017/rocketrybox';
+const dryRun = process.argv.includes('--dry-run');
+
+// Line item of a legacy product, or null when it lacks what a line item requires
+const toLineItem = (product) => {
+  if (!product?.name || !product?.sku) return null;
+
+  const quantity = Math.max(parseInt(product.quantity) || 1, 1);
+  const weight = parseFloat(product.weight);
+  return {
+    name: product.name,
+    sku: product.sku,
+    quantity,
+    price: Number(product.price) || 0,
+    ...(!isNaN(weight) && { weight: Number((weight / quantity).toFixed(3)) })
+  };
+};
+
+async function migrate() {
+  console.log('Attempting to connect to MongoDB...');
+  await mongoose.connect(MONGODB_URI);
+  console.log('Connected to MongoDB');
+
+  if (dryRun) {
+    console.log('Dry run: no documents will be changed');
+  }
+
+  // Read the raw collection: `product` is no longer part of the schema
+  const filter = { product: { $exists: true }, 'items.0': { $exists: false } };
+  const count = await SellerOrder.collection.countDocuments(filter);
+  console.log(`SellerOrder: ${count} order(s) with a single product -> line items`);
+
+  let migrated = 0;
+  const skipped = [];
+  for await (const order of SellerOrder.collection.find(filter).project({ orderId: 1, product: 1 })) {
+    const item = toLineItem(order.product);
+    if (!item) {
+      skipped.push(order.orderId || String(order._id));
+      continue;
+    }
+
+    if (!dryRun) {
+      await SellerOrder.collection.updateOne(
+        { _id: order._id },
+        {
+          $set: {
+            items: [item],
+            ...(order.product.dimensions && { dimensions: order.product.dimensions })
+          },
+          $unset: { product: '' }
+        }
+      );
+    }
+    migrated++;
+  }
+  console.log(`SellerOrder: ${migrated} order(s) ${dryRun ? 'to migrate' : 'migrated'}`);
+
+  if (skipped.length > 0) {
+    console.log(`SellerOrder: ${skipped.length} order(s) left as they are, their product has no name or SKU:`);
+    skipped.forEach(orderId => console.log(`  ${orderId}`));
+  }
+
+  console.log('Order line item migration completed');
+}
+
+migrate()
+  .then(() => mongoose.disconnect())
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Order line item migration failed:', error);
+    process.exit(1);
+  });
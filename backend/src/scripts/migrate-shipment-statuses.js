@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import SellerShipment from '../modules/seller/models/shipment.model.js';
+import AdminShipment from '../modules/admin/models/shipment.model.js';
+import { SHIPMENT_STATUS } from '../utils/shipmentStatus.js';
+
+dotenv.config();
+
+/**
+ * Rewrites shipment statuses stored before the canonical vocabulary
+ * (utils/shipmentStatus.js) was introduced.
+ *
+ * Usage:
+ *   node src/scripts/migrate-shipment-statuses.js            # apply
+ *   node src/scripts/migrate-shipment-statuses.js --dry-run  # only count
+ */
+
+// Legacy status -> canonical status
+const STATUS_MIGRATIONS = {
+  'In-transit': SHIPMENT_STATUS.IN_TRANSIT,
+  'Returned': SHIPMENT_STATUS.RTO_DELIVERED
+};
+
+const MONGODB_URI = process.env.MONGODB_ATLAS_URI || 'mongodb://localhost:27017/rocketrybox';
+const dryRun = process.argv.includes('--dry-run');
+
+async function migrateModel(Model, historyField) {
+  for (const [legacy, canonical] of Object.entries(STATUS_MIGRATIONS)) {
+    const count = await Model.countDocuments({ status: legacy });
+    console.log(`${Model.modelName}: ${count} shipment(s) with status "${legacy}" -> "${canonical}"`);
+
+    if (dryRun) continue;
+
+    // Bypass schema validation: the legacy values are no longer in the enum
+    await Model.collection.updateMany({ status: legacy }, { $set: { status: canonical } });
+    await Model.collection.updateMany(
+      { [`${historyField}.status`]: legacy },
+      { $set: { [`${historyField}.$[event].status`]: canonical } },
+      { arrayFilters: [{ 'event.status': legacy }] }
+    );
+  }
+}
+
+async function migrate() {
+  console.log('Attempting to connect to MongoDB...');
+  await mongoose.connect(MONGODB_URI);
+  console.log('Connected to MongoDB');
+
+  if (dryRun) {
+    console.log('Dry run: no documents will be changed');
+  }
+
+  await migrateModel(SellerShipment, 'trackingHistory');
+  await migrateModel(AdminShipment, 'trackingHistory');
+
+  console.log('Shipment status migration completed');
+}
+
+migrate()
+  .then(() => mongoose.disconnect())
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Shipment status migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,132 @@
+import express from 'express';
+
+/**
+ * Local mock courier API used by the courier conformance suite.
+ *
+ * Routes mirror the generic courier API shape our HTTP adapters call
+ * (`/rates/calculate`, `/shipment/book`, `/tracking/:awb`, ...). Every route
+ * is also mounted under `/fail`, where it answers with a 500 so adapters can
+ * be checked for graceful failure handling.
+ *
+ * Usage: node src/scripts/mock-courier-server.js [port]
+ */
+
+const buildRouter = (requests) => {
+  const router = express.Router();
+
+  // Keep a log of every call so the suite can inspect what adapters sent
+  router.use((req, res, next) => {
+    requests.push({ method: req.method, path: req.path, body: req.body, headers: req.headers });
+    next();
+  });
+
+  router.post('/rates/calculate', (req, res) => {
+    const weight = parseFloat(req.body.Weight || req.body.weight || 0.5);
+    res.json({
+      success: true,
+      totalRate: Math.round(50 + weight * 20),
+      baseRate: 50,
+      weightCharge: weight * 20,
+      estimatedDeliveryDays: '2-4'
+    });
+  });
+
+  router.post('/shipment/book', (req, res) => {
+    const awb = `MOCK${Date.now()}`;
+    const pieceCount = Number(req.body?.PieceCount) || 1;
+    res.json({
+      success: true,
+      AWBNumber: awb,
+      ...(pieceCount > 1 && {
+        ChildAWBNumbers: Array.from({ length: pieceCount }, (_, index) => `${awb}${String(index + 1).padStart(3, '0')}`)
+      }),
+      ShippingLabel: Buffer.from(`label:${awb}`).toString('base64'),
+      message: 'Shipment booked successfully'
+    });
+  });
+
+  router.get('/tracking/:awb', (req, res) => {
+    res.json({
+      success: true,
+      awb: req.params.awb,
+      status: 'In Transit',
+      statusDetail: 'Shipment in transit',
+      currentLocation: 'Mock Hub',
+      timestamp: new Date().toISOString(),
+      trackingHistory: [
+        { status: 'Picked Up', timestamp: new Date(Date.now() - 86400000).toISOString(), location: 'Seller Warehouse', description: 'Shipment picked up' },
+        { status: 'In Transit', timestamp: new Date().toISOString(), location: 'Mock Hub', description: 'Shipment in transit' }
+      ]
+    });
+  });
+
+  router.post('/shipment/cancel', (req, res) => {
+    res.json({ success: true, CancellationId: `CXL${Date.now()}` });
+  });
+
+  router.post('/manifest', (req, res) => {
+    res.json({
+      success: true,
+      ManifestId: `MNF${Date.now()}`,
+      Manifest: Buffer.from('manifest').toString('base64')
+    });
+  });
+
+  router.post('/pickup/register', (req, res) => {
+    res.json({ success: true, TokenNumber: `PKP${Date.now()}`, PickupDate: req.body.PickupDate });
+  });
+
+  router.post('/shipment/reverse', (req, res) => {
+    res.json({ success: true, AWBNumber: `MOCKR${Date.now()}`, TokenNumber: `RVP${Date.now()}` });
+  });
+
+  router.post('/ndr/action', (req, res) => {
+    res.json({ success: true, ReferenceNumber: `NDR${Date.now()}` });
+  });
+
+  return router;
+};
+
+/**
+ * Start the mock courier server
+ * @param {number} port - Port to listen on (0 picks a free port)
+ * @returns {Promise<Object>} - { url, requests, close }
+ */
+export const startMockCourierServer = (port = 0) => {
+  const requests = [];
+  const app = express();
+
+  app.use(express.json());
+  app.use('/fail', (req, res) => {
+    requests.push({ method: req.method, path: `/fail${req.path}`, body: req.body, headers: req.headers });
+    res.status(500).json({ success: false, message: 'Mock courier failure' });
+  });
+  app.use('/', buildRouter(requests));
+  app.use((req, res) => {
+    res.status(404).json({ success: false, message: 'Unknown mock courier route' });
+  });
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, '127.0.0.1', () => {
+      const { port: boundPort } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${boundPort}`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+    server.on('error', reject);
+  });
+};
+
+// Allow running the server standalone for manual adapter development
+if (process.argv[1] && process.argv[1].endsWith('mock-courier-server.js')) {
+  startMockCourierServer(parseInt(process.argv[2] || '4010'))
+    .then(({ url }) => console.log(`Mock courier server listening on ${url}`))
+    .catch(error => {
+      console.error('Failed to start mock courier server:', error.message);
+      process.exit(1);
+    });
+}
+
+export default startMockCourierServer;
@@ -0,0 +1,208 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import RateCard from '../modules/admin/models/rateCard.model.js';
+
+dotenv.config();
+
+/**
+ * Seeds the default rate card (version 1) from the rates that used to be
+ * hard-coded in utils/courierRates.js.
+ *
+ * Usage:
+ *   node src/scripts/seed-rate-cards.js           # only if no default card exists
+ *   node src/scripts/seed-rate-cards.js --force   # publish a new default version
+ */
+
+const LEGACY_RATE_CARD = {
+  'Bluedart air': {
+    slabs: [0.5, 1, 2, 5, 10],
+    zones: {
+      'WITHIN_CITY':    { base: [37, 45, 48, 49, 64], addl: [36, 43, 47, 48, 62], cod: 35, codPct: 1.5 },
+      'WITHIN_STATE':   { base: [45, 52, 60, 64, 87], addl: [43, 52, 59, 64, 86], cod: 35, codPct: 1.5 },
+      'METRO_TO_METRO': { base: [48, 60, 89, 193, 227], addl: [47, 59, 60, 64, 87], cod: 35, codPct: 1.5 },
+      'REST_OF_INDIA':  { base: [49, 64, 99, 193, 369], addl: [48, 63, 64, 64, 64], cod: 35, codPct: 1.5 },
+      'NORTH_EAST':     { base: [64, 87, 131, 227, 430], addl: [62, 86, 87, 87, 87], cod: 35, codPct: 1.5 }
+    }
+  },
+  'Bluedart surface': {
+    slabs: [0.5, 1, 2, 5, 10],
+    zones: {
+      'WITHIN_CITY':    { base: [32, 40, 43, 44, 59], addl: [31, 38, 42, 43, 57], cod: 35, codPct: 1.5 },
+      'WITHIN_STATE':   { base: [40, 47, 55, 59, 82], addl: [38, 47, 54, 59, 81], cod: 35, codPct: 1.5 },
+      'METRO_TO_METRO': { base: [43, 55, 84, 188, 222], addl: [42, 54, 55, 59, 82], cod: 35, codPct: 1.5 },
+      'REST_OF_INDIA':  { base: [44, 59, 94, 188, 364], addl: [43, 58, 59, 59, 59], cod: 35, codPct: 1.5 },
+      'NORTH_EAST':     { base: [59, 82, 126, 222, 425], addl: [57, 81, 82, 82, 82], cod: 35, codPct: 1.5 }
+    }
+  },
+  'Delhivery air': {
+    slabs: [0.5, 1, 2, 5, 10],
+    zones: {
+      'WITHIN_CITY':    { base: [35, 52, 72, 144, 265], addl: [33, 51, 52, 52, 52], cod: 35, codPct: 1.75 },
+      'WITHIN_STATE':   { base: [37, 55, 77, 152, 278], addl: [35, 54, 55, 55, 55], cod: 35, codPct: 1.75 },
+      'METRO_TO_METRO': { base: [49, 63, 92, 174, 328], addl: [46, 62, 63, 63, 63], cod: 35, codPct: 1.75 },
+      'REST_OF_INDIA':  { base: [52, 67, 102, 196, 372], addl: [49, 66, 67, 67, 67], cod: 35, codPct: 1.75 },
+      'NORTH_EAST':     { base: [71, 90, 134, 230, 433], addl: [67, 89, 90, 90, 90], cod: 35, codPct: 1.75 }
+    }
+  },
+  'Delhivery surface': {
+    slabs: [0.5, 1, 2, 5, 10],
+    zones: {
+      'WITHIN_CITY':    { base: [32, 49, 69, 141, 262], addl: [30, 48, 49, 49, 49], cod: 35, codPct: 1.75 },
+      'WITHIN_STATE':   { base: [34, 52, 74, 149, 275], addl: [32, 51, 52, 52, 52], cod: 35, codPct: 1.75 },
+      'METRO_TO_METRO': { base: [46, 60, 89, 171, 325], addl: [43, 59, 60, 60, 60], cod: 35, codPct: 1.75 },
+      'REST_OF_INDIA':  { base: [49, 64, 99, 193, 369], addl: [46, 63, 64, 64, 64], cod: 35, codPct: 1.75 },
+      'NORTH_EAST':     { base: [68, 87, 131, 227, 430], addl: [64, 86, 87, 87, 87], cod: 35, codPct: 1.75 }
+    }
+  },
+  'DTDC air': {
+    slabs: [0.5, 1, 2, 5, 10],
+    zones: {
+      'WITHIN_CITY':    { base: [33, 52, 72, 144, 265], addl: [33, 51, 52, 52, 52], cod: 27, codPct: 1.25 },
+      'WITHIN_STATE':   { base: [38, 55, 77, 152, 278], addl: [38, 54, 55, 55, 55], cod: 27, codPct: 1.25 },
+      'METRO_TO_METRO': { base: [44, 63, 92, 174, 328], addl: [44, 62, 63, 63, 63], cod: 27, codPct: 1.25 },
+      'REST_OF_INDIA':  { base: [52, 67, 102, 196, 372], addl: [52, 66, 67, 67, 67], cod: 27, codPct: 1.25 },
+      'NORTH_EAST':     { base: [65, 90, 134, 230, 433], addl: [65, 89, 90, 90, 90], cod: 27, codPct: 1.25 }
+    }
+  },
+  'DTDC surface': {
+    slabs: [0.5, 1, 2, 5, 10],
+    zones: {
+      'WITHIN_CITY':    { base: [30, 49, 69, 141, 262], addl: [30, 48, 49, 49, 49], cod: 27, codPct: 1.25 },
+      'WITHIN_STATE':   { base: [35, 52, 74, 149, 275], addl: [35, 51, 52, 52, 52], cod: 27, codPct: 1.25 },
+      'METRO_TO_METRO': { base: [41, 60, 89, 171, 325], addl: [41, 59, 60, 60, 60], cod: 27, codPct: 1.25 },
+      'REST_OF_INDIA':  { base: [49, 64, 99, 193, 369], addl: [49, 63, 64, 64, 64], cod: 27, codPct: 1.25 },
+      'NORTH_EAST':     { base: [62, 87, 131, 227, 430], addl: [62, 86, 87, 87, 87], cod: 27, codPct: 1.25 }
+    }
+  },
+  'Ekart air': {
+    slabs: [0.5, 1, 2, 5, 10],
+    zones: {
+      'WITHIN_CITY':    { base: [34, 52, 72, 144, 265], addl: [32, 51, 52, 52, 52], cod: 30, codPct: 1.5 },
+      'WITHIN_STATE':   { base: [36, 55, 77, 152, 278], addl: [34, 54, 55, 55, 55], cod: 30, codPct: 1.5 },
+      'METRO_TO_METRO': { base: [41, 63, 92, 174, 328], addl: [39, 62, 63, 63, 63], cod: 30, codPct: 1.5 },
+      'REST_OF_INDIA':  { base: [43, 67, 102, 196, 372], addl: [41, 66, 67, 67, 67], cod: 30, codPct: 1.5 },
+      'NORTH_EAST':     { base: [48, 90, 134, 230, 433], addl: [46, 89, 90, 90, 90], cod: 30, codPct: 1.5 }
+    }
+  },
+  'Ekart surface': {
+    slabs: [0.5, 1, 2, 5, 10],
+    zones: {
+      'WITHIN_CITY':    { base: [31, 49, 69, 141, 262], addl: [29, 48, 49, 49, 49], cod: 30, codPct: 1.5 },
+      'WITHIN_STATE':   { base: [33, 52, 74, 149, 275], addl: [31, 51, 52, 52, 52], cod: 30, codPct: 1.5 },
+      'METRO_TO_METRO': { base: [38, 60, 89, 171, 325], addl: [36, 59, 60, 60, 60], cod: 30, codPct: 1.5 },
+      'REST_OF_INDIA':  { base: [40, 64, 99, 193, 369], addl: [38, 63, 64, 64, 64], cod: 30, codPct: 1.5 },
+      'NORTH_EAST':     { base: [45, 87, 131, 227, 430], addl: [43, 86, 87, 87, 87], cod: 30, codPct: 1.5 }
+    }
+  },
+  'Xpressbees air': {
+    slabs: [0.5, 1, 2, 5, 10],
+    zones: {
+      'WITHIN_CITY':    { base: [30, 43, 67, 101, 152], addl: [19, 33, 52, 55, 55], cod: 27, codPct: 1.18 },
+      'WITHIN_STATE':   { base: [30, 43, 67, 101, 152], addl: [19, 33, 52, 55, 55], cod: 27, codPct: 1.18 },
+      'METRO_TO_METRO': { base: [40, 61, 72, 113, 164], addl: [37, 38, 63, 23, 23], cod: 27, codPct: 1.18 },
+      'REST_OF_INDIA':  { base: [54, 61, 79, 126, 177], addl: [43, 38, 28, 23, 25], cod: 27, codPct: 1.18 },
+      'NORTH_EAST':     { base: [58, 72, 92, 152, 241], addl: [50, 72, 92, 152, 25], cod: 27, codPct: 1.18 }
+    }
+  },
+  'Xpressbees surface': {
+    slabs: [0.5, 1, 2, 5, 10],
+    zones: {
+      'WITHIN_CITY':    { base: [27, 40, 64, 98, 149], addl: [16, 30, 49, 52, 52], cod: 27, codPct: 1.18 },
+      'WITHIN_STATE':   { base: [27, 40, 64, 98, 149], addl: [16, 30, 49, 52, 52], cod: 27, codPct: 1.18 },
+      'METRO_TO_METRO': { base: [37, 58, 69, 110, 161], addl: [34, 35, 60, 20, 20], cod: 27, codPct: 1.18 },
+      'REST_OF_INDIA':  { base: [51, 58, 76, 123, 174], addl: [40, 35, 25, 20, 22], cod: 27, codPct: 1.18 },
+      'NORTH_EAST':     { base: [55, 69, 89, 149, 238], addl: [47, 69, 89, 149, 22], cod: 27, codPct: 1.18 }
+    }
+  },
+  'Shadowfax': {
+    slabs: [0.5, 1, 2, 5, 10],
+    zones: {
+      'WITHIN_CITY':    { base: [25, 35, 45, 65, 85], addl: [20, 30, 40, 50, 60], cod: 25, codPct: 1.0 },
+      'WITHIN_STATE':   { base: [30, 40, 50, 70, 90], addl: [25, 35, 45, 55, 65], cod: 25, codPct: 1.0 },
+      'METRO_TO_METRO': { base: [35, 45, 55, 75, 95], addl: [30, 40, 50, 60, 70], cod: 25, codPct: 1.0 },
+      'REST_OF_INDIA':  { base: [40, 50, 60, 80, 100], addl: [35, 45, 55, 65, 75], cod: 25, codPct: 1.0 },
+      'NORTH_EAST':     { base: [45, 55, 65, 85, 105], addl: [40, 50, 60, 70, 80], cod: 25, codPct: 1.0 }
+    }
+  },
+  'Dunzo': {
+    slabs: [0.5, 1, 2, 5, 10],
+    zones: {
+      'WITHIN_CITY':    { base: [30, 40, 50, 70, 90], addl: [25, 35, 45, 55, 65], cod: 30, codPct: 1.2 },
+      'WITHIN_STATE':   { base: [35, 45, 55, 75, 95], addl: [30, 40, 50, 60, 70], cod: 30, codPct: 1.2 },
+      'METRO_TO_METRO': { base: [40, 50, 60, 80, 100], addl: [35, 45, 55, 65, 75], cod: 30, codPct: 1.2 },
+      'REST_OF_INDIA':  { base: [45, 55, 65, 85, 105], addl: [40, 50, 60, 70, 80], cod: 30, codPct: 1.2 },
+      'NORTH_EAST':     { base: [50, 60, 70, 90, 110], addl: [45, 55, 65, 75, 85], cod: 30, codPct: 1.2 }
+    }
+  },
+  'Swiggy Genie': {
+    slabs: [0.5, 1, 2, 5, 10],
+    zones: {
+      'WITHIN_CITY':    { base: [35, 45, 55, 75, 95], addl: [30, 40, 50, 60, 70], cod: 35, codPct: 1.3 },
+      'WITHIN_STATE':   { base: [40, 50, 60, 80, 100], addl: [35, 45, 55, 65, 75], cod: 35, codPct: 1.3 },
+      'METRO_TO_METRO': { base: [45, 55, 65, 85, 105], addl: [40, 50, 60, 70, 80], cod: 35, codPct: 1.3 },
+      'REST_OF_INDIA':  { base: [50, 60, 70, 90, 110], addl: [45, 55, 65, 75, 85], cod: 35, codPct: 1.3 },
+      'NORTH_EAST':     { base: [55, 65, 75, 95, 115], addl: [50, 60, 70, 80, 90], cod: 35, codPct: 1.3 }
+    }
+  }
+};
+
+// Courier code and mode for each legacy rate card entry
+const parseLegacyName = (name) => {
+  const [, courier, mode] = name.match(/^(.*?)(?:\s+(air|surface))?$/i);
+  return {
+    courier: courier.trim().toUpperCase().replace(/\s+/g, '_'),
+    mode: (mode || 'surface').toLowerCase()
+  };
+};
+
+const buildCouriers = () => Object.entries(LEGACY_RATE_CARD).map(([name, card]) => {
+  const { courier, mode } = parseLegacyName(name);
+  const anyZone = Object.values(card.zones)[0];
+
+  return {
+    courier,
+    name,
+    mode,
+    pricingType: 'slab',
+    slabs: card.slabs,
+    additionalWeightUnit: 0.5,
+    zones: Object.fromEntries(
+      Object.entries(card.zones).map(([zone, rates]) => [zone, { base: rates.base, addl: rates.addl }])
+    ),
+    codCharge: anyZone.cod,
+    codPercent: anyZone.codPct
+  };
+});
+
+const MONGODB_URI = process.env.MONGODB_ATLAS_URI || 'mongodb://localhost:27017/rocketrybox';
+const force = process.argv.includes('--force');
+
+async function seed() {
+  console.log('Attempting to connect to MongoDB...');
+  await mongoose.connect(MONGODB_URI);
+  console.log('Connected to MongoDB');
+
+  const existing = await RateCard.findEffective({ scope: 'default' });
+  if (existing && !force) {
+    console.log(`Default rate card already exists (version ${existing.version}); use --force to publish a new version`);
+    return;
+  }
+
+  const card = await RateCard.publishVersion({
+    name: 'Default Rate Card',
+    scope: 'default',
+    description: 'Standard rates for sellers and customers without a rate band or override',
+    gstPercent: 18,
+    couriers: buildCouriers()
+  });
+
+  console.log(`Published default rate card version ${card.version} with ${card.couriers.length} courier rates`);
+}
+
+seed()
+  .then(() => mongoose.disconnect())
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Rate card seeding failed:', error);
+    process.exit(1);
+  });
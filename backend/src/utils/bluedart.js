@@ -1,5 +1,41 @@
 import axios from 'axios';
 import { logger } from './logger.js';
+import { defineCourierAdapter } from './courierAdapter.js';
+import { SHIPMENT_STATUS } from './shipmentStatus.js';
+import { calculateChargeableWeight, partnerVolumetricRule } from './chargeableWeight.js';
+
+// BlueDart status codes/strings mapped to the canonical shipment status
+export const statusMap = {
+  codes: {
+    MF: SHIPMENT_STATUS.BOOKED,
+    PU: SHIPMENT_STATUS.PICKED_UP,
+    IT: SHIPMENT_STATUS.IN_TRANSIT,
+    OD: SHIPMENT_STATUS.OUT_FOR_DELIVERY,
+    DL: SHIPMENT_STATUS.DELIVERED,
+    UD: SHIPMENT_STATUS.NDR,
+    RT: SHIPMENT_STATUS.RTO_INITIATED,
+    RD: SHIPMENT_STATUS.RTO_DELIVERED,
+    CN: SHIPMENT_STATUS.CANCELLED
+  },
+  statuses: {
+    'shipment picked up': SHIPMENT_STATUS.PICKED_UP,
+    'shipment out for delivery': SHIPMENT_STATUS.OUT_FOR_DELIVERY,
+    'shipment delivered': SHIPMENT_STATUS.DELIVERED,
+    'undelivered': SHIPMENT_STATUS.NDR,
+    'return to origin': SHIPMENT_STATUS.RTO_INITIATED
+  }
+};
+
+// BlueDart non-delivery reasons mapped to NDR reason categories
+export const ndrReasonMap = {
+  codes: {},
+  keywords: {
+    'door locked': 'Customer Not Available',
+    'premises closed': 'Customer Not Available',
+    'incomplete address': 'Address Issues',
+    'consignee refused': 'Customer Refusal'
+  }
+};
 
 /**
  * Calculate shipping rates using BlueDart API
@@ -21,10 +57,11 @@ export const calculateRate = async (packageDetails, deliveryDetails, partnerDeta
       Delivery_Pincode: deliveryDetails.deliveryPincode,
       Weight: packageDetails.weight,
       Dimensions: {
-        Length: packageDetails.dimensions.length,
-        Width: packageDetails.dimensions.width,
-        Height: packageDetails.dimensions.height
+        Length: packageDetails.dimensions?.length,
+        Width: packageDetails.dimensions?.width,
+        Height: packageDetails.dimensions?.height
       },
+      PieceCount: packageDetails.pieces?.length || 1,
       ProductCode: packageDetails.serviceType || 'EXPRESS',
       SubProductCode: packageDetails.subServiceType || 'PRIORITY 1030',
       SpecialService: packageDetails.cod ? 'COD' : '',
@@ -46,15 +83,9 @@ export const calculateRate = async (packageDetails, deliveryDetails, partnerDeta
 
     // If API call is successful
     if (response.data && response.data.success) {
-      // Calculate volumetric weight
-      const volumetricWeight = 
-        (packageDetails.dimensions.length * 
-         packageDetails.dimensions.width * 
-         packageDetails.dimensions.height) / 
-        partnerDetails.rates.dimensionalFactor;
-
-      // Use the higher of actual and volumetric weight
-      const chargeableWeight = Math.max(packageDetails.weight, volumetricWeight);
+      // Chargeable weight under the partner's air volumetric rule
+      const { volumetricWeight, chargeableWeight } =
+        calculateChargeableWeight(packageDetails, partnerVolumetricRule(partnerDetails, 'air'));
 
       // Extract and format response data
       return {
@@ -64,7 +95,7 @@ export const calculateRate = async (packageDetails, deliveryDetails, partnerDeta
           name: partnerDetails.name,
           logoUrl: partnerDetails.logoUrl,
           expressDelivery: true,
-          estimatedDays: response.data.estimatedDeliveryDays || '2-4'
+          estimatedDays: response.data.estimatedDeliveryDays
         },
         totalRate: response.data.totalRate,
         volumetricWeight: volumetricWeight.toFixed(2),
@@ -93,15 +124,9 @@ export const calculateRate = async (packageDetails, deliveryDetails, partnerDeta
  */
 const fallbackRateCalculation = (packageDetails, deliveryDetails, partnerDetails) => {
   try {
-    // Calculate volumetric weight
-    const volumetricWeight = 
-      (packageDetails.dimensions.length * 
-       packageDetails.dimensions.width * 
-       packageDetails.dimensions.height) / 
-      partnerDetails.rates.dimensionalFactor;
-
-    // Use the higher of actual and volumetric weight
-    const chargeableWeight = Math.max(packageDetails.weight, volumetricWeight);
+    // Chargeable weight under the partner's air volumetric rule
+    const { volumetricWeight, chargeableWeight } =
+      calculateChargeableWeight(packageDetails, partnerVolumetricRule(partnerDetails, 'air'));
     
     // Basic rate calculation using partner configurations
     const baseRate = partnerDetails.rates.baseRate;
@@ -117,8 +142,7 @@ const fallbackRateCalculation = (packageDetails, deliveryDetails, partnerDetails
         id: partnerDetails.id,
         name: partnerDetails.name,
         logoUrl: partnerDetails.logoUrl,
-        expressDelivery: true,
-        estimatedDays: '2-4'
+        expressDelivery: true
       },
       totalRate: Math.round(totalRate),
       volumetricWeight: volumetricWeight.toFixed(2),
@@ -138,6 +162,46 @@ const fallbackRateCalculation = (packageDetails, deliveryDetails, partnerDetails
   }
 };
 
+// Map shipment details to the BlueDart booking payload
+const toBookingPayload = (shipmentDetails, partnerDetails) => ({
+  ConsigneeName: shipmentDetails.consignee.name,
+  ConsigneeAddress1: shipmentDetails.consignee.address.line1,
+  ConsigneeAddress2: shipmentDetails.consignee.address.line2 || '',
+  ConsigneeAddress3: shipmentDetails.consignee.address.line3 || '',
+  ConsigneePin: shipmentDetails.consignee.address.pincode,
+  ConsigneeCity: shipmentDetails.consignee.address.city,
+  ConsigneeState: shipmentDetails.consignee.address.state,
+  ConsigneeMobile: shipmentDetails.consignee.phone,
+  ConsigneeEmail: shipmentDetails.consignee.email || '',
+  
+  ShipperName: shipmentDetails.shipper.name,
+  ShipperAddress1: shipmentDetails.shipper.address.line1,
+  ShipperAddress2: shipmentDetails.shipper.address.line2 || '',
+  ShipperAddress3: shipmentDetails.shipper.address.line3 || '',
+  ShipperPin: shipmentDetails.shipper.address.pincode,
+  ShipperCity: shipmentDetails.shipper.address.city,
+  ShipperState: shipmentDetails.shipper.address.state,
+  ShipperMobile: shipmentDetails.shipper.phone,
+  ShipperEmail: shipmentDetails.shipper.email || '',
+  
+  ReferenceNumber: shipmentDetails.referenceNumber,
+  ProductCode: shipmentDetails.serviceType || 'EXPRESS',
+  SubProductCode: shipmentDetails.subServiceType || 'PRIORITY 1030',
+  ActualWeight: shipmentDetails.weight,
+  Dimensions: {
+    Length: shipmentDetails.dimensions?.length,
+    Width: shipmentDetails.dimensions?.width,
+    Height: shipmentDetails.dimensions?.height
+  },
+  DeclaredValue: shipmentDetails.declaredValue || 0,
+  CODAmount: shipmentDetails.cod ? shipmentDetails.codAmount : 0,
+  SpecialService: shipmentDetails.cod ? 'COD' : '',
+  Commodity: shipmentDetails.commodity || 'GENERAL GOODS',
+  
+  // API credentials
+  License_Key: partnerDetails.apiKey
+});
+
 /**
  * Book a shipment with BlueDart
  * @param {Object} shipmentDetails - Shipment booking details
@@ -150,46 +214,7 @@ export const bookShipment = async (shipmentDetails, partnerDetails) => {
       throw new Error('Missing BlueDart API credentials');
     }
 
-    // Prepare the request payload
-    const payload = {
-      // Map shipment details to BlueDart API format
-      ConsigneeName: shipmentDetails.consignee.name,
-      ConsigneeAddress1: shipmentDetails.consignee.address.line1,
-      ConsigneeAddress2: shipmentDetails.consignee.address.line2 || '',
-      ConsigneeAddress3: shipmentDetails.consignee.address.line3 || '',
-      ConsigneePin: shipmentDetails.consignee.address.pincode,
-      ConsigneeCity: shipmentDetails.consignee.address.city,
-      ConsigneeState: shipmentDetails.consignee.address.state,
-      ConsigneeMobile: shipmentDetails.consignee.phone,
-      ConsigneeEmail: shipmentDetails.consignee.email || '',
-      
-      ShipperName: shipmentDetails.shipper.name,
-      ShipperAddress1: shipmentDetails.shipper.address.line1,
-      ShipperAddress2: shipmentDetails.shipper.address.line2 || '',
-      ShipperAddress3: shipmentDetails.shipper.address.line3 || '',
-      ShipperPin: shipmentDetails.shipper.address.pincode,
-      ShipperCity: shipmentDetails.shipper.address.city,
-      ShipperState: shipmentDetails.shipper.address.state,
-      ShipperMobile: shipmentDetails.shipper.phone,
-      ShipperEmail: shipmentDetails.shipper.email || '',
-      
-      ReferenceNumber: shipmentDetails.referenceNumber,
-      ProductCode: shipmentDetails.serviceType || 'EXPRESS',
-      SubProductCode: shipmentDetails.subServiceType || 'PRIORITY 1030',
-      ActualWeight: shipmentDetails.weight,
-      Dimensions: {
-        Length: shipmentDetails.dimensions.length,
-        Width: shipmentDetails.dimensions.width,
-        Height: shipmentDetails.dimensions.height
-      },
-      DeclaredValue: shipmentDetails.declaredValue || 0,
-      CODAmount: shipmentDetails.cod ? shipmentDetails.codAmount : 0,
-      SpecialService: shipmentDetails.cod ? 'COD' : '',
-      Commodity: shipmentDetails.commodity || 'GENERAL GOODS',
-      
-      // API credentials
-      License_Key: partnerDetails.apiKey
-    };
+    const payload = toBookingPayload(shipmentDetails, partnerDetails);
 
     // Make API call to BlueDart
     const response = await axios.post(
@@ -212,6 +237,9 @@ export const bookShipment = async (shipmentDetails, partnerDetails) => {
           ? `${partnerDetails.trackingUrl}${response.data.AWBNumber}` 
           : `https://www.bluedart.com/tracking/${response.data.AWBNumber}`,
         label: response.data.ShippingLabel,
+        routingCode: response.data.DestinationArea
+          ? [response.data.DestinationArea, response.data.DestinationLocation].filter(Boolean).join('/')
+          : undefined,
         manifest: response.data.Manifest || null,
         courierName: partnerDetails.name,
         message: response.data.message || 'Shipment booked successfully'
@@ -242,6 +270,76 @@ export const bookShipment = async (shipmentDetails, partnerDetails) => {
   }
 };
 
+/**
+ * Book a multi-piece shipment with BlueDart (one master AWB, a child AWB per box)
+ * @param {Object} shipmentDetails - Shipment booking details with pieces: [{ number, weight, dimensions, reference }]
+ * @param {Object} partnerDetails - Partner configuration from the database
+ * @returns {Object} - Booking response with the master AWB and the child AWBs
+ */
+export const bookMultiPieceShipment = async (shipmentDetails, partnerDetails) => {
+  try {
+    if (!partnerDetails || !partnerDetails.apiKey || !partnerDetails.apiEndpoint) {
+      throw new Error('Missing BlueDart API credentials');
+    }
+
+    const { pieces } = shipmentDetails;
+    const payload = {
+      ...toBookingPayload(shipmentDetails, partnerDetails),
+      PieceCount: pieces.length,
+      ActualWeight: pieces.reduce((total, piece) => total + Number(piece.weight), 0),
+      MultipleDimensions: pieces.map(piece => ({
+        Length: piece.dimensions.length,
+        Breadth: piece.dimensions.width,
+        Height: piece.dimensions.height,
+        Weight: piece.weight,
+        Count: 1
+      }))
+    };
+
+    const response = await axios.post(
+      `${partnerDetails.apiEndpoint}/shipment/book`,
+      payload,
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${partnerDetails.apiKey}`
+        }
+      }
+    );
+
+    if (response.data && response.data.success) {
+      const childAwbs = response.data.ChildAWBNumbers || [];
+      if (childAwbs.length !== pieces.length) {
+        throw new Error(`BlueDart returned ${childAwbs.length} child AWBs for ${pieces.length} pieces`);
+      }
+
+      return {
+        success: true,
+        awb: response.data.AWBNumber,
+        childAwbs,
+        trackingUrl: partnerDetails.trackingUrl
+          ? `${partnerDetails.trackingUrl}${response.data.AWBNumber}`
+          : `https://www.bluedart.com/tracking/${response.data.AWBNumber}`,
+        label: response.data.ShippingLabel,
+        routingCode: response.data.DestinationArea
+          ? [response.data.DestinationArea, response.data.DestinationLocation].filter(Boolean).join('/')
+          : undefined,
+        courierName: partnerDetails.name,
+        message: response.data.message || 'Shipment booked successfully'
+      };
+    } else {
+      throw new Error(response.data?.message || 'Unknown error from BlueDart API');
+    }
+  } catch (error) {
+    logger.error(`BlueDart multi-piece booking error: ${error.message}`);
+    return {
+      success: false,
+      error: error.message,
+      courierName: partnerDetails.name
+    };
+  }
+};
+
 /**
  * Track a shipment with BlueDart
  * @param {string} trackingNumber - AWB number to track
@@ -292,9 +390,307 @@ export const trackShipment = async (trackingNumber, partnerDetails) => {
   }
 };
 
-// Export default object with all functions
-export default {
+/**
+ * Cancel a shipment with BlueDart
+ * @param {string} awb - AWB number to cancel
+ * @param {Object} partnerDetails - Partner configuration from the database
+ * @returns {Object} - Cancellation response
+ */
+export const cancelShipment = async (awb, partnerDetails) => {
+  try {
+    if (!partnerDetails || !partnerDetails.apiKey || !partnerDetails.apiEndpoint) {
+      throw new Error('Missing BlueDart API credentials');
+    }
+
+    const response = await axios.post(
+      `${partnerDetails.apiEndpoint}/shipment/cancel`,
+      {
+        AWBNumber: awb,
+        License_Key: partnerDetails.apiKey
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${partnerDetails.apiKey}`
+        }
+      }
+    );
+
+    if (response.data && response.data.success) {
+      return {
+        success: true,
+        awb,
+        referenceId: response.data.CancellationId || null,
+        courierName: partnerDetails.name,
+        message: response.data.message || 'Shipment cancelled successfully'
+      };
+    } else {
+      throw new Error(response.data?.message || 'Unknown error from BlueDart API');
+    }
+  } catch (error) {
+    logger.error(`BlueDart cancellation error: ${error.message}`);
+    return {
+      success: false,
+      error: error.message,
+      courierName: partnerDetails.name
+    };
+  }
+};
+
+/**
+ * Generate a pickup manifest with BlueDart
+ * @param {Array<string>} awbs - AWB numbers to include in the manifest
+ * @param {Object} partnerDetails - Partner configuration from the database
+ * @returns {Object} - Manifest response
+ */
+export const generateManifest = async (awbs, partnerDetails) => {
+  try {
+    if (!partnerDetails || !partnerDetails.apiKey || !partnerDetails.apiEndpoint) {
+      throw new Error('Missing BlueDart API credentials');
+    }
+
+    const response = await axios.post(
+      `${partnerDetails.apiEndpoint}/manifest`,
+      {
+        AWBNumbers: awbs,
+        License_Key: partnerDetails.apiKey
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${partnerDetails.apiKey}`
+        }
+      }
+    );
+
+    if (response.data && response.data.success) {
+      return {
+        success: true,
+        manifestId: response.data.ManifestId,
+        awbs,
+        manifest: response.data.Manifest,
+        courierName: partnerDetails.name
+      };
+    } else {
+      throw new Error(response.data?.message || 'Unknown error from BlueDart API');
+    }
+  } catch (error) {
+    logger.error(`BlueDart manifest error: ${error.message}`);
+    return {
+      success: false,
+      error: error.message,
+      courierName: partnerDetails.name
+    };
+  }
+};
+
+/**
+ * Schedule a pickup with BlueDart
+ * @param {Object} pickupDetails - Pickup address, date, slot and AWBs
+ * @param {Object} partnerDetails - Partner configuration from the database
+ * @returns {Object} - Pickup response with the courier's pickup ID
+ */
+export const schedulePickup = async (pickupDetails, partnerDetails) => {
+  try {
+    if (!partnerDetails || !partnerDetails.apiKey || !partnerDetails.apiEndpoint) {
+      throw new Error('Missing BlueDart API credentials');
+    }
+
+    const response = await axios.post(
+      `${partnerDetails.apiEndpoint}/pickup/register`,
+      {
+        ShipperName: pickupDetails.name,
+        ShipperAddress1: pickupDetails.address?.line1,
+        ShipperPin: pickupDetails.address?.pincode,
+        ShipperMobile: pickupDetails.phone,
+        PickupDate: pickupDetails.pickupDate,
+        PickupTime: pickupDetails.slot,
+        NumberOfPieces: pickupDetails.packageCount || (pickupDetails.awbs || []).length,
+        AWBNumbers: pickupDetails.awbs || [],
+        License_Key: partnerDetails.apiKey
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${partnerDetails.apiKey}`
+        }
+      }
+    );
+
+    if (response.data && response.data.success) {
+      return {
+        success: true,
+        pickupId: response.data.TokenNumber,
+        pickupDate: response.data.PickupDate || pickupDetails.pickupDate,
+        slot: pickupDetails.slot,
+        courierName: partnerDetails.name,
+        message: response.data.message || 'Pickup scheduled successfully'
+      };
+    } else {
+      throw new Error(response.data?.message || 'Unknown error from BlueDart API');
+    }
+  } catch (error) {
+    logger.error(`BlueDart pickup error: ${error.message}`);
+    return {
+      success: false,
+      error: error.message,
+      courierName: partnerDetails.name
+    };
+  }
+};
+
+/**
+ * Book a reverse pickup (customer return) with BlueDart
+ * @param {Object} returnDetails - Return reference, package, pickup (buyer) and consignee (seller) addresses
+ * @param {Object} partnerDetails - Partner configuration from the database
+ * @returns {Object} - Reverse shipment AWB and the courier's pickup ID
+ */
+export const bookReversePickup = async (returnDetails, partnerDetails) => {
+  try {
+    if (!partnerDetails || !partnerDetails.apiKey || !partnerDetails.apiEndpoint) {
+      throw new Error('Missing BlueDart API credentials');
+    }
+
+    const response = await axios.post(
+      `${partnerDetails.apiEndpoint}/shipment/reverse`,
+      {
+        ShipperName: returnDetails.pickup.name,
+        ShipperAddress1: returnDetails.pickup.address?.line1,
+        ShipperPin: returnDetails.pickup.address?.pincode,
+        ShipperMobile: returnDetails.pickup.phone,
+        ConsigneeName: returnDetails.consignee.name,
+        ConsigneeAddress1: returnDetails.consignee.address?.line1,
+        ConsigneePin: returnDetails.consignee.address?.pincode,
+        ConsigneeMobile: returnDetails.consignee.phone,
+        ReferenceNumber: returnDetails.referenceNumber,
+        OriginalAWBNumber: returnDetails.originalAwb,
+        ActualWeight: returnDetails.weight,
+        DeclaredValue: returnDetails.declaredValue || 0,
+        IsQCRequired: Boolean(returnDetails.qcRequired),
+        ReturnReason: returnDetails.reason,
+        License_Key: partnerDetails.apiKey
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${partnerDetails.apiKey}`
+        }
+      }
+    );
+
+    if (response.data && response.data.success) {
+      return {
+        success: true,
+        awb: response.data.AWBNumber,
+        pickupId: response.data.TokenNumber || null,
+        trackingUrl: partnerDetails.trackingUrl
+          ? `${partnerDetails.trackingUrl}${response.data.AWBNumber}`
+          : `https://www.bluedart.com/tracking/${response.data.AWBNumber}`,
+        courierName: partnerDetails.name,
+        message: response.data.message || 'Reverse pickup booked successfully'
+      };
+    } else {
+      throw new Error(response.data?.message || 'Unknown error from BlueDart API');
+    }
+  } catch (error) {
+    logger.error(`BlueDart reverse pickup error: ${error.message}`);
+    return {
+      success: false,
+      error: error.message,
+      courierName: partnerDetails.name
+    };
+  }
+};
+
+/**
+ * Push an NDR action (re-attempt, address/phone change, RTO) to BlueDart
+ * @param {string} awb - AWB number of the undelivered shipment
+ * @param {Object} action - Action details ({ type, reattemptDate, address, phone, remarks })
+ * @param {Object} partnerDetails - Partner configuration from the database
+ * @returns {Object} - Action response with the courier's reference ID
+ */
+export const submitNDRAction = async (awb, action, partnerDetails) => {
+  try {
+    if (!partnerDetails || !partnerDetails.apiKey || !partnerDetails.apiEndpoint) {
+      throw new Error('Missing BlueDart API credentials');
+    }
+
+    const response = await axios.post(
+      `${partnerDetails.apiEndpoint}/ndr/action`,
+      {
+        AWBNumber: awb,
+        Action: action.type,
+        ReattemptDate: action.reattemptDate,
+        Address: action.address,
+        Mobile: action.phone,
+        Remarks: action.remarks,
+        License_Key: partnerDetails.apiKey
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${partnerDetails.apiKey}`
+        }
+      }
+    );
+
+    if (response.data && response.data.success) {
+      return {
+        success: true,
+        awb,
+        action: action.type,
+        referenceId: response.data.ReferenceNumber,
+        courierName: partnerDetails.name,
+        message: response.data.message || 'NDR action submitted successfully'
+      };
+    } else {
+      throw new Error(response.data?.message || 'Unknown error from BlueDart API');
+    }
+  } catch (error) {
+    logger.error(`BlueDart NDR action error: ${error.message}`);
+    return {
+      success: false,
+      error: error.message,
+      courierName: partnerDetails.name
+    };
+  }
+};
+
+/**
+ * Parse a BlueDart tracking push into tracking events
+ * BlueDart pushes { statustracking: [{ Shipment: { WaybillNo, Status, StatusType, StatusDate, StatusTime, ScannedLocation, Instructions } }] }
+ * @param {Object} payload - Parsed webhook body
+ * @returns {Array} - Tracking events
+ */
+export const parseWebhook = (payload) => {
+  const entries = Array.isArray(payload.statustracking) ? payload.statustracking : [payload];
+
+  return entries
+    .map(entry => entry.Shipment || entry)
+    .filter(shipment => shipment.WaybillNo)
+    .map(shipment => ({
+      awb: shipment.WaybillNo,
+      status: shipment.Status,
+      code: shipment.StatusType,
+      timestamp: shipment.StatusDate ? new Date(`${shipment.StatusDate} ${shipment.StatusTime || ''}`.trim()) : new Date(),
+      location: shipment.ScannedLocation,
+      description: shipment.Instructions || shipment.Status
+    }));
+};
+
+export default defineCourierAdapter({
+  code: 'BLUEDART',
+  name: 'BlueDart',
+  statusMap,
+  ndrReasonMap,
   calculateRate,
   bookShipment,
-  trackShipment
-}; 
\ No newline at end of file
+  bookMultiPieceShipment,
+  trackShipment,
+  cancelShipment,
+  generateManifest,
+  schedulePickup,
+  bookReversePickup,
+  submitNDRAction,
+  parseWebhook
+});
@@ -0,0 +1,140 @@
+import ShippingPartner from '../modules/admin/models/shippingPartner.model.js';
+import { getCache, setCache, deleteCache } from './redis.js';
+
+const VOLUMETRIC_RULES_CACHE_KEY = 'volumetric_rules';
+const VOLUMETRIC_RULES_CACHE_TTL = 1800; // 30 minutes, like partner details
+
+// Used for couriers and modes without a rule of their own
+export const DEFAULT_VOLUMETRIC_RULE = {
+  divisor: 5000,
+  minimumChargeableWeight: 0,
+  roundingStep: 0
+};
+
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+// Courier code of a shipping partner, as used on rate cards (e.g. 'Swiggy Genie' -> 'SWIGGY_GENIE')
+export const toCourierCode = (name) => (name || '').trim().toUpperCase().replace(/\s+/g, '_');
+
+/**
+ * Volumetric rule of a shipping partner (document or partner details) for a service mode
+ * @param {Object} partner - Shipping partner with rates and volumetric settings
+ * @param {string} mode - 'air' or 'surface'
+ * @returns {Object} - { divisor, minimumChargeableWeight, roundingStep }
+ */
+export const partnerVolumetricRule = (partner, mode = 'surface') => {
+  // Partners configured before per-mode rules existed keep their single dimensional factor
+  const legacy = partner?.rates?.dimensionalFactor
+    ? { ...DEFAULT_VOLUMETRIC_RULE, divisor: partner.rates.dimensionalFactor }
+    : DEFAULT_VOLUMETRIC_RULE;
+
+  return { ...legacy, ...partner?.volumetric?.[mode] };
+};
+
+/**
+ * Volumetric rules of every shipping partner, keyed by courier code
+ * @returns {Promise<Object>} - { [courierCode]: { air, surface } }
+ */
+export const getVolumetricRules = async () => {
+  const cached = await getCache(VOLUMETRIC_RULES_CACHE_KEY);
+  if (cached) return cached;
+
+  const partners = await ShippingPartner.find({}).select('name rates.dimensionalFactor volumetric').lean();
+
+  const rules = {};
+  for (const partner of partners) {
+    rules[toCourierCode(partner.name)] = {
+      air: partnerVolumetricRule(partner, 'air'),
+      surface: partnerVolumetricRule(partner, 'surface')
+    };
+  }
+
+  await setCache(VOLUMETRIC_RULES_CACHE_KEY, rules, VOLUMETRIC_RULES_CACHE_TTL);
+  return rules;
+};
+
+// Must be called whenever a shipping partner's volumetric settings change
+export const clearVolumetricRulesCache = () => deleteCache(VOLUMETRIC_RULES_CACHE_KEY);
+
+/**
+ * Volumetric rule of a courier for a service mode
+ * @param {string} courier - Courier code or partner name
+ * @param {string} mode - 'air' or 'surface'
+ * @returns {Promise<Object>} - { divisor, minimumChargeableWeight, roundingStep }
+ */
+export const getVolumetricRule = async (courier, mode = 'surface') => {
+  const rules = await getVolumetricRules();
+  return rules[toCourierCode(courier)]?.[mode] || DEFAULT_VOLUMETRIC_RULE;
+};
+
+// Raise a weight to the minimum chargeable weight and round it up to the rounding step
+const applyWeightRule = (weight, { minimumChargeableWeight, roundingStep }) => {
+  let chargeableWeight = Math.max(weight, minimumChargeableWeight);
+  if (roundingStep > 0) {
+    chargeableWeight = Math.ceil(round3(chargeableWeight / roundingStep)) * roundingStep;
+  }
+  return round3(chargeableWeight);
+};
+
+const volumetricWeightOf = (dimensions, divisor) => {
+  const { length, width, height } = dimensions || {};
+  return length && width && height
+    ? round3((Number(length) * Number(width) * Number(height)) / divisor)
+    : 0;
+};
+
+/**
+ * Chargeable weight of a package: the higher of actual and volumetric weight,
+ * raised to the minimum chargeable weight and rounded up to the rounding step.
+ * A multi-piece package is weighed box by box (the higher of each box's actual and
+ * volumetric weight) and the minimum and rounding apply to the total.
+ * @param {Object} pkg - { weight (kg), dimensions: { length, width, height } (cm) } or { pieces: [{ weight, dimensions }] }
+ * @param {Object} rule - Volumetric rule
+ * @returns {Object} - { actualWeight, volumetricWeight, chargeableWeight, divisor, minimumChargeableWeight, roundingStep,
+ *   pieces: [{ actualWeight, volumetricWeight, chargeableWeight }] for multi-piece packages }
+ */
+export const calculateChargeableWeight = ({ weight, dimensions, pieces } = {}, rule = DEFAULT_VOLUMETRIC_RULE) => {
+  const settings = { ...DEFAULT_VOLUMETRIC_RULE, ...rule };
+  const { divisor, minimumChargeableWeight, roundingStep } = settings;
+
+  if (pieces?.length) {
+    const pieceWeights = pieces.map(piece => {
+      const actualWeight = Number(piece.weight) || 0;
+      const volumetricWeight = volumetricWeightOf(piece.dimensions, divisor);
+      return { actualWeight, volumetricWeight, chargeableWeight: Math.max(actualWeight, volumetricWeight) };
+    });
+    const total = (field) => round3(pieceWeights.reduce((sum, piece) => sum + piece[field], 0));
+
+    return {
+      actualWeight: total('actualWeight'),
+      volumetricWeight: total('volumetricWeight'),
+      chargeableWeight: applyWeightRule(total('chargeableWeight'), settings),
+      divisor,
+      minimumChargeableWeight,
+      roundingStep,
+      pieces: pieceWeights
+    };
+  }
+
+  const actualWeight = Number(weight) || 0;
+  const volumetricWeight = volumetricWeightOf(dimensions, divisor);
+
+  return {
+    actualWeight,
+    volumetricWeight,
+    chargeableWeight: applyWeightRule(Math.max(actualWeight, volumetricWeight), settings),
+    divisor,
+    minimumChargeableWeight,
+    roundingStep
+  };
+};
+
+/**
+ * Chargeable weight of a package for a courier and service mode
+ * @param {string} courier - Courier code or partner name
+ * @param {string} mode - 'air' or 'surface'
+ * @param {Object} pkg - { weight, dimensions } or { pieces }
+ * @returns {Promise<Object>} - See calculateChargeableWeight
+ */
+export const getChargeableWeight = async (courier, mode, pkg) =>
+  calculateChargeableWeight(pkg, await getVolumetricRule(courier, mode));
@@ -0,0 +1,198 @@
+import { mapCourierStatus } from './shipmentStatus.js';
+
+/**
+ * Courier adapter contract.
+ *
+ * Every courier integration exports a default adapter created with
+ * `defineCourierAdapter`. The adapter is registered in `courierRegistry.js`
+ * and is the only place that knows how to talk to that courier's API.
+ *
+ * Required methods (all receive the partner configuration as last argument):
+ *   calculateRate(packageDetails, deliveryDetails, partnerDetails)
+ *     -> { success, provider, totalRate, breakdown }
+ *   bookShipment(shipmentDetails, partnerDetails)
+ *     -> { success, awb, trackingUrl, label, courierName, routingCode? }
+ *   trackShipment(trackingNumber, partnerDetails)
+ *     -> { success, awb, status, currentLocation, trackingHistory: [{ status, timestamp, location, description }] }
+ *
+ * Optional status table used to translate courier statuses into the canonical
+ * vocabulary in shipmentStatus.js:
+ *   statusMap: { codes: { DL: 'Delivered', ... }, statuses: { 'dispatched': 'Out for Delivery', ... } }
+ *
+ * Optional table sorting the courier's non-delivery reasons into NDR reason
+ * categories (see utils/ndr.js; the shipping partner's `ndrReasons` take precedence):
+ *   ndrReasonMap: { codes: { 'EOD-11': 'Customer Not Available', ... }, keywords: { 'door locked': ..., ... } }
+ *
+ * Optional capabilities:
+ *   cancelShipment(awb, partnerDetails)            -> { success, awb, referenceId }
+ *   generateManifest(awbs, partnerDetails)         -> { success, manifestId, awbs, manifest }
+ *   schedulePickup(pickupDetails, partnerDetails)  -> { success, pickupId, pickupDate, slot }
+ *   bookReversePickup(returnDetails, partnerDetails) -> { success, awb, pickupId, trackingUrl }
+ *   bookMultiPieceShipment(shipmentDetails, partnerDetails)
+ *     -> { success, awb, childAwbs, trackingUrl, label, courierName, routingCode? }
+ *     shipmentDetails also carries pieces: [{ number, weight, dimensions, reference }]; `awb` is the
+ *     master AWB and childAwbs holds one AWB per piece, in the order of the pieces
+ *   submitNDRAction(awb, action, partnerDetails)   -> { success, awb, action, referenceId }
+ *   parseWebhook(payload, headers)                  -> [{ awb, status, code, timestamp, location, description }]
+ */
+
+// Methods every adapter must implement
+export const REQUIRED_METHODS = ['calculateRate', 'bookShipment', 'trackShipment'];
+
+// Optional capabilities mapped to the adapter method implementing them
+export const COURIER_CAPABILITIES = {
+  CANCEL: 'cancelShipment',
+  MANIFEST: 'generateManifest',
+  PICKUP: 'schedulePickup',
+  REVERSE_PICKUP: 'bookReversePickup',
+  MULTI_PIECE: 'bookMultiPieceShipment',
+  NDR_ACTION: 'submitNDRAction',
+  WEBHOOK: 'parseWebhook'
+};
+
+// Actions that can be pushed to a courier for an undelivered shipment
+export const NDR_ACTION_TYPES = {
+  REATTEMPT: 'REATTEMPT',
+  CHANGE_ADDRESS: 'CHANGE_ADDRESS',
+  CHANGE_PHONE: 'CHANGE_PHONE',
+  RTO: 'RTO'
+};
+
+/**
+ * Bring a rate quote to the contract shape (legacy quotes used `total`)
+ * @param {Object} quote - Rate quote returned by the adapter
+ * @returns {Object|null} - Normalized quote
+ */
+export const normalizeRateQuote = (quote) => {
+  if (!quote) return null;
+
+  const totalRate = quote.totalRate ?? quote.total;
+
+  return {
+    ...quote,
+    success: quote.success !== false,
+    totalRate: typeof totalRate === 'string' ? parseFloat(totalRate) : totalRate,
+    breakdown: quote.breakdown || {}
+  };
+};
+
+/**
+ * Bring a tracking response to the contract shape (legacy responses used `history`)
+ * and translate courier statuses into the canonical vocabulary
+ * @param {Object} result - Tracking response returned by the adapter
+ * @param {string} trackingNumber - The AWB that was tracked
+ * @param {Object} statusMap - The adapter's status table
+ * @returns {Object} - Normalized tracking response
+ */
+export const normalizeTrackingResult = (result, trackingNumber, statusMap = {}) => {
+  if (!result || !result.success) return result;
+
+  const { history, ...rest } = result;
+  const events = result.trackingHistory || history || [];
+
+  return {
+    ...rest,
+    awb: result.awb || trackingNumber,
+    rawStatus: result.status,
+    status: mapCourierStatus({ status: result.status, code: result.statusCode }, statusMap),
+    trackingHistory: events.map(event => ({
+      status: mapCourierStatus({ status: event.status, code: event.code || event.statusCode }, statusMap) || event.status,
+      rawStatus: event.status,
+      statusCode: event.code || event.statusCode,
+      timestamp: event.timestamp ? new Date(event.timestamp) : new Date(),
+      location: event.location,
+      description: event.description || event.statusDetail
+    }))
+  };
+};
+
+/**
+ * Group the events parsed from a courier webhook into one tracking update per AWB,
+ * translated into the canonical vocabulary
+ * @param {Array} events - Events returned by the adapter's parseWebhook
+ * @param {Object} statusMap - The adapter's status table
+ * @returns {Array} - [{ awb, status, rawStatus, location, timestamp, description, trackingHistory }]
+ */
+export const normalizeWebhookEvents = (events, statusMap = {}) => {
+  const updates = new Map();
+
+  (Array.isArray(events) ? events : [])
+    .filter(event => event && event.awb)
+    .forEach(event => {
+      const awb = event.awb.toString().trim();
+      const trackingEvent = {
+        status: mapCourierStatus({ status: event.status, code: event.code }, statusMap) || event.status,
+        rawStatus: event.status,
+        statusCode: event.code,
+        timestamp: event.timestamp ? new Date(event.timestamp) : new Date(),
+        location: event.location,
+        description: event.description
+      };
+
+      if (!updates.has(awb)) updates.set(awb, []);
+      updates.get(awb).push(trackingEvent);
+    });
+
+  return [...updates.entries()].map(([awb, trackingHistory]) => {
+    const latest = [...trackingHistory].sort((a, b) => b.timestamp - a.timestamp)[0];
+    return {
+      awb,
+      status: mapCourierStatus({ status: latest.rawStatus, code: latest.statusCode }, statusMap),
+      rawStatus: latest.rawStatus,
+      location: latest.location,
+      timestamp: latest.timestamp,
+      description: latest.description,
+      trackingHistory
+    };
+  });
+};
+
+/**
+ * Validate a courier adapter and wrap it so its responses follow the contract
+ * @param {Object} adapter - Adapter definition ({ code, name, ...methods })
+ * @returns {Object} - Frozen adapter with a `capabilities` list
+ */
+export const defineCourierAdapter = (adapter) => {
+  if (!adapter || typeof adapter.code !== 'string' || !adapter.code.trim()) {
+    throw new Error('Courier adapter must have a code');
+  }
+
+  const code = adapter.code.trim().toUpperCase();
+
+  const missing = REQUIRED_METHODS.filter(method => typeof adapter[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Courier adapter ${code} is missing required methods: ${missing.join(', ')}`);
+  }
+
+  const capabilities = Object.values(COURIER_CAPABILITIES)
+    .filter(method => typeof adapter[method] === 'function');
+
+  const wrapped = {
+    ...adapter,
+    code,
+    name: adapter.name || code,
+    capabilities,
+    statusMap: adapter.statusMap || {},
+    ndrReasonMap: adapter.ndrReasonMap || {},
+    calculateRate: async (...args) => normalizeRateQuote(await adapter.calculateRate(...args)),
+    trackShipment: async (trackingNumber, ...args) =>
+      normalizeTrackingResult(await adapter.trackShipment(trackingNumber, ...args), trackingNumber, adapter.statusMap)
+  };
+
+  if (typeof adapter.parseWebhook === 'function') {
+    wrapped.parseWebhook = (payload, headers = {}) =>
+      normalizeWebhookEvents(adapter.parseWebhook(payload || {}, headers), adapter.statusMap);
+  }
+
+  return Object.freeze(wrapped);
+};
+
+export default {
+  REQUIRED_METHODS,
+  COURIER_CAPABILITIES,
+  NDR_ACTION_TYPES,
+  defineCourierAdapter,
+  normalizeRateQuote,
+  normalizeTrackingResult,
+  normalizeWebhookEvents
+};
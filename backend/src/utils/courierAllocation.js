@@ -0,0 +1,311 @@
+import ShippingPartner from '../modules/admin/models/shippingPartner.model.js';
+import CourierSetting from '../modules/seller/models/courierSetting.model.js';
+import AllocationRule from '../modules/seller/models/allocationRule.model.js';
+import { calculateCourierRates } from './courierRates.js';
+import { toCourierCode } from './chargeableWeight.js';
+import { normalizeName } from './zoneMatrix.js';
+import { getPincodeDetails } from './pincode.js';
+import { supportsCapability } from './courierRegistry.js';
+import { COURIER_CAPABILITIES } from './courierAdapter.js';
+
+// Share of each input in the balanced score (used when no seller rule decides)
+export const BALANCED_SCORE_WEIGHTS = {
+  cost: 0.5,
+  deliverySuccess: 0.3,
+  performanceScore: 0.2
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Lane serviceability from the pincode serviceability matrix, and the seller's own pincode list
+const getServiceabilityIssues = (quote, setting, shipment) => {
+  const issues = [...(quote.serviceability?.reasons || [])];
+  if (setting?.serviceablePincodes?.length && !setting.serviceablePincodes.includes(shipment.deliveryPincode)) {
+    issues.push('Destination pincode is not in your serviceable pincodes for this courier');
+  }
+  return issues;
+};
+
+const getDimensionIssues = (limits = {}, dimensions) => {
+  if (!dimensions) return [];
+
+  const { length = 0, width = 0, height = 0 } = dimensions;
+  const issues = [];
+  if (limits.maxLength && length > limits.maxLength) issues.push(`Length ${length} cm exceeds the courier's ${limits.maxLength} cm limit`);
+  if (limits.maxWidth && width > limits.maxWidth) issues.push(`Width ${width} cm exceeds the courier's ${limits.maxWidth} cm limit`);
+  if (limits.maxHeight && height > limits.maxHeight) issues.push(`Height ${height} cm exceeds the courier's ${limits.maxHeight} cm limit`);
+  if (limits.maxSum && length + width + height > limits.maxSum) {
+    issues.push(`Dimensions sum ${length + width + height} cm exceeds the courier's ${limits.maxSum} cm limit`);
+  }
+  return issues;
+};
+
+// Reasons a quoted courier cannot carry the shipment (empty when eligible)
+const getIneligibilityReasons = (quote, partner, setting, shipment) => {
+  const reasons = [];
+  const weight = quote.weights?.chargeableWeight ?? quote.weight;
+
+  if (!partner) {
+    return ['No shipping partner is configured for this courier'];
+  }
+
+  if (partner.apiStatus !== 'active') {
+    reasons.push(`Courier is ${partner.apiStatus}`);
+  }
+
+  const { min, max } = partner.weightLimits || {};
+  if ((min !== undefined && weight < min) || (max !== undefined && weight > max)) {
+    reasons.push(`Chargeable weight ${weight} kg is outside the courier's ${min}-${max} kg limit`);
+  }
+
+  if (shipment.pieces?.length > 1) {
+    if (!supportsCapability(quote.courierCode, COURIER_CAPABILITIES.MULTI_PIECE)) {
+      reasons.push('Courier does not support multi-piece shipments');
+    }
+    // Limits apply to every box
+    shipment.pieces.forEach((piece, index) => {
+      reasons.push(...getDimensionIssues(partner.dimensionLimits, piece.dimensions).map(issue => `Box ${index + 1}: ${issue}`));
+    });
+  } else {
+    reasons.push(...getDimensionIssues(partner.dimensionLimits, shipment.dimensions));
+  }
+
+  if (shipment.isCOD && partner.codSupported === false) {
+    reasons.push('Courier does not support COD');
+  }
+
+  reasons.push(...getServiceabilityIssues(quote, setting, shipment));
+
+  if (setting) {
+    if (!setting.isActive) reasons.push('Disabled in your courier settings');
+    if (setting.maxWeight && weight > setting.maxWeight) {
+      reasons.push(`Chargeable weight ${weight} kg exceeds your ${setting.maxWeight} kg limit for this courier`);
+    }
+    if (setting.maxValue && shipment.orderValue > setting.maxValue) {
+      reasons.push(`Order value ₹${shipment.orderValue} exceeds your ₹${setting.maxValue} limit for this courier`);
+    }
+  }
+
+  return reasons;
+};
+
+// Every condition that is set must hold
+const matchesRule = (rule, shipment, zone) => {
+  const conditions = rule.conditions || {};
+
+  if (conditions.paymentMode && conditions.paymentMode !== (shipment.isCOD ? 'COD' : 'Prepaid')) return false;
+  if (conditions.zones?.length && !conditions.zones.includes(zone)) return false;
+  if (conditions.destinationStates?.length &&
+    !conditions.destinationStates.some(state => normalizeName(state) === normalizeName(shipment.deliveryState))) return false;
+  if (conditions.destinationPincodes?.length && !conditions.destinationPincodes.includes(shipment.deliveryPincode)) return false;
+  if (conditions.minWeight !== undefined && conditions.minWeight !== null && shipment.weight < conditions.minWeight) return false;
+  if (conditions.maxWeight !== undefined && conditions.maxWeight !== null && shipment.weight > conditions.maxWeight) return false;
+  if (conditions.minOrderValue !== undefined && conditions.minOrderValue !== null && shipment.orderValue < conditions.minOrderValue) return false;
+  if (conditions.maxOrderValue !== undefined && conditions.maxOrderValue !== null && shipment.orderValue > conditions.maxOrderValue) return false;
+
+  return true;
+};
+
+// Reason a candidate is left out by a rule's thresholds and exclusions (null when kept)
+const getRuleFilterReason = (candidate, action = {}) => {
+  if (action.excludeCouriers?.includes(candidate.courierCode)) {
+    return 'Excluded by the rule';
+  }
+  if (action.minDeliverySuccess && candidate.deliverySuccess < action.minDeliverySuccess) {
+    return `Delivery success ${candidate.deliverySuccess}% is below the rule's ${action.minDeliverySuccess}%`;
+  }
+  if (action.minPerformanceScore && candidate.performanceScore < action.minPerformanceScore) {
+    return `Performance score ${candidate.performanceScore} is below the rule's ${action.minPerformanceScore}`;
+  }
+  return null;
+};
+
+/**
+ * Order candidates by a strategy and explain each position
+ * @param {Array} candidates - Eligible candidates
+ * @param {string} strategy - One of ALLOCATION_STRATEGIES
+ * @param {Object} rule - The rule that decided, if any
+ * @returns {Array} - Ranked candidates with reasons
+ */
+const rankCandidates = (candidates, strategy, rule = null) => {
+  const cheapest = Math.min(...candidates.map(candidate => candidate.total));
+  const preferred = rule?.action?.couriers || [];
+  const preferenceIndex = (candidate) => {
+    const index = preferred.indexOf(candidate.courierCode);
+    return index === -1 ? Infinity : index;
+  };
+
+  const scored = candidates.map(candidate => ({
+    ...candidate,
+    score: round2(
+      BALANCED_SCORE_WEIGHTS.cost * (candidate.total > 0 ? (cheapest / candidate.total) * 100 : 100) +
+      BALANCED_SCORE_WEIGHTS.deliverySuccess * candidate.deliverySuccess +
+      BALANCED_SCORE_WEIGHTS.performanceScore * candidate.performanceScore
+    )
+  }));
+
+  const comparators = {
+    preferred: (a, b) => preferenceIndex(a) - preferenceIndex(b) || a.total - b.total,
+    cheapest: (a, b) => a.total - b.total || b.deliverySuccess - a.deliverySuccess,
+    best_performance: (a, b) => b.performanceScore - a.performanceScore || b.deliverySuccess - a.deliverySuccess || a.total - b.total,
+    balanced: (a, b) => b.score - a.score || a.total - b.total
+  };
+
+  return scored
+    .sort(comparators[strategy] || comparators.balanced)
+    .map((candidate, index) => {
+      const reasons = [];
+
+      if (strategy === 'preferred') {
+        const position = preferenceIndex(candidate);
+        reasons.push(position === Infinity
+          ? `Not a preferred courier of rule "${rule.name}"`
+          : `Preferred courier #${position + 1} of rule "${rule.name}"`);
+      }
+
+      reasons.push(candidate.total === cheapest
+        ? 'Cheapest eligible option'
+        : `₹${round2(candidate.total - cheapest)} more than the cheapest option`);
+      reasons.push(`Delivery success ${candidate.deliverySuccess}%, performance score ${candidate.performanceScore}`);
+
+      if (strategy === 'balanced') {
+        reasons.push(`Balanced score ${candidate.score} (cost ${BALANCED_SCORE_WEIGHTS.cost * 100}%, delivery success ${BALANCED_SCORE_WEIGHTS.deliverySuccess * 100}%, performance ${BALANCED_SCORE_WEIGHTS.performanceScore * 100}%)`);
+      }
+      if (rule?.action?.minDeliverySuccess) {
+        reasons.push(`Meets the rule's minimum delivery success of ${rule.action.minDeliverySuccess}%`);
+      }
+
+      return { rank: index + 1, ...candidate, reasons };
+    });
+};
+
+/**
+ * Rank the couriers that can carry a shipment for a seller, applying the seller's allocation rules
+ * @param {Object} options - { sellerId, weight, dimensions, pieces, pickupPincode, deliveryPincode, isCOD, orderValue }
+ *   (pieces: [{ weight, dimensions }] of a multi-piece shipment)
+ * @returns {Promise<Object>} - { zone, zoneRule, rule, strategy, evaluatedRules, recommended, ranking, ineligible }
+ */
+export const allocateCourier = async ({
+  sellerId,
+  weight,
+  dimensions,
+  pieces,
+  pickupPincode,
+  deliveryPincode,
+  isCOD = false,
+  orderValue = 0
+}) => {
+  const [quotes, partners, settings, rules, delivery] = await Promise.all([
+    calculateCourierRates({
+      weight,
+      dimensions,
+      pieces,
+      pickupPincode,
+      deliveryPincode,
+      isCOD,
+      codAmount: isCOD ? orderValue : 0,
+      sellerId,
+      includeUnserviceable: true
+    }),
+    ShippingPartner.find({})
+      .select('name apiStatus deliverySuccess performanceScore weightLimits dimensionLimits codSupported')
+      .lean(),
+    CourierSetting.find({ seller: sellerId }).lean(),
+    AllocationRule.find({ seller: sellerId, isActive: true }).sort({ priority: 1, createdAt: 1 }).lean(),
+    getPincodeDetails(deliveryPincode)
+  ]);
+
+  const shipment = {
+    weight: pieces?.length ? pieces.reduce((total, piece) => total + Number(piece.weight), 0) : Number(weight),
+    dimensions,
+    pieces,
+    pickupPincode: String(pickupPincode),
+    deliveryPincode: String(deliveryPincode),
+    deliveryState: delivery?.state || null,
+    isCOD,
+    orderValue: Number(orderValue) || 0
+  };
+
+  const partnersByCode = new Map(partners.map(partner => [toCourierCode(partner.name), partner]));
+  const settingsByCode = new Map(settings.map(setting => [toCourierCode(setting.courierName), setting]));
+
+  const eligible = [];
+  const ineligible = [];
+  for (const quote of quotes) {
+    const partner = partnersByCode.get(quote.courierCode);
+    const candidate = {
+      courier: quote.courier,
+      courierCode: quote.courierCode,
+      mode: quote.mode,
+      total: quote.total,
+      chargeableWeight: quote.weights?.chargeableWeight ?? quote.weight,
+      deliverySuccess: partner?.deliverySuccess || 0,
+      performanceScore: partner?.performanceScore || 0,
+      quote
+    };
+
+    const reasons = getIneligibilityReasons(quote, partner, settingsByCode.get(quote.courierCode), shipment);
+    if (reasons.length) {
+      ineligible.push({ ...candidate, reasons });
+    } else {
+      eligible.push(candidate);
+    }
+  }
+
+  const zone = quotes[0]?.zone || null;
+  const evaluatedRules = [];
+  let decidingRule = null;
+  let candidates = eligible;
+
+  for (const rule of rules) {
+    const summary = { id: rule._id, name: rule.name, priority: rule.priority, matched: false, applied: false };
+    evaluatedRules.push(summary);
+
+    if (!matchesRule(rule, shipment, zone)) {
+      summary.note = 'Conditions not met';
+      continue;
+    }
+    summary.matched = true;
+
+    const kept = [];
+    const filteredOut = [];
+    for (const candidate of eligible) {
+      const reason = getRuleFilterReason(candidate, rule.action);
+      if (reason) filteredOut.push({ courierCode: candidate.courierCode, mode: candidate.mode, reason });
+      else kept.push(candidate);
+    }
+
+    const strategy = rule.action?.strategy || 'cheapest';
+    if (strategy === 'preferred' && !kept.some(candidate => rule.action.couriers?.includes(candidate.courierCode))) {
+      summary.note = 'No preferred courier is eligible, trying the next rule';
+      summary.filteredOut = filteredOut;
+      continue;
+    }
+    if (!kept.length) {
+      summary.note = 'No eligible courier left after the rule\'s filters, trying the next rule';
+      summary.filteredOut = filteredOut;
+      continue;
+    }
+
+    summary.applied = true;
+    summary.filteredOut = filteredOut;
+    decidingRule = rule;
+    candidates = kept;
+    break;
+  }
+
+  const strategy = decidingRule ? decidingRule.action?.strategy || 'cheapest' : 'balanced';
+  const ranking = candidates.length ? rankCandidates(candidates, strategy, decidingRule) : [];
+
+  return {
+    zone,
+    zoneRule: quotes[0]?.zoneRule || null,
+    shipment,
+    rule: decidingRule ? { id: decidingRule._id, name: decidingRule.name } : null,
+    strategy,
+    evaluatedRules,
+    recommended: ranking[0] || null,
+    ranking,
+    ineligible
+  };
+};
@@ -1,31 +1,19 @@
 import { getPartnerDetails } from './shipping.js';
-import * as bluedart from './bluedart.js';
-import * as delhivery from './delhivery.js';
-import * as dtdc from './dtdc.js';
-import * as ekart from './ekart.js';
-import * as xpressbees from './xpressbees.js';
+import { getCourierAdapter } from './courierRegistry.js';
+import { COURIER_CAPABILITIES } from './courierAdapter.js';
 import { logger } from './logger.js';
 
-// Map of courier codes to their respective modules
-const courierModules = {
-  BLUEDART: bluedart,
-  DELHIVERY: delhivery,
-  DTDC: dtdc,
-  EKART: ekart,
-  XPRESSBEES: xpressbees
-};
-
 /**
  * Courier factory that returns the appropriate courier service handler
  * based on the courier code
  * @param {string} courierCode - The courier code (e.g., 'BLUEDART', 'DELHIVERY')
  * @returns {Object} - The courier handler with methods for rate calculation, booking, etc.
+ *   Optional capabilities (cancelShipment, generateManifest, schedulePickup, bookReversePickup,
+ *   bookMultiPieceShipment, submitNDRAction)
+ *   are only present when the courier's adapter implements them.
  */
 export const getCourierHandler = async (courierCode) => {
   try {
-    // Standardize courier code
-    const normalizedCode = courierCode.toUpperCase();
-    
     // Get partner configuration from database
     const partnerDetails = await getPartnerDetails(courierCode);
     
@@ -33,23 +21,55 @@ export const getCourierHandler = async (courierCode) => {
       throw new Error(`Partner configuration not found for ${courierCode}`);
     }
     
-    // Check if courier module exists
-    const courierModule = courierModules[normalizedCode];
+    // Check if a courier adapter is registered
+    const adapter = getCourierAdapter(courierCode);
     
-    if (!courierModule) {
-      throw new Error(`Courier module not found for ${courierCode}`);
+    if (!adapter) {
+      throw new Error(`Courier adapter not found for ${courierCode}`);
+    }
+    
+    // Bind optional capabilities the adapter supports
+    const capabilityHandlers = {};
+    if (adapter.capabilities.includes(COURIER_CAPABILITIES.CANCEL)) {
+      capabilityHandlers.cancelShipment = (awb) =>
+        adapter.cancelShipment(awb, partnerDetails);
+    }
+    if (adapter.capabilities.includes(COURIER_CAPABILITIES.MANIFEST)) {
+      capabilityHandlers.generateManifest = (awbs) =>
+        adapter.generateManifest(awbs, partnerDetails);
+    }
+    if (adapter.capabilities.includes(COURIER_CAPABILITIES.PICKUP)) {
+      capabilityHandlers.schedulePickup = (pickupDetails) =>
+        adapter.schedulePickup(pickupDetails, partnerDetails);
+    }
+    if (adapter.capabilities.includes(COURIER_CAPABILITIES.REVERSE_PICKUP)) {
+      capabilityHandlers.bookReversePickup = (returnDetails) =>
+        adapter.bookReversePickup(returnDetails, partnerDetails);
+    }
+    if (adapter.capabilities.includes(COURIER_CAPABILITIES.MULTI_PIECE)) {
+      capabilityHandlers.bookMultiPieceShipment = (shipmentDetails) =>
+        adapter.bookMultiPieceShipment(shipmentDetails, partnerDetails);
+    }
+    if (adapter.capabilities.includes(COURIER_CAPABILITIES.NDR_ACTION)) {
+      capabilityHandlers.submitNDRAction = (awb, action) =>
+        adapter.submitNDRAction(awb, action, partnerDetails);
     }
     
     // Return a handler with methods that use the partner details
     return {
       calculateRate: (packageDetails, deliveryDetails) => 
-        courierModule.calculateRate(packageDetails, deliveryDetails, partnerDetails),
+        adapter.calculateRate(packageDetails, deliveryDetails, partnerDetails),
       
       bookShipment: (shipmentDetails) => 
-        courierModule.bookShipment(shipmentDetails, partnerDetails),
+        adapter.bookShipment(shipmentDetails, partnerDetails),
       
       trackShipment: (trackingNumber) => 
-        courierModule.trackShipment(trackingNumber, partnerDetails),
+        adapter.trackShipment(trackingNumber, partnerDetails),
+      
+      ...capabilityHandlers,
+      
+      code: adapter.code,
+      capabilities: adapter.capabilities,
       
       partnerDetails: {
         id: partnerDetails.id,
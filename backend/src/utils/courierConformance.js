@@ -0,0 +1,291 @@
+import assert from 'assert/strict';
+import { COURIER_CAPABILITIES, NDR_ACTION_TYPES, REQUIRED_METHODS } from './courierAdapter.js';
+import { SHIPMENT_STATUSES } from './shipmentStatus.js';
+
+/**
+ * Courier adapter conformance checks.
+ *
+ * Each check runs an adapter against the local mock courier server
+ * (scripts/mock-courier-server.js) and asserts that its responses follow the
+ * contract in courierAdapter.js. Checks tied to a capability only apply to
+ * adapters that declare it. They run in order and share a context, so the
+ * AWB booked by one is tracked and cancelled by the next. They are run by
+ * `npm test` (tests/courierConformance.test.js) and, for an adapter under
+ * development, by scripts/courier-conformance.js.
+ */
+
+const samplePackage = {
+  weight: 1.2,
+  dimensions: { length: 20, width: 15, height: 10 },
+  paymentMode: 'COD',
+  cod: true,
+  declaredValue: 999
+};
+
+const sampleDelivery = {
+  pickupPincode: '110001',
+  deliveryPincode: '400001'
+};
+
+const sampleAddress = (name, pincode) => ({
+  line1: `${name} Street`,
+  line2: '',
+  city: 'Mumbai',
+  state: 'Maharashtra',
+  pincode,
+  country: 'India'
+});
+
+const sampleShipment = {
+  referenceNumber: `CONF-${Date.now()}`,
+  serviceType: 'Standard',
+  weight: samplePackage.weight,
+  dimensions: samplePackage.dimensions,
+  declaredValue: samplePackage.declaredValue,
+  cod: true,
+  codAmount: 999,
+  consignee: {
+    name: 'Conformance Buyer',
+    phone: '9999999999',
+    email: 'buyer@example.com',
+    address: sampleAddress('Buyer', sampleDelivery.deliveryPincode)
+  },
+  shipper: {
+    name: 'Conformance Seller',
+    phone: '8888888888',
+    email: 'seller@example.com',
+    address: sampleAddress('Seller', sampleDelivery.pickupPincode)
+  }
+};
+
+export const buildPartnerDetails = (adapter, apiEndpoint) => ({
+  id: `conformance-${adapter.code.toLowerCase()}`,
+  name: adapter.name,
+  apiKey: 'conformance-key',
+  apiEndpoint,
+  serviceTypes: ['Standard', 'Express'],
+  weightLimits: { min: 0, max: 50 },
+  dimensionLimits: {},
+  rates: { baseRate: 50, weightRate: 20, dimensionalFactor: 5000 },
+  zones: [],
+  trackingUrl: 'https://tracking.example.com/'
+});
+
+// Sample delivered-event webhook bodies for the built-in couriers
+const webhookSamples = {
+  BLUEDART: (awb) => ({ statustracking: [{ Shipment: { WaybillNo: awb, Status: 'Shipment Delivered', StatusType: 'DL', StatusDate: '2024-01-10', StatusTime: '14:30', ScannedLocation: 'Mumbai' } }] }),
+  DELHIVERY: (awb) => ({ Shipment: { AWB: awb, NSLCode: 'EOD-38', Status: { Status: 'Delivered', StatusDateTime: '2024-01-10T14:30:00', StatusLocation: 'Mumbai' } } }),
+  DTDC: (awb) => ({ strShipmentNo: awb, strAction: 'DLV', strActionDesc: 'Delivered', strActionDateTime: '2024-01-10T14:30:00', strOrigin: 'Mumbai' }),
+  EKART: (awb) => ({ tracking_id: awb, status: 'delivered', event_date: '2024-01-10T14:30:00', location: 'Mumbai' }),
+  XPRESSBEES: (awb) => ({ awb_number: awb, status: 'Delivered', status_code: 'DLVD', event_time: '2024-01-10T14:30:00', location: 'Mumbai' })
+};
+
+const isValidDate = (value) => value instanceof Date && !Number.isNaN(value.getTime());
+
+// Individual contract checks; each receives the adapter and the shared context
+export const CONFORMANCE_CHECKS = [
+  {
+    name: 'defines code, name, required methods and capabilities',
+    run: async (adapter) => {
+      assert.equal(typeof adapter.code, 'string');
+      assert.equal(adapter.code, adapter.code.toUpperCase(), 'code must be upper case');
+      assert.equal(typeof adapter.name, 'string');
+      REQUIRED_METHODS.forEach(method => assert.equal(typeof adapter[method], 'function', `${method} missing`));
+      assert.ok(Array.isArray(adapter.capabilities), 'capabilities must be an array');
+      adapter.capabilities.forEach(capability => {
+        assert.ok(Object.values(COURIER_CAPABILITIES).includes(capability), `unknown capability ${capability}`);
+      });
+    }
+  },
+  {
+    name: 'calculateRate returns a numeric totalRate and a breakdown',
+    run: async (adapter, ctx) => {
+      const quote = await adapter.calculateRate(samplePackage, sampleDelivery, ctx.partnerDetails);
+      assert.ok(quote, 'quote must not be empty');
+      assert.equal(quote.success, true);
+      assert.ok(Number.isFinite(quote.totalRate) && quote.totalRate >= 0, 'totalRate must be a non-negative number');
+      assert.equal(typeof quote.breakdown, 'object');
+    }
+  },
+  {
+    name: 'bookShipment returns an AWB',
+    run: async (adapter, ctx) => {
+      const booking = await adapter.bookShipment(sampleShipment, ctx.partnerDetails);
+      assert.equal(booking.success, true, booking.error);
+      assert.equal(typeof booking.awb, 'string');
+      assert.ok(booking.awb.length > 0, 'awb must not be empty');
+      ctx.awb = booking.awb;
+    }
+  },
+  {
+    name: 'bookMultiPieceShipment returns a master AWB and a child AWB per piece',
+    capability: COURIER_CAPABILITIES.MULTI_PIECE,
+    run: async (adapter, ctx) => {
+      const pieces = [1, 2, 3].map(number => ({
+        number,
+        weight: samplePackage.weight,
+        dimensions: samplePackage.dimensions,
+        reference: `${sampleShipment.referenceNumber}-${number}`
+      }));
+      const booking = await adapter.bookMultiPieceShipment({ ...sampleShipment, pieces }, ctx.partnerDetails);
+      assert.equal(booking.success, true, booking.error);
+      assert.ok(booking.awb, 'master awb is required');
+      assert.ok(Array.isArray(booking.childAwbs), 'childAwbs must be an array');
+      assert.equal(booking.childAwbs.length, pieces.length, 'one child AWB per piece');
+      assert.equal(new Set([booking.awb, ...booking.childAwbs]).size, pieces.length + 1, 'AWBs must be unique');
+    }
+  },
+  {
+    name: 'trackShipment returns status and normalized trackingHistory',
+    run: async (adapter, ctx) => {
+      const tracking = await adapter.trackShipment(ctx.awb, ctx.partnerDetails);
+      assert.equal(tracking.success, true, tracking.error);
+      assert.equal(tracking.awb, ctx.awb);
+      assert.equal(typeof tracking.status, 'string');
+      assert.ok(Array.isArray(tracking.trackingHistory), 'trackingHistory must be an array');
+      assert.ok(!('history' in tracking), 'legacy history field must not be returned');
+      tracking.trackingHistory.forEach(event => {
+        assert.equal(typeof event.status, 'string');
+        assert.ok(isValidDate(event.timestamp), 'event timestamp must be a Date');
+      });
+    }
+  },
+  {
+    name: 'statusMap translates tracking statuses into the canonical vocabulary',
+    run: async (adapter, ctx) => {
+      const tracking = await adapter.trackShipment(ctx.awb, ctx.partnerDetails);
+      assert.ok(SHIPMENT_STATUSES.includes(tracking.status), `unmapped status "${tracking.rawStatus}"`);
+      tracking.trackingHistory.forEach(event => {
+        assert.ok(SHIPMENT_STATUSES.includes(event.status), `unmapped event status "${event.rawStatus}"`);
+      });
+      Object.values(adapter.statusMap.codes || {}).concat(Object.values(adapter.statusMap.statuses || {}))
+        .forEach(status => assert.ok(SHIPMENT_STATUSES.includes(status), `statusMap entry "${status}" is not canonical`));
+    }
+  },
+  {
+    name: 'cancelShipment voids the AWB',
+    capability: COURIER_CAPABILITIES.CANCEL,
+    run: async (adapter, ctx) => {
+      const result = await adapter.cancelShipment(ctx.awb, ctx.partnerDetails);
+      assert.equal(result.success, true, result.error);
+      assert.equal(result.awb, ctx.awb);
+    }
+  },
+  {
+    name: 'generateManifest returns a manifest for the AWBs',
+    capability: COURIER_CAPABILITIES.MANIFEST,
+    run: async (adapter, ctx) => {
+      const result = await adapter.generateManifest([ctx.awb], ctx.partnerDetails);
+      assert.equal(result.success, true, result.error);
+      assert.ok(result.manifestId, 'manifestId is required');
+      assert.deepEqual(result.awbs, [ctx.awb]);
+    }
+  },
+  {
+    name: 'schedulePickup returns a courier pickup ID',
+    capability: COURIER_CAPABILITIES.PICKUP,
+    run: async (adapter, ctx) => {
+      const result = await adapter.schedulePickup({
+        name: sampleShipment.shipper.name,
+        phone: sampleShipment.shipper.phone,
+        address: sampleShipment.shipper.address,
+        pickupDate: new Date(Date.now() + 86400000).toISOString().slice(0, 10),
+        slot: '10:00-13:00',
+        awbs: [ctx.awb],
+        packageCount: 1
+      }, ctx.partnerDetails);
+      assert.equal(result.success, true, result.error);
+      assert.ok(result.pickupId, 'pickupId is required');
+    }
+  },
+  {
+    name: 'bookReversePickup returns a reverse AWB',
+    capability: COURIER_CAPABILITIES.REVERSE_PICKUP,
+    run: async (adapter, ctx) => {
+      const result = await adapter.bookReversePickup({
+        referenceNumber: `RTN-${Date.now()}`,
+        originalAwb: ctx.awb,
+        weight: samplePackage.weight,
+        dimensions: samplePackage.dimensions,
+        declaredValue: samplePackage.declaredValue,
+        qcRequired: true,
+        reason: 'Conformance check',
+        pickup: sampleShipment.consignee,
+        consignee: sampleShipment.shipper
+      }, ctx.partnerDetails);
+      assert.equal(result.success, true, result.error);
+      assert.ok(result.awb, 'awb is required');
+      assert.notEqual(result.awb, ctx.awb, 'the reverse AWB must differ from the forward AWB');
+    }
+  },
+  {
+    name: 'submitNDRAction accepts every NDR action type',
+    capability: COURIER_CAPABILITIES.NDR_ACTION,
+    run: async (adapter, ctx) => {
+      for (const type of Object.values(NDR_ACTION_TYPES)) {
+        const result = await adapter.submitNDRAction(ctx.awb, {
+          type,
+          reattemptDate: new Date(Date.now() + 86400000).toISOString().slice(0, 10),
+          address: sampleShipment.consignee.address,
+          phone: sampleShipment.consignee.phone,
+          remarks: 'Conformance check'
+        }, ctx.partnerDetails);
+        assert.equal(result.success, true, `${type}: ${result.error}`);
+        assert.equal(result.action, type);
+        assert.ok(result.referenceId, `${type}: referenceId is required`);
+      }
+    }
+  },
+  {
+    name: 'parseWebhook translates a push into canonical tracking updates',
+    capability: COURIER_CAPABILITIES.WEBHOOK,
+    run: async (adapter, ctx) => {
+      assert.deepEqual(adapter.parseWebhook({}, {}), [], 'an empty payload must yield no updates');
+
+      const sample = webhookSamples[adapter.code];
+      if (!sample) return;
+
+      const updates = adapter.parseWebhook(sample(ctx.awb), {});
+      assert.equal(updates.length, 1);
+      assert.equal(updates[0].awb, ctx.awb);
+      assert.equal(updates[0].status, 'Delivered');
+      assert.ok(isValidDate(updates[0].timestamp), 'timestamp must be a Date');
+      assert.ok(Array.isArray(updates[0].trackingHistory) && updates[0].trackingHistory.length === 1);
+    }
+  },
+  {
+    name: 'courier API failures resolve instead of throwing',
+    run: async (adapter, ctx) => {
+      const failingPartner = { ...ctx.partnerDetails, apiEndpoint: `${ctx.server.url}/fail` };
+      const booking = await adapter.bookShipment(sampleShipment, failingPartner);
+      assert.equal(typeof booking, 'object');
+      if (!booking.success) {
+        assert.equal(typeof booking.error, 'string', 'failed responses must carry an error message');
+      }
+      const tracking = await adapter.trackShipment(ctx.awb, failingPartner);
+      assert.equal(typeof tracking, 'object');
+      if (!tracking.success) {
+        assert.equal(typeof tracking.error, 'string', 'failed responses must carry an error message');
+      }
+    }
+  }
+];
+
+/**
+ * Shared context for one adapter's run of the checks
+ * @param {Object} adapter - Courier adapter
+ * @param {Object} server - Mock courier server ({ url })
+ * @returns {Object} - { server, partnerDetails }
+ */
+export const createConformanceContext = (adapter, server) => ({
+  server,
+  partnerDetails: buildPartnerDetails(adapter, server.url)
+});
+
+/**
+ * Checks that apply to an adapter
+ * @param {Object} adapter - Courier adapter
+ * @returns {Array} - [{ name, capability, run(adapter, ctx) }]
+ */
+export const getConformanceChecks = (adapter) =>
+  CONFORMANCE_CHECKS.filter(check => !check.capability || adapter.capabilities.includes(check.capability));
@@ -1,176 +1,48 @@
-import { getPincodeDetails } from './pincode.js';
+import { resolveZone, getOdaCouriers } from './zoneMatrix.js';
+import { getVolumetricRules, calculateChargeableWeight, toCourierCode, DEFAULT_VOLUMETRIC_RULE } from './chargeableWeight.js';
+import { checkLaneServiceability, getCourierLaneServiceability } from './serviceability.js';
+import { getEddContext, estimateDeliveryDate, predictDeliveryDate, getQuoteEstimatedDelivery } from './edd.js';
+import { logger } from './logger.js';
+import { AppError } from '../middleware/errorHandler.js';
+import RateCard from '../modules/admin/models/rateCard.model.js';
+import Seller from '../modules/seller/models/seller.model.js';
 
-// Sample rate card data structure (expand as needed)
-export const rateCard = {
-  'Bluedart air': {
-    slabs: [0.5, 1, 2, 5, 10],
-    zones: {
-      'WITHIN_CITY':    { base: [37, 45, 48, 49, 64], addl: [36, 43, 47, 48, 62], cod: 35, codPct: 1.5 },
-      'WITHIN_STATE':   { base: [45, 52, 60, 64, 87], addl: [43, 52, 59, 64, 86], cod: 35, codPct: 1.5 },
-      'METRO_TO_METRO': { base: [48, 60, 89, 193, 227], addl: [47, 59, 60, 64, 87], cod: 35, codPct: 1.5 },
-      'REST_OF_INDIA':  { base: [49, 64, 99, 193, 369], addl: [48, 63, 64, 64, 64], cod: 35, codPct: 1.5 },
-      'NORTH_EAST':     { base: [64, 87, 131, 227, 430], addl: [62, 86, 87, 87, 87], cod: 35, codPct: 1.5 }
-    }
-  },
-  'Bluedart surface': {
-    slabs: [0.5, 1, 2, 5, 10],
-    zones: {
-      'WITHIN_CITY':    { base: [32, 40, 43, 44, 59], addl: [31, 38, 42, 43, 57], cod: 35, codPct: 1.5 },
-      'WITHIN_STATE':   { base: [40, 47, 55, 59, 82], addl: [38, 47, 54, 59, 81], cod: 35, codPct: 1.5 },
-      'METRO_TO_METRO': { base: [43, 55, 84, 188, 222], addl: [42, 54, 55, 59, 82], cod: 35, codPct: 1.5 },
-      'REST_OF_INDIA':  { base: [44, 59, 94, 188, 364], addl: [43, 58, 59, 59, 59], cod: 35, codPct: 1.5 },
-      'NORTH_EAST':     { base: [59, 82, 126, 222, 425], addl: [57, 81, 82, 82, 82], cod: 35, codPct: 1.5 }
-    }
-  },
-  'Delhivery air': {
-    slabs: [0.5, 1, 2, 5, 10],
-    zones: {
-      'WITHIN_CITY':    { base: [35, 52, 72, 144, 265], addl: [33, 51, 52, 52, 52], cod: 35, codPct: 1.75 },
-      'WITHIN_STATE':   { base: [37, 55, 77, 152, 278], addl: [35, 54, 55, 55, 55], cod: 35, codPct: 1.75 },
-      'METRO_TO_METRO': { base: [49, 63, 92, 174, 328], addl: [46, 62, 63, 63, 63], cod: 35, codPct: 1.75 },
-      'REST_OF_INDIA':  { base: [52, 67, 102, 196, 372], addl: [49, 66, 67, 67, 67], cod: 35, codPct: 1.75 },
-      'NORTH_EAST':     { base: [71, 90, 134, 230, 433], addl: [67, 89, 90, 90, 90], cod: 35, codPct: 1.75 }
-    }
-  },
-  'Delhivery surface': {
-    slabs: [0.5, 1, 2, 5, 10],
-    zones: {
-      'WITHIN_CITY':    { base: [32, 49, 69, 141, 262], addl: [30, 48, 49, 49, 49], cod: 35, codPct: 1.75 },
-      'WITHIN_STATE':   { base: [34, 52, 74, 149, 275], addl: [32, 51, 52, 52, 52], cod: 35, codPct: 1.75 },
-      'METRO_TO_METRO': { base: [46, 60, 89, 171, 325], addl: [43, 59, 60, 60, 60], cod: 35, codPct: 1.75 },
-      'REST_OF_INDIA':  { base: [49, 64, 99, 193, 369], addl: [46, 63, 64, 64, 64], cod: 35, codPct: 1.75 },
-      'NORTH_EAST':     { base: [68, 87, 131, 227, 430], addl: [64, 86, 87, 87, 87], cod: 35, codPct: 1.75 }
-    }
-  },
-  'DTDC air': {
-    slabs: [0.5, 1, 2, 5, 10],
-    zones: {
-      'WITHIN_CITY':    { base: [33, 52, 72, 144, 265], addl: [33, 51, 52, 52, 52], cod: 27, codPct: 1.25 },
-      'WITHIN_STATE':   { base: [38, 55, 77, 152, 278], addl: [38, 54, 55, 55, 55], cod: 27, codPct: 1.25 },
-      'METRO_TO_METRO': { base: [44, 63, 92, 174, 328], addl: [44, 62, 63, 63, 63], cod: 27, codPct: 1.25 },
-      'REST_OF_INDIA':  { base: [52, 67, 102, 196, 372], addl: [52, 66, 67, 67, 67], cod: 27, codPct: 1.25 },
-      'NORTH_EAST':     { base: [65, 90, 134, 230, 433], addl: [65, 89, 90, 90, 90], cod: 27, codPct: 1.25 }
-    }
-  },
-  'DTDC surface': {
-    slabs: [0.5, 1, 2, 5, 10],
-    zones: {
-      'WITHIN_CITY':    { base: [30, 49, 69, 141, 262], addl: [30, 48, 49, 49, 49], cod: 27, codPct: 1.25 },
-      'WITHIN_STATE':   { base: [35, 52, 74, 149, 275], addl: [35, 51, 52, 52, 52], cod: 27, codPct: 1.25 },
-      'METRO_TO_METRO': { base: [41, 60, 89, 171, 325], addl: [41, 59, 60, 60, 60], cod: 27, codPct: 1.25 },
-      'REST_OF_INDIA':  { base: [49, 64, 99, 193, 369], addl: [49, 63, 64, 64, 64], cod: 27, codPct: 1.25 },
-      'NORTH_EAST':     { base: [62, 87, 131, 227, 430], addl: [62, 86, 87, 87, 87], cod: 27, codPct: 1.25 }
-    }
-  },
-  'Ekart air': {
-    slabs: [0.5, 1, 2, 5, 10],
-    zones: {
-      'WITHIN_CITY':    { base: [34, 52, 72, 144, 265], addl: [32, 51, 52, 52, 52], cod: 30, codPct: 1.5 },
-      'WITHIN_STATE':   { base: [36, 55, 77, 152, 278], addl: [34, 54, 55, 55, 55], cod: 30, codPct: 1.5 },
-      'METRO_TO_METRO': { base: [41, 63, 92, 174, 328], addl: [39, 62, 63, 63, 63], cod: 30, codPct: 1.5 },
-      'REST_OF_INDIA':  { base: [43, 67, 102, 196, 372], addl: [41, 66, 67, 67, 67], cod: 30, codPct: 1.5 },
-      'NORTH_EAST':     { base: [48, 90, 134, 230, 433], addl: [46, 89, 90, 90, 90], cod: 30, codPct: 1.5 }
-    }
-  },
-  'Ekart surface': {
-    slabs: [0.5, 1, 2, 5, 10],
-    zones: {
-      'WITHIN_CITY':    { base: [31, 49, 69, 141, 262], addl: [29, 48, 49, 49, 49], cod: 30, codPct: 1.5 },
-      'WITHIN_STATE':   { base: [33, 52, 74, 149, 275], addl: [31, 51, 52, 52, 52], cod: 30, codPct: 1.5 },
-      'METRO_TO_METRO': { base: [38, 60, 89, 171, 325], addl: [36, 59, 60, 60, 60], cod: 30, codPct: 1.5 },
-      'REST_OF_INDIA':  { base: [40, 64, 99, 193, 369], addl: [38, 63, 64, 64, 64], cod: 30, codPct: 1.5 },
-      'NORTH_EAST':     { base: [45, 87, 131, 227, 430], addl: [43, 86, 87, 87, 87], cod: 30, codPct: 1.5 }
-    }
-  },
-  'Xpressbees air': {
-    slabs: [0.5, 1, 2, 5, 10],
-    zones: {
-      'WITHIN_CITY':    { base: [30, 43, 67, 101, 152], addl: [19, 33, 52, 55, 55], cod: 27, codPct: 1.18 },
-      'WITHIN_STATE':   { base: [30, 43, 67, 101, 152], addl: [19, 33, 52, 55, 55], cod: 27, codPct: 1.18 },
-      'METRO_TO_METRO': { base: [40, 61, 72, 113, 164], addl: [37, 38, 63, 23, 23], cod: 27, codPct: 1.18 },
-      'REST_OF_INDIA':  { base: [54, 61, 79, 126, 177], addl: [43, 38, 28, 23, 25], cod: 27, codPct: 1.18 },
-      'NORTH_EAST':     { base: [58, 72, 92, 152, 241], addl: [50, 72, 92, 152, 25], cod: 27, codPct: 1.18 }
-    }
-  },
-  'Xpressbees surface': {
-    slabs: [0.5, 1, 2, 5, 10],
-    zones: {
-      'WITHIN_CITY':    { base: [27, 40, 64, 98, 149], addl: [16, 30, 49, 52, 52], cod: 27, codPct: 1.18 },
-      'WITHIN_STATE':   { base: [27, 40, 64, 98, 149], addl: [16, 30, 49, 52, 52], cod: 27, codPct: 1.18 },
-      'METRO_TO_METRO': { base: [37, 58, 69, 110, 161], addl: [34, 35, 60, 20, 20], cod: 27, codPct: 1.18 },
-      'REST_OF_INDIA':  { base: [51, 58, 76, 123, 174], addl: [40, 35, 25, 20, 22], cod: 27, codPct: 1.18 },
-      'NORTH_EAST':     { base: [55, 69, 89, 149, 238], addl: [47, 69, 89, 149, 22], cod: 27, codPct: 1.18 }
-    }
-  },
-  'Shadowfax': {
-    slabs: [0.5, 1, 2, 5, 10],
-    zones: {
-      'WITHIN_CITY':    { base: [25, 35, 45, 65, 85], addl: [20, 30, 40, 50, 60], cod: 25, codPct: 1.0 },
-      'WITHIN_STATE':   { base: [30, 40, 50, 70, 90], addl: [25, 35, 45, 55, 65], cod: 25, codPct: 1.0 },
-      'METRO_TO_METRO': { base: [35, 45, 55, 75, 95], addl: [30, 40, 50, 60, 70], cod: 25, codPct: 1.0 },
-      'REST_OF_INDIA':  { base: [40, 50, 60, 80, 100], addl: [35, 45, 55, 65, 75], cod: 25, codPct: 1.0 },
-      'NORTH_EAST':     { base: [45, 55, 65, 85, 105], addl: [40, 50, 60, 70, 80], cod: 25, codPct: 1.0 }
-    }
-  },
-  'Dunzo': {
-    slabs: [0.5, 1, 2, 5, 10],
-    zones: {
-      'WITHIN_CITY':    { base: [30, 40, 50, 70, 90], addl: [25, 35, 45, 55, 65], cod: 30, codPct: 1.2 },
-      'WITHIN_STATE':   { base: [35, 45, 55, 75, 95], addl: [30, 40, 50, 60, 70], cod: 30, codPct: 1.2 },
-      'METRO_TO_METRO': { base: [40, 50, 60, 80, 100], addl: [35, 45, 55, 65, 75], cod: 30, codPct: 1.2 },
-      'REST_OF_INDIA':  { base: [45, 55, 65, 85, 105], addl: [40, 50, 60, 70, 80], cod: 30, codPct: 1.2 },
-      'NORTH_EAST':     { base: [50, 60, 70, 90, 110], addl: [45, 55, 65, 75, 85], cod: 30, codPct: 1.2 }
-    }
-  },
-  'Swiggy Genie': {
-    slabs: [0.5, 1, 2, 5, 10],
-    zones: {
-      'WITHIN_CITY':    { base: [35, 45, 55, 75, 95], addl: [30, 40, 50, 60, 70], cod: 35, codPct: 1.3 },
-      'WITHIN_STATE':   { base: [40, 50, 60, 80, 100], addl: [35, 45, 55, 65, 75], cod: 35, codPct: 1.3 },
-      'METRO_TO_METRO': { base: [45, 55, 65, 85, 105], addl: [40, 50, 60, 70, 80], cod: 35, codPct: 1.3 },
-      'REST_OF_INDIA':  { base: [50, 60, 70, 90, 110], addl: [45, 55, 65, 75, 85], cod: 35, codPct: 1.3 },
-      'NORTH_EAST':     { base: [55, 65, 75, 95, 115], addl: [50, 60, 70, 80, 90], cod: 35, codPct: 1.3 }
-    }
-  }
-};
-
-// Sample pincode to city/state mapping (expand for real use)
-const pincodeData = {
-  '400001': { city: 'Mumbai', state: 'Maharashtra' },
-  '110001': { city: 'Delhi', state: 'Delhi' },
-  '560001': { city: 'Bangalore', state: 'Karnataka' },
-  '700001': { city: 'Kolkata', state: 'West Bengal' },
-  '600001': { city: 'Chennai', state: 'Tamil Nadu' },
-  '500001': { city: 'Hyderabad', state: 'Telangana' },
-  '411001': { city: 'Pune', state: 'Maharashtra' },
-  '380001': { city: 'Ahmedabad', state: 'Gujarat' },
-  '793001': { city: 'Shillong', state: 'Meghalaya' }, // North East
-  '190001': { city: 'Srinagar', state: 'Jammu & Kashmir' }, // J&K
-  // ...add more as needed
-};
-
-const metroCities = ['Mumbai', 'Delhi', 'Bangalore', 'Kolkata', 'Chennai', 'Hyderabad', 'Pune', 'Ahmedabad'];
-const northEastStates = [
-  'Arunachal Pradesh', 'Assam', 'Manipur', 'Meghalaya', 'Mizoram', 'Nagaland', 'Tripura', 'Sikkim', 'Jammu & Kashmir'
-];
-
-// Make determineZone async to use DB
 export async function determineZone(pickupPincode, deliveryPincode) {
-  const pickup = await getPincodeDetails(pickupPincode);
-  const delivery = await getPincodeDetails(deliveryPincode);
-  if (!pickup || !delivery) return 'REST_OF_INDIA';
+  const { zone } = await resolveZone(pickupPincode, deliveryPincode);
+  return zone;
+}
+
+/**
+ * Resolve the rate card that applies: the seller's own card, then their rate band's card, then the default
+ * @param {Object} options - { sellerId, rateBand, at }
+ * @returns {Promise<Object>} - Rate card document
+ */
+export async function resolveRateCard({ sellerId, rateBand, at = new Date() } = {}) {
+  if (sellerId) {
+    const sellerCard = await RateCard.findEffective({ scope: 'seller', seller: sellerId }, at);
+    if (sellerCard) return sellerCard;
 
-  // North East/J&K logic
-  if (northEastStates.includes(delivery.state)) return 'NORTH_EAST';
+    if (!rateBand) {
+      const seller = await Seller.findById(sellerId).select('rateBand').lean();
+      rateBand = seller?.rateBand;
+    }
+  }
 
-  if (pickup.district === delivery.district && pickup.state === delivery.state) return 'WITHIN_CITY';
-  if (pickup.state === delivery.state) return 'WITHIN_STATE';
+  if (rateBand) {
+    const bandCard = await RateCard.findEffective({ scope: 'band', rateBand }, at);
+    if (bandCard) return bandCard;
+  }
 
-  if (metroCities.includes(pickup.district) && metroCities.includes(delivery.district)) return 'METRO_TO_METRO';
+  const defaultCard = await RateCard.findEffective({ scope: 'default' }, at);
+  if (!defaultCard) {
+    throw new AppError('No active rate card found', 404);
+  }
 
-  return 'REST_OF_INDIA';
+  return defaultCard;
 }
 
+const round2 = (value) => Math.round(value * 100) / 100;
+
 // Find the correct slab index for a given weight
 function getSlabIndex(slabs, weight) {
   for (let i = 0; i < slabs.length; i++) {
@@ -179,96 +51,222 @@ function getSlabIndex(slabs, weight) {
   return slabs.length - 1; // Use the highest slab if overweight
 }
 
-// Calculate rate for a single courier
-function calculateRateForCourier(courier, weight, zone, isCOD) {
-  const { slabs, zones } = rateCard[courier];
-  const zoneRates = zones[zone];
-  const slabIdx = getSlabIndex(slabs, weight);
-  let base = zoneRates.base[slabIdx];
-  let addl = zoneRates.addl[slabIdx];
-  // Calculate additional weight charges
-  const slabWeight = slabs[slabIdx];
-  let additionalWeight = Math.max(0, weight - slabWeight);
-  let addlUnits = Math.ceil(additionalWeight / 0.5);
-  let addlCharge = addlUnits * addl;
-  let total = base + addlCharge;
-  // Add COD charges if applicable
-  if (isCOD) {
-    total += zoneRates.cod + (zoneRates.codPct / 100) * total;
+// Zone rates of a courier, falling back to North East rates for special regions
+function getZoneRates(courierRate, zone) {
+  const zones = courierRate.zones || {};
+  const rates = zones[zone]?.base?.length ? zones[zone] : null;
+  if (rates) return rates;
+  if (zone === 'SPECIAL_REGION' && zones.NORTH_EAST?.base?.length) return zones.NORTH_EAST;
+  return null;
+}
+
+/**
+ * Price one courier rate of a rate card
+ * @param {Object} courierRate - Courier entry of a rate card
+ * @param {Object} options - { weight, zone, isCOD, codAmount, isODA, gstPercent }
+ * @returns {Object|null} - Quote with breakdown, or null if the courier has no rates for the zone
+ */
+export function priceCourierRate(courierRate, { weight, zone, isCOD = false, codAmount = 0, isODA = false, gstPercent = 18 }) {
+  const zoneRates = getZoneRates(courierRate, zone);
+  if (!zoneRates) return null;
+
+  const { slabs } = courierRate;
+  const unit = courierRate.additionalWeightUnit || 0.5;
+
+  let slabIdx;
+  let base;
+  let addl;
+  let additionalWeight;
+
+  if (courierRate.pricingType === 'incremental') {
+    // First slab price plus every additional unit above it
+    slabIdx = 0;
+    base = zoneRates.base[0];
+    addl = zoneRates.addl?.[0] || 0;
+    additionalWeight = Math.max(0, weight - slabs[0]);
+  } else {
+    slabIdx = getSlabIndex(slabs, weight);
+    base = zoneRates.base[slabIdx];
+    addl = zoneRates.addl?.[slabIdx] || 0;
+    additionalWeight = Math.max(0, weight - slabs[slabIdx]);
   }
+
+  const addlCharge = Math.ceil(round2(additionalWeight / unit)) * addl;
+  const freight = base + addlCharge;
+  const minimumChargeAdjustment = Math.max(0, (courierRate.minimumCharge || 0) - freight);
+  const chargedFreight = freight + minimumChargeAdjustment;
+
+  const fuelSurcharge = ((courierRate.fuelSurchargePercent || 0) / 100) * chargedFreight;
+  const codCharge = isCOD
+    ? Math.max(courierRate.codCharge || 0, ((courierRate.codPercent || 0) / 100) * (codAmount || 0))
+    : 0;
+  const odaCharge = isODA ? courierRate.odaCharge || 0 : 0;
+
+  const subtotal = chargedFreight + fuelSurcharge + codCharge + odaCharge;
+  const gst = (gstPercent / 100) * subtotal;
+  const total = round2(subtotal + gst);
+
   return {
-    courier,
+    courier: courierRate.name || courierRate.courier,
+    courierCode: courierRate.courier,
+    mode: courierRate.mode,
     zone,
     weight,
     base,
     addl,
     addlCharge,
-    cod: isCOD ? zoneRates.cod : 0,
-    codPct: isCOD ? zoneRates.codPct : 0,
-    total: Math.round(total)
+    cod: round2(codCharge),
+    codPct: isCOD ? courierRate.codPercent || 0 : 0,
+    isODA,
+    breakdown: {
+      baseCharge: base,
+      additionalWeightCharge: addlCharge,
+      minimumChargeAdjustment: round2(minimumChargeAdjustment),
+      fuelSurcharge: round2(fuelSurcharge),
+      codCharge: round2(codCharge),
+      odaCharge,
+      subtotal: round2(subtotal),
+      gstPercent,
+      gst: round2(gst),
+      total
+    },
+    total
   };
 }
 
-// Main function: calculate rates for all couriers (now async)
-export async function calculateCourierRates({ weight, pickupPincode, deliveryPincode, isCOD }) {
-  const zone = await determineZone(pickupPincode, deliveryPincode);
-  return Object.keys(rateCard).map(courier => {
-    return calculateRateForCourier(courier, weight, zone, isCOD);
-  });
+// Rate card details attached to every quote
+const rateCardSummary = (card) => ({
+  id: card._id,
+  name: card.name,
+  scope: card.scope,
+  version: card.version
+});
+
+/**
+ * Calculate rates for every active courier on the rate card that applies. Each courier is priced
+ * on its own chargeable weight (see utils/chargeableWeight.js). Couriers that cannot service the
+ * lane (see utils/serviceability.js) are left out unless includeUnserviceable is set. Every quote
+ * carries its expected delivery date (see utils/edd.js).
+ * @param {Object} options - { weight, dimensions, pieces, pickupPincode, deliveryPincode, isCOD, codAmount, sellerId, rateBand, mode,
+ *   couriers, includeUnserviceable, pickupCutoff } (pieces: [{ weight, dimensions }] of a multi-piece shipment)
+ * @returns {Promise<Array>} - Quotes, cheapest first
+ */
+export async function calculateCourierRates({
+  weight,
+  dimensions,
+  pieces,
+  pickupPincode,
+  deliveryPincode,
+  isCOD = false,
+  codAmount = 0,
+  sellerId,
+  rateBand,
+  mode,
+  couriers,
+  includeUnserviceable = false,
+  pickupCutoff
+}) {
+  const [card, { zone, rule: zoneRule }, odaCouriers, volumetricRules, lane, eddContext] = await Promise.all([
+    resolveRateCard({ sellerId, rateBand }),
+    resolveZone(pickupPincode, deliveryPincode),
+    getOdaCouriers(deliveryPincode),
+    getVolumetricRules(),
+    checkLaneServiceability({ pickupPincode, deliveryPincode, isCOD, couriers }),
+    getEddContext()
+  ]);
+
+  const courierCodes = couriers?.map(code => code.toUpperCase());
+
+  return card.couriers
+    .filter(rate => rate.isActive !== false)
+    .filter(rate => !mode || rate.mode === mode)
+    .filter(rate => !courierCodes || courierCodes.includes(rate.courier))
+    .filter(rate => includeUnserviceable || getCourierLaneServiceability(lane, rate.courier).serviceable)
+    .map(rate => {
+      const weights = calculateChargeableWeight(
+        { weight, dimensions, pieces },
+        volumetricRules[rate.courier]?.[rate.mode] || DEFAULT_VOLUMETRIC_RULE
+      );
+      const quote = priceCourierRate(rate, {
+        weight: weights.chargeableWeight,
+        zone,
+        isCOD,
+        codAmount,
+        isODA: odaCouriers.has(rate.courier),
+        gstPercent: card.gstPercent
+      });
+      if (!quote) return null;
+
+      const serviceability = getCourierLaneServiceability(lane, rate.courier);
+      const edd = estimateDeliveryDate({
+        courier: rate.courier,
+        mode: rate.mode,
+        zone,
+        laneTransitDays: rate.mode === 'air'
+          ? (serviceability.tat?.express ?? serviceability.tat?.standard)
+          : serviceability.tat?.standard,
+        pickupCutoff
+      }, eddContext);
+      return { ...quote, weights, zoneRule, serviceability, edd, rateCard: rateCardSummary(card) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.total - b.total);
 }
 
 // Calculate rate for a package using the rate card
-export function calculateRate(packageDetails, deliveryDetails, partnerDetails) {
-  const { weight, dimensions, paymentMode } = packageDetails;
+export async function calculateRate(packageDetails, deliveryDetails, partnerDetails) {
+  const { weight, dimensions, paymentMode, codAmount, sellerId } = packageDetails;
   const { pickupPincode, deliveryPincode } = deliveryDetails;
   const isCOD = paymentMode === 'COD';
-  
+
   // Determine service type based on partner details
   const serviceType = partnerDetails.name.toLowerCase().includes('surface') ? 'surface' : 'air';
-  const courierKey = `${partnerDetails.name} ${serviceType}`;
-  
-  // Get zone for this shipment
-  return determineZone(pickupPincode, deliveryPincode)
-    .then(zone => {
-      // Check if this courier exists in our rate card
-      if (!rateCard[courierKey]) {
-        // Fallback to generic calculation
-        return {
-          courier: partnerDetails.name,
-          serviceType,
-          weight,
-          total: Math.round(50 + weight * 20), // Generic calculation
-          estimatedDelivery: serviceType === 'air' ? '2-3 days' : '4-6 days'
-        };
-      }
-      
-      // Calculate the rate using our rate card
-      const calculatedRate = calculateRateForCourier(courierKey, weight, zone, isCOD);
-      
-      return {
-        courier: partnerDetails.name,
-        serviceType,
-        weight,
-        zone,
-        total: calculatedRate.total,
-        breakdown: {
-          base: calculatedRate.base,
-          additionalWeight: calculatedRate.addlCharge,
-          cod: calculatedRate.cod
-        },
-        estimatedDelivery: serviceType === 'air' ? '2-3 days' : '4-6 days'
-      };
-    })
-    .catch(error => {
-      console.error(`Error calculating rate: ${error.message}`);
-      // Return fallback calculation
-      return {
-        courier: partnerDetails.name,
-        serviceType,
-        weight,
-        total: Math.round(50 + weight * 20), // Generic calculation
-        estimatedDelivery: serviceType === 'air' ? '2-3 days' : '4-6 days',
-        error: 'Could not determine accurate rate'
-      };
+  const courierCode = toCourierCode(partnerDetails.name.replace(/\s*(air|surface)\s*$/i, ''));
+
+  try {
+    const [quote] = await calculateCourierRates({
+      weight,
+      dimensions,
+      pickupPincode,
+      deliveryPincode,
+      isCOD,
+      codAmount,
+      sellerId,
+      mode: serviceType,
+      couriers: [courierCode]
     });
-} 
\ No newline at end of file
+
+    if (!quote) {
+      throw new AppError(`No rates configured for ${partnerDetails.name} (${serviceType})`, 404);
+    }
+
+    return {
+      courier: partnerDetails.name,
+      serviceType,
+      weight: quote.weight,
+      weights: quote.weights,
+      zone: quote.zone,
+      zoneRule: quote.zoneRule,
+      total: quote.total,
+      breakdown: quote.breakdown,
+      rateCard: quote.rateCard,
+      edd: quote.edd,
+      estimatedDelivery: getQuoteEstimatedDelivery(quote)
+    };
+  } catch (error) {
+    logger.error(`Error calculating rate for ${partnerDetails.name}: ${error.message}`);
+    // No quote, but the lane's EDD can still be estimated
+    const edd = await predictDeliveryDate({ courier: courierCode, mode: serviceType, pickupPincode, deliveryPincode })
+      .catch(() => undefined);
+    return {
+      success: false,
+      courier: partnerDetails.name,
+      serviceType,
+      weight,
+      total: null,
+      edd,
+      estimatedDelivery: getQuoteEstimatedDelivery({ mode: serviceType, edd }),
+      error: 'Could not determine accurate rate'
+    };
+  }
+}
@@ -0,0 +1,65 @@
+import { defineCourierAdapter } from './courierAdapter.js';
+import bluedart from './bluedart.js';
+import delhivery from './delhivery.js';
+import dtdc from './dtdc.js';
+import ekart from './ekart.js';
+import xpressbees from './xpressbees.js';
+import { logger } from './logger.js';
+
+// Registered adapters keyed by courier code
+const adapters = new Map();
+
+/**
+ * Register a courier adapter so it can be used for rating, booking and tracking
+ * @param {Object} adapter - Adapter created with defineCourierAdapter (plain definitions are validated here)
+ * @returns {Object} - The registered adapter
+ */
+export const registerCourierAdapter = (adapter) => {
+  const definedAdapter = Object.isFrozen(adapter) && adapter.capabilities
+    ? adapter
+    : defineCourierAdapter(adapter);
+
+  if (adapters.has(definedAdapter.code)) {
+    logger.warn(`Replacing registered courier adapter: ${definedAdapter.code}`);
+  }
+
+  adapters.set(definedAdapter.code, definedAdapter);
+  return definedAdapter;
+};
+
+/**
+ * Get the adapter for a courier
+ * @param {string} courierCode - The courier code (e.g., 'BLUEDART', 'DELHIVERY')
+ * @returns {Object|null} - The adapter, or null if none is registered
+ */
+export const getCourierAdapter = (courierCode) => {
+  if (!courierCode) return null;
+  return adapters.get(courierCode.toString().trim().toUpperCase()) || null;
+};
+
+/**
+ * List all registered adapters
+ * @returns {Array} - Registered adapters
+ */
+export const listCourierAdapters = () => Array.from(adapters.values());
+
+/**
+ * Check whether a courier supports an optional capability
+ * @param {string} courierCode - The courier code
+ * @param {string} capability - One of COURIER_CAPABILITIES
+ * @returns {boolean}
+ */
+export const supportsCapability = (courierCode, capability) => {
+  const adapter = getCourierAdapter(courierCode);
+  return Boolean(adapter && adapter.capabilities.includes(capability));
+};
+
+// Built-in courier integrations
+[bluedart, delhivery, dtdc, ekart, xpressbees].forEach(registerCourierAdapter);
+
+export default {
+  registerCourierAdapter,
+  getCourierAdapter,
+  listCourierAdapters,
+  supportsCapability
+};
@@ -0,0 +1,181 @@
+import crypto from 'crypto';
+import ShippingPartner from '../modules/admin/models/shippingPartner.model.js';
+import CourierWebhook from '../models/courierWebhook.model.js';
+import { getCourierAdapter } from './courierRegistry.js';
+import { COURIER_CAPABILITIES } from './courierAdapter.js';
+import { applyTrackingUpdateByAwb } from './shipmentTracking.js';
+import { logger } from './logger.js';
+
+// Headers never stored with a webhook
+const REDACTED_HEADERS = ['authorization', 'cookie'];
+
+// Webhooks failing signature verification are kept briefly, with only the start of the body
+const REJECTED_BODY_LIMIT = 2048;
+const REJECTED_RETENTION_DAYS = 7;
+
+/**
+ * Find the shipping partner for a courier code, including its webhook secret
+ * @param {string} courierCode - Courier adapter code
+ * @returns {Promise<Object|null>} - Shipping partner document
+ */
+export const getWebhookPartner = (courierCode) => ShippingPartner.findOne({
+  name: { $regex: new RegExp(`^${courierCode}$`, 'i') }
+}).select('+webhook.secret');
+
+// Constant-time string comparison that tolerates different lengths
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a || '');
+  const right = Buffer.from(b || '');
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Verify a webhook against the partner's signature scheme
+ * @param {Object} config - Partner webhook settings
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @param {Object} headers - Request headers (lower-case keys)
+ * @returns {boolean}
+ */
+export const verifyWebhookSignature = (config, rawBody, headers) => {
+  const scheme = config.signatureScheme || 'hmac-sha256';
+
+  if (scheme === 'none') return true;
+  if (!config.secret) return false;
+
+  const received = (headers[config.signatureHeader || 'x-webhook-signature'] || '').toString().trim();
+  if (!received) return false;
+
+  if (scheme === 'token') {
+    return safeEqual(received, config.secret);
+  }
+
+  const algorithm = scheme === 'hmac-sha1' ? 'sha1' : 'sha256';
+  const expected = crypto
+    .createHmac(algorithm, config.secret)
+    .update(rawBody)
+    .digest(config.signatureEncoding || 'hex');
+
+  // Some couriers prefix the digest with the algorithm, e.g. "sha256=..."
+  return safeEqual(received.replace(/^sha(1|256)=/i, ''), expected);
+};
+
+/**
+ * Parse a stored webhook body according to its content type
+ * @param {string} rawBody - Raw request body
+ * @param {string} contentType - Request content type
+ * @returns {Object} - Parsed payload
+ */
+export const parseWebhookBody = (rawBody, contentType = '') => {
+  if (!rawBody) return {};
+
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return Object.fromEntries(new URLSearchParams(rawBody));
+  }
+
+  return JSON.parse(rawBody);
+};
+
+/**
+ * Store an inbound webhook exactly as received. A webhook that failed signature verification
+ * is stored as Rejected with a truncated body and removed after REJECTED_RETENTION_DAYS.
+ * @param {string} courier - Courier code
+ * @param {Object} req - Express request with a raw Buffer body
+ * @param {Object} partner - Shipping partner document (optional)
+ * @param {Object} options - { rejected: signature verification failed }
+ * @returns {Promise<Object>} - CourierWebhook document
+ */
+export const storeWebhook = (courier, req, partner, { rejected = false } = {}) => {
+  const headers = { ...req.headers };
+  REDACTED_HEADERS.forEach(header => delete headers[header]);
+
+  const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+
+  if (rejected) {
+    return CourierWebhook.create({
+      courier,
+      partner: partner?._id,
+      headers,
+      contentType: req.headers['content-type'],
+      rawBody: rawBody.slice(0, REJECTED_BODY_LIMIT),
+      bodySize: req.body?.length || 0,
+      status: 'Rejected',
+      error: 'Invalid webhook signature',
+      expiresAt: new Date(Date.now() + REJECTED_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+    });
+  }
+
+  return CourierWebhook.create({
+    courier,
+    partner: partner?._id,
+    headers,
+    contentType: req.headers['content-type'],
+    rawBody,
+    bodySize: req.body?.length || 0,
+    signatureValid: true
+  });
+};
+
+/**
+ * Translate a stored webhook with the courier adapter and apply it to
+ * seller shipments and customer orders. Safe to run again (replay): events
+ * already in the tracking history are skipped.
+ * @param {Object} webhook - CourierWebhook document
+ * @returns {Promise<Object>} - Updated CourierWebhook document
+ */
+export const processCourierWebhook = async (webhook) => {
+  webhook.attempts += 1;
+  webhook.results = [];
+  webhook.error = undefined;
+
+  try {
+    const adapter = getCourierAdapter(webhook.courier);
+    if (!adapter || !adapter.capabilities.includes(COURIER_CAPABILITIES.WEBHOOK)) {
+      throw new Error(`Webhooks are not supported for ${webhook.courier}`);
+    }
+
+    const payload = parseWebhookBody(webhook.rawBody, webhook.contentType);
+    const updates = adapter.parseWebhook(payload, webhook.headers);
+
+    for (const update of updates) {
+      try {
+        // Only the courier that signed the webhook can update its own shipments
+        const result = await applyTrackingUpdateByAwb(update.awb, update, { courier: webhook.courier });
+        webhook.results.push(result
+          ? { awb: update.awb, type: result.type, status: result.status, changed: result.changed, rejected: result.rejected }
+          : { awb: update.awb, error: `AWB not found for courier ${webhook.courier}` });
+      } catch (error) {
+        logger.error(`Error applying ${webhook.courier} webhook for ${update.awb}: ${error.message}`);
+        webhook.results.push({ awb: update.awb, error: error.message });
+      }
+    }
+
+    const failed = webhook.results.filter(result => result.error).length;
+    if (updates.length === 0) {
+      webhook.status = 'Failed';
+      webhook.error = 'Payload contained no tracking updates';
+    } else if (failed === 0) {
+      webhook.status = 'Processed';
+    } else if (failed < webhook.results.length) {
+      webhook.status = 'Partially Processed';
+    } else {
+      webhook.status = 'Failed';
+    }
+  } catch (error) {
+    logger.error(`Error processing ${webhook.courier} webhook ${webhook._id}: ${error.message}`);
+    webhook.status = 'Failed';
+    webhook.error = error.message;
+  }
+
+  webhook.processedAt = new Date();
+  await webhook.save();
+
+  return webhook;
+};
+
+export default {
+  getWebhookPartner,
+  verifyWebhookSignature,
+  parseWebhookBody,
+  storeWebhook,
+  processCourierWebhook
+};
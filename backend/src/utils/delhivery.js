@@ -1,5 +1,43 @@
 import axios from 'axios';
 import { logger } from './logger.js';
+import { defineCourierAdapter } from './courierAdapter.js';
+import { SHIPMENT_STATUS } from './shipmentStatus.js';
+
+// Delhivery status codes/strings mapped to the canonical shipment status
+export const statusMap = {
+  codes: {
+    'X-UCI': SHIPMENT_STATUS.BOOKED,
+    'X-PPOM': SHIPMENT_STATUS.PICKED_UP,
+    'X-DDD3FD': SHIPMENT_STATUS.OUT_FOR_DELIVERY,
+    'EOD-38': SHIPMENT_STATUS.DELIVERED,
+    'EOD-74': SHIPMENT_STATUS.NDR,
+    'EOD-11': SHIPMENT_STATUS.NDR,
+    'RT-101': SHIPMENT_STATUS.RTO_INITIATED
+  },
+  statuses: {
+    'manifested': SHIPMENT_STATUS.BOOKED,
+    'not picked': SHIPMENT_STATUS.PENDING_PICKUP,
+    'pending': SHIPMENT_STATUS.IN_TRANSIT,
+    'dispatched': SHIPMENT_STATUS.OUT_FOR_DELIVERY,
+    'rto': SHIPMENT_STATUS.RTO_INITIATED,
+    'returned': SHIPMENT_STATUS.RTO_DELIVERED,
+    'lost': SHIPMENT_STATUS.LOST
+  }
+};
+
+// Delhivery non-delivery reasons mapped to NDR reason categories
+export const ndrReasonMap = {
+  codes: {
+    'EOD-11': 'Customer Not Available',
+    'EOD-74': 'Address Issues'
+  },
+  keywords: {
+    'consignee unavailable': 'Customer Not Available',
+    'consignee refused': 'Customer Refusal',
+    'bad address': 'Address Issues',
+    'entry restricted': 'Delivery Issues'
+  }
+};
 
 /**
  * Calculate shipping rates for Delhivery
@@ -13,7 +51,7 @@ export const calculateRate = async (packageDetails, deliveryDetails, partnerDeta
     // In a real implementation, this would call the Delhivery API
     // For now, use a simplified calculation based on weight and distance
     
-    const weight = packageDetails.weight;
+    const weight = packageDetails.chargeableWeight || packageDetails.weight;
     const isCOD = packageDetails.paymentMode === 'COD';
     
     // Basic rate calculation
@@ -21,17 +59,15 @@ export const calculateRate = async (packageDetails, deliveryDetails, partnerDeta
     const weightCharge = weight * 20;
     const codCharge = isCOD ? 35 : 0;
     
-    // Calculate estimated delivery days based on service type
+    // Express service by partner name; delivery dates come from the EDD service (utils/edd.js)
     const isExpress = partnerDetails.name.toLowerCase().includes('express');
-    const estimatedDays = isExpress ? '1-2 days' : '3-5 days';
     
     return {
       success: true,
       provider: {
         id: partnerDetails.id,
         name: partnerDetails.name,
-        expressDelivery: isExpress,
-        estimatedDays
+        expressDelivery: isExpress
       },
       totalRate: Math.round(baseRate + weightCharge + codCharge),
       breakdown: {
@@ -78,6 +114,37 @@ export const bookShipment = async (shipmentDetails, partnerDetails) => {
   }
 };
 
+/**
+ * Book a multi-piece shipment with Delhivery (one master AWB, a child AWB per box)
+ * @param {Object} shipmentDetails - Shipment booking details with pieces: [{ number, weight, dimensions, reference }]
+ * @param {Object} partnerDetails - Partner configuration from the database
+ * @returns {Object} - Booking response with the master AWB and the child AWBs
+ */
+export const bookMultiPieceShipment = async (shipmentDetails, partnerDetails) => {
+  try {
+    // For development/testing, return mock data
+    // In production, this would integrate with Delhivery's API
+
+    const awb = `DLVY${Date.now()}`;
+    return {
+      success: true,
+      awb,
+      childAwbs: shipmentDetails.pieces.map(piece => `${awb}${String(piece.number).padStart(3, '0')}`),
+      trackingUrl: `https://track.delhivery.com/${awb}`,
+      label: 'mock-delhivery-label-base64',
+      courierName: partnerDetails.name,
+      message: 'Shipment booked successfully'
+    };
+  } catch (error) {
+    logger.error(`Delhivery multi-piece booking error: ${error.message}`);
+    return {
+      success: false,
+      error: error.message,
+      courierName: partnerDetails.name
+    };
+  }
+};
+
 /**
  * Track a shipment with Delhivery
  * @param {string} trackingNumber - AWB number to track
@@ -95,9 +162,9 @@ export const trackShipment = async (trackingNumber, partnerDetails) => {
       status: 'In Transit',
       deliveryDate: null,
       currentLocation: 'Mumbai Hub',
-      history: [
-        { timestamp: new Date(Date.now() - 86400000), status: 'Picked Up', location: 'Seller Warehouse' },
-        { timestamp: new Date(), status: 'In Transit', location: 'Mumbai Hub' }
+      trackingHistory: [
+        { timestamp: new Date(Date.now() - 86400000), status: 'Picked Up', location: 'Seller Warehouse', description: 'Shipment picked up' },
+        { timestamp: new Date(), status: 'In Transit', location: 'Mumbai Hub', description: 'Shipment in transit' }
       ],
       courierName: partnerDetails.name
     };
@@ -109,4 +176,190 @@ export const trackShipment = async (trackingNumber, partnerDetails) => {
       courierName: partnerDetails.name
     };
   }
-}; 
\ No newline at end of file
+};
+
+/**
+ * Cancel a shipment with Delhivery
+ * @param {string} awb - AWB number to cancel
+ * @param {Object} partnerDetails - Partner configuration from the database
+ * @returns {Object} - Cancellation response
+ */
+export const cancelShipment = async (awb, partnerDetails) => {
+  try {
+    // For development/testing, return mock data
+    // In production, this would integrate with Delhivery's API
+
+    return {
+      success: true,
+      awb,
+      referenceId: `DLVY-CXL-${Date.now()}`,
+      courierName: partnerDetails.name,
+      message: 'Shipment cancelled successfully'
+    };
+  } catch (error) {
+    logger.error(`Delhivery cancellation error: ${error.message}`);
+    return {
+      success: false,
+      error: error.message,
+      courierName: partnerDetails.name
+    };
+  }
+};
+
+/**
+ * Generate a pickup manifest with Delhivery
+ * @param {Array<string>} awbs - AWB numbers to include in the manifest
+ * @param {Object} partnerDetails - Partner configuration from the database
+ * @returns {Object} - Manifest response
+ */
+export const generateManifest = async (awbs, partnerDetails) => {
+  try {
+    // For development/testing, return mock data
+    // In production, this would integrate with Delhivery's API
+
+    return {
+      success: true,
+      manifestId: `DLVY-MNF-${Date.now()}`,
+      awbs,
+      manifest: 'mock-delhivery-manifest-base64',
+      courierName: partnerDetails.name
+    };
+  } catch (error) {
+    logger.error(`Delhivery manifest error: ${error.message}`);
+    return {
+      success: false,
+      error: error.message,
+      courierName: partnerDetails.name
+    };
+  }
+};
+
+/**
+ * Schedule a pickup with Delhivery
+ * @param {Object} pickupDetails - Pickup address, date, slot and AWBs
+ * @param {Object} partnerDetails - Partner configuration from the database
+ * @returns {Object} - Pickup response with the courier's pickup ID
+ */
+export const schedulePickup = async (pickupDetails, partnerDetails) => {
+  try {
+    // For development/testing, return mock data
+    // In production, this would integrate with Delhivery's API
+
+    return {
+      success: true,
+      pickupId: `DLVY-PKP-${Date.now()}`,
+      pickupDate: pickupDetails.pickupDate,
+      slot: pickupDetails.slot,
+      courierName: partnerDetails.name,
+      message: 'Pickup scheduled successfully'
+    };
+  } catch (error) {
+    logger.error(`Delhivery pickup error: ${error.message}`);
+    return {
+      success: false,
+      error: error.message,
+      courierName: partnerDetails.name
+    };
+  }
+};
+
+/**
+ * Book a reverse pickup (customer return) with Delhivery
+ * @param {Object} returnDetails - Return reference, package, pickup (buyer) and consignee (seller) addresses
+ * @param {Object} partnerDetails - Partner configuration from the database
+ * @returns {Object} - Reverse shipment AWB and the courier's pickup ID
+ */
+export const bookReversePickup = async (returnDetails, partnerDetails) => {
+  try {
+    // For development/testing, return mock data
+    // In production, this would integrate with Delhivery's API
+
+    const awb = `DLVYR${Date.now()}`;
+    return {
+      success: true,
+      awb,
+      pickupId: `DLVY-RVP-${Date.now()}`,
+      trackingUrl: `https://track.delhivery.com/${awb}`,
+      courierName: partnerDetails.name,
+      message: 'Reverse pickup booked successfully'
+    };
+  } catch (error) {
+    logger.error(`Delhivery reverse pickup error: ${error.message}`);
+    return {
+      success: false,
+      error: error.message,
+      courierName: partnerDetails.name
+    };
+  }
+};
+
+/**
+ * Push an NDR action (re-attempt, address/phone change, RTO) to Delhivery
+ * @param {string} awb - AWB number of the undelivered shipment
+ * @param {Object} action - Action details ({ type, reattemptDate, address, phone, remarks })
+ * @param {Object} partnerDetails - Partner configuration from the database
+ * @returns {Object} - Action response with the courier's reference ID
+ */
+export const submitNDRAction = async (awb, action, partnerDetails) => {
+  try {
+    // For development/testing, return mock data
+    // In production, this would integrate with Delhivery's API
+
+    return {
+      success: true,
+      awb,
+      action: action.type,
+      referenceId: `DLVY-NDR-${Date.now()}`,
+      courierName: partnerDetails.name,
+      message: 'NDR action submitted successfully'
+    };
+  } catch (error) {
+    logger.error(`Delhivery NDR action error: ${error.message}`);
+    return {
+      success: false,
+      error: error.message,
+      courierName: partnerDetails.name
+    };
+  }
+};
+
+/**
+ * Parse a Delhivery scan push into tracking events
+ * Delhivery pushes { Shipment: { AWB, Status: { Status, StatusType, StatusDateTime, StatusLocation, Instructions }, NSLCode } }
+ * @param {Object} payload - Parsed webhook body
+ * @returns {Array} - Tracking events
+ */
+export const parseWebhook = (payload) => {
+  const shipments = Array.isArray(payload.Shipments) ? payload.Shipments : [payload.Shipment || payload];
+
+  return shipments
+    .filter(shipment => shipment && shipment.AWB)
+    .map(shipment => {
+      const status = shipment.Status || {};
+      return {
+        awb: shipment.AWB,
+        status: status.Status,
+        code: shipment.NSLCode,
+        timestamp: status.StatusDateTime ? new Date(status.StatusDateTime) : new Date(),
+        location: status.StatusLocation,
+        description: status.Instructions || status.Status
+      };
+    });
+};
+
+export default defineCourierAdapter({
+  code: 'DELHIVERY',
+  name: 'Delhivery',
+  statusMap,
+  ndrReasonMap,
+  calculateRate,
+  bookShipment,
+  bookMultiPieceShipment,
+  trackShipment,
+  cancelShipment,
+  generateManifest,
+  schedulePickup,
+  bookReversePickup,
+  submitNDRAction,
+  parseWebhook
+});
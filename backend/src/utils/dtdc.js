@@ -1,5 +1,36 @@
 import axios from 'axios';
 import { logger } from './logger.js';
+import { defineCourierAdapter } from './courierAdapter.js';
+import { SHIPMENT_STATUS } from './shipmentStatus.js';
+
+// DTDC status codes/strings mapped to the canonical shipment status
+export const statusMap = {
+  codes: {
+    BKD: SHIPMENT_STATUS.BOOKED,
+    PCUP: SHIPMENT_STATUS.PICKED_UP,
+    OBMN: SHIPMENT_STATUS.IN_TRANSIT,
+    IBMN: SHIPMENT_STATUS.IN_TRANSIT,
+    OUTDLV: SHIPMENT_STATUS.OUT_FOR_DELIVERY,
+    DLV: SHIPMENT_STATUS.DELIVERED,
+    NONDLV: SHIPMENT_STATUS.NDR,
+    RTO: SHIPMENT_STATUS.RTO_INITIATED,
+    RTODLV: SHIPMENT_STATUS.RTO_DELIVERED
+  },
+  statuses: {
+    'softdata upload': SHIPMENT_STATUS.BOOKED,
+    'not delivered': SHIPMENT_STATUS.NDR
+  }
+};
+
+// DTDC non-delivery reasons mapped to NDR reason categories
+export const ndrReasonMap = {
+  codes: {},
+  keywords: {
+    'receiver not available': 'Customer Not Available',
+    'address not found': 'Address Issues',
+    'receiver refused': 'Customer Refusal'
+  }
+};
 
 /**
  * Calculate shipping rates for DTDC
@@ -13,7 +44,7 @@ export const calculateRate = async (packageDetails, deliveryDetails, partnerDeta
     // In a real implementation, this would call the DTDC API
     // For now, use a simplified calculation based on weight and distance
     
-    const weight = packageDetails.weight;
+    const weight = packageDetails.chargeableWeight || packageDetails.weight;
     const isCOD = packageDetails.paymentMode === 'COD';
     
     // Basic rate calculation
@@ -21,17 +52,15 @@ export const calculateRate = async (packageDetails, deliveryDetails, partnerDeta
     const weightCharge = weight * 18;
     const codCharge = isCOD ? 27 : 0;
     
-    // Calculate estimated delivery days based on service type
+    // Express service by partner name; delivery dates come from the EDD service (utils/edd.js)
     const isExpress = partnerDetails.name.toLowerCase().includes('express');
-    const estimatedDays = isExpress ? '2-3 days' : '3-6 days';
     
     return {
       success: true,
       provider: {
         id: partnerDetails.id,
         name: partnerDetails.name,
-        expressDelivery: isExpress,
-        estimatedDays
+        expressDelivery: isExpress
       },
       totalRate: Math.round(baseRate + weightCharge + codCharge),
       breakdown: {
@@ -95,9 +124,9 @@ export const trackShipment = async (trackingNumber, partnerDetails) => {
       status: 'In Transit',
       deliveryDate: null,
       currentLocation: 'Bangalore Hub',
-      history: [
-        { timestamp: new Date(Date.now() - 86400000), status: 'Picked Up', location: 'Seller Warehouse' },
-        { timestamp: new Date(), status: 'In Transit', location: 'Bangalore Hub' }
+      trackingHistory: [
+        { timestamp: new Date(Date.now() - 86400000), status: 'Picked Up', location: 'Seller Warehouse', description: 'Shipment picked up' },
+        { timestamp: new Date(), status: 'In Transit', location: 'Bangalore Hub', description: 'Shipment in transit' }
       ],
       courierName: partnerDetails.name
     };
@@ -109,4 +138,155 @@ export const trackShipment = async (trackingNumber, partnerDetails) => {
       courierName: partnerDetails.name
     };
   }
-}; 
\ No newline at end of file
+};
+
+/**
+ * Cancel a shipment with DTDC
+ * @param {string} awb - AWB number to cancel
+ * @param {Object} partnerDetails - Partner configuration from the database
+ * @returns {Object} - Cancellation response
+ */
+export const cancelShipment = async (awb, partnerDetails) => {
+  try {
+    // For development/testing, return mock data
+    // In production, this would integrate with DTDC's API
+
+    return {
+      success: true,
+      awb,
+      referenceId: `DTDC-CXL-${Date.now()}`,
+      courierName: partnerDetails.name,
+      message: 'Shipment cancelled successfully'
+    };
+  } catch (error) {
+    logger.error(`DTDC cancellation error: ${error.message}`);
+    return {
+      success: false,
+      error: error.message,
+      courierName: partnerDetails.name
+    };
+  }
+};
+
+/**
+ * Generate a pickup manifest with DTDC
+ * @param {Array<string>} awbs - AWB numbers to include in the manifest
+ * @param {Object} partnerDetails - Partner configuration from the database
+ * @returns {Object} - Manifest response
+ */
+export const generateManifest = async (awbs, partnerDetails) => {
+  try {
+    // For development/testing, return mock data
+    // In production, this would integrate with DTDC's API
+
+    return {
+      success: true,
+      manifestId: `DTDC-MNF-${Date.now()}`,
+      awbs,
+      manifest: 'mock-dtdc-manifest-base64',
+      courierName: partnerDetails.name
+    };
+  } catch (error) {
+    logger.error(`DTDC manifest error: ${error.message}`);
+    return {
+      success: false,
+      error: error.message,
+      courierName: partnerDetails.name
+    };
+  }
+};
+
+/**
+ * Schedule a pickup with DTDC
+ * @param {Object} pickupDetails - Pickup address, date, slot and AWBs
+ * @param {Object} partnerDetails - Partner configuration from the database
+ * @returns {Object} - Pickup response with the courier's pickup ID
+ */
+export const schedulePickup = async (pickupDetails, partnerDetails) => {
+  try {
+    // For development/testing, return mock data
+    // In production, this would integrate with DTDC's API
+
+    return {
+      success: true,
+      pickupId: `DTDC-PKP-${Date.now()}`,
+      pickupDate: pickupDetails.pickupDate,
+      slot: pickupDetails.slot,
+      courierName: partnerDetails.name,
+      message: 'Pickup scheduled successfully'
+    };
+  } catch (error) {
+    logger.error(`DTDC pickup error: ${error.message}`);
+    return {
+      success: false,
+      error: error.message,
+      courierName: partnerDetails.name
+    };
+  }
+};
+
+/**
+ * Push an NDR action (re-attempt, address/phone change, RTO) to DTDC
+ * @param {string} awb - AWB number of the undelivered shipment
+ * @param {Object} action - Action details ({ type, reattemptDate, address, phone, remarks })
+ * @param {Object} partnerDetails - Partner configuration from the database
+ * @returns {Object} - Action response with the courier's reference ID
+ */
+export const submitNDRAction = async (awb, action, partnerDetails) => {
+  try {
+    // For development/testing, return mock data
+    // In production, this would integrate with DTDC's API
+
+    return {
+      success: true,
+      awb,
+      action: action.type,
+      referenceId: `DTDC-NDR-${Date.now()}`,
+      courierName: partnerDetails.name,
+      message: 'NDR action submitted successfully'
+    };
+  } catch (error) {
+    logger.error(`DTDC NDR action error: ${error.message}`);
+    return {
+      success: false,
+      error: error.message,
+      courierName: partnerDetails.name
+    };
+  }
+};
+
+/**
+ * Parse a DTDC tracking push into tracking events
+ * DTDC pushes { strShipmentNo, strAction, strActionDesc, strOrigin, strActionDateTime }
+ * @param {Object} payload - Parsed webhook body
+ * @returns {Array} - Tracking events
+ */
+export const parseWebhook = (payload) => {
+  const events = Array.isArray(payload.trackDetails) ? payload.trackDetails : [payload];
+
+  return events
+    .filter(event => event.strShipmentNo)
+    .map(event => ({
+      awb: event.strShipmentNo,
+      status: event.strActionDesc,
+      code: event.strAction,
+      timestamp: event.strActionDateTime ? new Date(event.strActionDateTime) : new Date(),
+      location: event.strOrigin,
+      description: event.strRemarks || event.strActionDesc
+    }));
+};
+
+export default defineCourierAdapter({
+  code: 'DTDC',
+  name: 'DTDC',
+  statusMap,
+  ndrReasonMap,
+  calculateRate,
+  bookShipment,
+  trackShipment,
+  cancelShipment,
+  generateManifest,
+  schedulePickup,
+  submitNDRAction,
+  parseWebhook
+});
@@ -0,0 +1,377 @@
+import ShippingPartner from '../modules/admin/models/shippingPartner.model.js';
+import CourierHoliday from '../modules/admin/models/courierHoliday.model.js';
+import SellerShipment from '../modules/seller/models/shipment.model.js';
+import EddAdjustment from '../models/eddAdjustment.model.js';
+import { toCourierCode } from './chargeableWeight.js';
+import { resolveZone } from './zoneMatrix.js';
+import { checkLaneServiceability, getCourierLaneServiceability } from './serviceability.js';
+import { SHIPMENT_STATUS } from './shipmentStatus.js';
+import { getCache, setCache, deleteCache } from './redis.js';
+import { logger } from './logger.js';
+
+/**
+ * Expected delivery date (EDD) service.
+ *
+ * An estimate starts from the pickup day: the booking day when booked before
+ * the warehouse's pickup cut-off, otherwise the next day, moved to the
+ * courier's next working day. Transit days come from, in order, the
+ * courier's TAT for the delivery pincode (serviceability matrix), the
+ * courier's transit time for the zone, or DEFAULT_TRANSIT_DAYS. The learned
+ * adjustment of the courier, mode and zone (EddAdjustment, refreshed from
+ * delivered shipments) is added, and working days are counted skipping the
+ * courier's non-working weekdays and holidays. Dates are IST calendar days
+ * formatted YYYY-MM-DD.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+const EDD_CONTEXT_CACHE_KEY = 'edd_context';
+const EDD_CONTEXT_CACHE_TTL = 1800; // 30 minutes
+
+export const EDD_CONFIG = {
+  timezoneOffsetMinutes: 330, // IST
+  defaultPickupCutoff: '14:00',
+  minSamples: parseInt(process.env.EDD_MIN_SAMPLES || 20), // Delivered shipments needed before learning applies
+  highConfidenceSamples: 100,
+  lookbackDays: parseInt(process.env.EDD_LOOKBACK_DAYS || 90), // Shipments booked in this window are learned from
+  refreshInterval: DAY
+};
+
+// Transit (working) days used when a courier has no transit time for a zone
+export const DEFAULT_TRANSIT_DAYS = {
+  air: {
+    WITHIN_CITY: 1,
+    WITHIN_STATE: 2,
+    METRO_TO_METRO: 2,
+    REST_OF_INDIA: 3,
+    NORTH_EAST: 4,
+    SPECIAL_REGION: 5
+  },
+  surface: {
+    WITHIN_CITY: 2,
+    WITHIN_STATE: 3,
+    METRO_TO_METRO: 4,
+    REST_OF_INDIA: 5,
+    NORTH_EAST: 7,
+    SPECIAL_REGION: 8
+  }
+};
+
+// Calendar helpers working on IST days ('YYYY-MM-DD')
+export const toLocalDay = (date) =>
+  new Date(new Date(date).getTime() + EDD_CONFIG.timezoneOffsetMinutes * 60 * 1000).toISOString().slice(0, 10);
+
+const localMinutes = (date) => {
+  const local = new Date(new Date(date).getTime() + EDD_CONFIG.timezoneOffsetMinutes * 60 * 1000);
+  return local.getUTCHours() * 60 + local.getUTCMinutes();
+};
+
+const parseCutoff = (cutoff) => {
+  const [hours, minutes] = (cutoff || EDD_CONFIG.defaultPickupCutoff).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const addDays = (day, days) => new Date(Date.parse(day) + days * DAY).toISOString().slice(0, 10);
+
+const isWorkingDay = (day, calendar) =>
+  !calendar.nonWorkingDays.includes(new Date(Date.parse(day)).getUTCDay()) && !calendar.holidays.has(day);
+
+const nextWorkingDay = (day, calendar) => {
+  let current = day;
+  for (let i = 0; i < 60 && !isWorkingDay(current, calendar); i++) current = addDays(current, 1);
+  return current;
+};
+
+// The day that is a number of working days after a day
+const addWorkingDays = (day, days, calendar) => {
+  let current = day;
+  let remaining = days;
+  for (let i = 0; remaining > 0 && i < 365; i++) {
+    current = addDays(current, 1);
+    if (isWorkingDay(current, calendar)) remaining--;
+  }
+  return current;
+};
+
+// Working days after one day up to and including another
+const countWorkingDays = (fromDay, toDay, calendar) => {
+  let count = 0;
+  for (let current = addDays(fromDay, 1), i = 0; current <= toDay && i < 365; current = addDays(current, 1), i++) {
+    if (isWorkingDay(current, calendar)) count++;
+  }
+  return count;
+};
+
+/**
+ * Transit times, calendars and learned adjustments of every courier, cached between estimates
+ * @returns {Promise<Object>} - { couriers, holidays, adjustments }
+ */
+export const getEddContext = async () => {
+  const cached = await getCache(EDD_CONTEXT_CACHE_KEY);
+  if (cached) return cached;
+
+  const since = toLocalDay(Date.now() - EDD_CONFIG.lookbackDays * DAY);
+  const [partners, holidays, adjustments] = await Promise.all([
+    ShippingPartner.find({}).select('name transitTimes nonWorkingDays').lean(),
+    CourierHoliday.find({ date: { $gte: since } }).select('courier date').lean(),
+    EddAdjustment.find({}).lean()
+  ]);
+
+  const context = { couriers: {}, holidays: {}, adjustments: {} };
+  partners.forEach(partner => {
+    context.couriers[toCourierCode(partner.name)] = {
+      transitTimes: partner.transitTimes || {},
+      nonWorkingDays: partner.nonWorkingDays || [0]
+    };
+  });
+  holidays.forEach(holiday => {
+    const key = holiday.courier || 'ALL';
+    (context.holidays[key] = context.holidays[key] || []).push(holiday.date);
+  });
+  adjustments.forEach(adjustment => {
+    context.adjustments[`${adjustment.courier}:${adjustment.mode}:${adjustment.zone}`] = {
+      samples: adjustment.samples,
+      meanDelta: adjustment.meanDelta,
+      stdDev: adjustment.stdDev
+    };
+  });
+
+  await setCache(EDD_CONTEXT_CACHE_KEY, context, EDD_CONTEXT_CACHE_TTL);
+  return context;
+};
+
+// Must be called whenever transit times, holidays or adjustments change
+export const clearEddCache = () => deleteCache(EDD_CONTEXT_CACHE_KEY);
+
+const getCalendar = (context, courier) => ({
+  nonWorkingDays: context.couriers[courier]?.nonWorkingDays || [0],
+  holidays: new Set([...(context.holidays.ALL || []), ...(context.holidays[courier] || [])])
+});
+
+/**
+ * Whether a courier works on a day (not a weekly off day or holiday)
+ * @param {string} courier - Courier name or code
+ * @param {string} day - IST day (YYYY-MM-DD)
+ * @returns {Promise<boolean>}
+ */
+export const isCourierWorkingDay = async (courier, day) =>
+  isWorkingDay(day, getCalendar(await getEddContext(), courier ? toCourierCode(courier) : null));
+
+/**
+ * Estimate the delivery date of a shipment
+ * @param {Object} options - { courier, mode, zone, laneTransitDays, bookedAt, pickupCutoff, pickupDate }
+ * @param {Object} context - Result of getEddContext
+ * @returns {Object} - { date, earliest, latest, pickupDate, zone, mode, baseTransitDays, adjustmentDays, transitDays,
+ *   minTransitDays, maxTransitDays, confidence, source, samples }
+ */
+export const estimateDeliveryDate = ({
+  courier,
+  mode = 'surface',
+  zone = 'REST_OF_INDIA',
+  laneTransitDays,
+  bookedAt = new Date(),
+  pickupCutoff,
+  pickupDate
+}, context) => {
+  const code = courier ? toCourierCode(courier) : null;
+  const calendar = getCalendar(context, code);
+
+  // Booked after the cut-off: picked up the next day
+  const firstPickupDay = pickupDate
+    ? toLocalDay(pickupDate)
+    : localMinutes(bookedAt) >= parseCutoff(pickupCutoff)
+      ? addDays(toLocalDay(bookedAt), 1)
+      : toLocalDay(bookedAt);
+  const pickupDay = nextWorkingDay(firstPickupDay, calendar);
+
+  const courierTransitDays = context.couriers[code]?.transitTimes?.[mode]?.[zone];
+  let baseTransitDays;
+  let source;
+  if (typeof laneTransitDays === 'number') {
+    baseTransitDays = laneTransitDays;
+    source = 'lane';
+  } else if (typeof courierTransitDays === 'number') {
+    baseTransitDays = courierTransitDays;
+    source = 'courier';
+  } else {
+    baseTransitDays = DEFAULT_TRANSIT_DAYS[mode]?.[zone] ?? DEFAULT_TRANSIT_DAYS.surface.REST_OF_INDIA;
+    source = 'default';
+  }
+
+  const stats = context.adjustments[`${code}:${mode}:${zone}`];
+  const learned = Boolean(stats) && stats.samples >= EDD_CONFIG.minSamples;
+  const adjustmentDays = learned ? Math.round(stats.meanDelta) : 0;
+  const spread = learned ? Math.max(1, Math.ceil(stats.stdDev)) : 1;
+  const transitDays = Math.max(0, baseTransitDays + adjustmentDays);
+  const minTransitDays = Math.max(Math.min(transitDays, 1), transitDays - spread);
+  const maxTransitDays = transitDays + spread;
+
+  let confidence = 'low';
+  if (learned) {
+    confidence = stats.samples >= EDD_CONFIG.highConfidenceSamples && stats.stdDev <= 1 ? 'high' : 'medium';
+  }
+
+  return {
+    date: addWorkingDays(pickupDay, transitDays, calendar),
+    earliest: addWorkingDays(pickupDay, minTransitDays, calendar),
+    latest: addWorkingDays(pickupDay, maxTransitDays, calendar),
+    pickupDate: pickupDay,
+    zone,
+    mode,
+    baseTransitDays,
+    adjustmentDays,
+    transitDays,
+    minTransitDays,
+    maxTransitDays,
+    confidence,
+    source,
+    samples: stats?.samples || 0
+  };
+};
+
+/**
+ * Estimate the delivery date of a shipment on a lane, resolving the zone and the courier's lane TAT
+ * @param {Object} options - { courier, mode, pickupPincode, deliveryPincode, bookedAt, pickupCutoff, pickupDate }
+ * @returns {Promise<Object>} - See estimateDeliveryDate
+ */
+export const predictDeliveryDate = async ({ courier, mode = 'surface', pickupPincode, deliveryPincode, ...options }) => {
+  const code = courier ? toCourierCode(courier) : null;
+  const [context, { zone }, lane] = await Promise.all([
+    getEddContext(),
+    resolveZone(pickupPincode, deliveryPincode),
+    code ? checkLaneServiceability({ pickupPincode, deliveryPincode, couriers: [code] }) : null
+  ]);
+
+  const tat = lane && getCourierLaneServiceability(lane, code).tat;
+  return estimateDeliveryDate({
+    ...options,
+    courier: code,
+    mode,
+    zone,
+    laneTransitDays: mode === 'air' ? (tat?.express ?? tat?.standard) : tat?.standard
+  }, context);
+};
+
+/**
+ * Expected delivery date of a customer order while it is on its way
+ * @param {Object} order - Customer order
+ * @returns {Promise<Object|null>} - See estimateDeliveryDate, null once the order is closed
+ */
+export const predictOrderDeliveryDate = async (order) => {
+  if (['Delivered', 'Failed', 'Cancelled'].includes(order.status)) return null;
+
+  return predictDeliveryDate({
+    courier: order.courier?.name,
+    mode: order.serviceType === 'express' ? 'air' : 'surface',
+    pickupPincode: order.pickupAddress.pincode,
+    deliveryPincode: order.deliveryAddress.pincode,
+    pickupDate: order.pickupDate
+  });
+};
+
+/**
+ * Delivery estimate of a rate quote as a number of days, e.g. '3-5 days'
+ * @param {Object} quote - Quote from calculateCourierRates (with edd)
+ * @returns {string}
+ */
+export const getQuoteEstimatedDelivery = (quote) => {
+  if (!quote.edd) return quote.mode === 'air' ? '2-3 days' : '4-6 days';
+
+  const { minTransitDays: min, maxTransitDays: max } = quote.edd;
+  return min === max ? `${min} day${min === 1 ? '' : 's'}` : `${min}-${max} days`;
+};
+
+// Earliest timestamp of the events in any of the statuses (history order is not relied on)
+const getFirstEventAt = (events, statuses) => events
+  .filter(event => statuses.includes(event.status) && event.timestamp)
+  .reduce((first, event) => (!first || new Date(event.timestamp) < new Date(first) ? event.timestamp : first), null);
+
+// Working days a delivered shipment spent between pickup and delivery (null when unknown)
+const getActualTransitDays = (shipment, calendar) => {
+  const events = shipment.trackingHistory || [];
+  const pickedUpAt = getFirstEventAt(events, [SHIPMENT_STATUS.PICKED_UP, SHIPMENT_STATUS.IN_TRANSIT]) || shipment.pickupDate;
+  const deliveredAt = getFirstEventAt(events, [SHIPMENT_STATUS.DELIVERED]) || shipment.deliveryDate;
+  if (!pickedUpAt || !deliveredAt) return null;
+
+  return { days: countWorkingDays(toLocalDay(pickedUpAt), toLocalDay(deliveredAt), calendar), deliveredDay: toLocalDay(deliveredAt) };
+};
+
+/**
+ * Learn how far each courier, mode and zone is from its predicted transit time, from the tracking
+ * history of delivered shipments that were booked with an EDD
+ * @param {Object} options - { lookbackDays }
+ * @returns {Promise<Object>} - { shipments, groups }
+ */
+export const refreshEddAdjustments = async ({ lookbackDays = EDD_CONFIG.lookbackDays } = {}) => {
+  await clearEddCache();
+  const context = await getEddContext();
+  const groups = new Map();
+  let shipments = 0;
+
+  const cursor = SellerShipment.find({
+    status: SHIPMENT_STATUS.DELIVERED,
+    'edd.predictedAt': { $gte: new Date(Date.now() - lookbackDays * DAY) },
+    'edd.baseTransitDays': { $exists: true }
+  })
+    .select('courier pickupDate deliveryDate trackingHistory edd')
+    .lean()
+    .cursor();
+
+  for await (const shipment of cursor) {
+    const courier = toCourierCode(shipment.courier || '');
+    const actual = getActualTransitDays(shipment, getCalendar(context, courier));
+    if (!courier || !actual) continue;
+
+    const key = `${courier}:${shipment.edd.mode}:${shipment.edd.zone}`;
+    if (!groups.has(key)) groups.set(key, { courier, mode: shipment.edd.mode, zone: shipment.edd.zone, deltas: [], onTime: 0 });
+
+    const group = groups.get(key);
+    group.deltas.push(actual.days - shipment.edd.baseTransitDays);
+    if (!shipment.edd.latest || actual.deliveredDay <= shipment.edd.latest) group.onTime++;
+    shipments++;
+  }
+
+  const computedAt = new Date();
+  const updates = [...groups.values()].map(({ courier, mode, zone, deltas, onTime }) => {
+    const mean = deltas.reduce((sum, delta) => sum + delta, 0) / deltas.length;
+    const variance = deltas.reduce((sum, delta) => sum + (delta - mean) ** 2, 0) / deltas.length;
+    return {
+      updateOne: {
+        filter: { courier, mode, zone },
+        update: {
+          $set: {
+            samples: deltas.length,
+            meanDelta: Math.round(mean * 100) / 100,
+            stdDev: Math.round(Math.sqrt(variance) * 100) / 100,
+            onTimeRate: Math.round((onTime / deltas.length) * 10000) / 100,
+            computedAt
+          }
+        },
+        upsert: true
+      }
+    };
+  });
+
+  if (updates.length) await EddAdjustment.bulkWrite(updates, { ordered: false });
+  await clearEddCache();
+
+  logger.info(`EDD adjustments refreshed from ${shipments} delivered shipments (${updates.length} courier lanes)`);
+  return { shipments, groups: updates.length };
+};
+
+let refreshIntervalId = null;
+
+// Refresh the learned adjustments once a day
+export const startEddRefresh = () => {
+  if (refreshIntervalId || process.env.EDD_REFRESH_ENABLED === 'false') return;
+
+  refreshIntervalId = setInterval(() => {
+    refreshEddAdjustments().catch(error => logger.error(`EDD adjustment refresh failed: ${error.message}`));
+  }, EDD_CONFIG.refreshInterval);
+};
+
+export const stopEddRefresh = () => {
+  if (refreshIntervalId) {
+    clearInterval(refreshIntervalId);
+    refreshIntervalId = null;
+  }
+};
@@ -1,5 +1,36 @@
 import axios from 'axios';
 import { logger } from './logger.js';
+import { defineCourierAdapter } from './courierAdapter.js';
+import { SHIPMENT_STATUS } from './shipmentStatus.js';
+
+// Ekart status codes/strings mapped to the canonical shipment status
+export const statusMap = {
+  codes: {},
+  statuses: {
+    'shipment_created': SHIPMENT_STATUS.BOOKED,
+    'pickup_scheduled': SHIPMENT_STATUS.PENDING_PICKUP,
+    'pickup_complete': SHIPMENT_STATUS.PICKED_UP,
+    'in_transit': SHIPMENT_STATUS.IN_TRANSIT,
+    'out_for_delivery': SHIPMENT_STATUS.OUT_FOR_DELIVERY,
+    'delivered': SHIPMENT_STATUS.DELIVERED,
+    'undelivered': SHIPMENT_STATUS.NDR,
+    'rto_initiated': SHIPMENT_STATUS.RTO_INITIATED,
+    'rto_in_transit': SHIPMENT_STATUS.RTO_IN_TRANSIT,
+    'rto_delivered': SHIPMENT_STATUS.RTO_DELIVERED,
+    'cancelled': SHIPMENT_STATUS.CANCELLED,
+    'lost': SHIPMENT_STATUS.LOST
+  }
+};
+
+// Ekart non-delivery reasons mapped to NDR reason categories
+export const ndrReasonMap = {
+  codes: {},
+  keywords: {
+    'customer not reachable': 'Customer Not Available',
+    'shipment rejected': 'Customer Refusal',
+    'unserviceable address': 'Address Issues'
+  }
+};
 
 /**
  * Calculate shipping rates for Ekart
@@ -13,7 +44,7 @@ export const calculateRate = async (packageDetails, deliveryDetails, partnerDeta
     // In a real implementation, this would call the Ekart API
     // For now, use a simplified calculation based on weight and distance
     
-    const weight = packageDetails.weight;
+    const weight = packageDetails.chargeableWeight || packageDetails.weight;
     const isCOD = packageDetails.paymentMode === 'COD';
     
     // Basic rate calculation
@@ -21,17 +52,15 @@ export const calculateRate = async (packageDetails, deliveryDetails, partnerDeta
     const weightCharge = weight * 22;
     const codCharge = isCOD ? 30 : 0;
     
-    // Calculate estimated delivery days based on service type
+    // Express service by partner name; delivery dates come from the EDD service (utils/edd.js)
     const isExpress = partnerDetails.name.toLowerCase().includes('express');
-    const estimatedDays = isExpress ? '1-3 days' : '2-5 days';
     
     return {
       success: true,
       provider: {
         id: partnerDetails.id,
         name: partnerDetails.name,
-        expressDelivery: isExpress,
-        estimatedDays
+        expressDelivery: isExpress
       },
       totalRate: Math.round(baseRate + weightCharge + codCharge),
       breakdown: {
@@ -95,9 +124,9 @@ export const trackShipment = async (trackingNumber, partnerDetails) => {
       status: 'In Transit',
       deliveryDate: null,
       currentLocation: 'Delhi Hub',
-      history: [
-        { timestamp: new Date(Date.now() - 86400000), status: 'Picked Up', location: 'Seller Warehouse' },
-        { timestamp: new Date(), status: 'In Transit', location: 'Delhi Hub' }
+      trackingHistory: [
+        { timestamp: new Date(Date.now() - 86400000), status: 'Picked Up', location: 'Seller Warehouse', description: 'Shipment picked up' },
+        { timestamp: new Date(), status: 'In Transit', location: 'Delhi Hub', description: 'Shipment in transit' }
       ],
       courierName: partnerDetails.name
     };
@@ -109,4 +138,154 @@ export const trackShipment = async (trackingNumber, partnerDetails) => {
       courierName: partnerDetails.name
     };
   }
-}; 
\ No newline at end of file
+};
+
+/**
+ * Cancel a shipment with Ekart
+ * @param {string} awb - AWB number to cancel
+ * @param {Object} partnerDetails - Partner configuration from the database
+ * @returns {Object} - Cancellation response
+ */
+export const cancelShipment = async (awb, partnerDetails) => {
+  try {
+    // For development/testing, return mock data
+    // In production, this would integrate with Ekart's API
+
+    return {
+      success: true,
+      awb,
+      referenceId: `EKART-CXL-${Date.now()}`,
+      courierName: partnerDetails.name,
+      message: 'Shipment cancelled successfully'
+    };
+  } catch (error) {
+    logger.error(`Ekart cancellation error: ${error.message}`);
+    return {
+      success: false,
+      error: error.message,
+      courierName: partnerDetails.name
+    };
+  }
+};
+
+/**
+ * Generate a pickup manifest with Ekart
+ * @param {Array<string>} awbs - AWB numbers to include in the manifest
+ * @param {Object} partnerDetails - Partner configuration from the database
+ * @returns {Object} - Manifest response
+ */
+export const generateManifest = async (awbs, partnerDetails) => {
+  try {
+    // For development/testing, return mock data
+    // In production, this would integrate with Ekart's API
+
+    return {
+      success: true,
+      manifestId: `EKART-MNF-${Date.now()}`,
+      awbs,
+      manifest: 'mock-ekart-manifest-base64',
+      courierName: partnerDetails.name
+    };
+  } catch (error) {
+    logger.error(`Ekart manifest error: ${error.message}`);
+    return {
+      success: false,
+      error: error.message,
+      courierName: partnerDetails.name
+    };
+  }
+};
+
+/**
+ * Schedule a pickup with Ekart
+ * @param {Object} pickupDetails - Pickup address, date, slot and AWBs
+ * @param {Object} partnerDetails - Partner configuration from the database
+ * @returns {Object} - Pickup response with the courier's pickup ID
+ */
+export const schedulePickup = async (pickupDetails, partnerDetails) => {
+  try {
+    // For development/testing, return mock data
+    // In production, this would integrate with Ekart's API
+
+    return {
+      success: true,
+      pickupId: `EKART-PKP-${Date.now()}`,
+      pickupDate: pickupDetails.pickupDate,
+      slot: pickupDetails.slot,
+      courierName: partnerDetails.name,
+      message: 'Pickup scheduled successfully'
+    };
+  } catch (error) {
+    logger.error(`Ekart pickup error: ${error.message}`);
+    return {
+      success: false,
+      error: error.message,
+      courierName: partnerDetails.name
+    };
+  }
+};
+
+/**
+ * Push an NDR action (re-attempt, address/phone change, RTO) to Ekart
+ * @param {string} awb - AWB number of the undelivered shipment
+ * @param {Object} action - Action details ({ type, reattemptDate, address, phone, remarks })
+ * @param {Object} partnerDetails - Partner configuration from the database
+ * @returns {Object} - Action response with the courier's reference ID
+ */
+export const submitNDRAction = async (awb, action, partnerDetails) => {
+  try {
+    // For development/testing, return mock data
+    // In production, this would integrate with Ekart's API
+
+    return {
+      success: true,
+      awb,
+      action: action.type,
+      referenceId: `EKART-NDR-${Date.now()}`,
+      courierName: partnerDetails.name,
+      message: 'NDR action submitted successfully'
+    };
+  } catch (error) {
+    logger.error(`Ekart NDR action error: ${error.message}`);
+    return {
+      success: false,
+      error: error.message,
+      courierName: partnerDetails.name
+    };
+  }
+};
+
+/**
+ * Parse an Ekart tracking push into tracking events
+ * Ekart pushes { tracking_id, status, event_date, location, description }
+ * @param {Object} payload - Parsed webhook body
+ * @returns {Array} - Tracking events
+ */
+export const parseWebhook = (payload) => {
+  const events = Array.isArray(payload.events) ? payload.events : [payload];
+
+  return events
+    .filter(event => event.tracking_id)
+    .map(event => ({
+      awb: event.tracking_id,
+      status: event.status,
+      timestamp: event.event_date ? new Date(event.event_date) : new Date(),
+      location: event.location,
+      description: event.description || event.status
+    }));
+};
+
+export default defineCourierAdapter({
+  code: 'EKART',
+  name: 'Ekart',
+  statusMap,
+  ndrReasonMap,
+  calculateRate,
+  bookShipment,
+  trackShipment,
+  cancelShipment,
+  generateManifest,
+  schedulePickup,
+  submitNDRAction,
+  parseWebhook
+});
@@ -158,5 +158,24 @@ export const EMAIL_TEMPLATES = {
       </div>
     `,
     text: `Payment of ₹{{amount}} received for order #{{orderId}}. Thank you for using RocketryBox!`
+  },
+  NDR_RESPONSE: {
+    subject: 'Delivery Attempt Failed - RocketryBox',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>We missed you</h2>
+        <p>We could not deliver your {{seller}} order today.</p>
+        <p>Tracking ID: <strong>{{awb}}</strong></p>
+        <p>Reason: {{reason}}</p>
+        <p>Choose a new delivery date, correct your address or landmark, or cancel the order:</p>
+        <p><a href="{{link}}">Tell us how to deliver</a></p>
+        <p>This link is valid till {{expiry}}.</p>
+        <hr>
+        <p style="color: #666; font-size: 12px;">
+          This is an automated message, please do not reply to this email.
+        </p>
+      </div>
+    `,
+    text: `We could not deliver your {{seller}} order {{awb}} ({{reason}}). Choose a new delivery date, correct your address or cancel here: {{link}} (valid till {{expiry}})`
   }
 }; 
\ No newline at end of file
@@ -0,0 +1,242 @@
+import Product from '../modules/seller/models/product.model.js';
+import WarehouseItem from '../modules/seller/models/warehouseItem.model.js';
+import StockHistory from '../modules/seller/models/stockHistory.model.js';
+import SellerOrder from '../modules/seller/models/order.model.js';
+import { sendLowStockAlert } from '../modules/seller/services/realtime.service.js';
+import { logger } from './logger.js';
+
+/**
+ * Seller stock movements.
+ *
+ * A SKU's stock on hand is held on the seller's Product (`stock`) and on the
+ * matching WarehouseItem (`quantity`, with a status band); `reservedStock` on
+ * the Product is what open orders hold. An order reserves its line items
+ * when it is created, the reservation turns into a deduction once the order
+ * ships, and a cancellation releases the reservation or puts shipped stock
+ * back. Stock is held per warehouse (a seller Store): an order moves the
+ * WarehouseItem of the warehouse it is fulfilled from, and the Product's
+ * totals cover every warehouse. Every movement is written to StockHistory
+ * with the order it was made for, and a product whose available stock (on
+ * hand less reserved) falls to its `lowStockThreshold` raises a real-time
+ * alert to the seller.
+ */
+
+const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+
+// Stock an order's line item holds in each stock status: { onHand, reserved } per unit
+const STOCK_EFFECT = {
+  Reserved: { onHand: 0, reserved: 1 },
+  Deducted: { onHand: -1, reserved: 0 },
+  Released: { onHand: 0, reserved: 0 }
+};
+
+// Stock status an order should be in for its order status (Returned orders are restocked by returns QC)
+const STOCK_STATUS_BY_ORDER_STATUS = {
+  Pending: 'Reserved',
+  Processing: 'Reserved',
+  Shipped: 'Deducted',
+  Delivered: 'Deducted',
+  Cancelled: 'Released'
+};
+
+export const warehouseItemStatus = (quantity) => {
+  if (quantity <= 0) return 'Out of Stock';
+  if (quantity < 5) return 'Low Stock';
+  return 'In Stock';
+};
+
+const movementType = ({ onHand, reserved }) => {
+  if (onHand > 0) return 'add';
+  if (onHand < 0) return 'remove';
+  return reserved > 0 ? 'reserve' : 'release';
+};
+
+// Alert the seller when available stock crosses the product's low stock threshold on the way down
+const checkLowStock = async (product, change) => {
+  const threshold = product.inventory?.lowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD;
+  const available = product.stock - (product.reservedStock || 0);
+  const before = available - change;
+  if (!(before > threshold && available <= threshold)) return;
+
+  await sendLowStockAlert(String(product.seller), {
+    productId: product._id,
+    sku: product.sku,
+    name: product.name,
+    stock: product.stock,
+    reserved: product.reservedStock || 0,
+    available,
+    threshold,
+    reorderPoint: product.inventory?.reorderPoint
+  });
+};
+
+// Move a warehouse item's stock with $inc, so concurrent movements of the SKU add up, and
+// bring its status band in line with the quantity it was left with; with `available` the item
+// only moves when that many units are free (on hand less reserved)
+const moveWarehouseItem = async (filter, { onHand, reserved, available }) => {
+  const free = available
+    ? { $expr: { $gte: [{ $subtract: ['$quantity', { $ifNull: ['$reservedQuantity', 0] }] }, available] } }
+    : {};
+  let item = await WarehouseItem.findOneAndUpdate(
+    { ...filter, ...free },
+    { $inc: { quantity: onHand }, $set: { lastUpdated: new Date() } },
+    { new: true }
+  );
+  if (!item) return null;
+
+  // Reservations are only tracked on items held at a warehouse
+  if (item.store && reserved) {
+    item = await WarehouseItem.findOneAndUpdate({ _id: item._id }, { $inc: { reservedQuantity: reserved } }, { new: true });
+    if (item.reservedQuantity < 0) {
+      await WarehouseItem.updateOne({ _id: item._id, reservedQuantity: { $lt: 0 } }, { $set: { reservedQuantity: 0 } });
+      item.reservedQuantity = 0;
+    }
+  }
+
+  const status = warehouseItemStatus(item.quantity);
+  if (item.status !== status) {
+    // Left to the movement that got in since when the quantity has changed again
+    await WarehouseItem.updateOne({ _id: item._id, quantity: item.quantity }, { $set: { status } });
+    item.status = status;
+  }
+  return item;
+};
+
+/**
+ * Move a SKU's stock
+ * @param {Object} movement - { seller, sku, onHand: change to stock on hand, reserved: change to reserved stock,
+ *   store: warehouse the stock moves at (any of the seller's when missing), order: SellerOrder id,
+ *   reference: order, return or transfer number, notes, type: history type when not add/remove/reserve/release,
+ *   reason: adjustment reason, transfer: StockTransfer id, warehouseItem: WarehouseItem to move instead of
+ *   looking one up (the document is not updated; read the item again for its new quantities),
+ *   available: units that must be free at the warehouse item, nothing moves when they are not }
+ * @returns {Promise<number>} - Units moved (0 when the seller has no such SKU or the stock is not available)
+ */
+export const moveStock = async ({
+  seller, sku, onHand = 0, reserved = 0, store, order, reference, notes, type, reason, transfer, warehouseItem, available
+}) => {
+  if (!sku || (!onHand && !reserved)) return 0;
+
+  const itemFilter = (product) => (warehouseItem
+    ? { _id: warehouseItem._id }
+    : (onHand || store || !product) && (store ? { seller, sku, store } : { seller, sku }));
+
+  // Stock that has to be free is taken from the warehouse item, in the same update that checks it, before anything else moves
+  let item = available ? await moveWarehouseItem(itemFilter(null), { onHand, reserved, available }) : null;
+  if (available && !item) return 0;
+
+  const product = await Product.findOneAndUpdate(
+    { seller, sku },
+    { $inc: { stock: onHand, reservedStock: reserved }, lastUpdated: new Date() },
+    { new: true }
+  ).setOptions({ skipDefaultFilter: true });
+
+  if (!available) {
+    const filter = itemFilter(product);
+    item = filter ? await moveWarehouseItem(filter, { onHand, reserved }) : null;
+  }
+  if (!product && !item) return 0;
+
+  const quantity = Math.abs(onHand || reserved);
+  await StockHistory.create({
+    item: item?._id,
+    product: product?._id,
+    seller,
+    sku,
+    quantity,
+    store: item?.store || store,
+    location: item?.location,
+    notes,
+    type: type || movementType({ onHand, reserved }),
+    reason,
+    order,
+    transfer,
+    reference
+  });
+
+  if (product) await checkLowStock(product, onHand - reserved);
+  return quantity;
+};
+
+/**
+ * Move a SKU's stock on hand up or down
+ * @param {Object} movement - { seller, sku, quantity: positive adds, negative removes, order, reference, notes }
+ * @returns {Promise<number>} - Units moved
+ */
+export const adjustSkuStock = ({ quantity, ...movement }) => moveStock({ ...movement, onHand: quantity });
+
+// Move every line item of an order between two stock statuses
+const moveOrderStock = async (order, from, to, notes) => {
+  const fromEffect = STOCK_EFFECT[from] || STOCK_EFFECT.Released;
+  const toEffect = STOCK_EFFECT[to];
+
+  for (const item of order.items || []) {
+    await moveStock({
+      seller: order.seller,
+      sku: item.sku,
+      onHand: (toEffect.onHand - fromEffect.onHand) * item.quantity,
+      reserved: (toEffect.reserved - fromEffect.reserved) * item.quantity,
+      store: order.fulfilment?.store,
+      order: order._id,
+      reference: order.orderId,
+      notes
+    });
+  }
+};
+
+/**
+ * Hold a new order's line items out of available stock
+ * @param {Object} order - SellerOrder document
+ * @returns {Promise<Object>} - SellerOrder
+ */
+export const reserveOrderStock = async (order) => {
+  if (order.stockStatus) return order;
+
+  // Claim the reservation so concurrent calls reserve the order once
+  const claimed = await SellerOrder.updateOne(
+    { _id: order._id, stockStatus: null },
+    { $set: { stockStatus: 'Reserved' } }
+  );
+  if (!claimed.modifiedCount) return order;
+  order.stockStatus = 'Reserved';
+
+  await moveOrderStock(order, null, 'Reserved', `Reserved for order ${order.orderId}`);
+  return order;
+};
+
+/**
+ * Bring an order's stock in line with its status: deduct the reservation once it ships,
+ * release it (or put shipped stock back) when it is cancelled, and reserve again when a
+ * cancelled shipment sends it back to Processing. Orders created before stock was
+ * reserved are left alone.
+ * @param {Object} order - SellerOrder document, after its status has changed
+ * @returns {Promise<void>}
+ */
+export const syncOrderStock = async (order) => {
+  const current = order.stockStatus;
+  const target = STOCK_STATUS_BY_ORDER_STATUS[order.status];
+  if (!current || !target || current === target) return;
+
+  // Claim the transition so concurrent status updates move the stock once
+  const claimed = await SellerOrder.updateOne(
+    { _id: order._id, stockStatus: current },
+    { $set: { stockStatus: target } }
+  );
+  if (!claimed.modifiedCount) return;
+  order.stockStatus = target;
+
+  const notes = {
+    Deducted: `Shipped on order ${order.orderId}`,
+    Released: current === 'Deducted'
+      ? `Restocked after order ${order.orderId} was cancelled`
+      : `Reservation released, order ${order.orderId} cancelled`,
+    Reserved: `Back in stock and reserved again, shipment of order ${order.orderId} cancelled`
+  }[target];
+
+  try {
+    await moveOrderStock(order, current, target, notes);
+    logger.info(`Order ${order.orderId} stock ${current.toLowerCase()} -> ${target.toLowerCase()}`);
+  } catch (error) {
+    logger.error(`Error moving stock for order ${order.orderId}: ${error.message}`);
+  }
+};
@@ -0,0 +1,37 @@
+/**
+ * 5x7 bitmap font used to draw text on raster (PNG) labels.
+ *
+ * Covers ASCII 0x20-0x5F; lowercase letters are drawn as uppercase and any
+ * other character as '?'. Each glyph is 5 columns, one byte per column with
+ * the top row in the lowest bit.
+ */
+
+const GLYPHS = [
+  '0000000000', '00005f0000', '0007000700', '147f147f14', '242a7f2a12', '2313086462', '3649552250', '0005030000',
+  '001c224100', '0041221c00', '082a1c2a08', '08083e0808', '0050300000', '0808080808', '0060600000', '2010080402',
+  '3e5149453e', '00427f4000', '4261514946', '2141454b31', '1814127f10', '2745454539', '3c4a494930', '0171090503',
+  '3649494936', '064949291e', '0036360000', '0056360000', '0008142241', '1414141414', '4122140800', '0201510906',
+  '324979413e', '7e1111117e', '7f49494936', '3e41414122', '7f4141221c', '7f49494941', '7f09090101', '3e41415132',
+  '7f0808087f', '00417f4100', '2040413f01', '7f08142241', '7f40404040', '7f0204027f', '7f0408107f', '3e4141413e',
+  '7f09090906', '3e4151215e', '7f09192946', '4649494931', '01017f0101', '3f4040403f', '1f2040201f', '7f2018207f',
+  '6314081463', '0304780403', '6151494543', '00007f4141', '0204081020', '41417f0000', '0402010204', '4040404040'
+];
+
+export const GLYPH_WIDTH = 5;
+export const GLYPH_HEIGHT = 7;
+// Glyph plus one column / row of spacing
+export const CELL_WIDTH = 6;
+export const CELL_HEIGHT = 8;
+
+/**
+ * Column bytes of a character
+ * @param {string} char - Single character
+ * @returns {number[]} - 5 column bytes
+ */
+export const getGlyph = (char) => {
+  let code = char.toUpperCase().charCodeAt(0);
+  if (code < 0x20 || code > 0x5f) code = 0x3f;
+
+  const hex = GLYPHS[code - 0x20];
+  return [0, 2, 4, 6, 8].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+};
@@ -0,0 +1,650 @@
+import PDFDocument from 'pdfkit';
+import axios from 'axios';
+import zlib from 'zlib';
+import SellerOrder from '../modules/seller/models/order.model.js';
+import Seller from '../modules/seller/models/seller.model.js';
+import Store from '../modules/seller/models/store.model.js';
+import { getGlyph, GLYPH_HEIGHT, CELL_WIDTH } from './labelFont.js';
+import { logger } from './logger.js';
+import { describeItems, getItemsWeight } from './orderItems.js';
+
+/**
+ * Shipping label renderer.
+ *
+ * A label is laid out once on a 4x6 in. canvas (288 x 432 pt) as a list of
+ * elements (rect, text, barcode, image) and then drawn, scaled to the chosen
+ * label size, as a PDF, a monochrome PNG or raw ZPL for thermal printers.
+ * Logos are only drawn on PDF labels; PNG and ZPL labels show the seller name.
+ */
+
+// Page sizes in points
+export const LABEL_SIZES = {
+  A4: { width: 595.28, height: 841.89 },
+  A5: { width: 419.53, height: 595.28 },
+  A6: { width: 297.64, height: 419.53 },
+  '4x6': { width: 288, height: 432 }
+};
+
+// Label size key for a case-insensitive name, e.g. 'a6' -> 'A6'
+export const resolveLabelSize = (size) =>
+  size ? Object.keys(LABEL_SIZES).find(key => key.toLowerCase() === String(size).toLowerCase()) : undefined;
+
+export const LABEL_FORMATS = {
+  PDF: { contentType: 'application/pdf', extension: 'pdf' },
+  PNG: { contentType: 'image/png', extension: 'png' },
+  ZPL: { contentType: 'text/plain; charset=utf-8', extension: 'zpl' }
+};
+
+const LAYOUT = { width: 288, height: 432, margin: 8 };
+const PRINTER_DPI = 203;
+// Widest average character width as a share of the font size, used to fit text
+const CHAR_WIDTH = 0.6;
+const LOGO_TIMEOUT = 5000;
+
+// Code 128 bar/space widths of every symbol value (103-105 are the start codes, 106 the stop code)
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+const CODE128 = { START_B: 104, START_C: 105, CODE_B: 100, CODE_C: 99, STOP: 106 };
+
+/**
+ * Encode a value as Code 128, using code set C for runs of 4+ digits and code set B otherwise
+ * @param {string} value - Printable ASCII text
+ * @returns {number[]} - Alternating bar and space widths in modules, starting with a bar
+ */
+export const encodeCode128 = (value) => {
+  const text = String(value).replace(/[^\x20-\x7e]/g, '?');
+  const codes = [];
+  let set = null;
+  let i = 0;
+
+  while (i < text.length) {
+    const run = text.slice(i).match(/^\d*/)[0].length;
+    if (run >= 4) {
+      if (set !== 'C') codes.push(set ? CODE128.CODE_C : CODE128.START_C);
+      set = 'C';
+      const pairs = run - (run % 2);
+      for (let end = i + pairs; i < end; i += 2) codes.push(Number(text.slice(i, i + 2)));
+    } else {
+      if (set !== 'B') codes.push(set ? CODE128.CODE_B : CODE128.START_B);
+      set = 'B';
+      codes.push(text.charCodeAt(i) - 32);
+      i++;
+    }
+  }
+
+  const checksum = codes.reduce((sum, code, index) => sum + code * Math.max(index, 1), 0) % 103;
+  return [...codes, checksum, CODE128.STOP]
+    .flatMap(code => CODE128_PATTERNS[code].split('').map(Number));
+};
+
+const formatAmount = (amount) =>
+  `Rs. ${Number(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date) => {
+  if (!date) return '';
+  const [year, month, day] = new Date(date).toISOString().slice(0, 10).split('-');
+  return `${day}-${month}-${year}`;
+};
+
+// Split text into lines that fit the width, cutting the last line short when there are too many
+const wrapText = (text, size, width, maxLines = 1) => {
+  const perLine = Math.max(1, Math.floor(width / (size * CHAR_WIDTH)));
+  const lines = [];
+  let line = '';
+
+  for (const word of String(text || '').split(/\s+/).filter(Boolean)) {
+    let rest = word;
+    while (rest.length > perLine) {
+      if (line) lines.push(line);
+      lines.push(rest.slice(0, perLine));
+      rest = rest.slice(perLine);
+      line = '';
+    }
+    if (!line) line = rest;
+    else if (line.length + 1 + rest.length <= perLine) line = `${line} ${rest}`;
+    else {
+      lines.push(line);
+      line = rest;
+    }
+  }
+  if (line) lines.push(line);
+
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] = `${lines[maxLines - 1].slice(0, perLine - 3)}...`;
+  }
+  return lines;
+};
+
+const text = (x, y, width, value, { size = 9, bold = false, align = 'left', inverse = false } = {}) => ({
+  type: 'text', x, y, width, size, bold, align, inverse, text: wrapText(value, size, width)[0] || ''
+});
+
+const rule = (y) => ({ type: 'rect', x: LAYOUT.margin, y, width: LAYOUT.width - 2 * LAYOUT.margin, height: 1, fill: true });
+
+// Name, address and phone block; returns the elements
+const addressBlock = (title, party, y, { nameSize = 11, lineSize = 9, streetLines = 2 } = {}) => {
+  const x = 14;
+  const width = LAYOUT.width - 28;
+  const address = party?.address || {};
+  const lines = [
+    ...wrapText(address.street, lineSize, width, streetLines),
+    [address.city, address.state].filter(Boolean).join(', ') + (address.pincode ? ` - ${address.pincode}` : ''),
+    party?.phone ? `Ph: ${party.phone}` : ''
+  ].filter(Boolean);
+
+  const elements = [
+    text(x, y, width, title, { size: 7, bold: true }),
+    text(x, y + 10, width, party?.name, { size: nameSize, bold: true })
+  ];
+  lines.forEach((line, index) => {
+    elements.push(text(x, y + 12 + nameSize + index * (lineSize + 2), width, line, { size: lineSize }));
+  });
+  return elements;
+};
+
+const awbBlock = (data, options) => {
+  const inner = LAYOUT.width - 2 * LAYOUT.margin;
+  if (!options.showBarcode) {
+    return [text(LAYOUT.margin, 72, inner, data.awb, { size: 18, bold: true, align: 'center' })];
+  }
+
+  return [
+    { type: 'barcode', x: 24, y: 56, width: LAYOUT.width - 48, height: 40, value: data.awb },
+    text(LAYOUT.margin, 101, inner, data.awb, { size: 10, bold: true, align: 'center' })
+  ];
+};
+
+const frame = () => ({
+  type: 'rect',
+  x: LAYOUT.margin,
+  y: LAYOUT.margin,
+  width: LAYOUT.width - 2 * LAYOUT.margin,
+  height: LAYOUT.height - 2 * LAYOUT.margin
+});
+
+// Shipping label: courier, AWB barcode, routing, consignee, payment, order details and return address
+// Contents of the parcel; cut short with "..." when the items do not fit the line
+const itemsLine = (items) => {
+  if (!items?.length) return '';
+  return items.length === 1
+    ? `Item: ${describeItems(items)}`
+    : `Items (${items.length}): ${describeItems(items)}`;
+};
+
+const buildShippingPage = (data, options) => {
+  const inner = LAYOUT.width - 2 * LAYOUT.margin;
+  const isCOD = data.paymentMethod === 'COD';
+  const dimensions = data.dimensions?.length
+    ? `${data.dimensions.length} x ${data.dimensions.width} x ${data.dimensions.height} cm`
+    : '';
+
+  const elements = [
+    frame(),
+    options.logo
+      ? { type: 'image', x: 14, y: 12, width: 80, height: 32 }
+      : text(14, 15, 130, data.shipper?.name, { size: 11, bold: true }),
+    text(150, 13, 124, data.courier, { size: 12, bold: true, align: 'right' }),
+    text(150, 30, 124, `${(data.mode || 'surface').toUpperCase()} / ${isCOD ? 'COD' : 'PREPAID'}`, { size: 8, align: 'right' }),
+    rule(48),
+    ...awbBlock(data, options),
+    rule(118),
+    { type: 'rect', x: LAYOUT.width / 2, y: 118, width: 1, height: 32, fill: true },
+    text(14, 121, 124, 'ROUTING CODE', { size: 6, bold: true }),
+    text(14, 131, 124, data.routingCode, { size: 14, bold: true }),
+    text(150, 121, 124, 'DESTINATION PINCODE', { size: 6, bold: true }),
+    text(150, 131, 124, data.consignee?.address?.pincode, { size: 14, bold: true }),
+    rule(150),
+    ...addressBlock('SHIP TO', data.consignee, 155),
+    rule(240)
+  ];
+
+  if (isCOD) {
+    elements.push(
+      { type: 'rect', x: LAYOUT.margin, y: 240, width: inner, height: 32, fill: true },
+      text(LAYOUT.margin, 249, inner, `COD - COLLECT ${formatAmount(data.codAmount)}`, { size: 14, bold: true, align: 'center', inverse: true })
+    );
+  } else {
+    elements.push(text(LAYOUT.margin, 251, inner, 'PREPAID - DO NOT COLLECT CASH', { size: 11, bold: true, align: 'center' }));
+  }
+
+  elements.push(
+    rule(272),
+    text(14, 278, 136, `Order: ${data.orderNumber || '-'}`, { size: 8, bold: true }),
+    text(150, 278, 124, `Date: ${formatDate(data.orderDate)}`, { size: 8, align: 'right' }),
+    text(14, 290, 136, `Weight: ${data.weight || '-'} kg`, { size: 8 }),
+    text(150, 290, 124, dimensions && `Dims: ${dimensions}`, { size: 8, align: 'right' }),
+    text(14, 302, LAYOUT.width - 28, itemsLine(data.items), { size: 8 }),
+    text(14, 314, 136, `Value: ${formatAmount(data.declaredValue)}`, { size: 8 }),
+    text(150, 314, 124, data.expectedDelivery ? `Expected by: ${formatDate(data.expectedDelivery)}` : '', { size: 8, align: 'right' }),
+    text(14, 326, LAYOUT.width - 28, data.piece ? `BOX ${data.piece.number} OF ${data.piece.count} - MASTER AWB ${data.piece.masterAwb}` : '', { size: 8, bold: true }),
+    rule(340),
+    ...addressBlock('IF UNDELIVERED, RETURN TO', data.shipper, 344, { nameSize: 9, lineSize: 8, streetLines: 1 })
+  );
+
+  if (options.additionalText) {
+    elements.push(
+      rule(406),
+      text(LAYOUT.margin, 412, inner, options.additionalText, { size: 7, align: 'center' })
+    );
+  }
+  return elements;
+};
+
+// Return label: the same AWB, addressed back to the seller
+const buildReturnPage = (data, options) => {
+  const inner = LAYOUT.width - 2 * LAYOUT.margin;
+
+  return [
+    frame(),
+    text(14, 15, 136, 'RETURN LABEL', { size: 14, bold: true }),
+    text(150, 13, 124, data.courier, { size: 12, bold: true, align: 'right' }),
+    text(150, 30, 124, (data.mode || 'surface').toUpperCase(), { size: 8, align: 'right' }),
+    rule(48),
+    ...awbBlock(data, options),
+    rule(118),
+    ...addressBlock('RETURN TO', data.shipper, 123),
+    rule(220),
+    ...addressBlock('FROM', data.consignee, 225),
+    rule(310),
+    text(14, 316, LAYOUT.width - 28, `Order: ${data.orderNumber || '-'}`, { size: 8, bold: true }),
+    text(14, 328, LAYOUT.width - 28, itemsLine(data.items), { size: 8 }),
+    rule(406),
+    text(LAYOUT.margin, 412, inner, 'Attach this label to the return package', { size: 7, align: 'center' })
+  ];
+};
+
+/**
+ * Lay out the pages of a label. A multi-piece shipment gets a shipping label per box,
+ * carrying the box's child AWB, weight and dimensions.
+ * @param {Object} data - Result of getShipmentLabelData
+ * @param {Object} options - { showBarcode, showReturnLabel, additionalText, logo }
+ * @returns {Object[][]} - Elements of each page on the 4x6 layout canvas
+ */
+export const buildLabelPages = (data, options) => {
+  const pages = data.pieces?.length
+    ? data.pieces.map(piece => buildShippingPage({
+      ...data,
+      awb: piece.awb,
+      weight: piece.weight,
+      dimensions: piece.dimensions,
+      piece: { number: piece.number, count: data.pieces.length, masterAwb: data.awb }
+    }, options))
+    : [buildShippingPage(data, options)];
+  if (options.showReturnLabel) pages.push(buildReturnPage(data, options));
+  return pages;
+};
+
+// Scale and offset that fit the layout canvas on a page, centered
+const getTransform = (size) => {
+  const scale = Math.min(size.width / LAYOUT.width, size.height / LAYOUT.height);
+  return {
+    scale,
+    offsetX: (size.width - LAYOUT.width * scale) / 2,
+    offsetY: (size.height - LAYOUT.height * scale) / 2
+  };
+};
+
+const renderPdf = (pages, size, logo) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: [size.width, size.height], margin: 0, autoFirstPage: false });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const { scale, offsetX, offsetY } = getTransform(size);
+
+  for (const elements of pages) {
+    doc.addPage({ size: [size.width, size.height], margin: 0 });
+    doc.save().translate(offsetX, offsetY).scale(scale);
+
+    for (const element of elements) {
+      if (element.type === 'rect') {
+        doc.rect(element.x, element.y, element.width, element.height);
+        if (element.fill) doc.fill('black');
+        else doc.lineWidth(1).stroke('black');
+      } else if (element.type === 'text' && element.text) {
+        doc.font(element.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(element.size);
+        const width = doc.widthOfString(element.text);
+        const x = element.align === 'center'
+          ? element.x + (element.width - width) / 2
+          : element.align === 'right' ? element.x + element.width - width : element.x;
+        // Without a width option pdfkit draws a single line and never adds a page
+        doc.fillColor(element.inverse ? 'white' : 'black').text(element.text, x, element.y, { lineBreak: false });
+      } else if (element.type === 'barcode') {
+        const modules = encodeCode128(element.value);
+        const moduleWidth = element.width / modules.reduce((sum, width) => sum + width, 0);
+        let x = element.x;
+        modules.forEach((width, index) => {
+          if (index % 2 === 0) doc.rect(x, element.y, width * moduleWidth, element.height).fill('black');
+          x += width * moduleWidth;
+        });
+      } else if (element.type === 'image' && logo) {
+        try {
+          doc.image(logo, element.x, element.y, { fit: [element.width, element.height] });
+        } catch (error) {
+          logger.warn(`Label logo could not be drawn: ${error.message}`);
+        }
+      }
+    }
+
+    doc.restore();
+  }
+
+  doc.end();
+});
+
+// Bitmap helpers for PNG labels (1 = black)
+const fillDots = (bitmap, x, y, width, height, value = 1) => {
+  const x0 = Math.max(0, Math.round(x));
+  const y0 = Math.max(0, Math.round(y));
+  const x1 = Math.min(bitmap.width, Math.round(x + width));
+  const y1 = Math.min(bitmap.height, Math.round(y + height));
+  for (let row = y0; row < y1; row++) {
+    bitmap.pixels.fill(value, row * bitmap.width + x0, row * bitmap.width + x1);
+  }
+};
+
+const drawBitmapText = (bitmap, element, toDots) => {
+  const dotsPerPoint = toDots(1) - toDots(0);
+  const glyphScale = Math.max(1, Math.floor((element.size * CHAR_WIDTH * dotsPerPoint) / CELL_WIDTH));
+  const advance = CELL_WIDTH * glyphScale;
+  const boxWidth = element.width * dotsPerPoint;
+  const value = element.text.slice(0, Math.floor((boxWidth + glyphScale) / advance));
+  const width = value.length * advance - glyphScale;
+
+  let x = toDots(element.x);
+  if (element.align === 'center') x += (boxWidth - width) / 2;
+  else if (element.align === 'right') x += boxWidth - width;
+  const y = toDots(element.y, 'y') + Math.max(0, (element.size * dotsPerPoint - GLYPH_HEIGHT * glyphScale) / 2);
+  const color = element.inverse ? 0 : 1;
+  const weight = element.bold ? glyphScale + Math.max(1, Math.floor(glyphScale / 2)) : glyphScale;
+
+  [...value].forEach((char, index) => {
+    getGlyph(char).forEach((column, col) => {
+      for (let row = 0; row < GLYPH_HEIGHT; row++) {
+        if (column & (1 << row)) {
+          fillDots(bitmap, x + index * advance + col * glyphScale, y + row * glyphScale, weight, glyphScale, color);
+        }
+      }
+    });
+  });
+};
+
+const drawBitmapPage = (bitmap, elements, transform, top) => {
+  const dotsPerUnit = transform.scale * PRINTER_DPI / 72;
+  const toDots = (value, axis = 'x') =>
+    (axis === 'x' ? transform.offsetX : transform.offsetY) * PRINTER_DPI / 72 + value * dotsPerUnit + (axis === 'y' ? top : 0);
+  const line = Math.max(1, Math.round(dotsPerUnit));
+
+  for (const element of elements) {
+    const x = toDots(element.x);
+    const y = toDots(element.y, 'y');
+    if (element.type === 'rect') {
+      const width = Math.max(line, element.width * dotsPerUnit);
+      const height = Math.max(line, element.height * dotsPerUnit);
+      if (element.fill) {
+        fillDots(bitmap, x, y, width, height);
+      } else {
+        fillDots(bitmap, x, y, width, line);
+        fillDots(bitmap, x, y + height - line, width, line);
+        fillDots(bitmap, x, y, line, height);
+        fillDots(bitmap, x + width - line, y, line, height);
+      }
+    } else if (element.type === 'text' && element.text) {
+      drawBitmapText(bitmap, element, toDots);
+    } else if (element.type === 'barcode') {
+      const modules = encodeCode128(element.value);
+      const total = modules.reduce((sum, width) => sum + width, 0);
+      const moduleWidth = Math.max(1, Math.floor((element.width * dotsPerUnit) / total));
+      let barX = x + (element.width * dotsPerUnit - total * moduleWidth) / 2;
+      modules.forEach((width, index) => {
+        if (index % 2 === 0) fillDots(bitmap, barX, y, width * moduleWidth, element.height * dotsPerUnit);
+        barX += width * moduleWidth;
+      });
+    }
+  }
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+// 1-bit grayscale PNG of the bitmap
+const encodePng = (bitmap) => {
+  const rowBytes = Math.ceil(bitmap.width / 8);
+  const raw = Buffer.alloc((rowBytes + 1) * bitmap.height, 0xff);
+  for (let row = 0; row < bitmap.height; row++) {
+    const start = row * (rowBytes + 1);
+    raw[start] = 0;
+    for (let col = 0; col < bitmap.width; col++) {
+      if (bitmap.pixels[row * bitmap.width + col]) raw[start + 1 + (col >> 3)] &= ~(0x80 >> (col & 7));
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(bitmap.width, 0);
+  header.writeUInt32BE(bitmap.height, 4);
+  header.set([1, 0, 0, 0, 0], 8);
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+};
+
+// Pages are stacked top to bottom in one image
+const renderPng = (pages, size) => {
+  const pageWidth = Math.round(size.width * PRINTER_DPI / 72);
+  const pageHeight = Math.round(size.height * PRINTER_DPI / 72);
+  const bitmap = { width: pageWidth, height: pageHeight * pages.length };
+  bitmap.pixels = new Uint8Array(bitmap.width * bitmap.height);
+
+  const transform = getTransform(size);
+  pages.forEach((elements, index) => drawBitmapPage(bitmap, elements, transform, index * pageHeight));
+  return encodePng(bitmap);
+};
+
+const zplField = (value) => String(value).replace(/[_^~]/g, char => `_${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+// One ^XA...^XZ format per page at 203 dpi
+const renderZpl = (pages, size) => {
+  const { scale, offsetX, offsetY } = getTransform(size);
+  const dotsPerUnit = scale * PRINTER_DPI / 72;
+  const toDots = (value, offset) => Math.round((offset + value * scale) * PRINTER_DPI / 72);
+  const line = Math.max(1, Math.round(dotsPerUnit));
+
+  return pages.map(elements => {
+    const commands = [
+      '^XA',
+      '^CI28',
+      `^PW${Math.round(size.width * PRINTER_DPI / 72)}`,
+      `^LL${Math.round(size.height * PRINTER_DPI / 72)}`,
+      '^LH0,0'
+    ];
+
+    for (const element of elements) {
+      const x = toDots(element.x, offsetX);
+      const y = toDots(element.y, offsetY);
+      const width = Math.max(line, Math.round(element.width * dotsPerUnit));
+
+      if (element.type === 'rect') {
+        const height = Math.max(line, Math.round(element.height * dotsPerUnit));
+        commands.push(`^FO${x},${y}^GB${width},${height},${element.fill ? Math.min(width, height) : line}^FS`);
+      } else if (element.type === 'text' && element.text) {
+        const height = Math.round(element.size * dotsPerUnit);
+        const align = { left: 'L', center: 'C', right: 'R' }[element.align];
+        commands.push(`^FO${x},${y}^A0N,${height}^FB${width},1,0,${align}${element.inverse ? '^FR' : ''}^FH^FD${zplField(element.text)}^FS`);
+      } else if (element.type === 'barcode') {
+        const total = encodeCode128(element.value).reduce((sum, modules) => sum + modules, 0);
+        const moduleWidth = Math.max(1, Math.min(10, Math.floor(width / total)));
+        const barX = x + Math.round((width - total * moduleWidth) / 2);
+        const height = Math.round(element.height * dotsPerUnit);
+        commands.push(`^FO${barX},${y}^BY${moduleWidth}^BCN,${height},N,N,N,A^FH^FD${zplField(element.value)}^FS`);
+      }
+    }
+
+    commands.push('^XZ');
+    return commands.join('\n');
+  }).join('\n');
+};
+
+const loadLogo = async (url) => {
+  try {
+    const response = await axios.get(url, { responseType: 'arraybuffer', timeout: LOGO_TIMEOUT });
+    return Buffer.from(response.data);
+  } catch (error) {
+    logger.warn(`Label logo ${url} could not be loaded: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Render the labels of one or more shipments as a single document, one label per page
+ * (plus its return label when enabled). Several PNG labels are stacked in one image.
+ * @param {Object[]} labels - Results of getShipmentsLabelData
+ * @param {Object} setting - Seller's LabelSetting: { labelSize, format, showLogo, logoUrl, showBarcode, showReturnLabel, additionalText }
+ * @returns {Promise<Object>} - { content, contentType, extension }
+ */
+export const renderShippingLabels = async (labels, setting = {}) => {
+  const format = LABEL_FORMATS[setting.format] ? setting.format : 'PDF';
+  const size = LABEL_SIZES[setting.labelSize] || LABEL_SIZES.A4;
+  const logo = format === 'PDF' && setting.showLogo && setting.logoUrl ? await loadLogo(setting.logoUrl) : null;
+  const options = {
+    showBarcode: setting.showBarcode !== false,
+    showReturnLabel: Boolean(setting.showReturnLabel),
+    additionalText: setting.additionalText,
+    logo: Boolean(logo)
+  };
+
+  const pages = labels.flatMap(data => buildLabelPages(data, options));
+
+  let content;
+  if (format === 'PNG') content = renderPng(pages, size);
+  else if (format === 'ZPL') content = renderZpl(pages, size);
+  else content = await renderPdf(pages, size, logo);
+
+  return { content, ...LABEL_FORMATS[format] };
+};
+
+/**
+ * Render a shipping label
+ * @param {Object} data - Result of getShipmentLabelData
+ * @param {Object} setting - Seller's LabelSetting (see renderShippingLabels)
+ * @returns {Promise<Object>} - { content, contentType, extension }
+ */
+export const renderShippingLabel = (data, setting = {}) => renderShippingLabels([data], setting);
+
+// Pickup address of the seller's first active store
+const getDefaultStoreAddress = async (sellerId) => {
+  const store = await Store.findOne({ seller: sellerId, isActive: true }).sort({ createdAt: 1 }).lean();
+  if (!store) return null;
+
+  return {
+    name: store.contactPerson || store.name,
+    phone: store.phone,
+    street: store.address,
+    city: store.city,
+    state: store.state,
+    pincode: store.pincode
+  };
+};
+
+const buildLabelData = (shipment, order, seller, pickup) => {
+  const consigneeAddress = order?.customer?.address || {};
+
+  return {
+    awb: shipment.awb,
+    courier: shipment.courier,
+    mode: shipment.edd?.mode || 'surface',
+    routingCode: shipment.routingCode ||
+      [consigneeAddress.pincode?.slice(0, 3), consigneeAddress.city?.slice(0, 3).toUpperCase()].filter(Boolean).join('-'),
+    paymentMethod: order?.payment?.method,
+    codAmount: Number(order?.payment?.total || order?.payment?.amount || 0),
+    declaredValue: Number(order?.payment?.amount || 0),
+    orderNumber: order?.orderId,
+    orderDate: order?.orderDate || shipment.createdAt,
+    weight: shipment.weight || (order?.items && getItemsWeight(order.items)),
+    dimensions: shipment.dimensions || order?.dimensions,
+    pieces: shipment.pieces?.length
+      ? shipment.pieces.map(piece => ({ number: piece.number, awb: piece.awb, weight: piece.weight, dimensions: piece.dimensions }))
+      : null,
+    items: (order?.items || []).map(item => ({ name: item.name, sku: item.sku, quantity: item.quantity })),
+    expectedDelivery: shipment.edd?.date,
+    consignee: {
+      name: order?.customer?.name,
+      phone: order?.customer?.phone,
+      address: consigneeAddress
+    },
+    shipper: {
+      name: seller?.brandName || seller?.businessName || pickup?.name,
+      phone: pickup?.phone || seller?.supportContact || seller?.phone,
+      address: pickup || {}
+    }
+  };
+};
+
+/**
+ * Everything printed on the labels of a batch of shipments, loading orders and sellers in bulk
+ * @param {Object[]} shipments - SellerShipments
+ * @returns {Promise<Object[]>} - Label data for renderShippingLabels, in the order of the shipments
+ */
+export const getShipmentsLabelData = async (shipments) => {
+  const sellerIds = [...new Set(shipments.map(shipment => String(shipment.seller)))];
+  const [orders, sellers, defaultAddresses] = await Promise.all([
+    SellerOrder.find({ _id: { $in: shipments.map(shipment => shipment.orderId) } }).setOptions({ skipDefaultFilter: true }).lean(),
+    Seller.find({ _id: { $in: sellerIds } }).select('name businessName brandName phone supportContact').lean(),
+    Promise.all(sellerIds.map(sellerId => getDefaultStoreAddress(sellerId)))
+  ]);
+
+  const ordersById = new Map(orders.map(order => [String(order._id), order]));
+  const sellersById = new Map(sellers.map(seller => [String(seller._id), seller]));
+  const addressesBySeller = new Map(sellerIds.map((sellerId, index) => [sellerId, defaultAddresses[index]]));
+
+  return shipments.map(shipment => buildLabelData(
+    shipment,
+    ordersById.get(String(shipment.orderId)),
+    sellersById.get(String(shipment.seller)),
+    shipment.pickupAddress?.pincode ? shipment.pickupAddress : addressesBySeller.get(String(shipment.seller))
+  ));
+};
+
+/**
+ * Everything printed on a shipment's label
+ * @param {Object} shipment - SellerShipment
+ * @returns {Promise<Object>} - Label data for renderShippingLabel
+ */
+export const getShipmentLabelData = async (shipment) => {
+  const [data] = await getShipmentsLabelData([shipment]);
+  return data;
+};
@@ -0,0 +1,207 @@
+import PDFDocument from 'pdfkit';
+import { encodeCode128 } from './labelRenderer.js';
+
+/**
+ * Pickup manifest renderer.
+ *
+ * One section per courier, each starting on a new A4 page: a summary, a table
+ * of the shipments handed over (AWB with its barcode, order, consignee,
+ * weight and COD amount) and a signature block for the seller and the
+ * courier's pickup executive.
+ */
+
+const PAGE = { width: 595.28, height: 841.89, margin: 36 };
+const ROW_HEIGHT = 42;
+const SIGNATURE_HEIGHT = 130;
+const COLUMNS = [
+  { key: 'index', title: '#', width: 24 },
+  { key: 'awb', title: 'AWB', width: 150 },
+  { key: 'order', title: 'Order', width: 80 },
+  { key: 'consignee', title: 'Consignee', width: 110 },
+  { key: 'pincode', title: 'Pincode', width: 50 },
+  { key: 'weight', title: 'Weight (kg)', width: 50, align: 'right' },
+  { key: 'cod', title: 'COD (Rs.)', width: 59, align: 'right' }
+];
+
+const formatNumber = (value, digits = 2) =>
+  Number(value || 0).toLocaleString('en-IN', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+
+// Cut text to the width, measured with the current font
+const fit = (doc, text, width) => {
+  let value = String(text ?? '');
+  if (doc.widthOfString(value) <= width) return value;
+  while (value.length && doc.widthOfString(`${value}...`) > width) value = value.slice(0, -1);
+  return `${value}...`;
+};
+
+// Single-line text; without a width option pdfkit never wraps or adds pages
+const cell = (doc, text, x, y, width, align = 'left') => {
+  const value = fit(doc, text, width);
+  const offset = align === 'right' ? width - doc.widthOfString(value) : 0;
+  doc.text(value, x + offset, y, { lineBreak: false });
+};
+
+const drawBarcode = (doc, value, x, y, width, height) => {
+  const modules = encodeCode128(value);
+  const moduleWidth = width / modules.reduce((sum, modulesWide) => sum + modulesWide, 0);
+  let barX = x;
+  modules.forEach((modulesWide, index) => {
+    if (index % 2 === 0) doc.rect(barX, y, modulesWide * moduleWidth, height).fill('black');
+    barX += modulesWide * moduleWidth;
+  });
+};
+
+const drawHeader = (doc, manifest, section, continued) => {
+  const { margin } = PAGE;
+  const right = PAGE.width - margin;
+
+  doc.font('Helvetica-Bold').fontSize(16).fillColor('black');
+  cell(doc, continued ? 'PICKUP MANIFEST (continued)' : 'PICKUP MANIFEST', margin, margin, 300);
+  doc.font('Helvetica').fontSize(9);
+  cell(doc, `Manifest: ${manifest.manifestNumber}`, right - 220, margin, 220, 'right');
+  cell(doc, `Generated: ${new Date(manifest.generatedAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}`, right - 220, margin + 12, 220, 'right');
+
+  doc.font('Helvetica-Bold').fontSize(11);
+  cell(doc, `Courier: ${section.courier}`, margin, margin + 28, 300);
+  doc.font('Helvetica').fontSize(9);
+  cell(doc, `Seller: ${manifest.seller?.name || '-'}`, margin, margin + 44, 300);
+
+  const address = manifest.pickupAddress;
+  const pickupLine = address
+    ? [address.street, address.city, address.state, address.pincode].filter(Boolean).join(', ')
+    : '-';
+  cell(doc, `Pickup address: ${pickupLine}`, margin, margin + 56, right - margin);
+
+  return margin + 76;
+};
+
+const drawSummary = (doc, section, y) => {
+  const { margin } = PAGE;
+  const codShipments = section.shipments.filter(shipment => shipment.paymentMethod === 'COD');
+  const totalWeight = section.shipments.reduce((sum, shipment) => sum + (Number(shipment.weight) || 0), 0);
+  const codAmount = codShipments.reduce((sum, shipment) => sum + shipment.codAmount, 0);
+
+  const items = [
+    ['Shipments', section.shipments.length],
+    ['Boxes', section.shipments.reduce((sum, shipment) => sum + (shipment.pieces?.length || 1), 0)],
+    ['Total weight (kg)', formatNumber(totalWeight, 3)],
+    ['COD shipments', codShipments.length],
+    ['COD amount (Rs.)', formatNumber(codAmount)]
+  ];
+  const width = (PAGE.width - 2 * margin) / items.length;
+
+  doc.rect(margin, y, PAGE.width - 2 * margin, 34).lineWidth(0.5).stroke('black');
+  items.forEach(([label, value], index) => {
+    doc.font('Helvetica').fontSize(8).fillColor('black');
+    cell(doc, label, margin + 8 + index * width, y + 5, width - 16);
+    doc.font('Helvetica-Bold').fontSize(12);
+    cell(doc, value, margin + 8 + index * width, y + 17, width - 16);
+  });
+
+  return y + 46;
+};
+
+const drawTableHeader = (doc, y) => {
+  let x = PAGE.margin;
+  doc.rect(PAGE.margin, y, PAGE.width - 2 * PAGE.margin, 18).fill('#e6e6e6');
+  doc.font('Helvetica-Bold').fontSize(8).fillColor('black');
+  COLUMNS.forEach(column => {
+    cell(doc, column.title, x + 3, y + 5, column.width - 6, column.align);
+    x += column.width;
+  });
+  return y + 18;
+};
+
+const drawRow = (doc, shipment, index, y) => {
+  const values = {
+    index: index + 1,
+    awb: shipment.awb,
+    order: shipment.pieces?.length ? `${shipment.orderNumber || '-'} (${shipment.pieces.length} pcs)` : shipment.orderNumber || '-',
+    consignee: shipment.consignee?.name || '-',
+    pincode: shipment.consignee?.address?.pincode || '-',
+    weight: shipment.weight ? formatNumber(shipment.weight, 3) : '-',
+    cod: shipment.paymentMethod === 'COD' ? formatNumber(shipment.codAmount) : '-'
+  };
+
+  let x = PAGE.margin;
+  doc.font('Helvetica').fontSize(8).fillColor('black');
+  COLUMNS.forEach(column => {
+    if (column.key === 'awb') {
+      drawBarcode(doc, shipment.awb, x + 3, y + 5, column.width - 10, 20);
+      doc.font('Helvetica-Bold').fontSize(8).fillColor('black');
+      cell(doc, values.awb, x + 3, y + 28, column.width - 6);
+      doc.font('Helvetica');
+    } else {
+      cell(doc, values[column.key], x + 3, y + 15, column.width - 6, column.align);
+    }
+    x += column.width;
+  });
+
+  doc.moveTo(PAGE.margin, y + ROW_HEIGHT).lineTo(PAGE.width - PAGE.margin, y + ROW_HEIGHT).lineWidth(0.5).stroke('#999999');
+  return y + ROW_HEIGHT;
+};
+
+const drawSignatureBlock = (doc, section, y) => {
+  const { margin } = PAGE;
+  const width = (PAGE.width - 2 * margin - 20) / 2;
+
+  doc.font('Helvetica').fontSize(9).fillColor('black');
+  cell(doc, `Shipments received: ________ of ${section.shipments.length}`, margin, y + 12, 300);
+
+  [['Handed over by (Seller)', margin], ['Received by (Courier executive)', margin + width + 20]].forEach(([title, x]) => {
+    doc.rect(x, y + 30, width, SIGNATURE_HEIGHT - 40).lineWidth(0.5).stroke('black');
+    doc.font('Helvetica-Bold').fontSize(9);
+    cell(doc, title, x + 8, y + 38, width - 16);
+    doc.font('Helvetica').fontSize(9);
+    ['Name', 'Signature', 'Date & time'].forEach((field, index) => {
+      cell(doc, `${field}: ______________________________`, x + 8, y + 56 + index * 16, width - 16);
+    });
+  });
+};
+
+/**
+ * Render a pickup manifest
+ * @param {Object} manifest - { manifestNumber, generatedAt, seller: { name }, pickupAddress,
+ *   couriers: [{ courier, shipments: [label data from getShipmentsLabelData] }] }
+ * @returns {Promise<Buffer>} - PDF
+ */
+export const renderPickupManifest = (manifest) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 0, autoFirstPage: false, bufferPages: true });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const bottom = PAGE.height - PAGE.margin - 14;
+
+  for (const section of manifest.couriers) {
+    doc.addPage({ size: 'A4', margin: 0 });
+    let y = drawHeader(doc, manifest, section, false);
+    y = drawSummary(doc, section, y);
+    y = drawTableHeader(doc, y);
+
+    section.shipments.forEach((shipment, index) => {
+      if (y + ROW_HEIGHT > bottom) {
+        doc.addPage({ size: 'A4', margin: 0 });
+        y = drawTableHeader(doc, drawHeader(doc, manifest, section, true));
+      }
+      y = drawRow(doc, shipment, index, y);
+    });
+
+    if (y + SIGNATURE_HEIGHT > bottom) {
+      doc.addPage({ size: 'A4', margin: 0 });
+      y = drawHeader(doc, manifest, section, true);
+    }
+    drawSignatureBlock(doc, section, y);
+  }
+
+  // Page numbers
+  const { start, count } = doc.bufferedPageRange();
+  for (let page = start; page < start + count; page++) {
+    doc.switchToPage(page);
+    doc.font('Helvetica').fontSize(8).fillColor('black');
+    cell(doc, `${manifest.manifestNumber} - Page ${page - start + 1} of ${count}`, PAGE.margin, PAGE.height - PAGE.margin, PAGE.width - 2 * PAGE.margin, 'right');
+  }
+
+  doc.end();
+});
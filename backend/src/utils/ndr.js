@@ -0,0 +1,286 @@
+import NDR, { NDR_STATUSES } from '../modules/seller/models/ndr.model.js';
+import SellerOrder from '../modules/seller/models/order.model.js';
+import Seller from '../modules/seller/models/seller.model.js';
+import ShippingPartner from '../modules/admin/models/shippingPartner.model.js';
+import { getCourierAdapter } from './courierRegistry.js';
+
+/**
+ * NDR (non-delivery report) workflow.
+ *
+ * There is one NDR per undelivered shipment, shared by the seller and the
+ * ops team: the seller routes read it through a seller view that leaves out
+ * ops-only fields, the admin routes see all of it. Every status change,
+ * whether made by the seller, an admin or a tracking update, goes through
+ * setNDRStatus so it is checked against what that side may do and recorded
+ * in the NDR's statusHistory.
+ *
+ * NDRs are opened by tracking: each failed delivery attempt a courier reports
+ * (polling or webhook) is added to the shipment's NDR, opening it on the
+ * first one. The courier's reason is sorted into a reason category using the
+ * courier's codes and phrases (the shipping partner's `ndrReasons`, then the
+ * adapter's `ndrReasonMap`, then generic phrases), and the recommended action
+ * comes from NDR_ACTION_RULES.
+ */
+
+export { NDR_STATUSES };
+
+// NDRs the courier is still attempting
+export const OPEN_NDR_STATUSES = ['Pending', 'In Progress'];
+// NDRs no longer open to the seller
+export const CLOSED_NDR_STATUSES = ['Resolved', 'RTO Completed'];
+
+// Statuses each side may set; RTO Completed comes from the courier or ops
+export const SELLER_NDR_STATUSES = ['Pending', 'In Progress', 'Resolved', 'RTO Initiated'];
+export const ADMIN_NDR_STATUSES = NDR_STATUSES;
+
+// Ops-only fields left out of the seller's view
+export const SELLER_HIDDEN_FIELDS = '-comments -assignedTo -priority -nextActionDate -attemptedContact -contactHistory -statusHistory.updatedBy -courierActions.requestedBy';
+
+// Error raised when an NDR cannot be moved on
+export class NDRError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'NDRError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Delivery attempts after which an NDR is sent back
+export const MAX_NDR_ATTEMPTS = parseInt(process.env.NDR_MAX_ATTEMPTS || 3);
+
+// Generic phrases for reasons no courier table matches (checked in order)
+const NDR_REASON_KEYWORDS = [
+  [/address|location|landmark|pincode|out of delivery area|\boda\b/, 'Address Issues'],
+  [/damage|restrict|prohibit|no entry|misroute/, 'Delivery Issues'],
+  [/refuse|reject|cancel|not interested|did not order/, 'Customer Refusal']
+];
+
+// Next step for an NDR: the first rule matching its category, attempts made and payment wins
+export const NDR_ACTION_RULES = [
+  { attempts: MAX_NDR_ATTEMPTS, action: 'Initiate RTO: the courier has made the maximum delivery attempts' },
+  { category: 'Customer Refusal', cod: true, action: 'Initiate RTO unless the buyer confirms they still want the order' },
+  { category: 'Customer Refusal', action: 'Confirm with the buyer, then request a re-attempt or initiate RTO' },
+  { category: 'Address Issues', action: 'Get the full address and landmark from the buyer and request a re-attempt at the corrected address' },
+  { category: 'Delivery Issues', action: 'Raise the delivery issue with the courier and request a re-attempt' },
+  { category: 'Customer Not Available', attempts: 2, action: 'Agree a delivery slot with the buyer and request a re-attempt; initiate RTO if they cannot be reached' },
+  { action: 'Contact the buyer and request a re-attempt' }
+];
+
+/**
+ * Reason category of a non-delivery reason from generic phrases
+ * @param {string} reason - Non-delivery reason
+ * @returns {string} - One of NDR_REASON_CATEGORIES
+ */
+export const categorizeNDRReason = (reason) => {
+  const text = (reason || '').toString().toLowerCase();
+  const rule = NDR_REASON_KEYWORDS.find(([pattern]) => pattern.test(text));
+  return rule ? rule[1] : 'Customer Not Available';
+};
+
+/**
+ * Reason category of a courier's non-delivery reason: the shipping partner's codes and phrases,
+ * then the adapter's table, then generic phrases
+ * @param {Object} raw - { reason, code } as reported by the courier
+ * @param {Object} tables - { partner: ShippingPartner with ndrReasons, adapter: courier adapter }
+ * @returns {string} - One of NDR_REASON_CATEGORIES
+ */
+export const classifyNDRReason = ({ reason, code } = {}, { partner, adapter } = {}) => {
+  const key = code?.toString().trim().toUpperCase();
+  const text = (reason || '').toString().trim().toLowerCase();
+  const configured = partner?.ndrReasons || {};
+  const defaults = adapter?.ndrReasonMap || {};
+
+  if (key) {
+    const match = (configured.codes || []).find(entry => entry.code === key);
+    if (match) return match.category;
+    if (defaults.codes?.[key]) return defaults.codes[key];
+  }
+  if (text) {
+    const match = (configured.keywords || []).find(entry => text.includes(entry.keyword));
+    if (match) return match.category;
+    const keyword = Object.keys(defaults.keywords || {}).find(phrase => text.includes(phrase));
+    if (keyword) return defaults.keywords[keyword];
+  }
+  return categorizeNDRReason(text);
+};
+
+/**
+ * Recommended next step for an NDR (see NDR_ACTION_RULES)
+ * @param {Object} ndr - { reasonCategory, attempts, cod: whether the order is cash on delivery }
+ * @returns {string}
+ */
+export const recommendNDRAction = ({ reasonCategory, attempts = 1, cod = false }) =>
+  NDR_ACTION_RULES.find(rule =>
+    (!rule.category || rule.category === reasonCategory) &&
+    (!rule.attempts || attempts >= rule.attempts) &&
+    (rule.cod === undefined || rule.cod === cod)
+  ).action;
+
+/**
+ * Who is making a change, from the authenticated user
+ * @param {Object} user - req.user
+ * @returns {Object} - { id, name, role }
+ */
+export const getNDRActor = (user) => user && { id: user.id, name: user.name, role: user.role };
+
+const checkTransition = (ndr, status, source) => {
+  if (source === 'Seller') {
+    if (!SELLER_NDR_STATUSES.includes(status)) throw new NDRError(`Sellers cannot set an NDR to ${status}`, 403);
+    if (CLOSED_NDR_STATUSES.includes(ndr.status)) throw new NDRError(`NDR is already ${ndr.status}`, 409);
+    if (ndr.status === 'RTO Initiated') throw new NDRError('RTO has already been initiated for this NDR', 409);
+  }
+  if (status === 'RTO Completed' && !['RTO Initiated', 'RTO Completed'].includes(ndr.status)) {
+    throw new NDRError('RTO must be initiated before it can be completed', 409);
+  }
+};
+
+/**
+ * Move an NDR to a status and record the change (the caller saves the NDR)
+ * @param {Object} ndr - NDR document
+ * @param {string} status - New status
+ * @param {Object} options - { reason, remarks: added to the attempt history, actor: { id, name, role },
+ *   source: 'Seller' | 'Admin' | 'System' | 'Courier', resolution }
+ * @returns {boolean} - Whether anything changed
+ */
+export const setNDRStatus = (ndr, status, { reason, remarks, actor, source = 'System', resolution } = {}) => {
+  if (ndr.status === status && !reason && !remarks) return false;
+  checkTransition(ndr, status, source);
+
+  const now = new Date();
+  if (ndr.status !== status || reason) {
+    ndr.statusHistory.push({ status, reason, source, updatedBy: actor, timestamp: now });
+  }
+  if (remarks) {
+    ndr.attemptHistory.push({
+      date: now.toISOString().slice(0, 10),
+      time: now.toISOString().slice(11, 19),
+      status,
+      reason: reason || '',
+      agentRemarks: remarks,
+      addedBy: actor,
+      source
+    });
+  }
+
+  if (status === 'RTO Initiated' && ndr.status !== 'RTO Initiated') {
+    ndr.actionTaken = 'RTO Initiated';
+    ndr.rtoDetails = { ...ndr.rtoDetails?.toObject?.(), initiatedDate: now, reason, status: 'Initiated' };
+  }
+  if (status === 'RTO Completed') {
+    ndr.rtoDetails = { ...ndr.rtoDetails?.toObject?.(), completedDate: now, status: 'Completed' };
+    ndr.resolution = 'Returned';
+    ndr.resolutionDate = now;
+  }
+  if (status === 'Resolved') {
+    if (resolution) ndr.resolution = resolution;
+    ndr.resolutionDate = now;
+  }
+
+  ndr.status = status;
+  ndr.updatedAt = now;
+  return true;
+};
+
+// Date and time of an attempt as kept in the attempt history
+const toAttemptTime = (timestamp) => {
+  const at = new Date(timestamp || Date.now()).toISOString();
+  return { date: at.slice(0, 10), time: at.slice(11, 19) };
+};
+
+// A new NDR for a shipment, with the buyer, seller and items from its order
+const openNDR = async (shipment, order, partner, adapter) => {
+  const seller = await Seller.findById(shipment.seller)
+    .select('name businessName phone email')
+    .setOptions({ skipDefaultFilter: true })
+    .lean();
+  const customer = order.customer || {};
+  return new NDR({
+    orderId: order._id,
+    awb: shipment.awb,
+    shipmentId: shipment._id,
+    customer: {
+      name: customer.name,
+      phone: customer.phone,
+      email: customer.email,
+      address: {
+        fullName: customer.name,
+        contactNumber: customer.phone,
+        addressLine1: customer.address?.street,
+        pincode: customer.address?.pincode,
+        city: customer.address?.city,
+        state: customer.address?.state
+      }
+    },
+    seller: {
+      id: shipment.seller,
+      name: seller?.name,
+      contact: seller?.phone,
+      business: seller?.businessName,
+      email: seller?.email
+    },
+    courier: {
+      name: adapter?.name || shipment.courier,
+      trackingUrl: partner?.trackingUrl,
+      partnerId: partner?._id
+    },
+    attempts: 0,
+    products: (order.items || []).map(({ name, sku, quantity, price }) => ({ name, sku, quantity, price }))
+  });
+};
+
+/**
+ * Record failed delivery attempts reported by tracking on the shipment's NDR, opening it on the
+ * first one. The latest attempt's reason sets the reason category and recommended action.
+ * @param {Object} shipment - SellerShipment document
+ * @param {Array} events - New tracking events in NDR status; events at the same time are one attempt
+ *   (the boxes of a multi-piece shipment)
+ * @returns {Promise<Object|null>} - The NDR, or null if nothing was recorded
+ */
+export const recordFailedDeliveryAttempts = async (shipment, events = []) => {
+  const attempts = [...new Map(events.map(event => [new Date(event.timestamp).getTime(), event])).values()]
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  if (!attempts.length) return null;
+
+  let ndr = await NDR.findOne({ shipmentId: shipment._id }).sort({ createdAt: -1 });
+  // A shipment on its way back is not reopened by a late attempt
+  if (ndr && ['RTO Initiated', 'RTO Completed'].includes(ndr.status)) return null;
+
+  const [order, partner] = await Promise.all([
+    SellerOrder.findById(shipment.orderId).setOptions({ skipDefaultFilter: true }).lean(),
+    ShippingPartner.findOne({ name: { $regex: new RegExp(`^${shipment.courier}$`, 'i') } })
+      .select('trackingUrl ndrReasons')
+      .lean()
+  ]);
+  if (!order) return null;
+  const adapter = getCourierAdapter(shipment.courier);
+
+  const latest = attempts.at(-1);
+  const reason = latest.description || latest.rawStatus || 'Delivery attempt failed';
+
+  if (!ndr) {
+    ndr = await openNDR(shipment, order, partner, adapter);
+    ndr.statusHistory.push({ status: 'Pending', reason, source: 'System', timestamp: new Date() });
+  } else if (ndr.status !== 'Pending') {
+    setNDRStatus(ndr, 'Pending', { reason, source: 'System' });
+  }
+
+  attempts.forEach(event => {
+    ndr.attemptHistory.push({
+      ...toAttemptTime(event.timestamp),
+      status: event.rawStatus || event.status,
+      reason: event.description || event.rawStatus,
+      agentRemarks: event.location && `Attempted at ${event.location}`,
+      source: 'System'
+    });
+  });
+  ndr.attempts = (ndr.attempts || 0) + attempts.length;
+  ndr.reason = reason;
+  ndr.reasonCategory = classifyNDRReason({ reason, code: latest.statusCode }, { partner, adapter });
+  ndr.recommendedAction = recommendNDRAction({
+    reasonCategory: ndr.reasonCategory,
+    attempts: ndr.attempts,
+    cod: order.payment?.method === 'COD'
+  });
+  await ndr.save();
+  return ndr;
+};
@@ -0,0 +1,313 @@
+import mongoose from 'mongoose';
+import NDR from '../modules/seller/models/ndr.model.js';
+import { getCourierHandler } from './courierBooking.js';
+import { supportsCapability } from './courierRegistry.js';
+import { COURIER_CAPABILITIES, NDR_ACTION_TYPES } from './courierAdapter.js';
+import { setNDRStatus, NDRError, CLOSED_NDR_STATUSES } from './ndr.js';
+import { logger } from './logger.js';
+
+/**
+ * NDR actions pushed to the courier.
+ *
+ * A re-attempt, address or phone change, or RTO requested on an NDR (by the
+ * seller or ops) is recorded in the NDR's `courierActions` and sent to the
+ * courier through its adapter's submitNDRAction. The courier's reference ID
+ * is kept on the action. A failed push stays Pending and is retried with
+ * backoff by a background job until it goes through or the attempts run out
+ * (Failed). Actions the courier never took up show in the NDR action report.
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+export const NDR_ACTION_CONFIG = {
+  enabled: process.env.NDR_ACTION_RETRY_ENABLED !== 'false',
+  maxAttempts: parseInt(process.env.NDR_ACTION_MAX_ATTEMPTS || 5),
+  baseBackoff: 5 * MINUTE, // wait after the first failed push
+  maxBackoff: 6 * HOUR,
+  retryInterval: 5 * MINUTE,
+  retryBatchSize: 100
+};
+
+// What each action does to the NDR itself
+const ACTION_TAKEN = {
+  [NDR_ACTION_TYPES.REATTEMPT]: 'Delivery Rescheduled',
+  [NDR_ACTION_TYPES.CHANGE_ADDRESS]: 'Address Updated',
+  [NDR_ACTION_TYPES.CHANGE_PHONE]: 'Other',
+  [NDR_ACTION_TYPES.RTO]: 'RTO Initiated'
+};
+
+const describeAction = (action) => {
+  switch (action.type) {
+    case NDR_ACTION_TYPES.REATTEMPT:
+      return `Re-attempt requested${action.reattemptDate ? ` for ${action.reattemptDate}` : ''}`;
+    case NDR_ACTION_TYPES.CHANGE_ADDRESS:
+      return 'Delivery address corrected';
+    case NDR_ACTION_TYPES.CHANGE_PHONE:
+      return 'Buyer phone number corrected';
+    default:
+      return action.reason || action.remarks || 'Return to origin requested';
+  }
+};
+
+// The action as adapters take it ({ type, reattemptDate, address, phone, remarks })
+const toCourierAction = (action) => ({
+  type: action.type,
+  reattemptDate: action.reattemptDate,
+  address: action.address?.addressLine1 && {
+    line1: action.address.addressLine1,
+    line2: [action.address.addressLine2, action.address.landmark].filter(Boolean).join(', '),
+    city: action.address.city,
+    state: action.address.state,
+    pincode: action.address.pincode,
+    country: 'India'
+  },
+  phone: action.phone,
+  remarks: action.remarks
+});
+
+/**
+ * Whether the NDR's courier takes NDR actions through its API
+ * @param {Object} ndr - NDR
+ * @returns {boolean}
+ */
+export const canPushNDRAction = (ndr) => supportsCapability(ndr.courier?.name, COURIER_CAPABILITIES.NDR_ACTION);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const getBackoff = (attempts) =>
+  Math.min(NDR_ACTION_CONFIG.baseBackoff * 2 ** (attempts - 1), NDR_ACTION_CONFIG.maxBackoff);
+
+/**
+ * Push one action to the courier and record the outcome on it (the caller saves the NDR)
+ * @param {Object} ndr - NDR document
+ * @param {Object} action - Entry of ndr.courierActions
+ * @returns {Promise<boolean>} - Whether the courier accepted it
+ */
+export const submitCourierAction = async (ndr, action) => {
+  action.attempts += 1;
+  try {
+    const handler = await getCourierHandler(ndr.courier?.name);
+    // getCourierHandler returns null when the partner or adapter can't be loaded
+    if (!handler) throw new Error(`Courier ${ndr.courier?.name} is not available`);
+    if (!handler.submitNDRAction) throw new Error(`${ndr.courier?.name} does not accept NDR actions`);
+
+    const result = await handler.submitNDRAction(ndr.awb, toCourierAction(action));
+    if (!result?.success) throw new Error(result?.error || 'Courier rejected the action');
+
+    action.status = 'Submitted';
+    action.referenceId = result.referenceId;
+    action.submittedAt = new Date();
+    action.lastError = undefined;
+    action.nextAttemptAt = undefined;
+    return true;
+  } catch (error) {
+    action.lastError = error.message;
+    if (action.attempts >= NDR_ACTION_CONFIG.maxAttempts) {
+      action.status = 'Failed';
+      action.nextAttemptAt = undefined;
+      logger.warn(`NDR ${ndr._id}: ${action.type} not accepted by ${ndr.courier?.name} after ${action.attempts} attempt(s): ${error.message}`);
+    } else {
+      action.nextAttemptAt = new Date(Date.now() + getBackoff(action.attempts));
+    }
+    return false;
+  }
+};
+
+const assertNDROpen = (ndr) => {
+  if (CLOSED_NDR_STATUSES.includes(ndr.status)) throw new NDRError(`NDR is already ${ndr.status}`, 409);
+  if (ndr.status === 'RTO Initiated') throw new NDRError('RTO has already been initiated for this NDR', 409);
+};
+
+/**
+ * Apply an action to the NDR itself without telling the courier, for couriers
+ * that take NDR actions offline (the caller saves the NDR)
+ * @param {Object} ndr - NDR document
+ * @param {Object} details - { type: NDR_ACTION_TYPES, reattemptDate, address, phone, remarks, reason: why RTO is wanted }
+ * @param {Object} options - { actor: { id, name, role }, source: 'Seller' | 'Admin' | 'Buyer' }
+ */
+export const applyNDRAction = (ndr, details, { actor, source = 'Seller' } = {}) => {
+  assertNDROpen(ndr);
+
+  const { type, reattemptDate, address, phone, remarks } = details;
+  const reason = describeAction(details);
+
+  // A newer action replaces any still waiting to go through
+  ndr.courierActions
+    .filter(action => action.status === 'Pending')
+    .forEach(action => { action.status = 'Cancelled'; action.nextAttemptAt = undefined; });
+
+  if (type === NDR_ACTION_TYPES.RTO) {
+    setNDRStatus(ndr, 'RTO Initiated', { reason, remarks, actor, source });
+  } else {
+    if (type === NDR_ACTION_TYPES.CHANGE_ADDRESS) {
+      ndr.customer.address = { ...ndr.customer.address?.toObject?.(), ...address };
+    }
+    if (type === NDR_ACTION_TYPES.CHANGE_PHONE) {
+      ndr.customer.phone = phone;
+      if (ndr.customer.address) ndr.customer.address.contactNumber = phone;
+    }
+    if (type === NDR_ACTION_TYPES.REATTEMPT && reattemptDate) ndr.nextActionDate = new Date(reattemptDate);
+    setNDRStatus(ndr, 'In Progress', { reason, remarks, actor, source });
+  }
+  ndr.actionTaken = ACTION_TAKEN[type];
+};
+
+/**
+ * Request an action on an NDR: apply it to the NDR and push it to the courier
+ * @param {Object} ndr - NDR document
+ * @param {Object} details - { type: NDR_ACTION_TYPES, reattemptDate, address, phone, remarks, reason: why RTO is wanted }
+ * @param {Object} options - { actor: { id, name, role }, source: 'Seller' | 'Admin' | 'Buyer' }
+ * @returns {Promise<Object>} - The recorded action
+ */
+export const requestNDRAction = async (ndr, details, { actor, source = 'Seller' } = {}) => {
+  assertNDROpen(ndr);
+  if (!canPushNDRAction(ndr)) {
+    throw new NDRError(`${ndr.courier?.name || 'This courier'} does not accept NDR actions; contact the courier directly`, 422);
+  }
+
+  applyNDRAction(ndr, details, { actor, source });
+
+  const { type, reattemptDate, address, phone, remarks } = details;
+  ndr.courierActions.push({
+    type,
+    reattemptDate: type === NDR_ACTION_TYPES.REATTEMPT ? reattemptDate : undefined,
+    address: type === NDR_ACTION_TYPES.CHANGE_ADDRESS ? address : undefined,
+    phone: type === NDR_ACTION_TYPES.CHANGE_PHONE ? phone : undefined,
+    remarks,
+    requestedBy: actor,
+    source
+  });
+  const action = ndr.courierActions[ndr.courierActions.length - 1];
+  await submitCourierAction(ndr, action);
+  await ndr.save();
+  return action;
+};
+
+/**
+ * Push an action that ran out of retries again, with a fresh set of attempts
+ * @param {Object} ndr - NDR document
+ * @param {string} actionId - ID of the action in ndr.courierActions
+ * @returns {Promise<Object>} - The action
+ */
+export const retryNDRAction = async (ndr, actionId) => {
+  const action = ndr.courierActions.id(actionId);
+  if (!action) throw new NDRError('NDR action not found', 404);
+  if (action.status !== 'Failed') throw new NDRError(`NDR action is ${action.status}`, 409);
+
+  action.status = 'Pending';
+  action.attempts = 0;
+  await submitCourierAction(ndr, action);
+  await ndr.save();
+  return action;
+};
+
+/**
+ * Push the due Pending actions again
+ * @returns {Promise<Object>} - { submitted, failed }
+ */
+export const retryPendingNDRActions = async () => {
+  const now = new Date();
+  const ndrs = await NDR.find({
+    courierActions: { $elemMatch: { status: 'Pending', nextAttemptAt: { $lte: now } } }
+  }).limit(NDR_ACTION_CONFIG.retryBatchSize);
+
+  const result = { submitted: 0, failed: 0 };
+  for (const ndr of ndrs) {
+    try {
+      const due = ndr.courierActions.filter(action => action.status === 'Pending' && action.nextAttemptAt <= now);
+      for (const action of due) {
+        result[await submitCourierAction(ndr, action) ? 'submitted' : 'failed']++;
+      }
+      await ndr.save();
+    } catch (error) {
+      logger.error(`NDR action retry failed for ${ndr._id}: ${error.message}`);
+    }
+  }
+  return result;
+};
+
+/**
+ * Rows of the NDR action report, one per action, newest first. `Courier Update After`
+ * tells whether tracking has moved the NDR since the courier accepted the action.
+ * @param {Object} filter - { status, type, courier, sellerId, from, to }
+ * @param {number} limit - Maximum rows
+ * @returns {Promise<Array>}
+ */
+export const buildNDRActionReport = async ({ status, type, courier, sellerId, from, to } = {}, limit = 5000) => {
+  const match = {};
+  if (status) match['courierActions.status'] = status;
+  if (type) match['courierActions.type'] = type;
+  if (from || to) {
+    match['courierActions.requestedAt'] = {};
+    if (from) match['courierActions.requestedAt'].$gte = new Date(from);
+    if (to) match['courierActions.requestedAt'].$lte = new Date(to);
+  }
+
+  const query = { 'courierActions.0': { $exists: true } };
+  if (courier) query['courier.name'] = { $regex: `^${escapeRegex(courier)}$`, $options: 'i' };
+  // aggregate() does not cast like find()
+  if (sellerId) query['seller.id'] = new mongoose.Types.ObjectId(sellerId);
+
+  const ndrs = await NDR.aggregate([
+    { $match: query },
+    { $unwind: '$courierActions' },
+    { $match: match },
+    { $sort: { 'courierActions.requestedAt': -1 } },
+    { $limit: limit },
+    {
+      $project: {
+        awb: 1, courier: 1, seller: 1, status: 1, attempts: 1, statusHistory: 1,
+        attemptHistory: 1, action: '$courierActions'
+      }
+    }
+  ]);
+
+  return ndrs.map(({ action, ...ndr }) => {
+    const since = action.submittedAt && new Date(action.submittedAt);
+    const courierUpdated = Boolean(since) && [
+      ...(ndr.statusHistory || []).filter(entry => entry.source === 'System').map(entry => entry.timestamp),
+      ...(ndr.attemptHistory || []).filter(entry => entry.source === 'System').map(entry => entry.createdAt)
+    ].some(timestamp => timestamp && new Date(timestamp) > since);
+
+    return {
+      'NDR ID': String(ndr._id),
+      'AWB': ndr.awb,
+      'Courier': ndr.courier?.name,
+      'Seller': ndr.seller?.business || ndr.seller?.name,
+      'Action': action.type,
+      'Re-attempt Date': action.reattemptDate || '',
+      'Requested By': action.source,
+      'Requested At': action.requestedAt ? new Date(action.requestedAt).toISOString() : '',
+      'Push Status': action.status,
+      'Push Attempts': action.attempts,
+      'Courier Reference': action.referenceId || '',
+      'Submitted At': since ? since.toISOString() : '',
+      'Last Error': action.lastError || '',
+      'Courier Update After': since ? (courierUpdated ? 'Yes' : 'No') : '',
+      'Hours Since Request': action.requestedAt
+        ? Math.floor((Date.now() - new Date(action.requestedAt).getTime()) / HOUR)
+        : '',
+      'NDR Status': ndr.status,
+      'Delivery Attempts': ndr.attempts
+    };
+  });
+};
+
+let retryIntervalId = null;
+
+// Retry failed courier pushes periodically
+export const startNDRActionRetries = () => {
+  if (retryIntervalId || !NDR_ACTION_CONFIG.enabled) return;
+
+  retryIntervalId = setInterval(() => {
+    retryPendingNDRActions().catch(error => logger.error(`NDR action retries failed: ${error.message}`));
+  }, NDR_ACTION_CONFIG.retryInterval);
+};
+
+export const stopNDRActionRetries = () => {
+  if (retryIntervalId) {
+    clearInterval(retryIntervalId);
+    retryIntervalId = null;
+  }
+};
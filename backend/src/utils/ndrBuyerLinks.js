@@ -0,0 +1,208 @@
+import crypto from 'crypto';
+import NDR from '../modules/seller/models/ndr.model.js';
+import WhatsAppSettings from '../modules/seller/models/whatsappSettings.model.js';
+import { NDR_ACTION_TYPES } from './courierAdapter.js';
+import { NDRError, OPEN_NDR_STATUSES } from './ndr.js';
+import { applyNDRAction, requestNDRAction, canPushNDRAction } from './ndrActions.js';
+import { sendSMS } from './sms.js';
+import { sendEmail, EMAIL_TEMPLATES } from './email.js';
+import { sendWhatsApp } from './whatsapp.js';
+import { logger } from './logger.js';
+
+/**
+ * Buyer self-service on NDRs.
+ *
+ * When an NDR opens, the buyer is sent a signed link that expires (by SMS,
+ * email, and WhatsApp when the seller has it set up). The public NDR page
+ * behind the link lets them pick a re-delivery date, correct the address or
+ * landmark, or cancel the order. Their answer is written into the NDR and
+ * sent to the courier as an NDR action (a re-attempt, an address change or
+ * RTO); couriers without NDR actions get it through ops.
+ *
+ * A link is `<ndr id>.<expiry>.<signature>`. Only the latest link sent for an
+ * NDR works, and only until the buyer has answered.
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+export const NDR_BUYER_LINK_CONFIG = {
+  enabled: process.env.NDR_BUYER_LINK_ENABLED !== 'false',
+  expiryHours: parseInt(process.env.NDR_LINK_EXPIRY_HOURS || 48),
+  baseUrl: process.env.NDR_LINK_BASE_URL || 'http://localhost:3000/ndr',
+  maxReattemptDays: 7 // latest re-delivery date the buyer can pick
+};
+
+// WhatsAppSettings.templates key holding the seller's NDR template
+const WHATSAPP_TEMPLATE = 'ndrResponse';
+
+const getSecret = () => process.env.NDR_LINK_SECRET || process.env.JWT_SECRET;
+
+const sign = (payload) => crypto.createHmac('sha256', getSecret()).update(payload).digest('base64url');
+
+const formatExpiry = (date) =>
+  date.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', dateStyle: 'medium', timeStyle: 'short' });
+
+/**
+ * Signed link to the NDR response page, valid for NDR_BUYER_LINK_CONFIG.expiryHours
+ * @param {Object} ndr - NDR document
+ * @returns {Object} - { token, link, expiresAt }
+ */
+export const createNDRBuyerLink = (ndr) => {
+  const expiresAt = new Date(Date.now() + NDR_BUYER_LINK_CONFIG.expiryHours * HOUR);
+  // Whole seconds, so the expiry in the link matches the one kept on the NDR
+  expiresAt.setMilliseconds(0);
+  const payload = `${ndr._id}.${expiresAt.getTime() / 1000}`;
+  const token = `${payload}.${sign(payload)}`;
+  return { token, link: `${NDR_BUYER_LINK_CONFIG.baseUrl}/${token}`, expiresAt };
+};
+
+/**
+ * The NDR a buyer link is for, if the link is genuine, current and unexpired
+ * @param {string} token - Token from the link
+ * @returns {Promise<Object>} - NDR document
+ */
+export const verifyNDRBuyerLink = async (token = '') => {
+  const [id, expiry, signature = ''] = token.split('.');
+  const expected = sign(`${id}.${expiry}`);
+  if (
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected)) ||
+    !/^[0-9a-f]{24}$/.test(id)
+  ) {
+    throw new NDRError('Invalid link', 404);
+  }
+  if (Number(expiry) * 1000 < Date.now()) throw new NDRError('This link has expired', 410);
+
+  const ndr = await NDR.findById(id);
+  if (!ndr) throw new NDRError('Invalid link', 404);
+  if (ndr.buyerLink?.expiresAt?.getTime() !== Number(expiry) * 1000) {
+    throw new NDRError('A newer link has been sent for this delivery', 410);
+  }
+  return ndr;
+};
+
+/**
+ * Send the buyer a link to the NDR response page and record the contact.
+ * Nothing is sent while the NDR is not Pending or a link already sent is still
+ * waiting for an answer.
+ * @param {Object} ndr - NDR document
+ * @returns {Promise<Array<string>>} - Channels the link went out on
+ */
+export const sendNDRBuyerLink = async (ndr) => {
+  if (!NDR_BUYER_LINK_CONFIG.enabled || ndr.status !== 'Pending') return [];
+  const { buyerLink } = ndr;
+  if (buyerLink?.expiresAt > new Date() && !buyerLink.respondedAt) return [];
+
+  const { link, expiresAt } = createNDRBuyerLink(ndr);
+  const variables = {
+    awb: ndr.awb,
+    seller: ndr.seller?.business || ndr.seller?.name || '',
+    reason: ndr.reason || 'Delivery attempt failed',
+    link,
+    expiry: formatExpiry(expiresAt)
+  };
+
+  const whatsapp = ndr.seller?.id
+    ? await WhatsAppSettings.findOne({ seller: ndr.seller.id, enabled: true })
+    : null;
+  const channels = [
+    ndr.customer?.phone && ['SMS', () => sendSMS({ to: ndr.customer.phone, templateId: 'NDR_RESPONSE', variables })],
+    ndr.customer?.email && ['Email', () => sendEmail({
+      to: ndr.customer.email,
+      subject: EMAIL_TEMPLATES.NDR_RESPONSE.subject,
+      templateId: 'NDR_RESPONSE',
+      variables
+    })],
+    ndr.customer?.phone && whatsapp?.templates?.[WHATSAPP_TEMPLATE] && ['WhatsApp', () => sendWhatsApp(whatsapp, {
+      to: ndr.customer.phone,
+      templateId: whatsapp.templates[WHATSAPP_TEMPLATE],
+      variables
+    })]
+  ].filter(Boolean);
+
+  const sent = [];
+  for (const [method, send] of channels) {
+    try {
+      await send();
+      sent.push(method);
+      ndr.contactHistory.push({ method, timestamp: new Date(), status: 'Success', notes: 'Delivery response link sent' });
+    } catch (error) {
+      ndr.contactHistory.push({ method, timestamp: new Date(), status: 'Failed', notes: error.message });
+    }
+  }
+
+  if (sent.length) {
+    ndr.buyerLink = { sentAt: new Date(), expiresAt, channels: sent };
+    ndr.attemptedContact = true;
+  } else {
+    logger.warn(`NDR ${ndr._id}: delivery response link could not be sent to the buyer`);
+  }
+  await ndr.save();
+  return sent;
+};
+
+/**
+ * What the NDR response page shows the buyer
+ * @param {Object} ndr - NDR document
+ * @returns {Object}
+ */
+export const getNDRBuyerView = (ndr) => {
+  const today = new Date();
+  const lastDate = new Date(today.getTime() + NDR_BUYER_LINK_CONFIG.maxReattemptDays * 24 * HOUR);
+  const { fullName, addressLine1, addressLine2, landmark, pincode, city, state } = ndr.customer?.address || {};
+
+  return {
+    awb: ndr.awb,
+    seller: ndr.seller?.business || ndr.seller?.name,
+    courier: ndr.courier?.name,
+    trackingUrl: ndr.courier?.trackingUrl,
+    reason: ndr.reason,
+    attempts: ndr.attempts,
+    items: (ndr.products || []).map(({ name, quantity, image }) => ({ name, quantity, image })),
+    address: { fullName, addressLine1, addressLine2, landmark, pincode, city, state },
+    canRespond: OPEN_NDR_STATUSES.includes(ndr.status) && !ndr.buyerLink?.respondedAt,
+    response: ndr.buyerLink?.response?.action ? ndr.buyerLink.response : null,
+    respondedAt: ndr.buyerLink?.respondedAt,
+    reattemptDates: {
+      from: new Date(today.getTime() + 24 * HOUR).toISOString().slice(0, 10),
+      to: lastDate.toISOString().slice(0, 10)
+    },
+    expiresAt: ndr.buyerLink?.expiresAt
+  };
+};
+
+/**
+ * Record the buyer's answer on the NDR and send it to the courier
+ * @param {Object} ndr - NDR document
+ * @param {Object} response - { action: 'REATTEMPT' | 'CHANGE_ADDRESS' | 'CANCEL', reattemptDate, address, remarks }
+ * @returns {Promise<Object|null>} - The courier action, or null if the courier gets it through ops
+ */
+export const recordNDRBuyerResponse = async (ndr, { action, reattemptDate, address, remarks }) => {
+  if (ndr.buyerLink?.respondedAt) throw new NDRError('You have already responded for this delivery', 409);
+  if (!OPEN_NDR_STATUSES.includes(ndr.status)) throw new NDRError('This delivery can no longer be changed', 409);
+
+  let details;
+  if (action === 'REATTEMPT') {
+    details = { type: NDR_ACTION_TYPES.REATTEMPT, reattemptDate, remarks };
+  } else if (action === 'CHANGE_ADDRESS') {
+    // A correction of only the landmark (say) keeps the rest of the address
+    const { fullName, addressLine1, addressLine2, landmark, pincode, city, state } = ndr.customer?.address || {};
+    details = {
+      type: NDR_ACTION_TYPES.CHANGE_ADDRESS,
+      address: { fullName, addressLine1, addressLine2, landmark, pincode, city, state, ...address },
+      remarks
+    };
+  } else {
+    details = { type: NDR_ACTION_TYPES.RTO, reason: 'Buyer cancelled the order', remarks };
+  }
+
+  ndr.buyerLink.respondedAt = new Date();
+  ndr.buyerLink.response = { action, reattemptDate, address, remarks };
+
+  const options = { actor: { name: ndr.customer?.name, role: 'buyer' }, source: 'Buyer' };
+  if (canPushNDRAction(ndr)) return requestNDRAction(ndr, details, options);
+
+  applyNDRAction(ndr, details, options);
+  await ndr.save();
+  return null;
+};
@@ -0,0 +1,190 @@
+import PDFDocument from 'pdfkit';
+import { getItemsValue } from './orderItems.js';
+
+/**
+ * Seller order invoice renderer.
+ *
+ * An A4 invoice issued by the seller to the buyer: seller and buyer blocks,
+ * a table of the order's line items (HSN, quantity, unit price, amount) and
+ * the order's charges totalled underneath.
+ */
+
+const PAGE = { width: 595.28, height: 841.89, margin: 36 };
+const ROW_HEIGHT = 20;
+const TOTALS_HEIGHT = 110;
+const COLUMNS = [
+  { key: 'index', title: '#', width: 24 },
+  { key: 'name', title: 'Item', width: 181 },
+  { key: 'sku', title: 'SKU', width: 90 },
+  { key: 'hsn', title: 'HSN', width: 55 },
+  { key: 'quantity', title: 'Qty', width: 40, align: 'right' },
+  { key: 'price', title: 'Rate (Rs.)', width: 66, align: 'right' },
+  { key: 'amount', title: 'Amount (Rs.)', width: 67, align: 'right' }
+];
+
+const formatNumber = (value) =>
+  Number(value || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' });
+
+// Cut text to the width, measured with the current font
+const fit = (doc, text, width) => {
+  let value = String(text ?? '');
+  if (doc.widthOfString(value) <= width) return value;
+  while (value.length && doc.widthOfString(`${value}...`) > width) value = value.slice(0, -1);
+  return `${value}...`;
+};
+
+// Single-line text; without a width option pdfkit never wraps or adds pages
+const cell = (doc, text, x, y, width, align = 'left') => {
+  const value = fit(doc, text, width);
+  const offset = align === 'right' ? width - doc.widthOfString(value) : 0;
+  doc.text(value, x + offset, y, { lineBreak: false });
+};
+
+const addressLines = (address = {}) => [
+  address.street,
+  [address.city, address.state].filter(Boolean).join(', '),
+  [address.pincode, address.country].filter(Boolean).join(', ')
+].filter(Boolean);
+
+const drawParty = (doc, title, lines, x, y, width) => {
+  doc.font('Helvetica-Bold').fontSize(8).fillColor('black');
+  cell(doc, title, x, y, width);
+  doc.font('Helvetica-Bold').fontSize(10);
+  cell(doc, lines[0] || '-', x, y + 12, width);
+  doc.font('Helvetica').fontSize(9);
+  lines.slice(1).forEach((line, index) => cell(doc, line, x, y + 26 + index * 12, width));
+};
+
+const drawHeader = (doc, invoice, continued) => {
+  const { margin } = PAGE;
+  const right = PAGE.width - margin;
+  const { order, seller } = invoice;
+
+  doc.font('Helvetica-Bold').fontSize(16).fillColor('black');
+  cell(doc, continued ? 'INVOICE (continued)' : 'INVOICE', margin, margin, 300);
+  doc.font('Helvetica').fontSize(9);
+  cell(doc, `Invoice: ${invoice.invoiceNumber}`, right - 220, margin, 220, 'right');
+  cell(doc, `Order: ${order.orderId}`, right - 220, margin + 12, 220, 'right');
+  cell(doc, `Date: ${formatDate(order.orderDate)}`, right - 220, margin + 24, 220, 'right');
+  if (continued) return margin + 48;
+
+  const half = (right - margin - 20) / 2;
+  drawParty(doc, 'SOLD BY', [
+    seller?.businessName || seller?.name,
+    ...addressLines(invoice.sellerAddress),
+    seller?.gstin && `GSTIN: ${seller.gstin}`
+  ].filter(Boolean), margin, margin + 48, half);
+
+  const { customer = {} } = order;
+  drawParty(doc, 'BILL TO / SHIP TO', [
+    customer.name,
+    ...addressLines(customer.address),
+    customer.phone && `Phone: ${customer.phone}`
+  ].filter(Boolean), margin + half + 20, margin + 48, half);
+
+  return margin + 138;
+};
+
+const drawTableHeader = (doc, y) => {
+  let x = PAGE.margin;
+  doc.rect(PAGE.margin, y, PAGE.width - 2 * PAGE.margin, 18).fill('#e6e6e6');
+  doc.font('Helvetica-Bold').fontSize(8).fillColor('black');
+  COLUMNS.forEach(column => {
+    cell(doc, column.title, x + 3, y + 5, column.width - 6, column.align);
+    x += column.width;
+  });
+  return y + 18;
+};
+
+const drawRow = (doc, item, index, y) => {
+  const values = {
+    index: index + 1,
+    name: item.name,
+    sku: item.sku,
+    hsn: item.hsn || '-',
+    quantity: item.quantity,
+    price: formatNumber(item.price),
+    amount: formatNumber(item.price * item.quantity)
+  };
+
+  let x = PAGE.margin;
+  doc.font('Helvetica').fontSize(8).fillColor('black');
+  COLUMNS.forEach(column => {
+    cell(doc, values[column.key], x + 3, y + 6, column.width - 6, column.align);
+    x += column.width;
+  });
+
+  doc.moveTo(PAGE.margin, y + ROW_HEIGHT).lineTo(PAGE.width - PAGE.margin, y + ROW_HEIGHT).lineWidth(0.5).stroke('#999999');
+  return y + ROW_HEIGHT;
+};
+
+const drawTotals = (doc, order, y) => {
+  const right = PAGE.width - PAGE.margin;
+  const payment = order.payment || {};
+  const lines = [
+    ['Items', getItemsValue(order.items)],
+    ['Shipping', payment.shippingCharge],
+    ...(payment.method === 'COD' ? [['COD charge', payment.codCharge]] : []),
+    ['GST', payment.gst]
+  ];
+
+  let lineY = y + 10;
+  doc.font('Helvetica').fontSize(9).fillColor('black');
+  lines.forEach(([label, value]) => {
+    cell(doc, label, right - 220, lineY, 120);
+    cell(doc, formatNumber(value), right - 100, lineY, 100, 'right');
+    lineY += 14;
+  });
+
+  doc.moveTo(right - 220, lineY).lineTo(right, lineY).lineWidth(0.5).stroke('black');
+  doc.font('Helvetica-Bold').fontSize(11);
+  cell(doc, 'Total (Rs.)', right - 220, lineY + 6, 120);
+  cell(doc, formatNumber(payment.total), right - 100, lineY + 6, 100, 'right');
+
+  doc.font('Helvetica').fontSize(9);
+  cell(doc, `Payment: ${payment.method === 'COD' ? 'Cash on delivery' : 'Prepaid'}`, PAGE.margin, y + 10, 200);
+};
+
+/**
+ * Render the invoice of a seller order
+ * @param {Object} invoice - { invoiceNumber, order: SellerOrder, seller: Seller, sellerAddress: { street, city, state, pincode } }
+ * @returns {Promise<Buffer>} - PDF
+ */
+export const renderOrderInvoice = (invoice) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 0, autoFirstPage: false, bufferPages: true });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const bottom = PAGE.height - PAGE.margin - 14;
+
+  doc.addPage({ size: 'A4', margin: 0 });
+  let y = drawTableHeader(doc, drawHeader(doc, invoice, false));
+
+  invoice.order.items.forEach((item, index) => {
+    if (y + ROW_HEIGHT > bottom) {
+      doc.addPage({ size: 'A4', margin: 0 });
+      y = drawTableHeader(doc, drawHeader(doc, invoice, true));
+    }
+    y = drawRow(doc, item, index, y);
+  });
+
+  if (y + TOTALS_HEIGHT > bottom) {
+    doc.addPage({ size: 'A4', margin: 0 });
+    y = drawHeader(doc, invoice, true);
+  }
+  drawTotals(doc, invoice.order, y);
+
+  // Page numbers
+  const { start, count } = doc.bufferedPageRange();
+  for (let page = start; page < start + count; page++) {
+    doc.switchToPage(page);
+    doc.font('Helvetica').fontSize(8).fillColor('black');
+    cell(doc, `${invoice.invoiceNumber} - Page ${page - start + 1} of ${count}`, PAGE.margin, PAGE.height - PAGE.margin, PAGE.width - 2 * PAGE.margin, 'right');
+  }
+
+  doc.end();
+});
@@ -0,0 +1,54 @@
+/**
+ * Seller order line items.
+ *
+ * A SellerOrder carries one entry in `items` per SKU ordered, with the unit
+ * price and unit weight. Order amounts, the shipment weight, invoices and
+ * label item lists are all derived from the line items with these helpers,
+ * which work on Mongoose documents and lean objects alike.
+ */
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+/**
+ * Value of the goods in an order (sum of unit price x quantity)
+ * @param {Object[]} items - Order line items
+ * @returns {number} - Amount in rupees, rounded to paise
+ */
+export const getItemsValue = (items = []) =>
+  round(items.reduce((sum, item) => sum + (Number(item.price) || 0) * (Number(item.quantity) || 0), 0), 2);
+
+/**
+ * Dead weight of the goods in an order (sum of unit weight x quantity)
+ * @param {Object[]} items - Order line items
+ * @returns {number} - Weight in kg
+ */
+export const getItemsWeight = (items = []) =>
+  round(items.reduce((sum, item) => sum + (Number(item.weight) || 0) * (Number(item.quantity) || 0), 0), 3);
+
+/**
+ * Number of units across all line items
+ * @param {Object[]} items - Order line items
+ * @returns {number}
+ */
+export const getItemsQuantity = (items = []) =>
+  items.reduce((sum, item) => sum + (Number(item.quantity) || 0), 0);
+
+/**
+ * One-line description of the line items, e.g. "T-Shirt x 2, Cap x 1"
+ * @param {Object[]} items - Order line items
+ * @returns {string}
+ */
+export const describeItems = (items = []) =>
+  items.map(item => `${item.name || item.sku} x ${item.quantity || 1}`).join(', ');
+
+/**
+ * Line items totalled with the order's charges
+ * @param {Object[]} items - Order line items
+ * @param {Object} charges - { shippingCharge, codCharge, gst }
+ * @returns {Object} - { amount, total } as strings, the way SellerOrder.payment stores them
+ */
+export const getOrderTotals = (items, { shippingCharge = 0, codCharge = 0, gst = 0 } = {}) => {
+  const amount = getItemsValue(items);
+  const total = amount + (parseFloat(shippingCharge) || 0) + (parseFloat(codCharge) || 0) + (parseFloat(gst) || 0);
+  return { amount: amount.toFixed(2), total: round(total, 2).toFixed(2) };
+};
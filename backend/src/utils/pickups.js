@@ -0,0 +1,407 @@
+import Pickup from '../modules/seller/models/pickup.model.js';
+import SellerShipment from '../modules/seller/models/shipment.model.js';
+import Seller from '../modules/seller/models/seller.model.js';
+import Store from '../modules/seller/models/store.model.js';
+import { PickupEscalation } from '../modules/admin/models/escalation.model.js';
+import { getCourierHandler } from './courierBooking.js';
+import { applyShipmentUpdate } from './shipmentTracking.js';
+import { toLocalDay, isCourierWorkingDay } from './edd.js';
+import { SHIPMENT_STATUS, normalizeStatus } from './shipmentStatus.js';
+import { logger } from './logger.js';
+
+/**
+ * Courier pickup requests.
+ *
+ * A pickup covers shipments of one courier waiting at one warehouse (Store).
+ * It is booked with the courier through the adapter's schedulePickup (when
+ * the courier has a pickup API) for an IST day and slot, and moves the
+ * shipments to Pending Pickup. A pickup is Picked as soon as one of its
+ * shipments is picked up (see shipmentTracking.js). The pickup monitor marks
+ * pickups still open after their slot as Missed and raises a Pickup
+ * escalation for the operations team.
+ */
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+export const PICKUP_CONFIG = {
+  enabled: process.env.PICKUP_MONITOR_ENABLED !== 'false',
+  slots: ['10:00-13:00', '13:00-16:00', '16:00-19:00'],
+  minLeadMinutes: 60, // a slot can be booked until this long before it starts
+  maxAdvanceDays: 7,
+  graceMinutes: parseInt(process.env.PICKUP_GRACE_MINUTES || 120), // wait after the slot before calling it missed
+  monitorInterval: 15 * MINUTE,
+  monitorBatchSize: 100,
+  maxShipments: 500
+};
+
+// Pickups the courier has still to attend
+export const OPEN_PICKUP_STATUSES = ['Scheduled', 'Rescheduled'];
+
+// Shipments that can be handed over on a pickup
+const AWAITING_PICKUP = [SHIPMENT_STATUS.BOOKED, SHIPMENT_STATUS.PENDING_PICKUP];
+
+// Error raised when a pickup cannot be scheduled or updated
+export class PickupError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PickupError';
+    this.statusCode = statusCode;
+  }
+}
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Start and end of a slot on an IST day
+const slotTimes = (day, slot) => {
+  const [start, end] = slot.split('-');
+  return {
+    startsAt: new Date(`${day}T${start}:00+05:30`),
+    endsAt: new Date(`${day}T${end}:00+05:30`)
+  };
+};
+
+const createPickupNumber = () =>
+  `PKP${Date.now().toString(36).toUpperCase()}${Math.floor(Math.random() * 1296).toString(36).toUpperCase().padStart(2, '0')}`;
+
+/**
+ * Pickup slots of a day and whether they can still be booked
+ * @param {string} courier - Courier code
+ * @param {string} day - IST day (YYYY-MM-DD)
+ * @returns {Promise<Object>} - { date, workingDay, slots: [{ slot, startsAt, endsAt, available }] }
+ */
+export const getPickupSlots = async (courier, day) => {
+  const today = toLocalDay(Date.now());
+  const lastDay = toLocalDay(Date.now() + PICKUP_CONFIG.maxAdvanceDays * DAY);
+  const workingDay = await isCourierWorkingDay(courier, day);
+  const bookableDay = workingDay && day >= today && day <= lastDay;
+  const earliestStart = Date.now() + PICKUP_CONFIG.minLeadMinutes * MINUTE;
+
+  return {
+    date: day,
+    workingDay,
+    slots: PICKUP_CONFIG.slots.map(slot => {
+      const { startsAt, endsAt } = slotTimes(day, slot);
+      return { slot, startsAt, endsAt, available: bookableDay && startsAt.getTime() >= earliestStart };
+    })
+  };
+};
+
+const assertSlotAvailable = async (courier, day, slot) => {
+  const { slots, workingDay } = await getPickupSlots(courier, day);
+  if (!workingDay) throw new PickupError(`${courier} does not pick up on ${day}`);
+
+  const match = slots.find(item => item.slot === slot);
+  if (!match) throw new PickupError(`Invalid slot. Must be one of: ${PICKUP_CONFIG.slots.join(', ')}`);
+  if (!match.available) throw new PickupError(`Slot ${slot} on ${day} can no longer be booked`);
+};
+
+// Shipments of the seller and courier that can go on a pickup from the store
+const findPickupShipments = async (sellerId, courier, store, shipmentIds) => {
+  const openPickupShipments = await Pickup.distinct('shipments', {
+    seller: sellerId,
+    status: { $in: OPEN_PICKUP_STATUSES }
+  });
+  const courierQuery = { $regex: `^${escapeRegex(courier)}$`, $options: 'i' };
+
+  if (shipmentIds?.length) {
+    const shipments = await SellerShipment.find({ _id: { $in: shipmentIds }, seller: sellerId });
+    if (shipments.length !== new Set(shipmentIds.map(String)).size) {
+      throw new PickupError('One or more shipments were not found', 404);
+    }
+
+    const onPickup = new Set(openPickupShipments.map(String));
+    for (const shipment of shipments) {
+      if ((shipment.courier || '').toLowerCase() !== courier.toLowerCase()) {
+        throw new PickupError(`Shipment ${shipment.awb} is booked with ${shipment.courier}, not ${courier}`);
+      }
+      if (!AWAITING_PICKUP.includes(normalizeStatus(shipment.status))) {
+        throw new PickupError(`Shipment ${shipment.awb} is not awaiting pickup (status: ${shipment.status})`);
+      }
+      if (onPickup.has(String(shipment._id))) {
+        throw new PickupError(`Shipment ${shipment.awb} is already on a scheduled pickup`, 409);
+      }
+    }
+    return shipments;
+  }
+
+  return SellerShipment.find({
+    _id: { $nin: openPickupShipments },
+    seller: sellerId,
+    courier: courierQuery,
+    status: { $in: AWAITING_PICKUP },
+    'pickupAddress.pincode': store.pincode
+  })
+    .sort({ createdAt: 1 })
+    .limit(PICKUP_CONFIG.maxShipments);
+};
+
+// Ask the courier for a pickup; couriers without a pickup API are arranged outside the platform
+// Boxes handed over: a multi-piece shipment counts each of its pieces
+const countPackages = (shipments) =>
+  shipments.reduce((total, shipment) => total + (shipment.pieces?.length || 1), 0);
+
+const requestCourierPickup = async (store, { courier, pickupDate, slot, awbs, packageCount }) => {
+  const handler = await getCourierHandler(courier);
+  if (!handler?.schedulePickup) {
+    logger.warn(`Courier ${courier} has no pickup API; pickup on ${pickupDate} recorded locally`);
+    return { courierScheduled: false, courierPickupId: null };
+  }
+
+  const response = await handler.schedulePickup({
+    name: store.contactPerson || store.name,
+    phone: store.phone,
+    email: store.email,
+    address: {
+      line1: store.address,
+      city: store.city,
+      state: store.state,
+      pincode: store.pincode,
+      country: 'India'
+    },
+    pickupDate,
+    slot,
+    awbs,
+    packageCount: packageCount || awbs.length
+  });
+
+  if (!response?.success) {
+    throw new PickupError(`${courier} could not schedule the pickup: ${response?.error || 'unknown error'}`, 502);
+  }
+  return { courierScheduled: true, courierPickupId: response.pickupId || null };
+};
+
+// Move the pickup's shipments to Pending Pickup with the scheduled time
+const attachShipments = async (pickup, shipments) => {
+  const { startsAt } = slotTimes(pickup.pickupDate, pickup.slot);
+
+  for (const shipment of shipments) {
+    shipment.pickupRequest = pickup._id;
+    shipment.pickupDate = startsAt;
+    await applyShipmentUpdate(shipment, {
+      status: SHIPMENT_STATUS.PENDING_PICKUP,
+      description: `Pickup ${pickup.pickupNumber} scheduled for ${pickup.pickupDate} ${pickup.slot}`
+    }, { source: 'Pickup' });
+  }
+};
+
+/**
+ * Schedule a courier pickup for shipments waiting at a warehouse
+ * @param {Object} request - { sellerId, storeId, courier, shipmentIds (defaults to every shipment
+ *   of the courier awaiting pickup from the store), pickupDate: YYYY-MM-DD, slot }
+ * @returns {Promise<Object>} - Pickup
+ */
+export const schedulePickup = async ({ sellerId, storeId, courier, shipmentIds, pickupDate, slot }) => {
+  const store = await Store.findOne({ _id: storeId, seller: sellerId });
+  if (!store) throw new PickupError('Store not found', 404);
+  if (!store.isActive) throw new PickupError('Store is inactive');
+
+  await assertSlotAvailable(courier, pickupDate, slot);
+
+  const shipments = await findPickupShipments(sellerId, courier, store, shipmentIds);
+  if (!shipments.length) {
+    throw new PickupError(`No ${courier} shipments are awaiting pickup from ${store.name}`);
+  }
+
+  const awbs = shipments.map(shipment => shipment.awb);
+  const packageCount = countPackages(shipments);
+  const courierPickup = await requestCourierPickup(store, { courier, pickupDate, slot, awbs, packageCount });
+
+  const pickup = await Pickup.create({
+    seller: sellerId,
+    pickupNumber: createPickupNumber(),
+    store: store._id,
+    courier,
+    shipments: shipments.map(shipment => shipment._id),
+    awbs,
+    packageCount,
+    pickupDate,
+    slot,
+    slotEndsAt: slotTimes(pickupDate, slot).endsAt,
+    ...courierPickup,
+    history: [{ status: 'Scheduled', pickupDate, slot, courierPickupId: courierPickup.courierPickupId, source: 'Seller' }]
+  });
+
+  await attachShipments(pickup, shipments);
+  return pickup;
+};
+
+/**
+ * Move a scheduled or missed pickup to another day or slot
+ * @param {Object} pickup - Pickup document
+ * @param {Object} change - { pickupDate, slot, remarks, source }
+ * @returns {Promise<Object>} - Pickup
+ */
+export const reschedulePickup = async (pickup, { pickupDate, slot, remarks, source = 'Seller' }) => {
+  if (pickup.status === 'Picked') throw new PickupError('Pickup has already been picked');
+
+  await assertSlotAvailable(pickup.courier, pickupDate, slot);
+
+  const store = await Store.findById(pickup.store);
+  if (!store) throw new PickupError('Store not found', 404);
+
+  const shipments = await SellerShipment.find({
+    _id: { $in: pickup.shipments },
+    status: { $in: AWAITING_PICKUP }
+  });
+  if (!shipments.length) throw new PickupError('None of the pickup\'s shipments are awaiting pickup');
+
+  const awbs = shipments.map(shipment => shipment.awb);
+  const packageCount = countPackages(shipments);
+  const courierPickup = await requestCourierPickup(store, { courier: pickup.courier, pickupDate, slot, awbs, packageCount });
+
+  pickup.status = 'Rescheduled';
+  pickup.pickupDate = pickupDate;
+  pickup.slot = slot;
+  pickup.slotEndsAt = slotTimes(pickupDate, slot).endsAt;
+  pickup.shipments = shipments.map(shipment => shipment._id);
+  pickup.awbs = awbs;
+  pickup.packageCount = packageCount;
+  pickup.courierScheduled = courierPickup.courierScheduled;
+  pickup.courierPickupId = courierPickup.courierPickupId;
+  pickup.rescheduleCount += 1;
+  pickup.missedAt = undefined;
+  pickup.history.push({ status: 'Rescheduled', pickupDate, slot, courierPickupId: courierPickup.courierPickupId, remarks, source });
+  pickup.updatedAt = new Date();
+  await pickup.save();
+
+  await attachShipments(pickup, shipments);
+
+  if (pickup.escalation) {
+    await PickupEscalation.updateOne({ _id: pickup.escalation }, {
+      $push: { comments: { comment: `Pickup rescheduled to ${pickupDate} ${slot}`, timestamp: new Date() } }
+    });
+  }
+
+  return pickup;
+};
+
+/**
+ * Record that the courier collected the pickup
+ * @param {Object} pickup - Pickup document
+ * @param {Object} options - { remarks, source }
+ * @returns {Promise<Object>} - Pickup
+ */
+export const markPickupPicked = async (pickup, { remarks, source = 'Seller' } = {}) => {
+  if (!OPEN_PICKUP_STATUSES.includes(pickup.status) && pickup.status !== 'Missed') {
+    throw new PickupError(`Pickup is already ${pickup.status}`);
+  }
+
+  pickup.status = 'Picked';
+  pickup.pickedAt = new Date();
+  pickup.history.push({ status: 'Picked', remarks, source });
+  pickup.updatedAt = new Date();
+  return pickup.save();
+};
+
+// Raise a Pickup escalation for a missed pickup (once per pickup)
+const raisePickupEscalation = async (pickup) => {
+  if (pickup.escalation) return pickup.escalation;
+
+  const [seller, store] = await Promise.all([
+    Seller.findById(pickup.seller).select('name businessName email phone').lean(),
+    Store.findById(pickup.store).select('name city pincode').lean()
+  ]);
+
+  const escalation = await PickupEscalation.create({
+    referenceId: pickup.pickupNumber,
+    description: `${pickup.courier} missed the pickup of ${pickup.packageCount} package(s) scheduled for ${pickup.pickupDate} ${pickup.slot}`,
+    category: 'Missed Pickup',
+    priority: 'High',
+    isUrgent: true,
+    escalationType: 'Pickup',
+    seller: seller && {
+      id: seller._id,
+      name: seller.name,
+      businessName: seller.businessName,
+      email: seller.email,
+      phone: seller.phone
+    },
+    pickup: {
+      id: pickup._id,
+      pickupId: pickup.courierPickupId || pickup.pickupNumber,
+      location: store ? `${store.name}, ${store.city} - ${store.pincode}` : undefined,
+      scheduledDate: slotTimes(pickup.pickupDate, pickup.slot).startsAt,
+      courierPartner: pickup.courier
+    },
+    dueDate: new Date(Date.now() + DAY),
+    statusHistory: [{ status: 'Pending', remarks: 'Raised automatically for a missed pickup' }]
+  });
+
+  logger.warn(`Pickup ${pickup.pickupNumber} missed by ${pickup.courier}; escalation ${escalation._id} raised`);
+  return escalation._id;
+};
+
+/**
+ * Record that the courier did not turn up and escalate it
+ * @param {Object} pickup - Pickup document
+ * @param {Object} options - { remarks, source }
+ * @returns {Promise<Object>} - Pickup
+ */
+export const markPickupMissed = async (pickup, { remarks, source = 'Seller' } = {}) => {
+  if (!OPEN_PICKUP_STATUSES.includes(pickup.status)) {
+    throw new PickupError(`Pickup is already ${pickup.status}`);
+  }
+
+  pickup.status = 'Missed';
+  pickup.missedAt = new Date();
+  pickup.history.push({ status: 'Missed', remarks, source });
+  pickup.escalation = await raisePickupEscalation(pickup);
+  pickup.updatedAt = new Date();
+  return pickup.save();
+};
+
+/**
+ * Close pickups whose slot (plus the grace period) has passed: Picked when a
+ * shipment was picked up, otherwise Missed and escalated
+ * @returns {Promise<Object>} - { picked, missed }
+ */
+export const checkOverduePickups = async () => {
+  const pickups = await Pickup.find({
+    status: { $in: OPEN_PICKUP_STATUSES },
+    slotEndsAt: { $lte: new Date(Date.now() - PICKUP_CONFIG.graceMinutes * MINUTE) }
+  }).limit(PICKUP_CONFIG.monitorBatchSize);
+
+  const result = { picked: 0, missed: 0 };
+  for (const pickup of pickups) {
+    try {
+      const shipments = await SellerShipment.find({ _id: { $in: pickup.shipments } }).select('status').lean();
+      const statuses = shipments.map(shipment => normalizeStatus(shipment.status));
+
+      if (statuses.some(status => !AWAITING_PICKUP.includes(status) && status !== SHIPMENT_STATUS.CANCELLED)) {
+        await markPickupPicked(pickup, { remarks: 'Shipments picked up', source: 'System' });
+        result.picked++;
+      } else if (statuses.every(status => status === SHIPMENT_STATUS.CANCELLED)) {
+        // Nothing left to collect; close it without escalating
+        pickup.status = 'Missed';
+        pickup.history.push({ status: 'Missed', remarks: 'All shipments cancelled', source: 'System' });
+        pickup.updatedAt = new Date();
+        await pickup.save();
+      } else {
+        await markPickupMissed(pickup, { remarks: 'Not picked up in the scheduled slot', source: 'System' });
+        result.missed++;
+      }
+    } catch (error) {
+      logger.error(`Pickup check failed for ${pickup.pickupNumber}: ${error.message}`);
+    }
+  }
+  return result;
+};
+
+let monitorIntervalId = null;
+
+// Check overdue pickups periodically
+export const startPickupMonitor = () => {
+  if (monitorIntervalId || !PICKUP_CONFIG.enabled) return;
+
+  monitorIntervalId = setInterval(() => {
+    checkOverduePickups().catch(error => logger.error(`Pickup monitor failed: ${error.message}`));
+  }, PICKUP_CONFIG.monitorInterval);
+};
+
+export const stopPickupMonitor = () => {
+  if (monitorIntervalId) {
+    clearInterval(monitorIntervalId);
+    monitorIntervalId = null;
+  }
+};
@@ -0,0 +1,229 @@
+import fs from 'fs';
+import path from 'path';
+import SellerShipment from '../modules/seller/models/shipment.model.js';
+import Seller from '../modules/seller/models/seller.model.js';
+import LabelSetting from '../modules/seller/models/labelSetting.model.js';
+import PrintJob from '../modules/seller/models/printJob.model.js';
+import { renderShippingLabels, getShipmentsLabelData } from './labelRenderer.js';
+import { renderPickupManifest } from './manifestRenderer.js';
+import { uploadToS3 } from './fileUpload.js';
+import { SHIPMENT_STATUS } from './shipmentStatus.js';
+import { logger } from './logger.js';
+
+/**
+ * Bulk label and pickup manifest printing.
+ *
+ * Small batches are rendered in the request. Larger ones are saved as a
+ * PrintJob and rendered one job at a time in the background; the finished
+ * document is stored with uploadToS3 (local uploads/ folder when S3 is not
+ * configured) and downloaded through the print job.
+ */
+
+export const PRINT_JOB_CONFIG = {
+  syncLimit: 50, // more shipments than this run as a background job
+  maxShipments: 2000,
+  batchSize: 200, // shipments loaded per query while rendering
+  outputDir: path.join('uploads', 'print-jobs')
+};
+
+// Shipments still waiting for pickup, listed on a manifest unless a status is given
+const MANIFEST_STATUSES = [SHIPMENT_STATUS.BOOKED, SHIPMENT_STATUS.PENDING_PICKUP];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Find the seller's shipments to print, grouped by courier
+ * @param {string} sellerId - Seller ID
+ * @param {Object} selection - { shipmentIds, filter: { status, courier, startDate, endDate } }
+ * @param {string} type - 'labels' or 'manifest'
+ * @returns {Promise<ObjectId[]>} - Shipment IDs (at most maxShipments + 1)
+ */
+export const findPrintShipments = async (sellerId, { shipmentIds, filter = {} }, type) => {
+  const query = { seller: sellerId };
+  if (shipmentIds?.length) query._id = { $in: shipmentIds };
+
+  if (filter.status) query.status = filter.status;
+  else if (type === 'manifest' && !shipmentIds?.length) query.status = { $in: MANIFEST_STATUSES };
+  else query.status = { $ne: SHIPMENT_STATUS.CANCELLED };
+
+  if (filter.courier) query.courier = { $regex: `^${escapeRegex(filter.courier)}$`, $options: 'i' };
+  if (filter.startDate || filter.endDate) {
+    query.createdAt = {};
+    if (filter.startDate) query.createdAt.$gte = new Date(filter.startDate);
+    if (filter.endDate) query.createdAt.$lte = new Date(filter.endDate);
+  }
+
+  const shipments = await SellerShipment.find(query)
+    .sort({ courier: 1, createdAt: 1 })
+    .limit(PRINT_JOB_CONFIG.maxShipments + 1)
+    .select('_id')
+    .lean();
+  return shipments.map(shipment => shipment._id);
+};
+
+// Label data of the shipments, loaded in batches and kept in the order of the IDs
+const loadLabelData = async (shipmentIds) => {
+  const labels = [];
+  for (let i = 0; i < shipmentIds.length; i += PRINT_JOB_CONFIG.batchSize) {
+    const batch = shipmentIds.slice(i, i + PRINT_JOB_CONFIG.batchSize);
+    const shipments = await SellerShipment.find({ _id: { $in: batch } }).lean();
+    const byId = new Map(shipments.map(shipment => [String(shipment._id), shipment]));
+    labels.push(...await getShipmentsLabelData(batch.map(id => byId.get(String(id))).filter(Boolean)));
+  }
+  return labels;
+};
+
+const timestamp = () => new Date().toISOString().replace(/[:.]/g, '-');
+
+export const createManifestNumber = () => `MF${Date.now().toString(36).toUpperCase()}`;
+
+/**
+ * Render the labels of many shipments as one document
+ * @param {string} sellerId - Seller ID
+ * @param {ObjectId[]} shipmentIds - Shipments in print order
+ * @param {Object} options - { format, labelSize } overriding the seller's label settings
+ * @returns {Promise<Object>} - { content, contentType, extension, filename }
+ */
+export const generateLabelsDocument = async (sellerId, shipmentIds, { format, labelSize } = {}) => {
+  const [setting, labels] = await Promise.all([
+    LabelSetting.findOne({ seller: sellerId }).lean(),
+    loadLabelData(shipmentIds)
+  ]);
+
+  const document = await renderShippingLabels(labels, {
+    ...setting,
+    ...(format && { format }),
+    ...(labelSize && { labelSize })
+  });
+  return { ...document, filename: `labels_${timestamp()}.${document.extension}` };
+};
+
+/**
+ * Render the pickup manifest of the shipments, one section per courier
+ * @param {string} sellerId - Seller ID
+ * @param {ObjectId[]} shipmentIds - Shipments in print order
+ * @param {Object} options - { manifestNumber }
+ * @returns {Promise<Object>} - { content, contentType, extension, filename }
+ */
+export const generateManifestDocument = async (sellerId, shipmentIds, { manifestNumber = createManifestNumber() } = {}) => {
+  const [seller, labels] = await Promise.all([
+    Seller.findById(sellerId).select('businessName brandName').lean(),
+    loadLabelData(shipmentIds)
+  ]);
+
+  const couriers = new Map();
+  for (const label of labels) {
+    const courier = label.courier || 'Unassigned';
+    if (!couriers.has(courier)) couriers.set(courier, []);
+    couriers.get(courier).push(label);
+  }
+
+  const content = await renderPickupManifest({
+    manifestNumber,
+    generatedAt: new Date(),
+    seller: { name: seller?.brandName || seller?.businessName },
+    pickupAddress: labels[0]?.shipper?.address,
+    couriers: [...couriers].map(([courier, shipments]) => ({ courier, shipments }))
+  });
+
+  return { content, contentType: 'application/pdf', extension: 'pdf', filename: `manifest_${manifestNumber}.pdf` };
+};
+
+// Store the rendered document and return its URL
+const storeDocument = async (job, document) => {
+  await fs.promises.mkdir(PRINT_JOB_CONFIG.outputDir, { recursive: true });
+  const filePath = path.join(PRINT_JOB_CONFIG.outputDir, `${job._id}.${document.extension}`);
+  await fs.promises.writeFile(filePath, document.content);
+
+  return uploadToS3(
+    { path: filePath, originalname: document.filename, mimetype: document.contentType },
+    `print-jobs/${job.seller}/${job._id}.${document.extension}`
+  );
+};
+
+const runPrintJob = async (jobId) => {
+  const job = await PrintJob.findById(jobId);
+  if (!job || job.status === 'completed' || job.status === 'failed') return;
+
+  job.status = 'processing';
+  job.startedAt = new Date();
+  job.updatedAt = new Date();
+  await job.save();
+
+  try {
+    const document = job.type === 'manifest'
+      ? await generateManifestDocument(job.seller, job.shipments, { manifestNumber: job.manifestNumber })
+      : await generateLabelsDocument(job.seller, job.shipments, { format: job.format, labelSize: job.labelSize });
+
+    job.fileUrl = await storeDocument(job, document);
+    job.filename = document.filename;
+    job.contentType = document.contentType;
+    job.size = document.content.length;
+    job.status = 'completed';
+    job.completedAt = new Date();
+  } catch (error) {
+    logger.error(`Print job ${job._id} failed: ${error.message}`);
+    job.status = 'failed';
+    job.error = error.message;
+  }
+
+  job.updatedAt = new Date();
+  await job.save();
+};
+
+// Jobs run one at a time so a large batch does not hold up the API
+let queue = Promise.resolve();
+
+const enqueuePrintJob = (jobId) => {
+  queue = queue
+    .then(() => runPrintJob(jobId))
+    .catch(error => logger.error(`Print job ${jobId} failed: ${error.message}`));
+};
+
+/**
+ * Queue a bulk label or manifest document
+ * @param {Object} options - { sellerId, type, shipmentIds, format, labelSize }
+ * @returns {Promise<Object>} - PrintJob
+ */
+export const createPrintJob = async ({ sellerId, type, shipmentIds, format, labelSize }) => {
+  const job = await PrintJob.create({
+    seller: sellerId,
+    type,
+    shipments: shipmentIds,
+    total: shipmentIds.length,
+    ...(type === 'manifest' ? { manifestNumber: createManifestNumber() } : { format: format || 'PDF', labelSize })
+  });
+
+  enqueuePrintJob(job._id);
+  return job;
+};
+
+// Re-queue jobs left unfinished by a restart
+export const resumePrintJobs = async () => {
+  const jobs = await PrintJob.find({ status: { $in: ['queued', 'processing'] } }).sort({ createdAt: 1 }).select('_id').lean();
+  if (!jobs.length) return;
+
+  await PrintJob.updateMany({ _id: { $in: jobs.map(job => job._id) } }, { status: 'queued', updatedAt: new Date() });
+  jobs.forEach(job => enqueuePrintJob(job._id));
+  logger.info(`Resumed ${jobs.length} print job(s)`);
+};
+
+/**
+ * Print job as returned by the API
+ * @param {Object} job - PrintJob
+ * @returns {Object}
+ */
+export const serializePrintJob = (job) => ({
+  id: job._id,
+  type: job.type,
+  status: job.status,
+  format: job.type === 'manifest' ? 'PDF' : job.format,
+  total: job.total,
+  manifestNumber: job.manifestNumber,
+  filename: job.filename,
+  size: job.size,
+  error: job.error,
+  createdAt: job.createdAt,
+  completedAt: job.completedAt,
+  downloadUrl: job.status === 'completed' ? `/api/seller/shipments/print-jobs/${job._id}/download` : null
+});
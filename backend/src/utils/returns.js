@@ -0,0 +1,371 @@
+import ReturnRequest from '../modules/seller/models/returnRequest.model.js';
+import SellerShipment from '../modules/seller/models/shipment.model.js';
+import SellerOrder from '../modules/seller/models/order.model.js';
+import Store from '../modules/seller/models/store.model.js';
+import { getCourierHandler } from './courierBooking.js';
+import { listCourierAdapters } from './courierRegistry.js';
+import { COURIER_CAPABILITIES } from './courierAdapter.js';
+import { uploadToS3 } from './fileUpload.js';
+import { adjustSkuStock } from './inventory.js';
+import { getItemsWeight } from './orderItems.js';
+import { SHIPMENT_STATUS } from './shipmentStatus.js';
+import { logger } from './logger.js';
+
+/**
+ * Customer returns (reverse logistics).
+ *
+ * A return is raised by the seller or the buyer against a delivered seller
+ * order, with a reason and photos. Buyer requests wait for the seller's
+ * approval; seller requests are approved straight away. Approval books a
+ * reverse pickup with a courier that has the reverse pickup capability and
+ * creates a reverse SellerShipment, tracked like any other shipment (see
+ * shipmentTracking.js for how its statuses move the return). Once the
+ * parcel is received the seller records the QC outcome: a pass restocks the
+ * item and makes the buyer's refund due, a fail closes the return without
+ * a refund.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const RETURN_CONFIG = {
+  windowDays: parseInt(process.env.RETURN_WINDOW_DAYS || 30), // days after delivery a return can be raised
+  maxPhotos: 5,
+  photoTypes: ['image/jpeg', 'image/png']
+};
+
+// Returns still in progress (one per order line at a time)
+const OPEN_RETURN_STATUSES = ['Requested', 'Pickup Scheduled', 'In Transit', 'Received'];
+
+// Error raised when a return cannot be created or moved on
+export class ReturnError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ReturnError';
+    this.statusCode = statusCode;
+  }
+}
+
+const createReturnNumber = () =>
+  `RTN${Date.now().toString(36).toUpperCase()}${Math.floor(Math.random() * 1296).toString(36).toUpperCase().padStart(2, '0')}`;
+
+const addHistory = (returnRequest, status, remarks, source) => {
+  returnRequest.status = status;
+  returnRequest.history.push({ status, remarks, source, timestamp: new Date() });
+  returnRequest.updatedAt = new Date();
+};
+
+/**
+ * Store uploaded return photos (multer files) and return their details
+ * @param {Array} files - Multer files
+ * @param {string} prefix - Storage key prefix
+ * @returns {Promise<Array>} - [{ url, name, type, size }]
+ */
+export const storeReturnPhotos = async (files = [], prefix) => {
+  if (files.length > RETURN_CONFIG.maxPhotos) {
+    throw new ReturnError(`At most ${RETURN_CONFIG.maxPhotos} photos can be attached`);
+  }
+  const invalid = files.find(file => !RETURN_CONFIG.photoTypes.includes(file.mimetype));
+  if (invalid) throw new ReturnError(`Photo ${invalid.originalname} must be a JPEG or PNG image`);
+
+  const photos = [];
+  for (const [index, file] of files.entries()) {
+    const url = await uploadToS3(file, `returns/${prefix}/${Date.now()}-${index}-${file.originalname}`);
+    photos.push({ url, name: file.originalname, type: file.mimetype, size: file.size });
+  }
+  return photos;
+};
+
+// Seller warehouse the return goes back to: the forward shipment's pickup address or the first active store
+const getReturnDestination = async (sellerId, forwardShipment) => {
+  if (forwardShipment?.pickupAddress?.pincode) return forwardShipment.pickupAddress;
+
+  const store = await Store.findOne({ seller: sellerId, isActive: true }).sort({ createdAt: 1 }).lean();
+  if (!store) throw new ReturnError('Add a store to receive returns');
+  return {
+    name: store.contactPerson || store.name,
+    phone: store.phone,
+    street: store.address,
+    city: store.city,
+    state: store.state,
+    pincode: store.pincode
+  };
+};
+
+const toAdapterAddress = (address) => ({
+  name: address.name,
+  phone: address.phone,
+  address: {
+    line1: address.street,
+    city: address.city,
+    state: address.state,
+    pincode: address.pincode,
+    country: 'India'
+  }
+});
+
+// Couriers to try for the reverse pickup: the one asked for, else the forward courier, else any with the capability
+const reverseCourierCandidates = (requested, forwardCourier) => {
+  if (requested) return [requested];
+  const capable = listCourierAdapters()
+    .filter(adapter => adapter.capabilities.includes(COURIER_CAPABILITIES.REVERSE_PICKUP))
+    .map(adapter => adapter.code);
+  return [...new Set([forwardCourier, ...capable].filter(Boolean).map(code => code.toUpperCase()))];
+};
+
+/**
+ * Book the reverse pickup of an approved return and create its reverse shipment
+ * @param {Object} returnRequest - ReturnRequest document
+ * @param {Object} options - { courier: courier code to use, source }
+ * @returns {Promise<Object>} - ReturnRequest
+ */
+export const bookReversePickup = async (returnRequest, { courier, source = 'Seller' } = {}) => {
+  if (returnRequest.status !== 'Requested') {
+    throw new ReturnError(`Return is already ${returnRequest.status}`);
+  }
+
+  const [order, forwardShipment] = await Promise.all([
+    SellerOrder.findById(returnRequest.order).setOptions({ skipDefaultFilter: true }),
+    returnRequest.forwardShipment ? SellerShipment.findById(returnRequest.forwardShipment) : null
+  ]);
+  if (!order) throw new ReturnError('Order not found', 404);
+
+  const destination = await getReturnDestination(returnRequest.seller, forwardShipment);
+
+  let handler = null;
+  let courierCode = null;
+  for (const code of reverseCourierCandidates(courier, forwardShipment?.courier)) {
+    const candidate = await getCourierHandler(code);
+    if (candidate?.bookReversePickup) {
+      handler = candidate;
+      courierCode = code;
+      break;
+    }
+  }
+  if (!handler) {
+    throw new ReturnError(courier
+      ? `Courier ${courier} does not support reverse pickups`
+      : 'No courier supporting reverse pickups is available');
+  }
+
+  const weight = getItemsWeight([returnRequest.item]) || forwardShipment?.weight;
+  const response = await handler.bookReversePickup({
+    referenceNumber: returnRequest.returnNumber,
+    originalAwb: forwardShipment?.awb,
+    weight: parseFloat(weight) || 0.5,
+    dimensions: forwardShipment?.dimensions || order.dimensions,
+    declaredValue: (returnRequest.item.price || 0) * (returnRequest.item.quantity || 1),
+    qcRequired: true,
+    reason: returnRequest.reason,
+    items: [returnRequest.item],
+    pickup: toAdapterAddress(returnRequest.pickupAddress),
+    consignee: toAdapterAddress(destination)
+  });
+  if (!response?.success) {
+    throw new ReturnError(`${courierCode} could not book the reverse pickup: ${response?.error || 'unknown error'}`, 502);
+  }
+
+  const shipment = await SellerShipment.create({
+    seller: returnRequest.seller,
+    orderId: order._id,
+    courier: courierCode,
+    awb: response.awb,
+    direction: 'reverse',
+    returnRequest: returnRequest._id,
+    pickupAddress: returnRequest.pickupAddress,
+    status: SHIPMENT_STATUS.BOOKED,
+    channel: 'API',
+    weight,
+    dimensions: forwardShipment?.dimensions || order.dimensions,
+    trackingHistory: [{
+      status: SHIPMENT_STATUS.BOOKED,
+      timestamp: new Date(),
+      description: `Reverse pickup booked for return ${returnRequest.returnNumber}`,
+      location: 'System'
+    }]
+  });
+
+  returnRequest.reverseShipment = shipment._id;
+  returnRequest.courier = courierCode;
+  returnRequest.awb = response.awb;
+  returnRequest.courierPickupId = response.pickupId || null;
+  addHistory(returnRequest, 'Pickup Scheduled', `Reverse pickup booked with ${courierCode} (AWB ${response.awb})`, source);
+  return returnRequest.save();
+};
+
+/**
+ * Raise a return for a delivered seller order
+ * @param {Object} request - { order: SellerOrder document, raisedBy: { type, id, name }, reason, comments,
+ *   sku: line item returned (optional for single-item orders), quantity, files: multer photos, courier }
+ * @returns {Promise<Object>} - ReturnRequest (reverse pickup booked when raised by the seller)
+ */
+export const createReturnRequest = async ({ order, raisedBy, reason, comments, sku, quantity, files, courier }) => {
+  if (order.status !== 'Delivered') {
+    throw new ReturnError('Only delivered orders can be returned');
+  }
+
+  const forwardShipment = await SellerShipment.findOne({
+    orderId: order._id,
+    direction: { $ne: 'reverse' },
+    status: SHIPMENT_STATUS.DELIVERED
+  }).sort({ createdAt: -1 });
+
+  const deliveredAt = forwardShipment?.deliveryDate || order.updatedAt;
+  if (deliveredAt && Date.now() - new Date(deliveredAt).getTime() > RETURN_CONFIG.windowDays * DAY) {
+    throw new ReturnError(`Returns can only be raised within ${RETURN_CONFIG.windowDays} days of delivery`);
+  }
+
+  const lineItem = sku
+    ? order.items.find(item => item.sku === sku)
+    : order.items.length === 1 && order.items[0];
+  if (!lineItem) {
+    throw new ReturnError(sku ? `Item ${sku} is not part of this order` : 'Specify the SKU of the item being returned');
+  }
+
+  const open = await ReturnRequest.exists({ order: order._id, 'item.sku': lineItem.sku, status: { $in: OPEN_RETURN_STATUSES } });
+  if (open) throw new ReturnError(`A return is already open for ${lineItem.sku} on this order`, 409);
+
+  const orderedQuantity = lineItem.quantity || 1;
+  const returnQuantity = quantity || orderedQuantity;
+  if (returnQuantity > orderedQuantity) {
+    throw new ReturnError(`Only ${orderedQuantity} item(s) were ordered`);
+  }
+
+  const returnNumber = createReturnNumber();
+  const photos = await storeReturnPhotos(files, returnNumber);
+  const address = order.customer?.address || {};
+
+  const returnRequest = await ReturnRequest.create({
+    seller: order.seller,
+    returnNumber,
+    order: order._id,
+    orderNumber: order.orderId,
+    forwardShipment: forwardShipment?._id,
+    raisedBy,
+    reason,
+    comments,
+    photos,
+    item: {
+      name: lineItem.name,
+      sku: lineItem.sku,
+      quantity: returnQuantity,
+      price: lineItem.price,
+      weight: lineItem.weight
+    },
+    pickupAddress: {
+      name: order.customer?.name,
+      phone: order.customer?.phone,
+      street: address.street,
+      city: address.city,
+      state: address.state,
+      pincode: address.pincode
+    },
+    history: [{ status: 'Requested', remarks: comments, source: raisedBy.type }]
+  });
+
+  // The seller raising the return is its approval
+  if (raisedBy.type === 'Seller') {
+    await bookReversePickup(returnRequest, { courier, source: 'Seller' });
+  }
+  return returnRequest;
+};
+
+/**
+ * Turn down a buyer's return request
+ * @param {Object} returnRequest - ReturnRequest document
+ * @param {string} reason - Why the return is rejected
+ * @returns {Promise<Object>} - ReturnRequest
+ */
+export const rejectReturnRequest = async (returnRequest, reason) => {
+  if (returnRequest.status !== 'Requested') {
+    throw new ReturnError(`Return is already ${returnRequest.status}`);
+  }
+  returnRequest.rejectionReason = reason;
+  addHistory(returnRequest, 'Rejected', reason, 'Seller');
+  return returnRequest.save();
+};
+
+// Put the returned quantity back into the product's stock and the warehouse the order shipped from
+const restockReturnedItem = async (returnRequest) => {
+  const order = await SellerOrder.findById(returnRequest.order).select('fulfilment').setOptions({ skipDefaultFilter: true }).lean();
+  return adjustSkuStock({
+    seller: returnRequest.seller,
+    sku: returnRequest.item.sku,
+    quantity: returnRequest.item.quantity,
+    store: order?.fulfilment?.store,
+    order: returnRequest.order,
+    reference: returnRequest.returnNumber,
+    notes: `Restocked from return ${returnRequest.returnNumber}`
+  });
+};
+
+/**
+ * Record the QC outcome of a received return. The return is moved to QC Passed / QC Failed
+ * atomically before any stock is moved, so a repeated or concurrent submission cannot restock twice.
+ * @param {Object} returnRequest - ReturnRequest document
+ * @param {Object} outcome - { result: 'Passed' | 'Failed', remarks, files: multer photos, restock }
+ * @returns {Promise<Object>} - Updated ReturnRequest
+ */
+export const recordReturnQc = async (returnRequest, { result, remarks, files, restock = true }) => {
+  const qcStatuses = ['Received', 'In Transit'];
+  if (!qcStatuses.includes(returnRequest.status)) {
+    throw new ReturnError(`QC can only be recorded once the return is received (status: ${returnRequest.status})`);
+  }
+
+  const passed = result === 'Passed';
+  const status = passed ? 'QC Passed' : 'QC Failed';
+  const photos = await storeReturnPhotos(files, `${returnRequest.returnNumber}/qc`);
+  const now = new Date();
+
+  const checked = await ReturnRequest.findOneAndUpdate(
+    { _id: returnRequest._id, status: { $in: qcStatuses } },
+    {
+      $set: {
+        status,
+        qc: { result, remarks, photos, checkedAt: now },
+        refund: passed
+          ? { amount: (returnRequest.item.price || 0) * (returnRequest.item.quantity || 1), status: 'Pending' }
+          : { amount: 0, status: 'Not Applicable' },
+        updatedAt: now
+      },
+      $push: { history: { status, remarks, source: 'Seller', timestamp: now } }
+    },
+    { new: true }
+  );
+  if (!checked) {
+    const current = await ReturnRequest.findById(returnRequest._id).select('status').lean();
+    throw new ReturnError(`QC has already been recorded for this return (status: ${current?.status})`, 409);
+  }
+
+  if (passed) {
+    if (restock) {
+      checked.restockedQuantity = await restockReturnedItem(checked);
+      await checked.save();
+    }
+
+    const order = await SellerOrder.findById(checked.order).setOptions({ skipDefaultFilter: true });
+    if (order && order.status !== 'Returned') {
+      await order.updateStatus('Returned', `Return ${checked.returnNumber} passed QC`);
+    }
+  }
+
+  logger.info(`Return ${checked.returnNumber} QC ${result.toLowerCase()}`);
+  return checked;
+};
+
+/**
+ * Record that the buyer's refund for a return has been paid
+ * @param {Object} returnRequest - ReturnRequest document
+ * @param {string} reference - Payment / bank reference
+ * @returns {Promise<Object>} - ReturnRequest
+ */
+export const markReturnRefunded = async (returnRequest, reference) => {
+  if (returnRequest.refund?.status !== 'Pending') {
+    throw new ReturnError('No refund is due for this return');
+  }
+  returnRequest.refund.status = 'Processed';
+  returnRequest.refund.reference = reference;
+  returnRequest.refund.processedAt = new Date();
+  returnRequest.history.push({ status: returnRequest.status, remarks: `Refund processed (${reference})`, source: 'Seller' });
+  returnRequest.updatedAt = new Date();
+  return returnRequest.save();
+};
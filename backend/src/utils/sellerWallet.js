@@ -0,0 +1,267 @@
+import Seller from '../modules/seller/models/seller.model.js';
+import WalletTransaction from '../modules/seller/models/walletTransaction.model.js';
+import Ledger from '../modules/seller/models/ledger.model.js';
+
+/**
+ * Seller wallet postings.
+ *
+ * Every posting updates Seller.walletBalance, records a WalletTransaction
+ * (shown in the seller's wallet history) and a matching Ledger entry.
+ * Bookings are prepaid: funds are held for a booking before it is made and
+ * debited from the hold once the courier has accepted it. A seller may spend
+ * their balance plus their credit limit, less what is already held.
+ * Balances are stored as strings, so every change is applied with a
+ * compare-and-set on the values read and retried if another posting got in
+ * first.
+ */
+
+const MAX_ATTEMPTS = 5;
+
+// Error raised when the wallet cannot cover a posting
+export class WalletError extends Error {
+  constructor(message, statusCode = 402) {
+    super(message);
+    this.name = 'WalletError';
+    this.statusCode = statusCode;
+  }
+}
+
+const toAmount = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+/**
+ * What the seller can still spend: balance plus credit limit, less funds on hold
+ * @param {Object} seller - Seller (walletBalance, walletHeld, creditLimit)
+ * @returns {number}
+ */
+export const getSpendableBalance = (seller) =>
+  toAmount(toAmount(seller.walletBalance) + toAmount(seller.creditLimit) - toAmount(seller.walletHeld));
+
+// Apply a change to the wallet atomically; change({ balance, held, seller }) returns the new { balance, held }
+const updateWallet = async (sellerId, change) => {
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const seller = await Seller.findById(sellerId)
+      .select('walletBalance walletHeld creditLimit gstin')
+      .setOptions({ skipDefaultFilter: true })
+      .lean();
+    if (!seller) throw new WalletError('Seller not found', 404);
+
+    const next = change({ balance: toAmount(seller.walletBalance), held: toAmount(seller.walletHeld), seller });
+    const balance = toAmount(next.balance).toFixed(2);
+    const held = Math.max(toAmount(next.held), 0).toFixed(2);
+
+    const result = await Seller.updateOne(
+      { _id: sellerId, walletBalance: seller.walletBalance ?? null, walletHeld: seller.walletHeld ?? null },
+      { $set: { walletBalance: balance, walletHeld: held, updatedAt: new Date() } }
+    );
+    if (result.modifiedCount) return { seller, balance, held };
+  }
+  throw new WalletError('Wallet is busy, please try again', 409);
+};
+
+/**
+ * GST of a posting split by place of supply: CGST and SGST when the seller's GSTIN is in the
+ * platform's state (PLATFORM_GSTIN), IGST otherwise
+ * @param {number} gst - GST amount
+ * @param {string} sellerGstin - Seller's GSTIN
+ * @returns {Object} - { igst, cgst, sgst }
+ */
+export const splitGst = (gst, sellerGstin) => {
+  const platformState = (process.env.PLATFORM_GSTIN || '').slice(0, 2);
+  if (platformState && sellerGstin?.slice(0, 2) === platformState) {
+    const cgst = toAmount(gst / 2);
+    return { igst: 0, cgst, sgst: toAmount(gst - cgst) };
+  }
+  return { igst: toAmount(gst), cgst: 0, sgst: 0 };
+};
+
+/**
+ * Hold funds for bookings about to be made
+ * @param {string} sellerId - Seller ID
+ * @param {number} amount - Amount to hold
+ * @returns {Promise<Object>} - { held: amount held, spendable: what is left to spend }
+ */
+export const holdWalletFunds = async (sellerId, amount) => {
+  const value = toAmount(amount);
+  if (value <= 0) return { held: 0 };
+
+  let spendable;
+  await updateWallet(sellerId, ({ balance, held, seller }) => {
+    spendable = getSpendableBalance(seller);
+    if (spendable < value) {
+      throw new WalletError(`Insufficient wallet balance: Rs. ${value.toFixed(2)} needed, Rs. ${spendable.toFixed(2)} available`);
+    }
+    return { balance, held: held + value };
+  });
+  return { held: value, spendable: toAmount(spendable - value) };
+};
+
+/**
+ * Give back held funds that were not used
+ * @param {string} sellerId - Seller ID
+ * @param {number} amount - Amount to release
+ * @returns {Promise<void>}
+ */
+export const releaseWalletFunds = async (sellerId, amount) => {
+  const value = toAmount(amount);
+  if (value <= 0) return;
+  await updateWallet(sellerId, ({ balance, held }) => ({ balance, held: held - value }));
+};
+
+/**
+ * Debit the seller's wallet, from funds held for it or from what the seller can spend
+ * @param {Object} debit - { sellerId, amount, gst: GST included in the amount, codCharge, fromHold,
+ *   force: post charges already incurred even past what the seller can spend,
+ *   type: WalletTransaction type, orderId, referenceNumber, remark, ledgerType: Ledger type,
+ *   transactionAgainst, metadata }
+ * @returns {Promise<Object>} - { transaction, ledger, balance }
+ */
+export const debitSellerWallet = async ({
+  sellerId,
+  amount,
+  gst = 0,
+  codCharge = 0,
+  fromHold = false,
+  force = false,
+  type = 'Debit',
+  orderId,
+  referenceNumber,
+  remark,
+  ledgerType = 'shipping_charge',
+  transactionAgainst,
+  metadata = {}
+}) => {
+  const value = toAmount(amount);
+  const { seller, balance } = await updateWallet(sellerId, ({ balance, held, seller }) => {
+    if (!fromHold && !force && getSpendableBalance(seller) < value) {
+      throw new WalletError(`Insufficient wallet balance: Rs. ${value.toFixed(2)} needed`);
+    }
+    return { balance: balance - value, held: fromHold ? held - value : held };
+  });
+
+  const taxableAmount = toAmount(value - gst);
+  const { igst, cgst, sgst } = splitGst(gst, seller.gstin);
+
+  const transaction = await WalletTransaction.create({
+    seller: sellerId,
+    orderId,
+    referenceNumber,
+    type,
+    amount: value.toFixed(2),
+    codCharge: toAmount(codCharge).toFixed(2),
+    igst: toAmount(gst).toFixed(2),
+    subTotal: taxableAmount.toFixed(2),
+    remark,
+    metadata,
+    closingBalance: balance
+  });
+
+  const ledger = await Ledger.create({
+    seller: sellerId,
+    type: ledgerType,
+    transactionBy: 'system',
+    credit: null,
+    debit: value.toFixed(2),
+    taxableAmount: taxableAmount.toFixed(2),
+    igst: igst.toFixed(2),
+    cgst: cgst.toFixed(2),
+    sgst: sgst.toFixed(2),
+    totalAmount: (-value).toFixed(2),
+    closingBalance: balance,
+    transactionAgainst: transactionAgainst || referenceNumber || String(transaction._id),
+    remark,
+    status: 'completed',
+    metadata: { ...metadata, walletTransactionId: String(transaction._id) }
+  });
+
+  return { transaction, ledger, balance };
+};
+
+/**
+ * Credit the seller's wallet
+ * @param {Object} credit - { sellerId, amount, type: WalletTransaction type, orderId, referenceNumber,
+ *   remark, ledgerType: Ledger type, transactionAgainst, metadata }
+ * @returns {Promise<Object>} - { transaction, ledger, balance }
+ */
+export const creditSellerWallet = async ({
+  sellerId,
+  amount,
+  type = 'Refund',
+  orderId,
+  referenceNumber,
+  remark,
+  ledgerType = 'refund',
+  transactionAgainst,
+  metadata = {}
+}) => {
+  const value = toAmount(amount).toFixed(2);
+  const { balance } = await updateWallet(sellerId, ({ balance, held }) => ({ balance: balance + parseFloat(value), held }));
+
+  const transaction = await WalletTransaction.create({
+    seller: sellerId,
+    orderId,
+    referenceNumber,
+    type,
+    amount: value,
+    remark,
+    metadata,
+    closingBalance: balance
+  });
+
+  const ledger = await Ledger.create({
+    seller: sellerId,
+    type: ledgerType,
+    transactionBy: 'system',
+    credit: value,
+    debit: null,
+    taxableAmount: null,
+    igst: null,
+    cgst: null,
+    sgst: null,
+    totalAmount: value,
+    closingBalance: balance,
+    transactionAgainst: transactionAgainst || referenceNumber || String(transaction._id),
+    remark,
+    status: 'completed',
+    metadata: { ...metadata, walletTransactionId: String(transaction._id) }
+  });
+
+  return { transaction, ledger, balance };
+};
+
+/**
+ * Net wallet amount debited against an order: its debits less what was refunded
+ * @param {string} sellerId - Seller ID
+ * @param {string} orderId - SellerOrder ID
+ * @returns {Promise<number>}
+ */
+export const getOrderNetDebit = async (sellerId, orderId) => {
+  const transactions = await WalletTransaction.find({
+    seller: sellerId,
+    orderId,
+    type: { $in: ['Debit', 'Refund'] }
+  }).select('type amount').lean();
+
+  const net = transactions.reduce((sum, transaction) =>
+    sum + (transaction.type === 'Debit' ? 1 : -1) * (parseFloat(transaction.amount) || 0), 0);
+  return Math.round(net * 100) / 100;
+};
+
+/**
+ * Freight still debited for a shipment: the Debit posted against its AWB when it was booked less what
+ * was refunded against it (weight dispute adjustments posted against the AWB are left out)
+ * @param {string} sellerId - Seller ID
+ * @param {string} awb - Shipment AWB
+ * @returns {Promise<number>}
+ */
+export const getAwbNetDebit = async (sellerId, awb) => {
+  const transactions = await WalletTransaction.find({
+    seller: sellerId,
+    referenceNumber: awb,
+    type: { $in: ['Debit', 'Refund'] },
+    'metadata.weightDisputeId': { $exists: false }
+  }).select('type amount').lean();
+
+  const net = transactions.reduce((sum, transaction) =>
+    sum + (transaction.type === 'Debit' ? 1 : -1) * (parseFloat(transaction.amount) || 0), 0);
+  return Math.round(net * 100) / 100;
+};
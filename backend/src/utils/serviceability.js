@@ -0,0 +1,384 @@
+import xlsx from 'xlsx';
+import PincodeServiceability, { SERVICEABILITY_SERVICES } from '../models/pincodeServiceability.model.js';
+import Pincode from '../models/pincode.model.js';
+import { getCache, setCache, deleteCache } from './redis.js';
+
+const COVERED_COURIERS_CACHE_KEY = 'serviceability_couriers';
+const COVERED_COURIERS_CACHE_TTL = 300; // 5 minutes
+const IMPORT_BATCH_SIZE = 1000;
+const MAX_REPORTED_ERRORS = 100;
+
+// Error raised when a serviceability file cannot be imported
+export class ServiceabilityError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ServiceabilityError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Couriers that have serviceability data. Couriers without any data are not restricted,
+ * so rates keep working for a courier until its file is imported.
+ * @returns {Promise<Array<string>>} - Courier codes
+ */
+export const getCoveredCouriers = async () => {
+  const cached = await getCache(COVERED_COURIERS_CACHE_KEY);
+  if (cached) return cached;
+
+  const couriers = await PincodeServiceability.distinct('courier');
+  await setCache(COVERED_COURIERS_CACHE_KEY, couriers, COVERED_COURIERS_CACHE_TTL);
+  return couriers;
+};
+
+// Must be called whenever serviceability data is imported or removed
+export const clearServiceabilityCache = () => deleteCache(COVERED_COURIERS_CACHE_KEY);
+
+// Embargoes of an entry in force at a point in time, optionally only those covering a service
+export const getActiveEmbargoes = (entry, service = null, at = new Date()) => (entry?.embargoes || []).filter(embargo =>
+  new Date(embargo.from) <= at &&
+  (!embargo.to || new Date(embargo.to) > at) &&
+  (!service || !embargo.services?.length || embargo.services.includes(service))
+);
+
+/**
+ * Reasons a courier cannot offer a service at a pincode (empty when it can)
+ * @param {Object} entry - PincodeServiceability entry (null when the pincode is not listed)
+ * @param {string} service - One of SERVICEABILITY_SERVICES
+ * @param {Date} at - Point in time for embargoes
+ * @returns {Array<string>}
+ */
+export const getServiceIssues = (entry, service, at = new Date()) => {
+  if (!entry) return ['Pincode is not serviceable'];
+  if (!entry[service]) return [`${service === 'cod' ? 'COD' : service.charAt(0).toUpperCase() + service.slice(1)} is not available`];
+
+  return getActiveEmbargoes(entry, service, at)
+    .map(embargo => `Embargo${embargo.to ? ` until ${new Date(embargo.to).toISOString().slice(0, 10)}` : ''}${embargo.reason ? `: ${embargo.reason}` : ''}`);
+};
+
+/**
+ * Serviceability entries of pincodes, grouped by pincode
+ * @param {Array<string>} pincodes - Pincodes to look up
+ * @param {Object} options - { couriers } to limit the lookup
+ * @returns {Promise<Map<string, Array>>}
+ */
+export const getPincodeServiceability = async (pincodes, { couriers } = {}) => {
+  const query = { pincode: { $in: pincodes.map(String) } };
+  if (couriers?.length) query.courier = { $in: couriers.map(code => code.toUpperCase()) };
+
+  const entries = await PincodeServiceability.find(query).lean();
+  const byPincode = new Map(pincodes.map(pincode => [String(pincode), []]));
+  entries.forEach(entry => byPincode.get(entry.pincode)?.push(entry));
+  return byPincode;
+};
+
+/**
+ * Check which couriers can carry a lane. A forward shipment needs pickup at the pickup pincode
+ * and prepaid (or COD) delivery at the delivery pincode; a reverse shipment needs reverse pickup.
+ * @param {Object} options - { pickupPincode, deliveryPincode, isCOD, isReverse, couriers, at }
+ * @returns {Promise<Object>} - { covered, couriers: { [code]: { serviceable, reasons, tat, embargoes } } }
+ */
+export const checkLaneServiceability = async ({
+  pickupPincode,
+  deliveryPincode,
+  isCOD = false,
+  isReverse = false,
+  couriers,
+  at = new Date()
+}) => {
+  const covered = await getCoveredCouriers();
+  const checked = couriers?.length ? covered.filter(code => couriers.map(c => c.toUpperCase()).includes(code)) : covered;
+
+  const result = { covered, couriers: {} };
+  if (!checked.length) return result;
+
+  const entries = await PincodeServiceability.find({
+    courier: { $in: checked },
+    pincode: { $in: [String(pickupPincode), String(deliveryPincode)] }
+  }).lean();
+  const find = (courier, pincode) => entries.find(entry => entry.courier === courier && entry.pincode === String(pincode));
+
+  for (const courier of checked) {
+    const origin = find(courier, pickupPincode);
+    const destination = find(courier, deliveryPincode);
+
+    const reasons = [
+      ...getServiceIssues(origin, isReverse ? 'reverse' : 'pickup', at).map(issue => `Pickup pincode ${pickupPincode}: ${issue}`),
+      ...getServiceIssues(destination, isCOD ? 'cod' : 'prepaid', at).map(issue => `Delivery pincode ${deliveryPincode}: ${issue}`)
+    ];
+
+    result.couriers[courier] = {
+      serviceable: reasons.length === 0,
+      reasons,
+      tat: destination?.tat || null,
+      embargoes: [...getActiveEmbargoes(origin, null, at), ...getActiveEmbargoes(destination, null, at)]
+    };
+  }
+
+  return result;
+};
+
+/**
+ * Serviceability of one courier from a lane check; couriers without data are treated as serviceable
+ * @param {Object} lane - Result of checkLaneServiceability
+ * @param {string} courier - Courier code
+ * @returns {Object} - { serviceable, reasons, tat, checked }
+ */
+export const getCourierLaneServiceability = (lane, courier) => {
+  const entry = lane.couriers[courier];
+  if (!entry) return { serviceable: true, reasons: [], tat: null, checked: false };
+  return { ...entry, checked: true };
+};
+
+// Lowest and highest TAT across couriers as e.g. '2-4 days'
+const formatTatRange = (values) => {
+  const days = values.filter(value => typeof value === 'number');
+  if (!days.length) return '';
+
+  const min = Math.min(...days);
+  const max = Math.max(...days);
+  return min === max ? `${min} day${min === 1 ? '' : 's'}` : `${min}-${max} days`;
+};
+
+/**
+ * Summarise what is available at a pincode across couriers
+ * @param {string} pincode - Pincode
+ * @param {Array} entries - Its serviceability entries
+ * @param {Object} details - Pincode collection record (for city and state)
+ * @param {Date} at - Point in time for embargoes
+ * @returns {Object}
+ */
+export const summarizePincodeServiceability = (pincode, entries, details, at = new Date()) => {
+  const available = (service) => entries.filter(entry => getServiceIssues(entry, service, at).length === 0);
+  const prepaid = available('prepaid');
+  const cod = available('cod');
+  const express = prepaid.filter(entry => typeof entry.tat?.express === 'number');
+
+  const restrictions = [];
+  if (!entries.length) {
+    restrictions.push('Not Serviceable');
+  } else {
+    if (!cod.length) restrictions.push('No COD');
+    if (!available('pickup').length) restrictions.push('No Pickup');
+    if (!available('reverse').length) restrictions.push('No Reverse Pickup');
+    entries.forEach(entry => getActiveEmbargoes(entry, null, at).forEach(embargo =>
+      restrictions.push(`${entry.courier} embargo${embargo.reason ? `: ${embargo.reason}` : ''}`)));
+  }
+
+  return {
+    pincode,
+    city: details?.district || entries[0]?.district || '',
+    state: details?.state || entries[0]?.state || '',
+    isAvailable: prepaid.length > 0 || cod.length > 0,
+    services: {
+      standard: prepaid.length > 0,
+      express: express.length > 0,
+      cod: cod.length > 0
+    },
+    deliveryTime: {
+      standard: formatTatRange(prepaid.map(entry => entry.tat?.standard)),
+      express: formatTatRange(express.map(entry => entry.tat?.express))
+    },
+    couriers: entries.map(entry => ({
+      courier: entry.courier,
+      ...SERVICEABILITY_SERVICES.reduce((services, service) => ({
+        ...services,
+        [service]: getServiceIssues(entry, service, at).length === 0
+      }), {}),
+      tat: entry.tat || null
+    })),
+    restrictions
+  };
+};
+
+// Header names used by courier files, compared without case, spaces or punctuation
+const COLUMN_ALIASES = {
+  pincode: ['pincode', 'pin', 'pincodes', 'pinno', 'pincodeno', 'destinationpincode'],
+  prepaid: ['prepaid', 'prepaiddelivery', 'delivery', 'forward', 'forwarddelivery'],
+  cod: ['cod', 'coddelivery', 'cashondelivery'],
+  pickup: ['pickup', 'forwardpickup', 'pickupavailable'],
+  reverse: ['reverse', 'reversepickup', 'rvp', 'returnpickup'],
+  tatStandard: ['tat', 'standardtat', 'tatstandard', 'surfacetat', 'tatdays'],
+  tatExpress: ['expresstat', 'tatexpress', 'airtat'],
+  embargoFrom: ['embargofrom', 'embargostart'],
+  embargoTo: ['embargoto', 'embargoend', 'embargountil'],
+  embargoServices: ['embargoservices'],
+  embargoReason: ['embargoreason', 'embargo']
+};
+
+const normalizeHeader = (header) => header.toString().toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const parseFlag = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value === 'boolean') return value;
+  return ['y', 'yes', 'true', '1', 'x', 'available', 'serviceable'].includes(value.toString().trim().toLowerCase());
+};
+
+const parseNumber = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? NaN : number;
+};
+
+const parseDate = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Turn rows of a courier serviceability file into entries
+ * @param {Array<Object>} rows - Rows keyed by the file's headers
+ * @returns {Object} - { entries, errors: [{ row, message }] }
+ */
+export const parseServiceabilityRows = (rows) => {
+  const entries = [];
+  const errors = [];
+
+  rows.forEach((row, index) => {
+    const values = {};
+    Object.entries(row).forEach(([header, value]) => {
+      const key = normalizeHeader(header);
+      const field = Object.keys(COLUMN_ALIASES).find(name => COLUMN_ALIASES[name].includes(key));
+      if (field && values[field] === undefined) values[field] = value;
+    });
+
+    // Row numbers as in the file (header is row 1)
+    const rowNumber = index + 2;
+    const pincode = (values.pincode ?? '').toString().trim();
+    if (!/^\d{6}$/.test(pincode)) {
+      errors.push({ row: rowNumber, message: `Invalid pincode "${pincode}"` });
+      return;
+    }
+
+    const entry = { pincode };
+    for (const service of SERVICEABILITY_SERVICES) {
+      const flag = parseFlag(values[service]);
+      if (flag !== undefined) entry[service] = flag;
+    }
+
+    const standard = parseNumber(values.tatStandard);
+    const express = parseNumber(values.tatExpress);
+    if (Number.isNaN(standard) || Number.isNaN(express)) {
+      errors.push({ row: rowNumber, message: 'TAT must be a number of days' });
+      return;
+    }
+    if (standard !== undefined) entry['tat.standard'] = standard;
+    if (express !== undefined) entry['tat.express'] = express;
+
+    const from = parseDate(values.embargoFrom);
+    const to = parseDate(values.embargoTo);
+    if (from === null || to === null) {
+      errors.push({ row: rowNumber, message: 'Invalid embargo date' });
+      return;
+    }
+    if (from) {
+      const services = values.embargoServices
+        ? values.embargoServices.toString().split(/[,|/]/).map(service => service.trim().toLowerCase()).filter(Boolean)
+        : [...SERVICEABILITY_SERVICES];
+      const unknown = services.filter(service => !SERVICEABILITY_SERVICES.includes(service));
+      if (unknown.length) {
+        errors.push({ row: rowNumber, message: `Unknown embargo service(s): ${unknown.join(', ')}` });
+        return;
+      }
+      entry.embargoes = [{ services, from, to: to || null, reason: values.embargoReason?.toString().trim() || undefined }];
+    } else {
+      // Re-importing a row without an embargo lifts any earlier embargo
+      entry.embargoes = [];
+    }
+
+    entries.push(entry);
+  });
+
+  return { entries, errors };
+};
+
+/**
+ * Read a CSV or XLSX serviceability file
+ * @param {Buffer|string} file - File contents, or a path
+ * @returns {Array<Object>} - Rows of the first sheet
+ */
+export const readServiceabilityFile = (file) => {
+  const workbook = Buffer.isBuffer(file)
+    ? xlsx.read(file, { type: 'buffer', cellDates: true })
+    : xlsx.readFile(file, { cellDates: true });
+  return xlsx.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { defval: '' });
+};
+
+/**
+ * Import a courier's serviceability rows. Existing entries are updated; with replace, pincodes
+ * missing from the file are removed for the courier (refused if most rows are invalid).
+ * @param {Object} options - { courier, rows, replace, source }
+ * @returns {Promise<Object>} - { courier, rows, imported, removed, unknownPincodes, errors }
+ */
+export const importServiceability = async ({ courier, rows, replace = false, source }) => {
+  const courierCode = courier.toUpperCase();
+  const { entries, errors } = parseServiceabilityRows(rows);
+
+  // A replace removes every pincode missing from the file, so a file that mostly failed to
+  // parse (wrong sheet, misspelt headers) would wipe out the courier's coverage
+  if (replace && (entries.length === 0 || errors.length > entries.length)) {
+    throw new ServiceabilityError(
+      `Replace refused: only ${entries.length} of ${rows.length} rows could be read (${errors.length} invalid). Check the sheet and its headers.`,
+      422
+    );
+  }
+
+  const importedAt = new Date();
+  let imported = 0;
+  let unknownPincodes = 0;
+
+  for (let i = 0; i < entries.length; i += IMPORT_BATCH_SIZE) {
+    const batch = entries.slice(i, i + IMPORT_BATCH_SIZE);
+
+    // District and state come from the Pincode collection
+    const details = await Pincode.find({ pincode: { $in: batch.map(entry => entry.pincode) } })
+      .select('pincode district state')
+      .lean();
+    const detailsByPincode = new Map(details.map(detail => [detail.pincode, detail]));
+
+    const result = await PincodeServiceability.bulkWrite(batch.map(entry => {
+      const detail = detailsByPincode.get(entry.pincode);
+      if (!detail) unknownPincodes++;
+
+      return {
+        updateOne: {
+          filter: { courier: courierCode, pincode: entry.pincode },
+          update: {
+            $set: {
+              ...entry,
+              ...(detail && { district: detail.district, state: detail.state }),
+              ...(source && { source }),
+              importedAt
+            }
+          },
+          upsert: true,
+          setDefaultsOnInsert: true
+        }
+      };
+    }), { ordered: false });
+
+    imported += result.upsertedCount + result.matchedCount;
+  }
+
+  let removed = 0;
+  if (replace) {
+    const { deletedCount } = await PincodeServiceability.deleteMany({
+      courier: courierCode,
+      pincode: { $nin: entries.map(entry => entry.pincode) }
+    });
+    removed = deletedCount;
+  }
+
+  await clearServiceabilityCache();
+
+  return {
+    courier: courierCode,
+    rows: rows.length,
+    imported,
+    removed,
+    unknownPincodes,
+    failed: errors.length,
+    errors: errors.slice(0, MAX_REPORTED_ERRORS)
+  };
+};
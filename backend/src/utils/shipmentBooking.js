@@ -0,0 +1,473 @@
+import SellerShipment from '../modules/seller/models/shipment.model.js';
+import SellerOrder from '../modules/seller/models/order.model.js';
+import Store from '../modules/seller/models/store.model.js';
+import { ShipmentEscalation } from '../modules/admin/models/escalation.model.js';
+import { getCourierHandler } from './courierBooking.js';
+import { allocateCourier } from './courierAllocation.js';
+import { calculateCourierRates } from './courierRates.js';
+import { getChargeableWeight } from './chargeableWeight.js';
+import { predictDeliveryDate } from './edd.js';
+import { getItemsValue } from './orderItems.js';
+import { syncOrderStock } from './inventory.js';
+import { getOrderPickupDetails } from './warehouses.js';
+import { applyShipmentUpdate } from './shipmentTracking.js';
+import { SHIPMENT_STATUS } from './shipmentStatus.js';
+import { holdWalletFunds, releaseWalletFunds, debitSellerWallet, getOrderNetDebit } from './sellerWallet.js';
+import { logger } from './logger.js';
+
+/**
+ * Prepaid courier booking of seller orders.
+ *
+ * Before an order is booked its freight is quoted on the seller's rate card
+ * for the courier and service chosen (or allocated), and the amount is held
+ * in the seller's wallet; a booking the wallet cannot cover is rejected
+ * without reaching the courier. Once the courier returns an AWB the freight
+ * is debited from the hold with a Debit wallet transaction carrying the AWB
+ * and a ledger entry with the GST split. A failed booking releases its hold;
+ * one that fails after the courier issued the AWB voids it with the courier,
+ * and if the courier will not void it the freight is debited against the
+ * live AWB and a Shipment escalation is raised for the operations team.
+ * Bulk bookings quote every order first, hold the total up front and release
+ * whatever the failed bookings did not use.
+ */
+
+// Orders that already left with a courier
+const BOOKED_STATUSES = ['Shipped', 'Delivered', 'Returned'];
+
+// Error raised when an order cannot be booked
+export class BookingError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'BookingError';
+    this.statusCode = statusCode;
+  }
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Rate card mode of a courier service type
+const toMode = (serviceType) => (['express', 'air'].includes(serviceType) ? 'air' : 'surface');
+
+// Expected delivery date of a new shipment, using the pickup cut-off of the store it leaves from
+export const predictShipmentEdd = async ({ sellerId, courier, serviceType, pickupPincode, deliveryPincode }) => {
+  const store = await Store.findOne({ seller: sellerId, pincode: pickupPincode, isActive: true }).select('pickupCutoff').lean();
+  const edd = await predictDeliveryDate({
+    courier,
+    mode: toMode(serviceType),
+    pickupPincode,
+    deliveryPincode,
+    pickupCutoff: store?.pickupCutoff
+  });
+
+  return { ...edd, predictedAt: new Date() };
+};
+
+/**
+ * Quote the freight of a booking on the seller's rate card
+ * @param {Object} shipment - { sellerId, courierCode, serviceType, weight, dimensions, pieces, pickupPincode,
+ *   deliveryPincode, isCOD, codAmount }
+ * @returns {Promise<Object>} - Rate quote (see priceCourierRate)
+ */
+export const quoteBookingFreight = async ({ courierCode, serviceType, ...shipment }) => {
+  const quotes = await calculateCourierRates({ ...shipment, couriers: [courierCode], includeUnserviceable: true });
+  const quote = quotes.find(rate => rate.mode === toMode(serviceType)) || quotes[0];
+  if (!quote) throw new BookingError(`${courierCode} has no rate on your rate card for this shipment`);
+  return quote;
+};
+
+// Freight still to debit for an order: the quote less what is already debited against it
+// (orders created before prepaid booking were charged when they were created)
+const getBookingCharge = async (sellerId, order, quote) => {
+  const paid = Math.max(await getOrderNetDebit(sellerId, order._id), 0);
+  const amount = Math.max(round2(quote.total - paid), 0);
+  const share = quote.total ? amount / quote.total : 0;
+  return {
+    amount,
+    gst: round2(quote.breakdown.gst * share),
+    codCharge: round2(quote.cod * share),
+    previouslyDebited: paid
+  };
+};
+
+/**
+ * Work out everything needed to book an order: pickup, courier, package and freight
+ * @param {Object} booking - { sellerId, order: SellerOrder document, courierCode, serviceType,
+ *   packageDetails: { weight, dimensions, pieces, declaredValue }, pickupDetails }
+ * @returns {Promise<Object>} - Booking plan for executeBooking
+ */
+const planBooking = async ({ sellerId, order, courierCode, serviceType, packageDetails, pickupDetails }) => {
+  if (BOOKED_STATUSES.includes(order.status)) {
+    throw new BookingError(`Order ${order.orderId} is already ${order.status.toLowerCase()}`, 409);
+  }
+
+  // Picked up from the order's fulfilment warehouse unless another address is given
+  const pickup = pickupDetails || await getOrderPickupDetails(order);
+  if (!pickup) throw new BookingError('Pickup details are required when the seller has no active store');
+
+  // Multi-piece shipments: one master AWB with a child AWB and label per box
+  const pieces = packageDetails.pieces?.map((piece, index) => ({
+    number: index + 1,
+    weight: piece.weight,
+    dimensions: piece.dimensions,
+    reference: `${order.orderId}-${index + 1}`
+  }));
+  const weight = pieces
+    ? pieces.reduce((total, piece) => total + Number(piece.weight), 0)
+    : packageDetails.weight;
+
+  const deliveryPincode = order.customer?.address?.pincode;
+  const isCOD = order.payment?.method === 'COD';
+  const codAmount = isCOD ? parseFloat(order.payment.total) || 0 : 0;
+  const declaredValue = packageDetails.declaredValue || getItemsValue(order.items);
+  const shipment = {
+    sellerId,
+    weight,
+    dimensions: packageDetails.dimensions,
+    pieces,
+    pickupPincode: pickup.address.pincode,
+    deliveryPincode,
+    isCOD,
+    codAmount
+  };
+
+  // No courier chosen: use the top courier from the seller's allocation rules
+  let quote;
+  if (!courierCode) {
+    const allocation = await allocateCourier({ ...shipment, orderValue: declaredValue });
+    if (!allocation.recommended) throw new BookingError('No eligible courier found for this shipment');
+
+    courierCode = allocation.recommended.courierCode;
+    serviceType = serviceType || allocation.recommended.mode;
+    quote = allocation.recommended.quote;
+  }
+
+  const courierHandler = await getCourierHandler(courierCode);
+  if (!courierHandler) throw new BookingError(`Invalid or unavailable courier: ${courierCode}`);
+  if (pieces && !courierHandler.bookMultiPieceShipment) {
+    throw new BookingError(`${courierCode} does not support multi-piece shipments`);
+  }
+
+  quote = quote || await quoteBookingFreight({ ...shipment, courierCode, serviceType });
+  const charge = await getBookingCharge(sellerId, order, quote);
+
+  return { sellerId, order, courierCode, serviceType, courierHandler, pickup, shipment, declaredValue, quote, charge };
+};
+
+/**
+ * Charge the freight held for a booking the courier would not void against its live AWB, and
+ * raise a Shipment escalation so the operations team can void or track it
+ * @param {Object} plan - From planBooking
+ * @param {string} awb - AWB the courier issued
+ * @param {Object} sellerShipment - SellerShipment if it was created
+ * @param {Error} voidError - Why the AWB could not be voided
+ * @returns {Promise<void>}
+ */
+const settleUnvoidedBooking = async (plan, awb, sellerShipment, voidError) => {
+  const { sellerId, order, courierCode, charge } = plan;
+
+  if (!plan.debited && charge.amount > 0) {
+    try {
+      await debitSellerWallet({
+        sellerId,
+        amount: charge.amount,
+        gst: charge.gst,
+        codCharge: charge.codCharge,
+        fromHold: true,
+        orderId: order._id,
+        referenceNumber: awb,
+        remark: `Shipping charge for ${courierCode} shipment ${awb} (order ${order.orderId}), live with the courier after a failed booking`,
+        transactionAgainst: awb,
+        metadata: { shipmentId: sellerShipment ? String(sellerShipment._id) : '', courier: courierCode, orderId: order.orderId }
+      });
+      plan.debited = true;
+    } catch (error) {
+      logger.error(`Freight for live AWB ${awb} not debited; Rs. ${charge.amount} stays held for order ${order.orderId}: ${error.message}`);
+    }
+  }
+
+  const held = !plan.debited && charge.amount > 0;
+  try {
+    await ShipmentEscalation.create({
+      referenceId: awb,
+      description: `${courierCode} AWB ${awb} for order ${order.orderId} is live but the booking failed and the courier could not void it (${voidError.message}). ` +
+        (held
+          ? `Rs. ${charge.amount} is still held in the seller's wallet.`
+          : `The freight was debited against the AWB.`),
+      category: 'Unvoided Booking',
+      priority: 'High',
+      isUrgent: true,
+      escalationType: 'Shipment',
+      seller: { id: sellerId },
+      shipment: { orderId: order.orderId, awb, courier: courierCode, amount: String(charge.amount) },
+      dueDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+      statusHistory: [{ status: 'Pending', remarks: 'Raised automatically for an AWB that could not be voided' }]
+    });
+  } catch (error) {
+    logger.error(`Escalation for live AWB ${awb} (order ${order.orderId}) not raised: ${error.message}`);
+  }
+};
+
+/**
+ * Void an AWB the courier issued when the booking could not be recorded or charged, so
+ * nothing ships unpaid. If the courier cannot void it, plan.voidFailed is set and the
+ * booking is settled by settleUnvoidedBooking.
+ * @param {Object} plan - From planBooking
+ * @param {string} awb - AWB the courier issued
+ * @param {Object} sellerShipment - SellerShipment if it was created
+ * @param {Error} error - Why the booking could not be completed
+ * @returns {Promise<void>}
+ */
+const voidUnrecordedBooking = async (plan, awb, sellerShipment, error) => {
+  const { courierCode, courierHandler } = plan;
+  logger.error(`${courierCode} booking ${awb} (order ${plan.order.orderId}) could not be recorded or charged: ${error.message}`);
+
+  let response;
+  try {
+    if (!courierHandler.cancelShipment) throw new Error(`${courierCode} cannot cancel shipments via API`);
+    response = await courierHandler.cancelShipment(awb);
+    if (!response?.success) throw new Error(response?.error || 'unknown error');
+  } catch (voidError) {
+    plan.voidFailed = true;
+    logger.error(`AWB ${awb} is live with ${courierCode} for order ${plan.order.orderId}. Void failed: ${voidError.message}`);
+    await settleUnvoidedBooking(plan, awb, sellerShipment, voidError);
+    return;
+  }
+
+  if (!sellerShipment) return;
+  try {
+    const reason = `Booking could not be completed: ${error.message}`;
+    sellerShipment.cancellation = {
+      reason,
+      source: 'System',
+      cancelledAt: new Date(),
+      courierVoided: true,
+      courierReference: response.referenceId
+    };
+    await applyShipmentUpdate(sellerShipment, {
+      status: SHIPMENT_STATUS.CANCELLED,
+      description: `Shipment cancelled: ${reason}`
+    }, { source: 'System' });
+  } catch (updateError) {
+    logger.error(`Voided shipment ${awb} not marked cancelled: ${updateError.message}`);
+  }
+};
+
+/**
+ * Book a planned order with its courier and debit the freight from the funds held for it
+ * @param {Object} plan - From planBooking
+ * @returns {Promise<Object>} - { shipment, booking, charge }
+ */
+const executeBooking = async (plan) => {
+  const { sellerId, order, courierCode, serviceType, courierHandler, pickup, shipment, quote, charge } = plan;
+  const { customer = {} } = order;
+
+  const shipmentDetails = {
+    referenceNumber: order.orderId,
+    serviceType,
+    weight: shipment.weight,
+    dimensions: shipment.dimensions,
+    pieces: shipment.pieces,
+    declaredValue: plan.declaredValue,
+    cod: shipment.isCOD,
+    codAmount: shipment.codAmount,
+    consignee: {
+      name: customer.name,
+      phone: customer.phone,
+      email: customer.email,
+      address: {
+        line1: customer.address?.street,
+        line2: '',
+        city: customer.address?.city,
+        state: customer.address?.state,
+        pincode: customer.address?.pincode,
+        country: customer.address?.country || 'India'
+      }
+    },
+    shipper: {
+      name: pickup.name,
+      phone: pickup.phone,
+      email: pickup.email,
+      address: {
+        line1: pickup.address.street,
+        line2: pickup.address.landmark || '',
+        city: pickup.address.city,
+        state: pickup.address.state,
+        pincode: pickup.address.pincode,
+        country: pickup.address.country || 'India'
+      }
+    }
+  };
+
+  const bookingResponse = shipment.pieces
+    ? await courierHandler.bookMultiPieceShipment(shipmentDetails)
+    : await courierHandler.bookShipment(shipmentDetails);
+
+  if (!bookingResponse.success) {
+    throw new BookingError(bookingResponse.error || 'Failed to book shipment');
+  }
+
+  // The courier has accepted: from here the booking is recorded and charged, or voided
+  let sellerShipment;
+  let balance;
+  try {
+    if (shipment.pieces && bookingResponse.childAwbs?.length !== shipment.pieces.length) {
+      throw new BookingError(`${courierCode} did not return a child AWB for every piece`);
+    }
+
+    // The AWB is live now, so a failed EDD or chargeable weight does not stop the shipment being recorded
+    const edd = await predictShipmentEdd({
+      sellerId,
+      courier: courierCode,
+      serviceType,
+      pickupPincode: pickup.address.pincode,
+      deliveryPincode: shipment.deliveryPincode
+    }).catch(error => {
+      logger.warn(`EDD not predicted for ${courierCode} shipment ${bookingResponse.awb}: ${error.message}`);
+      return undefined;
+    });
+    const weights = await getChargeableWeight(courierCode, edd?.mode || 'surface', {
+      weight: shipment.weight,
+      dimensions: shipment.dimensions,
+      pieces: shipment.pieces
+    }).catch(error => {
+      logger.warn(`Chargeable weight not worked out for ${courierCode} shipment ${bookingResponse.awb}: ${error.message}`);
+      return {};
+    });
+
+    sellerShipment = await SellerShipment.create({
+      seller: sellerId,
+      orderId: order._id,
+      courier: courierCode,
+      awb: bookingResponse.awb,
+      pickupDate: new Date(),
+      status: 'Booked',
+      channel: 'API',
+      weight: shipment.weight,
+      dimensions: shipment.dimensions,
+      pieces: shipment.pieces?.map((piece, index) => ({
+        number: piece.number,
+        awb: bookingResponse.childAwbs[index],
+        weight: piece.weight,
+        dimensions: piece.dimensions
+      })),
+      chargeableWeight: weights.chargeableWeight,
+      shippingCharge: quote.total,
+      routingCode: bookingResponse.routingCode,
+      pickupAddress: {
+        name: pickup.name,
+        phone: pickup.phone,
+        street: [pickup.address.street, pickup.address.landmark].filter(Boolean).join(', '),
+        city: pickup.address.city,
+        state: pickup.address.state,
+        pincode: pickup.address.pincode
+      },
+      edd,
+      trackingHistory: [{
+        status: 'Booked',
+        timestamp: new Date(),
+        description: 'Shipment booked successfully',
+        location: 'System'
+      }]
+    });
+
+    if (charge.amount > 0) {
+      ({ balance } = await debitSellerWallet({
+        sellerId,
+        amount: charge.amount,
+        gst: charge.gst,
+        codCharge: charge.codCharge,
+        fromHold: true,
+        orderId: order._id,
+        referenceNumber: bookingResponse.awb,
+        remark: `Shipping charge for ${courierCode} shipment ${bookingResponse.awb} (order ${order.orderId})`,
+        transactionAgainst: bookingResponse.awb,
+        metadata: { shipmentId: String(sellerShipment._id), courier: courierCode, orderId: order.orderId }
+      }));
+    }
+    plan.debited = true;
+  } catch (error) {
+    await voidUnrecordedBooking(plan, bookingResponse.awb, sellerShipment, error);
+    throw error;
+  }
+
+  order.awb = bookingResponse.awb;
+  order.courier = courierCode;
+  await order.updateStatus('Shipped', `Booked with ${courierCode}, AWB ${bookingResponse.awb}`);
+  await syncOrderStock(order);
+
+  return {
+    shipment: sellerShipment,
+    booking: {
+      awb: bookingResponse.awb,
+      childAwbs: bookingResponse.childAwbs,
+      trackingUrl: bookingResponse.trackingUrl,
+      label: bookingResponse.label,
+      manifest: bookingResponse.manifest
+    },
+    charge: { ...charge, freight: quote.total, breakdown: quote.breakdown, balance }
+  };
+};
+
+/**
+ * Book an order with a courier, prepaid from the seller's wallet
+ * @param {Object} booking - { sellerId, order: SellerOrder document, courierCode, serviceType, packageDetails, pickupDetails }
+ * @returns {Promise<Object>} - { shipment, booking, charge }
+ */
+export const bookOrderShipment = async (booking) => {
+  const plan = await planBooking(booking);
+  await holdWalletFunds(booking.sellerId, plan.charge.amount);
+
+  try {
+    return await executeBooking(plan);
+  } catch (error) {
+    if (!plan.debited && !plan.voidFailed) await releaseWalletFunds(booking.sellerId, plan.charge.amount);
+    throw error;
+  }
+};
+
+/**
+ * Book many orders, holding the freight of all of them up front
+ * @param {Object} params - { sellerId, bookings: [{ orderId, courierCode, serviceType, packageDetails, pickupDetails }] }
+ * @returns {Promise<Object>} - { booked: [{ orderId, shipment, booking, charge }], failed: [{ orderId, error }], held, charged, released }
+ */
+export const bulkBookOrderShipments = async ({ sellerId, bookings }) => {
+  const failed = [];
+  const plans = [];
+
+  // Quote every order before holding anything
+  for (const booking of bookings) {
+    try {
+      const order = await SellerOrder.findOne({ _id: booking.orderId, seller: sellerId });
+      if (!order) throw new BookingError('Order not found or does not belong to you', 404);
+      plans.push(await planBooking({ ...booking, sellerId, order }));
+    } catch (error) {
+      failed.push({ orderId: booking.orderId, error: error.message });
+    }
+  }
+
+  const held = round2(plans.reduce((total, plan) => total + plan.charge.amount, 0));
+  await holdWalletFunds(sellerId, held);
+
+  const booked = [];
+  let charged = 0;
+  // Held for bookings live with the courier that could neither be voided nor charged (see their escalation)
+  let kept = 0;
+  try {
+    for (const plan of plans) {
+      try {
+        const result = await executeBooking(plan);
+        charged = round2(charged + plan.charge.amount);
+        booked.push({ orderId: String(plan.order._id), ...result });
+      } catch (error) {
+        if (plan.debited) charged = round2(charged + plan.charge.amount);
+        else if (plan.voidFailed) kept = round2(kept + plan.charge.amount);
+        logger.error(`Bulk booking of order ${plan.order.orderId} failed: ${error.message}`);
+        failed.push({ orderId: String(plan.order._id), error: error.message });
+      }
+    }
+  } finally {
+    await releaseWalletFunds(sellerId, round2(held - charged - kept));
+  }
+
+  return { booked, failed, held, charged, released: round2(held - charged - kept) };
+};
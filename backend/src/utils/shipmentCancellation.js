@@ -0,0 +1,178 @@
+import SellerOrder from '../modules/seller/models/order.model.js';
+import SellerShipment from '../modules/seller/models/shipment.model.js';
+import { getCourierHandler } from './courierBooking.js';
+import { applyShipmentUpdate } from './shipmentTracking.js';
+import { creditSellerWallet, getOrderNetDebit, getAwbNetDebit } from './sellerWallet.js';
+import { SHIPMENT_STATUS, normalizeStatus } from './shipmentStatus.js';
+import { syncOrderStock } from './inventory.js';
+import { logger } from './logger.js';
+
+/**
+ * Seller shipment cancellation.
+ *
+ * The cancellation is claimed on the shipment first, so concurrent requests
+ * cancel it once. The AWB is then voided with the courier (adapters with the
+ * cancel capability); only when the courier accepts is the shipment moved to
+ * Cancelled and the freight debited against its AWB refunded to the seller's
+ * wallet. Shipments the courier has already picked up cannot be cancelled.
+ */
+
+// Statuses in which the courier has not picked the shipment up yet
+export const CANCELLABLE_STATUSES = [SHIPMENT_STATUS.BOOKED, SHIPMENT_STATUS.PENDING_PICKUP];
+
+// A claim older than this was left by a request that never finished and may be taken over
+const CLAIM_TIMEOUT_MS = 15 * 60 * 1000;
+
+// Error raised when a shipment cannot be cancelled
+export class ShipmentCancellationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ShipmentCancellationError';
+  }
+}
+
+// Void the AWB with the courier; couriers without the capability are cancelled locally
+const voidWithCourier = async (shipment) => {
+  const handler = shipment.courier ? await getCourierHandler(shipment.courier) : null;
+  if (!handler?.cancelShipment) {
+    logger.warn(`Courier ${shipment.courier || 'unknown'} cannot cancel ${shipment.awb} via API; cancelling locally`);
+    return { voided: false, referenceId: null };
+  }
+
+  const response = await handler.cancelShipment(shipment.awb);
+  if (!response?.success) {
+    throw new ShipmentCancellationError(`${shipment.courier} could not cancel ${shipment.awb}: ${response?.error || 'unknown error'}`);
+  }
+  return { voided: true, referenceId: response.referenceId || null };
+};
+
+/**
+ * Refund what is still debited from the seller's wallet for an order
+ * @param {Object} order - { sellerId, orderId, reference: AWB or order number, remark, metadata }
+ * @returns {Promise<Object|null>} - { amount, transactionId, balance }, null when nothing is owed
+ */
+export const refundOrderFreight = async ({ sellerId, orderId, reference, remark, metadata = {} }) => {
+  const amount = await getOrderNetDebit(sellerId, orderId);
+  if (amount <= 0) return null;
+
+  const { transaction, balance } = await creditSellerWallet({
+    sellerId,
+    amount,
+    type: 'Refund',
+    orderId,
+    referenceNumber: reference,
+    remark,
+    ledgerType: 'reversal',
+    transactionAgainst: reference,
+    metadata
+  });
+
+  return { amount: transaction.amount, transactionId: transaction._id, balance };
+};
+
+// Refund the freight still debited against the shipment's AWB
+const refundAwbFreight = async (shipment) => {
+  const amount = await getAwbNetDebit(shipment.seller, shipment.awb);
+  if (amount <= 0) return null;
+
+  const { transaction, balance } = await creditSellerWallet({
+    sellerId: shipment.seller,
+    amount,
+    type: 'Refund',
+    orderId: shipment.orderId,
+    referenceNumber: shipment.awb,
+    remark: `Shipping charge refunded for cancelled shipment ${shipment.awb}`,
+    ledgerType: 'reversal',
+    transactionAgainst: shipment.awb,
+    metadata: { shipmentId: String(shipment._id), courier: shipment.courier || '' }
+  });
+
+  return { amount: transaction.amount, transactionId: transaction._id, balance };
+};
+
+// Claim the cancellation of a shipment that has not been picked up; null when another request holds it
+const claimCancellation = (shipment, { reason, source }) => SellerShipment.findOneAndUpdate(
+  {
+    _id: shipment._id,
+    status: { $in: CANCELLABLE_STATUSES },
+    $or: [
+      { 'cancellation.cancelledAt': { $exists: false } },
+      { 'cancellation.cancelledAt': null },
+      { 'cancellation.cancelledAt': { $lt: new Date(Date.now() - CLAIM_TIMEOUT_MS) } }
+    ]
+  },
+  { $set: { cancellation: { reason, source, cancelledAt: new Date() } } },
+  { new: true }
+).lean();
+
+// Explain why a shipment could not be claimed
+const unclaimableError = async (shipment) => {
+  const current = await SellerShipment.findById(shipment._id).select('status').lean();
+  const status = normalizeStatus(current?.status) || current?.status;
+  if (status === SHIPMENT_STATUS.CANCELLED) {
+    return new ShipmentCancellationError('Shipment is already cancelled');
+  }
+  if (!CANCELLABLE_STATUSES.includes(status)) {
+    return new ShipmentCancellationError(`Shipment cannot be cancelled once picked up (status: ${status})`);
+  }
+  return new ShipmentCancellationError('Shipment is already being cancelled');
+};
+
+// Put the order back to Processing so it can be booked again
+const releaseOrder = async (shipment) => {
+  const order = await SellerOrder.findById(shipment.orderId).setOptions({ skipDefaultFilter: true });
+  if (!order || order.status === 'Cancelled') return;
+
+  if (order.awb === shipment.awb) order.awb = undefined;
+  await order.updateStatus('Processing', `Shipment ${shipment.awb} cancelled`);
+  await syncOrderStock(order);
+};
+
+/**
+ * Cancel a seller shipment with the courier and refund its freight
+ * @param {Object} shipment - SellerShipment document
+ * @param {Object} options - { reason, source: label for the history entry, releaseOrder: move the order back to Processing }
+ * @returns {Promise<Object>} - { shipment, courier: { voided, referenceId }, refund: { amount, transactionId, balance } | null }
+ */
+export const cancelShipment = async (shipment, { reason, source = 'Seller', releaseOrder: release = true } = {}) => {
+  const claimed = await claimCancellation(shipment, { reason, source });
+  if (!claimed) throw await unclaimableError(shipment);
+
+  let courier;
+  try {
+    courier = await voidWithCourier(shipment);
+  } catch (error) {
+    // Give the claim back so the cancellation can be tried again
+    await SellerShipment.updateOne(
+      { _id: shipment._id, 'cancellation.cancelledAt': claimed.cancellation.cancelledAt },
+      { $unset: { cancellation: '' } }
+    );
+    throw error;
+  }
+
+  shipment.cancellation = {
+    ...claimed.cancellation,
+    courierVoided: courier.voided,
+    courierReference: courier.referenceId
+  };
+  await applyShipmentUpdate(shipment, {
+    status: SHIPMENT_STATUS.CANCELLED,
+    description: reason ? `Shipment cancelled: ${reason}` : 'Shipment cancelled'
+  }, { strict: true, source });
+
+  // A reverse pickup carries no freight of its own and leaves the delivered order as it is
+  if (shipment.direction === 'reverse') {
+    return { shipment, courier, refund: null };
+  }
+
+  const refund = await refundAwbFreight(shipment);
+  if (refund) {
+    shipment.cancellation.refundAmount = refund.amount;
+    shipment.cancellation.refundTransaction = refund.transactionId;
+    await shipment.save();
+  }
+
+  if (release) await releaseOrder(shipment);
+
+  return { shipment, courier, refund };
+};
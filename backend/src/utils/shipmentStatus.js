@@ -0,0 +1,233 @@
+/**
+ * Canonical shipment status vocabulary and state machine.
+ *
+ * Courier adapters translate their own status strings/codes into these values
+ * (see `statusMap` in each adapter). Seller shipments store them directly;
+ * seller and customer orders derive their own status from them.
+ */
+
+export const SHIPMENT_STATUS = {
+  BOOKED: 'Booked',
+  PENDING_PICKUP: 'Pending Pickup',
+  PICKED_UP: 'Picked Up',
+  IN_TRANSIT: 'In Transit',
+  OUT_FOR_DELIVERY: 'Out for Delivery',
+  DELIVERED: 'Delivered',
+  NDR: 'NDR',
+  RTO_INITIATED: 'RTO Initiated',
+  RTO_IN_TRANSIT: 'RTO In Transit',
+  RTO_DELIVERED: 'RTO Delivered',
+  CANCELLED: 'Cancelled',
+  EXCEPTION: 'Exception',
+  LOST: 'Lost'
+};
+
+export const SHIPMENT_STATUSES = Object.values(SHIPMENT_STATUS);
+
+// Statuses after which a shipment never moves again
+export const TERMINAL_STATUSES = [
+  SHIPMENT_STATUS.DELIVERED,
+  SHIPMENT_STATUS.RTO_DELIVERED,
+  SHIPMENT_STATUS.CANCELLED,
+  SHIPMENT_STATUS.LOST
+];
+
+const S = SHIPMENT_STATUS;
+
+// Allowed next statuses for every non-terminal status
+const TRANSITIONS = {
+  [S.BOOKED]: [S.PENDING_PICKUP, S.PICKED_UP, S.IN_TRANSIT, S.CANCELLED, S.EXCEPTION],
+  [S.PENDING_PICKUP]: [S.PICKED_UP, S.IN_TRANSIT, S.CANCELLED, S.EXCEPTION],
+  [S.PICKED_UP]: [S.IN_TRANSIT, S.OUT_FOR_DELIVERY, S.RTO_INITIATED, S.EXCEPTION, S.LOST],
+  [S.IN_TRANSIT]: [S.OUT_FOR_DELIVERY, S.DELIVERED, S.NDR, S.RTO_INITIATED, S.EXCEPTION, S.LOST],
+  [S.OUT_FOR_DELIVERY]: [S.IN_TRANSIT, S.DELIVERED, S.NDR, S.RTO_INITIATED, S.EXCEPTION, S.LOST],
+  [S.NDR]: [S.IN_TRANSIT, S.OUT_FOR_DELIVERY, S.DELIVERED, S.RTO_INITIATED, S.EXCEPTION, S.LOST],
+  [S.RTO_INITIATED]: [S.RTO_IN_TRANSIT, S.RTO_DELIVERED, S.EXCEPTION, S.LOST],
+  [S.RTO_IN_TRANSIT]: [S.RTO_DELIVERED, S.EXCEPTION, S.LOST],
+  [S.EXCEPTION]: [
+    S.PENDING_PICKUP, S.PICKED_UP, S.IN_TRANSIT, S.OUT_FOR_DELIVERY, S.DELIVERED,
+    S.NDR, S.RTO_INITIATED, S.RTO_IN_TRANSIT, S.RTO_DELIVERED, S.CANCELLED, S.LOST
+  ]
+};
+
+// Status strings used before the canonical vocabulary existed
+const LEGACY_ALIASES = {
+  'in-transit': S.IN_TRANSIT,
+  'returned': S.RTO_DELIVERED,
+  'failed': S.NDR,
+  'undelivered': S.NDR,
+  'rto': S.RTO_INITIATED,
+  'processing': S.PENDING_PICKUP
+};
+
+// Generic keyword fallback when a courier table has no entry (checked in order)
+const KEYWORD_RULES = [
+  [/rto.*deliver|return.*deliver|returned to (origin|shipper|seller)/, S.RTO_DELIVERED],
+  [/rto.*transit|return.*transit/, S.RTO_IN_TRANSIT],
+  [/\brto\b|return to origin|returned/, S.RTO_INITIATED],
+  [/out for delivery|dispatched|ofd/, S.OUT_FOR_DELIVERY],
+  [/undeliver|not delivered|delivery failed|failed delivery|delivery attempt|\bndr\b/, S.NDR],
+  [/deliver/, S.DELIVERED],
+  [/cancel/, S.CANCELLED],
+  [/\blost\b/, S.LOST],
+  [/(?<!not )picked|pickup complete|pickup done/, S.PICKED_UP],
+  [/pickup|not picked|manifest/, S.PENDING_PICKUP],
+  [/transit|hub|arrived|departed|connected|bagged|in-scan|outscan/, S.IN_TRANSIT],
+  [/book|created/, S.BOOKED],
+  [/damage|hold|exception|misroute/, S.EXCEPTION]
+];
+
+/**
+ * Resolve a status string to its canonical value
+ * @param {string} status - Canonical status or a legacy alias
+ * @returns {string|null} - Canonical status, or null if unknown
+ */
+export const normalizeStatus = (status) => {
+  if (!status) return null;
+
+  const value = status.toString().trim();
+  const canonical = SHIPMENT_STATUSES.find(s => s.toLowerCase() === value.toLowerCase());
+
+  return canonical || LEGACY_ALIASES[value.toLowerCase()] || null;
+};
+
+/**
+ * Translate a courier's raw status/code into the canonical vocabulary
+ * @param {Object} raw - { status, code } as reported by the courier
+ * @param {Object} statusMap - Courier table ({ codes: {}, statuses: {} })
+ * @returns {string|null} - Canonical status, or null if it cannot be mapped
+ */
+export const mapCourierStatus = ({ status, code } = {}, statusMap = {}) => {
+  const codes = statusMap.codes || {};
+  const statuses = statusMap.statuses || {};
+
+  if (code && codes[code.toString().trim().toUpperCase()]) {
+    return codes[code.toString().trim().toUpperCase()];
+  }
+
+  if (!status) return null;
+
+  const text = status.toString().trim().toLowerCase();
+  if (statuses[text]) {
+    return statuses[text];
+  }
+
+  const canonical = normalizeStatus(text);
+  if (canonical) return canonical;
+
+  const rule = KEYWORD_RULES.find(([pattern]) => pattern.test(text));
+  return rule ? rule[1] : null;
+};
+
+/**
+ * Check whether a status is terminal
+ * @param {string} status - Canonical status
+ * @returns {boolean}
+ */
+export const isTerminalStatus = (status) => TERMINAL_STATUSES.includes(normalizeStatus(status));
+
+/**
+ * Check whether a shipment may move between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+export const canTransition = (from, to) => {
+  const current = normalizeStatus(from);
+  const next = normalizeStatus(to);
+
+  if (!next) return false;
+  if (!current || current === next) return true;
+
+  return (TRANSITIONS[current] || []).includes(next);
+};
+
+/**
+ * Seller order status implied by a shipment status
+ * @param {string} status - Canonical shipment status
+ * @returns {string|null} - SellerOrder status, or null to leave the order unchanged
+ */
+export const toSellerOrderStatus = (status) => {
+  switch (normalizeStatus(status)) {
+    case S.BOOKED:
+    case S.PENDING_PICKUP:
+    case S.PICKED_UP:
+    case S.IN_TRANSIT:
+    case S.OUT_FOR_DELIVERY:
+    case S.NDR:
+    case S.RTO_INITIATED:
+    case S.RTO_IN_TRANSIT:
+      return 'Shipped';
+    case S.DELIVERED:
+      return 'Delivered';
+    case S.RTO_DELIVERED:
+      return 'Returned';
+    default:
+      return null;
+  }
+};
+
+/**
+ * Customer order status implied by a shipment status
+ * @param {string} status - Canonical shipment status
+ * @returns {string|null} - Customer Order status, or null to leave the order unchanged
+ */
+export const toCustomerOrderStatus = (status) => {
+  switch (normalizeStatus(status)) {
+    case S.BOOKED:
+      return 'Booked';
+    case S.PENDING_PICKUP:
+      return 'Processing';
+    case S.PICKED_UP:
+    case S.IN_TRANSIT:
+      return 'In Transit';
+    case S.OUT_FOR_DELIVERY:
+      return 'Out for Delivery';
+    case S.DELIVERED:
+      return 'Delivered';
+    case S.NDR:
+    case S.RTO_INITIATED:
+    case S.RTO_IN_TRANSIT:
+    case S.RTO_DELIVERED:
+    case S.LOST:
+      return 'Failed';
+    case S.CANCELLED:
+      return 'Cancelled';
+    default:
+      return null;
+  }
+};
+
+/**
+ * Seller NDR status implied by a shipment status
+ * @param {string} status - Canonical shipment status
+ * @returns {string|null} - NDR status, or null to leave the NDR unchanged
+ */
+export const toNDRStatus = (status) => {
+  switch (normalizeStatus(status)) {
+    case S.OUT_FOR_DELIVERY:
+      return 'In Progress';
+    case S.DELIVERED:
+      return 'Resolved';
+    case S.RTO_INITIATED:
+    case S.RTO_IN_TRANSIT:
+      return 'RTO Initiated';
+    case S.RTO_DELIVERED:
+      return 'RTO Completed';
+    default:
+      return null;
+  }
+};
+
+export default {
+  SHIPMENT_STATUS,
+  SHIPMENT_STATUSES,
+  TERMINAL_STATUSES,
+  normalizeStatus,
+  mapCourierStatus,
+  isTerminalStatus,
+  canTransition,
+  toSellerOrderStatus,
+  toCustomerOrderStatus,
+  toNDRStatus
+};
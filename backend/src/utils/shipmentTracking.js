@@ -0,0 +1,468 @@
+import SellerShipment from '../modules/seller/models/shipment.model.js';
+import SellerOrder from '../modules/seller/models/order.model.js';
+import NDR from '../modules/seller/models/ndr.model.js';
+import Order from '../modules/customer/models/order.model.js';
+import Pickup from '../modules/seller/models/pickup.model.js';
+import ReturnRequest from '../modules/seller/models/returnRequest.model.js';
+import {
+  SHIPMENT_STATUS,
+  TERMINAL_STATUSES,
+  normalizeStatus,
+  canTransition,
+  toSellerOrderStatus,
+  toCustomerOrderStatus,
+  toNDRStatus
+} from './shipmentStatus.js';
+import { emitEvent, EVENT_TYPES } from './eventEmitter.js';
+import { logger } from './logger.js';
+import { syncOrderStock } from './inventory.js';
+import { setNDRStatus, recordFailedDeliveryAttempts, OPEN_NDR_STATUSES } from './ndr.js';
+import { sendNDRBuyerLink } from './ndrBuyerLinks.js';
+import { io } from '../server.js';
+
+// Shipments a failed delivery attempt no longer opens an NDR for
+const NO_NDR_STATUSES = [...TERMINAL_STATUSES, SHIPMENT_STATUS.RTO_INITIATED, SHIPMENT_STATUS.RTO_IN_TRANSIT];
+
+/**
+ * Single entry point for shipment status changes.
+ *
+ * Every tracking source (seller actions, courier tracking API, courier
+ * webhooks) goes through here so the shipment, its parent order and any
+ * open NDR are updated together and only along valid transitions.
+ *
+ * A tracking update looks like:
+ *   {
+ *     status,            // canonical status (see shipmentStatus.js), optional
+ *     rawStatus,         // courier's own status string
+ *     location,
+ *     description,
+ *     timestamp,
+ *     trackingHistory    // [{ status, rawStatus, statusCode, timestamp, location, description }]
+ *   }
+ */
+
+// Error raised when a status change is not allowed by the state machine
+export class InvalidTransitionError extends Error {
+  constructor(from, to) {
+    super(`Invalid status transition from ${from} to ${to}`);
+    this.name = 'InvalidTransitionError';
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Merge new tracking events into an existing history, skipping duplicates
+ * (same timestamp and status), newest first
+ * @param {Array} history - Existing tracking events
+ * @param {Array} events - Incoming tracking events
+ * @returns {number} - Number of events added
+ */
+export const mergeTrackingEvents = (history, events = []) => {
+  let added = 0;
+
+  events.forEach(event => {
+    const timestamp = new Date(event.timestamp || Date.now());
+    const existingEvent = history.find(
+      e => new Date(e.timestamp).getTime() === timestamp.getTime() && e.status === event.status
+    );
+
+    if (!existingEvent) {
+      history.push({
+        status: event.status,
+        rawStatus: event.rawStatus,
+        statusCode: event.statusCode,
+        timestamp,
+        description: event.description || event.statusDetail,
+        location: event.location
+      });
+      added++;
+    }
+  });
+
+  history.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  return added;
+};
+
+// Identity of a tracking event, as used to skip duplicates
+const eventKey = (event) => `${new Date(event.timestamp).getTime()}|${event.status}`;
+
+// Latest canonical status reported by an update (explicit status wins over history)
+const resolveTargetStatus = (update) => {
+  const explicit = normalizeStatus(update.status);
+  if (explicit) return explicit;
+
+  const latest = [...(update.trackingHistory || [])]
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+    .find(event => normalizeStatus(event.status));
+
+  return latest ? normalizeStatus(latest.status) : null;
+};
+
+/**
+ * Apply a tracking update to a seller shipment, its order and its NDR
+ * @param {Object} shipment - SellerShipment document
+ * @param {Object} update - Tracking update
+ * @param {Object} options - { strict: throw on invalid transitions, source: label for the history entry }
+ * @returns {Promise<Object>} - { shipment, previousStatus, status, changed, rejected, eventsAdded }
+ */
+export const applyShipmentUpdate = async (shipment, update, options = {}) => {
+  const { strict = false, source = 'Courier' } = options;
+  const previousStatus = normalizeStatus(shipment.status) || shipment.status;
+  const targetStatus = resolveTargetStatus(update);
+
+  const events = [...(update.trackingHistory || [])];
+  const knownEvents = new Set(shipment.trackingHistory.map(eventKey));
+  const eventsAdded = mergeTrackingEvents(shipment.trackingHistory, events);
+
+  let changed = false;
+  let rejected = false;
+
+  if (targetStatus && targetStatus !== previousStatus) {
+    if (canTransition(previousStatus, targetStatus)) {
+      shipment.status = targetStatus;
+      changed = true;
+
+      // Record the change itself when the courier did not send a matching event
+      if (!events.some(event => normalizeStatus(event.status) === targetStatus)) {
+        mergeTrackingEvents(shipment.trackingHistory, [{
+          status: targetStatus,
+          rawStatus: update.rawStatus,
+          timestamp: update.timestamp || new Date(),
+          description: update.description || `Status updated to ${targetStatus}`,
+          location: update.location || source
+        }]);
+      }
+
+      if (targetStatus === SHIPMENT_STATUS.DELIVERED) {
+        shipment.deliveryDate = update.timestamp ? new Date(update.timestamp) : new Date();
+      }
+    } else {
+      rejected = true;
+      logger.warn(`Ignoring ${previousStatus} -> ${targetStatus} for shipment ${shipment.awb}`);
+      if (strict) {
+        throw new InvalidTransitionError(previousStatus, targetStatus);
+      }
+    }
+  } else if (shipment.status !== previousStatus) {
+    // Legacy status string on the document; store the canonical value
+    shipment.status = previousStatus;
+  }
+
+  if (!changed && eventsAdded === 0 && !shipment.isModified()) {
+    return { shipment, previousStatus, status: shipment.status, changed, rejected, eventsAdded };
+  }
+
+  shipment.updatedAt = new Date();
+  await shipment.save();
+
+  // Failed delivery attempts open or add to the shipment's NDR, unless the scan came late
+  // (rejected transition, or the parcel is already delivered, returning or closed)
+  const failedAttempts = shipment.trackingHistory.filter(event =>
+    normalizeStatus(event.status) === SHIPMENT_STATUS.NDR && !knownEvents.has(eventKey(event)));
+  if (failedAttempts.length && shipment.direction !== 'reverse' && !rejected && !NO_NDR_STATUSES.includes(shipment.status)) {
+    try {
+      const ndr = await recordFailedDeliveryAttempts(shipment, failedAttempts);
+      // Ask the buyer how the courier should deliver
+      if (ndr) await sendNDRBuyerLink(ndr);
+    } catch (error) {
+      logger.error(`NDR not updated for shipment ${shipment.awb}: ${error.message}`);
+    }
+  }
+
+  if (changed) {
+    if (shipment.direction === 'reverse') {
+      await syncReturnRequest(shipment);
+    } else {
+      await syncSellerOrder(shipment);
+      await syncNDR(shipment);
+    }
+    await syncPickup(shipment, previousStatus);
+
+    io.emit('shipment:status_updated', {
+      sellerId: shipment.seller,
+      shipmentId: shipment._id,
+      orderId: shipment.orderId,
+      status: shipment.status
+    });
+
+    emitEvent(EVENT_TYPES.SHIPMENT_STATUS_CHANGED, {
+      shipmentId: shipment._id,
+      awb: shipment.awb,
+      previousStatus,
+      status: shipment.status
+    });
+  }
+
+  return { shipment, previousStatus, status: shipment.status, changed, rejected, eventsAdded };
+};
+
+// Move the parent seller order along with its shipment
+const syncSellerOrder = async (shipment) => {
+  const orderStatus = toSellerOrderStatus(shipment.status);
+  if (!orderStatus) return;
+
+  const order = await SellerOrder.findById(shipment.orderId).setOptions({ skipDefaultFilter: true });
+  if (!order || order.status === orderStatus) return;
+
+  await order.updateStatus(orderStatus, `Shipment ${shipment.awb} is ${shipment.status}`);
+  await syncOrderStock(order);
+};
+
+// Keep an NDR in step with the shipment (re-attempts, delivery, RTO), recorded as a system change
+const syncNDR = async (shipment) => {
+  const ndrStatus = toNDRStatus(shipment.status);
+  if (!ndrStatus) return;
+
+  const ndr = await NDR.findOne({
+    shipmentId: shipment._id,
+    status: { $in: [...OPEN_NDR_STATUSES, 'RTO Initiated'] }
+  });
+  if (!ndr || ndr.status === ndrStatus) return;
+  // Only RTO moves an NDR on once RTO has been initiated
+  if (ndr.status === 'RTO Initiated' && ndrStatus !== 'RTO Completed') return;
+
+  try {
+    setNDRStatus(ndr, ndrStatus, {
+      reason: shipment.trackingHistory?.at(-1)?.description,
+      source: 'System',
+      ...(ndrStatus === 'Resolved' && { resolution: 'Delivered' })
+    });
+    await ndr.save();
+  } catch (error) {
+    logger.warn(`NDR ${ndr._id} not moved to ${ndrStatus}: ${error.message}`);
+  }
+};
+
+// Mark the shipment's open pickup as Picked once the courier has collected it
+const syncPickup = async (shipment, previousStatus) => {
+  const awaitingPickup = [SHIPMENT_STATUS.BOOKED, SHIPMENT_STATUS.PENDING_PICKUP];
+  if (!shipment.pickupRequest || !awaitingPickup.includes(previousStatus)) return;
+  if ([...awaitingPickup, SHIPMENT_STATUS.CANCELLED, SHIPMENT_STATUS.EXCEPTION].includes(shipment.status)) return;
+
+  await Pickup.updateOne(
+    { _id: shipment.pickupRequest, status: { $in: ['Scheduled', 'Rescheduled', 'Missed'] } },
+    {
+      status: 'Picked',
+      pickedAt: new Date(),
+      updatedAt: new Date(),
+      $push: { history: { status: 'Picked', remarks: `Shipment ${shipment.awb} picked up`, source: 'Tracking', timestamp: new Date() } }
+    }
+  );
+};
+
+// Return statuses driven by the reverse shipment carrying it back to the seller
+const RETURN_STATUS_BY_SHIPMENT = {
+  [SHIPMENT_STATUS.PICKED_UP]: 'In Transit',
+  [SHIPMENT_STATUS.IN_TRANSIT]: 'In Transit',
+  [SHIPMENT_STATUS.OUT_FOR_DELIVERY]: 'In Transit',
+  [SHIPMENT_STATUS.DELIVERED]: 'Received',
+  [SHIPMENT_STATUS.CANCELLED]: 'Cancelled'
+};
+
+// Move the customer return along with its reverse shipment
+const syncReturnRequest = async (shipment) => {
+  const returnStatus = RETURN_STATUS_BY_SHIPMENT[shipment.status];
+  if (!returnStatus || !shipment.returnRequest) return;
+
+  await ReturnRequest.updateOne(
+    { _id: shipment.returnRequest, status: { $in: ['Pickup Scheduled', 'In Transit'] } },
+    {
+      status: returnStatus,
+      updatedAt: new Date(),
+      $push: { history: { status: returnStatus, remarks: `Reverse shipment ${shipment.awb} is ${shipment.status}`, source: 'Tracking', timestamp: new Date() } }
+    }
+  );
+};
+
+// A box's progress towards the buyer; statuses outside it (NDR, RTO, lost, ...) hold the whole shipment
+const PIECE_PROGRESS = [
+  SHIPMENT_STATUS.BOOKED,
+  SHIPMENT_STATUS.PENDING_PICKUP,
+  SHIPMENT_STATUS.PICKED_UP,
+  SHIPMENT_STATUS.IN_TRANSIT,
+  SHIPMENT_STATUS.OUT_FOR_DELIVERY,
+  SHIPMENT_STATUS.DELIVERED
+];
+
+/**
+ * Status of a multi-piece shipment from the status of its boxes: a box that is held up
+ * (NDR, RTO, lost, exception) holds the shipment, otherwise it moves with the box furthest behind
+ * @param {Array} pieces - Shipment pieces with their status
+ * @returns {string} - Canonical status for the master AWB
+ */
+export const rollUpPieceStatus = (pieces) => {
+  const statuses = pieces.map(piece => normalizeStatus(piece.status) || SHIPMENT_STATUS.BOOKED);
+  const held = statuses.find(status => !PIECE_PROGRESS.includes(status));
+  if (held) return held;
+  return PIECE_PROGRESS[Math.min(...statuses.map(status => PIECE_PROGRESS.indexOf(status)))];
+};
+
+/**
+ * Apply a tracking update for the child AWB of one box of a multi-piece shipment
+ * and roll it up to the master shipment
+ * @param {Object} shipment - SellerShipment document owning the child AWB
+ * @param {string} awb - Child AWB
+ * @param {Object} update - Tracking update
+ * @param {Object} options - Passed through to applyShipmentUpdate
+ * @returns {Promise<Object>} - applyShipmentUpdate result with the updated `piece`
+ */
+export const applyPieceUpdate = async (shipment, awb, update, options = {}) => {
+  const piece = shipment.pieces.find(item => item.awb === awb);
+  const pieceStatus = resolveTargetStatus(update);
+  if (pieceStatus && pieceStatus !== piece.status) {
+    piece.status = pieceStatus;
+    piece.lastEventAt = update.timestamp ? new Date(update.timestamp) : new Date();
+  }
+
+  const label = `Box ${piece.number} of ${shipment.pieces.length} (${awb})`;
+  const result = await applyShipmentUpdate(shipment, {
+    ...update,
+    status: rollUpPieceStatus(shipment.pieces),
+    description: `${label}: ${update.description || pieceStatus || 'tracking update'}`,
+    // Box events are kept in the master history, labelled with the box
+    trackingHistory: (update.trackingHistory || []).map(event => ({
+      ...event,
+      description: `${label}: ${event.description || event.status}`
+    }))
+  }, options);
+
+  return { ...result, piece };
+};
+
+/**
+ * Apply a tracking update to a customer order
+ * @param {Object} order - Customer Order document
+ * @param {Object} update - Tracking update
+ * @param {Object} options - { strict: throw on invalid transitions }
+ * @returns {Promise<Object>} - { order, previousStatus, status, changed, rejected, eventsAdded }
+ */
+export const applyCustomerOrderUpdate = async (order, update, options = {}) => {
+  const { strict = false } = options;
+
+  if (!order.tracking) {
+    order.tracking = { timeline: [] };
+  }
+
+  const previousStatus = normalizeStatus(order.tracking.status) || normalizeStatus(order.status);
+  const targetStatus = resolveTargetStatus(update);
+
+  const timeline = order.tracking.timeline;
+  const events = (update.trackingHistory || []).map(event => ({
+    status: event.status,
+    location: event.location,
+    timestamp: event.timestamp,
+    description: event.description,
+    code: event.statusCode
+  }));
+
+  let eventsAdded = 0;
+  events.forEach(event => {
+    const timestamp = new Date(event.timestamp || Date.now());
+    const exists = timeline.some(
+      e => e.timestamp && e.timestamp.getTime() === timestamp.getTime() && e.status === event.status
+    );
+    if (!exists) {
+      timeline.push({ ...event, timestamp });
+      eventsAdded++;
+    }
+  });
+
+  let changed = false;
+  let rejected = false;
+
+  if (targetStatus && targetStatus !== previousStatus) {
+    if (canTransition(previousStatus, targetStatus)) {
+      changed = true;
+      order.tracking.status = targetStatus;
+
+      if (!events.some(event => normalizeStatus(event.status) === targetStatus)) {
+        timeline.push({
+          status: targetStatus,
+          location: update.location,
+          timestamp: update.timestamp ? new Date(update.timestamp) : new Date(),
+          description: update.description || `Order ${targetStatus.toLowerCase()}`,
+          code: update.statusCode
+        });
+      }
+
+      const orderStatus = toCustomerOrderStatus(targetStatus);
+      if (orderStatus) {
+        order.status = orderStatus;
+      }
+    } else {
+      rejected = true;
+      logger.warn(`Ignoring ${previousStatus} -> ${targetStatus} for order ${order.awb}`);
+      if (strict) {
+        throw new InvalidTransitionError(previousStatus, targetStatus);
+      }
+    }
+  }
+
+  if (update.location) {
+    order.tracking.currentLocation = update.location;
+  }
+
+  if (changed || eventsAdded > 0 || update.location) {
+    await order.save();
+  }
+
+  if (changed) {
+    emitEvent(EVENT_TYPES.ORDER_STATUS_CHANGED, {
+      orderId: order._id,
+      awb: order.awb,
+      previousStatus,
+      status: order.status
+    });
+  }
+
+  return { order, previousStatus, status: order.tracking.status, changed, rejected, eventsAdded };
+};
+
+/**
+ * Apply a tracking update to whatever record owns the AWB
+ * (seller shipment first, then a box of a multi-piece shipment, then customer order)
+ * @param {string} awb - AWB number
+ * @param {Object} update - Tracking update
+ * @param {Object} options - { courier: only match records shipped with this courier }; the rest is
+ *   passed through to the model-specific updater
+ * @returns {Promise<Object|null>} - Update result with a `type` field, or null if the AWB is unknown
+ */
+export const applyTrackingUpdateByAwb = async (awb, update, options = {}) => {
+  const { courier, ...updateOptions } = options;
+  // Courier codes and names are matched case-insensitively
+  const courierMatch = courier
+    ? { $regex: new RegExp(`^${courier.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') }
+    : undefined;
+
+  const shipment = await SellerShipment.findOne({ awb, ...(courierMatch && { courier: courierMatch }) });
+  if (shipment) {
+    const result = await applyShipmentUpdate(shipment, update, updateOptions);
+    return { type: 'SellerShipment', ...result };
+  }
+
+  const parent = await SellerShipment.findOne({ 'pieces.awb': awb, ...(courierMatch && { courier: courierMatch }) });
+  if (parent) {
+    const result = await applyPieceUpdate(parent, awb, update, updateOptions);
+    return { type: 'SellerShipment', ...result };
+  }
+
+  const order = await Order.findOne({ awb, ...(courierMatch && { 'courier.name': courierMatch }) })
+    .setOptions({ skipDefaultFilter: true });
+  if (order) {
+    const result = await applyCustomerOrderUpdate(order, update, updateOptions);
+    return { type: 'Order', ...result };
+  }
+
+  return null;
+};
+
+export default {
+  InvalidTransitionError,
+  mergeTrackingEvents,
+  applyShipmentUpdate,
+  applyPieceUpdate,
+  rollUpPieceStatus,
+  applyCustomerOrderUpdate,
+  applyTrackingUpdateByAwb
+};
@@ -1,23 +1,15 @@
 import { AppError } from '../middleware/errorHandler.js';
 import ShippingPartner from '../modules/admin/models/shippingPartner.model.js';
-import * as bluedart from './bluedart.js';
-import * as delhivery from './delhivery.js';
-import * as dtdc from './dtdc.js';
-import * as ekart from './ekart.js';
-import * as xpressbees from './xpressbees.js';
+import { getCourierAdapter } from './courierRegistry.js';
+import { normalizeRateQuote } from './courierAdapter.js';
 import { calculateRate } from './courierRates.js';
+import { calculateChargeableWeight, partnerVolumetricRule, toCourierCode } from './chargeableWeight.js';
+import { checkLaneServiceability, getCourierLaneServiceability } from './serviceability.js';
+import { resolveZone } from './zoneMatrix.js';
+import { getEddContext, estimateDeliveryDate } from './edd.js';
 import { getCache, setCache } from './redis.js';
 import { logger } from './logger.js';
 
-// Map of courier code to their respective utility modules
-const courierModules = {
-  BLUEDART: bluedart,
-  DELHIVERY: delhivery,
-  DTDC: dtdc,
-  EKART: ekart,
-  XPRESSBEES: xpressbees
-};
-
 // Shipping rate configuration
 const RATE_CONFIG = {
   baseRate: 50, // Base rate in INR
@@ -39,12 +31,6 @@ const calculateDistance = (pickupPincode, deliveryPincode) => {
   return Math.abs(pincode1 - pincode2) / 100; // Simplified distance in km
 };
 
-// Calculate volumetric weight
-const calculateVolumetricWeight = (dimensions) => {
-  const { length, width, height } = dimensions;
-  return (length * width * height) / 5000; // Standard volumetric weight calculation
-};
-
 /**
  * Get shipping partner details from database and cache them
  * @param {string} courierCode - The courier code (e.g., 'BLUEDART', 'DELHIVERY')
@@ -80,6 +66,7 @@ export const getPartnerDetails = async (courierCode) => {
       weightLimits: partner.weightLimits,
       dimensionLimits: partner.dimensionLimits,
       rates: partner.rates,
+      volumetric: partner.volumetric,
       zones: partner.zones,
       trackingUrl: partner.trackingUrl
     };
@@ -115,6 +102,20 @@ export const calculateShippingRates = async (packageDetails, deliveryDetails, pa
       
       availablePartners = availablePartners.map(p => p.name);
     }
+
+    // Leave out partners that cannot service the lane
+    const [lane, { zone }, eddContext] = await Promise.all([
+      checkLaneServiceability({
+        pickupPincode: deliveryDetails.pickupPincode,
+        deliveryPincode: deliveryDetails.deliveryPincode,
+        isCOD: Boolean(packageDetails.cod) || packageDetails.paymentMode === 'COD'
+      }),
+      resolveZone(deliveryDetails.pickupPincode, deliveryDetails.deliveryPincode),
+      getEddContext()
+    ]);
+    availablePartners = availablePartners.filter(partnerName =>
+      getCourierLaneServiceability(lane, toCourierCode(partnerName)).serviceable
+    );
     
     // Calculate rates for each partner
     const ratePromises = availablePartners.map(async (partnerName) => {
@@ -124,16 +125,41 @@ export const calculateShippingRates = async (packageDetails, deliveryDetails, pa
         return null;
       }
       
-      // Check if partner module exists
-      const partnerModule = courierModules[partnerName.toUpperCase()];
+      // Every partner is quoted on its own chargeable weight
+      const mode = packageDetails.serviceType === 'express' ? 'air' : 'surface';
+      const weights = calculateChargeableWeight(packageDetails, partnerVolumetricRule(partnerDetails, mode));
+      const partnerPackage = { ...packageDetails, chargeableWeight: weights.chargeableWeight };
+
+      // Check if a courier adapter is registered for the partner
+      const adapter = getCourierAdapter(partnerName);
       
-      if (partnerModule && partnerModule.calculateRate) {
+      const quote = adapter
         // Use partner-specific rate calculation if available
-        return partnerModule.calculateRate(packageDetails, deliveryDetails, partnerDetails);
-      } else {
+        ? await adapter.calculateRate(partnerPackage, deliveryDetails, partnerDetails)
         // Use generic rate calculation
-        return calculateRate(packageDetails, deliveryDetails, partnerDetails);
-      }
+        : normalizeRateQuote(await calculateRate(partnerPackage, deliveryDetails, partnerDetails));
+
+      if (!quote) return null;
+
+      // Delivery date from the EDD service (adapters only return the courier's own estimate, if any)
+      const tat = getCourierLaneServiceability(lane, toCourierCode(partnerName)).tat;
+      const edd = estimateDeliveryDate({
+        courier: partnerName,
+        mode,
+        zone,
+        laneTransitDays: mode === 'air' ? (tat?.express ?? tat?.standard) : tat?.standard,
+        pickupCutoff: packageDetails.pickupCutoff
+      }, eddContext);
+
+      return {
+        ...quote,
+        provider: quote.provider && {
+          ...quote.provider,
+          estimatedDays: quote.provider.estimatedDays || `${edd.minTransitDays}-${edd.maxTransitDays} days`
+        },
+        weights,
+        edd
+      };
     });
     
     const rates = await Promise.all(ratePromises);
@@ -158,15 +184,15 @@ export const bookShipment = async (courierCode, shipmentDetails) => {
       throw new Error(`Partner details not found for ${courierCode}`);
     }
     
-    // Check if partner module exists
-    const partnerModule = courierModules[courierCode.toUpperCase()];
+    // Check if a courier adapter is registered
+    const adapter = getCourierAdapter(courierCode);
     
-    if (!partnerModule || !partnerModule.bookShipment) {
+    if (!adapter) {
       throw new Error(`Booking functionality not available for ${courierCode}`);
     }
     
     // Call the partner-specific booking function
-    const bookingResponse = await partnerModule.bookShipment(shipmentDetails, partnerDetails);
+    const bookingResponse = await adapter.bookShipment(shipmentDetails, partnerDetails);
     
     // If booking successful, update shipment count for the partner
     if (bookingResponse.success) {
@@ -200,15 +226,15 @@ export const trackShipment = async (trackingNumber, courierCode) => {
       throw new Error(`Partner details not found for ${courierCode}`);
     }
     
-    // Check if partner module exists
-    const partnerModule = courierModules[courierCode.toUpperCase()];
+    // Check if a courier adapter is registered
+    const adapter = getCourierAdapter(courierCode);
     
-    if (!partnerModule || !partnerModule.trackShipment) {
+    if (!adapter) {
       throw new Error(`Tracking functionality not available for ${courierCode}`);
     }
     
     // Call the partner-specific tracking function
-    return await partnerModule.trackShipment(trackingNumber, partnerDetails);
+    return await adapter.trackShipment(trackingNumber, partnerDetails);
   } catch (error) {
     logger.error(`Error tracking shipment ${trackingNumber} with ${courierCode}: ${error.message}`);
     return {
@@ -224,17 +250,57 @@ export const validatePincode = (pincode) => {
   return pincodeRegex.test(pincode);
 };
 
-// Get service availability
-export const getServiceAvailability = (pickupPincode, deliveryPincode) => {
-  // In a real application, this would check against a database of serviceable pincodes
-  const isServiceable = validatePincode(pickupPincode) && validatePincode(deliveryPincode);
-  
+/**
+ * Check which services are available between two pincodes using the pincode serviceability matrix
+ * @param {string} pickupPincode - Pickup pincode
+ * @param {string} deliveryPincode - Delivery pincode
+ * @returns {Promise<Object>} - { success, data: { isServiceable, availableServices, couriers, message } }
+ */
+export const getServiceAvailability = async (pickupPincode, deliveryPincode) => {
+  if (!validatePincode(pickupPincode) || !validatePincode(deliveryPincode)) {
+    return {
+      success: true,
+      data: {
+        isServiceable: false,
+        availableServices: [],
+        couriers: [],
+        message: 'Invalid pincode'
+      }
+    };
+  }
+
+  const [prepaidLane, codLane] = await Promise.all([
+    checkLaneServiceability({ pickupPincode, deliveryPincode }),
+    checkLaneServiceability({ pickupPincode, deliveryPincode, isCOD: true })
+  ]);
+
+  // Without any serviceability data every lane is open
+  const unrestricted = prepaidLane.covered.length === 0;
+  const prepaidCouriers = Object.keys(prepaidLane.couriers).filter(code => prepaidLane.couriers[code].serviceable);
+  const codCouriers = Object.keys(codLane.couriers).filter(code => codLane.couriers[code].serviceable);
+
+  const availableServices = [];
+  if (unrestricted || prepaidCouriers.length) availableServices.push('standard');
+  if (unrestricted || prepaidCouriers.some(code => typeof prepaidLane.couriers[code].tat?.express === 'number')) {
+    availableServices.push('express');
+  }
+  if (unrestricted || codCouriers.length) availableServices.push('cod');
+
+  const isServiceable = availableServices.length > 0;
+
   return {
     success: true,
     data: {
       isServiceable,
-      availableServices: isServiceable ? ['standard', 'express', 'cod'] : [],
+      availableServices,
+      couriers: Object.entries(prepaidLane.couriers).map(([courier, lane]) => ({
+        courier,
+        prepaid: lane.serviceable,
+        cod: codLane.couriers[courier]?.serviceable || false,
+        tat: lane.tat,
+        reasons: [...new Set([...lane.reasons, ...(codLane.couriers[courier]?.reasons || [])])]
+      })),
       message: isServiceable ? 'Service available' : 'Service not available for these pincodes'
     }
   };
-}; 
\ No newline at end of file
+};
@@ -84,5 +84,8 @@ export const SMS_TEMPLATES = {
   },
   PAYMENT_CONFIRMATION: {
     message: 'Payment of ₹{{amount}} received for order #{{orderId}}. Thank you for using RocketryBox!'
+  },
+  NDR_RESPONSE: {
+    message: 'We could not deliver your {{seller}} order {{awb}}. Choose a new delivery date or correct your address here: {{link}} (valid till {{expiry}})'
   }
 }; 
\ No newline at end of file
@@ -0,0 +1,340 @@
+import SellerShipment from '../modules/seller/models/shipment.model.js';
+import Order from '../modules/customer/models/order.model.js';
+import { trackShipment } from './shipping.js';
+import { SHIPMENT_STATUS, TERMINAL_STATUSES, normalizeStatus } from './shipmentStatus.js';
+import { applyShipmentUpdate, applyPieceUpdate, applyCustomerOrderUpdate } from './shipmentTracking.js';
+import { logger } from './logger.js';
+
+/**
+ * Background tracking poller.
+ *
+ * On every tick it picks the in-flight seller shipments and customer orders
+ * whose next poll is due, groups them by courier and tracks them in batches.
+ * Each courier gets its own concurrency limit and is backed off after
+ * consecutive API failures so one failing courier does not slow the others.
+ * Results go through shipmentTracking.js, which dedupes events and enforces
+ * the status state machine. A multi-piece shipment is tracked by the child
+ * AWB of each box still moving, rolled up to the master shipment.
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+// Poller configuration
+export const POLLER_CONFIG = {
+  enabled: process.env.TRACKING_POLLER_ENABLED !== 'false',
+  tickInterval: parseInt(process.env.TRACKING_POLL_INTERVAL || 60) * 1000, // Default 60 seconds
+  batchSize: parseInt(process.env.TRACKING_POLL_BATCH_SIZE || 200), // Max records picked per tick
+  courierConcurrency: parseInt(process.env.TRACKING_POLL_CONCURRENCY || 5), // Parallel calls per courier
+  baseBackoff: 60 * 1000, // First courier backoff after a failure
+  maxBackoff: HOUR, // Backoff never exceeds this
+  longHaulAfter: 48 * HOUR // In Transit for longer than this is polled less often
+};
+
+// How long to wait before polling a shipment again, by status
+const POLL_CADENCE = {
+  [SHIPMENT_STATUS.BOOKED]: 4 * HOUR,
+  [SHIPMENT_STATUS.PENDING_PICKUP]: 3 * HOUR,
+  [SHIPMENT_STATUS.PICKED_UP]: 2 * HOUR,
+  [SHIPMENT_STATUS.IN_TRANSIT]: 2 * HOUR,
+  [SHIPMENT_STATUS.OUT_FOR_DELIVERY]: 0.5 * HOUR,
+  [SHIPMENT_STATUS.NDR]: 2 * HOUR,
+  [SHIPMENT_STATUS.RTO_INITIATED]: 6 * HOUR,
+  [SHIPMENT_STATUS.RTO_IN_TRANSIT]: 6 * HOUR,
+  [SHIPMENT_STATUS.EXCEPTION]: 4 * HOUR
+};
+
+const LONG_HAUL_CADENCE = 6 * HOUR;
+const DEFAULT_CADENCE = 4 * HOUR;
+
+// Per-courier failure state: { failures, pausedUntil }
+const courierState = new Map();
+
+let pollerIntervalId = null;
+let isPolling = false;
+
+/**
+ * Delay until the next poll for a shipment in a given status
+ * @param {string} status - Current shipment status
+ * @param {Date} inTransitSince - When the shipment left the origin (pickup date)
+ * @returns {number} - Delay in milliseconds
+ */
+export const getPollDelay = (status, inTransitSince) => {
+  const canonical = normalizeStatus(status);
+
+  if (
+    canonical === SHIPMENT_STATUS.IN_TRANSIT &&
+    inTransitSince &&
+    Date.now() - new Date(inTransitSince).getTime() > POLLER_CONFIG.longHaulAfter
+  ) {
+    return LONG_HAUL_CADENCE;
+  }
+
+  return POLL_CADENCE[canonical] || DEFAULT_CADENCE;
+};
+
+// Parallel calls allowed for a courier (TRACKING_POLL_CONCURRENCY_<CODE> overrides the default)
+const getCourierConcurrency = (courier) => {
+  const override = process.env[`TRACKING_POLL_CONCURRENCY_${courier.toUpperCase()}`];
+  return parseInt(override || POLLER_CONFIG.courierConcurrency);
+};
+
+const isCourierPaused = (courier) => {
+  const state = courierState.get(courier);
+  return Boolean(state && state.pausedUntil > Date.now());
+};
+
+// Exponential backoff after consecutive failures; returns the backoff applied
+const recordCourierFailure = (courier) => {
+  const state = courierState.get(courier) || { failures: 0, pausedUntil: 0 };
+  state.failures++;
+
+  const backoff = Math.min(POLLER_CONFIG.baseBackoff * 2 ** (state.failures - 1), POLLER_CONFIG.maxBackoff);
+  state.pausedUntil = Date.now() + backoff;
+  courierState.set(courier, state);
+
+  logger.warn(`Tracking poller: backing off ${courier} for ${backoff / 1000}s after ${state.failures} failure(s)`);
+  return backoff;
+};
+
+const recordCourierSuccess = (courier) => {
+  courierState.delete(courier);
+};
+
+// Move the next poll of records skipped for a paused courier to when the pause ends,
+// so its backlog does not keep filling the batches of the other couriers
+const deferJobs = async (courier, jobs) => {
+  const nextTrackingAt = new Date(courierState.get(courier)?.pausedUntil || Date.now());
+  const ids = (type) => jobs.filter(job => job.type === type).map(job => job.record._id);
+
+  await Promise.all([
+    SellerShipment.updateMany({ _id: { $in: ids('SellerShipment') } }, { $set: { nextTrackingAt } }),
+    Order.updateMany({ _id: { $in: ids('Order') } }, { $set: { 'tracking.nextTrackingAt': nextTrackingAt } })
+  ]);
+};
+
+// Run a worker over items with at most `limit` in flight
+const runWithConcurrency = async (items, limit, worker) => {
+  let index = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (index < items.length) {
+      const item = items[index++];
+      await worker(item);
+    }
+  });
+  await Promise.all(runners);
+};
+
+// Due in-flight seller shipments
+const findDueShipments = (now, limit) => SellerShipment.find({
+  status: { $nin: TERMINAL_STATUSES },
+  courier: { $exists: true, $ne: null },
+  $or: [{ nextTrackingAt: { $lte: now } }, { nextTrackingAt: null }]
+})
+  .sort({ nextTrackingAt: 1 })
+  .limit(limit);
+
+// Due in-flight customer orders
+const findDueOrders = (now, limit) => Order.find({
+  status: { $nin: ['Delivered', 'Cancelled'] },
+  'tracking.status': { $nin: TERMINAL_STATUSES },
+  'courier.name': { $exists: true, $ne: null },
+  $or: [{ 'tracking.nextTrackingAt': { $lte: now } }, { 'tracking.nextTrackingAt': null }]
+})
+  .sort({ 'tracking.nextTrackingAt': 1 })
+  .limit(limit);
+
+// Convert a tracking response into a shipmentTracking update
+const toTrackingUpdate = (trackingInfo) => ({
+  status: trackingInfo.status,
+  rawStatus: trackingInfo.rawStatus,
+  location: trackingInfo.currentLocation,
+  timestamp: trackingInfo.timestamp,
+  trackingHistory: trackingInfo.trackingHistory
+});
+
+/**
+ * Track a seller shipment with its courier: the child AWB of every box still moving for a
+ * multi-piece shipment (rolled up to the master), the master AWB otherwise
+ * @param {Object} shipment - SellerShipment document
+ * @returns {Promise<Object>} - { success, status, tracked: [{ awb, trackingInfo }] }
+ */
+export const trackSellerShipment = async (shipment) => {
+  const moving = (shipment.pieces || []).filter(piece => piece.awb && !TERMINAL_STATUSES.includes(normalizeStatus(piece.status)));
+  const awbs = moving.length ? moving.map(piece => piece.awb) : [shipment.awb];
+
+  const tracked = [];
+  let status = shipment.status;
+  for (const awb of awbs) {
+    let trackingInfo;
+    try {
+      trackingInfo = await trackShipment(awb, shipment.courier);
+    } catch (error) {
+      trackingInfo = { success: false, error: error.message };
+    }
+    tracked.push({ awb, trackingInfo });
+    if (!trackingInfo.success) continue;
+
+    ({ status } = awb === shipment.awb
+      ? await applyShipmentUpdate(shipment, toTrackingUpdate(trackingInfo))
+      : await applyPieceUpdate(shipment, awb, toTrackingUpdate(trackingInfo)));
+  }
+
+  return { success: tracked.some(({ trackingInfo }) => trackingInfo.success), status, tracked };
+};
+
+/**
+ * Track one record and schedule its next poll
+ * @param {Object} job - { type, courier, record }
+ * @returns {Promise<boolean>} - Whether the courier answered successfully
+ */
+const pollRecord = async ({ type, courier, record }) => {
+  const now = new Date();
+  let trackingInfo;
+
+  if (type === 'SellerShipment') {
+    trackingInfo = await trackSellerShipment(record);
+  } else {
+    try {
+      trackingInfo = await trackShipment(record.awb, courier);
+    } catch (error) {
+      trackingInfo = { success: false, error: error.message };
+    }
+  }
+
+  if (!trackingInfo.success) {
+    const backoff = recordCourierFailure(courier);
+    const nextTrackingAt = new Date(now.getTime() + backoff);
+
+    if (type === 'SellerShipment') {
+      await SellerShipment.updateOne({ _id: record._id }, { $set: { nextTrackingAt } });
+    } else {
+      await Order.updateOne({ _id: record._id }, { $set: { 'tracking.nextTrackingAt': nextTrackingAt } });
+    }
+    return false;
+  }
+
+  recordCourierSuccess(courier);
+
+  if (type === 'SellerShipment') {
+    await SellerShipment.updateOne({ _id: record._id }, {
+      $set: {
+        lastTrackedAt: now,
+        nextTrackingAt: new Date(now.getTime() + getPollDelay(trackingInfo.status, record.pickupDate || record.createdAt))
+      }
+    });
+  } else {
+    const { status } = await applyCustomerOrderUpdate(record, toTrackingUpdate(trackingInfo));
+    await Order.updateOne({ _id: record._id }, {
+      $set: {
+        'tracking.lastTrackedAt': now,
+        'tracking.nextTrackingAt': new Date(now.getTime() + getPollDelay(status, record.pickupDate || record.createdAt))
+      }
+    });
+  }
+
+  return true;
+};
+
+// Track all due records of one courier with its concurrency limit
+const pollCourier = async (courier, jobs, summary) => {
+  const skipped = [];
+  await runWithConcurrency(jobs, getCourierConcurrency(courier), async (job) => {
+    // Stop calling a courier as soon as it is backed off; the rest wait for the pause to end
+    if (isCourierPaused(courier)) {
+      summary.skipped++;
+      skipped.push(job);
+      return;
+    }
+
+    try {
+      const ok = await pollRecord(job);
+      summary[ok ? 'tracked' : 'failed']++;
+    } catch (error) {
+      summary.failed++;
+      logger.error(`Tracking poller: error updating ${job.type} ${job.record.awb}: ${error.message}`);
+    }
+  });
+
+  if (skipped.length) await deferJobs(courier, skipped);
+};
+
+/**
+ * Run one polling pass over all due shipments and orders
+ * @returns {Promise<Object>} - { tracked, failed, skipped, couriers }
+ */
+export const pollTrackingOnce = async () => {
+  const now = new Date();
+  const summary = { tracked: 0, failed: 0, skipped: 0, couriers: 0 };
+
+  const [shipments, orders] = await Promise.all([
+    findDueShipments(now, POLLER_CONFIG.batchSize),
+    findDueOrders(now, POLLER_CONFIG.batchSize)
+  ]);
+
+  // Group by courier
+  const groups = new Map();
+  const addJob = (type, courier, record) => {
+    const code = courier.toUpperCase();
+    if (!groups.has(code)) groups.set(code, []);
+    groups.get(code).push({ type, courier: code, record });
+  };
+
+  shipments.forEach(shipment => addJob('SellerShipment', shipment.courier, shipment));
+  orders.forEach(order => addJob('Order', order.courier.name, order));
+
+  const paused = [];
+  const active = [...groups.entries()].filter(([courier, jobs]) => {
+    if (isCourierPaused(courier)) {
+      summary.skipped += jobs.length;
+      paused.push(deferJobs(courier, jobs));
+      return false;
+    }
+    return true;
+  });
+  await Promise.all(paused);
+
+  summary.couriers = active.length;
+  await Promise.all(active.map(([courier, jobs]) => pollCourier(courier, jobs, summary)));
+
+  if (shipments.length + orders.length > 0) {
+    logger.info(`Tracking poller: ${summary.tracked} tracked, ${summary.failed} failed, ${summary.skipped} skipped across ${summary.couriers} courier(s)`);
+  }
+
+  return summary;
+};
+
+/**
+ * Start polling on a fixed tick; ticks never overlap
+ */
+export const startTrackingPoller = () => {
+  if (!POLLER_CONFIG.enabled || pollerIntervalId) return;
+
+  pollerIntervalId = setInterval(async () => {
+    if (isPolling) return;
+    isPolling = true;
+    try {
+      await pollTrackingOnce();
+    } catch (error) {
+      logger.error(`Tracking poller tick failed: ${error.message}`);
+    } finally {
+      isPolling = false;
+    }
+  }, POLLER_CONFIG.tickInterval);
+
+  logger.info(`Tracking poller started (every ${POLLER_CONFIG.tickInterval / 1000}s)`);
+};
+
+export const stopTrackingPoller = () => {
+  if (pollerIntervalId) {
+    clearInterval(pollerIntervalId);
+    pollerIntervalId = null;
+  }
+};
+
+export default {
+  POLLER_CONFIG,
+  getPollDelay,
+  pollTrackingOnce,
+  startTrackingPoller,
+  stopTrackingPoller
+};
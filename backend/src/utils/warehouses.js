@@ -0,0 +1,346 @@
+import Store from '../modules/seller/models/store.model.js';
+import WarehouseItem from '../modules/seller/models/warehouseItem.model.js';
+import StockTransfer from '../modules/seller/models/stockTransfer.model.js';
+import { moveStock, warehouseItemStatus } from './inventory.js';
+import { resolveZone } from './zoneMatrix.js';
+import { logger } from './logger.js';
+
+/**
+ * Multi-warehouse stock.
+ *
+ * Each of a seller's active Stores is a warehouse holding its own
+ * WarehouseItem per SKU. Stock moves between warehouses with transfer
+ * orders: dispatch takes it off the source and shows it in transit at the
+ * destination, and the destination confirms what actually arrived (any
+ * shortage stays written off). Cycle counts set a warehouse's stock to what
+ * was counted and record the difference with a reason. A new order is
+ * fulfilled from the warehouse nearest the buyer that holds all of its line
+ * items, and that warehouse is the pickup address when it is booked.
+ */
+
+// Shipping zones from nearest to farthest, used to rank warehouses for an order
+const ZONE_DISTANCE = {
+  WITHIN_CITY: 0,
+  WITHIN_STATE: 1,
+  METRO_TO_METRO: 2,
+  REST_OF_INDIA: 3,
+  NORTH_EAST: 4,
+  SPECIAL_REGION: 4
+};
+
+// Error raised when stock cannot be moved between or within warehouses
+export class WarehouseError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'WarehouseError';
+    this.statusCode = statusCode;
+  }
+}
+
+const createTransferNumber = () =>
+  `TRF${Date.now().toString(36).toUpperCase()}${Math.floor(Math.random() * 1296).toString(36).toUpperCase().padStart(2, '0')}`;
+
+const addHistory = (transfer, status, remarks) => {
+  transfer.status = status;
+  transfer.history.push({ status, remarks, timestamp: new Date() });
+  transfer.updatedAt = new Date();
+};
+
+const availableQuantity = (item) => (item?.quantity || 0) - (item?.reservedQuantity || 0);
+
+/**
+ * Get one of the seller's active warehouses
+ * @param {string} sellerId - Seller ID
+ * @param {string} storeId - Store ID
+ * @returns {Promise<Object>} - Store
+ */
+export const getSellerWarehouse = async (sellerId, storeId) => {
+  const store = await Store.findOne({ _id: storeId, seller: sellerId, isActive: true });
+  if (!store) throw new WarehouseError('Warehouse not found or inactive', 404);
+  return store;
+};
+
+/**
+ * Pick the warehouse an order should ship from: warehouses holding every line item come first,
+ * then the nearest by shipping zone, then by pincode.
+ * @param {Object} params - { seller, items: order line items, deliveryPincode }
+ * @returns {Promise<Object|null>} - { store, zone, inStock }, null when the seller has no active store
+ */
+export const selectFulfilmentStore = async ({ seller, items = [], deliveryPincode }) => {
+  const stores = await Store.find({ seller, isActive: true }).sort({ createdAt: 1 }).lean();
+  if (!stores.length) return null;
+
+  const skus = items.map(item => item.sku);
+  const warehouseItems = await WarehouseItem.find({
+    seller,
+    sku: { $in: skus },
+    store: { $in: stores.map(store => store._id) }
+  }).lean();
+
+  const candidates = await Promise.all(stores.map(async (store) => {
+    const stock = warehouseItems.filter(item => String(item.store) === String(store._id));
+    const inStock = items.every(line =>
+      availableQuantity(stock.find(item => item.sku === line.sku)) >= line.quantity
+    );
+    const { zone } = await resolveZone(store.pincode, deliveryPincode);
+    return {
+      store,
+      zone,
+      inStock,
+      distance: ZONE_DISTANCE[zone] ?? ZONE_DISTANCE.REST_OF_INDIA,
+      gap: Math.abs(parseInt(store.pincode) - parseInt(deliveryPincode)) || 0
+    };
+  }));
+
+  const [best] = candidates.sort((a, b) =>
+    (b.inStock - a.inStock) || (a.distance - b.distance) || (a.gap - b.gap)
+  );
+  return { store: best.store, zone: best.zone, inStock: best.inStock };
+};
+
+/**
+ * Set the warehouse a new order ships from (before it is saved and its stock reserved)
+ * @param {Object} order - SellerOrder document
+ * @returns {Promise<Object|null>} - Store chosen
+ */
+export const assignFulfilmentStore = async (order) => {
+  const selection = await selectFulfilmentStore({
+    seller: order.seller,
+    items: order.items,
+    deliveryPincode: order.customer?.address?.pincode
+  });
+  if (!selection) return null;
+
+  order.fulfilment = { store: selection.store._id, zone: selection.zone, inStock: selection.inStock };
+  if (!selection.inStock) {
+    logger.warn(`Order ${order.orderId}: no warehouse holds all items, fulfilling from ${selection.store.name}`);
+  }
+  return selection.store;
+};
+
+/**
+ * Pickup details for booking an order: its fulfilment warehouse, else the seller's first active store
+ * @param {Object} order - SellerOrder
+ * @returns {Promise<Object|null>} - { name, phone, email, address: { street, city, state, pincode, country } }
+ */
+export const getOrderPickupDetails = async (order) => {
+  const store = (order.fulfilment?.store &&
+    await Store.findOne({ _id: order.fulfilment.store, seller: order.seller, isActive: true }).lean()) ||
+    await Store.findOne({ seller: order.seller, isActive: true }).sort({ createdAt: 1 }).lean();
+  if (!store) return null;
+
+  return {
+    name: store.contactPerson || store.name,
+    phone: store.phone,
+    email: store.email,
+    address: {
+      street: store.address,
+      city: store.city,
+      state: store.state,
+      pincode: store.pincode,
+      country: 'India'
+    }
+  };
+};
+
+// WarehouseItem of a SKU at a warehouse, created empty when the warehouse has never held it
+const findOrCreateItem = async ({ seller, sku, name, store }) => {
+  const item = await WarehouseItem.findOne({ seller, sku, store: store._id });
+  if (item) return item;
+  return WarehouseItem.create({
+    seller,
+    sku,
+    name,
+    store: store._id,
+    location: store.name,
+    quantity: 0,
+    status: warehouseItemStatus(0)
+  });
+};
+
+/**
+ * Dispatch stock from one warehouse to another
+ * @param {Object} params - { seller, fromStoreId, toStoreId, items: [{ sku, quantity }], notes }
+ * @returns {Promise<Object>} - StockTransfer
+ */
+export const createStockTransfer = async ({ seller, fromStoreId, toStoreId, items, notes }) => {
+  if (String(fromStoreId) === String(toStoreId)) {
+    throw new WarehouseError('Source and destination warehouses must be different');
+  }
+  const [fromStore, toStore] = await Promise.all([
+    getSellerWarehouse(seller, fromStoreId),
+    getSellerWarehouse(seller, toStoreId)
+  ]);
+
+  // Check every line before moving any stock
+  const sources = [];
+  for (const line of items) {
+    const source = await WarehouseItem.findOne({ seller, sku: line.sku, store: fromStore._id });
+    if (!source) throw new WarehouseError(`SKU ${line.sku} is not stocked at ${fromStore.name}`, 404);
+    if (availableQuantity(source) < line.quantity) {
+      throw new WarehouseError(`Only ${availableQuantity(source)} unit(s) of ${line.sku} available at ${fromStore.name}`);
+    }
+    sources.push(source);
+  }
+
+  const transfer = new StockTransfer({
+    seller,
+    transferNumber: createTransferNumber(),
+    fromStore: fromStore._id,
+    toStore: toStore._id,
+    items: items.map((line, index) => ({ sku: line.sku, name: sources[index].name, quantity: line.quantity })),
+    notes,
+    history: []
+  });
+  addHistory(transfer, 'In Transit', `Dispatched from ${fromStore.name} to ${toStore.name}`);
+
+  // Take each line out of the source only if it is still available there (orders may have reserved it since)
+  const dispatched = [];
+  for (const [index, line] of transfer.items.entries()) {
+    const moved = await moveStock({
+      seller,
+      sku: line.sku,
+      onHand: -line.quantity,
+      warehouseItem: sources[index],
+      available: line.quantity,
+      type: 'transfer_out',
+      transfer: transfer._id,
+      reference: transfer.transferNumber,
+      notes: `Transferred to ${toStore.name}`
+    });
+    if (!moved) {
+      for (const done of dispatched) {
+        await moveStock({
+          seller,
+          sku: done.line.sku,
+          onHand: done.line.quantity,
+          warehouseItem: done.source,
+          type: 'transfer_in',
+          transfer: transfer._id,
+          reference: transfer.transferNumber,
+          notes: `Transfer to ${toStore.name} not dispatched, ${line.sku} is no longer available`
+        });
+      }
+      throw new WarehouseError(`${line.sku} is no longer available at ${fromStore.name} in the quantity requested`, 409);
+    }
+    dispatched.push({ line, source: sources[index] });
+  }
+
+  await transfer.save();
+  for (const line of transfer.items) {
+    const destination = await findOrCreateItem({ seller, sku: line.sku, name: line.name, store: toStore });
+    await WarehouseItem.updateOne({ _id: destination._id }, { $inc: { inTransitQuantity: line.quantity } });
+  }
+
+  logger.info(`Stock transfer ${transfer.transferNumber} dispatched for seller ${seller}`);
+  return transfer;
+};
+
+// Take a transfer's lines out of transit at the destination and put the given quantities on hand at a warehouse
+const landTransfer = async (transfer, { store, quantities, notes }) => {
+  for (const line of transfer.items) {
+    await WarehouseItem.updateOne(
+      { seller: transfer.seller, sku: line.sku, store: transfer.toStore },
+      { $inc: { inTransitQuantity: -line.quantity } }
+    );
+    await moveStock({
+      seller: transfer.seller,
+      sku: line.sku,
+      onHand: quantities[line.sku],
+      store,
+      type: 'transfer_in',
+      transfer: transfer._id,
+      reference: transfer.transferNumber,
+      notes
+    });
+  }
+};
+
+/**
+ * Confirm what arrived at the destination of a transfer; anything short is written off
+ * @param {Object} transfer - StockTransfer document
+ * @param {Object} receipt - { items: [{ sku, receivedQuantity }] (all of it when missing), notes }
+ * @returns {Promise<Object>} - StockTransfer
+ */
+export const receiveStockTransfer = async (transfer, { items = [], notes } = {}) => {
+  if (transfer.status !== 'In Transit') {
+    throw new WarehouseError(`Transfer is already ${transfer.status.toLowerCase()}`);
+  }
+
+  const quantities = {};
+  for (const line of transfer.items) {
+    const received = items.find(item => item.sku === line.sku)?.receivedQuantity ?? line.quantity;
+    if (received > line.quantity) {
+      throw new WarehouseError(`Received quantity of ${line.sku} is more than the ${line.quantity} dispatched`);
+    }
+    quantities[line.sku] = received;
+  }
+
+  // Claim the transfer so a second confirmation cannot receive it again
+  const claimed = await StockTransfer.updateOne(
+    { _id: transfer._id, status: 'In Transit' },
+    { $set: { status: 'Received' } }
+  );
+  if (!claimed.modifiedCount) throw new WarehouseError('Transfer is already received or cancelled');
+
+  await landTransfer(transfer, { store: transfer.toStore, quantities, notes: notes || 'Transfer received' });
+
+  const shortages = transfer.items
+    .filter(line => quantities[line.sku] < line.quantity)
+    .map(line => `${line.sku} short by ${line.quantity - quantities[line.sku]}`);
+  transfer.items.forEach(line => { line.receivedQuantity = quantities[line.sku]; });
+  transfer.receivedAt = new Date();
+  addHistory(transfer, 'Received', shortages.length ? `Received, ${shortages.join(', ')}` : 'Received in full');
+  await transfer.save();
+  return transfer;
+};
+
+/**
+ * Cancel a transfer still in transit, putting the stock back at the source
+ * @param {Object} transfer - StockTransfer document
+ * @param {string} reason - Why it was cancelled
+ * @returns {Promise<Object>} - StockTransfer
+ */
+export const cancelStockTransfer = async (transfer, reason) => {
+  if (transfer.status !== 'In Transit') {
+    throw new WarehouseError(`Transfer is already ${transfer.status.toLowerCase()}`);
+  }
+  const claimed = await StockTransfer.updateOne(
+    { _id: transfer._id, status: 'In Transit' },
+    { $set: { status: 'Cancelled' } }
+  );
+  if (!claimed.modifiedCount) throw new WarehouseError('Transfer is already received or cancelled');
+
+  const quantities = Object.fromEntries(transfer.items.map(line => [line.sku, line.quantity]));
+  await landTransfer(transfer, { store: transfer.fromStore, quantities, notes: `Transfer cancelled${reason ? `: ${reason}` : ''}` });
+
+  addHistory(transfer, 'Cancelled', reason || 'Cancelled by seller');
+  await transfer.save();
+  return transfer;
+};
+
+/**
+ * Record a cycle count: set the item's stock to what was counted and log the difference
+ * @param {Object} item - WarehouseItem document
+ * @param {Object} count - { countedQuantity, reason: one of ADJUSTMENT_REASONS, notes }
+ * @returns {Promise<Object>} - { item, difference }
+ */
+export const recordCycleCount = async (item, { countedQuantity, reason = 'Cycle Count', notes }) => {
+  const difference = countedQuantity - item.quantity;
+  if (countedQuantity < (item.reservedQuantity || 0)) {
+    logger.warn(`Counted ${countedQuantity} of ${item.sku}, below the ${item.reservedQuantity} reserved for open orders`);
+  }
+
+  await moveStock({
+    seller: item.seller,
+    sku: item.sku,
+    onHand: difference,
+    warehouseItem: item,
+    type: 'adjustment',
+    reason,
+    notes: notes || `Counted ${countedQuantity}, system had ${countedQuantity - difference}`
+  });
+
+  const counted = await WarehouseItem.findByIdAndUpdate(item._id, { $set: { lastCountedAt: new Date() } }, { new: true });
+  return { item: counted, difference };
+};
@@ -0,0 +1,487 @@
+import xlsx from 'xlsx';
+import WeightDispute from '../modules/seller/models/weightDispute.model.js';
+import SellerShipment from '../modules/seller/models/shipment.model.js';
+import SellerOrder from '../modules/seller/models/order.model.js';
+import WalletTransaction from '../modules/seller/models/walletTransaction.model.js';
+import Ledger from '../modules/seller/models/ledger.model.js';
+import { calculateCourierRates } from './courierRates.js';
+import { debitSellerWallet, creditSellerWallet } from './sellerWallet.js';
+import { uploadToS3 } from './fileUpload.js';
+import { logger } from './logger.js';
+
+/**
+ * Weight reconciliation (weight disputes).
+ *
+ * Ops import the weights couriers applied from the couriers' files; each row
+ * is matched to a seller shipment by AWB and, when the courier charged more
+ * than the seller declared, opens a dispute in Action Required priced on the
+ * seller's rate card at both weights. The seller accepts it or disputes it
+ * with product photos and measurements before the SLA runs out; disputes
+ * left alone past the SLA are accepted for them. Ops decide disputed ones.
+ * Closing a dispute settles the freight difference between the final and
+ * the declared weight in the seller's wallet (a debit, or a credit when the
+ * final weight is below the declared one) with a matching ledger entry.
+ */
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+export const WEIGHT_DISPUTE_CONFIG = {
+  slaDays: parseInt(process.env.WEIGHT_DISPUTE_SLA_DAYS || 7), // days the seller has to accept or dispute
+  monitorEnabled: process.env.WEIGHT_DISPUTE_MONITOR_ENABLED !== 'false',
+  monitorInterval: HOUR,
+  batchSize: 200,
+  maxSettlementAttempts: 5,
+  processingTimeout: 15 * 60 * 1000, // a settlement still Processing after this was interrupted
+  tolerance: 0.01, // kg of difference ignored on import
+  maxPhotos: 5,
+  photoTypes: ['image/jpeg', 'image/png']
+};
+
+// Error raised when a weight dispute cannot be created or moved on
+export class WeightDisputeError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'WeightDisputeError';
+    this.statusCode = statusCode;
+  }
+}
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Courier file headers (lower-cased, letters and digits only) for each field
+const COLUMN_ALIASES = {
+  awb: ['awb', 'awbno', 'awbnumber', 'waybill', 'trackingnumber', 'trackingid'],
+  applied: ['appliedweight', 'chargedweight', 'billedweight', 'courierweight', 'weight', 'weightkg'],
+  length: ['length', 'lengthcm'],
+  width: ['width', 'breadth', 'widthcm', 'breadthcm'],
+  height: ['height', 'heightcm'],
+  remarks: ['remarks', 'remark', 'comments']
+};
+
+const normalizeHeader = (header) => header.toString().toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const parseNumber = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? NaN : number;
+};
+
+/**
+ * Rows of a courier weight file (CSV or Excel), keyed by its headers
+ * @param {Buffer} file - File contents
+ * @returns {Array<Object>}
+ */
+export const readWeightFile = (file) => {
+  const workbook = xlsx.read(file, { type: 'buffer' });
+  return xlsx.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { defval: '' });
+};
+
+const toRowValues = (row) => {
+  const values = {};
+  Object.entries(row).forEach(([header, value]) => {
+    const key = normalizeHeader(header);
+    const field = Object.keys(COLUMN_ALIASES).find(name => COLUMN_ALIASES[name].includes(key));
+    if (field && values[field] === undefined) values[field] = value;
+  });
+  return values;
+};
+
+/**
+ * Freight of a shipment on the seller's rate card at each of the given weights, for the
+ * courier service it was booked on (the one whose price at the declared weight matches)
+ * @param {Object} shipment - SellerShipment
+ * @param {Object} order - Its SellerOrder
+ * @param {Array<number>} weights - Weights in kg, the declared weight first
+ * @returns {Promise<Array<Object>>} - [{ weight, total, gst }] in the same order
+ */
+export const priceShipmentWeights = async (shipment, order, weights) => {
+  const isCOD = order.payment?.method === 'COD';
+  const base = {
+    sellerId: shipment.seller,
+    pickupPincode: shipment.pickupAddress?.pincode,
+    deliveryPincode: order.customer?.address?.pincode,
+    isCOD,
+    codAmount: isCOD ? parseFloat(order.payment.total) || 0 : 0,
+    couriers: [shipment.courier],
+    includeUnserviceable: true
+  };
+
+  let mode;
+  const prices = [];
+  for (const weight of weights) {
+    const quotes = await calculateCourierRates({ ...base, weight, mode });
+    if (!mode) {
+      const charged = parseFloat(shipment.shippingCharge);
+      quotes.sort((a, b) => Math.abs(a.total - charged) - Math.abs(b.total - charged));
+      mode = quotes[0]?.mode;
+    }
+    const quote = quotes[0];
+    if (!quote) throw new WeightDisputeError(`${shipment.courier} has no rate on the seller's rate card for AWB ${shipment.awb}`);
+    prices.push({ weight, total: round2(quote.total), gst: round2(quote.breakdown?.gst || 0) });
+  }
+  return prices;
+};
+
+const findShipment = (awb) =>
+  SellerShipment.findOne({ $or: [{ awb }, { 'pieces.awb': awb }], direction: { $ne: 'reverse' } });
+
+/**
+ * Import the weights a courier applied. Rows are matched to shipments by AWB; a row opens a
+ * dispute when the applied weight is above the declared one and the shipment has none yet.
+ * @param {Object} options - { rows, courier: limit the file to one courier, source: file name, actor }
+ * @returns {Promise<Object>} - { rows, created, skipped: [{ row, awb, message }], errors: [{ row, message }] }
+ */
+export const importWeightDiscrepancies = async ({ rows, courier, source, actor }) => {
+  const result = { rows: rows.length, created: 0, skipped: [], errors: [] };
+  const slaDueAt = new Date(Date.now() + WEIGHT_DISPUTE_CONFIG.slaDays * DAY);
+
+  for (const [index, row] of rows.entries()) {
+    // Row numbers as in the file (header is row 1)
+    const rowNumber = index + 2;
+    const values = toRowValues(row);
+    const awb = (values.awb ?? '').toString().trim();
+    const applied = parseNumber(values.applied);
+
+    if (!awb) {
+      result.errors.push({ row: rowNumber, message: 'AWB is missing' });
+      continue;
+    }
+    if (!(applied > 0)) {
+      result.errors.push({ row: rowNumber, message: `Invalid applied weight "${values.applied}"` });
+      continue;
+    }
+
+    try {
+      const shipment = await findShipment(awb);
+      if (!shipment) {
+        result.errors.push({ row: rowNumber, message: `No shipment found for AWB ${awb}` });
+        continue;
+      }
+      if (courier && shipment.courier?.toUpperCase() !== courier.toUpperCase()) {
+        result.errors.push({ row: rowNumber, message: `AWB ${awb} was shipped with ${shipment.courier}, not ${courier}` });
+        continue;
+      }
+
+      const given = shipment.chargeableWeight || parseFloat(shipment.weight) || 0;
+      if (applied - given < WEIGHT_DISPUTE_CONFIG.tolerance) {
+        result.skipped.push({ row: rowNumber, awb, message: `Applied weight ${applied} kg is not above the declared ${given} kg` });
+        continue;
+      }
+      if (await WeightDispute.exists({ shipment: shipment._id })) {
+        result.skipped.push({ row: rowNumber, awb, message: 'Shipment already has a weight dispute' });
+        continue;
+      }
+
+      const order = await SellerOrder.findById(shipment.orderId).setOptions({ skipDefaultFilter: true }).lean();
+      if (!order) {
+        result.errors.push({ row: rowNumber, message: `Order of AWB ${awb} not found` });
+        continue;
+      }
+      const [givenCharge, appliedCharge] = await priceShipmentWeights(shipment, order, [given, applied]);
+      const dimensions = { length: parseNumber(values.length), width: parseNumber(values.width), height: parseNumber(values.height) };
+
+      await WeightDispute.create({
+        shipment: shipment._id,
+        awbNumber: shipment.awb,
+        orderId: order.orderId,
+        given,
+        applied,
+        difference: round2(applied - given),
+        product: order.items?.map(item => item.name).filter(Boolean).join(', '),
+        status: 'Action Required',
+        courierPartner: shipment.courier,
+        seller: shipment.seller,
+        courierDimensions: Object.values(dimensions).every(value => value > 0) ? dimensions : undefined,
+        courierRemarks: values.remarks ? values.remarks.toString() : undefined,
+        importedFrom: source,
+        importedBy: actor,
+        charges: { given: givenCharge, applied: appliedCharge },
+        slaDueAt,
+        history: [{
+          status: 'Action Required',
+          remarks: `${shipment.courier} applied ${applied} kg against ${given} kg declared`,
+          source: 'Admin',
+          updatedBy: actor
+        }]
+      });
+      result.created++;
+    } catch (error) {
+      result.errors.push({ row: rowNumber, message: error.message });
+    }
+  }
+
+  return result;
+};
+
+// Move a dispute on if it is still in `from` (so two sides cannot close it at once)
+const transition = async (dispute, from, set, { remarks, source, actor }) => {
+  const updated = await WeightDispute.findOneAndUpdate(
+    { _id: dispute._id, status: { $in: [].concat(from) } },
+    {
+      $set: set,
+      $push: { history: { status: set.status, remarks, source, updatedBy: actor, timestamp: new Date() } }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    const current = await WeightDispute.findById(dispute._id).select('status').lean();
+    throw new WeightDisputeError(`Weight dispute is already ${current?.status || 'closed'}`, 409);
+  }
+  return updated;
+};
+
+const assertWithinSla = (dispute) => {
+  if (dispute.slaDueAt && dispute.slaDueAt < new Date()) {
+    throw new WeightDisputeError('The time to respond to this weight dispute has passed', 410);
+  }
+};
+
+// Settlements not posted yet, failed, or left in Processing by an attempt that was interrupted
+const claimableSettlement = () => ({
+  $or: [
+    { 'settlement.status': { $in: ['Pending', 'Failed'] } },
+    {
+      'settlement.status': 'Processing',
+      'settlement.claimedAt': { $lt: new Date(Date.now() - WEIGHT_DISPUTE_CONFIG.processingTimeout) }
+    }
+  ]
+});
+
+/**
+ * Post the freight difference of a closed dispute to the seller's wallet. Safe to call again:
+ * only a Pending, Failed or interrupted settlement is claimed (the monitor retries them), and
+ * a wallet posting already made for the dispute is recorded rather than made again.
+ * @param {Object} dispute - WeightDispute document
+ * @returns {Promise<Object>} - The dispute
+ */
+export const settleWeightDispute = async (dispute) => {
+  const claimed = await WeightDispute.findOneAndUpdate(
+    { _id: dispute._id, ...claimableSettlement() },
+    { $set: { 'settlement.status': 'Processing', 'settlement.claimedAt': new Date() }, $inc: { 'settlement.attempts': 1 } },
+    { new: true }
+  );
+  if (!claimed) return dispute;
+
+  try {
+    const shipment = await SellerShipment.findById(claimed.shipment);
+    if (!shipment) throw new WeightDisputeError('Shipment of the dispute not found', 404);
+
+    let finalCharge;
+    if (claimed.finalWeight === claimed.applied && claimed.charges?.applied) {
+      finalCharge = claimed.charges.applied;
+    } else if (claimed.finalWeight === claimed.given && claimed.charges?.given) {
+      finalCharge = claimed.charges.given;
+    } else {
+      const order = await SellerOrder.findById(shipment.orderId).setOptions({ skipDefaultFilter: true }).lean();
+      if (!order) throw new WeightDisputeError('Order of the dispute not found', 404);
+      [, finalCharge] = await priceShipmentWeights(shipment, order, [claimed.given, claimed.finalWeight]);
+    }
+
+    const amount = round2(finalCharge.total - (claimed.charges?.given?.total || 0));
+    const gst = round2(finalCharge.gst - (claimed.charges?.given?.gst || 0));
+    const posting = {
+      sellerId: claimed.seller,
+      orderId: shipment.orderId,
+      referenceNumber: claimed.awbNumber,
+      ledgerType: 'adjustment',
+      transactionAgainst: claimed.awbNumber,
+      metadata: { weightDisputeId: String(claimed._id), finalWeight: claimed.finalWeight, declaredWeight: claimed.given }
+    };
+
+    // An earlier attempt may have posted to the wallet and failed before recording it
+    const posted = await WalletTransaction.findOne({
+      seller: claimed.seller,
+      'metadata.weightDisputeId': String(claimed._id)
+    }).lean();
+
+    let settlement;
+    if (posted) {
+      const ledger = await Ledger.findOne({ seller: claimed.seller, 'metadata.walletTransactionId': String(posted._id) })
+        .select('_id')
+        .lean();
+      settlement = {
+        type: posted.type === 'Debit' ? 'Debit' : 'Credit',
+        amount: parseFloat(posted.amount),
+        gst: posted.type === 'Debit' ? parseFloat(posted.igst) : -gst,
+        walletTransaction: posted._id,
+        ledger: ledger?._id,
+        status: 'Settled'
+      };
+    } else if (amount > 0) {
+      const { transaction, ledger } = await debitSellerWallet({
+        ...posting,
+        amount,
+        gst: Math.max(gst, 0),
+        force: true, // the courier has already charged for the weight
+        remark: `Weight discrepancy charge for AWB ${claimed.awbNumber}: ${claimed.finalWeight} kg against ${claimed.given} kg declared`
+      });
+      settlement = { type: 'Debit', amount, gst, walletTransaction: transaction._id, ledger: ledger._id, status: 'Settled' };
+    } else if (amount < 0) {
+      const { transaction, ledger } = await creditSellerWallet({
+        ...posting,
+        amount: -amount,
+        remark: `Weight revised for AWB ${claimed.awbNumber}: ${claimed.finalWeight} kg against ${claimed.given} kg declared`
+      });
+      settlement = { type: 'Credit', amount: -amount, gst: -gst, walletTransaction: transaction._id, ledger: ledger._id, status: 'Settled' };
+    } else {
+      settlement = { amount: 0, status: 'Not Required' };
+    }
+
+    return WeightDispute.findByIdAndUpdate(claimed._id, {
+      $set: {
+        ...Object.fromEntries(Object.entries(settlement).map(([key, value]) => [`settlement.${key}`, value])),
+        'settlement.settledAt': new Date(),
+        'settlement.lastError': null
+      }
+    }, { new: true });
+  } catch (error) {
+    logger.error(`Weight dispute ${claimed._id} (AWB ${claimed.awbNumber}) not settled: ${error.message}`);
+    return WeightDispute.findByIdAndUpdate(claimed._id, {
+      $set: { 'settlement.status': 'Failed', 'settlement.lastError': error.message }
+    }, { new: true });
+  }
+};
+
+/**
+ * Accept the courier's weight; the difference is charged to the seller
+ * @param {Object} dispute - WeightDispute document
+ * @param {Object} options - { actor: { id, name, role }, source: 'Seller' | 'System', remarks }
+ * @returns {Promise<Object>} - The settled dispute
+ */
+export const acceptWeightDispute = async (dispute, { actor, source = 'Seller', remarks } = {}) => {
+  const auto = source === 'System';
+  if (!auto) assertWithinSla(dispute);
+
+  const accepted = await transition(dispute, 'Action Required', {
+    status: 'Closed Dispute',
+    accepted: true,
+    resolution: auto ? 'Auto Accepted' : 'Accepted',
+    finalWeight: dispute.applied,
+    settlement: { status: 'Pending', attempts: 0 }
+  }, {
+    remarks: remarks || (auto ? 'Not responded to within the SLA, accepted automatically' : 'Accepted by the seller'),
+    source,
+    actor
+  });
+  return settleWeightDispute(accepted);
+};
+
+/**
+ * Store dispute evidence photos (multer files) and return their details
+ * @param {Array} files - Multer files
+ * @param {string} awb - AWB of the dispute
+ * @returns {Promise<Array>} - [{ url, name, type, size }]
+ */
+const storeEvidencePhotos = async (files = [], awb) => {
+  if (!files.length) throw new WeightDisputeError('Attach at least one photo of the packed product');
+  if (files.length > WEIGHT_DISPUTE_CONFIG.maxPhotos) {
+    throw new WeightDisputeError(`At most ${WEIGHT_DISPUTE_CONFIG.maxPhotos} photos can be attached`);
+  }
+  const invalid = files.find(file => !WEIGHT_DISPUTE_CONFIG.photoTypes.includes(file.mimetype));
+  if (invalid) throw new WeightDisputeError(`Photo ${invalid.originalname} must be a JPEG or PNG image`);
+
+  const photos = [];
+  for (const [index, file] of files.entries()) {
+    const url = await uploadToS3(file, `weight-disputes/${awb}/${Date.now()}-${index}-${file.originalname}`);
+    photos.push({ url, name: file.originalname, type: file.mimetype, size: file.size });
+  }
+  return photos;
+};
+
+/**
+ * Dispute the courier's weight with evidence, for ops to decide
+ * @param {Object} dispute - WeightDispute document
+ * @param {Object} evidence - { files: multer photos, dimensions: { length, width, height }, weight, comments }
+ * @param {Object} options - { actor }
+ * @returns {Promise<Object>} - The dispute
+ */
+export const raiseWeightDispute = async (dispute, { files, dimensions, weight, comments }, { actor } = {}) => {
+  if (dispute.status !== 'Action Required') {
+    throw new WeightDisputeError(`Weight dispute is already ${dispute.status}`, 409);
+  }
+  assertWithinSla(dispute);
+
+  const photos = await storeEvidencePhotos(files, dispute.awbNumber);
+  return transition(dispute, 'Action Required', {
+    status: 'Open Dispute',
+    comments,
+    evidence: { photos, dimensions, weight, submittedAt: new Date() }
+  }, { remarks: comments || 'Disputed by the seller', source: 'Seller', actor });
+};
+
+/**
+ * Decide a disputed weight and settle the difference
+ * @param {Object} dispute - WeightDispute document
+ * @param {Object} decision - { outcome: 'Upheld' | 'Rejected' | 'Partially Upheld', revisedWeight: for Partially Upheld, remarks }
+ * @param {Object} options - { actor }
+ * @returns {Promise<Object>} - The settled dispute
+ */
+export const decideWeightDispute = async (dispute, { outcome, revisedWeight, remarks }, { actor } = {}) => {
+  let finalWeight = dispute.applied;
+  if (outcome === 'Upheld') finalWeight = dispute.given;
+  if (outcome === 'Partially Upheld') {
+    if (!(revisedWeight > 0) || revisedWeight >= dispute.applied) {
+      throw new WeightDisputeError(`Revised weight must be below the applied ${dispute.applied} kg`);
+    }
+    finalWeight = revisedWeight;
+  }
+
+  const decided = await transition(dispute, 'Open Dispute', {
+    status: outcome === 'Rejected' ? 'Closed Dispute' : 'Closed Resolved',
+    resolution: outcome,
+    finalWeight,
+    ...(outcome === 'Partially Upheld' && { revised: revisedWeight }),
+    decision: { remarks, decidedBy: actor, decidedAt: new Date() },
+    settlement: { status: 'Pending', attempts: 0 }
+  }, { remarks: remarks || `Dispute ${outcome.toLowerCase()}`, source: 'Admin', actor });
+  return settleWeightDispute(decided);
+};
+
+/**
+ * Accept disputes whose SLA has passed and retry settlements that failed
+ * @returns {Promise<Object>} - { autoAccepted, settled }
+ */
+export const processWeightDisputes = async () => {
+  const result = { autoAccepted: 0, settled: 0 };
+
+  const overdue = await WeightDispute.find({ status: 'Action Required', slaDueAt: { $lte: new Date() } })
+    .limit(WEIGHT_DISPUTE_CONFIG.batchSize);
+  for (const dispute of overdue) {
+    try {
+      await acceptWeightDispute(dispute, { source: 'System' });
+      result.autoAccepted++;
+    } catch (error) {
+      logger.error(`Weight dispute ${dispute._id} not auto-accepted: ${error.message}`);
+    }
+  }
+
+  const unsettled = await WeightDispute.find({
+    ...claimableSettlement(),
+    'settlement.attempts': { $lt: WEIGHT_DISPUTE_CONFIG.maxSettlementAttempts }
+  }).limit(WEIGHT_DISPUTE_CONFIG.batchSize);
+  for (const dispute of unsettled) {
+    const settled = await settleWeightDispute(dispute);
+    if (['Settled', 'Not Required'].includes(settled?.settlement?.status)) result.settled++;
+  }
+
+  return result;
+};
+
+let monitorIntervalId = null;
+
+// Auto-accept overdue disputes and retry failed settlements periodically
+export const startWeightDisputeMonitor = () => {
+  if (monitorIntervalId || !WEIGHT_DISPUTE_CONFIG.monitorEnabled) return;
+
+  monitorIntervalId = setInterval(() => {
+    processWeightDisputes().catch(error => logger.error(`Weight dispute monitor failed: ${error.message}`));
+  }, WEIGHT_DISPUTE_CONFIG.monitorInterval);
+};
+
+export const stopWeightDisputeMonitor = () => {
+  if (monitorIntervalId) {
+    clearInterval(monitorIntervalId);
+    monitorIntervalId = null;
+  }
+};
@@ -0,0 +1,43 @@
+import axios from 'axios';
+import { logger } from './logger.js';
+
+/**
+ * Send a WhatsApp template message from a seller's WhatsApp Business number
+ * @param {Object} settings - Seller's WhatsAppSettings (apiKey, apiSecret, senderNumber)
+ * @param {Object} params
+ * @param {string} params.to - Phone number to send to
+ * @param {string} params.templateId - Template ID approved for the seller's number
+ * @param {Object} [params.variables] - Template variables
+ */
+export const sendWhatsApp = async (settings, { to, templateId, variables = {} }) => {
+  try {
+    // WhatsApp needs the number with the country code
+    const phoneNumber = to.toString().replace(/^\+?91/, '').replace(/\D/g, '');
+
+    const response = await axios.post(process.env.WHATSAPP_API_URL, {
+      from: settings.senderNumber,
+      to: `91${phoneNumber}`,
+      type: 'template',
+      template: { id: templateId, variables }
+    }, {
+      auth: { username: settings.apiKey, password: settings.apiSecret },
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+    logger.info('WhatsApp message sent successfully', {
+      messageId: response.data?.messageId,
+      mobileNumber: phoneNumber
+    });
+    return {
+      success: true,
+      messageId: response.data?.messageId,
+      message: 'WhatsApp message sent successfully'
+    };
+  } catch (error) {
+    logger.error('Error sending WhatsApp message', {
+      error: error.response?.data || error.message,
+      mobileNumber: to
+    });
+    throw new Error('Failed to send WhatsApp message: ' + (error.response?.data?.message || error.message));
+  }
+};
@@ -1,5 +1,37 @@
 import axios from 'axios';
 import { logger } from './logger.js';
+import { defineCourierAdapter } from './courierAdapter.js';
+import { SHIPMENT_STATUS } from './shipmentStatus.js';
+
+// Xpressbees status codes/strings mapped to the canonical shipment status
+export const statusMap = {
+  codes: {
+    PP: SHIPMENT_STATUS.PENDING_PICKUP,
+    PKD: SHIPMENT_STATUS.PICKED_UP,
+    IT: SHIPMENT_STATUS.IN_TRANSIT,
+    OFD: SHIPMENT_STATUS.OUT_FOR_DELIVERY,
+    DLVD: SHIPMENT_STATUS.DELIVERED,
+    UD: SHIPMENT_STATUS.NDR,
+    RTO: SHIPMENT_STATUS.RTO_INITIATED,
+    RTD: SHIPMENT_STATUS.RTO_DELIVERED,
+    LOST: SHIPMENT_STATUS.LOST
+  },
+  statuses: {
+    'pending pickup': SHIPMENT_STATUS.PENDING_PICKUP,
+    'picked': SHIPMENT_STATUS.PICKED_UP
+  }
+};
+
+// Xpressbees non-delivery reasons mapped to NDR reason categories
+export const ndrReasonMap = {
+  codes: {},
+  keywords: {
+    'customer not available': 'Customer Not Available',
+    'cod amount not ready': 'Customer Not Available',
+    'customer refused': 'Customer Refusal',
+    'wrong address': 'Address Issues'
+  }
+};
 
 /**
  * Calculate shipping rates for Xpressbees
@@ -13,7 +45,7 @@ export const calculateRate = async (packageDetails, deliveryDetails, partnerDeta
     // In a real implementation, this would call the Xpressbees API
     // For now, use a simplified calculation based on weight and distance
     
-    const weight = packageDetails.weight;
+    const weight = packageDetails.chargeableWeight || packageDetails.weight;
     const isCOD = packageDetails.paymentMode === 'COD';
     
     // Basic rate calculation
@@ -21,17 +53,15 @@ export const calculateRate = async (packageDetails, deliveryDetails, partnerDeta
     const weightCharge = weight * 19;
     const codCharge = isCOD ? 27 : 0;
     
-    // Calculate estimated delivery days based on service type
+    // Express service by partner name; delivery dates come from the EDD service (utils/edd.js)
     const isExpress = partnerDetails.name.toLowerCase().includes('express');
-    const estimatedDays = isExpress ? '1-3 days' : '2-4 days';
     
     return {
       success: true,
       provider: {
         id: partnerDetails.id,
         name: partnerDetails.name,
-        expressDelivery: isExpress,
-        estimatedDays
+        expressDelivery: isExpress
       },
       totalRate: Math.round(baseRate + weightCharge + codCharge),
       breakdown: {
@@ -95,9 +125,9 @@ export const trackShipment = async (trackingNumber, partnerDetails) => {
       status: 'In Transit',
       deliveryDate: null,
       currentLocation: 'Pune Hub',
-      history: [
-        { timestamp: new Date(Date.now() - 86400000), status: 'Picked Up', location: 'Seller Warehouse' },
-        { timestamp: new Date(), status: 'In Transit', location: 'Pune Hub' }
+      trackingHistory: [
+        { timestamp: new Date(Date.now() - 86400000), status: 'Picked Up', location: 'Seller Warehouse', description: 'Shipment picked up' },
+        { timestamp: new Date(), status: 'In Transit', location: 'Pune Hub', description: 'Shipment in transit' }
       ],
       courierName: partnerDetails.name
     };
@@ -109,4 +139,186 @@ export const trackShipment = async (trackingNumber, partnerDetails) => {
       courierName: partnerDetails.name
     };
   }
-}; 
\ No newline at end of file
+};
+
+/**
+ * Cancel a shipment with Xpressbees
+ * @param {string} awb - AWB number to cancel
+ * @param {Object} partnerDetails - Partner configuration from the database
+ * @returns {Object} - Cancellation response
+ */
+export const cancelShipment = async (awb, partnerDetails) => {
+  try {
+    // For development/testing, return mock data
+    // In production, this would integrate with Xpressbees's API
+
+    return {
+      success: true,
+      awb,
+      referenceId: `XPB-CXL-${Date.now()}`,
+      courierName: partnerDetails.name,
+      message: 'Shipment cancelled successfully'
+    };
+  } catch (error) {
+    logger.error(`Xpressbees cancellation error: ${error.message}`);
+    return {
+      success: false,
+      error: error.message,
+      courierName: partnerDetails.name
+    };
+  }
+};
+
+/**
+ * Generate a pickup manifest with Xpressbees
+ * @param {Array<string>} awbs - AWB numbers to include in the manifest
+ * @param {Object} partnerDetails - Partner configuration from the database
+ * @returns {Object} - Manifest response
+ */
+export const generateManifest = async (awbs, partnerDetails) => {
+  try {
+    // For development/testing, return mock data
+    // In production, this would integrate with Xpressbees's API
+
+    return {
+      success: true,
+      manifestId: `XPB-MNF-${Date.now()}`,
+      awbs,
+      manifest: 'mock-xpressbees-manifest-base64',
+      courierName: partnerDetails.name
+    };
+  } catch (error) {
+    logger.error(`Xpressbees manifest error: ${error.message}`);
+    return {
+      success: false,
+      error: error.message,
+      courierName: partnerDetails.name
+    };
+  }
+};
+
+/**
+ * Schedule a pickup with Xpressbees
+ * @param {Object} pickupDetails - Pickup address, date, slot and AWBs
+ * @param {Object} partnerDetails - Partner configuration from the database
+ * @returns {Object} - Pickup response with the courier's pickup ID
+ */
+export const schedulePickup = async (pickupDetails, partnerDetails) => {
+  try {
+    // For development/testing, return mock data
+    // In production, this would integrate with Xpressbees's API
+
+    return {
+      success: true,
+      pickupId: `XPB-PKP-${Date.now()}`,
+      pickupDate: pickupDetails.pickupDate,
+      slot: pickupDetails.slot,
+      courierName: partnerDetails.name,
+      message: 'Pickup scheduled successfully'
+    };
+  } catch (error) {
+    logger.error(`Xpressbees pickup error: ${error.message}`);
+    return {
+      success: false,
+      error: error.message,
+      courierName: partnerDetails.name
+    };
+  }
+};
+
+/**
+ * Book a reverse pickup (customer return) with Xpressbees
+ * @param {Object} returnDetails - Return reference, package, pickup (buyer) and consignee (seller) addresses
+ * @param {Object} partnerDetails - Partner configuration from the database
+ * @returns {Object} - Reverse shipment AWB and the courier's pickup ID
+ */
+export const bookReversePickup = async (returnDetails, partnerDetails) => {
+  try {
+    // For development/testing, return mock data
+    // In production, this would integrate with Xpressbees's API
+
+    const awb = `XPBR${Date.now()}`;
+    return {
+      success: true,
+      awb,
+      pickupId: `XPB-RVP-${Date.now()}`,
+      trackingUrl: `https://www.xpressbees.com/track/${awb}`,
+      courierName: partnerDetails.name,
+      message: 'Reverse pickup booked successfully'
+    };
+  } catch (error) {
+    logger.error(`Xpressbees reverse pickup error: ${error.message}`);
+    return {
+      success: false,
+      error: error.message,
+      courierName: partnerDetails.name
+    };
+  }
+};
+
+/**
+ * Push an NDR action (re-attempt, address/phone change, RTO) to Xpressbees
+ * @param {string} awb - AWB number of the undelivered shipment
+ * @param {Object} action - Action details ({ type, reattemptDate, address, phone, remarks })
+ * @param {Object} partnerDetails - Partner configuration from the database
+ * @returns {Object} - Action response with the courier's reference ID
+ */
+export const submitNDRAction = async (awb, action, partnerDetails) => {
+  try {
+    // For development/testing, return mock data
+    // In production, this would integrate with Xpressbees's API
+
+    return {
+      success: true,
+      awb,
+      action: action.type,
+      referenceId: `XPB-NDR-${Date.now()}`,
+      courierName: partnerDetails.name,
+      message: 'NDR action submitted successfully'
+    };
+  } catch (error) {
+    logger.error(`Xpressbees NDR action error: ${error.message}`);
+    return {
+      success: false,
+      error: error.message,
+      courierName: partnerDetails.name
+    };
+  }
+};
+
+/**
+ * Parse an Xpressbees tracking push into tracking events
+ * Xpressbees pushes { awb_number, status, status_code, event_time, location, message }
+ * @param {Object} payload - Parsed webhook body
+ * @returns {Array} - Tracking events
+ */
+export const parseWebhook = (payload) => {
+  const events = Array.isArray(payload.data) ? payload.data : [payload];
+
+  return events
+    .filter(event => event.awb_number)
+    .map(event => ({
+      awb: event.awb_number,
+      status: event.status,
+      code: event.status_code,
+      timestamp: event.event_time ? new Date(event.event_time) : new Date(),
+      location: event.location,
+      description: event.message || event.status
+    }));
+};
+
+export default defineCourierAdapter({
+  code: 'XPRESSBEES',
+  name: 'Xpressbees',
+  statusMap,
+  ndrReasonMap,
+  calculateRate,
+  bookShipment,
+  trackShipment,
+  cancelShipment,
+  generateManifest,
+  schedulePickup,
+  bookReversePickup,
+  submitNDRAction,
+  parseWebhook
+});
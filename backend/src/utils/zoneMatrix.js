@@ -0,0 +1,140 @@
+import ZoneMatrix from '../modules/admin/models/zoneMatrix.model.js';
+import OdaPincode from '../modules/admin/models/odaPincode.model.js';
+import { getPincodeDetails } from './pincode.js';
+import { getCache, setCache, deleteCache } from './redis.js';
+
+const ZONE_MATRIX_CACHE_KEY = 'zone-matrix';
+const ZONE_MATRIX_CACHE_TTL = 300; // 5 minutes
+
+/**
+ * Get the zone matrix in use, cached between rate calculations
+ * @returns {Promise<Object>} - { metros, specialRegions, customZones }
+ */
+export const getZoneMatrix = async () => {
+  const cached = await getCache(ZONE_MATRIX_CACHE_KEY);
+  if (cached) return cached;
+
+  const matrix = await ZoneMatrix.getMatrix();
+  await setCache(ZONE_MATRIX_CACHE_KEY, matrix, ZONE_MATRIX_CACHE_TTL);
+  return matrix;
+};
+
+// Must be called whenever the matrix is saved
+export const clearZoneMatrixCache = () => deleteCache(ZONE_MATRIX_CACHE_KEY);
+
+// Compare state/district names regardless of case, spacing and '&' vs 'and'
+export const normalizeName = (name) => (name || '')
+  .toString()
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const inList = (list = [], name) => Boolean(name) && list.some(entry => normalizeName(entry) === normalizeName(name));
+
+const hasCriteria = (criteria) => Boolean(
+  criteria && (criteria.states?.length || criteria.districts?.length || criteria.pincodes?.length)
+);
+
+// Every list that is set must contain the location
+const matchesLocation = (criteria, pincode, details) => {
+  if (!hasCriteria(criteria)) return true;
+  if (criteria.pincodes?.length && !criteria.pincodes.includes(pincode)) return false;
+  if (criteria.districts?.length && !inList(criteria.districts, details?.district)) return false;
+  if (criteria.states?.length && !inList(criteria.states, details?.state)) return false;
+  return true;
+};
+
+const findMetro = (metros = [], pincode, details) => metros.find(metro =>
+  metro.pincodes?.includes(pincode) || inList(metro.districts, details?.district)
+);
+
+const describeLocation = (pincode, details) => ({
+  pincode,
+  district: details?.district || null,
+  state: details?.state || null
+});
+
+/**
+ * Work out the pricing zone of a lane and the rule that decided it. Rules are checked in order:
+ * custom zones (by priority), special regions, same city/metro, same state, metro to metro, rest of India.
+ * @param {string} pickupPincode - Origin pincode
+ * @param {string} deliveryPincode - Destination pincode
+ * @returns {Promise<Object>} - { zone, rule: { type, name, description }, pickup, delivery }
+ */
+export const resolveZone = async (pickupPincode, deliveryPincode) => {
+  const from = String(pickupPincode);
+  const to = String(deliveryPincode);
+
+  const [matrix, pickup, delivery] = await Promise.all([
+    getZoneMatrix(),
+    getPincodeDetails(from),
+    getPincodeDetails(to)
+  ]);
+
+  const result = (zone, type, name, description) => ({
+    zone,
+    rule: { type, name, description },
+    pickup: describeLocation(from, pickup),
+    delivery: describeLocation(to, delivery)
+  });
+
+  const customZone = (matrix.customZones || [])
+    .filter(rule => rule.isActive !== false && (hasCriteria(rule.origin) || hasCriteria(rule.destination)))
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0))
+    .find(rule => matchesLocation(rule.origin, from, pickup) && matchesLocation(rule.destination, to, delivery));
+
+  if (customZone) {
+    return result(customZone.zone, 'custom', customZone.name, `Matched custom zone rule "${customZone.name}"`);
+  }
+
+  if (!pickup || !delivery) {
+    const unknown = !pickup ? from : to;
+    return result('REST_OF_INDIA', 'unknown_pincode', 'Unknown pincode', `Pincode ${unknown} not found, priced as rest of India`);
+  }
+
+  const region = (matrix.specialRegions || []).find(specialRegion =>
+    specialRegion.pincodes?.includes(to) || inList(specialRegion.states, delivery.state)
+  );
+
+  if (region) {
+    return result(region.zone, 'special_region', region.name, `Delivery to special region ${region.name}`);
+  }
+
+  const pickupMetro = findMetro(matrix.metros, from, pickup);
+  const deliveryMetro = findMetro(matrix.metros, to, delivery);
+  const sameState = normalizeName(pickup.state) === normalizeName(delivery.state);
+
+  if (pickupMetro && pickupMetro === deliveryMetro) {
+    return result('WITHIN_CITY', 'same_city', pickupMetro.name, `Pickup and delivery within metro ${pickupMetro.name}`);
+  }
+
+  if (sameState && normalizeName(pickup.district) === normalizeName(delivery.district)) {
+    return result('WITHIN_CITY', 'same_city', delivery.district, `Pickup and delivery within ${delivery.district}`);
+  }
+
+  if (sameState) {
+    return result('WITHIN_STATE', 'same_state', delivery.state, `Pickup and delivery within ${delivery.state}`);
+  }
+
+  if (pickupMetro && deliveryMetro) {
+    return result(
+      'METRO_TO_METRO',
+      'metro_to_metro',
+      `${pickupMetro.name} - ${deliveryMetro.name}`,
+      `Between metros ${pickupMetro.name} and ${deliveryMetro.name}`
+    );
+  }
+
+  return result('REST_OF_INDIA', 'rest_of_india', 'Rest of India', 'No other zone rule matched');
+};
+
+/**
+ * Couriers that treat a pincode as out of delivery area
+ * @param {string} pincode - Delivery pincode
+ * @returns {Promise<Set<string>>} - Courier codes
+ */
+export const getOdaCouriers = async (pincode) => {
+  const couriers = await OdaPincode.distinct('courier', { pincode: String(pincode) });
+  return new Set(couriers);
+};
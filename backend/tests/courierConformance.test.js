@@ -0,0 +1,27 @@
+import { startMockCourierServer } from '../src/scripts/mock-courier-server.js';
+import { listCourierAdapters } from '../src/utils/courierRegistry.js';
+import { createConformanceContext, getConformanceChecks } from '../src/utils/courierConformance.js';
+
+// Every registered adapter against the mock courier server (see utils/courierConformance.js)
+let server;
+
+beforeAll(async () => {
+  server = await startMockCourierServer();
+});
+
+afterAll(async () => {
+  await server?.close();
+});
+
+describe.each(listCourierAdapters().map(adapter => [adapter.code, adapter]))('%s adapter', (code, adapter) => {
+  let ctx;
+
+  beforeAll(() => {
+    ctx = createConformanceContext(adapter, server);
+  });
+
+  // The checks share the context and run in order: later ones use the AWB booked earlier
+  test.each(getConformanceChecks(adapter).map(check => [check.name, check]))('%s', async (name, check) => {
+    await check.run(adapter, ctx);
+  });
+});
@@ -0,0 +1,110 @@
+import { jest } from '@jest/globals';
+import { createMemoryModel } from './support/memoryModel.js';
+
+const Product = createMemoryModel({ defaults: { reservedStock: 0 } });
+const WarehouseItem = createMemoryModel({ defaults: { reservedQuantity: 0, status: 'In Stock' } });
+const StockHistory = createMemoryModel();
+const SellerOrder = createMemoryModel({ defaults: { stockStatus: null } });
+const sendLowStockAlert = jest.fn(async () => {});
+
+jest.unstable_mockModule('../src/modules/seller/models/product.model.js', () => ({ default: Product }));
+jest.unstable_mockModule('../src/modules/seller/models/warehouseItem.model.js', () => ({ default: WarehouseItem }));
+jest.unstable_mockModule('../src/modules/seller/models/stockHistory.model.js', () => ({ default: StockHistory }));
+jest.unstable_mockModule('../src/modules/seller/models/order.model.js', () => ({ default: SellerOrder }));
+jest.unstable_mockModule('../src/modules/seller/services/realtime.service.js', () => ({ sendLowStockAlert }));
+
+const { moveStock, reserveOrderStock, syncOrderStock } = await import('../src/utils/inventory.js');
+
+const seller = 'seller-1';
+const store = 'store-1';
+let product;
+let item;
+
+beforeEach(() => {
+  [Product, WarehouseItem, StockHistory, SellerOrder].forEach(model => model.reset());
+  sendLowStockAlert.mockClear();
+  [product] = Product.seed({ seller, sku: 'SKU-1', name: 'Mug', stock: 20, inventory: { lowStockThreshold: 5 } });
+  [item] = WarehouseItem.seed({ seller, sku: 'SKU-1', store, quantity: 20 });
+});
+
+describe('moveStock', () => {
+  test('adds up concurrent movements of the same SKU', async () => {
+    await Promise.all([1, 2, 3, 4].map(() => moveStock({ seller, sku: 'SKU-1', onHand: -5, store, warehouseItem: item })));
+
+    expect(Product.stored(product._id).stock).toBe(0);
+    expect(WarehouseItem.stored(item._id)).toMatchObject({ quantity: 0, status: 'Out of Stock' });
+    expect(StockHistory.docs.size).toBe(4);
+  });
+
+  test('moves nothing when the units are not free at the warehouse', async () => {
+    await WarehouseItem.updateOne({ _id: item._id }, { $set: { quantity: 10, reservedQuantity: 4 } });
+
+    expect(await moveStock({ seller, sku: 'SKU-1', onHand: -8, store, available: 8 })).toBe(0);
+    expect(WarehouseItem.stored(item._id).quantity).toBe(10);
+    expect(Product.stored(product._id).stock).toBe(20);
+    expect(StockHistory.docs.size).toBe(0);
+  });
+
+  test('lets only the takes that fit through when they race for free stock', async () => {
+    await WarehouseItem.updateOne({ _id: item._id }, { $set: { quantity: 10, reservedQuantity: 4 } });
+
+    const moved = await Promise.all([1, 2].map(() => moveStock({ seller, sku: 'SKU-1', onHand: -4, store, available: 4 })));
+
+    expect(moved.sort()).toEqual([0, 4]);
+    expect(WarehouseItem.stored(item._id).quantity).toBe(6);
+    expect(Product.stored(product._id).stock).toBe(16);
+  });
+
+  test('alerts the seller once available stock falls to the threshold', async () => {
+    await moveStock({ seller, sku: 'SKU-1', onHand: -10, store });
+    expect(sendLowStockAlert).not.toHaveBeenCalled();
+
+    await moveStock({ seller, sku: 'SKU-1', onHand: -5, store });
+    expect(sendLowStockAlert).toHaveBeenCalledWith(seller, expect.objectContaining({ sku: 'SKU-1', available: 5, threshold: 5 }));
+  });
+});
+
+describe('order stock', () => {
+  const seedOrder = () => SellerOrder.seed({
+    seller,
+    orderId: 'ORD-1',
+    status: 'Pending',
+    fulfilment: { store },
+    items: [{ sku: 'SKU-1', quantity: 3 }]
+  })[0];
+
+  test('reserves an order once when it is reserved twice at the same time', async () => {
+    const order = seedOrder();
+    const copies = await Promise.all([SellerOrder.findById(order._id), SellerOrder.findById(order._id)]);
+
+    await Promise.all(copies.map(reserveOrderStock));
+
+    expect(Product.stored(product._id)).toMatchObject({ stock: 20, reservedStock: 3 });
+    expect(WarehouseItem.stored(item._id)).toMatchObject({ quantity: 20, reservedQuantity: 3 });
+    expect(SellerOrder.stored(order._id).stockStatus).toBe('Reserved');
+  });
+
+  test('turns the reservation into a deduction once the order ships', async () => {
+    const order = await reserveOrderStock(seedOrder());
+
+    order.status = 'Shipped';
+    await syncOrderStock(order);
+    await syncOrderStock(order);
+
+    expect(Product.stored(product._id)).toMatchObject({ stock: 17, reservedStock: 0 });
+    expect(WarehouseItem.stored(item._id)).toMatchObject({ quantity: 17, reservedQuantity: 0 });
+    expect(SellerOrder.stored(order._id).stockStatus).toBe('Deducted');
+  });
+
+  test('puts shipped stock back when the order is cancelled', async () => {
+    const order = await reserveOrderStock(seedOrder());
+    order.status = 'Shipped';
+    await syncOrderStock(order);
+
+    order.status = 'Cancelled';
+    await syncOrderStock(order);
+
+    expect(Product.stored(product._id)).toMatchObject({ stock: 20, reservedStock: 0 });
+    expect(WarehouseItem.stored(item._id).quantity).toBe(20);
+  });
+});
@@ -0,0 +1,124 @@
+import { jest } from '@jest/globals';
+import { createMemoryModel } from './support/memoryModel.js';
+
+const Seller = createMemoryModel();
+const WalletTransaction = createMemoryModel();
+const Ledger = createMemoryModel();
+
+jest.unstable_mockModule('../src/modules/seller/models/seller.model.js', () => ({ default: Seller }));
+jest.unstable_mockModule('../src/modules/seller/models/walletTransaction.model.js', () => ({ default: WalletTransaction }));
+jest.unstable_mockModule('../src/modules/seller/models/ledger.model.js', () => ({ default: Ledger }));
+
+const {
+  WalletError,
+  holdWalletFunds,
+  releaseWalletFunds,
+  debitSellerWallet,
+  creditSellerWallet,
+  getAwbNetDebit
+} = await import('../src/utils/sellerWallet.js');
+
+const seedSeller = (wallet = {}) => Seller.seed({ walletBalance: '100.00', walletHeld: '0.00', creditLimit: '0', ...wallet })[0];
+
+beforeEach(() => {
+  Seller.reset();
+  WalletTransaction.reset();
+  Ledger.reset();
+});
+
+describe('holdWalletFunds', () => {
+  test('holds funds out of what the seller can spend', async () => {
+    const seller = seedSeller({ creditLimit: '50' });
+
+    const { held, spendable } = await holdWalletFunds(seller._id, 120);
+
+    expect(held).toBe(120);
+    expect(spendable).toBe(30);
+    expect(Seller.stored(seller._id)).toMatchObject({ walletBalance: '100.00', walletHeld: '120.00' });
+  });
+
+  test('refuses a hold past the balance and credit limit', async () => {
+    const seller = seedSeller({ walletHeld: '80.00' });
+
+    await expect(holdWalletFunds(seller._id, 30)).rejects.toMatchObject({ name: 'WalletError', statusCode: 402 });
+    expect(Seller.stored(seller._id).walletHeld).toBe('80.00');
+  });
+
+  test('lets only the holds that fit through when they race', async () => {
+    const seller = seedSeller();
+
+    const results = await Promise.allSettled([40, 40, 40].map(amount => holdWalletFunds(seller._id, amount)));
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(2);
+    expect(results.find(result => result.status === 'rejected').reason).toBeInstanceOf(WalletError);
+    expect(Seller.stored(seller._id).walletHeld).toBe('80.00');
+  });
+});
+
+describe('debitSellerWallet', () => {
+  test('debits from the hold and records the transaction and ledger entry', async () => {
+    const seller = seedSeller({ walletHeld: '59.00' });
+
+    const { transaction, ledger, balance } = await debitSellerWallet({
+      sellerId: seller._id,
+      amount: 59,
+      gst: 9,
+      fromHold: true,
+      referenceNumber: 'AWB1'
+    });
+
+    expect(balance).toBe('41.00');
+    expect(Seller.stored(seller._id)).toMatchObject({ walletBalance: '41.00', walletHeld: '0.00' });
+    expect(transaction).toMatchObject({ type: 'Debit', amount: '59.00', subTotal: '50.00', referenceNumber: 'AWB1' });
+    expect(ledger).toMatchObject({ debit: '59.00', totalAmount: '-59.00', transactionAgainst: 'AWB1' });
+  });
+
+  test('refuses a debit the seller cannot cover unless forced', async () => {
+    const seller = seedSeller({ walletBalance: '10.00' });
+
+    await expect(debitSellerWallet({ sellerId: seller._id, amount: 25 })).rejects.toThrow(WalletError);
+    expect(WalletTransaction.docs.size).toBe(0);
+
+    await debitSellerWallet({ sellerId: seller._id, amount: 25, force: true });
+    expect(Seller.stored(seller._id).walletBalance).toBe('-15.00');
+  });
+
+  test('applies every concurrent posting to the balance', async () => {
+    const seller = seedSeller();
+
+    await Promise.all([
+      debitSellerWallet({ sellerId: seller._id, amount: 30 }),
+      debitSellerWallet({ sellerId: seller._id, amount: 20 }),
+      creditSellerWallet({ sellerId: seller._id, amount: 5 })
+    ]);
+
+    expect(Seller.stored(seller._id).walletBalance).toBe('55.00');
+    expect(WalletTransaction.docs.size).toBe(3);
+    expect(Ledger.docs.size).toBe(3);
+  });
+});
+
+describe('releaseWalletFunds', () => {
+  test('gives back what was held without touching the balance', async () => {
+    const seller = seedSeller({ walletHeld: '40.00' });
+
+    await releaseWalletFunds(seller._id, 15);
+
+    expect(Seller.stored(seller._id)).toMatchObject({ walletBalance: '100.00', walletHeld: '25.00' });
+  });
+});
+
+describe('getAwbNetDebit', () => {
+  test('nets the AWB refunds against its debits and leaves weight dispute postings out', async () => {
+    const sellerId = seedSeller()._id;
+    WalletTransaction.seed(
+      { seller: sellerId, referenceNumber: 'AWB1', type: 'Debit', amount: '80.00', metadata: {} },
+      { seller: sellerId, referenceNumber: 'AWB1', type: 'Refund', amount: '30.00', metadata: {} },
+      { seller: sellerId, referenceNumber: 'AWB1', type: 'Debit', amount: '25.00', metadata: { weightDisputeId: 'WD1' } },
+      { seller: sellerId, referenceNumber: 'AWB2', type: 'Debit', amount: '60.00', metadata: {} }
+    );
+
+    expect(await getAwbNetDebit(sellerId, 'AWB1')).toBe(50);
+    expect(await getAwbNetDebit(sellerId, 'AWB3')).toBe(0);
+  });
+});
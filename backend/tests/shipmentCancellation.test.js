@@ -0,0 +1,123 @@
+import { jest } from '@jest/globals';
+import { createMemoryModel } from './support/memoryModel.js';
+
+const Seller = createMemoryModel();
+const WalletTransaction = createMemoryModel();
+const Ledger = createMemoryModel();
+const SellerShipment = createMemoryModel();
+const SellerOrder = createMemoryModel({
+  methods: {
+    async updateStatus(status) {
+      this.status = status;
+      return this.save();
+    }
+  }
+});
+
+const courier = { cancelShipment: jest.fn() };
+
+jest.unstable_mockModule('../src/modules/seller/models/seller.model.js', () => ({ default: Seller }));
+jest.unstable_mockModule('../src/modules/seller/models/walletTransaction.model.js', () => ({ default: WalletTransaction }));
+jest.unstable_mockModule('../src/modules/seller/models/ledger.model.js', () => ({ default: Ledger }));
+jest.unstable_mockModule('../src/modules/seller/models/shipment.model.js', () => ({ default: SellerShipment }));
+jest.unstable_mockModule('../src/modules/seller/models/order.model.js', () => ({ default: SellerOrder }));
+jest.unstable_mockModule('../src/utils/courierBooking.js', () => ({
+  getCourierHandler: jest.fn(async () => courier)
+}));
+jest.unstable_mockModule('../src/utils/shipmentTracking.js', () => ({
+  applyShipmentUpdate: jest.fn(async (shipment, { status }) => {
+    shipment.status = status;
+    await shipment.save();
+    return { changed: true };
+  })
+}));
+jest.unstable_mockModule('../src/utils/inventory.js', () => ({
+  syncOrderStock: jest.fn(async () => {})
+}));
+
+const { cancelShipment, ShipmentCancellationError } = await import('../src/utils/shipmentCancellation.js');
+
+let seller;
+let order;
+
+// A booked shipment whose freight (59) was debited against its AWB, on an order that also carries an order-level charge
+const seedBookedShipment = (fields = {}) => {
+  [seller] = Seller.seed({ walletBalance: '100.00', walletHeld: '0.00', creditLimit: '0' });
+  [order] = SellerOrder.seed({ seller: seller._id, orderId: 'ORD-1', status: 'Shipped', awb: 'AWB1' });
+  WalletTransaction.seed(
+    { seller: seller._id, orderId: order._id, referenceNumber: 'AWB1', type: 'Debit', amount: '59.00', metadata: {} },
+    { seller: seller._id, orderId: order._id, referenceNumber: 'ORD-1', type: 'Debit', amount: '40.00', metadata: {} }
+  );
+  return SellerShipment.seed({
+    seller: seller._id,
+    orderId: order._id,
+    awb: 'AWB1',
+    courier: 'MOCK',
+    status: 'Booked',
+    ...fields
+  })[0];
+};
+
+const refunds = () => [...WalletTransaction.docs.values()].filter(transaction => transaction.type === 'Refund');
+
+beforeEach(() => {
+  [Seller, WalletTransaction, Ledger, SellerShipment, SellerOrder].forEach(model => model.reset());
+  courier.cancelShipment.mockReset();
+  courier.cancelShipment.mockResolvedValue({ success: true, referenceId: 'CXL-1' });
+});
+
+test('voids the AWB and refunds only the freight debited against it', async () => {
+  const shipment = seedBookedShipment();
+
+  const { refund } = await cancelShipment(shipment, { reason: 'Customer changed their mind' });
+
+  expect(courier.cancelShipment).toHaveBeenCalledWith('AWB1');
+  expect(refund.amount).toBe('59.00');
+  expect(Seller.stored(seller._id).walletBalance).toBe('159.00');
+  expect(SellerShipment.stored(shipment._id)).toMatchObject({
+    status: 'Cancelled',
+    cancellation: { reason: 'Customer changed their mind', courierVoided: true, courierReference: 'CXL-1', refundAmount: '59.00' }
+  });
+  expect(SellerOrder.stored(order._id)).toMatchObject({ status: 'Processing' });
+  expect(SellerOrder.stored(order._id).awb).toBeUndefined();
+});
+
+test('cancels and refunds once when two requests race', async () => {
+  const shipment = seedBookedShipment();
+  // Each request loads its own copy before either has claimed the cancellation
+  const copies = await Promise.all([SellerShipment.findById(shipment._id), SellerShipment.findById(shipment._id)]);
+
+  const results = await Promise.allSettled([
+    cancelShipment(copies[0], { reason: 'First' }),
+    cancelShipment(copies[1], { reason: 'Second' })
+  ]);
+
+  const rejected = results.filter(result => result.status === 'rejected');
+  expect(rejected).toHaveLength(1);
+  expect(rejected[0].reason).toBeInstanceOf(ShipmentCancellationError);
+  expect(courier.cancelShipment).toHaveBeenCalledTimes(1);
+  expect(refunds()).toHaveLength(1);
+  expect(Seller.stored(seller._id).walletBalance).toBe('159.00');
+});
+
+test('gives the claim back when the courier will not void the AWB', async () => {
+  const shipment = seedBookedShipment();
+  courier.cancelShipment.mockResolvedValueOnce({ success: false, error: 'Already manifested' });
+
+  await expect(cancelShipment(shipment, { reason: 'Duplicate' })).rejects.toThrow('Already manifested');
+  expect(SellerShipment.stored(shipment._id).status).toBe('Booked');
+  expect(SellerShipment.stored(shipment._id).cancellation).toBeUndefined();
+  expect(refunds()).toHaveLength(0);
+
+  await cancelShipment(shipment, { reason: 'Duplicate' });
+  expect(SellerShipment.stored(shipment._id).status).toBe('Cancelled');
+  expect(refunds()).toHaveLength(1);
+});
+
+test('refuses a shipment the courier has picked up', async () => {
+  const shipment = seedBookedShipment({ status: 'In Transit' });
+
+  await expect(cancelShipment(shipment, {})).rejects.toThrow('cannot be cancelled once picked up');
+  expect(courier.cancelShipment).not.toHaveBeenCalled();
+  expect(refunds()).toHaveLength(0);
+});
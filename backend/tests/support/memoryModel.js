@@ -0,0 +1,250 @@
+import mongoose from 'mongoose';
+
+/**
+ * In-memory stand-in for a Mongoose model, for unit tests that replace a
+ * model module with jest.unstable_mockModule.
+ *
+ * It covers the queries and updates the utils under test use: equality and
+ * $in/$nin/$exists/$ne/$lt/$lte/$gt/$gte filters on dotted paths (matching
+ * inside arrays), $or/$and, $expr with arithmetic, and $set/$inc/$unset/$push
+ * updates. Every operation works on one document at a time and yields to
+ * the event loop first, so concurrent calls interleave the way they do
+ * against MongoDB. Documents saved with save() write back only the fields
+ * that changed since they were read.
+ */
+
+const clone = (value) => {
+  if (value instanceof mongoose.Types.ObjectId) return value;
+  if (value instanceof Date) return new Date(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+};
+
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  return value;
+};
+
+const equals = (a, b) => {
+  if ((a === undefined || a === null) && (b === undefined || b === null)) return true;
+  return comparable(a) === comparable(b) || String(comparable(a)) === String(comparable(b));
+};
+
+// Values at a dotted path, descending into arrays
+const valuesAt = (doc, path) => path.split('.').reduce((values, key) => values.flatMap(value => {
+  if (value === undefined || value === null) return [undefined];
+  if (Array.isArray(value) && !/^\d+$/.test(key)) return value.map(item => item?.[key]);
+  return [value[key]];
+}), [doc]);
+
+const isOperatorObject = (condition) => condition && typeof condition === 'object' &&
+  !(condition instanceof Date) && !(condition instanceof mongoose.Types.ObjectId) &&
+  Object.keys(condition).length > 0 && Object.keys(condition).every(key => key.startsWith('$'));
+
+const matchValue = (value, condition) => {
+  if (!isOperatorObject(condition)) {
+    return Array.isArray(value) ? value.some(item => equals(item, condition)) : equals(value, condition);
+  }
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$in': return operand.some(item => matchValue(value, item));
+      case '$nin': return !operand.some(item => matchValue(value, item));
+      case '$ne': return !matchValue(value, operand);
+      case '$eq': return matchValue(value, operand);
+      case '$exists': return (value !== undefined) === Boolean(operand);
+      case '$lt': return value != null && comparable(value) < comparable(operand);
+      case '$lte': return value != null && comparable(value) <= comparable(operand);
+      case '$gt': return value != null && comparable(value) > comparable(operand);
+      case '$gte': return value != null && comparable(value) >= comparable(operand);
+      default: throw new Error(`memoryModel: unsupported query operator ${operator}`);
+    }
+  });
+};
+
+const evaluate = (doc, expression) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) return valuesAt(doc, expression.slice(1))[0];
+  if (!isOperatorObject(expression)) return expression;
+
+  const [[operator, operands]] = Object.entries(expression);
+  const args = [].concat(operands).map(operand => evaluate(doc, operand));
+  switch (operator) {
+    case '$add': return args.reduce((sum, value) => sum + value, 0);
+    case '$subtract': return args[0] - args[1];
+    case '$ifNull': return args[0] ?? args[1];
+    case '$gte': return args[0] >= args[1];
+    case '$gt': return args[0] > args[1];
+    case '$lte': return args[0] <= args[1];
+    case '$lt': return args[0] < args[1];
+    case '$eq': return equals(args[0], args[1]);
+    default: throw new Error(`memoryModel: unsupported expression operator ${operator}`);
+  }
+};
+
+export const matches = (doc, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some(part => matches(doc, part));
+  if (key === '$and') return condition.every(part => matches(doc, part));
+  if (key === '$expr') return Boolean(evaluate(doc, condition));
+
+  const values = valuesAt(doc, key);
+  if (isOperatorObject(condition) && ('$exists' in condition || '$ne' in condition || '$nin' in condition)) {
+    return matchValue(values.length === 1 ? values[0] : values, condition);
+  }
+  return values.some(value => matchValue(value, condition));
+});
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (target[key] === undefined || target[key] === null) target[key] = {};
+    return target[key];
+  }, doc);
+  if (value === undefined) delete parent[last];
+  else parent[last] = value;
+};
+
+const applyUpdate = (doc, update) => {
+  Object.entries(update).forEach(([operator, fields]) => {
+    if (!operator.startsWith('$')) {
+      setPath(doc, operator, clone(fields));
+      return;
+    }
+    Object.entries(fields).forEach(([path, value]) => {
+      switch (operator) {
+        case '$set': setPath(doc, path, clone(value)); break;
+        case '$unset': setPath(doc, path, undefined); break;
+        case '$inc': setPath(doc, path, (valuesAt(doc, path)[0] || 0) + value); break;
+        case '$push': setPath(doc, path, [...(valuesAt(doc, path)[0] || []), clone(value)]); break;
+        default: throw new Error(`memoryModel: unsupported update operator ${operator}`);
+      }
+    });
+  });
+};
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Create an in-memory model
+ * @param {Object} options - { defaults: fields every new document starts with, methods: document methods }
+ * @returns {Function} - Model with the static query API and `docs` (the stored documents) for assertions
+ */
+export const createMemoryModel = ({ defaults = {}, methods = {} } = {}) => {
+  const docs = new Map();
+
+  const hydrate = (stored) => {
+    const loaded = clone(stored);
+    const doc = clone(stored);
+    Object.defineProperties(doc, {
+      save: {
+        value: async () => {
+          await tick();
+          const current = docs.get(String(doc._id)) || {};
+          Object.keys({ ...loaded, ...doc }).forEach(key => {
+            if (JSON.stringify(doc[key]) !== JSON.stringify(loaded[key])) current[key] = clone(doc[key]);
+          });
+          docs.set(String(doc._id), current);
+          Object.assign(loaded, clone(doc));
+          return doc;
+        }
+      },
+      toObject: { value: () => clone(doc) },
+      set: { value: (path, value) => setPath(doc, path, value) },
+      isModified: { value: () => JSON.stringify(doc) !== JSON.stringify(loaded) },
+      ...Object.fromEntries(Object.entries(methods).map(([name, method]) => [name, { value: method.bind(doc) }]))
+    });
+    return doc;
+  };
+
+  // Chainable, thenable query resolving to documents (plain objects after lean())
+  const query = (run) => {
+    let lean = false;
+    const chain = {
+      select: () => chain,
+      setOptions: () => chain,
+      populate: () => chain,
+      sort: () => chain,
+      skip: () => chain,
+      limit: () => chain,
+      session: () => chain,
+      lean: () => { lean = true; return chain; },
+      exec: async () => {
+        await tick();
+        const result = run();
+        const output = (stored) => (stored ? (lean ? clone(stored) : hydrate(stored)) : null);
+        return Array.isArray(result) ? result.map(output) : output(result);
+      },
+      then: (resolve, reject) => chain.exec().then(resolve, reject)
+    };
+    return chain;
+  };
+
+  const findStored = (filter) => [...docs.values()].filter(doc => matches(doc, filter));
+  const byId = (id) => (id && typeof id === 'object' && !(id instanceof mongoose.Types.ObjectId) ? id : { _id: id });
+
+  const Model = function MemoryDocument(data = {}) {
+    return hydrate({ _id: new mongoose.Types.ObjectId(), ...clone(defaults), ...clone(data) });
+  };
+
+  Object.assign(Model, {
+    docs,
+
+    // Store documents directly, without yielding, to set up a test
+    seed: (...items) => items.map(data => {
+      const stored = { _id: new mongoose.Types.ObjectId(), ...clone(defaults), ...clone(data) };
+      docs.set(String(stored._id), stored);
+      return hydrate(stored);
+    }),
+
+    stored: (id) => clone(docs.get(String(id))),
+
+    reset: () => docs.clear(),
+
+    create: async (data) => {
+      await tick();
+      if (Array.isArray(data)) return Promise.all(data.map(Model.create));
+      const stored = { _id: new mongoose.Types.ObjectId(), createdAt: new Date(), ...clone(defaults), ...clone(data) };
+      docs.set(String(stored._id), stored);
+      return hydrate(stored);
+    },
+
+    find: (filter) => query(() => findStored(filter)),
+    findOne: (filter) => query(() => findStored(filter)[0]),
+    findById: (id) => query(() => findStored(byId(id))[0]),
+
+    findOneAndUpdate: (filter, update, options = {}) => query(() => {
+      const stored = findStored(filter)[0];
+      if (!stored) return null;
+      const before = clone(stored);
+      applyUpdate(stored, update);
+      return options.new ? stored : before;
+    }),
+    findByIdAndUpdate: (id, update, options) => Model.findOneAndUpdate(byId(id), update, options),
+
+    updateOne: async (filter, update) => {
+      await tick();
+      const stored = findStored(filter)[0];
+      if (!stored) return { matchedCount: 0, modifiedCount: 0 };
+      const before = JSON.stringify(stored);
+      applyUpdate(stored, update);
+      return { matchedCount: 1, modifiedCount: JSON.stringify(stored) === before ? 0 : 1 };
+    },
+
+    updateMany: async (filter, update) => {
+      await tick();
+      const matched = findStored(filter);
+      matched.forEach(stored => applyUpdate(stored, update));
+      return { matchedCount: matched.length, modifiedCount: matched.length };
+    },
+
+    countDocuments: async (filter) => {
+      await tick();
+      return findStored(filter).length;
+    }
+  });
+
+  return Model;
+};
@@ -0,0 +1,43 @@
+/**
+ * In-memory stand-in for utils/redis.js in tests (see moduleNameMapper in
+ * package.json), so test runs neither connect to Redis nor leave its timers
+ * running. Only the cache is kept; sessions, OTPs and rate limits are
+ * accepted and forgotten.
+ */
+
+const store = new Map();
+
+const redisClient = {
+  isOpen: false,
+  connect: async () => {},
+  get: async (key) => store.get(key) ?? null,
+  set: async (key, value) => store.set(key, value) && 'OK',
+  setEx: async (key, seconds, value) => store.set(key, value) && 'OK',
+  del: async (key) => (store.delete(key) ? 1 : 0),
+  keys: async () => [...store.keys()],
+  incr: async () => 1,
+  expire: async () => true,
+  on: () => redisClient
+};
+
+export const isRedisHealthy = () => true;
+export const startRedisMonitoring = () => null;
+
+export const setCache = async (key, data) => {
+  store.set(key, JSON.stringify(data));
+  return true;
+};
+export const getCache = async (key) => (store.has(key) ? JSON.parse(store.get(key)) : null);
+export const deleteCache = async (key) => store.delete(key);
+
+export const setSession = async () => true;
+export const getSession = async () => null;
+export const deleteSession = async () => true;
+export const getAllSessions = async () => [];
+export const setOTP = async () => true;
+export const storeOTP = async () => true;
+export const getOTP = async () => null;
+export const verifyOTP = async () => ({ valid: false, message: 'OTP expired or not found' });
+export const checkRateLimit = async (key, limit) => ({ current: 1, isAllowed: limit >= 1, remainingAttempts: limit - 1 });
+
+export default redisClient;